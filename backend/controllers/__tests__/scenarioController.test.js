@@ -0,0 +1,55 @@
+// backend/controllers/__tests__/scenarioController.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scenario } = require('../../../schemas/mongoose/scenario');
+const SimulationRun = require('../../../schemas/mongoose/simulationRun');
+const { createSimulationRun, getSimulationRun, compareSimulationRuns } = require('../scenarioController');
+
+const SCENARIO_ID = '64b7f0c2a1b2c3d4e5f60718';
+const RUN_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+// Minimal Express response recording the status and JSON body
+const mockResponse = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+};
+
+// Model methods replaced by a test, restored after it
+const replaced = [];
+const replace = (target, method, implementation) => {
+    replaced.push([target, method, target[method]]);
+    target[method] = implementation;
+};
+afterEach(() => {
+    replaced.splice(0).reverse().forEach(([target, method, original]) => { target[method] = original; });
+});
+
+test('malformed run IDs are rejected before they reach the database', async () => {
+    replace(SimulationRun, 'findOne', () => { throw new Error('queried the database'); });
+    replace(SimulationRun, 'find', () => { throw new Error('queried the database'); });
+
+    const single = mockResponse();
+    await getSimulationRun({ params: { id: SCENARIO_ID, runId: 'not-an-id' } }, single);
+    assert.equal(single.statusCode, 400);
+    assert.deepEqual(single.body.errors, ['not-an-id']);
+
+    const compared = mockResponse();
+    await compareSimulationRuns({ params: { id: SCENARIO_ID }, query: { base: RUN_ID, compare: '123' } }, compared);
+    assert.equal(compared.statusCode, 400);
+    assert.deepEqual(compared.body.errors, ['123']);
+});
+
+test('a duplicate run name that races past the name check is a 409', async () => {
+    replace(Scenario, 'findById', async () => ({ _id: SCENARIO_ID }));
+    replace(SimulationRun, 'exists', async () => null);
+    replace(SimulationRun, 'create', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const res = mockResponse();
+    await createSimulationRun({ params: { id: SCENARIO_ID }, body: { name: 'Base case' } }, res);
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.error, /Base case/);
+});
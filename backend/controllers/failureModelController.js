@@ -2,6 +2,7 @@
 const { Scenario } = require('../../schemas/mongoose/scenario');
 const { formatSuccess, formatError } = require('../utils/responseFormatter');
 const { getComponents } = require('./majorComponentController');
+const WindTurbineFailureModel = require('../services/WndTurbineFailureModel');
 
 /**
  * Create default failure models based on components
@@ -43,13 +44,40 @@ const getDefaultFailureModels = async (platformType = 'geared', numWTGs = 20) =>
 };
 
 /**
- * Generate default failure models for a scenario
- * @param {Object} req - Express request object with scenarioId
+ * Fit a failure model's Weibull parameters to its historical data and project its failures
+ * @param {Object} model - FailureModelSchema object
+ * @param {Object} options - GenerateFailureModelsRequestSchema object
+ * @param {number} totalLifetime - Years to project over
+ * @returns {Object} WindTurbineFailureModel.calculateFailureRates output with the fit
+ */
+const fitFailureModel = (model, options, totalLifetime) => {
+  const failureModel = new WindTurbineFailureModel({
+    designLife: model.designLife,
+    totalLifetime,
+    N: model.componentCount,
+    P: options.percentiles,
+    assumedF: model.assumedFailureRate,
+    historicalData: model.historicalData,
+    method: options.method || model.fitMethod || 'mle',
+    prior: model.prior,
+    seed: `${options.seed}-${model.majorComponent.name}`
+  });
+
+  return failureModel.calculateFailureRates(options.samples);
+};
+
+/**
+ * Generate default failure models for a scenario and fit them
+ * Historical data, fit method and prior of existing models are kept for the same major component;
+ * histories imported with the request replace the model's historical data
+ * @param {Object} req - Express request object with scenarioId and GenerateFailureModelsRequestSchema in body
  * @param {Object} res - Express response object
  */
 const generateFailureModels = async (req, res) => {
   try {
     const { scenarioId } = req.params;
+    // Options are already validated by GenerateFailureModelsRequestSchema via middleware
+    const options = req.body;
     
     // Find the scenario
     const scenario = await Scenario.findById(scenarioId);
@@ -60,23 +88,45 @@ const generateFailureModels = async (req, res) => {
     // Get platform type from scenario
     const platformType = scenario.settings?.project?.windFarm?.wtgPlatformType || 'geared';
     const numWTGs = scenario.settings?.project?.windFarm?.numWTGs || 20;
+    const totalLifetime = scenario.settings?.general?.projectLife || 20;
     
     // Generate default failure models
     const defaultFailureModels = await getDefaultFailureModels(platformType, numWTGs);
+
+    const existingModels = options.preserveHistoricalData
+      ? (scenario.settings?.modules?.cost?.failureModels || []).map(entry => (entry.toObject ? entry.toObject() : entry))
+      : [];
+    const projections = [];
+    const failureModels = defaultFailureModels.map(model => {
+      const existing = existingModels.find(entry => entry.majorComponent?.name === model.majorComponent.name);
+      const imported = options.historicalData.find(entry =>
+        entry.component.toLowerCase() === model.majorComponent.name.toLowerCase());
+      const merged = {
+        ...model,
+        ...(existing && { historicalData: existing.historicalData, fitMethod: existing.fitMethod, prior: existing.prior }),
+        ...(imported && { historicalData: imported.historicalData })
+      };
+
+      const { fit, ...projection } = fitFailureModel(merged, options, totalLifetime);
+      projections.push({ component: model.majorComponent.name, ...projection });
+      return { ...merged, fit };
+    });
     
     // Set the failure models in the scenario
     if (!scenario.settings.modules.cost) {
       scenario.settings.modules.cost = {};
     }
     
-    scenario.settings.modules.cost.failureModels = defaultFailureModels;
+    scenario.settings.modules.cost.failureModels = failureModels;
     
     // Save the scenario
     await scenario.save();
     
     res.json(formatSuccess({
-      count: defaultFailureModels.length,
-      models: defaultFailureModels
+      count: failureModels.length,
+      models: failureModels,
+      diagnostics: failureModels.map(model => ({ component: model.majorComponent.name, ...model.fit.diagnostics })),
+      projections
     }, 'Failure models generated successfully'));
     
   } catch (error) {
@@ -156,5 +206,6 @@ module.exports = {
   getFailureModels,
   updateFailureModel,
   getDefaultFailureModels,
-  createFailureModels
+  createFailureModels,
+  fitFailureModel
 };
\ No newline at end of file
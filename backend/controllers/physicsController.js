@@ -0,0 +1,23 @@
+// backend/controllers/physicsController.js
+const { formatSuccess, formatError } = require('../utils/responseFormatter');
+const { calculateStressFactors } = require('../services/physics');
+
+/**
+ * Calculate per-component failure rate acceleration factors for a site
+ * @param {Object} req - Express request object with StressFactorsRequestSchema in body
+ * @param {Object} res - Express response object
+ */
+const getStressFactors = async (req, res) => {
+    try {
+        // Request is already validated by StressFactorsRequestSchema via middleware
+        const { siteConditions, components } = req.body;
+        const result = calculateStressFactors(siteConditions, components);
+        return res.json(formatSuccess(result, 'Stress factors calculated successfully', 'default'));
+    } catch (error) {
+        return res.status(500).json(formatError('Failed to calculate stress factors', 500, [error.message]));
+    }
+};
+
+module.exports = {
+    getStressFactors
+};
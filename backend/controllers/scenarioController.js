@@ -1,4 +1,7 @@
+const mongoose = require('mongoose');
 const { Scenario } = require('../../schemas/mongoose/scenario');
+const SimulationRun = require('../../schemas/mongoose/simulationRun');
+const { buildRunSnapshot, diffSimulationRuns } = require('../services/simulation-runs');
 const { formatSuccess, formatError } = require('../utils/responseFormatter');
 const defaultsController = require('./defaultsController');
 
@@ -173,6 +176,8 @@ const deleteScenario = async (req, res) => {
     if (!scenario) {
       return res.status(404).json(formatError('Scenario not found', 404, []));
     }
+    // Runs are immutable but belong to their scenario
+    await SimulationRun.deleteMany({ scenarioId: String(scenario._id) });
     const data = { _id: scenario._id, createdAt: scenario.createdAt, updatedAt: scenario.updatedAt };
     res.json(formatSuccess(data, `Scenario deleted: ${scenario.name} (ID: ${scenario._id})`, 'crud'));
   } catch (error) {
@@ -180,10 +185,100 @@ const deleteScenario = async (req, res) => {
   }
 };
 
+// Record a named, immutable run of the saved scenario's inputs and simulation results
+const createSimulationRun = async (req, res) => {
+  try {
+    const scenario = await Scenario.findById(req.params.id);
+    if (!scenario) {
+      return res.status(404).json(formatError('Scenario not found', 404, []));
+    }
+
+    const existing = await SimulationRun.exists({ scenarioId: String(scenario._id), name: req.body.name });
+    if (existing) {
+      return res.status(409).json(formatError(`A run named "${req.body.name}" already exists for this scenario`, 409, []));
+    }
+
+    const run = await SimulationRun.create(buildRunSnapshot(scenario, req.body));
+
+    const data = { _id: run._id, createdAt: run.createdAt, updatedAt: run.createdAt };
+    res.status(201).json(formatSuccess(data, `Simulation run recorded: ${run.name} (ID: ${run._id})`, 'crud'));
+  } catch (error) {
+    // A concurrent request recorded the same name between the check above and create
+    if (error.code === 11000) {
+      return res.status(409).json(formatError(`A run named "${req.body.name}" already exists for this scenario`, 409, []));
+    }
+    res.status(500).json(formatError('Failed to record simulation run', 500, [error.message]));
+  }
+};
+
+// List a scenario's runs, newest first, without their snapshots
+const listSimulationRuns = async (req, res) => {
+  try {
+    const runs = await SimulationRun.find({ scenarioId: req.params.id })
+      .select('-inputs -results')
+      .sort({ createdAt: -1 });
+
+    const data = {
+      pagination: { total: runs.length, page: 1, limit: runs.length, pages: 1 },
+      items: runs,
+      count: runs.length
+    };
+    res.json(formatSuccess(data, 'Simulation runs retrieved successfully', 'list'));
+  } catch (error) {
+    res.status(500).json(formatError('Failed to fetch simulation runs', 500, [error.message]));
+  }
+};
+
+// Get a run with its full inputs and results snapshot
+const getSimulationRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(400).json(formatError('Invalid simulation run ID', 400, [req.params.runId]));
+    }
+
+    const run = await SimulationRun.findOne({ _id: req.params.runId, scenarioId: req.params.id });
+    if (!run) {
+      return res.status(404).json(formatError('Simulation run not found', 404, []));
+    }
+    res.json(formatSuccess(run, `Retrieved simulation run: ${run.name} (ID: ${run._id})`, 'default'));
+  } catch (error) {
+    res.status(500).json(formatError('Failed to fetch simulation run', 500, [error.message]));
+  }
+};
+
+// Compare two runs of a scenario (?base=<runId>&compare=<runId>)
+const compareSimulationRuns = async (req, res) => {
+  try {
+    const { base: baseId, compare: compareId } = req.query;
+    if (!baseId || !compareId) {
+      return res.status(400).json(formatError('Both base and compare run IDs are required', 400, []));
+    }
+    const invalidIds = [baseId, compareId].filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json(formatError('Invalid simulation run ID', 400, invalidIds));
+    }
+
+    const runs = await SimulationRun.find({ _id: { $in: [baseId, compareId] }, scenarioId: req.params.id }).lean();
+    const base = runs.find(run => String(run._id) === baseId);
+    const compare = runs.find(run => String(run._id) === compareId);
+    if (!base || !compare) {
+      return res.status(404).json(formatError('Simulation run not found', 404, []));
+    }
+
+    res.json(formatSuccess(diffSimulationRuns(base, compare), `Compared ${base.name} with ${compare.name}`, 'default'));
+  } catch (error) {
+    res.status(500).json(formatError('Failed to compare simulation runs', 500, [error.message]));
+  }
+};
+
 module.exports = {
   createScenario,
   listScenarios,
   getScenarioById,
   updateScenario,
-  deleteScenario
+  deleteScenario,
+  createSimulationRun,
+  listSimulationRuns,
+  getSimulationRun,
+  compareSimulationRuns
 };
\ No newline at end of file
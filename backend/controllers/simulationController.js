@@ -1,7 +1,28 @@
 const { formatSuccess, formatError } = require('../utils/responseFormatter');
 const monteCarloV2 = require('../services/monte-carlo-v2');
+const cashflowSimulation = require('../services/cashflow-simulation');
+const failureEvents = require('../services/failure-events');
+const { getJobQueue, TERMINAL_STATUSES } = require('../services/simulation-jobs');
 const { DistributionTypeSchema, ValidationResponseSchema, DataPointSchema, DistributionParametersSchema } = require('../../schemas/yup/distribution');
 
+// Interval of SSE comments that keep proxies from closing idle job streams
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Shape engine results as the data of a 'simulation' response
+ * @param {Object} simulationResults - SimResponseSchema results from the engine
+ * @returns {Object} Response data
+ */
+const formatSimulationData = (simulationResults) => ({
+    success: simulationResults.success,
+    simulationInfo: simulationResults.simulationInfo.map(info => ({
+        ...info,
+        statistics: info.statistics // Ensure statistics are included
+    })),
+    timeElapsed: simulationResults.simulationInfo[0]?.timeElapsed || 0,
+    correlation: simulationResults.correlation
+});
+
 /**
  * Run a simulation of one or more distributions with the new Monte Carlo engine
  * @param {Object} req - Express request object with SimRequestSchema in body
@@ -15,25 +36,180 @@ const simulateDistributions = async (req, res) => {
         // Create engine with the validated simRequest
         const engine = monteCarloV2.createEngine(simRequest);
 
-        // Run the simulation
-        const simulationResults = await engine.run();
+        // Run the simulation, reusing cached results of unchanged distributions
+        const simulationResults = await engine.run({ cache: monteCarloV2.getResultCache() });
 
         // Format response for API
-        const responseData = {
-            success: simulationResults.success,
-            simulationInfo: simulationResults.simulationInfo.map(info => ({
-                ...info,
-                statistics: info.statistics // Ensure statistics are included
-            })),
-            timeElapsed: simulationResults.simulationInfo[0]?.timeElapsed || 0
-        };
-
-        return res.json(formatSuccess(responseData, 'Simulation completed successfully', 'simulation'));
+        return res.json(formatSuccess(formatSimulationData(simulationResults), 'Simulation completed successfully', 'simulation'));
     } catch (error) {
         return res.status(500).json(formatError('Simulation failed', 500, [error.message]));
     }
 };
 
+/**
+ * Queue a distribution simulation as an asynchronous job
+ * @param {Object} req - Express request object with SimRequestSchema in body
+ * @param {Object} res - Express response object
+ */
+const submitSimulationJob = async (req, res) => {
+    try {
+        // Request is already validated by SimRequestSchema via middleware
+        const job = await getJobQueue().submit('distributions', req.body);
+        return res.status(202).json(formatSuccess(job, 'Simulation job queued', 'default'));
+    } catch (error) {
+        return res.status(500).json(formatError('Failed to queue simulation job', 500, [error.message]));
+    }
+};
+
+/**
+ * Get the status and progress of a simulation job
+ * @param {Object} req - Express request object with jobId param
+ * @param {Object} res - Express response object
+ */
+const getSimulationJob = async (req, res) => {
+    try {
+        const job = await getJobQueue().get(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(formatError('Simulation job not found', 404));
+        }
+        return res.json(formatSuccess(job, 'Operation successful', 'default'));
+    } catch (error) {
+        return res.status(500).json(formatError('Failed to get simulation job', 500, [error.message]));
+    }
+};
+
+/**
+ * Stream a simulation job's progress as Server-Sent Events.
+ * Sends the current state, then a 'progress' event per update and a final
+ * 'completed', 'failed' or 'cancelled' event before closing the stream.
+ * @param {Object} req - Express request object with jobId param
+ * @param {Object} res - Express response object
+ */
+const streamSimulationJob = async (req, res) => {
+    const queue = getJobQueue();
+    const { jobId } = req.params;
+
+    let job;
+    try {
+        job = await queue.get(jobId);
+    } catch (error) {
+        return res.status(500).json(formatError('Failed to get simulation job', 500, [error.message]));
+    }
+    if (!job) {
+        return res.status(404).json(formatError('Simulation job not found', 404));
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+
+    let closed = false;
+    let unsubscribe = () => { };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    const send = (update) => {
+        if (closed) return;
+        const finished = TERMINAL_STATUSES.includes(update.status);
+        res.write(`event: ${finished ? update.status : 'progress'}\ndata: ${JSON.stringify(update)}\n\n`);
+        if (finished) close();
+    };
+
+    unsubscribe = queue.subscribe(jobId, send);
+    req.on('close', close);
+    send(job);
+};
+
+/**
+ * Cancel a queued or running simulation job
+ * @param {Object} req - Express request object with jobId param
+ * @param {Object} res - Express response object
+ */
+const cancelSimulationJob = async (req, res) => {
+    try {
+        const job = await getJobQueue().cancel(req.params.jobId);
+        if (!job) {
+            return res.status(404).json(formatError('Simulation job not found', 404));
+        }
+        return res.json(formatSuccess(job, 'Simulation job cancellation requested', 'default'));
+    } catch (error) {
+        return res.status(500).json(formatError('Failed to cancel simulation job', 500, [error.message]));
+    }
+};
+
+/**
+ * Get the result of a completed simulation job, in the same format as POST /simulate
+ * @param {Object} req - Express request object with jobId param
+ * @param {Object} res - Express response object
+ */
+const getSimulationJobResult = async (req, res) => {
+    try {
+        const entry = await getJobQueue().getResult(req.params.jobId);
+        if (!entry) {
+            return res.status(404).json(formatError('Simulation job not found', 404));
+        }
+
+        const { job, result } = entry;
+        if (job.status === 'failed') {
+            return res.status(500).json(formatError('Simulation failed', 500, [job.error]));
+        }
+        if (job.status !== 'completed') {
+            return res.status(409).json(formatError(`Simulation job is ${job.status}`, 409));
+        }
+
+        return res.json(formatSuccess(formatSimulationData(result), 'Simulation completed successfully', 'simulation'));
+    } catch (error) {
+        return res.status(500).json(formatError('Failed to get simulation job result', 500, [error.message]));
+    }
+};
+
+/**
+ * Run a joint Monte Carlo simulation of the full project cashflow
+ * All drivers are sampled together per iteration; percentiles are taken on the resulting cashflows and metrics
+ * @param {Object} req - Express request object with CashflowSimRequestSchema in body
+ * @param {Object} res - Express response object
+ */
+const simulateCashflow = async (req, res) => {
+    try {
+        // Request is already validated by CashflowSimRequestSchema via middleware
+        const engine = cashflowSimulation.createCashflowEngine(req.body);
+
+        const simulationResults = await engine.run();
+
+        return res.json(formatSuccess(simulationResults, 'Cashflow simulation completed successfully', 'default'));
+    } catch (error) {
+        const statusCode = error.name === 'ValidationError' ? 400 : 500;
+        return res.status(statusCode).json(formatError('Cashflow simulation failed', statusCode, [error.message]));
+    }
+};
+
+/**
+ * Run a discrete failure-event simulation of the scenario's enabled failure rate components
+ * @param {Object} req - Express request object with FailureEventSimRequestSchema in body
+ * @param {Object} res - Express response object
+ */
+const simulateFailureEvents = async (req, res) => {
+    try {
+        // Request is already validated by FailureEventSimRequestSchema via middleware
+        const engine = failureEvents.createFailureEventEngine(req.body);
+
+        const simulationResults = await engine.run();
+
+        return res.json(formatSuccess(simulationResults, 'Failure event simulation completed successfully', 'default'));
+    } catch (error) {
+        const statusCode = error.name === 'ValidationError' ? 400 : 500;
+        return res.status(statusCode).json(formatError('Failure event simulation failed', statusCode, [error.message]));
+    }
+};
+
 /**
  * Get metadata for all registered distributions
  * @param {Object} req - Express request object
@@ -100,6 +276,13 @@ const fitDistribution = (req, res) => {
 
 module.exports = {
     simulateDistributions,
+    submitSimulationJob,
+    getSimulationJob,
+    streamSimulationJob,
+    cancelSimulationJob,
+    getSimulationJobResult,
+    simulateCashflow,
+    simulateFailureEvents,
     getDistributionsInfo,
     validateDistribution,
     fitDistribution
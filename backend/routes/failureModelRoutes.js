@@ -6,12 +6,14 @@ const {
   getFailureModels,
   updateFailureModel
 } = require('../controllers/failureModelController');
+const { validateMiddleware } = require('../utils/validate');
+const { GenerateFailureModelsRequestSchema } = require('../../schemas/yup/failureModelFit');
 
 // GET /api/scenarios/:scenarioId/failure-models - Get all failure models for a scenario
 router.get('/:scenarioId/failure-models', getFailureModels);
 
-// POST /api/scenarios/:scenarioId/failure-models/generate - Generate default failure models
-router.post('/:scenarioId/failure-models/generate', generateFailureModels);
+// POST /api/scenarios/:scenarioId/failure-models/generate - Generate default failure models and fit them
+router.post('/:scenarioId/failure-models/generate', validateMiddleware(GenerateFailureModelsRequestSchema), generateFailureModels);
 
 // PUT /api/scenarios/:scenarioId/failure-models/:modelIndex - Update a specific failure model
 router.put('/:scenarioId/failure-models/:modelIndex', updateFailureModel);
@@ -11,6 +11,7 @@ const failureModelRoutes = require('./failureModelRoutes');
 const defaultsRoutes = require('./defaultsRoutes');
 const simulationRoutes = require('./simulationRoutes');
 const repairPackageRoutes = require('./repairPackageRoutes');
+const physicsRoutes = require('./physicsRoutes');
 
 // Mount routes
 router.use('/scenarios', scenarioRoutes);
@@ -21,5 +22,6 @@ router.use('/components', majorComponentRoutes);
 router.use('/defaults', defaultsRoutes);
 router.use('/simulation', simulationRoutes);
 router.use('/repair-packages', repairPackageRoutes);
+router.use('/physics', physicsRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+// backend/routes/physicsRoutes.js
+const express = require('express');
+const router = express.Router();
+const { getStressFactors } = require('../controllers/physicsController');
+const { validateMiddleware } = require('../utils/validate');
+const { StressFactorsRequestSchema } = require('../../schemas/yup/stressFactors');
+
+// POST /api/physics/stress-factors - Calculate environmental failure rate acceleration factors per component
+router.post('/stress-factors', validateMiddleware(StressFactorsRequestSchema), getStressFactors);
+
+module.exports = router;
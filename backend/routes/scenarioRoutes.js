@@ -3,12 +3,17 @@ const express = require('express');
 const router = express.Router();
 const { validateMiddleware } = require('../utils/validate');
 const { ScenarioSchema } = require('../../schemas/yup/scenario');
+const { CreateSimulationRunSchema } = require('../../schemas/yup/simulationRun');
 const {
   listScenarios,
   getScenarioById,
   createScenario,
   updateScenario,
-  deleteScenario
+  deleteScenario,
+  createSimulationRun,
+  listSimulationRuns,
+  getSimulationRun,
+  compareSimulationRuns
 } = require('../controllers/scenarioController');
 
 // GET /api/scenarios/list - Get all scenarios
@@ -25,7 +30,19 @@ router.post('/', validateMiddleware(ScenarioSchema), createScenario);
 // Updated to use validateMiddleware with ScenarioSchema
 router.put('/:id', validateMiddleware(ScenarioSchema), updateScenario);
 
-// DELETE /api/scenarios/:id - Delete a scenario
+// DELETE /api/scenarios/:id - Delete a scenario (and its simulation runs)
 router.delete('/:id', deleteScenario);
 
+// GET /api/scenarios/:id/runs - List a scenario's simulation runs
+router.get('/:id/runs', listSimulationRuns);
+
+// POST /api/scenarios/:id/runs - Record an immutable run of the saved scenario
+router.post('/:id/runs', validateMiddleware(CreateSimulationRunSchema), createSimulationRun);
+
+// GET /api/scenarios/:id/runs/compare?base=&compare= - Compare two runs
+router.get('/:id/runs/compare', compareSimulationRuns);
+
+// GET /api/scenarios/:id/runs/:runId - Get a run with its inputs and results
+router.get('/:id/runs/:runId', getSimulationRun);
+
 module.exports = router;
\ No newline at end of file
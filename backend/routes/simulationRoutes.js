@@ -3,16 +3,46 @@ const express = require('express');
 const router = express.Router();
 const {
     simulateDistributions,
+    submitSimulationJob,
+    getSimulationJob,
+    streamSimulationJob,
+    cancelSimulationJob,
+    getSimulationJobResult,
+    simulateCashflow,
+    simulateFailureEvents,
     getDistributionsInfo,
     validateDistribution,
     fitDistribution
 } = require('../controllers/simulationController');
 const { validateMiddleware } = require('../utils/validate');
 const { SimRequestSchema, DistributionTypeSchema, FitDistributionSchema } = require('../../schemas/yup/distribution');
+const { CashflowSimRequestSchema } = require('../../schemas/yup/cashflowSimulation');
+const { FailureEventSimRequestSchema } = require('../../schemas/yup/failureEventSimulation');
 
 // POST /api/simulation/simulate - Run simulation for one or more distributions
 router.post('/simulate', validateMiddleware(SimRequestSchema), simulateDistributions);
 
+// POST /api/simulation/jobs - Queue a distribution simulation as an asynchronous job
+router.post('/jobs', validateMiddleware(SimRequestSchema), submitSimulationJob);
+
+// GET /api/simulation/jobs/:jobId - Get job status and per-distribution progress
+router.get('/jobs/:jobId', getSimulationJob);
+
+// GET /api/simulation/jobs/:jobId/events - Stream job progress as Server-Sent Events
+router.get('/jobs/:jobId/events', streamSimulationJob);
+
+// GET /api/simulation/jobs/:jobId/result - Get the result of a completed job
+router.get('/jobs/:jobId/result', getSimulationJobResult);
+
+// POST /api/simulation/jobs/:jobId/cancel - Cancel a queued or running job
+router.post('/jobs/:jobId/cancel', cancelSimulationJob);
+
+// POST /api/simulation/cashflow - Run joint Monte Carlo simulation of the project cashflow
+router.post('/cashflow', validateMiddleware(CashflowSimRequestSchema), simulateCashflow);
+
+// POST /api/simulation/failure-events - Simulate discrete failure events per turbine and component
+router.post('/failure-events', validateMiddleware(FailureEventSimRequestSchema), simulateFailureEvents);
+
 // GET /api/simulation/info - Get metadata for all distributions
 router.get('/info', getDistributionsInfo);
 
@@ -0,0 +1,138 @@
+// backend/scripts/runScenario.js
+
+//command to execute: node backend/scripts/runScenario.js <scenario.json | scenarioId> [--out results] [--format json,csv] [--iterations 10000] [--seed 42] [--no-simulate] [--verbose]
+//scenario ids are loaded from MongoDB using the same MONGO_URL / MONGO_USER / MONGO_PASS / DB_NAME variables as the server
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+const { OUTPUT_FORMATS } = require('../services/scenario-runner/output');
+
+const USAGE = `Usage: node backend/scripts/runScenario.js <scenario.json | scenarioId> [options]
+
+Runs the scenario's input simulations, then the cube sources and metrics, and writes
+metrics and cashflow tables to the output directory.
+
+Options:
+  -o, --out <dir>         Output directory (default: ./scenario-results)
+  -f, --format <list>     Comma-separated output formats: ${OUTPUT_FORMATS.join(', ')} (default: all)
+  -i, --iterations <n>    Override settings.simulation.iterations
+  -s, --seed <n>          Override settings.simulation.seed
+      --no-simulate       Reuse the input simulation results stored in the scenario
+  -v, --verbose           Show engine and cube processing logs
+  -h, --help              Show this help`;
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+/**
+ * Load a scenario from a JSON file (a scenario or an API response wrapping one) or from MongoDB
+ * @param {string} input - File path or scenario id
+ * @returns {Promise<Object>} Plain scenario object
+ */
+async function loadScenario(input) {
+    if (fs.existsSync(input)) {
+        const parsed = JSON.parse(fs.readFileSync(input, 'utf8'));
+        const scenario = parsed.settings ? parsed : parsed.data;
+        if (!scenario?.settings) {
+            throw new Error(`${input} does not contain a scenario with settings`);
+        }
+        return scenario;
+    }
+
+    if (!OBJECT_ID.test(input)) {
+        throw new Error(`${input} is neither a scenario file nor a scenario id`);
+    }
+
+    const { Scenario } = require('../../schemas/mongoose/scenario');
+    await connectDB();
+    const scenario = await Scenario.findById(input).lean();
+    if (!scenario) {
+        throw new Error(`Scenario ${input} not found`);
+    }
+    return scenario;
+}
+
+/**
+ * Parse a positive integer option
+ * @param {string} name - Option name
+ * @param {string} value - Option value
+ * @returns {number} Parsed value
+ */
+const positiveInteger = (name, value) => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed <= 0) {
+        throw new Error(`--${name} must be a positive integer`);
+    }
+    return parsed;
+};
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o', default: 'scenario-results' },
+            format: { type: 'string', short: 'f', default: OUTPUT_FORMATS.join(',') },
+            iterations: { type: 'string', short: 'i' },
+            seed: { type: 'string', short: 's' },
+            'no-simulate': { type: 'boolean', default: false },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || positionals.length !== 1) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const formats = values.format.split(',').map(format => format.trim()).filter(Boolean);
+    const unknownFormats = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (formats.length === 0 || unknownFormats.length > 0) {
+        throw new Error(`--format must list ${OUTPUT_FORMATS.join(' and/or ')}`);
+    }
+
+    // Engine and cube processing logs go to console.log/warn; keep them out of the CLI output
+    const info = console.log;
+    if (!values.verbose) {
+        console.log = () => { };
+        console.warn = () => { };
+    }
+    const { runScenario, writeScenarioOutputs } = require('../services/scenario-runner');
+
+    const scenario = await loadScenario(positionals[0]);
+    if (mongoose.connection.readyState !== 0) {
+        await mongoose.disconnect();
+    }
+
+    scenario.settings.simulation = scenario.settings.simulation || {};
+    if (values.iterations) scenario.settings.simulation.iterations = positiveInteger('iterations', values.iterations);
+    if (values.seed) scenario.settings.simulation.seed = positiveInteger('seed', values.seed);
+
+    info(`Running scenario "${scenario.name || positionals[0]}"...`);
+    const startTime = Date.now();
+    const run = await runScenario(scenario, {
+        simulate: !values['no-simulate'],
+        onProgress: values.verbose ? null : ({ distributions }) => {
+            const total = distributions.reduce((sum, entry) => sum + entry.total, 0);
+            const completed = distributions.reduce((sum, entry) => sum + (entry.failed ? entry.total : entry.completed), 0);
+            process.stderr.write(`\rSimulating inputs: ${total > 0 ? Math.floor((completed / total) * 100) : 0}%`);
+        }
+    });
+    if (!values.verbose && !values['no-simulate']) process.stderr.write('\n');
+
+    const files = await writeScenarioOutputs(path.resolve(values.out), run, { formats });
+
+    info(`Computed ${run.sourceData.length} sources and ${run.metricsData.length} metrics in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    files.forEach(file => info(`  ${file}`));
+}
+
+main().catch(async (error) => {
+    console.error(`Scenario run failed: ${error.message}`);
+    if (mongoose.connection.readyState !== 0) {
+        await mongoose.disconnect();
+    }
+    process.exitCode = 1;
+});
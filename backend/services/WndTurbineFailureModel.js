@@ -1,123 +1,474 @@
+// backend/services/WndTurbineFailureModel.js
+const { createRandom } = require('./monte-carlo-v2/utils/random');
+
+// Default prior when none is given: shape 2 (wear-out) with 10% uncertainty on both parameters
+const DEFAULT_PRIOR_BETA = 2.0;
+const DEFAULT_PRIOR_BETA_SD = 0.2;
+const DEFAULT_PRIOR_ETA_CV = 0.1;
+
+// Search bounds of the log-parameters (beta 0.1-20, eta 0.01-1e6 years)
+const LOG_BOUNDS = { logBeta: [Math.log(0.1), Math.log(20)], logEta: [Math.log(0.01), Math.log(1e6)] };
+
+// Nelder-Mead settings
+const MAX_ITERATIONS = 2000;
+const TOLERANCE = 1e-10;
+
+// Posterior grid: points per axis and its half-width in Laplace standard deviations
+const GRID_POINTS = 81;
+const GRID_HALF_WIDTH = 6;
+
+// Central-difference step of the log-parameters for the observed information
+const HESSIAN_STEP = 1e-4;
+
 class WindTurbineFailureModel {
     /**
      * Initializes the model with a MongoDB-compatible input document.
      * @param {Object} input - Input document following the defined schema.
+     * @param {number} input.designLife - Design life in years
+     * @param {number} input.totalLifetime - Years to project failures over
+     * @param {number} input.N - Number of units in the fleet
+     * @param {Array<number>} input.P - Percentiles to report
+     * @param {number} [input.assumedF=0.01] - Probability of failure by the design life, used for the default prior
+     * @param {Object} [input.historicalData] - FailureModelSchema.historicalData
+     * @param {string} [input.method='mle'] - 'mle' or 'bayesian'
+     * @param {Object} [input.prior] - WeibullPriorSchema object (null fields take the defaults)
+     * @param {number|string} [input.seed=1] - Seed of the simulation's random stream
      */
     constructor(input) {
-      this.designLife = input.designLife;
-      this.totalLifetime = input.totalLifetime;
-      this.N = input.N;
-      this.P = input.P;
-      this.assumedF = input.assumedF || 0.01;
-      this.historicalData = input.historicalData || null;
-      this.beta = null;       // Shape parameter (Weibull)
-      this.eta = null;        // Scale parameter (Weibull)
-      this.beta_sd = null;    // Standard deviation of beta
-      this.eta_sd = null;     // Standard deviation of eta
-    }
-  
+        this.designLife = input.designLife;
+        this.totalLifetime = input.totalLifetime;
+        this.N = input.N;
+        this.P = input.P;
+        this.assumedF = input.assumedF || 0.01;
+        this.historicalData = input.historicalData || null;
+        this.method = input.method || 'mle';
+        this.priorInput = input.prior || null;
+        this.seed = input.seed ?? 1;
+        this.beta = null;       // Shape parameter (Weibull)
+        this.eta = null;        // Scale parameter (Weibull)
+        this.beta_sd = null;    // Standard deviation of beta
+        this.eta_sd = null;     // Standard deviation of eta
+        this.prior = null;      // Resolved WeibullPriorSchema object
+        this.priorUsed = false; // Whether the prior shaped the estimate
+        this.correlation = 0;   // Correlation of beta and eta
+        this.parameterSampler = null;
+        this.diagnostics = null;
+    }
+
+    /**
+     * Resolved prior: given values, else shape 2 and the scale reaching assumedF at the design life
+     * @returns {Object} { beta, eta, betaSd, etaSd }
+     */
+    resolvePrior() {
+        const prior = this.priorInput || {};
+        const beta = prior.beta || DEFAULT_PRIOR_BETA;
+        const eta = prior.eta || this.designLife / Math.pow(-Math.log(1 - this.assumedF), 1 / beta);
+        return {
+            beta,
+            eta,
+            betaSd: prior.betaSd || (prior.beta ? DEFAULT_PRIOR_BETA_SD / DEFAULT_PRIOR_BETA * beta : DEFAULT_PRIOR_BETA_SD),
+            etaSd: prior.etaSd || DEFAULT_PRIOR_ETA_CV * eta
+        };
+    }
+
+    /**
+     * Yearly failure records of the historical data: units at risk at the start of each year of age and failures
+     * in it. Years between the first and last row without a row had no failures; the units surviving the last year
+     * are right-censored there, and units lost before the first year are left-truncated.
+     * @returns {Object|null} { records: [{ year, atRisk, failures }], fleetSize, warnings }, null without data
+     */
+    getObservations() {
+        const { type, data, fleetSize } = this.historicalData || {};
+        if (!type || type === 'none' || !Array.isArray(data) || data.length === 0) {
+            return null;
+        }
+
+        const warnings = [];
+        const units = fleetSize || this.N;
+        if (type === 'separate' && !fleetSize) {
+            warnings.push(`No fleet size given for the separate fleet; assumed ${units} units`);
+        }
+
+        const rates = new Map(data.map(row => [Math.round(row.year), row.failureRate || 0]));
+        const years = [...rates.keys()];
+        const first = Math.max(1, Math.min(...years));
+        const last = Math.max(...years);
+
+        const records = [];
+        let atRisk = units;
+        for (let year = first; year <= last; year++) {
+            const failures = Math.min(Math.max((rates.get(year) || 0) * units, 0), atRisk);
+            records.push({ year, atRisk, failures });
+            atRisk -= failures;
+        }
+
+        return { records, fleetSize: units, warnings };
+    }
+
+    /**
+     * Log-likelihood of grouped Weibull failure data: the failures of each year given the units at risk,
+     * with conditional failure probability q = 1 - S(t) / S(t - 1)
+     * @param {number} beta - Shape parameter.
+     * @param {number} eta - Scale parameter.
+     * @param {Array<Object>} records - Records from getObservations
+     * @returns {number} Log-likelihood
+     */
+    logLikelihood(beta, eta, records) {
+        return records.reduce((sum, { year, atRisk, failures }) => {
+            const hazard = Math.pow(year / eta, beta) - Math.pow((year - 1) / eta, beta);
+            const logSurvival = -hazard;
+            const logFailure = Math.log(Math.max(-Math.expm1(-hazard), Number.MIN_VALUE));
+            return sum + failures * logFailure + (atRisk - failures) * logSurvival;
+        }, 0);
+    }
+
+    /**
+     * Lognormal log-density of the prior at the log-parameters (up to a constant)
+     * @param {number} logBeta - Log shape
+     * @param {number} logEta - Log scale
+     * @returns {number} Log-density
+     */
+    logPrior(logBeta, logEta) {
+        const { beta, eta, betaSd, etaSd } = this.prior;
+        const logNormal = (x, mean, sd) => {
+            const sigma = Math.sqrt(Math.log(1 + Math.pow(sd / mean, 2)));
+            const mu = Math.log(mean) - sigma * sigma / 2;
+            return -0.5 * Math.pow((x - mu) / sigma, 2);
+        };
+        return logNormal(logBeta, beta, betaSd) + logNormal(logEta, eta, etaSd);
+    }
+
     /**
      * Estimates Weibull parameters (beta, eta) and their uncertainties based on input data.
+     * Without historical data the prior is used as is. 'mle' maximises the censored likelihood and takes the
+     * uncertainty from the observed information; 'bayesian' combines the prior with the likelihood into a
+     * posterior evaluated on a grid around its mode.
      */
     estimateParameters() {
-      if (!this.historicalData) {
-        // Default case: no historical data
-        this.beta = 2.0;
-        this.eta = this.designLife / Math.pow(-Math.log(1 - this.assumedF), 1 / this.beta);
-        this.beta_sd = 0.2;
-        this.eta_sd = 0.1 * this.eta;
-      } else if (this.historicalData.type === 'separate') {
-        // Historical data from a separate fleet
-        const { period, average } = this.historicalData.data;
-        const [a, b] = period;
-        const numYears = b - a + 1;
-        const errorFunc = (beta, eta) => {
-          const F_a_minus_1 = a > 1 ? this.weibullCDF(a - 1, beta, eta) : 0;
-          const F_b = this.weibullCDF(b, beta, eta);
-          const observed = average * numYears;
-          const predicted = F_b - F_a_minus_1;
-          return Math.pow(predicted - observed, 2);
+        this.prior = this.resolvePrior();
+        this.priorUsed = this.method === 'bayesian';
+        const observations = this.getObservations();
+
+        if (!observations) {
+            this.usePrior('prior', []);
+            return;
+        }
+
+        const { records, warnings } = observations;
+        const observedFailures = records.reduce((sum, record) => sum + record.failures, 0);
+
+        if (this.method === 'mle' && observedFailures === 0) {
+            warnings.push('No failures observed; the likelihood has no maximum, so the prior is used');
+            this.usePrior('mle', warnings, records);
+            return;
+        }
+
+        const logLikelihood = ([logBeta, logEta]) => this.logLikelihood(Math.exp(logBeta), Math.exp(logEta), records);
+        const objective = this.method === 'bayesian'
+            ? (x) => logLikelihood(x) + this.logPrior(x[0], x[1])
+            : logLikelihood;
+
+        const start = [Math.log(this.prior.beta), Math.log(this.prior.eta)];
+        const optimum = this.fitWeibull((x) => -objective(x), start);
+        const covariance = this.invertInformation(objective, optimum.point);
+
+        if (!optimum.converged) {
+            warnings.push(`Optimizer stopped after ${optimum.iterations} iterations without converging`);
+        }
+
+        if (this.method === 'bayesian') {
+            this.usePosteriorGrid(objective, optimum.point, covariance, warnings);
+        } else if (covariance) {
+            this.useLogNormal(optimum.point, covariance);
+        } else {
+            warnings.push('Observed information is not positive definite; parameter uncertainty taken from the prior');
+            this.useLogNormal(optimum.point, this.priorCovariance());
+        }
+
+        const logL = this.logLikelihood(this.beta, this.eta, records);
+        this.diagnostics = {
+            method: this.method,
+            converged: optimum.converged,
+            iterations: optimum.iterations,
+            logLikelihood: logL,
+            aic: this.method === 'mle' ? 4 - 2 * logL : null,
+            ...this.compareFit(records),
+            warnings
         };
-        const { beta, eta } = this.fitWeibull(errorFunc);
-        this.beta = beta;
-        this.eta = eta;
-        this.beta_sd = 0.1 * beta;
-        this.eta_sd = 0.1 * eta;
-      } else if (this.historicalData.type === 'analysis') {
-        // Historical data for the current fleet
-        const data = this.historicalData.data;
-        const observedCumulative = data.map((_, t) =>
-          data.slice(0, t + 1).reduce((sum, d) => sum + d.failureRate, 0)
+    }
+
+    /**
+     * Use the prior as the parameter distribution
+     * @param {string} method - Diagnostics method ('prior' without data)
+     * @param {Array<string>} warnings - Warnings collected so far
+     * @param {Array<Object>} [records] - Observation records to compare the prior against
+     */
+    usePrior(method, warnings, records = []) {
+        const { beta, eta } = this.prior;
+        const covariance = this.priorCovariance();
+        this.priorUsed = true;
+        // Lognormal centre keeping the prior's mean
+        this.useLogNormal(
+            [Math.log(beta) - covariance[0][0] / 2, Math.log(eta) - covariance[1][1] / 2],
+            covariance,
+            this.prior
         );
-        const errorFunc = (beta, eta) => {
-          let error = 0;
-          data.forEach((d, index) => {
-            const pred = this.weibullCDF(d.year, beta, eta);
-            error += Math.pow(observedCumulative[index] - pred, 2);
-          });
-          return error;
+        this.diagnostics = {
+            method,
+            converged: true,
+            iterations: 0,
+            logLikelihood: records.length > 0 ? this.logLikelihood(beta, eta, records) : null,
+            aic: null,
+            ...this.compareFit(records),
+            warnings
         };
-        const { beta, eta } = this.fitWeibull(errorFunc);
-        this.beta = beta;
-        this.eta = eta;
-        this.beta_sd = 0.1 * beta;
-        this.eta_sd = 0.1 * eta;
-      }
     }
-  
+
+    /**
+     * Covariance of the log-parameters under the prior
+     * @returns {Array<Array<number>>} 2x2 covariance
+     */
+    priorCovariance() {
+        const { beta, eta, betaSd, etaSd } = this.prior;
+        return [
+            [Math.log(1 + Math.pow(betaSd / beta, 2)), 0],
+            [0, Math.log(1 + Math.pow(etaSd / eta, 2))]
+        ];
+    }
+
+    /**
+     * Bivariate lognormal parameter distribution centred on the estimate (the prior, or the MLE with its
+     * asymptotic covariance)
+     * @param {Array<number>} center - [log beta, log eta]
+     * @param {Array<Array<number>>} covariance - Covariance of the log-parameters
+     * @param {Object} [moments] - Reported { beta, eta, betaSd, etaSd } (delta method from center when omitted)
+     */
+    useLogNormal(center, covariance, moments = null) {
+        const [[varBeta, cov], [, varEta]] = covariance;
+        const sdLogBeta = Math.sqrt(varBeta);
+        const sdLogEta = Math.sqrt(varEta);
+        const correlation = sdLogBeta > 0 && sdLogEta > 0 ? cov / (sdLogBeta * sdLogEta) : 0;
+
+        this.beta = moments?.beta ?? Math.exp(center[0]);
+        this.eta = moments?.eta ?? Math.exp(center[1]);
+        this.beta_sd = moments?.betaSd ?? this.beta * sdLogBeta;
+        this.eta_sd = moments?.etaSd ?? this.eta * sdLogEta;
+        this.correlation = correlation;
+
+        // Cholesky factor of the covariance
+        const l21 = sdLogBeta > 0 ? cov / sdLogBeta : 0;
+        const l22 = Math.sqrt(Math.max(varEta - l21 * l21, 0));
+        this.parameterSampler = (random) => {
+            const z1 = this.normalRandom(0, 1, random);
+            const z2 = this.normalRandom(0, 1, random);
+            return {
+                beta: Math.exp(center[0] + sdLogBeta * z1),
+                eta: Math.exp(center[1] + l21 * z1 + l22 * z2)
+            };
+        };
+    }
+
+    /**
+     * Posterior on a grid of log-parameters around its mode, spanning GRID_HALF_WIDTH Laplace standard deviations
+     * per axis; moments are taken over the grid and simulations draw grid cells by posterior weight
+     * @param {Function} logPosterior - Unnormalised log-posterior of [log beta, log eta]
+     * @param {Array<number>} mode - Posterior mode
+     * @param {Array<Array<number>>|null} covariance - Laplace covariance at the mode
+     * @param {Array<string>} warnings - Warnings collected so far
+     */
+    usePosteriorGrid(logPosterior, mode, covariance, warnings) {
+        const spread = covariance || this.priorCovariance();
+        if (!covariance) {
+            warnings.push('Posterior curvature is not positive definite; grid width taken from the prior');
+        }
+
+        const axis = (center, variance) => {
+            const halfWidth = GRID_HALF_WIDTH * Math.sqrt(variance);
+            const step = 2 * halfWidth / (GRID_POINTS - 1);
+            return { values: Array.from({ length: GRID_POINTS }, (_, i) => center - halfWidth + i * step), step };
+        };
+        const betaAxis = axis(mode[0], spread[0][0]);
+        const etaAxis = axis(mode[1], spread[1][1]);
+
+        const cells = [];
+        let maxLog = -Infinity;
+        betaAxis.values.forEach(logBeta => etaAxis.values.forEach(logEta => {
+            const value = logPosterior([logBeta, logEta]);
+            cells.push({ logBeta, logEta, value });
+            if (value > maxLog) maxLog = value;
+        }));
+
+        let total = 0;
+        cells.forEach(cell => {
+            cell.weight = Number.isFinite(cell.value) ? Math.exp(cell.value - maxLog) : 0;
+            total += cell.weight;
+        });
+
+        let cumulative = 0;
+        let meanBeta = 0, meanEta = 0, meanBeta2 = 0, meanEta2 = 0, meanCross = 0;
+        cells.forEach(cell => {
+            const p = cell.weight / total;
+            const beta = Math.exp(cell.logBeta);
+            const eta = Math.exp(cell.logEta);
+            meanBeta += p * beta;
+            meanEta += p * eta;
+            meanBeta2 += p * beta * beta;
+            meanEta2 += p * eta * eta;
+            meanCross += p * beta * eta;
+            cumulative += p;
+            cell.cumulative = cumulative;
+        });
+
+        const edgeMass = cells
+            .filter(cell => cell.logBeta === betaAxis.values[0] || cell.logBeta === betaAxis.values[GRID_POINTS - 1] ||
+                cell.logEta === etaAxis.values[0] || cell.logEta === etaAxis.values[GRID_POINTS - 1])
+            .reduce((sum, cell) => sum + cell.weight / total, 0);
+        if (edgeMass > 1e-3) {
+            warnings.push('Posterior mass reaches the edge of the grid; the data barely constrain the parameters');
+        }
+
+        this.beta = meanBeta;
+        this.eta = meanEta;
+        this.beta_sd = Math.sqrt(Math.max(meanBeta2 - meanBeta * meanBeta, 0));
+        this.eta_sd = Math.sqrt(Math.max(meanEta2 - meanEta * meanEta, 0));
+        this.correlation = this.beta_sd > 0 && this.eta_sd > 0
+            ? (meanCross - meanBeta * meanEta) / (this.beta_sd * this.eta_sd)
+            : 0;
+
+        this.parameterSampler = (random) => {
+            const u = random();
+            let low = 0;
+            let high = cells.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (cells[mid].cumulative < u) low = mid + 1;
+                else high = mid;
+            }
+            // Spread draws uniformly over the cell
+            return {
+                beta: Math.exp(cells[low].logBeta + (random() - 0.5) * betaAxis.step),
+                eta: Math.exp(cells[low].logEta + (random() - 0.5) * etaAxis.step)
+            };
+        };
+    }
+
+    /**
+     * Observed against expected failures by year at the estimate
+     * @param {Array<Object>} records - Observation records
+     * @returns {Object} { observedFailures, expectedFailures, unitsObserved, byYear }
+     */
+    compareFit(records) {
+        const byYear = records.map(({ year, atRisk, failures }) => {
+            const q = 1 - Math.exp(-(Math.pow(year / this.eta, this.beta) - Math.pow((year - 1) / this.eta, this.beta)));
+            return { year, atRisk, observed: failures, expected: atRisk * q };
+        });
+        return {
+            observedFailures: byYear.reduce((sum, row) => sum + row.observed, 0),
+            expectedFailures: byYear.reduce((sum, row) => sum + row.expected, 0),
+            unitsObserved: records[0]?.atRisk || 0,
+            byYear
+        };
+    }
+
+    /**
+     * Covariance of the log-parameters from the curvature of a log-density at its maximum
+     * @param {Function} logDensity - Log-likelihood or log-posterior of [log beta, log eta]
+     * @param {Array<number>} point - Maximum
+     * @returns {Array<Array<number>>|null} 2x2 covariance, null when the curvature is not negative definite
+     */
+    invertInformation(logDensity, point) {
+        const h = HESSIAN_STEP;
+        const f = (dx, dy) => logDensity([point[0] + dx, point[1] + dy]);
+        const f0 = f(0, 0);
+        const a = -(f(h, 0) - 2 * f0 + f(-h, 0)) / (h * h);
+        const d = -(f(0, h) - 2 * f0 + f(0, -h)) / (h * h);
+        const b = -(f(h, h) - f(h, -h) - f(-h, h) + f(-h, -h)) / (4 * h * h);
+        const determinant = a * d - b * b;
+
+        if (!(a > 0 && determinant > 0)) {
+            return null;
+        }
+        return [[d / determinant, -b / determinant], [-b / determinant, a / determinant]];
+    }
+
     /**
      * Runs Monte Carlo simulation to compute failure distributions.
+     * Each sample draws (beta, eta) from the fitted parameter distribution.
      * @param {number} [numSamples=10000] - Number of simulation samples.
      * @returns {Object} Raw simulation results.
      */
     runSimulation(numSamples = 10000) {
-      const failuresByYear = Array(this.totalLifetime).fill().map(() => []);
-      const cumulativeFailuresByYear = Array(this.totalLifetime).fill().map(() => []);
-  
-      for (let s = 0; s < numSamples; s++) {
-        const beta = this.normalRandom(this.beta, this.beta_sd);
-        const eta = this.normalRandom(this.eta, this.eta_sd);
-        let F_prev = 0;
-  
-        for (let t = 1; t <= this.totalLifetime; t++) {
-          const F_t = this.weibullCDF(t, beta, eta);
-          const failures = this.N * (F_t - F_prev);
-          failuresByYear[t - 1].push(failures);
-          cumulativeFailuresByYear[t - 1].push(this.N * F_t);
-          F_prev = F_t;
+        const random = createRandom(this.seed);
+        const failuresByYear = Array(this.totalLifetime).fill().map(() => []);
+        const cumulativeFailuresByYear = Array(this.totalLifetime).fill().map(() => []);
+
+        for (let s = 0; s < numSamples; s++) {
+            const { beta, eta } = this.parameterSampler(random);
+            let F_prev = 0;
+
+            for (let t = 1; t <= this.totalLifetime; t++) {
+                const F_t = this.weibullCDF(t, beta, eta);
+                const failures = this.N * (F_t - F_prev);
+                failuresByYear[t - 1].push(failures);
+                cumulativeFailuresByYear[t - 1].push(this.N * F_t);
+                F_prev = F_t;
+            }
         }
-      }
-  
-      return { failuresByYear, cumulativeFailuresByYear };
+
+        return { failuresByYear, cumulativeFailuresByYear };
     }
-  
+
     /**
      * Computes failure rates and structures the MongoDB-compatible output.
-     * @returns {Object} Output document following the defined schema.
-     */
-    calculateFailureRates() {
-      this.estimateParameters();
-      const { failuresByYear, cumulativeFailuresByYear } = this.runSimulation();
-  
-      const output = {
-        years: Array.from({ length: this.totalLifetime }, (_, i) => i + 1),
-        failureRates: {},
-        cumulativeFailureRates: {},
-        historicalData: this.historicalData && this.historicalData.type === 'analysis'
-          ? this.historicalData.data.map(d => ({ year: d.year, observed: d.failureRate }))
-          : []
-      };
-  
-      this.P.forEach(p => {
-        output.failureRates[`P${p}`] = failuresByYear.map(yearData => this.percentile(yearData, p));
-        output.cumulativeFailureRates[`P${p}`] = cumulativeFailuresByYear.map(yearData => this.percentile(yearData, p));
-      });
-  
-      return output;
-    }
-  
+     * @param {number} [numSamples=10000] - Number of simulation samples.
+     * @returns {Object} Output document following the defined schema, with the fit (FailureModelFitSchema).
+     */
+    calculateFailureRates(numSamples = 10000) {
+        this.estimateParameters();
+        const { failuresByYear, cumulativeFailuresByYear } = this.runSimulation(numSamples);
+
+        const output = {
+            years: Array.from({ length: this.totalLifetime }, (_, i) => i + 1),
+            failureRates: {},
+            cumulativeFailureRates: {},
+            historicalData: this.historicalData && this.historicalData.type === 'analysis'
+                ? this.historicalData.data.map(d => ({ year: d.year, observed: d.failureRate }))
+                : [],
+            fit: this.getFit()
+        };
+
+        this.P.forEach(p => {
+            output.failureRates[`P${p}`] = failuresByYear.map(yearData => this.percentile(yearData, p));
+            output.cumulativeFailureRates[`P${p}`] = cumulativeFailuresByYear.map(yearData => this.percentile(yearData, p));
+        });
+
+        return output;
+    }
+
+    /**
+     * Latest fit
+     * @returns {Object|null} FailureModelFitSchema object, null before estimateParameters
+     */
+    getFit() {
+        if (!this.diagnostics) {
+            return null;
+        }
+        return {
+            parameters: {
+                beta: this.beta,
+                eta: this.eta,
+                betaSd: this.beta_sd,
+                etaSd: this.eta_sd,
+                correlation: this.correlation
+            },
+            prior: this.priorUsed ? this.prior : null,
+            diagnostics: this.diagnostics,
+            fittedAt: new Date()
+        };
+    }
+
     // --- Helper Methods ---
-  
+
     /**
      * Computes the Weibull cumulative distribution function (CDF).
      * @param {number} t - Time in years.
@@ -126,22 +477,23 @@ class WindTurbineFailureModel {
      * @returns {number} Probability of failure by time t.
      */
     weibullCDF(t, beta, eta) {
-      return 1 - Math.exp(-Math.pow(t / eta, beta));
+        return 1 - Math.exp(-Math.pow(t / eta, beta));
     }
-  
+
     /**
      * Generates a normally distributed random number.
      * @param {number} mean - Mean of the distribution.
      * @param {number} sd - Standard deviation.
+     * @param {Function} random - Uniform random stream.
      * @returns {number} Random sample.
      */
-    normalRandom(mean, sd) {
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      return mean + sd * z;
+    normalRandom(mean, sd, random) {
+        const u1 = 1 - random();
+        const u2 = random();
+        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        return mean + sd * z;
     }
-  
+
     /**
      * Computes the percentile of an array of values.
      * @param {number[]} values - Array of numbers.
@@ -149,57 +501,75 @@ class WindTurbineFailureModel {
      * @returns {number} Value at the given percentile.
      */
     percentile(values, p) {
-      const sorted = [...values].sort((a, b) => a - b);
-      const index = (p / 100) * (sorted.length - 1);
-      const lower = Math.floor(index);
-      const upper = Math.ceil(index);
-      if (lower === upper) return sorted[lower];
-      const fraction = index - lower;
-      return sorted[lower] + fraction * (sorted[upper] - sorted[lower]);
-    }
-  
-    /**
-     * Fits Weibull parameters by minimizing an error function.
-     * @param {Function} errorFunc - Error function to minimize.
-     * @returns {Object} Estimated beta and eta.
-     */
-    fitWeibull(errorFunc) {
-      // Simple grid search for demonstration (replace with a robust optimizer in production)
-      let bestBeta = 2.0;
-      let bestEta = 10.0;
-      let minError = Infinity;
-  
-      for (let beta = 1.0; beta <= 3.0; beta += 0.1) {
-        for (let eta = 5.0; eta <= 20.0; eta += 0.5) {
-          const error = errorFunc(beta, eta);
-          if (error < minError) {
-            minError = error;
-            bestBeta = beta;
-            bestEta = eta;
-          }
+        const sorted = [...values].sort((a, b) => a - b);
+        const index = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(index);
+        const upper = Math.ceil(index);
+        if (lower === upper) return sorted[lower];
+        const fraction = index - lower;
+        return sorted[lower] + fraction * (sorted[upper] - sorted[lower]);
+    }
+
+    /**
+     * Minimises a function of the log-parameters with Nelder-Mead (points outside LOG_BOUNDS are rejected).
+     * @param {Function} objective - Function of [log beta, log eta] to minimise.
+     * @param {Array<number>} start - Starting point.
+     * @returns {Object} { point, value, iterations, converged }
+     */
+    fitWeibull(objective, start) {
+        const bounded = ([logBeta, logEta]) => {
+            const inside = logBeta >= LOG_BOUNDS.logBeta[0] && logBeta <= LOG_BOUNDS.logBeta[1] &&
+                logEta >= LOG_BOUNDS.logEta[0] && logEta <= LOG_BOUNDS.logEta[1];
+            const value = inside ? objective([logBeta, logEta]) : Infinity;
+            return Number.isFinite(value) ? value : Infinity;
+        };
+
+        let simplex = [start, [start[0] + 0.2, start[1]], [start[0], start[1] + 0.2]]
+            .map(point => ({ point, value: bounded(point) }));
+        const combine = (a, b, weight) => [a[0] + weight * (b[0] - a[0]), a[1] + weight * (b[1] - a[1])];
+
+        let iterations = 0;
+        while (iterations < MAX_ITERATIONS) {
+            simplex.sort((a, b) => a.value - b.value);
+            const [best, second, worst] = simplex;
+            const spread = Math.abs(worst.value - best.value);
+            const size = Math.max(...simplex.map(({ point }) => Math.hypot(point[0] - best.point[0], point[1] - best.point[1])));
+            if (Number.isFinite(worst.value) && spread < TOLERANCE && size < 1e-6) {
+                return { point: best.point, value: best.value, iterations, converged: true };
+            }
+            iterations++;
+
+            const centroid = [(best.point[0] + second.point[0]) / 2, (best.point[1] + second.point[1]) / 2];
+            const reflected = combine(centroid, worst.point, -1);
+            const reflectedValue = bounded(reflected);
+
+            if (reflectedValue < best.value) {
+                const expanded = combine(centroid, worst.point, -2);
+                const expandedValue = bounded(expanded);
+                simplex[2] = expandedValue < reflectedValue
+                    ? { point: expanded, value: expandedValue }
+                    : { point: reflected, value: reflectedValue };
+            } else if (reflectedValue < second.value) {
+                simplex[2] = { point: reflected, value: reflectedValue };
+            } else {
+                const contracted = combine(centroid, worst.point, 0.5);
+                const contractedValue = bounded(contracted);
+                if (contractedValue < worst.value) {
+                    simplex[2] = { point: contracted, value: contractedValue };
+                } else {
+                    // Shrink towards the best point
+                    simplex = simplex.map(({ point }, index) => {
+                        if (index === 0) return simplex[0];
+                        const shrunk = combine(best.point, point, 0.5);
+                        return { point: shrunk, value: bounded(shrunk) };
+                    });
+                }
+            }
         }
-      }
-      return { beta: bestBeta, eta: bestEta };
-    }
-  }
-  
-  // --- Example Usage ---
-  const input = {
-    designLife: 20,
-    totalLifetime: 25,
-    N: 100,
-    P: [90, 75, 50],
-    assumedF: 0.01,
-    historicalData: {
-      type: "analysis",
-      data: [
-        { year: 1, failureRate: 0.02 },
-        { year: 2, failureRate: 0.03 },
-        { year: 3, failureRate: 0.04 }
-      ]
-    }
-  };
-  
-  const model = new WindTurbineFailureModel(input);
-  const result = model.calculateFailureRates();
-  console.log(JSON.stringify(result, null, 2));
\ No newline at end of file
+
+        simplex.sort((a, b) => a.value - b.value);
+        return { point: simplex[0].point, value: simplex[0].value, iterations, converged: false };
+    }
+}
+
+module.exports = WindTurbineFailureModel;
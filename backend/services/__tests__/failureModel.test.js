@@ -0,0 +1,93 @@
+// backend/services/__tests__/failureModel.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WindTurbineFailureModel = require('../WndTurbineFailureModel');
+
+const TRUTH = { beta: 1.6, eta: 40 };
+
+/**
+ * Yearly failure shares of a fleet following the true Weibull
+ * @param {number} years - Observed years of age
+ * @returns {Array<Object>} { year, failureRate }
+ */
+const observedRates = (years) => {
+    const cdf = (t) => 1 - Math.exp(-Math.pow(t / TRUTH.eta, TRUTH.beta));
+    return Array.from({ length: years }, (_, index) => ({ year: index + 1, failureRate: cdf(index + 1) - cdf(index) }));
+};
+
+const createModel = (overrides) => new WindTurbineFailureModel({
+    designLife: 20, totalLifetime: 25, N: 2000, P: [90, 50, 10], assumedF: 0.2, ...overrides
+});
+
+test('MLE recovers the Weibull parameters of censored fleet data with observed-information uncertainty', () => {
+    const model = createModel({ historicalData: { type: 'analysis', data: observedRates(8) } });
+    model.estimateParameters();
+    const fit = model.getFit();
+
+    assert.equal(fit.diagnostics.method, 'mle');
+    assert.equal(fit.diagnostics.converged, true);
+    assert.ok(Math.abs(fit.parameters.beta - TRUTH.beta) < 1e-3);
+    assert.ok(Math.abs(fit.parameters.eta - TRUTH.eta) < 1e-2);
+    assert.ok(Math.abs(fit.diagnostics.expectedFailures - fit.diagnostics.observedFailures) < 1e-3);
+    assert.equal(fit.prior, null);
+
+    // Only 8 of 40 years observed: shape and scale are uncertain and strongly traded off
+    assert.ok(fit.parameters.betaSd > 0.05);
+    assert.ok(fit.parameters.correlation < -0.5);
+
+    // A ten times larger fleet shrinks the standard errors by about √10
+    const large = createModel({ historicalData: { type: 'separate', fleetSize: 20000, data: observedRates(8) } });
+    large.estimateParameters();
+    const ratio = fit.parameters.betaSd / large.getFit().parameters.betaSd;
+    assert.ok(Math.abs(ratio - Math.sqrt(10)) < 0.1);
+});
+
+test('Bayesian update moves between the prior and the data with the strength of each', () => {
+    const prior = { beta: 2.5, eta: 60, betaSd: 0.25, etaSd: 6 };
+    const fitWith = (fleetSize) => {
+        const model = createModel({ method: 'bayesian', prior, historicalData: { type: 'separate', fleetSize, data: observedRates(8) } });
+        model.estimateParameters();
+        return model.getFit();
+    };
+
+    const weakData = fitWith(20);
+    const strongData = fitWith(200000);
+
+    assert.deepEqual(weakData.prior, prior);
+    assert.ok(Math.abs(weakData.parameters.beta - prior.beta) < 0.2);
+    assert.ok(Math.abs(weakData.parameters.eta - prior.eta) < 3);
+    assert.ok(Math.abs(strongData.parameters.beta - TRUTH.beta) < 0.1);
+    assert.ok(Math.abs(strongData.parameters.eta - TRUTH.eta) < 2);
+    assert.ok(strongData.parameters.betaSd < weakData.parameters.betaSd);
+    assert.deepEqual(strongData.diagnostics.warnings, []);
+});
+
+test('fitted posteriors drive the failure projection and runs are reproducible', () => {
+    const input = { method: 'bayesian', seed: 7, historicalData: { type: 'analysis', data: observedRates(8) } };
+    const first = createModel(input).calculateFailureRates(2000);
+    const second = createModel(input).calculateFailureRates(2000);
+
+    assert.deepEqual(first.failureRates, second.failureRates);
+    assert.equal(first.years.length, 25);
+    assert.ok(first.failureRates.P90[24] > first.failureRates.P50[24]);
+    assert.ok(first.failureRates.P50[24] > first.failureRates.P10[24]);
+
+    // Median cumulative failures by year 8 stay close to the observed ones
+    const observed = observedRates(8).reduce((sum, row) => sum + row.failureRate, 0) * 2000;
+    assert.ok(Math.abs(first.cumulativeFailureRates.P50[7] - observed) / observed < 0.05);
+});
+
+test('without data or failures the prior is used and reported', () => {
+    const noData = createModel({});
+    noData.estimateParameters();
+    const fit = noData.getFit();
+    assert.equal(fit.diagnostics.method, 'prior');
+    assert.equal(fit.parameters.beta, 2);
+    // Default prior scale reaches assumedF at the design life
+    assert.ok(Math.abs(noData.weibullCDF(20, fit.parameters.beta, fit.parameters.eta) - 0.2) < 1e-12);
+
+    const noFailures = createModel({ historicalData: { type: 'analysis', data: [{ year: 1, failureRate: 0 }, { year: 2, failureRate: 0 }] } });
+    noFailures.estimateParameters();
+    assert.equal(noFailures.getFit().diagnostics.warnings.length, 1);
+    assert.deepEqual(noFailures.getFit().prior, noFailures.prior);
+});
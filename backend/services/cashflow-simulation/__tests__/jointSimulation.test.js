@@ -0,0 +1,70 @@
+// backend/services/cashflow-simulation/__tests__/jointSimulation.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ScenarioSchema } = require('../../../../schemas/yup/scenario');
+const { runScenario } = require('../../scenario-runner');
+const { runCashflowSimulation } = require('..');
+
+// Default scenario plus the escalation rate distribution the cube requires
+const buildSettings = (revenue = {}) => {
+    const { settings } = ScenarioSchema.default();
+    settings.modules.cost.escalationRate = {
+        key: 'escalationRate', type: 'fixed', timeSeriesMode: false, parameters: { value: 2 }
+    };
+    Object.assign(settings.modules.revenue, revenue);
+    return settings;
+};
+
+const runJoint = (settings, iterations = 150) => runCashflowSimulation({
+    settings,
+    simulationSettings: { iterations, seed: 7, years: settings.general.projectLife, percentiles: settings.simulation.percentiles }
+});
+
+const runPercentileCube = async (settings) => {
+    const { log, warn } = console;
+    console.log = console.warn = () => { };
+    try {
+        return await runScenario({ name: 'Joint test', settings }, { signal: AbortSignal.timeout(120000) });
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+};
+
+const jointValue = (results, percentile) => results.find(result => result.percentile.value === percentile).data[0].value;
+const cubeMetric = (run, id, percentile) => run.metricsData.find(metric => metric.id === id).percentileMetrics
+    .find(result => result.percentile.value === percentile).value;
+
+test('iterations run through the cube source and metric chain', async () => {
+    // Without randomness every iteration is the percentile cube's own case
+    const settings = buildSettings({
+        energyProduction: { key: 'energyProduction', type: 'fixed', parameters: { value: 100000 } },
+        electricityPrice: { key: 'electricityPrice', type: 'fixed', parameters: { value: 50 } }
+    });
+    const [joint, cube] = [await runJoint(settings, 100), await runPercentileCube(settings)];
+
+    assert.deepEqual(joint.errors, []);
+    assert.ok(Math.abs(jointValue(joint.metrics.IRR, 50) - cubeMetric(cube, 'projectIRR', 50)) < 1e-9);
+    assert.ok(Math.abs(jointValue(joint.metrics.equityIRR, 50) - cubeMetric(cube, 'equityIRR', 50)) < 1e-9);
+    assert.ok(Math.abs(jointValue(joint.metrics.minDSCR, 50) - cubeMetric(cube, 'dscrMetrics', 50)) < 1e-9);
+
+    const cubeEquity = cube.sourceData.find(source => source.id === 'equityCashflow').percentileSource
+        .find(result => result.percentile.value === 50).data;
+    const jointEquity = joint.sources.equityCashflow.find(result => result.percentile.value === 50).data;
+    assert.deepEqual(jointEquity.map(point => point.year), cubeEquity.map(point => point.year));
+    jointEquity.forEach(({ value }, index) => assert.ok(Math.abs(value - cubeEquity[index].value) < 1e-6));
+});
+
+test('joint P-values are narrower than metrics of percentile inputs', async () => {
+    const settings = buildSettings();
+    settings.simulation.iterations = 500;
+    const [joint, cube] = [await runJoint(settings), await runPercentileCube(settings)];
+
+    // Every input distribution of the cube is a driver, market factors included
+    assert.ok(['energyProduction', 'electricityPrice', 'escalationRate', 'baseEscalationRate']
+        .every(key => joint.simulationInfo.drivers.includes(key)));
+
+    const jointSpread = jointValue(joint.metrics.IRR, 10) - jointValue(joint.metrics.IRR, 90);
+    const cubeSpread = cubeMetric(cube, 'projectIRR', 10) - cubeMetric(cube, 'projectIRR', 90);
+    assert.ok(jointSpread > 0);
+    assert.ok(jointSpread < cubeSpread);
+});
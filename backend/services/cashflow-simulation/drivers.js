@@ -0,0 +1,32 @@
+// backend/services/cashflow-simulation/drivers.js
+const { DistributionTypeSchema } = require('../../../schemas/yup/distribution');
+const { collectDistributions } = require('../scenario-runner');
+
+/**
+ * Collect the stochastic drivers sampled together in every iteration of the joint cashflow simulation.
+ * These are the distributions the input simulations run for the cube (energy, price, escalation, downtime, wind,
+ * market factors and component failure rates), keyed like simulation.inputSim so each iteration can stand in for
+ * a percentile of the cube.
+ * @param {Object} settings - Scenario settings (SettingsSchema)
+ * @returns {Array<Object>} Array of { key, distribution } with distributions cast to DistributionTypeSchema
+ */
+function collectDrivers(settings) {
+    const drivers = new Map();
+
+    collectDistributions(settings).forEach(distribution => {
+        if (!distribution.key || !distribution.type || drivers.has(distribution.key)) {
+            return;
+        }
+
+        drivers.set(distribution.key, {
+            key: distribution.key,
+            distribution: DistributionTypeSchema.cast(distribution)
+        });
+    });
+
+    return Array.from(drivers.values());
+}
+
+module.exports = {
+    collectDrivers
+};
@@ -0,0 +1,200 @@
+// backend/services/cashflow-simulation/engine.js
+const DistributionWorker = require('../monte-carlo-v2/engine/worker');
+const { resolveCorrelation, correlatePaths } = require('../monte-carlo-v2/utils/correlation');
+const { createRandom } = require('../monte-carlo-v2/utils/random');
+const { calculateSortedPercentile } = require('../monte-carlo-v2/utils/percentiles');
+const { collectDrivers } = require('./drivers');
+const { SERIES_DEFINITIONS, METRIC_DEFINITIONS, buildCashflowModel, evaluateBatch } = require('./pipeline');
+const { CashflowSimRequestSchema, CashflowSimResultsSchema } = require('../../../schemas/yup/cashflowSimulation');
+
+/**
+ * Joint Monte Carlo engine for the full cashflow cube.
+ * Every iteration samples all drivers together and pushes the draws through the
+ * cube source and metric chain; percentiles are only taken at the end, so NPV, IRR
+ * and min DSCR are true P-values instead of metrics of percentile inputs.
+ */
+class CashflowSimulationEngine {
+    /**
+     * Create a new joint cashflow engine
+     * @param {Object} request - CashflowSimRequestSchema-compliant object with settings and simulationSettings
+     */
+    constructor(request) {
+        const validatedRequest = CashflowSimRequestSchema.validateSync(request);
+
+        this.settings = validatedRequest.settings;
+        this.options = { ...validatedRequest.simulationSettings };
+        this.drivers = collectDrivers(this.settings).map(({ key, distribution }) => ({
+            key,
+            distribution,
+            worker: new DistributionWorker(distribution, this.options)
+        }));
+        this.results = null;
+    }
+
+    /**
+     * Compute percentile results for one set of iteration values
+     * @param {Float64Array} values - Values across iterations
+     * @param {string} direction - 'ascending' or 'descending' percentile direction
+     * @returns {Function|null} Function mapping a percentile to its value, null when no value is defined
+     * @private
+     */
+    _percentileLookup(values, direction) {
+        const sorted = values.filter(value => Number.isFinite(value)).sort();
+        if (sorted.length === 0) {
+            return null;
+        }
+
+        return (percentile) => calculateSortedPercentile(
+            sorted,
+            direction === 'descending' ? 100 - percentile : percentile
+        );
+    }
+
+    /**
+     * Re-pair driver iterations so drivers move together as configured in settings.simulation.correlation
+     * @param {Object} driverPaths - Sampled paths keyed by driver; reordered in place
+     * @param {Array<string>} errors - Warning list to append ignored variables to
+     * @returns {Object|null} Correlation report (CorrelationReportSchema) or null when nothing is correlated
+     * @private
+     */
+    _applyCorrelation(driverPaths, errors) {
+        const correlation = this.options.correlation || this.settings.simulation?.correlation;
+        const resolved = resolveCorrelation(correlation, Object.keys(driverPaths));
+        if (!resolved) {
+            return null;
+        }
+
+        if (resolved.ignored.length > 0) {
+            errors.push(`Correlation ignored for variables that are not cashflow drivers: ${resolved.ignored.join(', ')}`);
+        }
+
+        const workers = new Map(this.drivers.map(({ key, worker }) => [key, worker]));
+        const { paths, achieved } = correlatePaths(
+            resolved.variables.map(key => driverPaths[key]),
+            resolved.variables.map(key => workers.get(key).generator.constructor.isPathDependent()),
+            resolved.matrix,
+            resolved.method,
+            createRandom(`${this.options.seed}-correlation`, this.options.randomGenerator)
+        );
+
+        resolved.variables.forEach((key, j) => {
+            driverPaths[key] = paths[j];
+        });
+
+        return {
+            method: resolved.method,
+            variables: resolved.variables,
+            target: resolved.matrix,
+            achieved,
+            ignored: resolved.ignored
+        };
+    }
+
+    /**
+     * Run the joint simulation
+     * @returns {Object} Results validated against CashflowSimResultsSchema
+     */
+    async run() {
+        const { iterations, seed, percentiles: percentileValues } = this.options;
+        const startTime = Date.now();
+        const errors = [];
+
+        // Each driver keeps its own stream so adding a driver does not shift the others
+        this.drivers.forEach(({ key, worker }) => worker.initialize(`${seed}-${key}`));
+        const driverPaths = {};
+        this.drivers.forEach(({ key, worker }) => {
+            driverPaths[key] = worker.samplePaths();
+        });
+
+        const correlation = this._applyCorrelation(driverPaths, errors);
+        const model = buildCashflowModel(this.settings, this.drivers, driverPaths);
+
+        // Iteration values per series/year and per metric; years a source does not cover stay NaN
+        const seriesValues = {};
+        Object.keys(SERIES_DEFINITIONS).forEach(id => {
+            seriesValues[id] = new Map();
+        });
+        const metricValues = {};
+        Object.keys(METRIC_DEFINITIONS).forEach(id => {
+            metricValues[id] = new Float64Array(iterations).fill(NaN);
+        });
+
+        for (let start = 0; start < iterations; start += model.labels.length) {
+            const batch = Array.from({ length: Math.min(model.labels.length, iterations - start) }, (_, k) => start + k);
+
+            evaluateBatch(model, driverPaths, batch).forEach(({ series, metrics }, k) => {
+                const i = batch[k];
+                for (const id in series) {
+                    series[id].forEach((value, year) => {
+                        if (!seriesValues[id].has(year)) {
+                            seriesValues[id].set(year, new Float64Array(iterations).fill(NaN));
+                        }
+                        seriesValues[id].get(year)[i] = value;
+                    });
+                }
+                for (const id in metrics) {
+                    metricValues[id][i] = metrics[id];
+                }
+            });
+
+            // Each cube run is synchronous; let other requests through between batches
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        // Percentiles of each series, year by year
+        const sources = {};
+        Object.entries(SERIES_DEFINITIONS).forEach(([id, { direction }]) => {
+            const lookups = [...seriesValues[id].entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([year, values]) => ({ year, lookup: this._percentileLookup(values, direction) }))
+                .filter(({ lookup }) => lookup);
+
+            sources[id] = percentileValues.map(percentile => ({
+                name: id,
+                percentile,
+                data: lookups.map(({ year, lookup }) => ({ year, value: lookup(percentile.value) }))
+            }));
+        });
+
+        // Percentiles of each metric across iterations
+        const metrics = {};
+        Object.entries(METRIC_DEFINITIONS).forEach(([id, { direction }]) => {
+            const lookup = this._percentileLookup(metricValues[id], direction);
+            metrics[id] = lookup
+                ? percentileValues.map(percentile => ({
+                    name: id,
+                    percentile,
+                    data: [{ year: 0, value: lookup(percentile.value) }]
+                }))
+                : [];
+        });
+
+        const results = {
+            success: true,
+            simulationInfo: {
+                iterations,
+                seed,
+                years: this.options.years,
+                timeElapsed: Date.now() - startTime,
+                drivers: this.drivers.map(({ key }) => key),
+                correlation
+            },
+            sources,
+            metrics,
+            errors
+        };
+
+        this.results = CashflowSimResultsSchema.validateSync(results, { stripUnknown: true });
+        return this.results;
+    }
+
+    /**
+     * Get the latest simulation results
+     * @returns {Object|null} Latest results or null if the simulation has not been run
+     */
+    getResults() {
+        return this.results;
+    }
+}
+
+module.exports = CashflowSimulationEngine;
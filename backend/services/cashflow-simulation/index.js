@@ -0,0 +1,39 @@
+// backend/services/cashflow-simulation/index.js
+/**
+ * Main entry point for the joint cashflow simulation module
+ * Samples all cashflow drivers together per iteration using the Monte Carlo V2 distributions
+ * and runs every iteration through the cube source and metric chain
+ */
+
+const CashflowSimulationEngine = require('./engine');
+const { collectDrivers } = require('./drivers');
+const { buildCashflowModel, evaluateBatch, SERIES_DEFINITIONS, METRIC_DEFINITIONS } = require('./pipeline');
+
+/**
+ * Create a joint cashflow simulation engine
+ * @param {Object} request - CashflowSimRequestSchema-compliant object
+ * @returns {CashflowSimulationEngine} Engine instance
+ */
+function createCashflowEngine(request) {
+    return new CashflowSimulationEngine(request);
+}
+
+/**
+ * Run a joint cashflow simulation
+ * @param {Object} request - CashflowSimRequestSchema-compliant object
+ * @returns {Promise<Object>} Results validated against CashflowSimResultsSchema
+ */
+async function runCashflowSimulation(request) {
+    return createCashflowEngine(request).run();
+}
+
+module.exports = {
+    createCashflowEngine,
+    runCashflowSimulation,
+    collectDrivers,
+    buildCashflowModel,
+    evaluateBatch,
+    SERIES_DEFINITIONS,
+    METRIC_DEFINITIONS,
+    CashflowSimulationEngine
+};
@@ -0,0 +1,152 @@
+// backend/services/cashflow-simulation/pipeline.js
+/**
+ * Per-iteration cashflow chain for the joint Monte Carlo simulation.
+ * Iterations are pushed through the cube source and metric registries (frontend/src/utils/cube) - the same chain
+ * as the percentile cube - with each iteration standing in for one percentile of a cube run.
+ */
+const { applySimulationResults } = require('../scenario-runner');
+const { requireFrontendModule } = require('../scenario-runner/frontendModules');
+const { calculateSortedPercentile } = require('../monte-carlo-v2/utils/percentiles');
+
+/**
+ * Cube sources collected for every iteration.
+ * direction follows DistributionTypeSchema.metadata.percentileDirection:
+ * 'descending' means higher percentiles are lower (more conservative) values.
+ */
+const SERIES_DEFINITIONS = {
+    energyRevenue: { direction: 'descending' },
+    contractFees: { direction: 'ascending' },
+    majorRepairs: { direction: 'ascending' },
+    reserveFunds: { direction: 'ascending' },
+    totalRevenue: { direction: 'descending' },
+    totalCost: { direction: 'ascending' },
+    netCashflow: { direction: 'descending' },
+    debtService: { direction: 'ascending' },
+    dscr: { direction: 'descending' },
+    projectCashflow: { direction: 'descending' },
+    equityCashflow: { direction: 'descending' }
+};
+
+/**
+ * Cube metrics collected for every iteration (keys match OutputSimSchema, metricId is the cube metric)
+ */
+const METRIC_DEFINITIONS = {
+    IRR: { metricId: 'projectIRR', direction: 'descending' },
+    equityIRR: { metricId: 'equityIRR', direction: 'descending' },
+    NPV: { metricId: 'projectNPV', direction: 'descending' },
+    paybackPeriod: { metricId: 'paybackPeriod', direction: 'ascending' },
+    minDSCR: { metricId: 'dscrMetrics', direction: 'descending' }
+};
+
+// Cube results carry percentiles 0-99, so one cube run holds up to 99 iterations next to the anchor
+const MAX_PERCENTILE = 99;
+
+/**
+ * Build the year-by-year percentile path of a driver across all iterations
+ * @param {Array<Array<number>>} paths - Sampled paths, one per iteration
+ * @param {Object} distribution - DistributionTypeSchema object
+ * @param {number} percentile - Percentile
+ * @returns {Array<Object>} DataPointSchema array of years 1..n
+ */
+function percentilePath(paths, distribution, percentile) {
+    const years = paths[0]?.length || 0;
+    const target = distribution.metadata?.percentileDirection === 'descending' ? 100 - percentile : percentile;
+
+    return Array.from({ length: years }, (_, index) => ({
+        year: index + 1,
+        value: calculateSortedPercentile(paths.map(path => path[index]).sort((a, b) => a - b), target)
+    }));
+}
+
+/**
+ * Precompute what every cube run of the simulation shares.
+ * Each run also carries an anchor: the drivers' percentile paths at the sculpting percentile, the one percentile
+ * the cube reads across percentiles (sculpted debt is sized on it), so debt is sized as in the percentile cube
+ * rather than on whichever iteration lands closest to that percentile.
+ * @param {Object} settings - Scenario settings (SettingsSchema)
+ * @param {Array<Object>} drivers - { key, distribution } from collectDrivers
+ * @param {Object} driverPaths - Sampled paths keyed by driver
+ * @returns {Object} Cashflow model consumed by evaluateBatch
+ */
+function buildCashflowModel(settings, drivers, driverPaths) {
+    const anchor = settings.modules?.financing?.sculptingPercentile || 50;
+
+    return {
+        settings,
+        drivers,
+        anchor,
+        anchorPaths: Object.fromEntries(drivers.map(({ key, distribution }) =>
+            [key, percentilePath(driverPaths[key], distribution, anchor)])),
+        labels: Array.from({ length: MAX_PERCENTILE + 1 }, (_, value) => value).filter(value => value !== anchor)
+    };
+}
+
+/**
+ * Run the cube with console output off; the processors log every source of every run
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function quietly(fn) {
+    const { log, warn } = console;
+    console.log = console.warn = () => { };
+    try {
+        return fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+/**
+ * Push a batch of iterations through the cube source and metric chain, one percentile per iteration
+ * @param {Object} model - Model from buildCashflowModel
+ * @param {Object} driverPaths - Sampled paths keyed by driver
+ * @param {Array<number>} iterations - Iteration indices of the batch (at most model.labels.length)
+ * @returns {Array<Object>} Per iteration { series: {id: Map(year, value)}, metrics: {id: number} }
+ */
+function evaluateBatch(model, driverPaths, iterations) {
+    const { runCube } = requireFrontendModule('utils/cube/runner');
+    const labels = model.labels.slice(0, iterations.length);
+    const toData = (path) => path.map((value, index) => ({ year: index + 1, value }));
+
+    const simulationInfo = model.drivers.map(({ key }) => ({
+        distribution: { key },
+        results: [
+            { name: `${key}_P${model.anchor}`, percentile: { value: model.anchor }, data: model.anchorPaths[key] },
+            ...iterations.map((iteration, k) => ({
+                name: `${key}_iteration${iteration}`,
+                percentile: { value: labels[k] },
+                data: toData(driverPaths[key][iteration])
+            }))
+        ]
+    }));
+    const scenario = applySimulationResults({ settings: model.settings, simulation: { inputSim: {} } }, simulationInfo);
+
+    const { sourceData, metricsData } = quietly(() => runCube(scenario, {
+        percentileInfo: {
+            selected: model.anchor,
+            available: [model.anchor, ...labels],
+            primary: model.anchor,
+            custom: {},
+            strategy: 'unified'
+        }
+    }));
+
+    const byLabel = (results) => new Map((results || []).map(result => [result.percentile.value, result]));
+    const sources = Object.keys(SERIES_DEFINITIONS).map(id =>
+        [id, byLabel(sourceData.find(source => source.id === id)?.percentileSource)]);
+    const metrics = Object.entries(METRIC_DEFINITIONS).map(([id, { metricId }]) =>
+        [id, byLabel(metricsData.find(metric => metric.id === metricId)?.percentileMetrics)]);
+
+    return labels.map(label => ({
+        series: Object.fromEntries(sources.map(([id, results]) =>
+            [id, new Map((results.get(label)?.data || []).map(({ year, value }) => [year, value]))])),
+        metrics: Object.fromEntries(metrics.map(([id, results]) => [id, results.get(label)?.value ?? NaN]))
+    }));
+}
+
+module.exports = {
+    SERIES_DEFINITIONS,
+    METRIC_DEFINITIONS,
+    buildCashflowModel,
+    evaluateBatch
+};
@@ -0,0 +1,224 @@
+// backend/services/failure-events/__tests__/failureEvents.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ScenarioSchema } = require('../../../../schemas/yup/scenario');
+const { runFailureEventSimulation, assignUnits, getRepairAssumptions } = require('..');
+const { requireFrontendModule } = require('../../scenario-runner/frontendModules');
+
+const { calculateSerialDefectProfile } = requireFrontendModule('utils/cube/sources/transformers/equipment');
+
+const HEAVY_LIFT = {
+    name: 'Heavy Lift Major',
+    baseDurationDays: 6,
+    crane: { type: 'crawler', minimumDays: 3 },
+    costs: { material: { perEventEUR: 400000, perDayEUR: 0 }, crane: { perEventEUR: 100000, perDayEUR: 10000 } }
+};
+
+/**
+ * Default scenario settings with the given failure rate components enabled
+ * @param {Object} overrides - Component overrides keyed by component id
+ * @returns {Object} Scenario settings
+ */
+const settingsWith = (overrides) => {
+    // The schema default shares its nested objects between calls
+    const { settings } = structuredClone(ScenarioSchema.default());
+    settings.project.equipment.failureRates.enabled = true;
+    Object.entries(overrides).forEach(([id, override]) => {
+        Object.assign(settings.project.equipment.failureRates.components[id], {
+            enabled: true,
+            repairConfig: { repairPackageSnapshot: HEAVY_LIFT },
+            ...override
+        });
+    });
+    return settings;
+};
+
+const simulate = (settings, iterations = 2000) => runFailureEventSimulation({
+    settings,
+    simulationSettings: { iterations, seed: 11, years: 20, percentiles: [{ value: 50 }, { value: 90 }] }
+});
+
+const sum = (points) => points.reduce((total, point) => total + (point.value ?? point), 0);
+
+test('units follow quantityConfig per turbine and repairs come from the repair package', () => {
+    assert.deepEqual(assignUnits({ id: 'blades', quantityConfig: { mode: 'perBlade', value: 1 } }, 2), [0, 0, 0, 1, 1, 1]);
+    assert.deepEqual(assignUnits({ id: 'converters', quantityConfig: { mode: 'fixed', value: 3 } }, 2), [0, 1, 0]);
+    assert.deepEqual(assignUnits({ id: 'gearboxes', quantityConfig: { mode: 'perTurbine', value: 1 } }, 2, 'directDrive'), []);
+
+    assert.deepEqual(getRepairAssumptions({ repairConfig: { repairPackageSnapshot: HEAVY_LIFT } }), {
+        repairPackageName: 'Heavy Lift Major', repairDays: 6, craneLeadTimeDays: 3, costPerEvent: 560000,
+        crane: { type: 'crawler', mobilizationDays: 30, maxWindSpeed: 10, mobilizationCost: 100000, dayRate: 10000 }
+    });
+    const noCrane = getRepairAssumptions({ repairConfig: { repairPackageSnapshot: { ...HEAVY_LIFT, crane: { type: 'none', minimumDays: 3 } } } });
+    assert.equal(noCrane.craneLeadTimeDays, 0);
+});
+
+test('constant-rate failures match the expected count, downtime and cost', async () => {
+    const results = await simulate(settingsWith({
+        gearboxes: { distribution: { type: 'fixed', parameters: { value: 0.05 } } }
+    }));
+    assert.deepEqual(results.errors, []);
+    assert.deepEqual(results.simulationInfo.components, ['gearboxes']);
+
+    const gearboxes = results.components.gearboxes;
+    const expectedFailures = 0.05 * 20 * 20; // rate x turbines x years
+    const meanFailures = sum(gearboxes.failures.mean);
+    assert.ok(Math.abs(meanFailures - expectedFailures) / expectedFailures < 0.05);
+
+    // Every event costs the full package and keeps the turbine down for lead time + repair (cut at the project end)
+    assert.ok(Math.abs(sum(gearboxes.cost.mean) - meanFailures * 560000) < 1e-3);
+    assert.ok(sum(gearboxes.downtimeDays.mean) <= meanFailures * 9 + 1e-9);
+    assert.ok(sum(gearboxes.downtimeDays.mean) > meanFailures * 8.5);
+
+    // One component: fleet totals equal the component's
+    assert.deepEqual(results.total.failures.mean, gearboxes.failures.mean);
+    const p90 = (metric) => metric.lifetime.find(result => result.percentile.value === 90).data[0].value;
+    const p50 = (metric) => metric.lifetime.find(result => result.percentile.value === 50).data[0].value;
+    assert.ok(p90(gearboxes.failures) > p50(gearboxes.failures));
+});
+
+test('overlapping outages of one turbine count once in fleet downtime', async () => {
+    const results = await simulate(settingsWith({
+        gearboxes: { distribution: { type: 'fixed', parameters: { value: 2 } } },
+        generators: { distribution: { type: 'fixed', parameters: { value: 2 } } }
+    }), 200);
+
+    const componentDowntime = sum(results.components.gearboxes.downtimeDays.mean) + sum(results.components.generators.downtimeDays.mean);
+    const fleetDowntime = sum(results.total.downtimeDays.mean);
+    assert.ok(fleetDowntime < componentDowntime);
+    assert.ok(fleetDowntime > 0.9 * componentDowntime);
+    const componentFailures = sum(results.components.gearboxes.failures.mean) + sum(results.components.generators.failures.mean);
+    assert.ok(Math.abs(sum(results.total.failures.mean) - componentFailures) < 1e-9);
+});
+
+test('wear-out failures rise with unit age and replacements renew the unit', async () => {
+    const results = await simulate(settingsWith({
+        gearboxes: {
+            distribution: { type: 'fixed', parameters: { value: 0.05 } },
+            failureHistory: { fit: { method: 'mle', beta: 3, eta: 20 } } // Mean rate over 20 years: 0.05
+        }
+    }));
+    const failures = results.components.gearboxes.failures.mean.map(point => point.value);
+
+    assert.ok(sum(failures.slice(10)) > 3 * sum(failures.slice(0, 10)));
+    assert.ok(failures[0] < failures[19] / 10);
+});
+
+test('serial defect campaigns hit the affected fleet share within the onset window, net of warranty', async () => {
+    const serialDefect = {
+        enabled: true, probability: 0.4, onsetStartYear: 3, onsetEndYear: 6, fleetFraction: 0.5,
+        campaignCostPerUnit: 100000, campaignDurationYears: 1, downtimeDaysPerUnit: 2
+    };
+    const run = (warranty) => simulate(settingsWith({
+        gearboxes: { distribution: { type: 'fixed', parameters: { value: 0 } }, serialDefect: { ...serialDefect, warranty } }
+    }));
+
+    const uncovered = await run({ enabled: false });
+    const gearboxes = uncovered.components.gearboxes;
+    const expectedCost = 0.4 * 0.5 * 20 * 100000; // probability x affected units x cost per unit
+    assert.ok(Math.abs(uncovered.simulationInfo.defectOccurrence.gearboxes - 0.4) < 0.04);
+    assert.ok(Math.abs(sum(gearboxes.campaignCost.mean) - expectedCost) / expectedCost < 0.1);
+    assert.ok(Math.abs(sum(gearboxes.downtimeDays.mean) - 0.4 * 10 * 2) / 8 < 0.1);
+    assert.equal(sum(gearboxes.failures.mean), 0);
+
+    // Fixes fall between the start of the onset window and the end of the campaign
+    gearboxes.campaignCost.mean.forEach(({ year, value }) => {
+        if (year < 3 || year > 7) assert.equal(value, 0);
+    });
+    assert.deepEqual(uncovered.total.campaignCost.mean, gearboxes.campaignCost.mean);
+
+    // Half of the onset window falls within the warranty, where the OEM pays the full campaign
+    const covered = await run({ enabled: true, coverage: 1, endYear: 4 });
+    const coveredCost = sum(covered.components.gearboxes.campaignCost.mean);
+    assert.ok(Math.abs(coveredCost - expectedCost / 2) / (expectedCost / 2) < 0.15);
+});
+
+test('stock-outs wait for the spare lead time and stock on hand carries its holding cost', async () => {
+    const spares = { enabled: true, leadTimeDays: 180, unitCost: 100000, holdingCostRate: 0.1, reorderPolicy: 'oneForOne' };
+    const run = (stockLevel) => simulate(settingsWith({
+        gearboxes: { distribution: { type: 'fixed', parameters: { value: 0.05 } }, spares: { ...spares, stockLevel } }
+    }), 500);
+
+    // Without stock every failure waits for its spare, which outlasts the 3-day crane lead time
+    const empty = (await run(0)).components.gearboxes;
+    const failures = sum(empty.failures.mean);
+    assert.equal(sum(empty.stockouts.mean), failures);
+    assert.ok(sum(empty.downtimeDays.mean) > failures * 150);
+    assert.equal(sum(empty.sparesCost.mean), 0);
+
+    // Ten spares cover about one failure a year ordered one-for-one; stock stays near ten for the whole project
+    const stocked = await run(10);
+    const gearboxes = stocked.components.gearboxes;
+    assert.equal(stocked.simulationInfo.spares.gearboxes.stockLevel, 10);
+    assert.ok(sum(gearboxes.stockouts.mean) < 0.01);
+    assert.ok(sum(gearboxes.downtimeDays.mean) <= sum(gearboxes.failures.mean) * 9 + 1e-9);
+    assert.ok(gearboxes.sparesCost.mean[0].value > 10 * 100000);
+    const expectedCost = 10 * 100000 + 10 * 100000 * 0.1 * 20;
+    assert.ok(Math.abs(sum(gearboxes.sparesCost.mean) - expectedCost) / expectedCost < 0.05);
+});
+
+test('crane repairs wait for mobilisation and weather, and batched repairs share a mobilisation', async () => {
+    const run = (rate, logistics, crane = HEAVY_LIFT.crane, windData = null) => {
+        const settings = settingsWith({
+            gearboxes: {
+                distribution: { type: 'fixed', parameters: { value: rate } },
+                repairConfig: { repairPackageSnapshot: { ...HEAVY_LIFT, crane } }
+            }
+        });
+        settings.project.equipment.failureRates.logistics = logistics;
+        return runFailureEventSimulation({
+            settings,
+            simulationSettings: { iterations: 300, seed: 11, years: 20, percentiles: [{ value: 50 }] },
+            windData
+        });
+    };
+    const perFailure = (results, metric) => sum(results.components.gearboxes[metric].mean) / sum(results.components.gearboxes.failures.mean);
+
+    // Every repair mobilises its own crawler crane (30 days) and pays the package's crane costs once
+    const single = await run(0.05, { enabled: true, weather: { enabled: false }, batching: { enabled: false } });
+    assert.ok(Math.abs(perFailure(single, 'waitingDays') - 30) < 1e-6);
+    assert.ok(Math.abs(perFailure(single, 'cost') - 560000) < 1e-3);
+    assert.ok(Math.abs(single.simulationInfo.logistics.meanMobilizations.crawler - sum(single.components.gearboxes.failures.mean)) < 1e-9);
+
+    // Frequent failures join a crane already called off or on site: fewer mobilisations, a lower cost per event
+    const frequent = { enabled: true, weather: { enabled: false }, batching: { enabled: true, holdDays: 14 } };
+    const batched = await run(0.5, frequent);
+    const unbatched = await run(0.5, { ...frequent, batching: { enabled: false } });
+    const failures = sum(batched.components.gearboxes.failures.mean);
+    assert.ok(batched.simulationInfo.logistics.meanMobilizations.crawler < failures / 2);
+    assert.ok(perFailure(batched, 'cost') < perFailure(unbatched, 'cost') - 50000);
+
+    // A tight wind limit at a windy site adds weather standby, charged at the crane day rate
+    const windData = [{ name: 'windVariability', percentile: { value: 50 }, data: Array.from({ length: 20 }, (_, index) => ({ year: index + 1, value: 9 })) }];
+    const weather = { enabled: true, weather: { enabled: true, seasonalAmplitude: 0.3, windiestMonth: 1 }, batching: { enabled: false } };
+    const calm = await run(0.05, weather, { ...HEAVY_LIFT.crane, maxWindSpeed: 25 }, windData);
+    const limited = await run(0.05, weather, { ...HEAVY_LIFT.crane, maxWindSpeed: 8 }, windData);
+    assert.equal(limited.simulationInfo.logistics.weather.meanWindSpeed, 9);
+    const workability = limited.simulationInfo.logistics.weather.workability.crawler;
+    assert.ok(workability[0] < workability[6]); // Windiest in January
+    assert.ok(perFailure(calm, 'waitingDays') < 30.5);
+    assert.ok(perFailure(limited, 'waitingDays') > perFailure(calm, 'waitingDays') + 3);
+    assert.ok(perFailure(limited, 'cost') > perFailure(calm, 'cost') + 30000);
+});
+
+test('expected serial defect campaign costs of the cube match the simulation', async () => {
+    const serialDefect = {
+        enabled: true, probability: 0.3, onsetStartYear: 2, onsetEndYear: 8, fleetFraction: 0.4,
+        campaignCostPerUnit: 50000, campaignDurationYears: 1.5, downtimeDaysPerUnit: 0,
+        warranty: { enabled: true, coverage: 0.8, endYear: 5 }
+    };
+    const settings = settingsWith({
+        converters: { distribution: { type: 'fixed', parameters: { value: 0 } }, serialDefect }
+    });
+
+    const results = await runFailureEventSimulation({
+        settings,
+        simulationSettings: { iterations: 4000, seed: 5, years: 10, percentiles: [{ value: 50 }] }
+    });
+    const simulated = results.components.converters.campaignCost.mean.map(point => point.value);
+    const expected = calculateSerialDefectProfile(serialDefect, 20, 10);
+
+    assert.ok(Math.abs(sum(simulated) - sum(expected)) / sum(expected) < 0.1);
+    assert.equal(expected[0], 0);
+    assert.ok(expected[9] > 0); // Campaigns starting late in the window run on past year 9
+});
@@ -0,0 +1,154 @@
+// backend/services/failure-events/components.js
+const { DistributionTypeSchema } = require('../../../schemas/yup/distribution');
+const { SerialDefectSchema, SparesSchema } = require('../../../schemas/yup/componentFailureRates');
+const { CRANE_LOGISTICS_DEFAULTS } = require('../../../schemas/yup/repairPackage');
+
+/**
+ * Days a repair keeps the turbine down and what each event costs, from the component's repair package snapshot
+ * (per-event costs plus per-day costs over the repair duration, as in the cube's component failure costs).
+ * Crane repairs wait crane.minimumDays for the crane before the repair starts, unless repair logistics are modelled
+ * from the crane's mobilisation days, wind limit and costs (type defaults fill what the package leaves unset).
+ * Components without a repair package fall back to the legacy per-component cost fields.
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @returns {Object} FailureEventRepairSchema object
+ */
+function getRepairAssumptions(component) {
+    const repairPackage = component.repairConfig?.repairPackageSnapshot;
+    if (repairPackage) {
+        const repairDays = repairPackage.baseDurationDays || 0;
+        const { type, minimumDays, mobilizationDays, maxWindSpeed } = repairPackage.crane || {};
+        const needsCrane = Boolean(type) && type !== 'none';
+        const defaults = CRANE_LOGISTICS_DEFAULTS[type] || CRANE_LOGISTICS_DEFAULTS.special;
+        const categoryCost = (category) => (category?.perEventEUR || 0) + (category?.perDayEUR || 0) * repairDays;
+
+        return {
+            repairPackageName: repairPackage.name || null,
+            repairDays,
+            craneLeadTimeDays: needsCrane ? minimumDays || 0 : 0,
+            costPerEvent: Object.values(repairPackage.costs || {}).reduce((sum, category) => sum + categoryCost(category), 0),
+            crane: needsCrane ? {
+                type,
+                mobilizationDays: mobilizationDays ?? defaults.mobilizationDays,
+                maxWindSpeed: maxWindSpeed ?? defaults.maxWindSpeed,
+                mobilizationCost: repairPackage.costs?.crane?.perEventEUR || 0,
+                dayRate: repairPackage.costs?.crane?.perDayEUR || 0
+            } : null
+        };
+    }
+
+    const value = (key) => component.costs?.[key]?.parameters?.value || 0;
+    const repairDays = value('repairDurationDays');
+    return {
+        repairPackageName: null,
+        repairDays,
+        craneLeadTimeDays: 0,
+        crane: null,
+        costPerEvent: value('componentReplacement') + value('craneMobilization') + value('craneDailyRate') * repairDays +
+            value('specialistLabor') + value('downtimeRevenuePerDay') * repairDays
+    };
+}
+
+/**
+ * Turbine of every installed unit of a component (same quantity rules as ComponentFailureRateSchema.quantity);
+ * fixed quantities are spread over the turbines in turn
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {number} numWTGs - Number of turbines
+ * @param {string} wtgPlatformType - 'geared' or 'directDrive'
+ * @returns {Array<number>} Turbine index per unit
+ */
+function assignUnits(component, numWTGs, wtgPlatformType = 'geared') {
+    const { mode = 'perTurbine', value = 1 } = component.quantityConfig || {};
+
+    if (mode === 'fixed') {
+        return Array.from({ length: Math.round(value) }, (_, unit) => unit % numWTGs);
+    }
+    if (component.id === 'gearboxes' && mode === 'perTurbine' && wtgPlatformType !== 'geared') {
+        return [];
+    }
+
+    const perTurbine = Math.round(mode === 'perBlade' ? 3 * value : value);
+    return Array.from({ length: numWTGs * perTurbine }, (_, unit) => Math.floor(unit / perTurbine));
+}
+
+/**
+ * Serial defect campaign assumptions of a component, with schema defaults filled in
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @returns {Object|null} SerialDefectSchema object, null when the component carries no serial defect risk
+ */
+function getSerialDefect(component) {
+    if (!component.serialDefect?.enabled) {
+        return null;
+    }
+
+    const serialDefect = SerialDefectSchema.cast(component.serialDefect);
+    return serialDefect.probability > 0 && serialDefect.fleetFraction > 0 ? serialDefect : null;
+}
+
+/**
+ * Spare parts assumptions of a component, with schema defaults filled in
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @returns {Object|null} SparesSchema object, null when spares are not modelled (every failure gets its part at once)
+ */
+function getSpares(component) {
+    return component.spares?.enabled ? SparesSchema.cast(component.spares) : null;
+}
+
+/**
+ * Lifetime Weibull hazard fitted to a component's imported failure history (failureHistory.fit)
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object} distribution - Cast failure rate distribution
+ * @returns {Object|null} { beta, eta } or null when failures do not depend on unit age
+ */
+function getLifetimeHazard(component, distribution) {
+    if (distribution.type === 'threePhaseWeibull') return null;
+    const { beta, eta } = component.failureHistory?.fit || {};
+    return beta > 0 && eta > 0 ? { beta, eta } : null;
+}
+
+/**
+ * Enabled failure rate components of a scenario with everything the event simulation needs
+ * @param {Object} settings - Scenario settings (SettingsSchema)
+ * @returns {Array<Object>} { id, name, distribution, units, lifetimeHazard, meanRate, ageDependent, environmentalFactor, repair, serialDefect, spares }
+ */
+function collectComponents(settings) {
+    const failureRates = settings.project?.equipment?.failureRates;
+    if (!failureRates?.enabled) {
+        return [];
+    }
+
+    const numWTGs = settings.project?.windFarm?.numWTGs || 0;
+    const wtgPlatformType = settings.project?.windFarm?.wtgPlatformType;
+    const stressFactors = settings.project?.environment?.stressFactors;
+
+    return Object.values(failureRates.components || {})
+        .filter(component => component && typeof component === 'object' && component.enabled && component.distribution)
+        .map(component => {
+            const distribution = DistributionTypeSchema.cast({ ...component.distribution, key: component.id });
+            const factor = stressFactors?.components?.find(entry => entry.id === component.id)?.factor;
+
+            return {
+                id: component.id,
+                name: component.name || component.id,
+                distribution,
+                units: assignUnits(component, numWTGs, wtgPlatformType),
+                // Fitted lifetime β/η ages each unit from installation; the three-phase curve carries its own age profile
+                lifetimeHazard: getLifetimeHazard(component, distribution),
+                meanRate: distribution.parameters?.lambda || distribution.parameters?.value || 0,
+                ageDependent: distribution.type === 'threePhaseWeibull',
+                environmentalFactor: Number.isFinite(factor) ? factor : 1,
+                repair: getRepairAssumptions(component),
+                serialDefect: getSerialDefect(component),
+                spares: getSpares(component)
+            };
+        })
+        .filter(component => component.units.length > 0);
+}
+
+module.exports = {
+    getRepairAssumptions,
+    assignUnits,
+    getSerialDefect,
+    getSpares,
+    getLifetimeHazard,
+    collectComponents
+};
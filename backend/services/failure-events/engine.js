@@ -0,0 +1,689 @@
+// backend/services/failure-events/engine.js
+const DistributionWorker = require('../monte-carlo-v2/engine/worker');
+const { getDistributionClass } = require('../monte-carlo-v2/distributions');
+const { createRandom } = require('../monte-carlo-v2/utils/random');
+const { calculateSortedPercentile } = require('../monte-carlo-v2/utils/percentiles');
+const { collectComponents } = require('./components');
+const { getLogistics, calculateWorkability, calendarMonth } = require('./logistics');
+const {
+    FAILURE_EVENT_METRICS, FailureEventSimRequestSchema, FailureEventSimResultsSchema
+} = require('../../../schemas/yup/failureEventSimulation');
+
+const DAYS_PER_YEAR = 365;
+
+// Bisection steps when locating a failure inside a year (resolves failure times far below a day)
+const BISECTION_STEPS = 40;
+
+// Days a crane repair waits for weather at most (a wind limit the site hardly ever meets)
+const MAX_WEATHER_DAYS = 3 * DAYS_PER_YEAR;
+
+/**
+ * Push a unit's next failure onto a binary min-heap ordered by time
+ * @param {Array<Array<number>>} heap - [time, component entry, unit] events
+ * @param {Array<number>} event - [time in project years, component entry, unit]
+ */
+function pushEvent(heap, event) {
+    heap.push(event);
+    let index = heap.length - 1;
+    while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (heap[parent][0] <= heap[index][0]) break;
+        [heap[parent], heap[index]] = [heap[index], heap[parent]];
+        index = parent;
+    }
+}
+
+/**
+ * Remove the earliest failure from a binary min-heap
+ * @param {Array<Array<number>>} heap - [time, component entry, unit] events
+ * @returns {Array<number>} [time, component entry, unit]
+ */
+function popEvent(heap) {
+    const first = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let index = 0;
+        for (;;) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+            if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+            if (smallest === index) break;
+            [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+            index = smallest;
+        }
+    }
+    return first;
+}
+
+/**
+ * Discrete failure-event simulation.
+ * Every iteration follows each installed unit of each enabled component from COD: failure times are drawn from the
+ * unit's hazard (the component's sampled annual rate, aged from installation), each failure takes the turbine down
+ * for the crane lead time plus the repair duration of the component's repair package, and the replacement starts
+ * again at age zero. Components with spares wait for a spare when none is on hand. With repair logistics, crane
+ * repairs instead wait for a crane mobilisation (shared by batched repairs) and for workable weather. Components with
+ * a serial defect risk may also need a fleet-wide campaign fix in an iteration.
+ * Percentiles of failures, downtime and cost per year are taken across iterations.
+ */
+class FailureEventSimulationEngine {
+    /**
+     * Create a new failure-event engine
+     * @param {Object} request - FailureEventSimRequestSchema-compliant object with settings and simulationSettings
+     */
+    constructor(request) {
+        const validatedRequest = FailureEventSimRequestSchema.validateSync(request);
+
+        this.settings = validatedRequest.settings;
+        this.options = { ...validatedRequest.simulationSettings };
+        this.numWTGs = this.settings.project?.windFarm?.numWTGs || 0;
+        this.components = collectComponents(this.settings).map(component => ({
+            ...component,
+            worker: new DistributionWorker(component.distribution, this.options),
+            // Resolved bathtub parameters (defaults filled in) for the three-phase cumulative hazard
+            phaseParameters: component.ageDependent
+                ? new (getDistributionClass('threePhaseWeibull'))(component.distribution.parameters).getYearParameters(1)
+                : null
+        }));
+        this.logistics = getLogistics(this.settings, validatedRequest.windData);
+        this.workability = new Map();
+        this.results = null;
+    }
+
+    /**
+     * Cumulative hazard of one unit by age for an iteration, and the calendar-year scale applied to it.
+     * Constant-rate components: H(a) = a, scaled by the sampled rate of the year.
+     * Fitted lifetime β/η: H(a) = (a / η)^β, scaled by the sampled rate of the year relative to the configured mean rate.
+     * Three-phase Weibull: the iteration's rate multiplier is recovered from the first sampled year and scales
+     * the bathtub cumulative hazard directly.
+     * @param {Object} component - Collected component
+     * @param {Array<number>} path - Sampled annual values of the iteration
+     * @returns {Object} { cumulative: age => H(a), scale: year => multiplier }
+     * @private
+     */
+    _hazardModel(component, path) {
+        const factor = component.environmentalFactor;
+
+        if (component.ageDependent) {
+            const ThreePhaseWeibull = getDistributionClass('threePhaseWeibull');
+            const parameters = component.phaseParameters;
+            const firstYearProbability = Math.min(Math.max(path[0] || 0, 0), 1 - 1e-12);
+            const multiplier = -Math.log(1 - firstYearProbability) / ThreePhaseWeibull.annualHazard(1, parameters);
+
+            return {
+                cumulative: (age) => multiplier * ThreePhaseWeibull.cumulativeHazard(age, parameters),
+                scale: () => factor
+            };
+        }
+
+        const { lifetimeHazard, meanRate } = component;
+        if (lifetimeHazard) {
+            const { beta, eta } = lifetimeHazard;
+            return {
+                cumulative: (age) => Math.pow(age / eta, beta),
+                scale: (year) => (meanRate > 0 ? Math.max(path[year - 1] || 0, 0) / meanRate : 1) * factor
+            };
+        }
+
+        return {
+            cumulative: (age) => age,
+            scale: (year) => Math.max(path[year - 1] || 0, 0) * factor
+        };
+    }
+
+    /**
+     * Time of a unit's next failure
+     * @param {Object} hazard - Hazard model from _hazardModel
+     * @param {number} installedAt - Installation time in project years
+     * @param {Function} random - Random stream
+     * @returns {number|null} Failure time in project years, null when the unit survives the project
+     * @private
+     */
+    _nextFailure({ cumulative, scale }, installedAt, random) {
+        const { years } = this.options;
+        let remaining = -Math.log(1 - random());
+        let time = installedAt;
+
+        while (time < years) {
+            const year = Math.floor(time) + 1;
+            const end = Math.min(year, years);
+            const rate = scale(year);
+            const age = time - installedAt;
+            const baseline = cumulative(age);
+            const increment = rate * (cumulative(end - installedAt) - baseline);
+
+            if (increment >= remaining && rate > 0) {
+                // Failure falls inside this year: solve rate * (H(x) - H(age)) = remaining
+                let low = age;
+                let high = end - installedAt;
+                for (let step = 0; step < BISECTION_STEPS; step++) {
+                    const mid = (low + high) / 2;
+                    if (rate * (cumulative(mid) - baseline) < remaining) low = mid;
+                    else high = mid;
+                }
+                return installedAt + high;
+            }
+
+            remaining -= increment;
+            time = end;
+        }
+
+        return null;
+    }
+
+    /**
+     * Serial defect campaign of a component in one iteration
+     * The defect surfaces with the configured probability at a uniform time within the onset window; a random
+     * fleetFraction of the units is then fixed at uniform times over the campaign duration. The OEM pays its coverage
+     * share of defects surfacing within the warranty period. Fixes after the project end are dropped.
+     * @param {Object} component - Collected component with a serialDefect
+     * @param {Function} random - Random stream of the component's campaigns
+     * @returns {Object|null} { onset, fixes: [{ unit, time }], costPerUnit } or null when the defect does not surface
+     * @private
+     */
+    _sampleCampaign({ serialDefect, units }, random) {
+        const {
+            probability, onsetStartYear, onsetEndYear, fleetFraction,
+            campaignCostPerUnit, campaignDurationYears, warranty
+        } = serialDefect;
+
+        if (random() >= probability) {
+            return null;
+        }
+
+        const onset = onsetStartYear - 1 + random() * (onsetEndYear - onsetStartYear + 1);
+        const covered = warranty?.enabled && Math.floor(onset) + 1 <= warranty.endYear;
+        const costPerUnit = campaignCostPerUnit * (covered ? 1 - warranty.coverage : 1);
+
+        // Partial Fisher-Yates shuffle picks the affected units
+        const indices = units.map((_, unit) => unit);
+        const affected = Math.round(fleetFraction * units.length);
+        const fixes = [];
+        for (let k = 0; k < affected; k++) {
+            const pick = k + Math.floor(random() * (indices.length - k));
+            [indices[k], indices[pick]] = [indices[pick], indices[k]];
+            const time = onset + random() * campaignDurationYears;
+            if (time < this.options.years) {
+                fixes.push({ unit: indices[k], time });
+            }
+        }
+
+        return { onset, fixes, costPerUnit };
+    }
+
+    /**
+     * Add an outage to a per-year downtime array, cut at the end of the project
+     * @param {Float64Array} downtime - Downtime days by year index
+     * @param {number} start - Outage start in project years
+     * @param {number} end - Outage end in project years
+     * @private
+     */
+    _addDowntime(downtime, start, end) {
+        this._accrue(downtime, start, end, DAYS_PER_YEAR);
+    }
+
+    /**
+     * Spread an amount accruing at a constant rate per year over a per-year array, cut at the end of the project
+     * @param {Float64Array} values - Values by year index
+     * @param {number} start - Start in project years
+     * @param {number} end - End in project years
+     * @param {number} perYear - Amount per year
+     * @private
+     */
+    _accrue(values, start, end, perYear) {
+        const stop = Math.min(end, this.options.years);
+        let time = start;
+        while (time < stop) {
+            const yearEnd = Math.min(Math.floor(time) + 1, stop);
+            values[Math.floor(time)] += (yearEnd - time) * perYear;
+            time = yearEnd;
+        }
+    }
+
+    /**
+     * Spares inventory of a component at the start of an iteration; the initial stock is bought at COD
+     * @param {Object} spares - SparesSchema object
+     * @param {Object} own - Per-year metric arrays of the component
+     * @returns {Object} Inventory state
+     * @private
+     */
+    _openStock(spares, own) {
+        const { stockLevel, leadTimeDays, unitCost, holdingCostRate, reorderPolicy, reorderPoint, orderQuantity } = spares;
+        own.sparesCost[0] += stockLevel * unitCost;
+
+        // One-for-one is a base stock policy: reorder one whenever the inventory position drops below the stock level
+        const [trigger, quantity] = reorderPolicy === 'oneForOne' ? [stockLevel - 1, 1] : [reorderPoint, orderQuantity];
+        return {
+            own,
+            trigger,
+            quantity,
+            leadTime: leadTimeDays / DAYS_PER_YEAR,
+            holdingPerSpare: unitCost * holdingCostRate,
+            onHand: stockLevel,
+            changedAt: 0,
+            deliveries: [], // Arrival times in order (constant lead time), the first `promised` go to waiting repairs
+            promised: 0
+        };
+    }
+
+    /**
+     * Change the stock on hand, accruing the holding cost of the stock held since the last change
+     * @param {Object} stock - Inventory state
+     * @param {number} time - Project years
+     * @param {number} onHand - New stock on hand
+     * @private
+     */
+    _setOnHand(stock, time, onHand) {
+        this._accrue(stock.own.sparesCost, stock.changedAt, time, stock.onHand * stock.holdingPerSpare);
+        stock.onHand = onHand;
+        stock.changedAt = time;
+    }
+
+    /**
+     * Take a spare for a failure: one on hand, or else the earliest delivery not yet promised to another failure.
+     * The reorder policy then places orders arriving after the lead time.
+     * @param {Object} stock - Inventory state
+     * @param {number} time - Failure time in project years
+     * @returns {Object} { readyAt, stockout }
+     * @private
+     */
+    _takeSpare(stock, time) {
+        while (stock.deliveries.length > 0 && stock.deliveries[0] <= time) {
+            const arrival = stock.deliveries.shift();
+            if (stock.promised > 0) stock.promised -= 1;
+            else this._setOnHand(stock, arrival, stock.onHand + 1);
+        }
+
+        const fromStock = stock.onHand > 0;
+        if (fromStock) this._setOnHand(stock, time, stock.onHand - 1);
+
+        let position = stock.onHand + stock.deliveries.length - stock.promised - (fromStock ? 0 : 1);
+        while (position <= stock.trigger) {
+            for (let k = 0; k < stock.quantity; k++) stock.deliveries.push(time + stock.leadTime);
+            position += stock.quantity;
+        }
+
+        if (fromStock) return { readyAt: time, stockout: false };
+        stock.promised += 1;
+        return { readyAt: stock.deliveries[stock.promised - 1], stockout: true };
+    }
+
+    /**
+     * Receive the deliveries still due in the project and accrue the holding cost to its end
+     * @param {Object} stock - Inventory state
+     * @private
+     */
+    _closeStock(stock) {
+        const { years } = this.options;
+        stock.deliveries.filter(arrival => arrival < years).slice(stock.promised)
+            .forEach(arrival => this._setOnHand(stock, arrival, stock.onHand + 1));
+        this._setOnHand(stock, years, stock.onHand);
+    }
+
+    /**
+     * Chance a day is workable for a crane by calendar month, cached by wind limit
+     * @param {number} maxWindSpeed - Crane operating limit (m/s)
+     * @returns {Array<number>} Probability by calendar month
+     * @private
+     */
+    _workability(maxWindSpeed) {
+        if (!this.workability.has(maxWindSpeed)) {
+            this.workability.set(maxWindSpeed, calculateWorkability(this.logistics.weather, maxWindSpeed));
+        }
+        return this.workability.get(maxWindSpeed);
+    }
+
+    /**
+     * End of a crane repair started at a time: every repair day needs a workable day, others are weather standby
+     * @param {number} start - Start in project years
+     * @param {number} repairDays - Repair duration in working days
+     * @param {number} maxWindSpeed - Crane operating limit (m/s)
+     * @param {Function} random - Random stream of the logistics
+     * @returns {number} End in project years
+     * @private
+     */
+    _workDays(start, repairDays, maxWindSpeed, random) {
+        const { weather, codMonth } = this.logistics;
+        if (!weather) return start + repairDays / DAYS_PER_YEAR;
+
+        const workability = this._workability(maxWindSpeed);
+        let time = start;
+        let remaining = repairDays;
+        for (let day = 0; remaining > 0 && day < MAX_WEATHER_DAYS; day++) {
+            const workable = random() < workability[calendarMonth(time, codMonth)];
+            const step = workable ? Math.min(1, remaining) : 1;
+            if (workable) remaining -= step;
+            time += step / DAYS_PER_YEAR;
+        }
+        return time;
+    }
+
+    /**
+     * Crane for a repair: a new mobilisation arriving after the crane's mobilisation days, or with batching the crane
+     * already called off or on site for its type, which takes repairs in failure order until it leaves holdDays after
+     * its last one. The repair starts once the crane is free and the part is ready.
+     * @param {Object} crane - Crane of FailureEventRepairSchema
+     * @param {number} repairDays - Repair duration in working days
+     * @param {number} failedAt - Failure time in project years
+     * @param {number} readyAt - Time the part is ready
+     * @param {Map} sites - Current mobilisation by crane type
+     * @param {Function} random - Random stream of the logistics
+     * @returns {Object} { start, end, mobilized }
+     * @private
+     */
+    _dispatchCrane(crane, repairDays, failedAt, readyAt, sites, random) {
+        const { batching } = this.logistics;
+        let site = batching.enabled ? sites.get(crane.type) : null;
+        const mobilized = !site || failedAt > site.leavesAt;
+        if (mobilized) {
+            const arrival = failedAt + crane.mobilizationDays / DAYS_PER_YEAR;
+            site = { freeAt: arrival, leavesAt: arrival };
+            if (batching.enabled) sites.set(crane.type, site);
+        }
+
+        const start = Math.max(site.freeAt, readyAt);
+        const end = this._workDays(start, repairDays, crane.maxWindSpeed, random);
+        site.freeAt = end;
+        site.leavesAt = end + (batching.enabled ? batching.holdDays / DAYS_PER_YEAR : 0);
+        return { start, end, mobilized };
+    }
+
+    /**
+     * Failures of the components with spares or crane logistics in one iteration, in time order across their units.
+     * A failure waits for its spare when none is on hand. Without logistics the spare wait overlaps the crane lead
+     * time; with logistics crane repairs wait for their crane and the weather, and the package's crane cost is
+     * replaced by the mobilisation cost (only for a new mobilisation) and the day rate over the days on the repair.
+     * @param {Array<Object>} entries - { component, hazard, random, own } per component
+     * @param {Array<Array>} outages - Outage intervals per turbine
+     * @param {Function} logisticsRandom - Random stream of the logistics
+     * @param {Object} mobilizations - Mobilisation count by crane type (incremented)
+     * @private
+     */
+    _simulateQueued(entries, outages, logisticsRandom, mobilizations) {
+        const { years } = this.options;
+        const sites = new Map();
+        const heap = [];
+
+        const stocks = entries.map(({ component, own }) => (component.spares ? this._openStock(component.spares, own) : null));
+        entries.forEach(({ component, hazard, random }, e) => {
+            component.units.forEach((_, unit) => {
+                const failedAt = this._nextFailure(hazard, 0, random);
+                if (failedAt !== null) pushEvent(heap, [failedAt, e, unit]);
+            });
+        });
+
+        while (heap.length > 0) {
+            const [failedAt, e, unit] = popEvent(heap);
+            const { component, hazard, random, own } = entries[e];
+            const { repairDays, craneLeadTimeDays, costPerEvent, crane } = component.repair;
+            const { readyAt, stockout } = stocks[e] ? this._takeSpare(stocks[e], failedAt) : { readyAt: failedAt, stockout: false };
+
+            let repairedAt;
+            let cost = costPerEvent;
+            if (this.logistics && crane) {
+                const { start, end, mobilized } = this._dispatchCrane(crane, repairDays, failedAt, readyAt, sites, logisticsRandom);
+                repairedAt = end;
+                cost += crane.dayRate * ((end - start) * DAYS_PER_YEAR - repairDays) - (mobilized ? 0 : crane.mobilizationCost);
+                if (mobilized) mobilizations[crane.type] = (mobilizations[crane.type] || 0) + 1;
+            } else {
+                repairedAt = failedAt + Math.max(craneLeadTimeDays / DAYS_PER_YEAR, readyAt - failedAt) + repairDays / DAYS_PER_YEAR;
+            }
+
+            const yearIndex = Math.min(Math.floor(failedAt), years - 1);
+            own.failures[yearIndex] += 1;
+            own.cost[yearIndex] += cost;
+            own.waitingDays[yearIndex] += (repairedAt - failedAt) * DAYS_PER_YEAR - repairDays;
+            if (stockout) own.stockouts[yearIndex] += 1;
+            this._addDowntime(own.downtimeDays, failedAt, repairedAt);
+            outages[component.units[unit]].push([failedAt, repairedAt]);
+
+            // The replacement unit starts at age zero once the repair is complete
+            const next = repairedAt < years ? this._nextFailure(hazard, repairedAt, random) : null;
+            if (next !== null) pushEvent(heap, [next, e, unit]);
+        }
+
+        stocks.filter(Boolean).forEach(stock => this._closeStock(stock));
+    }
+
+    /**
+     * Percentiles, lifetime totals and means of one quantity
+     * @param {string} name - Result name
+     * @param {Array<Float64Array>} valuesByYear - Iteration values per year index
+     * @param {Float64Array} lifetimeValues - Project-life total per iteration
+     * @returns {Object} FailureEventMetricSchema object
+     * @private
+     */
+    _summarize(name, valuesByYear, lifetimeValues) {
+        const percentileValues = this.options.percentiles;
+        const sortedByYear = valuesByYear.map(values => values.slice().sort());
+        const sortedLifetime = lifetimeValues.slice().sort();
+
+        return {
+            annual: percentileValues.map(percentile => ({
+                name,
+                percentile,
+                data: sortedByYear.map((sorted, index) => ({ year: index + 1, value: calculateSortedPercentile(sorted, percentile.value) }))
+            })),
+            lifetime: percentileValues.map(percentile => ({
+                name,
+                percentile,
+                data: [{ year: 0, value: calculateSortedPercentile(sortedLifetime, percentile.value) }]
+            })),
+            mean: valuesByYear.map((values, index) => ({
+                year: index + 1,
+                value: values.reduce((sum, value) => sum + value, 0) / values.length
+            }))
+        };
+    }
+
+    /**
+     * Logistics stored with the results: the settings, the site weather with the workable share of days by calendar
+     * month for each crane type in use, and the mean mobilisations per iteration
+     * @param {Object} mobilizations - Mobilisation count by crane type over all iterations
+     * @param {number} iterations - Number of iterations
+     * @returns {Object} Logistics information
+     * @private
+     */
+    _logisticsInfo(mobilizations, iterations) {
+        const { weather, codMonth, ...logistics } = this.logistics;
+        const cranes = [...new Map(this.components
+            .filter(({ repair }) => repair.crane)
+            .map(({ repair }) => [repair.crane.type, repair.crane])).values()];
+
+        return {
+            ...logistics,
+            weather: weather && {
+                meanWindSpeed: weather.meanWindSpeed,
+                shape: weather.shape,
+                workability: cranes.reduce((result, { type, maxWindSpeed }) => ({
+                    ...result,
+                    [type]: calculateWorkability(weather, maxWindSpeed)
+                }), {})
+            },
+            meanMobilizations: cranes.reduce((result, { type }) => ({
+                ...result,
+                [type]: (mobilizations[type] || 0) / iterations
+            }), {})
+        };
+    }
+
+    /**
+     * Run the failure-event simulation
+     * @returns {Promise<Object>} Results validated against FailureEventSimResultsSchema
+     */
+    async run() {
+        const { iterations, seed, years, randomGenerator } = this.options;
+        const startTime = Date.now();
+        const errors = [];
+
+        if (this.components.length === 0) {
+            errors.push('No enabled failure rate components to simulate');
+        }
+        this.components
+            .filter(component => component.repair.costPerEvent === 0 && component.repair.repairDays === 0)
+            .forEach(component => errors.push(`${component.name} has no repair package; its failures carry no cost or downtime`));
+
+        // Each component keeps its own rate and event streams so adding a component does not shift the others
+        const paths = this.components.map(({ id, worker }) => {
+            worker.initialize(`${seed}-${id}`);
+            return worker.samplePaths();
+        });
+        const randoms = this.components.map(({ id }) => createRandom(`${seed}-events-${id}`, randomGenerator));
+        const campaignRandoms = this.components.map(({ id }) => createRandom(`${seed}-campaigns-${id}`, randomGenerator));
+        const defectOccurrences = this.components.map(() => 0);
+
+        const createSeries = () => FAILURE_EVENT_METRICS.reduce((series, metric) => {
+            series[metric] = {
+                byYear: Array.from({ length: years }, () => new Float64Array(iterations)),
+                lifetime: new Float64Array(iterations)
+            };
+            return series;
+        }, {});
+        const componentSeries = this.components.map(createSeries);
+        const totalSeries = createSeries();
+
+        const logisticsRandom = createRandom(`${seed}-logistics`, randomGenerator);
+        const mobilizations = {};
+
+        for (let i = 0; i < iterations; i++) {
+            const outages = Array.from({ length: this.numWTGs }, () => []);
+            const fleet = FAILURE_EVENT_METRICS.reduce((acc, metric) => ({ ...acc, [metric]: new Float64Array(years) }), {});
+            const owns = this.components.map(() =>
+                FAILURE_EVENT_METRICS.reduce((acc, metric) => ({ ...acc, [metric]: new Float64Array(years) }), {}));
+            const queued = [];
+
+            this.components.forEach((component, c) => {
+                const hazard = this._hazardModel(component, paths[c][i]);
+                const own = owns[c];
+
+                // Spares and cranes are shared between units, so these components run in time order together
+                if (component.spares || (this.logistics && component.repair.crane)) {
+                    queued.push({ component, hazard, random: randoms[c], own });
+                    return;
+                }
+
+                const { repairDays, craneLeadTimeDays, costPerEvent } = component.repair;
+                const outageYears = (craneLeadTimeDays + repairDays) / DAYS_PER_YEAR;
+                component.units.forEach(turbine => {
+                    let installedAt = 0;
+                    let failedAt = this._nextFailure(hazard, installedAt, randoms[c]);
+
+                    while (failedAt !== null) {
+                        const yearIndex = Math.min(Math.floor(failedAt), years - 1);
+                        own.failures[yearIndex] += 1;
+                        own.cost[yearIndex] += costPerEvent;
+                        own.waitingDays[yearIndex] += craneLeadTimeDays;
+                        this._addDowntime(own.downtimeDays, failedAt, failedAt + outageYears);
+                        outages[turbine].push([failedAt, failedAt + outageYears]);
+
+                        // The replacement unit starts at age zero once the repair is complete
+                        installedAt = failedAt + outageYears;
+                        failedAt = installedAt < years ? this._nextFailure(hazard, installedAt, randoms[c]) : null;
+                    }
+                });
+            });
+
+            if (queued.length > 0) {
+                this._simulateQueued(queued, outages, logisticsRandom, mobilizations);
+            }
+
+            this.components.forEach((component, c) => {
+                const own = owns[c];
+
+                // Campaign fixes are retrofits: they take the turbine down but do not reset the unit's age
+                const campaign = component.serialDefect ? this._sampleCampaign(component, campaignRandoms[c]) : null;
+                if (campaign) {
+                    defectOccurrences[c] += 1;
+                    const campaignOutageYears = component.serialDefect.downtimeDaysPerUnit / DAYS_PER_YEAR;
+                    campaign.fixes.forEach(({ unit, time }) => {
+                        own.campaignCost[Math.floor(time)] += campaign.costPerUnit;
+                        if (campaignOutageYears > 0) {
+                            this._addDowntime(own.downtimeDays, time, time + campaignOutageYears);
+                            outages[component.units[unit]].push([time, time + campaignOutageYears]);
+                        }
+                    });
+                }
+
+                FAILURE_EVENT_METRICS.forEach(metric => {
+                    const series = componentSeries[c][metric];
+                    for (let y = 0; y < years; y++) {
+                        series.byYear[y][i] = own[metric][y];
+                        series.lifetime[i] += own[metric][y];
+                        if (metric !== 'downtimeDays') fleet[metric][y] += own[metric][y];
+                    }
+                });
+            });
+
+            // Fleet downtime: overlapping outages of one turbine count once
+            outages.forEach(intervals => {
+                intervals.sort((a, b) => a[0] - b[0]);
+                let current = null;
+                intervals.forEach(([start, end]) => {
+                    if (current && start <= current[1]) {
+                        current[1] = Math.max(current[1], end);
+                    } else {
+                        if (current) this._addDowntime(fleet.downtimeDays, current[0], current[1]);
+                        current = [start, end];
+                    }
+                });
+                if (current) this._addDowntime(fleet.downtimeDays, current[0], current[1]);
+            });
+
+            FAILURE_EVENT_METRICS.forEach(metric => {
+                for (let y = 0; y < years; y++) {
+                    totalSeries[metric].byYear[y][i] = fleet[metric][y];
+                    totalSeries[metric].lifetime[i] += fleet[metric][y];
+                }
+            });
+        }
+
+        const summarizeSeries = (name, series) => FAILURE_EVENT_METRICS.reduce((summary, metric) => {
+            summary[metric] = this._summarize(`${name}_${metric}`, series[metric].byYear, series[metric].lifetime);
+            return summary;
+        }, {});
+
+        const results = {
+            success: true,
+            simulationInfo: {
+                iterations,
+                seed,
+                years,
+                numWTGs: this.numWTGs,
+                timeElapsed: Date.now() - startTime,
+                components: this.components.map(({ id }) => id),
+                repairs: this.components.reduce((repairs, { id, repair }) => ({ ...repairs, [id]: repair }), {}),
+                serialDefects: this.components
+                    .filter(({ serialDefect }) => serialDefect)
+                    .reduce((defects, { id, serialDefect }) => ({ ...defects, [id]: serialDefect }), {}),
+                defectOccurrence: this.components.reduce((occurrence, component, c) => (component.serialDefect
+                    ? { ...occurrence, [component.id]: defectOccurrences[c] / iterations }
+                    : occurrence), {}),
+                spares: this.components
+                    .filter(({ spares }) => spares)
+                    .reduce((spares, component) => ({ ...spares, [component.id]: component.spares }), {}),
+                logistics: this.logistics && this._logisticsInfo(mobilizations, iterations)
+            },
+            components: this.components.reduce((summaries, component, c) => ({
+                ...summaries,
+                [component.id]: summarizeSeries(component.id, componentSeries[c])
+            }), {}),
+            total: summarizeSeries('total', totalSeries),
+            errors
+        };
+
+        this.results = FailureEventSimResultsSchema.validateSync(results, { stripUnknown: true });
+        return this.results;
+    }
+
+    /**
+     * Get the latest simulation results
+     * @returns {Object|null} Latest results or null if the simulation has not been run
+     */
+    getResults() {
+        return this.results;
+    }
+}
+
+module.exports = FailureEventSimulationEngine;
@@ -0,0 +1,35 @@
+// backend/services/failure-events/index.js
+/**
+ * Main entry point for the discrete failure-event simulation module
+ * Simulates failures per turbine, component and iteration with repair durations and crane lead times
+ */
+
+const FailureEventSimulationEngine = require('./engine');
+const { collectComponents, assignUnits, getRepairAssumptions } = require('./components');
+
+/**
+ * Create a failure-event simulation engine
+ * @param {Object} request - FailureEventSimRequestSchema-compliant object
+ * @returns {FailureEventSimulationEngine} Engine instance
+ */
+function createFailureEventEngine(request) {
+    return new FailureEventSimulationEngine(request);
+}
+
+/**
+ * Run a failure-event simulation
+ * @param {Object} request - FailureEventSimRequestSchema-compliant object
+ * @returns {Promise<Object>} Results validated against FailureEventSimResultsSchema
+ */
+async function runFailureEventSimulation(request) {
+    return createFailureEventEngine(request).run();
+}
+
+module.exports = {
+    createFailureEventEngine,
+    runFailureEventSimulation,
+    collectComponents,
+    assignUnits,
+    getRepairAssumptions,
+    FailureEventSimulationEngine
+};
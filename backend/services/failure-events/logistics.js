@@ -0,0 +1,89 @@
+// backend/services/failure-events/logistics.js
+const { jStat } = require('jstat');
+const { RepairLogisticsSchema } = require('../../../schemas/yup/repairPackage');
+
+const MONTHS = 12;
+
+/**
+ * Mean site wind speed: the simulated annual means of the median (or middle) percentile averaged over the years,
+ * else the mean of the windVariability distribution settings
+ * @param {Object} settings - Scenario settings (SettingsSchema)
+ * @param {Array<Object>|null} windData - SimResultsSchema per percentile from distributionAnalysis.windVariability
+ * @returns {Object} { meanWindSpeed, shape } with the Weibull shape of the site wind speeds
+ */
+function getSiteWind(settings, windData) {
+    const parameters = settings.project?.environment?.windVariability?.parameters || {};
+    const shape = parameters.shape > 0 ? parameters.shape : 2;
+
+    const results = (windData || []).filter(result => result.data?.length > 0)
+        .sort((a, b) => Math.abs(a.percentile.value - 50) - Math.abs(b.percentile.value - 50));
+    if (results.length > 0) {
+        const { data } = results[0];
+        return { meanWindSpeed: data.reduce((sum, point) => sum + point.value, 0) / data.length, shape };
+    }
+
+    const meanWindSpeed = parameters.value > 0 ? parameters.value : (parameters.scale || 7.5) * jStat.gammafn(1 + 1 / shape);
+    return { meanWindSpeed, shape };
+}
+
+/**
+ * Repair logistics of a scenario with the site weather, null when logistics are not modelled
+ * Monthly wind speeds follow a Weibull distribution whose mean swings by seasonalAmplitude around the site mean,
+ * peaking in windiestMonth
+ * @param {Object} settings - Scenario settings (SettingsSchema)
+ * @param {Array<Object>|null} windData - SimResultsSchema per percentile from distributionAnalysis.windVariability
+ * @returns {Object|null} RepairLogisticsSchema object with weather { meanWindSpeed, shape, monthlyScale } (null when
+ *   weather is not modelled) and codMonth (calendar month index of COD)
+ */
+function getLogistics(settings, windData) {
+    const config = settings.project?.equipment?.failureRates?.logistics;
+    if (!config?.enabled) {
+        return null;
+    }
+
+    const logistics = RepairLogisticsSchema.cast(config);
+    const codDate = settings.project?.windFarm?.codDate ? new Date(settings.project.windFarm.codDate) : null;
+    const codMonth = codDate && !Number.isNaN(codDate.getTime()) ? codDate.getMonth() : 0;
+
+    let weather = null;
+    if (logistics.weather.enabled) {
+        const { meanWindSpeed, shape } = getSiteWind(settings, windData);
+        const scale = meanWindSpeed / jStat.gammafn(1 + 1 / shape);
+        const { seasonalAmplitude, windiestMonth } = logistics.weather;
+        weather = {
+            meanWindSpeed,
+            shape,
+            monthlyScale: Array.from({ length: MONTHS }, (_, month) =>
+                scale * (1 + seasonalAmplitude * Math.cos(2 * Math.PI * (month - (windiestMonth - 1)) / MONTHS)))
+        };
+    }
+
+    return { ...logistics, weather, codMonth };
+}
+
+/**
+ * Chance a day is workable for a crane: the share of the month's wind speeds below its wind limit
+ * @param {Object} weather - Weather of getLogistics
+ * @param {number} maxWindSpeed - Crane operating limit (m/s)
+ * @returns {Array<number>} Probability by calendar month (0 = January)
+ */
+function calculateWorkability(weather, maxWindSpeed) {
+    return weather.monthlyScale.map(scale => 1 - Math.exp(-Math.pow(maxWindSpeed / scale, weather.shape)));
+}
+
+/**
+ * Calendar month of a time in the project
+ * @param {number} time - Project years from COD
+ * @param {number} codMonth - Calendar month index of COD
+ * @returns {number} Calendar month index (0 = January)
+ */
+function calendarMonth(time, codMonth) {
+    return (codMonth + Math.floor(time * MONTHS)) % MONTHS;
+}
+
+module.exports = {
+    getSiteWind,
+    getLogistics,
+    calculateWorkability,
+    calendarMonth
+};
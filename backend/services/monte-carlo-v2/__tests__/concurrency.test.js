@@ -0,0 +1,105 @@
+// backend/services/monte-carlo-v2/__tests__/concurrency.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine } = require('..');
+const { SimRequestSchema } = require('../../../../schemas/yup/distribution');
+const { createRandom, Pcg32Generator } = require('../utils/random');
+
+const buildRequest = (randomGenerator) => SimRequestSchema.validateSync({
+    distributions: [
+        {
+            key: 'electricityPrice',
+            type: 'gbm',
+            parameters: { value: 50, drift: 2, volatility: 10, timeStep: 1 },
+            metadata: { percentileDirection: 'ascending' }
+        },
+        {
+            key: 'energyProduction',
+            type: 'normal',
+            parameters: { value: 1000, stdDev: 8 },
+            metadata: { percentileDirection: 'descending' }
+        }
+    ],
+    simulationSettings: {
+        iterations: 4100,
+        seed: 42,
+        years: 10,
+        randomGenerator
+    }
+});
+
+// Drop wall-clock timings so runs can be compared exactly
+const stripTimings = (results) => JSON.stringify({
+    ...results,
+    simulationInfo: results.simulationInfo.map(info => ({ ...info, timeElapsed: 0 }))
+});
+
+test('overlapping runs with the same seed give identical output', async () => {
+    const request = buildRequest('xoshiro128');
+    const soloResults = await createEngine(request, 1).run();
+    assert.equal(soloResults.success, true);
+    const solo = stripTimings(soloResults);
+
+    // Threaded runs yield to the event loop, so these genuinely interleave; a third party
+    // consuming Math.random in between must not affect either of them
+    const originalRandom = Math.random;
+    let interfering = true;
+    const interfere = () => {
+        if (!interfering) return;
+        Math.random();
+        setImmediate(interfere);
+    };
+    interfere();
+
+    const [first, second] = await Promise.all([
+        createEngine(request, 2).run(),
+        createEngine(request, 2).run()
+    ]);
+    interfering = false;
+
+    assert.equal(Math.random, originalRandom);
+    assert.equal(stripTimings(first), solo);
+    assert.equal(stripTimings(second), solo);
+});
+
+test('each generator is reproducible and independent of worker count', async () => {
+    for (const generator of ['seedrandom', 'xoshiro128', 'pcg32']) {
+        const request = buildRequest(generator);
+        const inProcess = stripTimings(await createEngine(request, 1).run());
+        const threaded = stripTimings(await createEngine(request, 3).run());
+
+        assert.equal(threaded, inProcess, `${generator} differs between worker counts`);
+    }
+});
+
+test('each sampling method is independent of worker count', async () => {
+    for (const samplingMethod of ['latinHypercube', 'sobol', 'antithetic']) {
+        const request = buildRequest('xoshiro128');
+        request.simulationSettings.samplingMethod = samplingMethod;
+        const inProcess = await createEngine(request, 1).run();
+        const threaded = await createEngine(request, 2).run();
+
+        assert.equal(stripTimings(threaded), stripTimings(inProcess), `${samplingMethod} differs between worker counts`);
+        inProcess.simulationInfo.forEach(info => {
+            assert.equal(info.convergence.samplingMethod, samplingMethod);
+            assert.equal(info.convergence.method, 'batch');
+        });
+    }
+});
+
+test('generators match their reference streams', () => {
+    // pcg32 demo: initstate 42, initseq 54
+    const reference = new Pcg32Generator(null, [0, 42, 0, 54]);
+    assert.deepEqual(
+        Array.from({ length: 6 }, () => reference.nextUint32()),
+        [0xa15c02b7, 0x7b47f409, 0xba1d3330, 0x83d2f293, 0xbfa4784b, 0xcbed606e]
+    );
+
+    // xoshiro128** with state { 1, 2, 3, 4 }
+    const xoshiro = createRandom(0, 'xoshiro128').source;
+    xoshiro.state.set([1, 2, 3, 4]);
+    assert.deepEqual(
+        Array.from({ length: 4 }, () => xoshiro.nextUint32()),
+        [11520, 0, 5927040, 70819200]
+    );
+});
@@ -0,0 +1,80 @@
+// backend/services/monte-carlo-v2/__tests__/convergence.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine } = require('..');
+const { SimRequestSchema } = require('../../../../schemas/yup/distribution');
+const ConvergenceTracker = require('../engine/convergenceTracker');
+
+const buildRequest = (simulationSettings) => SimRequestSchema.validateSync({
+    distributions: [
+        {
+            key: 'windVariability',
+            type: 'weibull',
+            parameters: { scale: 8, shape: 2 }
+        },
+        {
+            key: 'electricityPrice',
+            type: 'gbm',
+            parameters: { value: 50, drift: 2, volatility: 10, timeStep: 1 }
+        }
+    ],
+    simulationSettings: { seed: 11, years: 5, ...simulationSettings }
+});
+
+const withoutTimings = (results) => JSON.stringify(results.simulationInfo.map(info => ({ ...info, timeElapsed: 0 })));
+
+test('tracker running estimates match percentiles of the pooled sample', () => {
+    const tracker = new ConvergenceTracker({ years: 1, percentiles: [{ value: 50, description: 'primary' }] });
+
+    assert.equal(tracker.addBatch([[3], [1], [2]]), null);
+    assert.equal(tracker.trace[0].data[0].value, 2);
+
+    // Pooled sample 1..6: median 3.5, moved by 1.5 relative to the largest estimate
+    const change = tracker.addBatch([[6], [4], [5]]);
+    assert.deepEqual(tracker.trace[0].data.map(point => point.iterations), [3, 6]);
+    assert.equal(tracker.trace[0].data[1].value, 3.5);
+    assert.equal(change, 1.5 / 3.5);
+    assert.equal(tracker.latestChange(), change);
+});
+
+test('fixed-size runs report one trace point per chunk', async () => {
+    const results = await createEngine(buildRequest({ iterations: 6000 }), 1).run();
+
+    results.simulationInfo.forEach(info => {
+        assert.equal(info.iterations, 6000);
+        assert.equal(info.convergence.autoStop, null);
+        info.convergence.trace.forEach(series => {
+            assert.deepEqual(series.data.map(point => point.iterations), [2000, 4000, 6000]);
+        });
+        assert.equal(info.convergence.relativeChange.length, 2);
+    });
+});
+
+test('auto-stop extends a run until percentiles are stable', async () => {
+    const autoStop = { enabled: true, tolerance: 0.5, maxIterations: 40000 };
+    const inProcess = await createEngine(buildRequest({ iterations: 2000, autoStop }), 1).run();
+    const threaded = await createEngine(buildRequest({ iterations: 2000, autoStop }), 2).run();
+    assert.equal(withoutTimings(threaded), withoutTimings(inProcess));
+
+    const [info] = inProcess.simulationInfo;
+    assert.ok(info.iterations > 2000 && info.iterations < 40000);
+    assert.equal(info.convergence.autoStop.converged, true);
+    inProcess.simulationInfo.forEach(({ iterations, convergence }) => {
+        assert.equal(iterations, info.iterations);
+        assert.ok(convergence.relativeChange[convergence.relativeChange.length - 1].value <= 0.005);
+    });
+
+    // The extended run starts with the same chunks as a fixed run of the same length
+    const fixed = await createEngine(buildRequest({ iterations: info.iterations }), 1).run();
+    assert.deepEqual(fixed.simulationInfo[0].results, info.results);
+});
+
+test('auto-stop gives up at maxIterations', async () => {
+    const autoStop = { enabled: true, tolerance: 0.001, maxIterations: 7000 };
+    const results = await createEngine(buildRequest({ iterations: 2000, autoStop }), 1).run();
+
+    results.simulationInfo.forEach(({ iterations, convergence }) => {
+        assert.equal(iterations, 6000);
+        assert.equal(convergence.autoStop.converged, false);
+    });
+});
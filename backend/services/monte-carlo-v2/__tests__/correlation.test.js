@@ -0,0 +1,111 @@
+// backend/services/monte-carlo-v2/__tests__/correlation.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine } = require('..');
+const DistributionWorker = require('../engine/worker');
+const { correlatePaths } = require('../utils/correlation');
+const { createRandom } = require('../utils/random');
+const { SimRequestSchema } = require('../../../../schemas/yup/distribution');
+
+const YEARS = 10;
+const TARGET = 0.6;
+const TOLERANCE = 0.05;
+
+const DISTRIBUTIONS = [
+    { key: 'windVariability', type: 'weibull', parameters: { scale: 8, shape: 2 } },
+    { key: 'electricityPrice', type: 'normal', parameters: { value: 50, stdDev: 5 } },
+    { key: 'baseEscalationRate', type: 'gbm', parameters: { value: 100, drift: 2, volatility: 10, timeStep: 1 } }
+];
+
+const buildRequest = (correlation) => SimRequestSchema.validateSync({
+    distributions: DISTRIBUTIONS,
+    simulationSettings: { seed: 11, years: YEARS, iterations: 2000, correlation }
+});
+
+const samplePaths = (distribution, simulationSettings) => {
+    const worker = new DistributionWorker(distribution, simulationSettings);
+    worker.initialize(`11-${distribution.key}`);
+    return { paths: worker.samplePaths(), pathDependent: worker.generator.constructor.isPathDependent() };
+};
+
+// Spearman correlation computed from scratch (no ties in continuous samples)
+const spearman = (x, y) => {
+    const rank = (values) => {
+        const ranks = new Array(values.length);
+        values.map((value, index) => [value, index]).sort((a, b) => a[0] - b[0]).forEach(([, index], r) => {
+            ranks[index] = r;
+        });
+        return ranks;
+    };
+    const [rx, ry] = [rank(x), rank(y)];
+    const n = x.length;
+    const d2 = rx.reduce((sum, r, i) => sum + (r - ry[i]) ** 2, 0);
+    return 1 - 6 * d2 / (n * (n * n - 1));
+};
+
+const column = (paths, year) => paths.map(path => path[year]);
+const sorted = (values) => [...values].sort((a, b) => a - b);
+
+test('independent yearly draws follow the target rank correlation in every year', () => {
+    const { distributions: [wind, price], simulationSettings } = buildRequest();
+    const sampled = [wind, price].map(distribution => samplePaths(distribution, simulationSettings));
+
+    const { paths, achieved } = correlatePaths(
+        sampled.map(entry => entry.paths),
+        sampled.map(entry => entry.pathDependent),
+        [[1, TARGET], [TARGET, 1]],
+        'imanConover',
+        createRandom('correlation-test')
+    );
+
+    for (let year = 0; year < YEARS; year++) {
+        assert.ok(Math.abs(spearman(column(paths[0], year), column(paths[1], year)) - TARGET) < TOLERANCE);
+        // Only the pairing moves; each year's marginal is unchanged
+        assert.deepEqual(sorted(column(paths[1], year)), sorted(column(sampled[1].paths, year)));
+    }
+    assert.ok(Math.abs(achieved[0][1] - TARGET) < TOLERANCE);
+
+    // Years stay independent draws rather than becoming comonotone across the path
+    assert.ok(Math.abs(spearman(column(paths[1], 0), column(paths[1], 1))) < TOLERANCE);
+});
+
+test('path-dependent paths stay whole while yearly draws correlate with them', () => {
+    const { distributions: [, price, escalation], simulationSettings } = buildRequest();
+    const sampled = [price, escalation].map(distribution => samplePaths(distribution, simulationSettings));
+    assert.deepEqual(sampled.map(entry => entry.pathDependent), [false, true]);
+
+    const { paths, achieved } = correlatePaths(
+        sampled.map(entry => entry.paths),
+        sampled.map(entry => entry.pathDependent),
+        [[1, TARGET], [TARGET, 1]],
+        'gaussianCopula',
+        createRandom('correlation-test')
+    );
+
+    const original = new Set(sampled[1].paths);
+    assert.ok(paths[1].every(path => original.has(path)));
+    assert.equal(new Set(paths[1]).size, paths[1].length);
+
+    // The first GBM year is the fixed initial value, so only later years carry rank information
+    for (let year = 1; year < YEARS; year++) {
+        assert.ok(Math.abs(spearman(column(paths[0], year), column(paths[1], year)) - TARGET) < TOLERANCE);
+    }
+    assert.ok(Math.abs(achieved[0][1] - TARGET) < TOLERANCE);
+});
+
+test('the engine reports the rank correlation it achieved', async () => {
+    const correlation = {
+        enabled: true,
+        method: 'imanConover',
+        pairs: [
+            { variableA: 'windVariability', variableB: 'electricityPrice', coefficient: TARGET },
+            { variableA: 'electricityPrice', variableB: 'baseEscalationRate', coefficient: -0.3 }
+        ]
+    };
+    const results = await createEngine(buildRequest(correlation), 1).run();
+
+    assert.deepEqual(results.correlation.variables, ['windVariability', 'electricityPrice', 'baseEscalationRate']);
+    results.correlation.target.forEach((row, i) => row.forEach((target, j) => {
+        assert.ok(Math.abs(results.correlation.achieved[i][j] - target) < TOLERANCE);
+    }));
+});
@@ -0,0 +1,76 @@
+// backend/services/monte-carlo-v2/__tests__/resultCache.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine, ResultCache } = require('..');
+const { cacheKey } = require('../engine/resultCache');
+const { SimRequestSchema } = require('../../../../schemas/yup/distribution');
+
+const buildRequest = ({ windScale = 8, ...simulationSettings } = {}) => SimRequestSchema.validateSync({
+    distributions: [
+        { key: 'windVariability', type: 'weibull', parameters: { scale: windScale, shape: 2 } },
+        { key: 'electricityPrice', type: 'normal', parameters: { value: 50, stdDev: 5 } }
+    ],
+    simulationSettings: { seed: 5, years: 3, iterations: 4000, ...simulationSettings }
+});
+
+const withoutCacheFields = ({ timeElapsed, cached, cacheKey: key, ...info }) => info;
+
+test('unchanged distributions are served from the cache', async () => {
+    const cache = new ResultCache();
+    const first = await createEngine(buildRequest(), 1).run({ cache });
+    assert.deepEqual(first.simulationInfo.map(info => info.cached), [false, false]);
+    assert.equal(cache.size, 2);
+
+    const progress = [];
+    const second = await createEngine(buildRequest(), 1).run({ cache, onProgress: update => progress.push(update) });
+    assert.deepEqual(second.simulationInfo.map(info => info.cached), [true, true]);
+    assert.deepEqual(second.simulationInfo.map(withoutCacheFields), first.simulationInfo.map(withoutCacheFields));
+    assert.deepEqual(progress.map(({ distributions }) => distributions.every(entry => entry.cached)), [true]);
+
+    // Only the changed distribution is sampled again
+    const changed = await createEngine(buildRequest({ windScale: 9 }), 1).run({ cache });
+    assert.deepEqual(changed.simulationInfo.map(info => info.cached), [false, true]);
+});
+
+test('cache keys cover the settings results depend on', () => {
+    const { distributions: [distribution], simulationSettings } = buildRequest();
+    const key = cacheKey('distribution_1', distribution, simulationSettings);
+
+    assert.equal(cacheKey('distribution_1', { ...distribution, key: 'renamed' }, simulationSettings), key);
+    assert.notEqual(cacheKey('distribution_2', distribution, simulationSettings), key);
+    assert.notEqual(cacheKey('distribution_1', distribution, { ...simulationSettings, seed: 6 }), key);
+    assert.notEqual(cacheKey('distribution_1', distribution, { ...simulationSettings, samplingMethod: 'sobol' }), key);
+
+    const fitToData = [{ year: 1, value: 7 }, { year: 2, value: 9 }, { year: 3, value: 8 }];
+    const fitted = cacheKey('distribution_1', distribution, { ...simulationSettings, fitToData });
+    assert.notEqual(fitted, key);
+    assert.notEqual(cacheKey('distribution_1', distribution, { ...simulationSettings, fitToData: fitToData.slice(1) }), fitted);
+    assert.equal(cacheKey('distribution_1', distribution, { ...simulationSettings, fitToData: [] }), key);
+});
+
+test('correlated distributions are always sampled', async () => {
+    const cache = new ResultCache();
+    const correlation = {
+        enabled: true,
+        method: 'imanConover',
+        pairs: [{ variableA: 'windVariability', variableB: 'electricityPrice', coefficient: 0.5 }]
+    };
+    await createEngine(buildRequest({ correlation }), 1).run({ cache });
+    const second = await createEngine(buildRequest({ correlation }), 1).run({ cache });
+
+    assert.equal(cache.size, 0);
+    assert.deepEqual(second.simulationInfo.map(info => info.cached), [false, false]);
+    assert.notEqual(second.correlation, null);
+});
+
+test('under auto-stop a changed distribution invalidates all others', async () => {
+    const cache = new ResultCache();
+    const autoStop = { enabled: true, tolerance: 1, maxIterations: 10000 };
+    await createEngine(buildRequest({ autoStop }), 1).run({ cache });
+
+    const same = await createEngine(buildRequest({ autoStop }), 1).run({ cache });
+    assert.deepEqual(same.simulationInfo.map(info => info.cached), [true, true]);
+
+    const changed = await createEngine(buildRequest({ autoStop, windScale: 9 }), 1).run({ cache });
+    assert.deepEqual(changed.simulationInfo.map(info => info.cached), [false, false]);
+});
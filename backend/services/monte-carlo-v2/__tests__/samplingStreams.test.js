@@ -0,0 +1,85 @@
+// backend/services/monte-carlo-v2/__tests__/samplingStreams.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSamplingStream, primitivePolynomials } = require('../utils/samplingStreams');
+const { createRandom } = require('../utils/random');
+const ResultsFormatter = require('../engine/resultsFormatter');
+
+// Draw `dimensions` uniforms for each of `count` iterations
+const drawPoints = (stream, count, dimensions) => Array.from({ length: count }, (_, i) => {
+    stream.startIteration(i);
+    return Array.from({ length: dimensions }, () => stream());
+});
+
+// True when every one of `count` equal strata holds exactly one draw
+const isStratified = (values) => {
+    const strata = new Set(values.map(value => Math.floor(value * values.length)));
+    return strata.size === values.length;
+};
+
+test('random sampling reproduces the plain generator stream', () => {
+    const stream = createSamplingStream('random', { seed: 'abc', generator: 'pcg32', count: 10 });
+    const plain = createRandom('abc', 'pcg32');
+    drawPoints(stream, 10, 3).flat().forEach(value => assert.equal(value, plain()));
+});
+
+test('latin hypercube stratifies every draw position', () => {
+    const points = drawPoints(createSamplingStream('latinHypercube', { seed: 1, count: 500 }), 500, 6);
+    for (let d = 0; d < 6; d++) {
+        assert.ok(isStratified(points.map(point => point[d])), `dimension ${d} is not stratified`);
+    }
+});
+
+test('sobol points are stratified in every dimension and stay inside (0, 1)', () => {
+    const points = drawPoints(createSamplingStream('sobol', { seed: 2, count: 1024 }), 1024, 40);
+    for (let d = 0; d < 40; d++) {
+        const values = points.map(point => point[d]);
+        assert.ok(isStratified(values), `dimension ${d} is not stratified`);
+        assert.ok(values.every(value => value > 0 && value < 1));
+    }
+});
+
+test('antithetic iterations mirror their partner', () => {
+    const points = drawPoints(createSamplingStream('antithetic', { seed: 3, count: 10 }), 10, 4);
+    for (let i = 0; i < 10; i += 2) {
+        points[i].forEach((value, d) => assert.equal(points[i + 1][d], 1 - value));
+    }
+});
+
+test('primitive polynomials start with the known sequence', () => {
+    // x + 1, x^2 + x + 1, x^3 + x + 1, x^3 + x^2 + 1
+    assert.deepEqual(
+        primitivePolynomials(4),
+        [
+            { degree: 1, coefficients: 0 },
+            { degree: 2, coefficients: 1 },
+            { degree: 3, coefficients: 1 },
+            { degree: 3, coefficients: 2 }
+        ]
+    );
+});
+
+test('percentile standard errors shrink with stratified sampling', () => {
+    const settings = { years: 1, percentiles: [{ value: 90, description: 'extreme_upper' }] };
+    const standardError = (samplingMethod) => {
+        const batches = Array.from({ length: 8 }, (_, b) => {
+            const stream = createSamplingStream(samplingMethod, { seed: `batch-${b}`, count: 1000 });
+            return drawPoints(stream, 1000, 1);
+        });
+        const convergence = ResultsFormatter.formatConvergence(batches, { ...settings, samplingMethod });
+        assert.equal(convergence.method, 'batch');
+        return convergence.percentiles[0].standardError[0].value;
+    };
+
+    // Uniform P90 from n = 8000 draws: sqrt(0.09 / 8000) ~ 0.0034 for plain random sampling
+    const random = standardError('random');
+    assert.ok(random > 0.001 && random < 0.01);
+    assert.ok(standardError('latinHypercube') < random / 10);
+    assert.ok(standardError('sobol') < random / 10);
+
+    // A single batch falls back to the asymptotic estimate
+    const stream = createSamplingStream('random', { seed: 9, count: 1000 });
+    const asymptotic = ResultsFormatter.formatConvergence([drawPoints(stream, 1000, 1)], settings);
+    assert.equal(asymptotic.method, 'asymptotic');
+    assert.ok(Math.abs(asymptotic.percentiles[0].standardError[0].value - Math.sqrt(0.09 / 1000)) < 0.003);
+});
@@ -0,0 +1,65 @@
+// backend/services/monte-carlo-v2/__tests__/threePhaseWeibull.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEngine } = require('..');
+const { SimRequestSchema } = require('../../../../schemas/yup/distribution');
+const ThreePhaseWeibull = require('../distributions/threePhaseWeibull');
+
+const GEARBOX = { value: 0.022, infantShape: 0.6, infantDuration: 2, wearOutStart: 20, wearOutShape: 3, wearOutScale: 12, uncertainty: 0.2 };
+
+/**
+ * Instantaneous hazard from the cumulative hazard (central difference)
+ * @param {number} age - Component age
+ * @returns {number} Hazard rate
+ */
+const hazardAt = (age) => (ThreePhaseWeibull.cumulativeHazard(age + 1e-6, GEARBOX) - ThreePhaseWeibull.cumulativeHazard(age - 1e-6, GEARBOX)) / 2e-6;
+
+test('hazard is continuous at both phase transitions and follows the bathtub', () => {
+    [GEARBOX.infantDuration, GEARBOX.wearOutStart].forEach(boundary => {
+        assert.ok(Math.abs(hazardAt(boundary - 1e-3) - hazardAt(boundary + 1e-3)) / GEARBOX.value < 0.01);
+    });
+
+    const probabilities = ThreePhaseWeibull.annualProbabilities(GEARBOX, 30).map(point => point.value);
+    assert.ok(probabilities[0] > probabilities[1] && probabilities[1] > probabilities[2]); // Infant mortality
+    assert.ok(Math.abs(probabilities[9] - (1 - Math.exp(-GEARBOX.value))) < 1e-12); // Useful life
+    assert.ok(probabilities[29] > probabilities[24] && probabilities[24] > 2 * probabilities[9]); // Wear-out
+});
+
+test('validation enforces phase order and shapes', () => {
+    assert.equal(ThreePhaseWeibull.validate(GEARBOX).isValid, true);
+    assert.equal(ThreePhaseWeibull.validate({ value: 0.02 }).isValid, true); // Phase defaults
+
+    const { isValid, errors } = ThreePhaseWeibull.validate({ ...GEARBOX, infantShape: 1.5, wearOutShape: 0.8, wearOutStart: 1 });
+    assert.equal(isValid, false);
+    assert.equal(errors.length, 3);
+    assert.deepEqual(ThreePhaseWeibull.validate({ infantShape: 0.6 }).errors, ['Useful-life failure rate parameter is required']);
+});
+
+test('fitCurve recovers the rate and wear-out hazard from an annual curve', () => {
+    const fitted = ThreePhaseWeibull.fitCurve(ThreePhaseWeibull.annualProbabilities(GEARBOX, 30));
+
+    assert.ok(Math.abs(fitted.value - GEARBOX.value) < 1e-9);
+    assert.ok(Math.abs(fitted.wearOutShape - GEARBOX.wearOutShape) < 0.2);
+    assert.ok(Math.abs(fitted.wearOutScale - GEARBOX.wearOutScale) / GEARBOX.wearOutScale < 0.05);
+    assert.throws(() => ThreePhaseWeibull.fitCurve([]), /Data points are required/);
+});
+
+test('simulated annual probabilities match the statistics formulas', async () => {
+    const request = SimRequestSchema.validateSync({
+        distributions: [{ key: 'gearboxes', type: 'threePhaseWeibull', parameters: GEARBOX }],
+        simulationSettings: { iterations: 20000, seed: 7, years: 30 }
+    });
+    const { simulationInfo: [info] } = await createEngine(request, 1).run();
+    assert.deepEqual(info.errors, []);
+
+    const sampled = (year) => info.results.find(result => result.percentile.value === 50).data.find(point => point.year === year).value;
+    const generator = new ThreePhaseWeibull(GEARBOX);
+
+    [1, 10, 25].forEach(year => {
+        const mean = info.statistics.mean.find(point => point.year === year).value;
+        assert.equal(mean, generator.getMeanFormula()(GEARBOX, year));
+        // The median multiplier is slightly below 1, so P50 sits just under the mean
+        assert.ok(sampled(year) < mean && sampled(year) > 0.95 * mean);
+    });
+    assert.ok(sampled(25) > 2 * sampled(10));
+});
@@ -89,6 +89,15 @@ class DistributionGenerator {
         throw new Error('Method fitCurve() must be implemented');
     }
 
+    /**
+     * Whether a sampled path depends on its earlier years (a random walk or a draw shared by the whole path).
+     * Correlation keeps such paths whole; paths of independent yearly draws are re-paired year by year.
+     * @returns {boolean} True when the years of a path must stay together
+     */
+    static isPathDependent() {
+        return false;
+    }
+
     /**
          * Get analytical formula for mean
          * @returns {Function|null} Function (parameters, year) => number|null, or null for numerical fallback
@@ -77,6 +77,14 @@ class GBMDistribution extends DistributionGenerator {
         }
     }
 
+    /**
+     * Each year steps from the previous value of the path
+     * @returns {boolean} Always true
+     */
+    static isPathDependent() {
+        return true;
+    }
+
     /**
      * Validate GBM distribution parameters
      * @param {Object} parameters - Parameters to validate
@@ -0,0 +1,389 @@
+// backend/services/monte-carlo-v2/distributions/threePhaseWeibull.js
+const DistributionGenerator = require('./distributionBase');
+const validation = require('../utils/validation');
+const { inverseNormalCDF } = require('../utils/correlation');
+
+// Phase defaults from the three-phase component failure model (docs/prd-three-phase-weibull-component-failure-model.md)
+const DEFAULTS = {
+    value: 0.02,
+    infantShape: 0.6,
+    infantDuration: 2,
+    wearOutStart: 20,
+    wearOutShape: 3,
+    wearOutScale: 12,
+    uncertainty: 0.2
+};
+
+// Standard normal grid for the expected-value integrals of the statistics formulas (Simpson's rule on [-8, 8])
+const Z_STEPS = 160;
+const Z_LIMIT = 8;
+
+/**
+ * Three-phase (bathtub) Weibull failure distribution
+ * Generates the annual failure probability of a component by age (project year) from a piecewise hazard:
+ * infant mortality (decreasing Weibull hazard), useful life (constant rate) and wear-out (increasing
+ * Weibull hazard added on top of the constant rate). The infant mortality scale is solved from the
+ * useful-life rate and the wear-out term starts from zero, so the hazard is continuous at both phase
+ * transitions. Rate uncertainty is a lognormal multiplier (mean 1) drawn once per iteration.
+ */
+class ThreePhaseWeibullDistribution extends DistributionGenerator {
+    /**
+     * Initialize the three-phase Weibull distribution
+     * @param {Object} parameters - Distribution parameters
+     * @returns {Object} Initial state
+     */
+    initialize(parameters) {
+        return {
+            multiplier: 1 // Rate multiplier of the current iteration
+        };
+    }
+
+    /**
+     * Draw the rate multiplier when a new path starts
+     * @param {number} year - Current year
+     */
+    updateYear(year) {
+        if (year === 1) {
+            this.state.multiplier = null;
+        }
+    }
+
+    /**
+     * Generate the annual failure probability for a component age
+     * @param {number} year - Current year (component age in years)
+     * @param {function} random - Random generator function
+     * @returns {number} Annual failure probability
+     */
+    generate(year, random) {
+        const parameters = this.getYearParameters(year);
+
+        if (this.state.multiplier === null) {
+            const sigma = this.constructor._logSigma(parameters.uncertainty);
+            this.state.multiplier = Math.exp(sigma * inverseNormalCDF(random()) - sigma * sigma / 2);
+        }
+
+        const hazard = this.constructor.annualHazard(year, parameters);
+        return 1 - Math.exp(-this.state.multiplier * hazard);
+    }
+
+    /**
+     * Resolve all parameters for a year (time series parameters use that year's value)
+     * @param {number} year - Current year
+     * @returns {Object} Parameter values
+     */
+    getYearParameters(year) {
+        return Object.keys(DEFAULTS).reduce((parameters, name) => {
+            parameters[name] = this.getParameterValue(name, year, DEFAULTS[name]);
+            return parameters;
+        }, {});
+    }
+
+    /**
+     * The rate multiplier is drawn once per iteration and shared by every year of the path
+     * @returns {boolean} Always true
+     */
+    static isPathDependent() {
+        return true;
+    }
+
+    /**
+     * Infant mortality scale that makes the infant hazard equal the useful-life rate at the end of phase 1
+     * h1(d1) = (β1 / η1) (d1 / η1)^(β1 - 1) = λ  =>  η1 = (β1 d1^(β1 - 1) / λ)^(1 / β1)
+     * @param {Object} parameters - Parameter values
+     * @returns {number} Infant mortality scale in years
+     */
+    static infantScale({ value, infantShape, infantDuration }) {
+        return Math.pow(infantShape * Math.pow(infantDuration, infantShape - 1) / value, 1 / infantShape);
+    }
+
+    /**
+     * Cumulative hazard H(t) of the piecewise hazard at age t
+     * @param {number} age - Component age in years
+     * @param {Object} parameters - Parameter values
+     * @returns {number} Cumulative hazard
+     */
+    static cumulativeHazard(age, parameters) {
+        const { value, infantShape, infantDuration, wearOutStart, wearOutShape, wearOutScale } = parameters;
+        if (age <= 0) return 0;
+
+        const infantAge = Math.min(age, infantDuration);
+        const infant = Math.pow(infantAge / this.infantScale(parameters), infantShape);
+        const usefulLife = value * Math.max(0, age - infantDuration);
+        const wearOut = Math.pow(Math.max(0, age - wearOutStart) / wearOutScale, wearOutShape);
+
+        return infant + usefulLife + wearOut;
+    }
+
+    /**
+     * Expected failures in a year of age (H(t) - H(t - 1))
+     * @param {number} year - Component age at the end of the year
+     * @param {Object} parameters - Parameter values
+     * @returns {number} Annual cumulative hazard increment
+     */
+    static annualHazard(year, parameters) {
+        return this.cumulativeHazard(year, parameters) - this.cumulativeHazard(year - 1, parameters);
+    }
+
+    /**
+     * Deterministic annual failure probabilities (no rate uncertainty)
+     * @param {Object} parameters - Distribution parameters (numbers)
+     * @param {number} years - Number of years
+     * @returns {Array<Object>} DataPointSchema objects
+     */
+    static annualProbabilities(parameters, years) {
+        const resolved = { ...DEFAULTS, ...parameters };
+        return Array.from({ length: years }, (_, i) => ({
+            year: i + 1,
+            value: 1 - Math.exp(-this.annualHazard(i + 1, resolved))
+        }));
+    }
+
+    /**
+     * Log-space standard deviation of a mean-1 lognormal multiplier with the given coefficient of variation
+     * @private
+     * @param {number} uncertainty - Coefficient of variation
+     * @returns {number} Sigma
+     */
+    static _logSigma(uncertainty) {
+        return Math.sqrt(Math.log(1 + uncertainty * uncertainty));
+    }
+
+    /**
+     * Expected value of (1 - exp(-m ΔH))^power over the lognormal rate multiplier m
+     * @private
+     * @param {number} hazard - Annual cumulative hazard increment ΔH
+     * @param {number} uncertainty - Coefficient of variation of the multiplier
+     * @param {number} power - Moment order
+     * @returns {number} Moment of the annual failure probability
+     */
+    static _probabilityMoment(hazard, uncertainty, power) {
+        const sigma = this._logSigma(uncertainty);
+        const probability = (z) => Math.pow(1 - Math.exp(-Math.exp(sigma * z - sigma * sigma / 2) * hazard), power);
+
+        const h = (2 * Z_LIMIT) / Z_STEPS;
+        let sum = 0;
+        for (let i = 0; i <= Z_STEPS; i++) {
+            const z = -Z_LIMIT + i * h;
+            const weight = i === 0 || i === Z_STEPS ? 1 : (i % 2 === 1 ? 4 : 2);
+            sum += weight * probability(z) * Math.exp(-z * z / 2);
+        }
+        return (sum * h / 3) / Math.sqrt(2 * Math.PI);
+    }
+
+    /**
+     * Validate three-phase Weibull distribution parameters
+     * @param {Object} parameters - Parameters to validate
+     * @returns {Object} Validation result {isValid, errors}
+     */
+    static validate(parameters) {
+        const errors = [];
+
+        /**
+         * Check a parameter that is required or falls back to its default
+         * @param {string} name - Parameter name
+         * @param {string} label - Label used in messages
+         * @param {Function} isValid - Value check
+         * @param {string} constraint - Constraint description
+         * @param {boolean} required - Whether the parameter must be provided
+         */
+        const checkParameter = (name, label, isValid, constraint, required = false) => {
+            const paramValue = parameters[name];
+            if (paramValue === undefined || paramValue === null) {
+                if (required) errors.push(`${label} parameter is required`);
+                return;
+            }
+            if (!validation.isValidParameter(paramValue)) {
+                errors.push(`${label} parameter must be a number or a valid time series`);
+            } else if (typeof paramValue === 'number' && !isValid(paramValue)) {
+                errors.push(`${label} parameter ${constraint}`);
+            } else if (Array.isArray(paramValue)) {
+                paramValue.forEach((point, index) => {
+                    if (!isValid(point.value)) {
+                        errors.push(`${label} parameter at index ${index} (year ${point.year}) ${constraint}`);
+                    }
+                });
+            }
+        };
+
+        checkParameter('value', 'Useful-life failure rate', v => v > 0, 'must be positive', true);
+        checkParameter('infantShape', 'Infant mortality shape', v => v > 0 && v <= 1, 'must be between 0 (exclusive) and 1');
+        checkParameter('infantDuration', 'Infant mortality duration', v => v > 0, 'must be positive');
+        checkParameter('wearOutStart', 'Wear-out start', v => v >= 0, 'must be zero or positive');
+        checkParameter('wearOutShape', 'Wear-out shape', v => v > 1, 'must be greater than 1');
+        checkParameter('wearOutScale', 'Wear-out scale', v => v > 0, 'must be positive');
+        checkParameter('uncertainty', 'Uncertainty', v => v > 0, 'must be positive');
+
+        // Phases must follow each other
+        const infantDuration = parameters.infantDuration ?? DEFAULTS.infantDuration;
+        const wearOutStart = parameters.wearOutStart ?? DEFAULTS.wearOutStart;
+        if (typeof infantDuration === 'number' && typeof wearOutStart === 'number' && wearOutStart < infantDuration) {
+            errors.push("Wear-out start must not be before the end of the infant mortality phase");
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get three-phase Weibull distribution metadata
+     * @returns {Object} Metadata about the distribution
+     */
+    static getMetadata() {
+        return {
+            name: "Three-Phase Weibull Distribution",
+            description: "Bathtub failure curve: infant mortality, useful life and wear-out phases with continuous hazard",
+            parameters: [
+                {
+                    name: "value",
+                    description: "Useful-life (constant) annual failure rate",
+                    required: true,
+                    type: "number or time series",
+                    constraints: "must be positive"
+                },
+                {
+                    name: "infantShape",
+                    description: "Weibull shape of the infant mortality phase (decreasing hazard); its scale is solved for continuity",
+                    required: false,
+                    type: "number or time series",
+                    constraints: "must be in (0, 1], default 0.6"
+                },
+                {
+                    name: "infantDuration",
+                    description: "Length of the infant mortality phase in years",
+                    required: false,
+                    type: "number or time series",
+                    constraints: "must be positive, default 2"
+                },
+                {
+                    name: "wearOutStart",
+                    description: "Component age in years at which wear-out starts",
+                    required: false,
+                    type: "number or time series",
+                    constraints: "must not be before the end of infant mortality, default 20"
+                },
+                {
+                    name: "wearOutShape",
+                    description: "Weibull shape of the wear-out hazard added from wearOutStart",
+                    required: false,
+                    type: "number or time series",
+                    constraints: "must be greater than 1, default 3"
+                },
+                {
+                    name: "wearOutScale",
+                    description: "Weibull scale of the wear-out hazard in years after wearOutStart",
+                    required: false,
+                    type: "number or time series",
+                    constraints: "must be positive, default 12"
+                },
+                {
+                    name: "uncertainty",
+                    description: "Coefficient of variation of the lognormal rate multiplier drawn per iteration",
+                    required: false,
+                    type: "number or time series",
+                    constraints: "must be positive, default 0.2"
+                }
+            ],
+            examples: [
+                {
+                    description: "Gearbox (2.2% useful-life rate, wear-out from year 20)",
+                    parameters: { value: 0.022, infantShape: 0.6, infantDuration: 2, wearOutStart: 20, wearOutShape: 3, wearOutScale: 12, uncertainty: 0.2 }
+                },
+                {
+                    description: "Power electronics (early failures, mild wear-out)",
+                    parameters: { value: 0.012, infantShape: 0.5, infantDuration: 3, wearOutStart: 18, wearOutShape: 2, wearOutScale: 25, uncertainty: 0.3 }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Fit three-phase Weibull parameters to annual failure rates by component age
+     * Phase boundaries and the infant shape keep their defaults; the useful-life rate is the mean
+     * rate between them and the wear-out hazard is a log-log regression of the excess rate after wear-out starts
+     * @param {Array} dataPoints - Data points ({ year: age, value: annual failure rate }) to fit to
+     * @returns {Object} Fitted parameters
+     */
+    static fitCurve(dataPoints) {
+        if (!dataPoints || dataPoints.length === 0) {
+            throw new Error("Data points are required for curve fitting");
+        }
+
+        const points = dataPoints.filter(dp => dp.value > 0 && dp.year > 0);
+        if (points.length === 0) {
+            throw new Error("No positive values found in data points (required for three-phase Weibull fitting)");
+        }
+
+        const { infantDuration, wearOutStart } = DEFAULTS;
+        const mean = (values) => values.reduce((acc, val) => acc + val, 0) / values.length;
+
+        // Useful life rate (hazard) from the points between the phase boundaries
+        const usefulPoints = points.filter(dp => dp.year > infantDuration && dp.year <= wearOutStart);
+        const rates = (usefulPoints.length > 0 ? usefulPoints : points).map(dp => -Math.log(1 - Math.min(dp.value, 0.999)));
+        const value = mean(rates);
+
+        // Uncertainty from the spread of useful-life rates
+        const variance = rates.length > 1 ? rates.reduce((acc, rate) => acc + (rate - value) ** 2, 0) / (rates.length - 1) : 0;
+        const fitted = { value, uncertainty: Math.max(0.05, Math.sqrt(variance) / value) };
+
+        // Wear-out: ΔH(t) - λ ≈ ((t - t0) / η)^β - ((t - 1 - t0) / η)^β, regressed as log excess vs log age past t0
+        const excess = points
+            .filter(dp => dp.year > wearOutStart)
+            .map(dp => ({ x: Math.log(dp.year - 0.5 - wearOutStart), y: Math.log(-Math.log(1 - Math.min(dp.value, 0.999)) - value) }))
+            .filter(point => isFinite(point.x) && isFinite(point.y));
+
+        if (excess.length >= 2) {
+            const xMean = mean(excess.map(point => point.x));
+            const yMean = mean(excess.map(point => point.y));
+            const sxx = excess.reduce((acc, point) => acc + (point.x - xMean) ** 2, 0);
+            const sxy = excess.reduce((acc, point) => acc + (point.x - xMean) * (point.y - yMean), 0);
+
+            // Hazard h(s) = (β / η) (s / η)^(β - 1): slope = β - 1, intercept = log(β) - β log(η)
+            const shape = sxx > 0 ? 1 + sxy / sxx : 0;
+            if (shape > 1) {
+                const intercept = yMean - (shape - 1) * xMean;
+                fitted.wearOutShape = shape;
+                fitted.wearOutScale = Math.exp((Math.log(shape) - intercept) / shape);
+            }
+        }
+
+        return fitted;
+    }
+
+    /**
+     * Get analytical formula for mean (expected annual failure probability over the rate uncertainty)
+     * @returns {Function} Formula function
+     */
+    getMeanFormula() {
+        return (params, year) => {
+            const parameters = this.getYearParameters(year);
+            const hazard = this.constructor.annualHazard(year, parameters);
+            return this.constructor._probabilityMoment(hazard, parameters.uncertainty, 1);
+        };
+    }
+
+    /**
+     * Get analytical formula for standard deviation
+     * @returns {Function} Formula function
+     */
+    getStdDevFormula() {
+        return (params, year) => {
+            const parameters = this.getYearParameters(year);
+            const hazard = this.constructor.annualHazard(year, parameters);
+            const mean = this.constructor._probabilityMoment(hazard, parameters.uncertainty, 1);
+            const secondMoment = this.constructor._probabilityMoment(hazard, parameters.uncertainty, 2);
+            return Math.sqrt(Math.max(0, secondMoment - mean * mean));
+        };
+    }
+
+    /**
+     * Get analytical formula for minimum
+     * @returns {Function} Formula function
+     */
+    getMinFormula() {
+        return () => 0; // Probabilities are non-negative
+    }
+}
+
+module.exports = ThreePhaseWeibullDistribution;
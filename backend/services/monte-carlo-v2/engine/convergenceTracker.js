@@ -0,0 +1,115 @@
+// backend/services/monte-carlo-v2/engine/convergenceTracker.js
+const { calculateSortedPercentile } = require('../utils/percentiles');
+
+/**
+ * Merge two ascending arrays
+ * @param {Float64Array} a - Sorted values
+ * @param {Float64Array} b - Sorted values
+ * @returns {Float64Array} Sorted union
+ */
+function mergeSorted(a, b) {
+    const merged = new Float64Array(a.length + b.length);
+    let i = 0, j = 0, k = 0;
+    while (i < a.length && j < b.length) {
+        merged[k++] = a[i] <= b[j] ? a[i++] : b[j++];
+    }
+    while (i < a.length) merged[k++] = a[i++];
+    while (j < b.length) merged[k++] = b[j++];
+    return merged;
+}
+
+/**
+ * Tracks running percentile estimates of one distribution as chunks (batches) arrive.
+ * Keeps every batch sorted by year, for batch-means standard errors, plus the cumulative
+ * sorted sample, so each new batch costs one sort and one merge instead of a full re-sort.
+ */
+class ConvergenceTracker {
+    /**
+     * Create a new tracker
+     * @param {Object} settings - { years, percentiles }
+     * @param {Object} [metadata] - Distribution metadata (percentileDirection)
+     */
+    constructor(settings, metadata = {}) {
+        this.years = settings.years;
+        this.percentiles = settings.percentiles;
+        this.isDescending = metadata?.percentileDirection === 'descending';
+        this.sortedBatches = [];
+        this.cumulative = null;
+        this.iterations = 0;
+        this.estimates = null;
+        this.trace = this.percentiles.map(percentile => ({ percentile, data: [] }));
+        this.relativeChange = [];
+    }
+
+    /**
+     * Percentile actually read from ascending values, honouring percentileDirection
+     * @param {number} value - Tracked percentile (0-100)
+     * @returns {number} Percentile to read
+     */
+    targetPercentile(value) {
+        return this.isDescending ? 100 - value : value;
+    }
+
+    /**
+     * Add a batch of sampled paths and record a trace point
+     * @param {Array<Array<number>>} paths - Sampled paths, one per iteration
+     * @returns {number|null} Relative change of the running estimates, null for the first batch
+     */
+    addBatch(paths) {
+        const sorted = Array.from({ length: this.years }, (_, year) => {
+            const values = new Float64Array(paths.length);
+            paths.forEach((path, i) => { values[i] = path[year]; });
+            return values.sort();
+        });
+
+        this.sortedBatches.push(sorted);
+        this.cumulative = this.cumulative
+            ? this.cumulative.map((values, year) => mergeSorted(values, sorted[year]))
+            : sorted;
+        this.iterations += paths.length;
+
+        // Running estimate of every tracked percentile and year
+        const estimates = this.percentiles.map(({ value }) => this.cumulative.map(values =>
+            calculateSortedPercentile(values, this.targetPercentile(value))
+        ));
+
+        estimates.forEach((byYear, p) => {
+            const average = byYear.reduce((sum, value) => sum + value, 0) / byYear.length;
+            this.trace[p].data.push({ iterations: this.iterations, value: average });
+        });
+
+        const change = this.estimates ? ConvergenceTracker.relativeChange(this.estimates, estimates) : null;
+        if (change !== null) {
+            this.relativeChange.push({ iterations: this.iterations, value: change });
+        }
+        this.estimates = estimates;
+        return change;
+    }
+
+    /**
+     * Largest move of any percentile/year estimate between two batches, relative to the largest
+     * tracked magnitude (so percentiles close to zero do not dominate)
+     * @param {Array<Array<number>>} previous - Estimates by percentile and year
+     * @param {Array<Array<number>>} current - Estimates by percentile and year
+     * @returns {number} Relative change as a fraction
+     */
+    static relativeChange(previous, current) {
+        let scale = 0;
+        let change = 0;
+        current.forEach((byYear, p) => byYear.forEach((value, year) => {
+            scale = Math.max(scale, Math.abs(value));
+            change = Math.max(change, Math.abs(value - previous[p][year]));
+        }));
+        return scale > 0 ? change / scale : 0;
+    }
+
+    /**
+     * Latest relative change, or null until two batches have been added
+     * @returns {number|null} Relative change as a fraction
+     */
+    latestChange() {
+        return this.relativeChange.length > 0 ? this.relativeChange[this.relativeChange.length - 1].value : null;
+    }
+}
+
+module.exports = ConvergenceTracker;
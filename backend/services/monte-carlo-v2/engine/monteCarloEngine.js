@@ -1,5 +1,11 @@
-const seedrandom = require('seedrandom');
 const DistributionWorker = require('./worker');
+const { resolveCorrelation, correlatePaths } = require('../utils/correlation');
+const { createRandom } = require('../utils/random');
+const { ITERATIONS_PER_CHUNK, planChunks, chunkSeed, sampleChunk, unflattenPaths } = require('./sampling');
+const { getThreadPool } = require('./threadPool');
+const ResultsFormatter = require('./resultsFormatter');
+const ConvergenceTracker = require('./convergenceTracker');
+const { cacheKey } = require('./resultCache');
 const { SimRequestSchema, SimResponseSchema } = require('../../../../schemas/yup/distribution');
 
 /**
@@ -21,7 +27,6 @@ class MonteCarloEngine {
             parallelWorkers: parallelWorkers // Store parallelWorkers in options
         };
         this.workers = new Map();
-        this.originalRandom = null;
         this.results = null;
 
         // Add distributions
@@ -67,62 +72,76 @@ class MonteCarloEngine {
         return this;
     }
 
-    /**
-     * Initialize the random number generator
-     * @private
-     */
-    _initializeRNG() {
-        this.originalRandom = Math.random;
-        Math.random = seedrandom(this.options.seed);
-    }
-
-    /**
-     * Restore the original random number generator
-     * @private
-     */
-    _restoreRNG() {
-        if (this.originalRandom) {
-            Math.random = this.originalRandom;
-            this.originalRandom = null;
-        }
-    }
-
     /**
      * Run the Monte Carlo simulation
+     * @param {Object} [options] - Run options
+     * @param {Function} [options.onProgress] - Called with { distributions: [{ id, key, completed, total, failed }] } after every chunk
+     * @param {AbortSignal} [options.signal] - Aborts the run between chunks; run() then rejects with an AbortError
+     * @param {ResultCache} [options.cache] - Results cache; cached distributions are returned without sampling
      * @returns {Object} Simulation results validated against SimResponseSchema
      */
-    async run() {
+    async run({ onProgress, signal, cache } = {}) {
         if (this.workers.size === 0) {
             throw new Error('No distributions added to the simulation');
         }
 
-        this._initializeRNG();
         const startTime = Date.now();
         const results = {
             success: true,
             simulationInfo: []
         };
 
-        // Note: Current implementation runs sequentially
-        // Future enhancement: Use this.options.parallelWorkers for true parallelism
-        for (const [id, { worker, distribution }] of this.workers.entries()) {
+        const cacheKeys = cache ? this._cacheKeys() : new Map();
+        const cachedInfo = new Map();
+        cacheKeys.forEach((key, id) => {
+            const info = cache.get(key);
+            if (info) cachedInfo.set(id, info);
+        });
+        // Under autoStop one fresh distribution changes how long every other one runs
+        if (this.options.autoStop?.enabled && cachedInfo.size < this.workers.size) {
+            cachedInfo.clear();
+        }
+
+        // Sample every distribution first so correlated ones can be re-paired before summarizing
+        const sampled = await this._sampleDistributions(onProgress, signal, cachedInfo);
+        signal?.throwIfAborted();
+
+        try {
+            results.correlation = this._applyCorrelation(sampled);
+        } catch (error) {
+            sampled.forEach(entry => {
+                if (!entry.error) entry.error = error;
+            });
+        }
+
+        const fresh = [];
+        sampled.forEach(({ id, worker, distribution, paths, convergence, error }) => {
+            const key = cacheKeys.get(id) || null;
+            if (cachedInfo.has(id)) {
+                // Cached results keep their original timing; the distribution echoes this request
+                results.simulationInfo.push({ ...cachedInfo.get(id), distribution, cached: true, cacheKey: key });
+                return;
+            }
+
             try {
-                const distributionSeed = `${this.options.seed}-${id}`;
-                worker.initialize(distributionSeed);
-                const { results: distributionResults, statistics } = worker.process();
+                if (error) throw error;
+                const { results: distributionResults, statistics } = worker.summarize(paths);
 
-                results.simulationInfo.push({
+                fresh.push({
                     distribution,
-                    iterations: this.options.iterations,
+                    iterations: paths.length, // Exceeds settings.iterations when autoStop added batches
                     seed: this.options.seed,
                     years: this.options.years,
                     timeElapsed: 0, // Updated later
                     results: Array.isArray(distributionResults) ? distributionResults : [distributionResults],
                     errors: [],
-                    statistics
+                    statistics,
+                    convergence,
+                    cached: false,
+                    cacheKey: key
                 });
             } catch (error) {
-                results.simulationInfo.push({
+                fresh.push({
                     distribution,
                     iterations: this.options.iterations,
                     seed: this.options.seed,
@@ -130,24 +149,210 @@ class MonteCarloEngine {
                     timeElapsed: 0,
                     results: [],
                     errors: [error.message],
-                    statistics: {}
+                    statistics: {},
+                    cached: false,
+                    cacheKey: null
                 });
                 results.success = false;
             }
-        }
+            results.simulationInfo.push(fresh[fresh.length - 1]);
+        });
 
         const totalElapsed = Date.now() - startTime;
-        results.simulationInfo.forEach(info => {
+        fresh.forEach(info => {
             info.timeElapsed = totalElapsed;
+            if (info.cacheKey) {
+                cache.set(info.cacheKey, info);
+            }
         });
 
-        this._restoreRNG();
-
         // Validate and cast output
         this.results = SimResponseSchema.validateSync(results, { stripUnknown: true });
         return this.results;
     }
 
+    /**
+     * Sample all distributions in fixed-size iteration chunks, across worker threads when
+     * parallelWorkers > 1. Every chunk has its own seed and chunks are reassembled in order,
+     * so results are identical for any number of workers. Running percentile estimates are
+     * tracked per chunk, while chunks are still independent batches (correlation re-pairs
+     * iterations across them). With autoStop enabled, further chunks are added one at a time
+     * until every distribution moves less than the tolerance or maxIterations is reached.
+     * @param {Function} [onProgress] - Progress callback (see run)
+     * @param {AbortSignal} [signal] - Abort signal, checked before every chunk
+     * @param {Map<string, Object>} [cachedInfo] - Cached results by distribution ID; these are not sampled
+     * @returns {Promise<Array<Object>>} Entries with id, worker, distribution, paths, convergence and error
+     * @private
+     */
+    async _sampleDistributions(onProgress, signal, cachedInfo = new Map()) {
+        const { seed, iterations, years, parallelWorkers, autoStop } = this.options;
+        const pool = parallelWorkers > 1 ? getThreadPool(parallelWorkers) : null;
+        const chunks = planChunks(iterations);
+
+        const entries = [...this.workers.entries()].map(([id, { worker, distribution, settings }]) => {
+            const entry = { id, worker, distribution, settings, batches: [], tracker: null, error: null, completed: 0, total: 0, cached: false };
+            if (cachedInfo.has(id)) {
+                entry.cached = true;
+                entry.completed = entry.total = chunks.length;
+                return entry;
+            }
+            try {
+                // The local worker only summarizes, but statistics need an initialized generator
+                worker.initialize(chunkSeed(seed, id, 0));
+                entry.tracker = new ConvergenceTracker(settings, distribution.metadata);
+            } catch (error) {
+                entry.error = error;
+            }
+            return entry;
+        });
+
+        const reportProgress = () => onProgress?.({
+            distributions: entries.map(({ id, distribution, completed, total, error, cached }) => ({
+                id,
+                key: distribution.key,
+                completed,
+                total,
+                failed: Boolean(error),
+                cached
+            }))
+        });
+
+        // In-process chunks yield to the event loop first so progress and cancellation get through
+        const runChunk = async (entry, task) => {
+            signal?.throwIfAborted();
+            let flat;
+            if (pool) {
+                flat = await pool.run(task, signal);
+            } else {
+                await new Promise(resolve => setImmediate(resolve));
+                signal?.throwIfAborted();
+                flat = sampleChunk(task);
+            }
+            entry.completed += 1;
+            reportProgress();
+            return flat;
+        };
+
+        const sampleRound = (chunks) => Promise.all(entries.map(async (entry) => {
+            if (entry.error || entry.cached) return;
+            entry.total += chunks.length;
+            try {
+                const tasks = chunks.map(({ index, count }) => ({
+                    distribution: entry.distribution,
+                    settings: entry.settings,
+                    seed: chunkSeed(seed, entry.id, index),
+                    count
+                }));
+                const flats = await Promise.all(tasks.map(task => runChunk(entry, task)));
+
+                flats.forEach(flat => {
+                    const paths = unflattenPaths(flat, years);
+                    entry.batches.push(paths);
+                    entry.tracker.addBatch(paths);
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                entry.error = error;
+                reportProgress();
+            }
+        }));
+
+        reportProgress();
+        await sampleRound(chunks);
+
+        // Chunk indices keep counting, so the first chunks match a fixed-size run with the same seed
+        let converged = null;
+        if (autoStop?.enabled) {
+            const tolerance = autoStop.tolerance / 100;
+            const isConverged = () => entries.every(({ tracker, error, cached }) => error || cached || (tracker.latestChange() ?? Infinity) <= tolerance);
+
+            let total = iterations;
+            let index = chunks.length;
+            while (!isConverged() && total + ITERATIONS_PER_CHUNK <= autoStop.maxIterations) {
+                await sampleRound([{ index: index++, count: ITERATIONS_PER_CHUNK }]);
+                total += ITERATIONS_PER_CHUNK;
+            }
+            converged = isConverged();
+        }
+
+        return entries.map(({ id, worker, distribution, settings, batches, tracker, error, cached }) => (error || cached
+            ? { id, worker, distribution, paths: null, convergence: null, error }
+            : {
+                id,
+                worker,
+                distribution,
+                paths: batches.flat(),
+                convergence: ResultsFormatter.formatTrackedConvergence(tracker, settings, converged),
+                error: null
+            }
+        ));
+    }
+
+    /**
+     * Cache keys of the distributions whose results can be cached. Correlated distributions are
+     * always sampled (the correlation report needs their paths); under autoStop every key also
+     * covers the other distributions, as they decide how many chunks are run.
+     * @returns {Map<string, string>} Cache key by distribution ID
+     * @private
+     */
+    _cacheKeys() {
+        const workers = [...this.workers.entries()];
+        const resolved = resolveCorrelation(this.options.correlation, workers.map(([, { distribution }]) => distribution.key).filter(Boolean));
+        const correlated = new Set(resolved ? resolved.variables : []);
+
+        const keys = new Map();
+        workers.forEach(([id, { distribution, settings }]) => {
+            if (!correlated.has(distribution.key)) {
+                keys.set(id, cacheKey(id, distribution, settings));
+            }
+        });
+
+        if (this.options.autoStop?.enabled) {
+            const group = workers.map(([id, { distribution, settings }]) => cacheKey(id, distribution, settings));
+            keys.forEach((key, id) => {
+                const { distribution, settings } = this.workers.get(id);
+                keys.set(id, cacheKey(id, distribution, settings, group));
+            });
+        }
+        return keys;
+    }
+
+    /**
+     * Re-pair iterations of correlated distributions (matched by distribution key), year by year unless a
+     * distribution's paths must stay whole. Marginal results are unchanged; only which draws share an iteration moves.
+     * @param {Array<Object>} sampled - Entries with distribution and sampled paths
+     * @returns {Object|null} Correlation report (CorrelationReportSchema) or null when nothing is correlated
+     * @private
+     */
+    _applyCorrelation(sampled) {
+        const available = sampled.filter(({ paths, distribution }) => paths && distribution.key);
+        const resolved = resolveCorrelation(this.options.correlation, available.map(({ distribution }) => distribution.key));
+        if (!resolved) {
+            return null;
+        }
+
+        const entries = resolved.variables.map(key => available.find(({ distribution }) => distribution.key === key));
+        const { paths, achieved } = correlatePaths(
+            entries.map(entry => entry.paths),
+            entries.map(({ worker }) => worker.generator.constructor.isPathDependent()),
+            resolved.matrix,
+            resolved.method,
+            createRandom(`${this.options.seed}-correlation`, this.options.randomGenerator)
+        );
+
+        entries.forEach((entry, j) => {
+            entry.paths = paths[j];
+        });
+
+        return {
+            method: resolved.method,
+            variables: resolved.variables,
+            target: resolved.matrix,
+            achieved,
+            ignored: resolved.ignored
+        };
+    }
+
     /**
      * Get the latest simulation results
      * @returns {Object|null} Latest simulation results or null if no simulation has been run
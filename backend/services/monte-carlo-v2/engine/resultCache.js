@@ -0,0 +1,174 @@
+// backend/services/monte-carlo-v2/engine/resultCache.js
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+// Source directories whose code determines sampled results
+const CODE_DIRECTORIES = ['distributions', 'engine', 'utils'].map(dir => path.join(__dirname, '..', dir));
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+let codeVersion = null;
+
+/**
+ * Version of the sampling code: a hash of every source file of the distributions, engine and utils.
+ * Any code change yields a new version, so cached results never outlive the code that produced them.
+ * @returns {string} Code version hash
+ */
+function getCodeVersion() {
+    if (!codeVersion) {
+        const hash = createHash('sha256');
+        CODE_DIRECTORIES.forEach(dir => {
+            fs.readdirSync(dir)
+                .filter(file => file.endsWith('.js'))
+                .sort()
+                .forEach(file => {
+                    hash.update(file);
+                    hash.update(fs.readFileSync(path.join(dir, file)));
+                });
+        });
+        codeVersion = hash.digest('hex').slice(0, 16);
+    }
+    return codeVersion;
+}
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same way
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Cache key of one distribution's simulation results.
+ * Covers everything its samples depend on: the normalised definition, the engine ID (part of the
+ * chunk seeds), the simulation settings and the code version. The distribution key is left out,
+ * so renamed but otherwise equal distributions share results.
+ * @param {string} id - Engine distribution ID
+ * @param {Object} distribution - DistributionTypeSchema object
+ * @param {Object} settings - Engine settings (SimSettingsSchema)
+ * @param {Array<string>} [group] - Extra input the results depend on (e.g. the other distributions under autoStop)
+ * @returns {string} SHA-256 hex digest
+ */
+function cacheKey(id, distribution, settings, group = null) {
+    const { iterations, seed, years, percentiles, fitToData, randomGenerator, samplingMethod, autoStop } = settings;
+    const normalized = {
+        type: distribution.type.toLowerCase(),
+        parameters: distribution.parameters,
+        timeSeriesMode: Boolean(distribution.timeSeriesMode),
+        timeSeriesParameters: distribution.timeSeriesMode ? distribution.timeSeriesParameters : null,
+        percentileDirection: distribution.metadata?.percentileDirection || 'ascending'
+    };
+
+    return createHash('sha256').update(stableStringify({
+        codeVersion: getCodeVersion(),
+        id,
+        distribution: normalized,
+        settings: {
+            iterations,
+            seed,
+            years,
+            percentiles,
+            // Workers refit the parameters to these points, so they change the samples
+            fitToData: fitToData?.length > 0 ? fitToData : null,
+            randomGenerator,
+            samplingMethod,
+            autoStop: autoStop?.enabled ? autoStop : null
+        },
+        group
+    })).digest('hex');
+}
+
+/**
+ * In-process least-recently-used cache of SimulationInfoSchema results by cache key
+ */
+class ResultCache {
+    /**
+     * Create a new cache
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxEntries=500] - Entries kept before the least recently used are dropped
+     */
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get cached results
+     * @param {string} key - Cache key
+     * @returns {Object|null} Cached SimulationInfoSchema object or null
+     */
+    get(key) {
+        if (!this.entries.has(key)) {
+            return null;
+        }
+        // Re-insert to mark as most recently used
+        const info = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, info);
+        return structuredClone(info);
+    }
+
+    /**
+     * Store results
+     * @param {string} key - Cache key
+     * @param {Object} info - SimulationInfoSchema object
+     */
+    set(key, info) {
+        this.entries.delete(key);
+        this.entries.set(key, structuredClone(info));
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop all cached results
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Number of cached results
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+let sharedCache = null;
+
+/**
+ * Get the cache shared by the API, sized by SIMULATION_CACHE_SIZE (default 500 entries)
+ * @returns {ResultCache} Shared cache
+ */
+function getResultCache() {
+    if (!sharedCache) {
+        const configured = parseInt(process.env.SIMULATION_CACHE_SIZE, 10);
+        sharedCache = new ResultCache({
+            maxEntries: Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_ENTRIES
+        });
+    }
+    return sharedCache;
+}
+
+module.exports = {
+    ResultCache,
+    getResultCache,
+    getCodeVersion,
+    cacheKey
+};
@@ -1,4 +1,7 @@
 // backend/services/monte-carlo-v2/engine/resultsFormatter.js
+const { calculateSortedPercentile } = require('../utils/percentiles');
+const ConvergenceTracker = require('./convergenceTracker');
+
 /**
  * Formats simulation results into standardized output formats
  */
@@ -168,6 +171,99 @@ class ResultsFormatter {
             categories
         };
     }
+
+    /**
+     * Standard error of each tracked percentile, by year, plus the convergence trace.
+     * With two or more chunks every chunk is an independent replicate (its own seed, and its own
+     * randomization for stratified or quasi-random sampling), so the spread of the chunk estimates
+     * gives a batch-means standard error that reflects the variance reduction actually achieved.
+     * A single chunk falls back to the asymptotic order-statistic error of plain random sampling.
+     * @param {Array<Array<Array<number>>>} batches - Sampled paths per chunk
+     * @param {Object} settings - { years, percentiles, samplingMethod }
+     * @param {Object} [metadata] - Distribution metadata (percentileDirection)
+     * @returns {Object} Convergence (ConvergenceSchema)
+     */
+    static formatConvergence(batches, settings, metadata = {}) {
+        const tracker = new ConvergenceTracker(settings, metadata);
+        batches.forEach(paths => tracker.addBatch(paths));
+        return ResultsFormatter.formatTrackedConvergence(tracker, settings);
+    }
+
+    /**
+     * Format the convergence of a ConvergenceTracker
+     * @param {ConvergenceTracker} tracker - Tracker holding every batch of the run
+     * @param {Object} settings - { samplingMethod, autoStop }
+     * @param {boolean|null} [converged=null] - Whether auto-stop reached its tolerance (null when auto-stop is off)
+     * @returns {Object} Convergence (ConvergenceSchema)
+     */
+    static formatTrackedConvergence(tracker, settings, converged = null) {
+        const { samplingMethod = 'random', autoStop } = settings;
+        const batches = tracker.sortedBatches;
+        const method = batches.length >= 2 ? 'batch' : 'asymptotic';
+
+        return {
+            samplingMethod,
+            method,
+            batches: batches.length,
+            percentiles: tracker.percentiles.map(percentileConfig => {
+                const target = tracker.targetPercentile(percentileConfig.value);
+                const standardError = [];
+
+                for (let year = 0; year < tracker.years; year++) {
+                    const value = method === 'batch'
+                        ? ResultsFormatter._batchStandardError(batches.map(batch => batch[year]), target)
+                        : ResultsFormatter._asymptoticStandardError(tracker.cumulative[year], target);
+                    standardError.push({ year: year + 1, value });
+                }
+
+                return { percentile: percentileConfig, standardError };
+            }),
+            trace: tracker.trace,
+            relativeChange: tracker.relativeChange,
+            autoStop: autoStop?.enabled
+                ? { tolerance: autoStop.tolerance, maxIterations: autoStop.maxIterations, converged: Boolean(converged) }
+                : null
+        };
+    }
+
+    /**
+     * Batch-means standard error: standard deviation of the batch estimates over sqrt(batches)
+     * @param {Array<Float64Array>} sortedBatches - Sorted values of each batch
+     * @param {number} percentile - Percentile (0-100)
+     * @returns {number} Standard error
+     * @private
+     */
+    static _batchStandardError(sortedBatches, percentile) {
+        const estimates = sortedBatches.map(values => calculateSortedPercentile(values, percentile));
+        const mean = estimates.reduce((sum, value) => sum + value, 0) / estimates.length;
+        const variance = estimates.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (estimates.length - 1);
+        return Math.sqrt(variance / estimates.length);
+    }
+
+    /**
+     * Asymptotic standard error of a sample percentile, sqrt(p(1 - p) / n) / f(x_p),
+     * with the density estimated from the spacing of neighbouring order statistics
+     * @param {Float64Array} sorted - Sorted values
+     * @param {number} percentile - Percentile (0-100)
+     * @returns {number} Standard error
+     * @private
+     */
+    static _asymptoticStandardError(sorted, percentile) {
+        const n = sorted.length;
+        const p = percentile / 100;
+        if (n < 2 || p <= 0 || p >= 1) {
+            return 0;
+        }
+
+        const index = p * (n - 1);
+        const spread = Math.max(1, Math.ceil(Math.sqrt(n)));
+        const lower = Math.max(0, Math.floor(index - spread));
+        const upper = Math.min(n - 1, Math.ceil(index + spread));
+
+        // 1 / f(x_p) ≈ (x_upper - x_lower) / ((upper - lower) / n)
+        const inverseDensity = (sorted[upper] - sorted[lower]) * n / (upper - lower);
+        return Math.sqrt(p * (1 - p) / n) * inverseDensity;
+    }
 }
 
 module.exports = ResultsFormatter;
\ No newline at end of file
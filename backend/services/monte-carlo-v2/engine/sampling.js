@@ -0,0 +1,71 @@
+// backend/services/monte-carlo-v2/engine/sampling.js
+const DistributionWorker = require('./worker');
+
+/**
+ * Iterations sampled per chunk. Chunks (not threads) own the random streams, so the
+ * split must never depend on the number of threads for results to stay reproducible.
+ */
+const ITERATIONS_PER_CHUNK = 2000;
+
+/**
+ * Split a run into fixed-size chunks; the remainder is absorbed by the last chunk
+ * so no chunk drops below the worker's minimum iteration count
+ * @param {number} iterations - Total iterations
+ * @returns {Array<Object>} Chunks as { index, start, count }
+ */
+function planChunks(iterations) {
+    const chunkCount = Math.max(1, Math.floor(iterations / ITERATIONS_PER_CHUNK));
+    return Array.from({ length: chunkCount }, (_, index) => {
+        const start = index * ITERATIONS_PER_CHUNK;
+        const count = index === chunkCount - 1 ? iterations - start : ITERATIONS_PER_CHUNK;
+        return { index, start, count };
+    });
+}
+
+/**
+ * Seed of a chunk's random stream
+ * @param {number|string} seed - Run seed
+ * @param {string} id - Distribution identifier
+ * @param {number} index - Chunk index
+ * @returns {string} Chunk seed
+ */
+function chunkSeed(seed, id, index) {
+    return `${seed}-${id}-${index}`;
+}
+
+/**
+ * Sample the paths of one chunk
+ * @param {Object} task - { distribution, settings, seed, count }
+ * @returns {Float64Array} Paths flattened iteration by iteration (count × years)
+ */
+function sampleChunk({ distribution, settings, seed, count }) {
+    const worker = new DistributionWorker(distribution, { ...settings, iterations: count });
+    worker.initialize(seed);
+    const paths = worker.samplePaths();
+
+    const flat = new Float64Array(count * settings.years);
+    paths.forEach((path, i) => flat.set(path, i * settings.years));
+    return flat;
+}
+
+/**
+ * Split flattened chunk samples back into per-iteration paths
+ * @param {Float64Array} flat - Flattened paths
+ * @param {number} years - Values per path
+ * @returns {Array<Float64Array>} One path view per iteration
+ */
+function unflattenPaths(flat, years) {
+    const paths = new Array(flat.length / years);
+    for (let i = 0; i < paths.length; i++) {
+        paths[i] = flat.subarray(i * years, (i + 1) * years);
+    }
+    return paths;
+}
+
+module.exports = {
+    ITERATIONS_PER_CHUNK,
+    planChunks,
+    chunkSeed,
+    sampleChunk,
+    unflattenPaths
+};
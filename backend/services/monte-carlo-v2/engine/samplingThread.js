@@ -0,0 +1,15 @@
+// backend/services/monte-carlo-v2/engine/samplingThread.js
+/**
+ * worker_threads entry point: samples chunks posted by the thread pool
+ */
+const { parentPort } = require('worker_threads');
+const { sampleChunk } = require('./sampling');
+
+parentPort.on('message', ({ taskId, task }) => {
+    try {
+        const flat = sampleChunk(task);
+        parentPort.postMessage({ taskId, flat }, [flat.buffer]);
+    } catch (error) {
+        parentPort.postMessage({ taskId, error: error.message });
+    }
+});
@@ -0,0 +1,159 @@
+// backend/services/monte-carlo-v2/engine/threadPool.js
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const THREAD_SCRIPT = path.join(__dirname, 'samplingThread.js');
+
+/**
+ * Pool of worker threads that sample distribution chunks.
+ * Threads are kept alive between runs (unref'd while idle so they never hold the process open).
+ */
+class SamplingThreadPool {
+    /**
+     * Create a new thread pool
+     * @param {number} size - Maximum number of threads
+     */
+    constructor(size) {
+        this.size = Math.max(1, size);
+        this.threads = [];
+        this.queue = [];
+        this.pending = new Map();
+        this.nextTaskId = 1;
+    }
+
+    /**
+     * Sample a chunk on the next free thread
+     * @param {Object} task - Chunk task (see sampling.sampleChunk)
+     * @param {AbortSignal} [signal] - Drops the task while it is still queued; running chunks finish
+     * @returns {Promise<Float64Array>} Flattened paths of the chunk
+     */
+    run(task, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const job = { taskId: this.nextTaskId++, task, resolve, reject };
+            if (signal) {
+                const onAbort = () => {
+                    const index = this.queue.indexOf(job);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(signal.reason);
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.resolve = (flat) => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(flat);
+                };
+                job.reject = (error) => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                };
+            }
+
+            this.queue.push(job);
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Stop all threads; queued and running tasks are rejected
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+        const error = new Error('Thread pool terminated');
+        this.queue.splice(0).forEach(({ reject }) => reject(error));
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+        await Promise.all(this.threads.splice(0).map(({ thread }) => thread.terminate()));
+    }
+
+    /**
+     * Hand queued tasks to idle threads, spawning threads up to the pool size
+     * @private
+     */
+    _dispatch() {
+        while (this.queue.length > 0) {
+            let entry = this.threads.find(candidate => candidate.taskId === null);
+            if (!entry) {
+                if (this.threads.length >= this.size) return;
+                entry = this._spawn();
+            }
+
+            const job = this.queue.shift();
+            entry.taskId = job.taskId;
+            this.pending.set(job.taskId, job);
+            entry.thread.ref();
+            entry.thread.postMessage({ taskId: job.taskId, task: job.task });
+        }
+    }
+
+    /**
+     * Start a new thread and wire its events
+     * @returns {Object} Thread entry { thread, taskId }
+     * @private
+     */
+    _spawn() {
+        const entry = { thread: new Worker(THREAD_SCRIPT), taskId: null };
+
+        entry.thread.on('message', ({ taskId, flat, error }) => {
+            const job = this.pending.get(taskId);
+            this.pending.delete(taskId);
+            entry.taskId = null;
+            entry.thread.unref();
+
+            if (job) {
+                if (error) {
+                    job.reject(new Error(error));
+                } else {
+                    job.resolve(flat);
+                }
+            }
+            this._dispatch();
+        });
+
+        // A crashed thread fails its task and is replaced on the next dispatch
+        const fail = (error) => {
+            this.threads = this.threads.filter(candidate => candidate !== entry);
+            const job = entry.taskId !== null ? this.pending.get(entry.taskId) : null;
+            if (job) {
+                this.pending.delete(entry.taskId);
+                job.reject(error);
+            }
+            entry.taskId = null;
+            this._dispatch();
+        };
+        entry.thread.on('error', fail);
+        entry.thread.on('exit', (code) => {
+            if (this.threads.includes(entry)) {
+                fail(new Error(`Sampling thread exited with code ${code}`));
+            }
+        });
+
+        entry.thread.unref();
+        this.threads.push(entry);
+        return entry;
+    }
+}
+
+const sharedPools = new Map();
+
+/**
+ * Get the shared pool for a given thread count
+ * @param {number} size - Number of threads
+ * @returns {SamplingThreadPool} Shared pool instance
+ */
+function getThreadPool(size) {
+    if (!sharedPools.has(size)) {
+        sharedPools.set(size, new SamplingThreadPool(size));
+    }
+    return sharedPools.get(size);
+}
+
+module.exports = {
+    SamplingThreadPool,
+    getThreadPool
+};
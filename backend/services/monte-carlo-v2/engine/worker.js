@@ -1,8 +1,8 @@
 // backend/services/monte-carlo-v2/engine/worker.js
-const seedrandom = require('seedrandom');
 const distributionRegistry = require('../distributions');
 const percentiles = require('../utils/percentiles');
 const validation = require('../utils/validation');
+const { createSamplingStream } = require('../utils/samplingStreams');
 
 /**
  * Worker that handles the simulation of a specific distribution
@@ -42,12 +42,19 @@ class DistributionWorker {
     }
 
     /**
-     * Initialize the worker with a random seed
-     * @param {number|string} randomSeed - Seed for the random number generator
+     * Initialize the worker with its own random stream
+     * @param {number|string|Function} random - Seed for settings.randomGenerator and settings.samplingMethod,
+     *   or a random() stream to inject
      */
-    initialize(randomSeed) {
-        // Setup seeded random generator
-        this.random = seedrandom(randomSeed);
+    initialize(random) {
+        // Each worker owns its stream; the global Math.random is never used
+        this.random = typeof random === 'function'
+            ? random
+            : createSamplingStream(this.settings.samplingMethod, {
+                seed: random,
+                generator: this.settings.randomGenerator,
+                count: this.settings.iterations
+            });
 
         try {
             // Get distribution class
@@ -75,6 +82,52 @@ class DistributionWorker {
         }
     }
 
+    /**
+     * Sample one iteration of the distribution across all simulation years
+     * @returns {Array<number>} Sampled values indexed by year - 1
+     */
+    samplePath() {
+        if (!this.generator || !this.random) {
+            throw new Error('Worker must be initialized before sampling');
+        }
+
+        const { years } = this.settings;
+        const path = new Array(years);
+
+        for (let year = 0; year < years; year++) {
+            // Update generator year
+            this.generator.updateYear(year + 1);
+
+            // Generate value
+            path[year] = this.generator.generate(year + 1, this.random);
+        }
+
+        return path;
+    }
+
+    /**
+     * Sample every iteration of the distribution
+     * @returns {Array<Array<number>>} One sampled path per iteration
+     */
+    samplePaths() {
+        if (!this.generator || !this.random) {
+            throw new Error('Worker must be initialized before sampling');
+        }
+
+        const paths = new Array(this.settings.iterations);
+        try {
+            for (let i = 0; i < paths.length; i++) {
+                // Variance-reduction streams stratify draws per iteration
+                this.random.startIteration?.(i);
+                paths[i] = this.samplePath();
+            }
+        } catch (error) {
+            throw new Error(`Error during simulation: ${error.message}`);
+        }
+
+        return paths;
+    }
+
     /**
      * Process the distribution simulation and compute statistics
      * @returns {Object} Object containing results (SimResultsSchema) and statistics
@@ -84,7 +137,16 @@ class DistributionWorker {
             throw new Error('Worker must be initialized before processing');
         }
 
-        const { iterations, years, percentiles: percentileValues } = this.settings;
+        return this.summarize(this.samplePaths());
+    }
+
+    /**
+     * Compute percentiles and statistics from sampled paths
+     * @param {Array<Array<number>>} paths - Sampled paths, one per iteration
+     * @returns {Object} Object containing results (SimResultsSchema) and statistics
+     */
+    summarize(paths) {
+        const { years, percentiles: percentileValues } = this.settings;
 
         // Initialize structures for percentiles and running statistics
         const yearlyData = Array(years).fill().map(() => []);
@@ -98,43 +160,37 @@ class DistributionWorker {
             max: -Infinity
         }));
 
-        // Run iterations
-        try {
-            for (let i = 0; i < iterations; i++) {
-                for (let year = 0; year < years; year++) {
-                    // Update generator year
-                    this.generator.updateYear(year + 1);
-
-                    // Generate value
-                    const value = this.generator.generate(year + 1, this.random);
-
-                    // Store value for percentile calculation
-                    yearlyData[year].push(value);
-
-                    // Update running statistics
-                    const stats = runningStats[year];
-                    stats.count += 1;
-                    const n = stats.count;
-
-                    // Welford's algorithm for mean and variance
-                    const delta = value - (stats.sum / n);
-                    stats.sum += value;
-                    const mean = stats.sum / n;
-                    const delta2 = value - mean;
-                    stats.m2 += delta * delta2;
-
-                    // Higher moments for skewness and kurtosis
-                    stats.m3 += delta * delta2 * delta2;
-                    stats.m4 += delta * delta2 * delta2 * delta2;
-
-                    // Update min and max
-                    stats.min = Math.min(stats.min, value);
-                    stats.max = Math.max(stats.max, value);
-                }
+        paths.forEach(path => {
+            for (let year = 0; year < years; year++) {
+                const value = path[year];
+
+                // Store value for percentile calculation
+                yearlyData[year].push(value);
+
+                // Update running statistics
+                const stats = runningStats[year];
+                stats.count += 1;
+                const n = stats.count;
+
+                // Welford's algorithm for mean and variance
+                const delta = value - (stats.sum / n);
+                stats.sum += value;
+                const mean = stats.sum / n;
+                const delta2 = value - mean;
+                stats.m2 += delta * delta2;
+
+                // Higher moments for skewness and kurtosis
+                stats.m3 += delta * delta2 * delta2;
+                stats.m4 += delta * delta2 * delta2 * delta2;
+
+                // Update min and max
+                stats.min = Math.min(stats.min, value);
+                stats.max = Math.max(stats.max, value);
             }
-        } catch (error) {
-            throw new Error(`Error during simulation: ${error.message}`);
-        }
+        });
+
+        // Sort each year once; every percentile reads from the same sorted values
+        const sortedYearlyData = yearlyData.map(yearValues => yearValues.sort((a, b) => a - b));
 
         // Calculate percentiles for each year
         const results = percentileValues.map(percentileConfig => {
@@ -145,13 +201,13 @@ class DistributionWorker {
             };
 
             for (let year = 0; year < years; year++) {
-                const yearValues = yearlyData[year];
+                const yearValues = sortedYearlyData[year];
 
                 // ADDED: Check percentileDirection metadata
                 const isDescending = this.distribution.metadata?.percentileDirection === 'descending';
                 const targetPercentile = isDescending ? (100 - percentileConfig.value) : percentileConfig.value;
 
-                const percentileResult = percentiles.calculatePercentile(yearValues, targetPercentile);
+                const percentileResult = percentiles.calculateSortedPercentile(yearValues, targetPercentile);
 
                 result.data.push({
                     year: year + 1,
@@ -4,6 +4,8 @@
  * Handles distribution registration and provides public API
  */
 
+const os = require('os');
+
 // Import registry
 const distributionRegistry = require('./distributions');
 
@@ -11,14 +13,28 @@ const distributionRegistry = require('./distributions');
 const DistributionWorker = require('./engine/worker');
 const MonteCarloEngine = require('./engine/monteCarloEngine');
 const ResultsFormatter = require('./engine/resultsFormatter');
+const { ResultCache, getResultCache, getCodeVersion } = require('./engine/resultCache');
+
+/**
+ * Default number of sampling threads: SIMULATION_WORKERS, or the available cores
+ * @returns {number} Number of parallel workers
+ */
+function getDefaultParallelWorkers() {
+    const configured = parseInt(process.env.SIMULATION_WORKERS, 10);
+    if (Number.isInteger(configured) && configured > 0) {
+        return configured;
+    }
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
 
 /**
  * Initialize the Monte Carlo engine with settings
  * @param {Object} settings - Engine settings
+ * @param {number} [parallelWorkers] - Number of sampling threads (defaults to getDefaultParallelWorkers())
  * @returns {Object} Initialized engine instance
  */
-function createEngine(settings = {}) {
-    return new MonteCarloEngine(settings);
+function createEngine(settings = {}, parallelWorkers = getDefaultParallelWorkers()) {
+    return new MonteCarloEngine(settings, parallelWorkers);
 }
 
 /**
@@ -65,6 +81,7 @@ function fitDistribution(type, dataPoints) {
 // Export public API
 module.exports = {
     createEngine,
+    getDefaultParallelWorkers,
     getDistributionsInfo,
     validateParameters,
     fitDistribution,
@@ -74,10 +91,15 @@ module.exports = {
     getDistributionClass: distributionRegistry.getDistributionClass,
     getRegisteredDistributionTypes: distributionRegistry.getRegisteredDistributionTypes,
 
+    // Shared results cache (see engine/resultCache.js)
+    getResultCache,
+    getCodeVersion,
+
     // Export classes for advanced usage
     DistributionWorker,
     MonteCarloEngine,
     ResultsFormatter,
+    ResultCache,
 
     // Export utility functions - simplified following schema structures
     formatForCharts: ResultsFormatter.formatForCharts,
@@ -0,0 +1,495 @@
+// backend/services/monte-carlo-v2/utils/correlation.js
+/**
+ * Utilities for inducing correlation between independently sampled distributions.
+ * Samples are never altered, only re-paired across iterations, so every marginal
+ * distribution is preserved exactly while the rank correlation follows the target.
+ */
+const { buildCorrelationMatrix, choleskyDecomposition } = require('../../../../schemas/yup/correlation');
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} Standard normal quantile
+ */
+function inverseNormalCDF(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Draw a standard normal variate (Box-Muller)
+ * @param {Function} random - Seeded uniform random generator
+ * @returns {number} Standard normal sample
+ */
+function standardNormal(random) {
+    const u1 = Math.max(random(), Number.EPSILON);
+    const u2 = random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * In-place Fisher-Yates shuffle
+ * @param {Array|Float64Array} array - Array to shuffle
+ * @param {Function} random - Seeded uniform random generator
+ * @returns {Array|Float64Array} The shuffled array
+ */
+function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = array[i];
+        array[i] = array[j];
+        array[j] = tmp;
+    }
+    return array;
+}
+
+/**
+ * Indices of values sorted ascending (stable for ties)
+ * @param {Array<number>|Float64Array} values - Values to sort
+ * @returns {Array<number>} Indices in ascending value order
+ */
+function argsort(values) {
+    return Array.from(values, (_, index) => index).sort((i, j) => (values[i] - values[j]) || (i - j));
+}
+
+/**
+ * Average ranks (1-based) of a set of values, ties share their mean rank
+ * @param {Array<number>|Float64Array} values - Values to rank
+ * @returns {Float64Array} Rank of each value
+ */
+function rankValues(values) {
+    const order = argsort(values);
+    const ranks = new Float64Array(values.length);
+
+    let start = 0;
+    while (start < order.length) {
+        let end = start;
+        while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) {
+            end++;
+        }
+        const averageRank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k++) {
+            ranks[order[k]] = averageRank;
+        }
+        start = end + 1;
+    }
+
+    return ranks;
+}
+
+/**
+ * Pearson correlation of two equally sized vectors
+ * @param {Array<number>|Float64Array} x - First vector
+ * @param {Array<number>|Float64Array} y - Second vector
+ * @returns {number} Correlation coefficient, 0 when either vector is constant
+ */
+function pearsonCorrelation(x, y) {
+    const n = x.length;
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < n; i++) {
+        meanX += x[i];
+        meanY += y[i];
+    }
+    meanX /= n;
+    meanY /= n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = x[i] - meanX;
+        const dy = y[i] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+
+    if (varianceX === 0 || varianceY === 0) {
+        return 0;
+    }
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Pearson correlation matrix of a set of columns
+ * @param {Array<Array<number>|Float64Array>} columns - One vector per variable
+ * @returns {Array<Array<number>>} Symmetric correlation matrix
+ */
+function correlationMatrix(columns) {
+    const k = columns.length;
+    const matrix = Array.from({ length: k }, () => new Array(k).fill(0));
+    for (let i = 0; i < k; i++) {
+        matrix[i][i] = 1;
+        for (let j = i + 1; j < k; j++) {
+            const value = pearsonCorrelation(columns[i], columns[j]);
+            matrix[i][j] = value;
+            matrix[j][i] = value;
+        }
+    }
+    return matrix;
+}
+
+/**
+ * Spearman rank correlation matrix of a set of columns
+ * @param {Array<Array<number>|Float64Array>} columns - One vector per variable
+ * @returns {Array<Array<number>>} Symmetric rank correlation matrix
+ */
+function rankCorrelationMatrix(columns) {
+    return correlationMatrix(columns.map(rankValues));
+}
+
+/**
+ * Re-pair samples so each column follows the rank order of the matching score column
+ * @param {Array<Array<number>|Float64Array>} samples - Sample summaries per variable
+ * @param {Array<Float64Array>} scores - Correlated scores per variable
+ * @returns {Array<Array<number>>} For each variable, the sample index used in each iteration
+ */
+function reorderToScores(samples, scores) {
+    return samples.map((column, j) => {
+        const sampleOrder = argsort(column);
+        const scoreOrder = argsort(scores[j]);
+        const order = new Array(column.length);
+        for (let r = 0; r < scoreOrder.length; r++) {
+            order[scoreOrder[r]] = sampleOrder[r];
+        }
+        return order;
+    });
+}
+
+/**
+ * Iman-Conover scores: randomly permuted van der Waerden scores, decorrelated
+ * with their own Cholesky factor and recombined with the target factor
+ * @param {number} n - Number of iterations
+ * @param {Array<Array<number>>} lower - Cholesky factor of the target matrix
+ * @param {Function} random - Seeded uniform random generator
+ * @returns {Array<Float64Array>} Score column per variable
+ */
+function imanConoverScores(n, lower, random) {
+    const k = lower.length;
+    const baseScores = Float64Array.from({ length: n }, (_, i) => inverseNormalCDF((i + 1) / (n + 1)));
+    const scores = Array.from({ length: k }, () => shuffle(Float64Array.from(baseScores), random));
+
+    // Remove the spurious correlation of the random permutation; skip if it is degenerate
+    const scoreFactor = choleskyDecomposition(correlationMatrix(scores));
+    const invertible = scoreFactor && scoreFactor.every((row, i) => row[i] > 0);
+
+    const result = Array.from({ length: k }, () => new Float64Array(n));
+    const independent = new Float64Array(k);
+
+    for (let row = 0; row < n; row++) {
+        // Forward substitution: independent = Q^-1 * s
+        for (let i = 0; i < k; i++) {
+            let value = scores[i][row];
+            if (invertible) {
+                for (let m = 0; m < i; m++) {
+                    value -= scoreFactor[i][m] * independent[m];
+                }
+                value /= scoreFactor[i][i];
+            }
+            independent[i] = value;
+        }
+
+        for (let i = 0; i < k; i++) {
+            let value = 0;
+            for (let m = 0; m <= i; m++) {
+                value += lower[i][m] * independent[m];
+            }
+            result[i][row] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gaussian copula scores: independent standard normals mixed by the target factor
+ * @param {number} n - Number of iterations
+ * @param {Array<Array<number>>} lower - Cholesky factor of the target matrix
+ * @param {Function} random - Seeded uniform random generator
+ * @returns {Array<Float64Array>} Score column per variable
+ */
+function gaussianCopulaScores(n, lower, random) {
+    const k = lower.length;
+    const result = Array.from({ length: k }, () => new Float64Array(n));
+    const normals = new Float64Array(k);
+
+    for (let row = 0; row < n; row++) {
+        for (let i = 0; i < k; i++) {
+            normals[i] = standardNormal(random);
+        }
+        for (let i = 0; i < k; i++) {
+            let value = 0;
+            for (let m = 0; m <= i; m++) {
+                value += lower[i][m] * normals[m];
+            }
+            result[i][row] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Reduce each sampled path to the value used for ranking (mean across years),
+ * so time series keep their internal dynamics when iterations are re-paired
+ * @param {Array<Array<number>>} paths - Sampled paths, one per iteration
+ * @returns {Float64Array} Mean of each path
+ */
+function pathMeans(paths) {
+    return Float64Array.from(paths, path => path.reduce((sum, value) => sum + value, 0) / path.length);
+}
+
+/**
+ * Resolve correlation settings against the variables present in a run
+ * @param {Object|null} correlation - CorrelationSettingsSchema-compliant settings
+ * @param {Array<string>} availableKeys - Distribution keys sampled in the run
+ * @returns {Object|null} { method, variables, matrix, ignored } or null when nothing is correlated
+ */
+function resolveCorrelation(correlation, availableKeys) {
+    if (!correlation || !correlation.enabled || !correlation.pairs || correlation.pairs.length === 0) {
+        return null;
+    }
+
+    const { variables: allVariables, matrix: fullMatrix } = buildCorrelationMatrix(correlation.pairs);
+    const indices = [];
+    const ignored = [];
+    allVariables.forEach((variable, index) => {
+        if (availableKeys.includes(variable)) {
+            indices.push(index);
+        } else {
+            ignored.push(variable);
+        }
+    });
+
+    if (indices.length < 2) {
+        return null;
+    }
+
+    return {
+        method: correlation.method || 'imanConover',
+        variables: indices.map(index => allVariables[index]),
+        // A principal submatrix of a PSD matrix is PSD, so dropping absent variables is safe
+        matrix: indices.map(i => indices.map(j => fullMatrix[i][j])),
+        ignored
+    };
+}
+
+/**
+ * Pair iterations of several variables so that they follow a target correlation
+ * @param {Array<Array<number>|Float64Array>} samples - One summary value per iteration, per variable
+ * @param {Array<Array<number>>} matrix - Target correlation matrix (PSD)
+ * @param {string} method - 'imanConover' or 'gaussianCopula'
+ * @param {Function} random - Seeded uniform random generator
+ * @returns {Object} { orders, achieved } where orders[j][i] is the sample index of variable j used in iteration i
+ */
+function correlateSamples(samples, matrix, method, random) {
+    const lower = normalScoreFactor(matrix);
+    const scores = generateScores(method)(samples[0].length, lower, random);
+
+    const orders = reorderToScores(samples, scores);
+    const reordered = samples.map((column, j) => orders[j].map(index => column[index]));
+
+    return {
+        orders,
+        achieved: rankCorrelationMatrix(reordered)
+    };
+}
+
+/**
+ * Score generator of a correlation method
+ * @param {string} method - 'imanConover' or 'gaussianCopula'
+ * @returns {Function} (n, lower, random) => score column per variable
+ */
+function generateScores(method) {
+    return method === 'gaussianCopula' ? gaussianCopulaScores : imanConoverScores;
+}
+
+/**
+ * Targets are rank correlations; convert to the normal-score correlation that produces them
+ * @param {Array<Array<number>>} matrix - Target rank correlation matrix
+ * @returns {Array<Array<number>>} Normal-score correlation matrix
+ */
+function normalScoreMatrix(matrix) {
+    return matrix.map((row, i) => row.map((value, j) => (i === j ? 1 : 2 * Math.sin(Math.PI * value / 6))));
+}
+
+/**
+ * Cholesky factor of the normal-score matrix of a PSD target
+ * @param {Array<Array<number>>} matrix - Target rank correlation matrix
+ * @returns {Array<Array<number>>} Lower triangular factor
+ */
+function normalScoreFactor(matrix) {
+    if (!choleskyDecomposition(matrix)) {
+        throw new Error('Correlation matrix must be positive semi-definite');
+    }
+    return choleskyDecomposition(normalScoreMatrix(matrix)) || choleskyDecomposition(matrix);
+}
+
+/**
+ * Solve lower * lower^T * x = b, skipping the directions of zero pivots (semi-definite factors)
+ * @param {Array<Array<number>>} lower - Cholesky factor
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>} Solution
+ */
+function solveCholesky(lower, b) {
+    const n = lower.length;
+    const y = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        if (lower[i][i] <= 0) continue;
+        let value = b[i];
+        for (let m = 0; m < i; m++) value -= lower[i][m] * y[m];
+        y[i] = value / lower[i][i];
+    }
+
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        if (lower[i][i] <= 0) continue;
+        let value = y[i];
+        for (let m = i + 1; m < n; m++) value -= lower[m][i] * x[m];
+        x[i] = value / lower[i][i];
+    }
+    return x;
+}
+
+/**
+ * Van der Waerden (normal) scores of the ranks of a column; tied values share a score
+ * @param {Array<number>|Float64Array} values - Values to score
+ * @returns {Float64Array} Normal score of each value
+ */
+function normalScores(values) {
+    const ranks = rankValues(values);
+    return ranks.map(rank => inverseNormalCDF(rank / (values.length + 1)));
+}
+
+/**
+ * Re-pair the sampled paths of several variables so they follow a target rank correlation in every year.
+ * Paths of path-dependent variables (random walks, draws shared by the whole path) stay whole and are paired by
+ * their means. Every other variable is an independent draw per year, so each year is re-paired on its own with
+ * fresh scores drawn conditionally on the year's ranks of the path-dependent variables; this keeps the years of
+ * an independent variable independent while each year follows the target.
+ * @param {Array<Array<Array<number>>>} pathSets - Sampled paths per variable, one path per iteration
+ * @param {Array<boolean>} pathDependent - Whether each variable's paths must stay whole
+ * @param {Array<Array<number>>} matrix - Target correlation matrix (PSD)
+ * @param {string} method - 'imanConover' or 'gaussianCopula'
+ * @param {Function} random - Seeded uniform random generator
+ * @returns {Object} { paths, achieved } with the re-paired path sets and the rank correlation averaged over years
+ */
+function correlatePaths(pathSets, pathDependent, matrix, method, random) {
+    normalScoreFactor(matrix);
+    const generate = generateScores(method);
+    const n = pathSets[0].length;
+    const years = pathSets[0][0]?.length || 0;
+    const normal = normalScoreMatrix(matrix);
+    const dependent = pathDependent.flatMap((flag, j) => (flag ? [j] : []));
+    const independent = pathDependent.flatMap((flag, j) => (flag ? [] : [j]));
+    const paths = pathSets.slice();
+
+    // Path-dependent variables: pair whole paths once
+    if (dependent.length > 0) {
+        const block = dependent.map(i => dependent.map(j => matrix[i][j]));
+        const scores = generate(n, normalScoreFactor(block), random);
+        const orders = reorderToScores(dependent.map(j => pathMeans(pathSets[j])), scores);
+        dependent.forEach((j, d) => {
+            paths[j] = orders[d].map(index => pathSets[j][index]);
+        });
+    }
+
+    // Independent variables: Z_I = B Z_D + e with B = R_ID R_DD^-1 and e ~ N(0, R_II - B R_DI)
+    if (independent.length > 0) {
+        const dependentFactor = choleskyDecomposition(dependent.map(i => dependent.map(j => normal[i][j]))) || [];
+        const weights = independent.map(i => solveCholesky(dependentFactor, dependent.map(j => normal[i][j])));
+        const conditional = independent.map((i, a) => independent.map(j =>
+            normal[i][j] - dependent.reduce((sum, k, d) => sum + weights[a][d] * normal[k][j], 0)));
+        const residualFactor = choleskyDecomposition(conditional)
+            || conditional.map((row, a) => row.map((_, b) => (a === b ? Math.sqrt(Math.max(row[a], 0)) : 0)));
+
+        independent.forEach(j => {
+            paths[j] = pathSets[j].map(() => new Array(years));
+        });
+
+        for (let year = 0; year < years; year++) {
+            const dependentScores = dependent.map(j => normalScores(paths[j].map(path => path[year])));
+            const scores = generate(n, residualFactor, random).map((column, a) => column.map((value, row) =>
+                value + dependent.reduce((sum, _, d) => sum + weights[a][d] * dependentScores[d][row], 0)));
+            const orders = reorderToScores(independent.map(j => pathSets[j].map(path => path[year])), scores);
+            independent.forEach((j, a) => {
+                orders[a].forEach((index, iteration) => {
+                    paths[j][iteration][year] = pathSets[j][index][year];
+                });
+            });
+        }
+    }
+
+    return {
+        paths,
+        achieved: yearlyRankCorrelation(paths, years)
+    };
+}
+
+/**
+ * Rank correlation of each pair of variables averaged over the years in which both vary
+ * @param {Array<Array<Array<number>>>} pathSets - Paths per variable, one path per iteration
+ * @param {number} years - Number of years
+ * @returns {Array<Array<number>>} Symmetric rank correlation matrix
+ */
+function yearlyRankCorrelation(pathSets, years) {
+    const k = pathSets.length;
+    const sums = Array.from({ length: k }, () => new Array(k).fill(0));
+    const counts = Array.from({ length: k }, () => new Array(k).fill(0));
+
+    for (let year = 0; year < years; year++) {
+        const columns = pathSets.map(set => set.map(path => path[year]));
+        const varies = columns.map(column => column.some(value => value !== column[0]));
+        const yearly = rankCorrelationMatrix(columns);
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+                if (varies[i] && varies[j]) {
+                    sums[i][j] += yearly[i][j];
+                    counts[i][j]++;
+                }
+            }
+        }
+    }
+
+    return sums.map((row, i) => row.map((sum, j) => {
+        if (i === j) return 1;
+        return counts[i][j] > 0 ? sum / counts[i][j] : 0;
+    }));
+}
+
+module.exports = {
+    inverseNormalCDF,
+    standardNormal,
+    rankValues,
+    pearsonCorrelation,
+    correlationMatrix,
+    rankCorrelationMatrix,
+    pathMeans,
+    resolveCorrelation,
+    correlateSamples,
+    correlatePaths
+};
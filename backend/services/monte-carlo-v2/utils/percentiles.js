@@ -21,9 +21,23 @@ function calculatePercentile(values, percentile) {
     // Sort values in ascending order
     const sorted = [...values].sort((a, b) => a - b);
 
+    return calculateSortedPercentile(sorted, percentile);
+}
+
+/**
+ * Calculate a specific percentile from an array that is already sorted ascending
+ * @param {Array<number>|Float64Array} sorted - Values sorted in ascending order
+ * @param {number} percentile - Percentile value (0-100)
+ * @returns {number} Calculated percentile value
+ */
+function calculateSortedPercentile(sorted, percentile) {
+    if (!sorted || sorted.length === 0) {
+        return 0;
+    }
+
     // Handle edge cases
-    if (percentile === 0) return sorted[0];
-    if (percentile === 100) return sorted[sorted.length - 1];
+    if (percentile <= 0) return sorted[0];
+    if (percentile >= 100) return sorted[sorted.length - 1];
 
     // Calculate the index based on percentile
     const index = (percentile / 100) * (sorted.length - 1);
@@ -93,6 +107,7 @@ function calculateStatistics(values) {
 
 module.exports = {
     calculatePercentile,
+    calculateSortedPercentile,
     calculatePercentiles,
     calculateStatistics
 };
\ No newline at end of file
@@ -0,0 +1,232 @@
+// backend/services/monte-carlo-v2/utils/random.js
+/**
+ * Seedable pseudo-random generators.
+ * Every run and worker gets its own instance; nothing touches the global Math.random,
+ * so concurrent simulations cannot interfere with each other's streams.
+ */
+const seedrandom = require('seedrandom');
+
+const TWO_POW_32 = 4294967296;
+const TWO_POW_53 = 9007199254740992;
+
+/**
+ * Hash a seed into four 32-bit words (cyrb128)
+ * @param {number|string} seed - Seed value
+ * @returns {Array<number>} Four unsigned 32-bit integers
+ */
+function hashSeed(seed) {
+    const str = String(seed);
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < str.length; i++) {
+        const k = str.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4);
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Combine two 32-bit outputs into a double in [0, 1) with 53 bits of precision
+ * @param {number} a - First 32-bit output
+ * @param {number} b - Second 32-bit output
+ * @returns {number} Uniform double
+ */
+function toDouble(a, b) {
+    return ((a >>> 5) * 67108864 + (b >>> 6)) / TWO_POW_53;
+}
+
+/**
+ * Full 64-bit product of two unsigned 32-bit integers
+ * @param {number} a - Unsigned 32-bit integer
+ * @param {number} b - Unsigned 32-bit integer
+ * @returns {Array<number>} [high, low] 32-bit words
+ */
+function multiplyUint32(a, b) {
+    const aLow = a & 0xffff, aHigh = a >>> 16;
+    const bLow = b & 0xffff, bHigh = b >>> 16;
+    const lowLow = aLow * bLow;
+    const lowHigh = aLow * bHigh;
+    const highLow = aHigh * bLow;
+    const middle = (lowLow >>> 16) + (lowHigh & 0xffff) + (highLow & 0xffff);
+    const low = (((middle & 0xffff) << 16) | (lowLow & 0xffff)) >>> 0;
+    const high = (aHigh * bHigh + (lowHigh >>> 16) + (highLow >>> 16) + (middle >>> 16)) >>> 0;
+    return [high, low];
+}
+
+/**
+ * seedrandom's ARC4 generator (the engine's historical default)
+ */
+class SeedrandomGenerator {
+    /**
+     * @param {number|string} seed - Seed value
+     */
+    constructor(seed) {
+        this.source = seedrandom(String(seed));
+    }
+
+    /**
+     * @returns {number} Uniform double in [0, 1)
+     */
+    next() {
+        return this.source();
+    }
+}
+
+/**
+ * xoshiro128** (Blackman & Vigna): fast 32-bit generator with a 2^128 - 1 period
+ */
+class Xoshiro128Generator {
+    /**
+     * @param {number|string} seed - Seed value
+     */
+    constructor(seed) {
+        this.state = Uint32Array.from(hashSeed(seed));
+        if (this.state.every(word => word === 0)) {
+            this.state[0] = 1;
+        }
+    }
+
+    /**
+     * @returns {number} Next unsigned 32-bit output
+     */
+    nextUint32() {
+        const s = this.state;
+        const product = Math.imul(s[1], 5);
+        const result = Math.imul((product << 7) | (product >>> 25), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = (s[3] << 11) | (s[3] >>> 21);
+
+        return result;
+    }
+
+    /**
+     * @returns {number} Uniform double in [0, 1)
+     */
+    next() {
+        return toDouble(this.nextUint32(), this.nextUint32());
+    }
+}
+
+// PCG32 multiplier 6364136223846793005 as 32-bit words
+const PCG_MULTIPLIER_HIGH = 0x5851f42d;
+const PCG_MULTIPLIER_LOW = 0x4c957f2d;
+
+/**
+ * PCG32 (XSH RR, O'Neill): 64-bit LCG state with a permuted 32-bit output.
+ * 64-bit arithmetic is emulated with 32-bit words to avoid BigInt in the hot path.
+ */
+class Pcg32Generator {
+    /**
+     * @param {number|string} seed - Seed value
+     * @param {Array<number>} [words] - Explicit [stateHigh, stateLow, sequenceHigh, sequenceLow] (reference vectors)
+     */
+    constructor(seed, words = hashSeed(seed)) {
+        const [stateHigh, stateLow, sequenceHigh, sequenceLow] = words;
+
+        // inc = (initseq << 1) | 1
+        this.incHigh = ((sequenceHigh << 1) | (sequenceLow >>> 31)) >>> 0;
+        this.incLow = ((sequenceLow << 1) | 1) >>> 0;
+        this.high = 0;
+        this.low = 0;
+
+        this._step();
+        const low = this.low + stateLow;
+        this.low = low >>> 0;
+        this.high = (this.high + stateHigh + (low >= TWO_POW_32 ? 1 : 0)) >>> 0;
+        this._step();
+    }
+
+    /**
+     * state = state * multiplier + inc (mod 2^64)
+     * @private
+     */
+    _step() {
+        const [productHigh, productLow] = multiplyUint32(this.low, PCG_MULTIPLIER_LOW);
+        const high = (productHigh + Math.imul(this.high, PCG_MULTIPLIER_LOW) + Math.imul(this.low, PCG_MULTIPLIER_HIGH)) >>> 0;
+        const low = productLow + this.incLow;
+        this.low = low >>> 0;
+        this.high = (high + this.incHigh + (low >= TWO_POW_32 ? 1 : 0)) >>> 0;
+    }
+
+    /**
+     * @returns {number} Next unsigned 32-bit output
+     */
+    nextUint32() {
+        const high = this.high;
+        const low = this.low;
+        this._step();
+
+        // xorshifted = ((old >> 18) ^ old) >> 27, truncated to 32 bits
+        const xorHigh = high ^ (high >>> 18);
+        const xorLow = low ^ ((low >>> 18) | (high << 14));
+        const xorshifted = ((xorLow >>> 27) | (xorHigh << 5)) >>> 0;
+        const rotation = high >>> 27;
+
+        return ((xorshifted >>> rotation) | (xorshifted << ((32 - rotation) & 31))) >>> 0;
+    }
+
+    /**
+     * @returns {number} Uniform double in [0, 1)
+     */
+    next() {
+        return toDouble(this.nextUint32(), this.nextUint32());
+    }
+}
+
+/**
+ * Available generators, keyed by the simulationSettings.randomGenerator value
+ */
+const RANDOM_GENERATORS = {
+    seedrandom: SeedrandomGenerator,
+    xoshiro128: Xoshiro128Generator,
+    pcg32: Pcg32Generator
+};
+
+const DEFAULT_GENERATOR = 'seedrandom';
+
+/**
+ * Create an independent random stream.
+ * The result is callable like Math.random, which is what distributions' generate(year, random) expects,
+ * and exposes the underlying generator for callers that need it.
+ * @param {number|string} seed - Seed value
+ * @param {string} [generator='seedrandom'] - Generator name (see RANDOM_GENERATORS)
+ * @returns {Function} random() returning uniform doubles in [0, 1)
+ */
+function createRandom(seed, generator = DEFAULT_GENERATOR) {
+    const Generator = RANDOM_GENERATORS[generator || DEFAULT_GENERATOR];
+    if (!Generator) {
+        throw new Error(`Unknown random generator: ${generator}`);
+    }
+
+    const source = new Generator(seed);
+    const random = () => source.next();
+    random.generator = generator || DEFAULT_GENERATOR;
+    random.source = source;
+    return random;
+}
+
+module.exports = {
+    RANDOM_GENERATORS,
+    DEFAULT_GENERATOR,
+    SeedrandomGenerator,
+    Xoshiro128Generator,
+    Pcg32Generator,
+    createRandom,
+    hashSeed
+};
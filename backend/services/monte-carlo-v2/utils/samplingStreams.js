@@ -0,0 +1,319 @@
+// backend/services/monte-carlo-v2/utils/samplingStreams.js
+/**
+ * Variance-reduction sampling streams.
+ * A stream is a callable random() (what distributions consume) with a startIteration(i) hook the
+ * worker calls before each path. Each uniform drawn within an iteration is one "dimension", so
+ * stratification applies draw by draw without distributions knowing about it.
+ */
+const { createRandom } = require('./random');
+
+const SAMPLING_METHODS = ['random', 'latinHypercube', 'sobol', 'antithetic'];
+
+const TWO_POW_32 = 4294967296;
+
+// Draws per iteration covered by the Sobol sequence; further draws fall back to the base generator
+const MAX_SOBOL_DIMENSIONS = 256;
+const SOBOL_BITS = 32;
+
+/**
+ * Wrap a draw function and iteration hook into a stream
+ * @param {Function} next - Returns the next uniform draw
+ * @param {Function} startIteration - Called with the iteration index before each path
+ * @param {string} samplingMethod - Method name
+ * @returns {Function} Callable stream
+ */
+function makeStream(next, startIteration, samplingMethod) {
+    const stream = () => next();
+    stream.startIteration = startIteration;
+    stream.samplingMethod = samplingMethod;
+    return stream;
+}
+
+/**
+ * Latin hypercube: for each draw position, iterations are spread over equal-probability strata
+ * @param {Function} base - Base random generator
+ * @param {number} count - Iterations in the stream
+ * @returns {Function} Stream
+ */
+function createLatinHypercubeStream(base, count) {
+    const strata = [];
+    let iteration = 0;
+    let dimension = 0;
+
+    return makeStream(() => {
+        const d = dimension++;
+        if (iteration >= count) {
+            return base();
+        }
+        if (!strata[d]) {
+            // Random stratum assignment per dimension (Fisher-Yates)
+            const permutation = new Uint32Array(count);
+            for (let i = 0; i < count; i++) permutation[i] = i;
+            for (let i = count - 1; i > 0; i--) {
+                const j = Math.floor(base() * (i + 1));
+                const tmp = permutation[i];
+                permutation[i] = permutation[j];
+                permutation[j] = tmp;
+            }
+            strata[d] = permutation;
+        }
+        return (strata[d][iteration] + base()) / count;
+    }, (i) => {
+        iteration = i;
+        dimension = 0;
+    }, 'latinHypercube');
+}
+
+/**
+ * Antithetic variates: every odd iteration mirrors the draws of the previous one (u -> 1 - u)
+ * @param {Function} base - Base random generator
+ * @returns {Function} Stream
+ */
+function createAntitheticStream(base) {
+    let draws = [];
+    let mirror = false;
+    let index = 0;
+
+    return makeStream(() => {
+        if (mirror) {
+            // Paths needing more draws than their partner continue with fresh draws
+            return index < draws.length ? 1 - draws[index++] : base();
+        }
+        const u = base();
+        draws.push(u);
+        return u;
+    }, (i) => {
+        mirror = i % 2 === 1;
+        index = 0;
+        if (!mirror) draws = [];
+    }, 'antithetic');
+}
+
+let sobolDirections = null;
+
+/**
+ * Primitive polynomials over GF(2) in degree order, as { degree, coefficients }
+ * where coefficients holds the inner terms a_1..a_{s-1} as bits
+ * @param {number} count - Number of polynomials needed
+ * @returns {Array<Object>} Primitive polynomials
+ */
+function primitivePolynomials(count) {
+    const result = [];
+
+    // Multiply two polynomials modulo poly (degree s)
+    const mulMod = (a, b, poly, degree) => {
+        let product = 0;
+        while (b) {
+            if (b & 1) product ^= a;
+            b >>>= 1;
+            a <<= 1;
+            if (a & (1 << degree)) a ^= poly;
+        }
+        return product;
+    };
+    const powMod = (exponent, poly, degree) => {
+        let result = 1;
+        let base = 2; // x
+        while (exponent > 0) {
+            if (exponent & 1) result = mulMod(result, base, poly, degree);
+            base = mulMod(base, base, poly, degree);
+            exponent = Math.floor(exponent / 2);
+        }
+        return result;
+    };
+    const primeFactors = (n) => {
+        const factors = [];
+        for (let p = 2; p * p <= n; p++) {
+            if (n % p === 0) {
+                factors.push(p);
+                while (n % p === 0) n /= p;
+            }
+        }
+        if (n > 1) factors.push(n);
+        return factors;
+    };
+
+    for (let degree = 1; result.length < count; degree++) {
+        const order = 2 ** degree - 1;
+        const factors = primeFactors(order);
+        // Leading and constant terms are always set
+        for (let inner = 0; inner < 2 ** (degree - 1) && result.length < count; inner++) {
+            const poly = (1 << degree) | (inner << 1) | 1;
+            const isPrimitive = powMod(order, poly, degree) === 1 &&
+                factors.every(q => powMod(order / q, poly, degree) !== 1);
+            if (isPrimitive) {
+                result.push({ degree, coefficients: inner });
+            }
+        }
+    }
+
+    return result;
+}
+
+// Initial direction number candidates tried per dimension, and points used to compare them
+const SOBOL_CANDIDATES = 8;
+const SOBOL_CHECK_POINTS = 1024;
+
+/**
+ * Expand initial values m_1..m_s into 32-bit direction numbers (Bratley-Fox recurrence)
+ * @param {Array<number>} m - Odd initial values, m_k < 2^k
+ * @param {Object} polynomial - { degree, coefficients }
+ * @returns {Uint32Array} Direction numbers
+ */
+function expandDirections(m, { degree, coefficients }) {
+    const v = new Uint32Array(SOBOL_BITS);
+    for (let k = 0; k < Math.min(degree, SOBOL_BITS); k++) {
+        v[k] = m[k] * 2 ** (SOBOL_BITS - 1 - k);
+    }
+    for (let k = degree; k < SOBOL_BITS; k++) {
+        let value = v[k - degree] ^ (v[k - degree] >>> degree);
+        for (let j = 1; j < degree; j++) {
+            if ((coefficients >>> (degree - 1 - j)) & 1) {
+                value ^= v[k - j];
+            }
+        }
+        v[k] = value >>> 0;
+    }
+    return v;
+}
+
+/**
+ * First points of one Sobol dimension, centred on zero
+ * @param {Uint32Array} v - Direction numbers
+ * @returns {Float64Array} Points minus 0.5
+ */
+function centredPoints(v) {
+    const points = new Float64Array(SOBOL_CHECK_POINTS);
+    let x = 0;
+    for (let i = 1; i < SOBOL_CHECK_POINTS; i++) {
+        // Gray code order: flip the direction number of the lowest zero bit of i - 1
+        let bit = 0;
+        while (((i - 1) >>> bit) & 1) bit++;
+        x ^= v[bit];
+        points[i] = (x >>> 0) / TWO_POW_32 - 0.5;
+    }
+    points[0] = -0.5;
+    return points;
+}
+
+/**
+ * Sobol direction numbers for the first `dimensions` dimensions, extended lazily and cached.
+ * Dimension 0 is the van der Corput sequence; the others use primitive polynomials in degree order.
+ * Initial values are drawn from a fixed stream and, among SOBOL_CANDIDATES sets, the one least
+ * correlated with earlier dimensions is kept, avoiding the strongly dependent pairs that purely
+ * random initialisation produces at higher dimensions. Each dimension only depends on the ones
+ * before it, so the result does not depend on how far the cache was extended.
+ * @param {number} dimensions - Number of dimensions needed (at most MAX_SOBOL_DIMENSIONS)
+ * @returns {Array<Uint32Array>} Direction numbers v_k scaled to 32 bits, per dimension
+ */
+function getSobolDirections(dimensions) {
+    if (!sobolDirections) {
+        const first = new Uint32Array(SOBOL_BITS);
+        for (let k = 0; k < SOBOL_BITS; k++) first[k] = 2 ** (SOBOL_BITS - 1 - k);
+        sobolDirections = {
+            directions: [first],
+            accepted: [centredPoints(first)],
+            polynomials: primitivePolynomials(MAX_SOBOL_DIMENSIONS - 1),
+            initial: createRandom('sobol-direction-numbers', 'xoshiro128')
+        };
+    }
+
+    const { directions, accepted, polynomials, initial } = sobolDirections;
+    while (directions.length < Math.min(dimensions, MAX_SOBOL_DIMENSIONS)) {
+        const polynomial = polynomials[directions.length - 1];
+
+        let best = null;
+        for (let candidate = 0; candidate < SOBOL_CANDIDATES; candidate++) {
+            // m_k odd and below 2^(k+1)
+            const m = Array.from({ length: polynomial.degree }, (_, k) => 2 * Math.floor(initial() * 2 ** k) + 1);
+            const v = expandDirections(m, polynomial);
+            const points = centredPoints(v);
+
+            let worst = 0;
+            for (const previous of accepted) {
+                let sum = 0;
+                for (let i = 0; i < SOBOL_CHECK_POINTS; i++) sum += points[i] * previous[i];
+                worst = Math.max(worst, Math.abs(sum * 12 / SOBOL_CHECK_POINTS));
+                if (best && worst >= best.worst) break;
+            }
+
+            if (!best || worst < best.worst) {
+                best = { v, points, worst };
+            }
+        }
+        directions.push(best.v);
+        accepted.push(best.points);
+    }
+
+    return directions;
+}
+
+/**
+ * Randomly shifted Sobol sequence: iteration i uses point i, each draw position is a dimension.
+ * The digital shift comes from the base generator, so every stream (chunk) is an independent
+ * randomized quasi-Monte Carlo replicate.
+ * @param {Function} base - Base random generator
+ * @returns {Function} Stream
+ */
+function createSobolStream(base) {
+    const shifts = [];
+    let directions = getSobolDirections(1);
+    let iteration = 0;
+    let dimension = 0;
+
+    return makeStream(() => {
+        const d = dimension++;
+        if (d >= MAX_SOBOL_DIMENSIONS) {
+            return base();
+        }
+        if (shifts[d] === undefined) {
+            shifts[d] = Math.floor(base() * TWO_POW_32) >>> 0;
+        }
+
+        if (d >= directions.length) {
+            directions = getSobolDirections(d + 1);
+        }
+
+        const v = directions[d];
+        let x = 0;
+        for (let k = 0, index = iteration; index > 0 && k < SOBOL_BITS; k++, index >>>= 1) {
+            if (index & 1) x ^= v[k];
+        }
+
+        // Cell midpoint keeps draws strictly inside (0, 1)
+        return (((x ^ shifts[d]) >>> 0) + 0.5) / TWO_POW_32;
+    }, (i) => {
+        iteration = i;
+        dimension = 0;
+    }, 'sobol');
+}
+
+/**
+ * Create the random stream for one worker or chunk
+ * @param {string} [samplingMethod='random'] - One of SAMPLING_METHODS
+ * @param {Object} options - { seed, generator, count }
+ * @returns {Function} Callable random() with startIteration(i)
+ */
+function createSamplingStream(samplingMethod = 'random', { seed, generator, count }) {
+    const base = createRandom(seed, generator);
+
+    switch (samplingMethod || 'random') {
+        case 'random':
+            return makeStream(base, () => { }, 'random');
+        case 'latinHypercube':
+            return createLatinHypercubeStream(base, count);
+        case 'sobol':
+            return createSobolStream(base);
+        case 'antithetic':
+            return createAntitheticStream(base);
+        default:
+            throw new Error(`Unknown sampling method: ${samplingMethod}`);
+    }
+}
+
+module.exports = {
+    SAMPLING_METHODS,
+    MAX_SOBOL_DIMENSIONS,
+    createSamplingStream,
+    primitivePolynomials
+};
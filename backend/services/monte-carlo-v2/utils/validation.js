@@ -1,6 +1,7 @@
 /**
  * Utilities for validating distribution parameters and configurations
  */
+const { SAMPLING_METHODS } = require('./samplingStreams');
 
 /**
  * Validate if a value is a number
@@ -175,6 +176,11 @@ function validateSimulationSettings(settings) {
         errors.push('Percentiles configuration is required');
     }
 
+    // Validate sampling method if provided
+    if (settings.samplingMethod !== undefined && !SAMPLING_METHODS.includes(settings.samplingMethod)) {
+        errors.push(`Sampling method must be one of: ${SAMPLING_METHODS.join(', ')}`);
+    }
+
     // Validate fit data if provided
     if (settings.fitToData !== undefined) {
         if (!isValidTimeSeries(settings.fitToData, false, true)) {
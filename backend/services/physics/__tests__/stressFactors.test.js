@@ -0,0 +1,55 @@
+// backend/services/physics/__tests__/stressFactors.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateStressFactors, getDesignReferences } = require('..');
+const { SiteConditionsSchema, StressFactorsRequestSchema } = require('../../../../schemas/yup/stressFactors');
+
+const factorOf = (result, id) => result.components.find(component => component.id === id).factor;
+
+test('design conditions give unit factors for every default component', () => {
+    const result = calculateStressFactors(SiteConditionsSchema.default());
+
+    Object.values(result.loadFactors).forEach(loadFactor => assert.ok(Math.abs(loadFactor - 1) < 1e-12));
+    assert.equal(result.components.length, 8);
+    result.components.forEach(component => assert.ok(Math.abs(component.factor - 1) < 1e-12));
+});
+
+test('offshore and desert sites accelerate the exposed components', () => {
+    const offshore = calculateStressFactors({
+        ...SiteConditionsSchema.default(), iecClass: 'IB', turbulenceIntensity: 0.08, relativeHumidity: 0.85, salinityLevel: 'marine'
+    });
+    assert.ok(offshore.loadFactors.corrosion > 4);
+    assert.ok(offshore.loadFactors.turbulence < 1); // Low offshore turbulence
+    assert.ok(factorOf(offshore, 'transformers') > 2);
+    assert.ok(factorOf(offshore, 'transformers') > factorOf(offshore, 'gearboxes'));
+
+    const desert = calculateStressFactors({
+        ...SiteConditionsSchema.default(), temperatureRange: 75, meanTemperature: 28, relativeHumidity: 0.3
+    });
+    assert.ok(desert.loadFactors.thermal > 3);
+    assert.ok(factorOf(desert, 'converters') > 2);
+    assert.ok(factorOf(desert, 'converters') > factorOf(desert, 'blades'));
+});
+
+test('custom components use category sensitivities and overrides, within the limits', () => {
+    const site = { ...SiteConditionsSchema.default(), turbulenceIntensity: 0.4 };
+    const result = calculateStressFactors(site, [
+        { id: 'pitchMotors', category: 'electrical' },
+        { id: 'towerBolts', category: 'mechanical', sensitivities: { turbulence: 0 } },
+        { id: 'blades' }
+    ]);
+
+    assert.ok(Math.abs(factorOf(result, 'pitchMotors') - Math.pow(result.loadFactors.turbulence, 0.1)) < 1e-12);
+    assert.equal(factorOf(result, 'towerBolts'), 1);
+    assert.equal(factorOf(result, 'blades'), 10);
+});
+
+test('class S requires site-specific design references', () => {
+    const conditions = { ...SiteConditionsSchema.default(), iecClass: 'S' };
+    assert.throws(() => getDesignReferences(conditions), /requires designReferences.turbulenceIntensity/);
+    assert.throws(() => StressFactorsRequestSchema.validateSync({ siteConditions: conditions }), /class S/);
+
+    const references = getDesignReferences({ ...conditions, designReferences: { turbulenceIntensity: 0.2, windShearExponent: null } });
+    assert.equal(references.turbulenceIntensity, 0.2);
+    assert.equal(references.windShearExponent, 0.14);
+});
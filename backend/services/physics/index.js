@@ -0,0 +1,6 @@
+// backend/services/physics/index.js
+const stressFactors = require('./stressFactors');
+
+module.exports = {
+    ...stressFactors
+};
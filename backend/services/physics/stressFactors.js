@@ -0,0 +1,167 @@
+// backend/services/physics/stressFactors.js
+/**
+ * Environmental stress factors: physics-based load factors of a site relative to the turbine's IEC
+ * design conditions, combined into per-component acceleration factors for the failure rates
+ * (see docs/implementation-guide-three-phase-weibull.md, "Environmental Load Factors")
+ */
+
+const { DEFAULT_COMPONENTS } = require('../../../schemas/yup/componentFailureRates');
+const { STRESS_TYPES } = require('../../../schemas/yup/stressFactors');
+
+// IEC 61400-1 design references by class (turbulence at 15 m/s by category A/B/C)
+const IEC_CLASS_PARAMETERS = {
+    IA: { turbulenceIntensity: 0.16, windShearExponent: 0.11 },
+    IB: { turbulenceIntensity: 0.14, windShearExponent: 0.11 },
+    IC: { turbulenceIntensity: 0.12, windShearExponent: 0.11 },
+    IIA: { turbulenceIntensity: 0.16, windShearExponent: 0.14 },
+    IIB: { turbulenceIntensity: 0.14, windShearExponent: 0.14 },
+    IIC: { turbulenceIntensity: 0.12, windShearExponent: 0.14 },
+    IIIA: { turbulenceIntensity: 0.16, windShearExponent: 0.20 },
+    IIIB: { turbulenceIntensity: 0.14, windShearExponent: 0.20 },
+    IIIC: { turbulenceIntensity: 0.12, windShearExponent: 0.20 },
+    S: {} // Site-specific: taken from designReferences
+};
+
+// References shared by all classes (standard temperature envelope, 15°C / 65% RH reference climate)
+const COMMON_REFERENCES = {
+    turbulenceIntensity: 0.16,
+    windShearExponent: 0.14,
+    temperatureRange: 60,
+    meanTemperature: 15,
+    relativeHumidity: 0.65
+};
+
+// Corrosion rate multipliers by salinity level (ISO 9223 corrosivity categories)
+const SALINITY_FACTORS = { low: 1.0, moderate: 1.5, high: 2.5, marine: 4.0 };
+
+// Exponent applied to each load factor per component: 1 = full physics sensitivity, 0 = insensitive
+const COMPONENT_SENSITIVITIES = {
+    blades: { turbulence: 1.0, thermal: 0.2, corrosion: 0.3, windShear: 1.0 },
+    bladeBearings: { turbulence: 0.8, thermal: 0.2, corrosion: 0.3, windShear: 1.0 },
+    gearboxes: { turbulence: 1.0, thermal: 0.5, corrosion: 0.2, windShear: 0.8 },
+    mainBearings: { turbulence: 1.0, thermal: 0.3, corrosion: 0.2, windShear: 1.0 },
+    generators: { turbulence: 0.3, thermal: 1.0, corrosion: 0.3, windShear: 0.2 },
+    converters: { turbulence: 0.1, thermal: 1.0, corrosion: 0.5, windShear: 0.0 },
+    transformers: { turbulence: 0.0, thermal: 0.8, corrosion: 0.8, windShear: 0.0 },
+    yawSystems: { turbulence: 0.5, thermal: 0.2, corrosion: 0.5, windShear: 0.5 }
+};
+
+// Fallback sensitivities for custom components
+const CATEGORY_SENSITIVITIES = {
+    drivetrain: { turbulence: 1.0, thermal: 0.4, corrosion: 0.2, windShear: 0.8 },
+    rotor: { turbulence: 1.0, thermal: 0.2, corrosion: 0.3, windShear: 1.0 },
+    electrical: { turbulence: 0.1, thermal: 1.0, corrosion: 0.5, windShear: 0.0 },
+    mechanical: { turbulence: 0.5, thermal: 0.2, corrosion: 0.5, windShear: 0.5 },
+    control: { turbulence: 0.0, thermal: 0.5, corrosion: 0.5, windShear: 0.0 }
+};
+
+// Combined acceleration factors are kept within this range
+const FACTOR_LIMITS = { min: 0.25, max: 10 };
+
+/**
+ * Design references the site is compared against: IEC class values, overridden by designReferences
+ * @param {Object} siteConditions - SiteConditionsSchema object
+ * @returns {Object} DesignReferencesSchema object with every reference resolved
+ * @throws {Error} For class S without the turbulence reference
+ */
+function getDesignReferences(siteConditions) {
+    const { iecClass = 'IIA', designReferences } = siteConditions;
+    const classReferences = IEC_CLASS_PARAMETERS[iecClass];
+    if (!classReferences) {
+        throw new Error(`Unknown IEC class '${iecClass}'`);
+    }
+
+    const overrides = Object.fromEntries(
+        Object.entries(designReferences || {}).filter(([, value]) => value !== null && value !== undefined)
+    );
+
+    if (iecClass === 'S' && overrides.turbulenceIntensity === undefined) {
+        throw new Error('IEC class S requires designReferences.turbulenceIntensity');
+    }
+
+    return { ...COMMON_REFERENCES, ...classReferences, ...overrides };
+}
+
+/**
+ * Environmental load factors of a site relative to its design references (1 = design conditions)
+ * @param {Object} siteConditions - SiteConditionsSchema object
+ * @param {Object} references - Resolved design references
+ * @returns {Object} LoadFactorsSchema object
+ */
+function calculateLoadFactors(siteConditions, references) {
+    const {
+        turbulenceIntensity, windShearExponent, temperatureRange, meanTemperature, relativeHumidity, salinityLevel = 'low'
+    } = siteConditions;
+
+    return {
+        // IEC 61400-1 damage equivalent loads scale with the cube of turbulence intensity
+        turbulence: Math.pow(turbulenceIntensity / references.turbulenceIntensity, 3),
+        // Coffin-Manson thermal cycling (squared temperature range) with the Arrhenius 10°C rule on mean temperature
+        thermal: Math.pow(temperatureRange / references.temperatureRange, 2)
+            * Math.pow(2, (meanTemperature - references.meanTemperature) / 10),
+        // ISO 9223 atmospheric corrosion: humidity, salinity and temperature acceleration
+        corrosion: Math.pow(relativeHumidity / references.relativeHumidity, 2)
+            * SALINITY_FACTORS[salinityLevel]
+            * Math.exp((meanTemperature - references.meanTemperature) / 10),
+        // Asymmetric rotor loading from wind shear deviating from the design profile
+        windShear: 1 + 2 * Math.pow(windShearExponent - references.windShearExponent, 2)
+    };
+}
+
+/**
+ * Sensitivities of a component to each stress type
+ * @param {Object} component - StressFactorComponentSchema object
+ * @returns {Object} Exponent per stress type
+ */
+function getComponentSensitivities(component) {
+    const base = COMPONENT_SENSITIVITIES[component.id]
+        || CATEGORY_SENSITIVITIES[component.category]
+        || CATEGORY_SENSITIVITIES.mechanical;
+    return { ...base, ...(component.sensitivities || {}) };
+}
+
+/**
+ * Per-component failure rate acceleration factors for a site
+ * @param {Object} siteConditions - SiteConditionsSchema object
+ * @param {Array<Object>} [components] - StressFactorComponentSchema objects (default failure rate components when empty)
+ * @returns {Object} StressFactorsResultSchema object
+ */
+function calculateStressFactors(siteConditions, components = []) {
+    const designReferences = getDesignReferences(siteConditions);
+    const loadFactors = calculateLoadFactors(siteConditions, designReferences);
+    const targets = components.length > 0 ? components : DEFAULT_COMPONENTS;
+
+    return {
+        siteConditions,
+        designReferences,
+        loadFactors,
+        components: targets.map(component => {
+            const sensitivities = getComponentSensitivities(component);
+            const contributions = STRESS_TYPES.reduce((acc, type) => {
+                acc[type] = Math.pow(loadFactors[type], sensitivities[type] ?? 0);
+                return acc;
+            }, {});
+            const factor = Object.values(contributions).reduce((product, value) => product * value, 1);
+
+            return {
+                id: component.id,
+                name: component.name || null,
+                factor: Math.min(FACTOR_LIMITS.max, Math.max(FACTOR_LIMITS.min, factor)),
+                contributions
+            };
+        }),
+        calculatedAt: new Date()
+    };
+}
+
+module.exports = {
+    IEC_CLASS_PARAMETERS,
+    SALINITY_FACTORS,
+    COMPONENT_SENSITIVITIES,
+    CATEGORY_SENSITIVITIES,
+    FACTOR_LIMITS,
+    getDesignReferences,
+    calculateLoadFactors,
+    getComponentSensitivities,
+    calculateStressFactors
+};
@@ -0,0 +1,114 @@
+// backend/services/scenario-runner/__tests__/scenarioRunner.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScenarioSchema } = require('../../../../schemas/yup/scenario');
+const { runScenario, applySimulationResults, collectDistributions, writeScenarioOutputs } = require('..');
+
+// Default scenario plus the escalation rate distribution the cube requires
+const buildScenario = () => {
+    const scenario = ScenarioSchema.default();
+    scenario.name = 'Headless test';
+    scenario.settings.simulation.iterations = 1000;
+    scenario.settings.modules.cost.escalationRate = {
+        key: 'escalationRate', type: 'fixed', timeSeriesMode: false, parameters: { value: 2 }
+    };
+    return scenario;
+};
+
+// Cube processors log every stage
+const quietly = async (fn) => {
+    const { log, warn } = console;
+    console.log = console.warn = () => { };
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+};
+
+test('simulation results are stored where the cube reads them', () => {
+    const scenario = buildScenario();
+    const keys = collectDistributions(scenario.settings).map(distribution => distribution.key);
+    applySimulationResults(scenario, keys.map(key => ({ distribution: { key }, results: [] })));
+
+    const { inputSim } = scenario.simulation;
+    assert.ok(inputSim.marketFactors.baseEscalationRate);
+    assert.ok(inputSim.distributionAnalysis.energyProduction);
+    assert.ok(inputSim.distributionAnalysis.escalationRate);
+    assert.equal(inputSim.distributionAnalysis.baseEscalationRate, undefined);
+});
+
+test('runs a scenario end-to-end without React', async () => {
+    const scenario = buildScenario();
+    const run = await quietly(() => runScenario(scenario, { signal: AbortSignal.timeout(120000) }));
+
+    assert.equal(scenario.simulation.inputSim.distributionAnalysis.energyProduction, null); // Input left untouched
+    assert.deepEqual(run.percentileInfo.available, [10, 25, 50, 75, 90]);
+    assert.equal(run.percentileInfo.primary, 50);
+
+    const projectIRR = run.metricsData.find(metric => metric.id === 'projectIRR');
+    assert.deepEqual(projectIRR.percentileMetrics.map(result => result.percentile.value), [10, 25, 50, 75, 90]);
+    projectIRR.percentileMetrics.forEach(result => assert.equal(typeof result.value, 'number'));
+
+    const energyRevenue = run.sourceData.find(source => source.id === 'energyRevenue');
+    assert.equal(energyRevenue.percentileSource.length, 5);
+
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-run-'));
+    try {
+        const files = await writeScenarioOutputs(outputDir, run);
+        assert.deepEqual(files.map(file => path.basename(file)), ['metrics.json', 'cashflow.json', 'metrics.csv', 'cashflow.csv']);
+
+        const metricsCsv = fs.readFileSync(path.join(outputDir, 'metrics.csv'), 'utf8').trim().split('\n');
+        assert.equal(metricsCsv[0], 'metric,name,percentile,value');
+        assert.ok(metricsCsv.some(line => line.startsWith('projectIRR,Project IRR,50,')));
+
+        const cashflow = JSON.parse(fs.readFileSync(path.join(outputDir, 'cashflow.json'), 'utf8'));
+        assert.equal(cashflow.scenario.name, 'Headless test');
+        assert.ok(cashflow.years.includes(1));
+        assert.ok(cashflow.rows.some(row => row.source === 'energyRevenue' && row.percentile === 50));
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+});
+
+test('the failure-event simulation runs alongside and its downtime is priced at energy revenue', async () => {
+    const scenario = buildScenario();
+    const failureRates = scenario.settings.project.equipment.failureRates;
+    failureRates.enabled = true;
+    Object.assign(failureRates.components.gearboxes, {
+        enabled: true,
+        repairConfig: {
+            repairPackageSnapshot: {
+                baseDurationDays: 5,
+                costs: { material: { perEventEUR: 400000, perDayEUR: 0 }, crane: { perEventEUR: 100000, perDayEUR: 10000 } }
+            }
+        }
+    });
+    const run = await quietly(() => runScenario(scenario, { signal: AbortSignal.timeout(120000) }));
+
+    const { failureEvents } = run.scenario.simulation.inputSim;
+    assert.deepEqual(failureEvents.simulationInfo.components, ['gearboxes']);
+    assert.equal(failureEvents.simulationInfo.repairs.gearboxes.costPerEvent, 550000);
+
+    // Fleet downtime is priced at the energy revenue of the same year and percentile (P90, where failures show)
+    const p90 = (results) => results.find(result => result.percentile.value === 90).data;
+    const sourceP90 = (id) => p90(run.sourceData.find(source => source.id === id).percentileSource);
+    const downtime = p90(failureEvents.total.downtimeDays.annual);
+    const revenue = sourceP90('energyRevenue');
+    const loss = sourceP90('failureDowntimeLoss');
+    loss.forEach(({ year, value }, index) => {
+        assert.equal(year, downtime[index].year);
+        assert.ok(Math.abs(value - revenue[index].value * downtime[index].value / (20 * 365)) < 1e-6);
+    });
+    assert.ok(loss.some(point => point.value > 0));
+
+    // Simulated repair costs are the component failure costs, escalated like the expected ones
+    const failureCosts = run.sourceData.find(source => source.id === 'componentFailureRates').percentileSource
+        .find(result => result.percentile.value === 90);
+    assert.equal(failureCosts.metadata.fromSimulation, true);
+    const eventCosts = p90(failureEvents.components.gearboxes.cost.annual);
+    assert.equal(failureCosts.metadata.totalCost, eventCosts.reduce((total, point) => total + point.value, 0));
+});
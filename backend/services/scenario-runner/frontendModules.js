@@ -0,0 +1,91 @@
+// backend/services/scenario-runner/frontendModules.js
+/**
+ * Loads frontend utilities (the cube processors and registries) in Node.
+ * Frontend sources are ES modules with webpack-style absolute imports ('schemas/...', 'utils/...'),
+ * so they are compiled to CommonJS on require.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+const { addHook } = require('pirates');
+const transformModulesCommonjs = require('@babel/plugin-transform-modules-commonjs');
+
+const ROOT_DIR = path.resolve(__dirname, '../../..');
+const FRONTEND_DIR = path.join(ROOT_DIR, 'frontend');
+const FRONTEND_SRC = path.join(FRONTEND_DIR, 'src');
+
+let registered = false;
+
+/**
+ * Resolve a webpack-style absolute import the way frontend/config-overrides.js does
+ * @param {string} source - Import specifier
+ * @returns {string|null} Absolute path, or null to leave the specifier unchanged
+ */
+function resolveAbsoluteImport(source) {
+    if (source.startsWith('.') || path.isAbsolute(source)) return null;
+    const [root] = source.split('/');
+    if (root === 'schemas') return path.join(ROOT_DIR, source);
+    if (fs.existsSync(path.join(FRONTEND_SRC, root))) return path.join(FRONTEND_SRC, source);
+    return null;
+}
+
+/**
+ * Babel plugin rewriting absolute import and require specifiers to file paths
+ * @param {Object} babel - Babel API
+ * @returns {Object} Plugin definition
+ */
+function absoluteImportsPlugin({ types: t }) {
+    const rewrite = (literal) => {
+        const resolved = literal && t.isStringLiteral(literal) ? resolveAbsoluteImport(literal.value) : null;
+        if (resolved) literal.value = resolved;
+    };
+
+    return {
+        visitor: {
+            'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration'(nodePath) {
+                rewrite(nodePath.node.source);
+            },
+            CallExpression(nodePath) {
+                if (t.isIdentifier(nodePath.node.callee, { name: 'require' })) {
+                    rewrite(nodePath.node.arguments[0]);
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Compile frontend/src modules to CommonJS when they are required (idempotent)
+ */
+function registerFrontendModules() {
+    if (registered) return;
+
+    addHook((code, filename) => babel.transformSync(code, {
+        filename,
+        babelrc: false,
+        configFile: false,
+        sourceMaps: 'inline',
+        plugins: [absoluteImportsPlugin, transformModulesCommonjs]
+    }).code, {
+        exts: ['.js'],
+        matcher: (filename) => filename.startsWith(FRONTEND_SRC + path.sep)
+    });
+
+    registered = true;
+}
+
+/**
+ * Require a frontend/src module
+ * @param {string} modulePath - Path relative to frontend/src, e.g. 'utils/cube/runner'
+ * @returns {Object} Module exports
+ */
+function requireFrontendModule(modulePath) {
+    registerFrontendModules();
+    return require(path.join(FRONTEND_SRC, modulePath));
+}
+
+module.exports = {
+    requireFrontendModule,
+    registerFrontendModules
+};
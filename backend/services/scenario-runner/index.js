@@ -0,0 +1,162 @@
+// backend/services/scenario-runner/index.js
+/**
+ * Headless scenario runs: simulate a scenario's input distributions with Monte Carlo V2, then
+ * execute the frontend cube source and metric registries on the results, outside React
+ */
+
+const monteCarloV2 = require('../monte-carlo-v2');
+const failureEvents = require('../failure-events');
+const { SimRequestSchema } = require('../../../schemas/yup/distribution');
+const { requireFrontendModule } = require('./frontendModules');
+const { OUTPUT_FORMATS, buildMetricsTable, buildCashflowTable, writeScenarioOutputs } = require('./output');
+
+/**
+ * Enabled failure rate components of a scenario
+ * @param {Object} settings - Scenario settings
+ * @returns {Array<Object>} Failure rate component configurations
+ */
+const enabledFailureRates = (settings) => {
+    const failureRates = settings.project?.equipment?.failureRates || {};
+    if (!failureRates.enabled) return [];
+    return Object.values(failureRates.components || {})
+        .filter(component => component && typeof component === 'object' && component.enabled);
+};
+
+/**
+ * Market factors of a scenario
+ * @param {Object} settings - Scenario settings
+ * @returns {Array<Object>} Market factor configurations
+ */
+const marketFactors = (settings) => Object.values(settings.project?.economics?.marketFactors?.factors || {})
+    .filter(factor => factor && typeof factor === 'object');
+
+/**
+ * All distributions simulated for a scenario's inputs (same set as the frontend useInputSim hook)
+ * @param {Object} settings - Scenario settings
+ * @returns {Array<Object>} DistributionTypeSchema objects
+ */
+function collectDistributions(settings) {
+    const { revenue = {}, cost = {} } = settings.modules || {};
+
+    return [
+        revenue.energyProduction,
+        revenue.electricityPrice,
+        cost.escalationRate,
+        revenue.downtimePerEvent,
+        revenue.windVariability,
+        ...marketFactors(settings).map(factor => factor.distribution),
+        ...enabledFailureRates(settings).map(component => component.distribution)
+    ].filter(Boolean);
+}
+
+/**
+ * Simulation request for a scenario's input distributions
+ * @param {Object} settings - Scenario settings
+ * @returns {Object} SimRequestSchema-compliant request
+ */
+function buildSimulationRequest(settings) {
+    const simulation = settings.simulation || {};
+
+    return SimRequestSchema.validateSync({
+        distributions: collectDistributions(settings),
+        simulationSettings: {
+            iterations: simulation.iterations || 10000,
+            seed: simulation.seed || 42,
+            years: settings.general?.projectLife || 20,
+            percentiles: simulation.percentiles || [],
+            randomGenerator: simulation.randomGenerator || 'seedrandom',
+            samplingMethod: simulation.samplingMethod || 'random',
+            autoStop: simulation.autoStop || null,
+            correlation: simulation.correlation || null
+        }
+    }, { abortEarly: false, stripUnknown: true });
+}
+
+/**
+ * Store simulation results in a scenario's inputSim, grouped like the frontend does:
+ * market factors and failure rates by id, everything else in distributionAnalysis
+ * @param {Object} scenario - Plain scenario object (modified in place)
+ * @param {Array<Object>} simulationInfo - SimulationInfoSchema results
+ * @returns {Object} The scenario
+ */
+function applySimulationResults(scenario, simulationInfo) {
+    const marketFactorIds = new Set(marketFactors(scenario.settings).map(factor => factor.id));
+    const failureRateIds = new Set(enabledFailureRates(scenario.settings).map(component => component.id));
+
+    scenario.simulation = scenario.simulation || {};
+    const inputSim = scenario.simulation.inputSim = scenario.simulation.inputSim || {};
+
+    simulationInfo.forEach(info => {
+        const key = info.distribution?.key;
+        if (!key) return;
+
+        const group = marketFactorIds.has(key) ? 'marketFactors'
+            : failureRateIds.has(key) ? 'failureRates'
+                : 'distributionAnalysis';
+        inputSim[group] = { ...inputSim[group], [key]: info };
+    });
+
+    return scenario;
+}
+
+/**
+ * Run a scenario end-to-end: input simulations (and the failure-event simulation when component failures are
+ * enabled), then the cube sources and metrics
+ * @param {Object} scenario - Plain scenario object (ScenarioSchema)
+ * @param {Object} [options]
+ * @param {boolean} [options.simulate] - Re-run the input simulations (false reuses the scenario's stored results)
+ * @param {Object} [options.cache] - Monte Carlo result cache passed to the engine
+ * @param {Function} [options.onProgress] - Engine progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the input simulations
+ * @param {Object} [options.percentileInfo] - percentileData overriding the scenario's own
+ * @returns {Promise<Object>} { scenario, simulationInfo, percentileInfo, sourceData, metricsData }
+ */
+async function runScenario(scenario, { simulate = true, cache, onProgress, signal, percentileInfo } = {}) {
+    const scenarioData = structuredClone(scenario);
+    let simulationInfo = [];
+
+    if (simulate) {
+        const engine = monteCarloV2.createEngine(buildSimulationRequest(scenarioData.settings));
+        const results = await engine.run({ cache, onProgress, signal });
+        if (!results.success) {
+            const errors = results.simulationInfo.flatMap(info => info.errors.map(error => `${info.distribution.key}: ${error}`));
+            throw new Error(`Input simulation failed - ${errors.join('; ')}`);
+        }
+        simulationInfo = results.simulationInfo;
+        applySimulationResults(scenarioData, simulationInfo);
+
+        if (enabledFailureRates(scenarioData.settings).length > 0) {
+            const { simulationSettings } = buildSimulationRequest(scenarioData.settings);
+            const events = await failureEvents.runFailureEventSimulation({
+                settings: scenarioData.settings,
+                simulationSettings,
+                windData: scenarioData.simulation.inputSim.distributionAnalysis?.windVariability?.results || null
+            });
+            scenarioData.simulation.inputSim.failureEvents = { ...events, simulationInfo: { ...events.simulationInfo, runAt: new Date() } };
+        }
+    }
+
+    const { runCube } = requireFrontendModule('utils/cube/runner');
+    const cube = runCube(scenarioData, { percentileInfo });
+
+    return {
+        scenario: cube.scenarioData,
+        simulationInfo,
+        percentileInfo: cube.percentileInfo,
+        sourceData: cube.sourceData,
+        metricsData: cube.metricsData
+    };
+}
+
+module.exports = {
+    collectDistributions,
+    buildSimulationRequest,
+    applySimulationResults,
+    runScenario,
+
+    // Output tables (see output.js)
+    OUTPUT_FORMATS,
+    buildMetricsTable,
+    buildCashflowTable,
+    writeScenarioOutputs
+};
@@ -0,0 +1,128 @@
+// backend/services/scenario-runner/output.js
+/**
+ * Tables and files written from a headless scenario run
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const OUTPUT_FORMATS = ['json', 'csv'];
+
+/**
+ * One row per metric and percentile
+ * @param {Array<Object>} metricsData - CubeMetricDataSchema objects
+ * @returns {Array<Object>} [{ metric, name, percentile, value }]
+ */
+function buildMetricsTable(metricsData) {
+    return metricsData.flatMap(metric => metric.percentileMetrics.map(result => ({
+        metric: metric.id,
+        name: metric.metadata?.name || metric.id,
+        percentile: result.percentile.value,
+        value: result.value
+    })));
+}
+
+/**
+ * One row per cashflow source and percentile, with a column per project year
+ * @param {Array<Object>} sourceData - CubeSourceDataSchema objects
+ * @returns {Object} { years, rows: [{ source, name, cashflowType, accountingClass, projectPhase, percentile, values: { [year]: value } }] }
+ */
+function buildCashflowTable(sourceData) {
+    const years = new Set();
+
+    const rows = sourceData.flatMap(source => source.percentileSource.map(result => {
+        const values = {};
+        result.data.forEach(({ year, value }) => {
+            years.add(year);
+            values[year] = value;
+        });
+        return {
+            source: source.id,
+            name: source.metadata?.name || source.id,
+            cashflowType: source.metadata?.cashflowType,
+            accountingClass: source.metadata?.accountingClass,
+            projectPhase: source.metadata?.projectPhase,
+            percentile: result.percentile.value,
+            values
+        };
+    }));
+
+    return { years: [...years].sort((a, b) => a - b), rows };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Array>} rows - Row values in column order
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+    return [columns, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write the metrics and cashflow tables of a scenario run
+ * @param {string} outputDir - Directory to write to (created if missing)
+ * @param {Object} run - Result of runScenario
+ * @param {Object} [options]
+ * @param {Array<string>} [options.formats] - Any of OUTPUT_FORMATS
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+async function writeScenarioOutputs(outputDir, run, { formats = OUTPUT_FORMATS } = {}) {
+    const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown output format: ${unknown.join(', ')} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    const metrics = buildMetricsTable(run.metricsData);
+    const cashflow = buildCashflowTable(run.sourceData);
+    const scenario = { id: run.scenario._id ? String(run.scenario._id) : null, name: run.scenario.name || null };
+    const files = [];
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const write = async (name, content) => {
+        const file = path.join(outputDir, name);
+        await fs.writeFile(file, content);
+        files.push(file);
+    };
+
+    if (formats.includes('json')) {
+        await write('metrics.json', JSON.stringify({ scenario, percentileInfo: run.percentileInfo, metrics }, null, 2));
+        await write('cashflow.json', JSON.stringify({ scenario, percentileInfo: run.percentileInfo, ...cashflow }, null, 2));
+    }
+
+    if (formats.includes('csv')) {
+        await write('metrics.csv', toCsv(
+            ['metric', 'name', 'percentile', 'value'],
+            metrics.map(row => [row.metric, row.name, row.percentile, row.value])
+        ));
+        await write('cashflow.csv', toCsv(
+            ['source', 'name', 'cashflowType', 'accountingClass', 'projectPhase', 'percentile', ...cashflow.years],
+            cashflow.rows.map(row => [
+                row.source, row.name, row.cashflowType, row.accountingClass, row.projectPhase, row.percentile,
+                ...cashflow.years.map(year => row.values[year])
+            ])
+        ));
+    }
+
+    return files;
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    buildMetricsTable,
+    buildCashflowTable,
+    toCsv,
+    writeScenarioOutputs
+};
@@ -0,0 +1,94 @@
+// backend/services/simulation-jobs/__tests__/jobQueue.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { SimulationJobQueue, TERMINAL_STATUSES } = require('..');
+const { SimRequestSchema } = require('../../../../schemas/yup/distribution');
+
+const buildRequest = () => SimRequestSchema.validateSync({
+    distributions: [
+        { key: 'windVariability', type: 'weibull', parameters: { scale: 8, shape: 2 } },
+        { key: 'electricityPrice', type: 'normal', parameters: { value: 50, stdDev: 5 } }
+    ],
+    simulationSettings: { seed: 3, years: 3, iterations: 6000 }
+});
+
+// Resolve with the job once it reaches a terminal status
+const settled = async (queue, id) => {
+    const job = await queue.get(id);
+    if (TERMINAL_STATUSES.includes(job.status)) return job;
+    return new Promise(resolve => {
+        const unsubscribe = queue.subscribe(id, update => {
+            if (TERMINAL_STATUSES.includes(update.status)) {
+                unsubscribe();
+                resolve(update);
+            }
+        });
+    });
+};
+
+test('jobs report per-distribution progress and keep the engine result', async () => {
+    const queue = new SimulationJobQueue();
+    const updates = [];
+
+    const job = await queue.submit('distributions', buildRequest());
+    assert.equal(job.status, 'queued');
+    assert.equal(job.request, undefined);
+    queue.subscribe(job.id, update => updates.push(update));
+
+    const finished = await settled(queue, job.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.progress.percent, 100);
+    assert.deepEqual(finished.progress.distributions.map(entry => [entry.key, entry.completed, entry.total]), [
+        ['windVariability', 3, 3],
+        ['electricityPrice', 3, 3]
+    ]);
+
+    const percents = updates.map(update => update.progress.percent);
+    assert.ok(percents.some(percent => percent > 0 && percent < 100));
+    assert.deepEqual(percents, [...percents].sort((a, b) => a - b));
+
+    const { result } = await queue.getResult(job.id);
+    assert.equal(result.success, true);
+    assert.equal(result.simulationInfo.length, 2);
+    assert.equal(result.simulationInfo[0].iterations, 6000);
+});
+
+test('cancel stops queued and running jobs', async () => {
+    const started = [];
+    const queue = new SimulationJobQueue({
+        runners: {
+            distributions: (request, { signal }) => {
+                started.push(request.name);
+                return new Promise((resolve, reject) => {
+                    signal.addEventListener('abort', () => reject(signal.reason));
+                });
+            }
+        }
+    });
+
+    const running = await queue.submit('distributions', { name: 'first' });
+    const queued = await queue.submit('distributions', { name: 'second' });
+    await once(queue, `job:${running.id}`);
+
+    assert.equal((await queue.cancel(queued.id)).status, 'cancelled');
+    await queue.cancel(running.id);
+
+    const finished = await settled(queue, running.id);
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(finished.error, null);
+    assert.deepEqual(started, ['first']);
+    assert.equal((await queue.getResult(running.id)).result, null);
+});
+
+test('runner errors fail the job with their message', async () => {
+    const queue = new SimulationJobQueue({
+        runners: { distributions: async () => { throw new Error('No distributions'); } }
+    });
+
+    const job = await queue.submit('distributions', {});
+    const finished = await settled(queue, job.id);
+    assert.equal(finished.status, 'failed');
+    assert.equal(finished.error, 'No distributions');
+    await assert.rejects(queue.submit('cashflow', {}), /Unknown simulation job type/);
+});
@@ -0,0 +1,52 @@
+// backend/services/simulation-jobs/index.js
+/**
+ * Asynchronous simulation jobs: submit, follow progress, cancel and fetch results
+ * without holding an HTTP request open for the whole run
+ */
+
+const { SimulationJobQueue, TERMINAL_STATUSES, progressPercent } = require('./jobQueue');
+const MemoryJobStore = require('./memoryJobStore');
+
+let sharedQueue = null;
+
+/**
+ * Create a job queue
+ * @param {Object} [options] - { store, concurrency, runners } (see SimulationJobQueue)
+ * @returns {SimulationJobQueue} Queue instance
+ */
+function createJobQueue(options = {}) {
+    const configured = parseInt(process.env.SIMULATION_JOB_CONCURRENCY, 10);
+    return new SimulationJobQueue({
+        concurrency: Number.isInteger(configured) && configured > 0 ? configured : 1,
+        ...options
+    });
+}
+
+/**
+ * Get the queue used by the API, created with a MemoryJobStore on first use
+ * @returns {SimulationJobQueue} Shared queue
+ */
+function getJobQueue() {
+    if (!sharedQueue) {
+        sharedQueue = createJobQueue();
+    }
+    return sharedQueue;
+}
+
+/**
+ * Replace the shared queue, e.g. with one backed by a persistent store
+ * @param {SimulationJobQueue} queue - Queue to use
+ */
+function setJobQueue(queue) {
+    sharedQueue = queue;
+}
+
+module.exports = {
+    createJobQueue,
+    getJobQueue,
+    setJobQueue,
+    SimulationJobQueue,
+    MemoryJobStore,
+    TERMINAL_STATUSES,
+    progressPercent
+};
@@ -0,0 +1,214 @@
+// backend/services/simulation-jobs/jobQueue.js
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const MemoryJobStore = require('./memoryJobStore');
+const monteCarloV2 = require('../monte-carlo-v2');
+const { TERMINAL_JOB_STATUSES: TERMINAL_STATUSES } = require('../../../schemas/yup/simulationJob');
+
+/**
+ * Default runners by job type: (request, { onProgress, signal }) => Promise<result>
+ */
+const DEFAULT_RUNNERS = {
+    distributions: (request, options) => monteCarloV2.createEngine(request).run({
+        ...options,
+        cache: monteCarloV2.getResultCache()
+    })
+};
+
+/**
+ * Overall completion from per-distribution chunk counts
+ * @param {Array<Object>} distributions - DistributionProgressSchema entries
+ * @returns {number} Percent complete (0-100)
+ */
+function progressPercent(distributions) {
+    const total = distributions.reduce((sum, entry) => sum + entry.total, 0);
+    const completed = distributions.reduce((sum, entry) => sum + (entry.failed ? entry.total : entry.completed), 0);
+    return total > 0 ? Math.min(100, (completed / total) * 100) : 0;
+}
+
+/**
+ * Public view of a job record (SimulationJobSchema): the request and result stay in the store
+ * @param {Object} job - Stored job record
+ * @returns {Object} Job without request and result
+ */
+function toPublicJob({ request, result, ...job }) {
+    return job;
+}
+
+/**
+ * In-process queue of asynchronous simulation jobs.
+ * Jobs run in submission order, `concurrency` at a time; every status or progress change
+ * is written to the store and emitted as a `job:<id>` event for subscribers (e.g. SSE).
+ */
+class SimulationJobQueue extends EventEmitter {
+    /**
+     * Create a new job queue
+     * @param {Object} [options] - Queue options
+     * @param {Object} [options.store] - Job store (see MemoryJobStore for the interface)
+     * @param {number} [options.concurrency=1] - Jobs run at the same time
+     * @param {Object} [options.runners] - Runners keyed by job type
+     */
+    constructor({ store = new MemoryJobStore(), concurrency = 1, runners = DEFAULT_RUNNERS } = {}) {
+        super();
+        this.setMaxListeners(0);
+        this.store = store;
+        this.concurrency = Math.max(1, concurrency);
+        this.runners = runners;
+        this.waiting = [];
+        this.controllers = new Map();
+    }
+
+    /**
+     * Queue a simulation
+     * @param {string} type - Job type (key of runners)
+     * @param {Object} request - Validated request for the runner
+     * @returns {Promise<Object>} Queued job (SimulationJobSchema)
+     */
+    async submit(type, request) {
+        if (!this.runners[type]) {
+            throw new Error(`Unknown simulation job type: ${type}`);
+        }
+
+        const job = await this.store.create({
+            id: randomUUID(),
+            type,
+            status: 'queued',
+            progress: { percent: 0, distributions: [] },
+            error: null,
+            createdAt: new Date(),
+            startedAt: null,
+            finishedAt: null,
+            request,
+            result: null
+        });
+
+        this.waiting.push(job.id);
+        setImmediate(() => this._drain());
+        return toPublicJob(job);
+    }
+
+    /**
+     * Get a job's status and progress
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Job (SimulationJobSchema) or null when unknown
+     */
+    async get(id) {
+        const job = await this.store.get(id);
+        return job ? toPublicJob(job) : null;
+    }
+
+    /**
+     * Get a job together with its result
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} { job, result } or null when unknown; result is null until completed
+     */
+    async getResult(id) {
+        const job = await this.store.get(id);
+        return job ? { job: toPublicJob(job), result: job.result } : null;
+    }
+
+    /**
+     * Cancel a job. Queued jobs are cancelled at once; running jobs stop before their next chunk.
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Job (SimulationJobSchema) or null when unknown
+     */
+    async cancel(id) {
+        const job = await this.store.get(id);
+        if (!job || TERMINAL_STATUSES.includes(job.status)) {
+            return job ? toPublicJob(job) : null;
+        }
+
+        const index = this.waiting.indexOf(id);
+        if (index !== -1) {
+            this.waiting.splice(index, 1);
+            return this._update(id, { status: 'cancelled', finishedAt: new Date() });
+        }
+
+        this.controllers.get(id)?.abort();
+        return toPublicJob(job);
+    }
+
+    /**
+     * Listen to a job's updates
+     * @param {string} id - Job ID
+     * @param {Function} listener - Called with the job (SimulationJobSchema) on every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(id, listener) {
+        this.on(`job:${id}`, listener);
+        return () => this.off(`job:${id}`, listener);
+    }
+
+    /**
+     * Start waiting jobs while below the concurrency limit
+     * @private
+     */
+    _drain() {
+        while (this.controllers.size < this.concurrency && this.waiting.length > 0) {
+            this._run(this.waiting.shift());
+        }
+    }
+
+    /**
+     * Run one job to completion
+     * @param {string} id - Job ID
+     * @private
+     */
+    async _run(id) {
+        const controller = new AbortController();
+        this.controllers.set(id, controller);
+
+        try {
+            const job = await this._update(id, { status: 'running', startedAt: new Date() });
+            const { request } = await this.store.get(id);
+
+            const onProgress = ({ distributions }) => {
+                this._update(id, { progress: { percent: progressPercent(distributions), distributions } })
+                    .catch(error => console.error(`Failed to record progress of job ${id}:`, error.message));
+            };
+
+            const result = await this.runners[job.type](request, { onProgress, signal: controller.signal });
+            const { progress } = await this.store.get(id);
+            await this._update(id, {
+                status: 'completed',
+                progress: { ...progress, percent: 100 },
+                result,
+                finishedAt: new Date()
+            });
+        } catch (error) {
+            const cancelled = controller.signal.aborted;
+            await this._update(id, {
+                status: cancelled ? 'cancelled' : 'failed',
+                error: cancelled ? null : error.message,
+                finishedAt: new Date()
+            });
+        } finally {
+            this.controllers.delete(id);
+            this._drain();
+        }
+    }
+
+    /**
+     * Update a job in the store and notify subscribers
+     * @param {string} id - Job ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated job (SimulationJobSchema)
+     * @private
+     */
+    async _update(id, changes) {
+        const job = await this.store.update(id, changes);
+        if (!job) {
+            return null;
+        }
+
+        const publicJob = toPublicJob(job);
+        this.emit(`job:${id}`, publicJob);
+        return publicJob;
+    }
+}
+
+module.exports = {
+    SimulationJobQueue,
+    TERMINAL_STATUSES,
+    progressPercent
+};
@@ -0,0 +1,76 @@
+// backend/services/simulation-jobs/memoryJobStore.js
+
+// Finished jobs (and their results) are kept this long before being dropped
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * In-process job store.
+ * Any object with the same async methods (create, get, update, remove) can replace it,
+ * e.g. a Mongo- or Redis-backed store shared between backend instances.
+ */
+class MemoryJobStore {
+    /**
+     * Create a new memory store
+     * @param {Object} [options] - Store options
+     * @param {number} [options.ttl] - Time to keep finished jobs, in milliseconds
+     */
+    constructor({ ttl = DEFAULT_TTL_MS } = {}) {
+        this.ttl = ttl;
+        this.jobs = new Map();
+        this.expiry = new Map();
+    }
+
+    /**
+     * Store a new job record
+     * @param {Object} job - Job record
+     * @returns {Promise<Object>} Stored job
+     */
+    async create(job) {
+        this.jobs.set(job.id, { ...job });
+        return this.get(job.id);
+    }
+
+    /**
+     * Get a job record
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Job record or null when unknown or expired
+     */
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Merge changes into a job record; finished jobs are scheduled for removal
+     * @param {string} id - Job ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated job or null when unknown
+     */
+    async update(id, changes) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        Object.assign(job, changes);
+        if (job.finishedAt && !this.expiry.has(id)) {
+            const timer = setTimeout(() => this.remove(id), this.ttl);
+            timer.unref();
+            this.expiry.set(id, timer);
+        }
+        return { ...job };
+    }
+
+    /**
+     * Remove a job record
+     * @param {string} id - Job ID
+     * @returns {Promise<boolean>} True when a job was removed
+     */
+    async remove(id) {
+        clearTimeout(this.expiry.get(id));
+        this.expiry.delete(id);
+        return this.jobs.delete(id);
+    }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,71 @@
+// backend/services/simulation-runs/__tests__/simulationRuns.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRunSnapshot, diffSimulationRuns } = require('..');
+
+const metric = (values) => Object.entries(values).map(([percentile, value]) => ({
+    percentile: { value: Number(percentile), description: '' },
+    data: [{ year: 0, value }]
+}));
+
+const buildScenario = ({ price = 50, irr = 8, seed = 42 } = {}) => ({
+    _id: 'scenario-1',
+    updatedAt: new Date('2026-01-01'),
+    settings: {
+        general: { projectLife: 20 },
+        simulation: { seed, primaryPercentile: 50 },
+        modules: { revenue: { electricityPrice: { type: 'fixed', parameters: { value: price } } } }
+    },
+    simulation: {
+        inputSim: {
+            distributionAnalysis: {
+                electricityPrice: {
+                    results: [{ percentile: { value: 50 }, data: [{ year: 1, value: price }, { year: 2, value: price + 2 }] }]
+                }
+            },
+            marketFactors: {},
+            failureRates: {}
+        },
+        outputSim: { IRR: metric({ 10: irr - 2, 50: irr, 90: irr + 2 }), NPV: metric({ 50: 1e6 }) }
+    }
+});
+
+test('snapshots summarize metrics at the primary percentile', () => {
+    const run = buildRunSnapshot(buildScenario(), { name: 'IC memo' });
+
+    assert.equal(run.scenarioId, 'scenario-1');
+    assert.equal(run.seed, 42);
+    assert.match(run.engineVersion, /^[0-9a-f]{16}$/);
+    assert.deepEqual(run.summary.filter(entry => entry.value !== null), [
+        { metric: 'IRR', percentile: 50, value: 8 },
+        { metric: 'NPV', percentile: 50, value: 1e6 }
+    ]);
+});
+
+test('diffs report changed settings, metrics and distributions', () => {
+    const base = { _id: 'a', ...buildRunSnapshot(buildScenario(), { name: 'IC memo' }) };
+    const compare = { _id: 'b', ...buildRunSnapshot(buildScenario({ price: 55, irr: 9 }), { name: 'Today' }) };
+    const diff = diffSimulationRuns(base, compare);
+
+    assert.equal(diff.seedChanged, false);
+    assert.deepEqual(diff.inputs.changes, [
+        { path: 'modules.revenue.electricityPrice.parameters.value', base: 50, compare: 55 }
+    ]);
+    assert.deepEqual(diff.metrics.filter(entry => entry.metric === 'IRR').map(entry => entry.delta), [1, 1, 1]);
+    assert.deepEqual(diff.metrics.find(entry => entry.metric === 'NPV'), {
+        metric: 'NPV', percentile: 50, base: 1e6, compare: 1e6, delta: 0
+    });
+    assert.deepEqual(diff.distributions, [
+        { group: 'distributionAnalysis', key: 'electricityPrice', percentile: 50, base: 51, compare: 56, delta: 5 }
+    ]);
+});
+
+test('long setting diffs are truncated', () => {
+    const base = { _id: 'a', inputs: { values: Array.from({ length: 10 }, (_, i) => i) } };
+    const compare = { _id: 'b', inputs: { values: Array.from({ length: 10 }, (_, i) => i + 1) } };
+    const { inputs } = diffSimulationRuns(base, compare, { limit: 3 });
+
+    assert.equal(inputs.changes.length, 3);
+    assert.equal(inputs.total, 10);
+    assert.equal(inputs.truncated, true);
+});
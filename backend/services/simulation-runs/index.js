@@ -0,0 +1,217 @@
+// backend/services/simulation-runs/index.js
+/**
+ * Named, immutable simulation runs: snapshots of a scenario's inputs and results that can be
+ * compared later ("what changed between the IC memo run and today")
+ */
+
+const { getCodeVersion } = require('../monte-carlo-v2');
+const { RUN_METRICS } = require('../../../schemas/yup/simulationRun');
+
+// inputSim groups holding SimulationInfoSchema results by distribution key
+const DISTRIBUTION_GROUPS = ['distributionAnalysis', 'marketFactors', 'failureRates'];
+
+// Changed settings returned by a diff before it is truncated
+const DEFAULT_CHANGE_LIMIT = 500;
+
+/**
+ * Plain copy of a mongoose document or value
+ * @param {*} value - Document, subdocument or plain value
+ * @returns {*} Plain object
+ */
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Value of a metric at a percentile from an outputSim SimResultsSchema array
+ * @param {Array<Object>} results - Results of one metric
+ * @param {number} percentile - Percentile value
+ * @returns {number|null} Metric value or null when missing
+ */
+const metricValue = (results = [], percentile) => {
+    const value = results.find(result => result.percentile?.value === percentile)?.data?.[0]?.value;
+    return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Snapshot a scenario as a new run record (SimulationRunSchema)
+ * @param {Object} scenario - Scenario document
+ * @param {Object} details - { name, description }
+ * @returns {Object} Run record ready to insert
+ */
+function buildRunSnapshot(scenario, { name, description = '' }) {
+    const inputs = toPlain(scenario.settings) || {};
+    const simulation = toPlain(scenario.simulation) || {};
+    const primaryPercentile = inputs.simulation?.primaryPercentile ?? 50;
+    const outputSim = simulation.outputSim || {};
+
+    return {
+        scenarioId: String(scenario._id),
+        name,
+        description,
+        seed: inputs.simulation?.seed ?? null,
+        engineVersion: getCodeVersion(),
+        scenarioUpdatedAt: scenario.updatedAt || null,
+        primaryPercentile,
+        summary: RUN_METRICS.map(metric => ({
+            metric,
+            percentile: primaryPercentile,
+            value: metricValue(outputSim[metric], primaryPercentile)
+        })),
+        inputs,
+        results: {
+            inputSim: simulation.inputSim || {},
+            outputSim
+        },
+        createdAt: new Date()
+    };
+}
+
+/**
+ * Flatten a value into leaf paths ('a.b[2].c' -> value)
+ * @param {*} value - Value to flatten
+ * @param {string} [path] - Path of value
+ * @param {Map<string, *>} [leaves] - Accumulator
+ * @returns {Map<string, *>} Leaf values by path
+ */
+function flattenLeaves(value, path = '', leaves = new Map()) {
+    if (value instanceof Date) {
+        leaves.set(path, value.toISOString());
+    } else if (Array.isArray(value)) {
+        if (value.length === 0) leaves.set(path, []);
+        value.forEach((item, index) => flattenLeaves(item, `${path}[${index}]`, leaves));
+    } else if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => key !== '_id' && key !== '__v');
+        if (keys.length === 0) leaves.set(path, {});
+        keys.forEach(key => flattenLeaves(value[key], path ? `${path}.${key}` : key, leaves));
+    } else {
+        leaves.set(path, value === undefined ? null : value);
+    }
+    return leaves;
+}
+
+/**
+ * Compare two values as plain numbers
+ * @param {number|null} base - Base value
+ * @param {number|null} compare - Compared value
+ * @returns {Object} { base, compare, delta }
+ */
+const valueDelta = (base, compare) => ({
+    base,
+    compare,
+    delta: typeof base === 'number' && typeof compare === 'number' ? compare - base : null
+});
+
+/**
+ * Settings that differ between two input snapshots
+ * @param {Object} base - Base inputs
+ * @param {Object} compare - Compared inputs
+ * @param {number} limit - Maximum number of changes returned
+ * @returns {Object} { changes: [{ path, base, compare }], total, truncated }
+ */
+function diffInputs(base, compare, limit) {
+    const baseLeaves = flattenLeaves(base);
+    const compareLeaves = flattenLeaves(compare);
+    const paths = [...new Set([...baseLeaves.keys(), ...compareLeaves.keys()])].sort();
+
+    const changes = paths
+        .filter(path => JSON.stringify(baseLeaves.get(path)) !== JSON.stringify(compareLeaves.get(path)))
+        .map(path => ({
+            path,
+            base: baseLeaves.has(path) ? baseLeaves.get(path) : null,
+            compare: compareLeaves.has(path) ? compareLeaves.get(path) : null
+        }));
+
+    return { changes: changes.slice(0, limit), total: changes.length, truncated: changes.length > limit };
+}
+
+/**
+ * Output metrics of two runs at every percentile either run has
+ * @param {Object} base - Base outputSim
+ * @param {Object} compare - Compared outputSim
+ * @returns {Array<Object>} [{ metric, percentile, base, compare, delta }]
+ */
+function diffMetrics(base = {}, compare = {}) {
+    return RUN_METRICS.flatMap(metric => {
+        const percentiles = [...new Set([...(base[metric] || []), ...(compare[metric] || [])]
+            .map(result => result.percentile?.value)
+            .filter(value => typeof value === 'number'))]
+            .sort((a, b) => a - b);
+
+        return percentiles.map(percentile => ({
+            metric,
+            percentile,
+            ...valueDelta(metricValue(base[metric], percentile), metricValue(compare[metric], percentile))
+        }));
+    });
+}
+
+/**
+ * Mean over years of each percentile of a SimulationInfoSchema result
+ * @param {Object} info - Simulation info
+ * @returns {Map<number, number>} Mean value by percentile
+ */
+function percentileMeans(info) {
+    const means = new Map();
+    (info?.results || []).forEach(result => {
+        const data = result.data || [];
+        if (result.percentile && data.length > 0) {
+            means.set(result.percentile.value, data.reduce((sum, point) => sum + point.value, 0) / data.length);
+        }
+    });
+    return means;
+}
+
+/**
+ * Input distribution percentiles of two runs, averaged over years
+ * @param {Object} base - Base inputSim
+ * @param {Object} compare - Compared inputSim
+ * @returns {Array<Object>} [{ group, key, percentile, base, compare, delta }]
+ */
+function diffDistributions(base = {}, compare = {}) {
+    return DISTRIBUTION_GROUPS.flatMap(group => {
+        const baseGroup = base[group] || {};
+        const compareGroup = compare[group] || {};
+        const keys = [...new Set([...Object.keys(baseGroup), ...Object.keys(compareGroup)])].sort();
+
+        return keys.flatMap(key => {
+            const baseMeans = percentileMeans(baseGroup[key]);
+            const compareMeans = percentileMeans(compareGroup[key]);
+            const percentiles = [...new Set([...baseMeans.keys(), ...compareMeans.keys()])].sort((a, b) => a - b);
+
+            return percentiles.map(percentile => ({
+                group,
+                key,
+                percentile,
+                ...valueDelta(baseMeans.get(percentile) ?? null, compareMeans.get(percentile) ?? null)
+            }));
+        });
+    });
+}
+
+/**
+ * Compare two runs (SimulationRunDiffSchema)
+ * @param {Object} base - Base run
+ * @param {Object} compare - Compared run
+ * @param {Object} [options] - { limit } on the number of changed settings returned
+ * @returns {Object} Differences in settings, output metrics and input distributions
+ */
+function diffSimulationRuns(base, compare, { limit = DEFAULT_CHANGE_LIMIT } = {}) {
+    const summary = ({ _id, name, createdAt }) => ({ _id: String(_id), name, createdAt });
+    const baseResults = base.results || {};
+    const compareResults = compare.results || {};
+
+    return {
+        base: summary(base),
+        compare: summary(compare),
+        seedChanged: base.seed !== compare.seed,
+        engineVersionChanged: base.engineVersion !== compare.engineVersion,
+        inputs: diffInputs(base.inputs || {}, compare.inputs || {}, limit),
+        metrics: diffMetrics(baseResults.outputSim, compareResults.outputSim),
+        distributions: diffDistributions(baseResults.inputSim, compareResults.inputSim)
+    };
+}
+
+module.exports = {
+    buildRunSnapshot,
+    diffSimulationRuns,
+    flattenLeaves
+};
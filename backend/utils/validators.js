@@ -177,14 +177,6 @@ const validateCostSettings = (costSettings) => {
     errors.push('Fixed O&M fee cannot be negative');
   }
   
-  if (costSettings.failureEventProbability < 0 || costSettings.failureEventProbability > 100) {
-    errors.push('Failure event probability must be between 0 and 100');
-  }
-  
-  if (costSettings.failureEventCost < 0) {
-    errors.push('Failure event cost cannot be negative');
-  }
-  
   // Validate adjustments if present
   if (costSettings.adjustments && Array.isArray(costSettings.adjustments)) {
     costSettings.adjustments.forEach((adjustment, index) => {
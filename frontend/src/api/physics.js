@@ -0,0 +1,11 @@
+// src/api/physics.js
+import api from './index';
+
+/**
+ * Calculate environmental failure rate acceleration factors per component for a site
+ * @param {Object} parameters - Request matching StressFactorsRequestSchema ({ siteConditions, components })
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing StressFactorsResultSchema
+ */
+export const calculateStressFactors = (parameters) => {
+  return api.post('/physics/stress-factors', parameters);
+};
@@ -51,4 +51,54 @@ export const updateScenario = async (id, data) => {
  */
 export const deleteScenario = async (id) => {
   return await api.delete(`/scenarios/${id}`);
-};
\ No newline at end of file
+};
+
+/**
+ * List a scenario's simulation runs, newest first, without their snapshots
+ * @param {string} scenarioId - Scenario ID
+ * @returns {Promise<Object>} Response with ListResponseSchema containing SimulationRunSchema items (no inputs/results)
+ */
+export const listSimulationRuns = async (scenarioId) => {
+  return await api.get(`/scenarios/${scenarioId}/runs`);
+};
+
+/**
+ * Record an immutable run of the saved scenario's inputs and results
+ * @param {string} scenarioId - Scenario ID
+ * @param {Object} data - { name, description } matching CreateSimulationRunSchema
+ * @returns {Promise<Object>} Response with CrudResponseSchema containing the created run metadata
+ */
+export const createSimulationRun = async (scenarioId, data) => {
+  return await api.post(`/scenarios/${scenarioId}/runs`, data);
+};
+
+/**
+ * Fetch a simulation run with its full inputs and results snapshot
+ * @param {string} scenarioId - Scenario ID
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing SimulationRunSchema
+ */
+export const getSimulationRun = async (scenarioId, runId) => {
+  return await api.get(`/scenarios/${scenarioId}/runs/${runId}`);
+};
+
+/**
+ * Compare two simulation runs of a scenario
+ * @param {string} scenarioId - Scenario ID
+ * @param {string} baseId - Base run ID
+ * @param {string} compareId - Compared run ID
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing SimulationRunDiffSchema
+ */
+export const compareSimulationRuns = async (scenarioId, baseId, compareId) => {
+  return await api.get(`/scenarios/${scenarioId}/runs/compare?base=${baseId}&compare=${compareId}`);
+};
+
+/**
+ * Fit and store the scenario's failure models, optionally with imported fleet histories
+ * @param {string} scenarioId - Scenario ID
+ * @param {Object} options - Options matching GenerateFailureModelsRequestSchema (method, historicalData, ...)
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing { count, models, diagnostics, projections }
+ */
+export const generateFailureModels = async (scenarioId, options = {}) => {
+  return await api.post(`/scenarios/${scenarioId}/failure-models/generate`, options);
+};
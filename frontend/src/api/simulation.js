@@ -1,5 +1,6 @@
 // src/api/simulation.js - Updated with current API routes from API guide
 import api from './index';
+import { TERMINAL_JOB_STATUSES } from 'schemas/yup/simulationJob';
 
 /**
  * Run a simulation of distributions using the Monte Carlo engine
@@ -10,6 +11,122 @@ export const simulateDistributions = (parameters) => {
   return api.post('/simulation/simulate', parameters);
 };
 
+/**
+ * Queue a distribution simulation as an asynchronous job
+ * @param {Object} parameters - Simulation parameters matching SimRequestSchema
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing the queued SimulationJobSchema
+ */
+export const submitSimulationJob = (parameters) => {
+  return api.post('/simulation/jobs', parameters);
+};
+
+/**
+ * Get the status and per-distribution progress of a simulation job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing SimulationJobSchema
+ */
+export const getSimulationJob = (jobId) => {
+  return api.get(`/simulation/jobs/${jobId}`);
+};
+
+/**
+ * Cancel a queued or running simulation job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing SimulationJobSchema
+ */
+export const cancelSimulationJob = (jobId) => {
+  return api.post(`/simulation/jobs/${jobId}/cancel`);
+};
+
+/**
+ * Get the result of a completed simulation job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Response with SimulationResponseSchema, as returned by simulateDistributions
+ */
+export const getSimulationJobResult = (jobId) => {
+  return api.get(`/simulation/jobs/${jobId}/result`);
+};
+
+/**
+ * Follow a simulation job until it finishes. Updates are streamed with Server-Sent Events,
+ * falling back to polling when the stream is unavailable or drops.
+ * @param {string} jobId - Job ID
+ * @param {Function} onUpdate - Called with SimulationJobSchema on every update
+ * @param {Object} [options] - Options
+ * @param {number} [options.pollInterval=1000] - Polling interval in milliseconds
+ * @returns {Object} { done: Promise resolving with the finished job (null when closed early), close }
+ */
+export const followSimulationJob = (jobId, onUpdate, { pollInterval = 1000 } = {}) => {
+  let source = null;
+  let timer = null;
+  let stopped = false;
+  let resolveDone;
+  const done = new Promise(resolve => { resolveDone = resolve; });
+
+  const stop = (job) => {
+    if (stopped) return;
+    stopped = true;
+    source?.close();
+    clearTimeout(timer);
+    resolveDone(job);
+  };
+
+  const handleUpdate = (job) => {
+    if (stopped) return;
+    onUpdate?.(job);
+    if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+      stop(job);
+    }
+  };
+
+  const poll = async () => {
+    const response = await getSimulationJob(jobId);
+    if (stopped) return;
+    if (!response?.success) {
+      stop({ id: jobId, status: 'failed', error: response?.error || 'Simulation job could not be found' });
+      return;
+    }
+    handleUpdate(response.data);
+    if (!stopped) {
+      timer = setTimeout(poll, pollInterval);
+    }
+  };
+
+  if (typeof EventSource === 'undefined') {
+    poll();
+  } else {
+    source = new EventSource(`${api.defaults.baseURL}/simulation/jobs/${jobId}/events`, { withCredentials: true });
+    const handleEvent = (event) => handleUpdate(JSON.parse(event.data));
+    ['progress', ...TERMINAL_JOB_STATUSES].forEach(name => source.addEventListener(name, handleEvent));
+    source.onerror = () => {
+      if (stopped) return;
+      source.close();
+      source = null;
+      poll();
+    };
+  }
+
+  return { done, close: () => stop(null) };
+};
+
+/**
+ * Run a joint Monte Carlo simulation of the full project cashflow
+ * @param {Object} parameters - Parameters matching CashflowSimRequestSchema (settings, simulationSettings)
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing CashflowSimResultsSchema
+ */
+export const simulateCashflow = (parameters) => {
+  return api.post('/simulation/cashflow', parameters, { timeout: 300000 });
+};
+
+/**
+ * Run a discrete failure-event simulation per turbine and component
+ * @param {Object} parameters - Parameters matching FailureEventSimRequestSchema (settings, simulationSettings)
+ * @returns {Promise<Object>} Response with SuccessResponseSchema containing FailureEventSimResultsSchema
+ */
+export const simulateFailureEvents = (parameters) => {
+  return api.post('/simulation/failure-events', parameters, { timeout: 300000 });
+};
+
 /**
  * Get metadata for all registered distributions
  * @returns {Promise<Object>} Response with SuccessResponseSchema containing array of distribution metadata
@@ -0,0 +1,161 @@
+// frontend/src/components/cards/CashflowTableCard.jsx - Year-by-year cash waterfall
+import React, { useMemo } from 'react';
+import { Card, Empty, Alert, Space, Typography, Tag, Table, Tooltip } from 'antd';
+import { TableOutlined, LockOutlined } from '@ant-design/icons';
+import { useCube } from '../../contexts/CubeContext';
+import { useScenario } from '../../contexts/ScenarioContext';
+import { useCubeSources } from '../../hooks/useCubeSources';
+import {
+    WATERFALL_SOURCE_IDS,
+    prepareWaterfallTable,
+    prepareLockUpProbabilities,
+    formatLockUpProbability
+} from './configs';
+
+const { Text } = Typography;
+
+const formatAmount = (value) => `${value < 0 ? '-' : ''}$${(Math.abs(value) / 1000000).toFixed(1)}M`;
+
+const CashflowTableCard = () => {
+    const { getPercentileData } = useCube();
+    const { getData, cubeStatus, isLoading, hasError, isReady } = useCubeSources();
+    const { getValueByPath } = useScenario();
+
+    const percentileInfo = getPercentileData();
+    const percentile = percentileInfo.selected || percentileInfo.primary;
+    const projectLife = getValueByPath(['settings', 'general', 'projectLife'], 20);
+    const waterfall = getValueByPath(['settings', 'modules', 'financing', 'waterfall'], {});
+    const lockUp = { enabled: false, ratio: 1.1, ...(waterfall?.lockUp || {}) };
+    const sweep = { enabled: false, threshold: 0, share: 50, ...(waterfall?.sweep || {}) };
+
+    // Waterfall of the selected percentile and the lock-up probability across all percentiles
+    const tableData = useMemo(() => {
+        if (!isReady) return null;
+
+        try {
+            const table = prepareWaterfallTable(
+                getData({ sourceIds: WATERFALL_SOURCE_IDS, percentile }),
+                projectLife,
+                { enabled: lockUp.enabled, ratio: lockUp.ratio }
+            );
+            if (lockUp.enabled) {
+                table.rows.push({
+                    key: 'lockUpProbability',
+                    label: 'Probability of lock-up',
+                    format: 'probability',
+                    ...Object.fromEntries(Object.entries(
+                        prepareLockUpProbabilities(getData({ sourceId: 'lockUpDSCR' }), projectLife, lockUp.ratio)
+                    ).map(([year, result]) => [`Y${year}`, result]))
+                });
+            }
+            return table;
+        } catch (error) {
+            console.error('❌ CashflowTableCard: Waterfall table preparation failed:', error);
+            return null;
+        }
+    }, [isReady, getData, percentile, projectLife, lockUp.enabled, lockUp.ratio]);
+
+    if (hasError) {
+        return (
+            <Card title="Cash Waterfall" variant="outlined">
+                <Alert
+                    type="error"
+                    message="Cube Data Error"
+                    description={`Failed to load waterfall data: ${cubeStatus.error}`}
+                    showIcon
+                />
+            </Card>
+        );
+    }
+
+    if (isLoading) {
+        return (
+            <Card title="Cash Waterfall" variant="outlined" loading>
+                <div style={{ height: 200 }} />
+            </Card>
+        );
+    }
+
+    if (!tableData) {
+        return (
+            <Card title="Cash Waterfall" variant="outlined">
+                <Empty description="No waterfall data available from cube data" />
+            </Card>
+        );
+    }
+
+    const renderCell = (year) => (value, row) => {
+        if (row.format === 'probability') return formatLockUpProbability(value);
+        if (value === null || value === undefined) return '-';
+        if (row.format === 'ratio') {
+            const locked = tableData.lockedYears.includes(year);
+            return <Text type={locked ? 'danger' : undefined}>{value.toFixed(2)}x</Text>;
+        }
+        return (
+            <Text strong={row.subtotal} type={row.memo ? 'secondary' : undefined}>
+                {formatAmount(value)}
+            </Text>
+        );
+    };
+
+    const columns = [
+        {
+            title: 'Waterfall',
+            dataIndex: 'label',
+            key: 'label',
+            fixed: 'left',
+            width: 240,
+            render: (label, row) => <Text strong={row.subtotal} type={row.memo ? 'secondary' : undefined}>{label}</Text>
+        },
+        ...tableData.years.map(year => ({
+            title: tableData.lockedYears.includes(year)
+                ? <Tooltip title="Distributions locked up"><LockOutlined style={{ color: '#ff4d4f' }} /> Y{year}</Tooltip>
+                : `Y${year}`,
+            dataIndex: `Y${year}`,
+            key: `Y${year}`,
+            align: 'right',
+            width: 90,
+            render: renderCell(year)
+        }))
+    ];
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <TableOutlined />
+                    <span>Cash Waterfall</span>
+                    {tableData.lockedYears.length > 0 && (
+                        <Tag color="red">{tableData.lockedYears.length} locked-up years</Tag>
+                    )}
+                </Space>
+            }
+            variant="outlined"
+            extra={<Tag>P{percentile}</Tag>}
+        >
+            <Space wrap style={{ marginBottom: 12 }}>
+                <Tag color={lockUp.enabled ? 'blue' : 'default'}>
+                    {lockUp.enabled ? `Lock-up below ${Number(lockUp.ratio).toFixed(2)}x historic DSCR` : 'Lock-up off'}
+                </Tag>
+                <Tag color={sweep.enabled ? 'blue' : 'default'}>
+                    {sweep.enabled ? `Sweep ${sweep.share}% above ${formatAmount(sweep.threshold)}` : 'Cash sweep off'}
+                </Tag>
+            </Space>
+
+            <Table
+                columns={columns}
+                dataSource={tableData.rows}
+                pagination={false}
+                size="small"
+                scroll={{ x: 'max-content' }}
+            />
+
+            <div style={{ marginTop: 12, fontSize: '12px', color: '#999' }}>
+                Opex → senior debt service → reserve top-ups → lock-up test → cash sweep → distributions.
+                {lockUp.enabled && ' Lock-up probability is interpolated between the simulated percentiles of the historic DSCR.'}
+            </div>
+        </Card>
+    );
+};
+
+export default CashflowTableCard;
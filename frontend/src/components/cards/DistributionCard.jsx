@@ -1,10 +1,11 @@
 // src/components/cards/DistributionCard.jsx
 
 import React, { useState } from 'react';
-import { Card, Space, Typography, Empty, Tooltip, Badge, Alert, Button } from 'antd';
-import { InfoCircleOutlined, TableOutlined, SwapOutlined, ArrowUpOutlined, ArrowDownOutlined } from '@ant-design/icons';
+import { Card, Space, Typography, Empty, Tooltip, Badge, Alert, Button, Row, Col, Tag } from 'antd';
+import { InfoCircleOutlined, TableOutlined, SwapOutlined, ArrowUpOutlined, ArrowDownOutlined, FundOutlined } from '@ant-design/icons';
 import PercentileChart from '../charts/PercentileChart';
 import StatisticsChart from '../charts/StatisticsChart';
+import ConvergenceChart from '../charts/ConvergenceChart';
 import { generateDistributionMetadata } from '../../utils/chartUtils';
 
 const { Text } = Typography;
@@ -44,6 +45,7 @@ const DistributionCard = ({
     // State for toggling chart mode and table visibility
     const [dataTableVisible, setDataTableVisible] = useState(false);
     const [chartMode, setChartMode] = useState('percentiles');
+    const [convergenceVisible, setConvergenceVisible] = useState(false);
 
     /**
      * Get percentile direction icon and tooltip based on distribution metadata
@@ -66,6 +68,30 @@ const DistributionCard = ({
         }
     };
 
+    /**
+     * Relative standard error of each tracked percentile from simulationInfo.convergence,
+     * as total standard error over total absolute value across years
+     * @param {Object} convergence - ConvergenceSchema object
+     * @param {Array} results - SimResultsSchema array
+     * @returns {Array} Entries of { value, relativeError } sorted by percentile
+     */
+    const getRelativeStandardErrors = (convergence, results = []) => {
+        if (!convergence?.percentiles?.length) return [];
+
+        return convergence.percentiles
+            .map(({ percentile, standardError }) => {
+                const result = results.find(r => r.percentile?.value === percentile.value);
+                const totalValue = (result?.data || []).reduce((sum, point) => sum + Math.abs(point.value), 0);
+                const totalError = standardError.reduce((sum, point) => sum + point.value, 0);
+                return {
+                    value: percentile.value,
+                    relativeError: totalValue > 0 ? totalError / totalValue : null
+                };
+            })
+            .filter(entry => entry.relativeError !== null)
+            .sort((a, b) => a.value - b.value);
+    };
+
     // Handle null simulationInfo
     if (!simulationInfo) {
         return (
@@ -76,9 +102,10 @@ const DistributionCard = ({
     }
 
     // Extract metadata and check for errors
-    const { distribution = {}, iterations = 0, timeElapsed = 0, errors = [] } = simulationInfo;
+    const { distribution = {}, iterations = 0, timeElapsed = 0, errors = [], cached = false, cacheKey = null } = simulationInfo;
     const hasErrors = errors.length > 0;
     const hasResults = simulationInfo.results?.length > 0;
+    const hasTrace = simulationInfo.convergence?.trace?.some(series => series.data.length > 0);
 
     // Generate distribution metadata
     const distMetadata = generateDistributionMetadata(distribution);
@@ -89,6 +116,20 @@ const DistributionCard = ({
     // Get percentile direction indicator
     const { icon: directionIcon, tooltip: directionTooltip } = getPercentileDirectionIndicator(distribution);
 
+    // Percentile standard errors (convergence) for the primary percentile
+    const relativeErrors = getRelativeStandardErrors(simulationInfo.convergence, simulationInfo.results);
+    const primaryError = relativeErrors.find(entry => entry.value === primaryPercentile) || relativeErrors[0];
+    const convergenceTooltip = primaryError && (
+        <div>
+            <div>Standard error of each percentile ({simulationInfo.convergence.samplingMethod} sampling, {simulationInfo.convergence.method === 'batch'
+                ? `${simulationInfo.convergence.batches} independent batches`
+                : 'asymptotic estimate'}):</div>
+            {relativeErrors.map(entry => (
+                <div key={entry.value}>P{entry.value}: ±{(entry.relativeError * 100).toFixed(2)}%</div>
+            ))}
+        </div>
+    );
+
     // Compute card title
     const cardTitle = title || distMetadata.name || 'Distribution Analysis';
 
@@ -122,6 +163,22 @@ const DistributionCard = ({
                     </Space>
                 </Tooltip>
             )}
+            {showMetadata && hasResults && (
+                <Tooltip title={cached
+                    ? 'Served from the results cache: distribution and simulation settings unchanged since the last run'
+                    : cacheKey ? 'Sampled in the last run' : 'Sampled in the last run (correlated distributions are not cached)'}>
+                    <Tag color={cached ? 'blue' : 'green'} style={{ marginInlineEnd: 0 }}>
+                        {cached ? 'cached' : 'fresh'}
+                    </Tag>
+                </Tooltip>
+            )}
+            {showMetadata && primaryError && (
+                <Tooltip title={convergenceTooltip}>
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                        P{primaryError.value} ±{(primaryError.relativeError * 100).toFixed(2)}%
+                    </Text>
+                </Tooltip>
+            )}
             <Tooltip title={paramString ? `Parameters: ${paramString} ` : 'No parameters'}>
                 <Text type="secondary" style={{ fontSize: '12px', color: '#999' }}>
                     {distMetadata.name}
@@ -137,6 +194,16 @@ const DistributionCard = ({
                     />
                 </Tooltip>
             )}
+            {hasResults && hasTrace && (
+                <Tooltip title={convergenceVisible ? 'Hide convergence trace' : 'Show convergence trace'}>
+                    <Button
+                        type="text"
+                        icon={<FundOutlined style={{ color: convergenceVisible ? color : 'inherit', fontSize: '16px' }} />}
+                        onClick={() => setConvergenceVisible(!convergenceVisible)}
+                        size="small"
+                    />
+                </Tooltip>
+            )}
             {hasResults && (
                 <Tooltip title={`Switch to ${chartMode === 'percentiles' ? 'Statistics' : 'Percentiles'} mode`}>
                     <Button
@@ -165,33 +232,49 @@ const DistributionCard = ({
                     showIcon
                 />
             ) : (
-                chartMode === 'percentiles' ? (
-                    <PercentileChart
-                        simulationInfo={simulationInfo}
-                        primaryPercentile={primaryPercentile}
-                        color={color}
-                        units={units}
-                        precision={precision}
-                        height={height}
-                        extraLayoutOptions={extraLayoutOptions}
-                        dataTableVisible={dataTableVisible}
-                        toggleTableVisibility={() => setDataTableVisible(!dataTableVisible)}
-                        decimalStorage={decimalStorage}
-                    />
-                ) : (
-                    <StatisticsChart
-                        simulationInfo={simulationInfo}
-                        primaryPercentile={primaryPercentile}
-                        color={color}
-                        units={units}
-                        precision={precision}
-                        height={height}
-                        extraLayoutOptions={extraLayoutOptions}
-                        dataTableVisible={dataTableVisible}
-                        toggleTableVisibility={() => setDataTableVisible(!dataTableVisible)}
-                        decimalStorage={decimalStorage}
-                    />
-                )
+                <Row gutter={16}>
+                    <Col span={convergenceVisible && hasTrace ? 16 : 24}>
+                        {chartMode === 'percentiles' ? (
+                            <PercentileChart
+                                simulationInfo={simulationInfo}
+                                primaryPercentile={primaryPercentile}
+                                color={color}
+                                units={units}
+                                precision={precision}
+                                height={height}
+                                extraLayoutOptions={extraLayoutOptions}
+                                dataTableVisible={dataTableVisible}
+                                toggleTableVisibility={() => setDataTableVisible(!dataTableVisible)}
+                                decimalStorage={decimalStorage}
+                            />
+                        ) : (
+                            <StatisticsChart
+                                simulationInfo={simulationInfo}
+                                primaryPercentile={primaryPercentile}
+                                color={color}
+                                units={units}
+                                precision={precision}
+                                height={height}
+                                extraLayoutOptions={extraLayoutOptions}
+                                dataTableVisible={dataTableVisible}
+                                toggleTableVisibility={() => setDataTableVisible(!dataTableVisible)}
+                                decimalStorage={decimalStorage}
+                            />
+                        )}
+                    </Col>
+                    {convergenceVisible && hasTrace && (
+                        <Col span={8}>
+                            <ConvergenceChart
+                                simulationInfo={simulationInfo}
+                                primaryPercentile={primaryPercentile}
+                                color={color}
+                                precision={precision}
+                                height={height}
+                                decimalStorage={decimalStorage}
+                            />
+                        </Col>
+                    )}
+                </Row>
             )}
         </Card>
     );
@@ -0,0 +1,222 @@
+// frontend/src/components/cards/FailureEventSimulationCard.jsx - Discrete failure-event simulation results
+import React, { useMemo } from 'react';
+import { Card, Table, Button, Space, Typography, Tag, Empty, Tooltip, Statistic, Row, Col } from 'antd';
+import { ThunderboltOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { useScenario } from '../../contexts/ScenarioContext';
+import useFailureEventSim from '../../hooks/useFailureEventSim';
+import { formatNumber, formatCompactNumber } from '../../utils/formatUtils';
+
+const { Text } = Typography;
+
+/**
+ * Project-life total of a metric at a percentile
+ * @param {Object} metric - FailureEventMetricSchema object
+ * @param {number} percentile - Percentile value
+ * @returns {number|null} Lifetime total, null when not simulated
+ */
+const lifetimeValue = (metric, percentile) => {
+    const result = (metric?.lifetime || []).find(entry => entry.percentile.value === percentile);
+    return result?.data?.[0]?.value ?? null;
+};
+
+/**
+ * Expected project-life total of a metric
+ * @param {Object} metric - FailureEventMetricSchema object
+ * @returns {number} Sum of the yearly means
+ */
+const lifetimeMean = (metric) => (metric?.mean || []).reduce((sum, point) => sum + point.value, 0);
+
+const FailureEventSimulationCard = () => {
+    const { getValueByPath } = useScenario();
+    const { loading, runFailureEventSimulation } = useFailureEventSim();
+
+    const failureEvents = getValueByPath(['simulation', 'inputSim', 'failureEvents'], null);
+    const components = getValueByPath(['settings', 'project', 'equipment', 'failureRates', 'components'], {});
+    const primaryPercentile = getValueByPath(['settings', 'simulation', 'primaryPercentile'], 50);
+    const currency = getValueByPath(['settings', 'project', 'currency', 'local'], 'USD');
+    const simulationInfo = failureEvents?.simulationInfo;
+
+    // Highest simulated percentile shown as the stress case next to the primary one
+    const upperPercentile = useMemo(() => {
+        const values = (failureEvents?.total?.cost?.lifetime || []).map(entry => entry.percentile.value);
+        return values.length > 0 ? Math.max(...values) : null;
+    }, [failureEvents]);
+
+    const dataSource = useMemo(() => {
+        if (!failureEvents) return [];
+
+        const row = (key, name, series, repair) => ({
+            key,
+            name,
+            repair,
+            meanFailures: lifetimeMean(series.failures),
+            downtime: lifetimeValue(series.downtimeDays, primaryPercentile),
+            downtimeUpper: lifetimeValue(series.downtimeDays, upperPercentile),
+            cost: lifetimeValue(series.cost, primaryPercentile),
+            costUpper: lifetimeValue(series.cost, upperPercentile),
+            campaignCost: series.campaignCost ? lifetimeMean(series.campaignCost) : null,
+            stockouts: series.stockouts ? lifetimeMean(series.stockouts) : null,
+            sparesCost: series.sparesCost ? lifetimeMean(series.sparesCost) : null,
+            waitPerEvent: series.waitingDays && lifetimeMean(series.failures) > 0
+                ? lifetimeMean(series.waitingDays) / lifetimeMean(series.failures) : null,
+            costPerEvent: lifetimeMean(series.failures) > 0 ? lifetimeMean(series.cost) / lifetimeMean(series.failures) : null,
+            defectOccurrence: key === 'total' ? null : simulationInfo?.defectOccurrence?.[key] ?? null
+        });
+
+        return [
+            ...Object.entries(failureEvents.components || {}).map(([id, series]) =>
+                row(id, components?.[id]?.name || id, series, simulationInfo?.repairs?.[id])),
+            row('total', 'Fleet total', failureEvents.total, null)
+        ];
+    }, [failureEvents, components, simulationInfo, primaryPercentile, upperPercentile]);
+
+    const formatDays = (value) => (value === null ? '-' : `${formatNumber(value, 0)} d`);
+    const formatCost = (value) => (value === null ? '-' : `${formatCompactNumber(value, 2)} ${currency}`);
+
+    const columns = [
+        {
+            title: 'Component',
+            dataIndex: 'name',
+            key: 'name',
+            render: (name, record) => (record.key === 'total' ? <Text strong>{name}</Text> : name)
+        },
+        {
+            title: 'Repair',
+            dataIndex: 'repair',
+            key: 'repair',
+            render: (repair) => repair
+                ? <Tooltip title={repair.repairPackageName || 'Component cost fields'}>{`${formatNumber(repair.craneLeadTimeDays, 0)} + ${formatNumber(repair.repairDays, 0)} d`}</Tooltip>
+                : null
+        },
+        { title: 'Expected Failures', dataIndex: 'meanFailures', key: 'meanFailures', align: 'right', render: (value) => formatNumber(value, 1) },
+        { title: `Downtime P${primaryPercentile}`, dataIndex: 'downtime', key: 'downtime', align: 'right', render: formatDays },
+        { title: `Downtime P${upperPercentile}`, dataIndex: 'downtimeUpper', key: 'downtimeUpper', align: 'right', render: formatDays },
+        { title: `Cost P${primaryPercentile}`, dataIndex: 'cost', key: 'cost', align: 'right', render: formatCost },
+        { title: `Cost P${upperPercentile}`, dataIndex: 'costUpper', key: 'costUpper', align: 'right', render: formatCost }
+    ];
+
+    // Serial defect columns only when a component carries campaign risk
+    const hasSerialDefects = Object.keys(simulationInfo?.serialDefects || {}).length > 0;
+    if (hasSerialDefects) {
+        columns.push(
+            {
+                title: <Tooltip title="Share of iterations in which the serial defect surfaced">Defect Occurred</Tooltip>,
+                dataIndex: 'defectOccurrence',
+                key: 'defectOccurrence',
+                align: 'right',
+                render: (value) => (value === null ? '-' : `${formatNumber(value * 100, 1)}%`)
+            },
+            {
+                title: <Tooltip title="Expected owner's cost of serial defect campaigns, net of OEM warranty">Campaign Cost (mean)</Tooltip>,
+                dataIndex: 'campaignCost',
+                key: 'campaignCost',
+                align: 'right',
+                render: formatCost
+            }
+        );
+    }
+
+    // Spares columns only when a component keeps a spares inventory
+    const hasSpares = Object.keys(simulationInfo?.spares || {}).length > 0;
+    if (hasSpares) {
+        columns.push(
+            {
+                title: <Tooltip title="Expected failures over the project life that found no spare on hand and waited for a delivery">Stock-outs (mean)</Tooltip>,
+                dataIndex: 'stockouts',
+                key: 'stockouts',
+                align: 'right',
+                render: (value) => (value === null ? '-' : formatNumber(value, 1))
+            },
+            {
+                title: <Tooltip title="Expected initial purchase and holding cost of the spares stock">Spares Cost (mean)</Tooltip>,
+                dataIndex: 'sparesCost',
+                key: 'sparesCost',
+                align: 'right',
+                render: formatCost
+            }
+        );
+    }
+
+    // Logistics columns when repairs waited for cranes and weather (results saved before waiting days lack them)
+    const logistics = simulationInfo?.logistics;
+    if (logistics) {
+        columns.push(
+            {
+                title: <Tooltip title="Expected days a failed turbine waits for its crane, weather window and spare before the repair, per failure">Wait/Event (mean)</Tooltip>,
+                dataIndex: 'waitPerEvent',
+                key: 'waitPerEvent',
+                align: 'right',
+                render: (value) => (value === null ? '-' : `${formatNumber(value, 1)} d`)
+            },
+            {
+                title: <Tooltip title="Expected repair cost per failure, including crane standby while waiting for weather net of shared mobilisations">Cost/Event (mean)</Tooltip>,
+                dataIndex: 'costPerEvent',
+                key: 'costPerEvent',
+                align: 'right',
+                render: formatCost
+            }
+        );
+    }
+
+    const hasResults = Boolean(simulationInfo) && dataSource.length > 1;
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <ThunderboltOutlined />
+                    <span>Failure Event Simulation</span>
+                    <Tooltip title="Each iteration follows every installed unit on every turbine: failures are drawn from the component's failure rate distribution, each failure takes the turbine down for the crane lead time plus the repair duration of its repair package, and the replacement restarts at age zero.">
+                        <InfoCircleOutlined style={{ color: '#999' }} />
+                    </Tooltip>
+                </Space>
+            }
+            extra={
+                <Button type="primary" onClick={runFailureEventSimulation} loading={loading}>
+                    {hasResults ? 'Re-run Events' : 'Simulate Events'}
+                </Button>
+            }
+        >
+            {hasResults ? (
+                <Space direction="vertical" style={{ width: '100%' }}>
+                    <Space wrap>
+                        <Tag>{simulationInfo.iterations} iterations</Tag>
+                        <Tag>{simulationInfo.numWTGs} turbines</Tag>
+                        <Tag>{simulationInfo.years} years</Tag>
+                        <Tag>{(simulationInfo.timeElapsed / 1000).toFixed(1)}s</Tag>
+                        {logistics && <Tag color="blue">Repair logistics</Tag>}
+                        {logistics?.weather && <Tag color="blue">Weather windows</Tag>}
+                        {logistics?.batching?.enabled && <Tag color="blue">Batched mobilisations</Tag>}
+                    </Space>
+                    <Row gutter={16}>
+                        <Col span={8}>
+                            <Statistic title="Expected Failures per Year" value={lifetimeMean(failureEvents.total.failures) / simulationInfo.years} precision={2} />
+                        </Col>
+                        <Col span={8}>
+                            <Statistic
+                                title={`Lifetime Downtime (P${primaryPercentile})`}
+                                value={lifetimeValue(failureEvents.total.downtimeDays, primaryPercentile) ?? 0}
+                                precision={0}
+                                suffix="turbine-days"
+                            />
+                        </Col>
+                        <Col span={8}>
+                            <Statistic
+                                title={`Lifetime Repair Cost (P${primaryPercentile})`}
+                                value={formatCost(lifetimeValue(failureEvents.total.cost, primaryPercentile))}
+                            />
+                        </Col>
+                    </Row>
+                    <Table columns={columns} dataSource={dataSource} pagination={false} size="small" />
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                        Repair shows crane lead time + repair days per event. Fleet downtime counts overlapping outages of one turbine once{hasSerialDefects ? ' and includes serial defect campaign outages' : ''}{hasSpares ? '. A failure without a spare on hand stays down until the next delivery arrives, when that outlasts the crane lead time' : ''}{logistics ? '. With repair logistics, crane repairs wait for a crane mobilisation (or join one already on site) and for workable weather instead of the crane lead time' : ''}.
+                    </Text>
+                </Space>
+            ) : (
+                <Empty description="Simulate failure events to see failures, downtime and repair cost distributions" />
+            )}
+        </Card>
+    );
+};
+
+export default FailureEventSimulationCard;
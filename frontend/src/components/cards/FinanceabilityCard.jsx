@@ -1,6 +1,6 @@
 // frontend/src/components/cards/FinanceabilityCard.jsx - Simplified to only refresh when cube refreshes
 import React, { useMemo, useState } from 'react';
-import { Card, Empty, Alert, Space, Typography, Tag, Button } from 'antd';
+import { Card, Empty, Alert, Space, Typography, Tag, Button, Table } from 'antd';
 import {
     DollarOutlined,
     InfoCircleOutlined,
@@ -19,7 +19,8 @@ import {
     createFinanceabilityChartConfig, // NEW: Import chart config function
     prepareFinanceabilityChartData,  // NEW: Import chart data function
     calculateCovenantAnalysis,
-    getBankabilityRiskLevel
+    getBankabilityRiskLevel,
+    prepareDebtSizingSummary
 } from './configs/FinanceabilityConfig';
 import { theme } from 'antd';
 //import { set } from 'lodash';
@@ -27,20 +28,25 @@ import { theme } from 'antd';
 const { Text, Title } = Typography;
 const { useToken } = theme;
 
+// Coverage ratio sources of the chart
+const CHART_SOURCE_IDS = ['dscr', 'llcr', 'icr'];
+
 const FinanceabilityCard = () => {
     const [auditTrailVisible, setAuditTrailVisible] = useState(false);
     //const [selectedChartPercentile, setSelectedChartPercentile] = useState(null);
     const { token } = useToken();
-    const { getPercentileData, setSelectedPercentile } = useCube();
+    const { getPercentileData, setSelectedPercentile, metricsData } = useCube();
 
     // Use cube metrics hook
     const { getMetric, prepareMetricsTable, cubeStatus, isLoading, hasError, isReady } = useCubeMetrics();
     const { getValueByPath } = useScenario();
     const { getData: getSourceData } = useCubeSources();
 
-    // Constants
-    const chartSourceIds = ['dscr', 'llcr', 'icr'];
-    const cardMetricIds = ['projectIRR', 'equityIRR', 'projectNPV', 'dscrMetrics', 'paybackPeriod'];
+    // After-tax returns only differ from the pre-tax ones when the tax model is enabled
+    const taxEnabled = getValueByPath(['settings', 'modules', 'financing', 'tax', 'enabled'], false);
+    const cardMetricIds = useMemo(() => (taxEnabled
+        ? ['projectIRR', 'equityIRR', 'afterTaxProjectIRR', 'afterTaxEquityIRR', 'projectNPV', 'debtCapacity', 'dscrMetrics', 'paybackPeriod']
+        : ['projectIRR', 'equityIRR', 'projectNPV', 'debtCapacity', 'dscrMetrics', 'paybackPeriod']), [taxEnabled]);
 
     // Static configuration - separate useMemo
     const staticConfig = useMemo(() => ({
@@ -151,16 +157,54 @@ const FinanceabilityCard = () => {
             percentileInfo
         };
     }, [
-        cubeStatus.lastRefresh, // ONLY dependency - everything else is derived when cube refreshes
         isReady,
-        getValueByPath,
-        getPercentileData,
-        prepareMetricsTable,
+        prepareMetricsTable, // Cube getters change with every cube refresh
         getMetric,
         staticConfig,      // Now depends on separate useMemo
         percentileInfo,
+        cardMetricIds,
+        setSelectedPercentile,
+        token
+    ]);
+
+    // Debt sizing at the financing sizing percentile (closest simulated percentile)
+    const debtSizing = useMemo(() => {
+        if (!isReady || !percentileInfo.available?.length) return null;
+
+        const financing = getValueByPath(['settings', 'modules', 'financing'], {});
+        const requested = financing.sizingPercentile || 90;
+        const percentile = percentileInfo.available.reduce((closest, value) =>
+            (Math.abs(value - requested) < Math.abs(closest - requested) ? value : closest), percentileInfo.available[0]);
+
+        const summary = prepareDebtSizingSummary(metricsData, financing, percentile, staticConfig.projectLife);
+        return summary && { ...summary, percentile };
+    }, [
+        isReady,
+        getValueByPath,
+        metricsData,
+        staticConfig,
+        percentileInfo.available
     ]);
 
+    const debtSizingColumns = [
+        { title: 'Constraint', dataIndex: 'constraint', key: 'constraint' },
+        { title: 'Limit', dataIndex: 'limit', key: 'limit' },
+        { title: 'Current', dataIndex: 'current', key: 'current', render: (value) => value ?? '-' },
+        {
+            title: 'Max Debt',
+            dataIndex: 'debt',
+            key: 'debt',
+            align: 'right',
+            render: (value) => (value === null ? '-' : `$${(value / 1000000).toFixed(1)}M`)
+        },
+        {
+            title: '',
+            dataIndex: 'binding',
+            key: 'binding',
+            render: (binding) => binding && <Tag color="red">Binding</Tag>
+        }
+    ];
+
     // Chart data - simplified to use only global percentile selection
     const chartData = useMemo(() => {
         if (!isReady) {
@@ -176,13 +220,13 @@ const FinanceabilityCard = () => {
 
             // Always get primary data
             const primaryData = getSourceData({
-                sourceIds: chartSourceIds,
+                sourceIds: CHART_SOURCE_IDS,
                 percentile: primaryPercentile
             });
 
             // Get selected data
             const selectedData = getSourceData({
-                sourceIds: chartSourceIds,
+                sourceIds: CHART_SOURCE_IDS,
                 percentile: selectedPercentile
             });
 
@@ -231,13 +275,11 @@ const FinanceabilityCard = () => {
             };
         }
     }, [
-        cubeStatus.lastRefresh,
         isReady,
         getSourceData,
         getMetric,
         staticConfig,
-        percentileInfo.primary,     // Primary percentile changes
-        percentileInfo.selected,    // Global selected percentile changes (updated by MetricsTable)
+        percentileInfo,             // Primary and global selected percentile changes (updated by MetricsTable)
         token
     ]);
 
@@ -359,6 +401,31 @@ const FinanceabilityCard = () => {
                     </div>
                 )}
 
+                {/* Debt Sizing */}
+                {debtSizing && (
+                    <div style={{ marginBottom: 24 }}>
+                        <Title level={5} style={{ margin: '0 0 12px 0' }}>
+                            Debt Sizing
+                            <Text style={{ fontSize: '12px', color: '#666', fontWeight: 'normal', marginLeft: 8 }}>
+                                (covers tested at P{debtSizing.percentile})
+                            </Text>
+                        </Title>
+                        <Space wrap style={{ marginBottom: 12 }}>
+                            <Tag color="blue">
+                                Capacity ${(debtSizing.capacity / 1000000).toFixed(1)}M ({debtSizing.gearing.toFixed(1)}% gearing)
+                            </Tag>
+                            <Tag>Current debt ${(debtSizing.currentDebt / 1000000).toFixed(1)}M</Tag>
+                            <Tag color="red">Binding: {debtSizing.rows.find(row => row.key === debtSizing.binding).constraint}</Tag>
+                        </Space>
+                        <Table
+                            columns={debtSizingColumns}
+                            dataSource={debtSizing.rows}
+                            pagination={false}
+                            size="small"
+                        />
+                    </div>
+                )}
+
                 {/* DSCR Timeline Chart */}
                 <div style={{ marginBottom: 16 }}>
                     <Title level={5} style={{ margin: '0 0 12px 0' }}>
@@ -0,0 +1,136 @@
+// frontend/src/components/cards/JointSimulationCard.jsx - Joint Monte Carlo P-values for project metrics
+import React, { useMemo } from 'react';
+import { Card, Table, Button, Space, Typography, Tag, Empty, Tooltip } from 'antd';
+import { ExperimentOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { useScenario } from '../../contexts/ScenarioContext';
+import useOutputSim from '../../hooks/useOutputSim';
+import { formatNumber, formatCompactNumber } from '../../utils/formatUtils';
+
+const { Text } = Typography;
+
+// Metrics stored in simulation.outputSim, in display order
+const JOINT_METRICS = [
+    { key: 'IRR', label: 'Project IRR', format: (value) => `${formatNumber(value, 2)}%` },
+    { key: 'equityIRR', label: 'Equity IRR', format: (value) => `${formatNumber(value, 2)}%` },
+    { key: 'NPV', label: 'Project NPV', format: (value, currency) => `${formatCompactNumber(value, 2)} ${currency}` },
+    { key: 'minDSCR', label: 'Minimum DSCR', format: (value) => `${formatNumber(value, 2)}x` },
+    { key: 'paybackPeriod', label: 'Payback Period', format: (value) => `${formatNumber(value, 1)} yrs` }
+];
+
+const JointSimulationCard = () => {
+    const { getValueByPath } = useScenario();
+    const { loading, runCashflowSimulation } = useOutputSim();
+
+    const outputSim = getValueByPath(['simulation', 'outputSim'], {});
+    const currency = getValueByPath(['settings', 'project', 'currency', 'local'], 'USD');
+    const simulationInfo = outputSim?.simulationInfo;
+
+    // Build one row per metric with a column per percentile
+    const { columns, dataSource } = useMemo(() => {
+        const percentiles = [...new Set(
+            JOINT_METRICS.flatMap(({ key }) => (outputSim?.[key] || []).map(result => result.percentile.value))
+        )].sort((a, b) => a - b);
+
+        const tableColumns = [
+            { title: 'Metric', dataIndex: 'label', key: 'label', fixed: 'left' },
+            ...percentiles.map(percentile => ({
+                title: `P${percentile}`,
+                dataIndex: `P${percentile}`,
+                key: `P${percentile}`,
+                align: 'right'
+            }))
+        ];
+
+        const rows = JOINT_METRICS.map(({ key, label, format }) => {
+            const row = { key, label };
+            (outputSim?.[key] || []).forEach(result => {
+                const value = result.data?.[0]?.value;
+                row[`P${result.percentile.value}`] = typeof value === 'number' ? format(value, currency) : '-';
+            });
+            return row;
+        });
+
+        return { columns: tableColumns, dataSource: rows };
+    }, [outputSim, currency]);
+
+    const hasResults = Boolean(simulationInfo) && columns.length > 1;
+
+    // Pairwise target vs achieved rank correlation applied across drivers
+    const correlationPairs = useMemo(() => {
+        const report = simulationInfo?.correlation;
+        if (!report?.variables?.length) return [];
+
+        const pairs = [];
+        report.variables.forEach((variableA, i) => {
+            report.variables.slice(i + 1).forEach((variableB, offset) => {
+                const j = i + 1 + offset;
+                pairs.push({
+                    key: `${variableA}-${variableB}`,
+                    label: `${variableA} / ${variableB}`,
+                    target: report.target?.[i]?.[j],
+                    achieved: report.achieved?.[i]?.[j]
+                });
+            });
+        });
+        return pairs;
+    }, [simulationInfo]);
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <ExperimentOutlined />
+                    <span>Joint Monte Carlo Metrics</span>
+                    <Tooltip title="All drivers are sampled together in each iteration and pushed through the full cashflow; percentiles are taken on the resulting metrics, so these are true P-values rather than metrics of percentile inputs.">
+                        <InfoCircleOutlined style={{ color: '#999' }} />
+                    </Tooltip>
+                </Space>
+            }
+            extra={
+                <Button type="primary" onClick={runCashflowSimulation} loading={loading}>
+                    {hasResults ? 'Re-run Simulation' : 'Run Simulation'}
+                </Button>
+            }
+        >
+            {hasResults ? (
+                <Space direction="vertical" style={{ width: '100%' }}>
+                    <Space wrap>
+                        <Tag>{simulationInfo.iterations} iterations</Tag>
+                        <Tag>Seed {simulationInfo.seed}</Tag>
+                        <Tag>{simulationInfo.years} years</Tag>
+                        <Tag>{(simulationInfo.timeElapsed / 1000).toFixed(1)}s</Tag>
+                        {(simulationInfo.drivers || []).map(driver => (
+                            <Tag key={driver} color="blue">{driver}</Tag>
+                        ))}
+                    </Space>
+                    {correlationPairs.length > 0 && (
+                        <Space wrap>
+                            <Text type="secondary">
+                                Correlation ({simulationInfo.correlation.method === 'gaussianCopula' ? 'Gaussian copula' : 'Iman-Conover'}):
+                            </Text>
+                            {correlationPairs.map(({ key, label, target, achieved }) => (
+                                <Tooltip key={key} title={`Target rank correlation ${formatNumber(target, 2)}, achieved ${formatNumber(achieved, 2)}`}>
+                                    <Tag color="purple">{label}: {formatNumber(achieved, 2)}</Tag>
+                                </Tooltip>
+                            ))}
+                        </Space>
+                    )}
+                    <Table
+                        columns={columns}
+                        dataSource={dataSource}
+                        pagination={false}
+                        size="small"
+                    />
+                    <Text type="secondary" style={{ fontSize: '12px' }}>
+                        Higher percentiles are more conservative: P90 is the value exceeded in 90% of iterations
+                        (payback period is the value not exceeded in 90% of iterations).
+                    </Text>
+                </Space>
+            ) : (
+                <Empty description="Run the joint simulation to compute P-values for IRR, NPV and DSCR" />
+            )}
+        </Card>
+    );
+};
+
+export default JointSimulationCard;
@@ -0,0 +1,193 @@
+// frontend/src/components/cards/MaintenanceStrategyCard.jsx - Component maintenance strategies compared by NPV
+import React, { useMemo } from 'react';
+import { Card, Table, Button, Space, Typography, Tag, Empty, Tooltip } from 'antd';
+import { ToolOutlined, InfoCircleOutlined, CheckOutlined } from '@ant-design/icons';
+import { useScenario } from '../../contexts/ScenarioContext';
+import { useCube } from '../../contexts/CubeContext';
+import { formatCompactNumber, formatNumber } from '../../utils/formatUtils';
+import { calculateNPV } from '../../utils/finance/calculations';
+import { calculateComponentMaintenanceCosts } from '../../utils/cube/sources/transformers/equipment';
+import { MAINTENANCE_STRATEGIES, MaintenanceStrategySchema } from 'schemas/yup/componentFailureRates';
+
+const { Text } = Typography;
+
+const COMPONENTS_PATH = ['settings', 'project', 'equipment', 'failureRates', 'components'];
+
+const STRATEGY_LABELS = {
+    runToFailure: 'Run to Failure',
+    ageBased: 'Age-Based Replacement',
+    conditionBased: 'Condition Monitoring'
+};
+
+/**
+ * Escalated cost and event totals of a component under one strategy, summed over the failure and replacement cost
+ * sources as the cube adds them to the cashflow
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object} strategy - MaintenanceStrategySchema object
+ * @param {Object} references - Transformer references
+ * @param {number} percentile - Percentile value
+ * @param {Function} escalation - Escalation factor by year
+ * @returns {Object|null} { data, unplanned, planned }, null when the component has no failure costs
+ */
+const evaluateStrategy = (component, strategy, references, percentile, escalation) => {
+    const profiles = ['total', 'replacement']
+        .map(costKey => calculateComponentMaintenanceCosts(component, references, { percentile, costKey, strategy }))
+        .filter(Boolean);
+    if (profiles.length === 0) return null;
+
+    const [events] = profiles;
+    return {
+        data: events.map(({ year }, index) => ({
+            year,
+            value: profiles.reduce((sum, profile) => sum + profile[index].value, 0) * escalation(year)
+        })),
+        unplanned: events.reduce((sum, point) => sum + point.failures - point.plannedRepairs, 0),
+        planned: events.reduce((sum, point) => sum + point.plannedRepairs + point.plannedReplacements, 0)
+    };
+};
+
+const MaintenanceStrategyCard = ({ percentileInfo }) => {
+    const { getValueByPath, updateByPath } = useScenario();
+    const { getData } = useCube();
+
+    const percentile = percentileInfo?.selected ?? percentileInfo?.primary ?? 50;
+    const currency = getValueByPath(['settings', 'project', 'currency', 'local'], 'USD');
+    const failureRatesEnabled = getValueByPath(['settings', 'project', 'equipment', 'failureRates', 'enabled'], false);
+    const components = getValueByPath(COMPONENTS_PATH, {});
+    const discountRate = (getValueByPath(['settings', 'modules', 'financing', 'costOfEquity'], 8) || 8) / 100;
+
+    const references = useMemo(() => ({
+        projectLife: getValueByPath(['settings', 'general', 'projectLife'], 20),
+        numWTGs: getValueByPath(['settings', 'project', 'windFarm', 'numWTGs'], 1),
+        wtgPlatformType: getValueByPath(['settings', 'project', 'windFarm', 'wtgPlatformType'], 'geared'),
+        failureRateResults: getValueByPath(['simulation', 'inputSim', 'failureRates'], null),
+        stressFactors: getValueByPath(['settings', 'project', 'environment', 'stressFactors'], null)
+    }), [getValueByPath]);
+
+    // Same compounding as the cube's escalationRate multiplier (compoundPercent, base year 1)
+    const escalation = useMemo(() => {
+        const rates = new Map((getData({ sourceId: 'escalationRate', percentile }).escalationRate?.data || [])
+            .map(point => [point.year, point.value]));
+        return (year) => Math.pow(1 + (rates.get(year) || 0) / 100, year - 1);
+    }, [getData, percentile]);
+
+    const dataSource = useMemo(() => {
+        if (!failureRatesEnabled) return [];
+
+        return Object.values(components)
+            .filter(component => component?.enabled === true)
+            .map(component => {
+                const configured = { ...MaintenanceStrategySchema.getDefault(), ...(component.maintenanceStrategy || {}) };
+                const strategies = MAINTENANCE_STRATEGIES.reduce((result, type) => {
+                    const evaluation = evaluateStrategy(component, { ...configured, type }, references, percentile, escalation);
+                    return evaluation
+                        ? { ...result, [type]: { ...evaluation, npv: calculateNPV(evaluation.data, discountRate) } }
+                        : result;
+                }, {});
+                if (Object.keys(strategies).length === 0) return null;
+
+                const best = Object.keys(strategies).reduce((a, b) => (strategies[b].npv < strategies[a].npv ? b : a));
+                return {
+                    key: component.id,
+                    name: component.name,
+                    current: configured.type,
+                    best,
+                    saving: strategies[configured.type].npv - strategies[best].npv,
+                    strategies
+                };
+            })
+            .filter(Boolean);
+    }, [failureRatesEnabled, components, references, percentile, escalation, discountRate]);
+
+    const totals = useMemo(() => dataSource.reduce((result, row) => ({
+        current: result.current + row.strategies[row.current].npv,
+        best: result.best + row.strategies[row.best].npv
+    }), { current: 0, best: 0 }), [dataSource]);
+
+    const handleUse = (componentId, type) => {
+        const path = [...COMPONENTS_PATH, componentId, 'maintenanceStrategy'];
+        updateByPath(path, { ...MaintenanceStrategySchema.getDefault(), ...(getValueByPath(path, null) || {}), type });
+    };
+
+    const formatCost = (value) => `${formatCompactNumber(value, 2)} ${currency}`;
+
+    const columns = [
+        { title: 'Component', dataIndex: 'name', key: 'name' },
+        ...MAINTENANCE_STRATEGIES.map(type => ({
+            title: STRATEGY_LABELS[type],
+            key: type,
+            align: 'right',
+            render: (_, record) => {
+                const evaluation = record.strategies[type];
+                return (
+                    <Tooltip title={`${formatNumber(evaluation.unplanned, 1)} unplanned failures, ${formatNumber(evaluation.planned, 1)} planned interventions`}>
+                        <Space size={4}>
+                            {type === record.current && <Tag color="blue">current</Tag>}
+                            <Text strong={type === record.best} type={type === record.best ? 'success' : undefined}>
+                                {formatCost(evaluation.npv)}
+                            </Text>
+                        </Space>
+                    </Tooltip>
+                );
+            }
+        })),
+        {
+            title: 'Saving',
+            dataIndex: 'saving',
+            key: 'saving',
+            align: 'right',
+            render: (saving) => (saving > 0 ? <Text type="success">{formatCost(saving)}</Text> : <Text type="secondary">-</Text>)
+        },
+        {
+            title: '',
+            key: 'action',
+            render: (_, record) => record.best !== record.current && (
+                <Button size="small" icon={<CheckOutlined />} onClick={() => handleUse(record.key, record.best)}>
+                    Use {STRATEGY_LABELS[record.best]}
+                </Button>
+            )
+        }
+    ];
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <ToolOutlined />
+                    <span>Maintenance Strategies</span>
+                    <Tooltip title="Present value of each component's failure, replacement and monitoring costs under each strategy, escalated and discounted at the cost of equity like Project NPV. Switching a strategy changes the component cost sources once the cashflow is refreshed.">
+                        <InfoCircleOutlined style={{ color: '#999' }} />
+                    </Tooltip>
+                </Space>
+            }
+            extra={<Text type="secondary">P{percentile} · {formatNumber(discountRate * 100, 1)}% discount rate</Text>}
+        >
+            {dataSource.length === 0 ? (
+                <Empty description="Enable component failure modeling and components with repair costs to compare strategies" />
+            ) : (
+                <Table
+                    dataSource={dataSource}
+                    columns={columns}
+                    pagination={false}
+                    size="small"
+                    summary={() => (
+                        <Table.Summary.Row>
+                            <Table.Summary.Cell index={0}><Text strong>Fleet</Text></Table.Summary.Cell>
+                            <Table.Summary.Cell index={1} colSpan={3} align="right">
+                                <Text>Current {formatCost(totals.current)} · Best {formatCost(totals.best)}</Text>
+                            </Table.Summary.Cell>
+                            <Table.Summary.Cell index={4} align="right">
+                                {totals.current - totals.best > 0
+                                    ? <Text strong type="success">{formatCost(totals.current - totals.best)}</Text>
+                                    : <Text type="secondary">-</Text>}
+                            </Table.Summary.Cell>
+                            <Table.Summary.Cell index={5} />
+                        </Table.Summary.Row>
+                    )}
+                />
+            )}
+        </Card>
+    );
+};
+
+export default MaintenanceStrategyCard;
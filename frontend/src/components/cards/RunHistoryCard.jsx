@@ -0,0 +1,279 @@
+// frontend/src/components/cards/RunHistoryCard.jsx - Named simulation runs of the scenario and their differences
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Card, Table, Button, Space, Typography, Tag, Empty, Tooltip, Modal, Form, Input, Alert, message } from 'antd';
+import { HistoryOutlined, PlusOutlined, DiffOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { useScenario } from '../../contexts/ScenarioContext';
+import { listSimulationRuns, createSimulationRun, compareSimulationRuns } from '../../api/scenarios';
+import { formatNumber, formatCompactNumber } from '../../utils/formatUtils';
+
+const { Text } = Typography;
+
+// Run metrics in display order (RUN_METRICS in schemas/yup/simulationRun.js)
+const RUN_METRICS = [
+    { key: 'IRR', label: 'Project IRR', format: (value) => `${formatNumber(value, 2)}%` },
+    { key: 'equityIRR', label: 'Equity IRR', format: (value) => `${formatNumber(value, 2)}%` },
+    { key: 'NPV', label: 'Project NPV', format: (value, currency) => `${formatCompactNumber(value, 2)} ${currency}` },
+    { key: 'minDSCR', label: 'Minimum DSCR', format: (value) => `${formatNumber(value, 2)}x` },
+    { key: 'paybackPeriod', label: 'Payback Period', format: (value) => `${formatNumber(value, 1)} yrs` }
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// Settings values can be anything; show short JSON for non-primitives
+const formatSetting = (value) => {
+    if (value === null || value === undefined) return <Text type="secondary">-</Text>;
+    if (typeof value === 'object') return <Text code>{JSON.stringify(value)}</Text>;
+    return String(value);
+};
+
+const formatDelta = (delta, format) => {
+    if (typeof delta !== 'number') return '-';
+    if (delta === 0) return <Text type="secondary">0</Text>;
+    return <Text type={delta > 0 ? 'success' : 'danger'}>{delta > 0 ? '+' : ''}{format(delta)}</Text>;
+};
+
+const RunHistoryCard = () => {
+    const { scenarioData, getValueByPath, hasUnsavedChanges, updateScenario } = useScenario();
+    const [form] = Form.useForm();
+    const [runs, setRuns] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [recordOpen, setRecordOpen] = useState(false);
+    const [recording, setRecording] = useState(false);
+    const [selectedRunIds, setSelectedRunIds] = useState([]);
+    const [diff, setDiff] = useState(null);
+    const [comparing, setComparing] = useState(false);
+
+    const scenarioId = scenarioData?._id;
+    const currency = getValueByPath(['settings', 'project', 'currency', 'local'], 'USD');
+
+    const loadRuns = useCallback(async () => {
+        if (!scenarioId) return;
+        setLoading(true);
+        const response = await listSimulationRuns(scenarioId);
+        if (response?.success) {
+            setRuns(response.data.items);
+        } else {
+            message.error('Failed to load simulation runs: ' + (response?.error || 'Unknown error'));
+        }
+        setLoading(false);
+    }, [scenarioId]);
+
+    useEffect(() => {
+        setRuns([]);
+        setSelectedRunIds([]);
+        setDiff(null);
+        loadRuns();
+    }, [loadRuns]);
+
+    // Runs snapshot the saved scenario, so unsaved changes are saved first
+    const handleRecord = async () => {
+        try {
+            const values = await form.validateFields();
+            setRecording(true);
+            if (hasUnsavedChanges && !(await updateScenario())) {
+                return;
+            }
+            const response = await createSimulationRun(scenarioId, values);
+            if (response?.success) {
+                message.success(`Run "${values.name}" recorded`);
+                form.resetFields();
+                setRecordOpen(false);
+                await loadRuns();
+            } else {
+                message.error('Failed to record run: ' + (response?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Run form validation error:', error);
+        } finally {
+            setRecording(false);
+        }
+    };
+
+    // Older selected run is the base, so deltas read as "what changed since"
+    const handleCompare = async () => {
+        const [baseId, compareId] = [...selectedRunIds].sort((a, b) =>
+            new Date(runs.find(run => run._id === a)?.createdAt) - new Date(runs.find(run => run._id === b)?.createdAt));
+        setComparing(true);
+        const response = await compareSimulationRuns(scenarioId, baseId, compareId);
+        if (response?.success) {
+            setDiff(response.data);
+        } else {
+            message.error('Failed to compare runs: ' + (response?.error || 'Unknown error'));
+        }
+        setComparing(false);
+    };
+
+    const runColumns = useMemo(() => [
+        {
+            title: 'Run',
+            dataIndex: 'name',
+            key: 'name',
+            render: (name, run) => (
+                <Space direction="vertical" size={0}>
+                    <Text strong>{name}</Text>
+                    {run.description && <Text type="secondary" style={{ fontSize: '12px' }}>{run.description}</Text>}
+                </Space>
+            )
+        },
+        { title: 'Recorded', dataIndex: 'createdAt', key: 'createdAt', render: formatDate },
+        { title: 'Seed', dataIndex: 'seed', key: 'seed' },
+        {
+            title: 'Engine',
+            dataIndex: 'engineVersion',
+            key: 'engineVersion',
+            render: (version) => <Tooltip title={version}><Text code>{version?.slice(0, 7)}</Text></Tooltip>
+        },
+        ...RUN_METRICS.slice(0, 4).map(({ key, label, format }) => ({
+            title: label,
+            key,
+            align: 'right',
+            render: (_, run) => {
+                const entry = run.summary?.find(item => item.metric === key);
+                return typeof entry?.value === 'number' ? format(entry.value, currency) : '-';
+            }
+        }))
+    ], [currency]);
+
+    const metricRows = useMemo(() => (diff?.metrics || []).map(entry => {
+        const { label, format } = RUN_METRICS.find(({ key }) => key === entry.metric);
+        const formatValue = (value) => (typeof value === 'number' ? format(value, currency) : '-');
+        return {
+            key: `${entry.metric}-${entry.percentile}`,
+            label: `${label} P${entry.percentile}`,
+            base: formatValue(entry.base),
+            compare: formatValue(entry.compare),
+            delta: formatDelta(entry.delta, value => format(value, currency))
+        };
+    }), [diff, currency]);
+
+    const distributionRows = useMemo(() => (diff?.distributions || [])
+        .filter(entry => entry.delta !== 0)
+        .map(entry => ({
+            key: `${entry.group}-${entry.key}-${entry.percentile}`,
+            label: `${entry.key} P${entry.percentile}`,
+            group: entry.group,
+            base: typeof entry.base === 'number' ? formatNumber(entry.base, 3) : '-',
+            compare: typeof entry.compare === 'number' ? formatNumber(entry.compare, 3) : '-',
+            delta: formatDelta(entry.delta, value => formatNumber(value, 3))
+        })), [diff]);
+
+    const valueColumns = (labelTitle) => [
+        { title: labelTitle, dataIndex: 'label', key: 'label' },
+        { title: diff?.base.name, dataIndex: 'base', key: 'base', align: 'right' },
+        { title: diff?.compare.name, dataIndex: 'compare', key: 'compare', align: 'right' },
+        { title: 'Change', dataIndex: 'delta', key: 'delta', align: 'right' }
+    ];
+
+    const settingColumns = [
+        { title: 'Setting', dataIndex: 'path', key: 'path', render: (path) => <Text code>{path}</Text> },
+        { title: diff?.base.name, dataIndex: 'base', key: 'base', render: formatSetting },
+        { title: diff?.compare.name, dataIndex: 'compare', key: 'compare', render: formatSetting }
+    ];
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <HistoryOutlined />
+                    <span>Run History</span>
+                    <Tooltip title="Runs are immutable snapshots of the saved scenario's settings and simulation results. Select two runs to see what changed between them.">
+                        <InfoCircleOutlined style={{ color: '#999' }} />
+                    </Tooltip>
+                </Space>
+            }
+            extra={
+                <Space>
+                    <Button
+                        icon={<DiffOutlined />}
+                        onClick={handleCompare}
+                        loading={comparing}
+                        disabled={selectedRunIds.length !== 2}
+                    >
+                        Compare
+                    </Button>
+                    <Tooltip title={scenarioId ? null : 'Save the scenario before recording runs'}>
+                        <Button type="primary" icon={<PlusOutlined />} onClick={() => setRecordOpen(true)} disabled={!scenarioId}>
+                            Record Run
+                        </Button>
+                    </Tooltip>
+                </Space>
+            }
+        >
+            {runs.length > 0 ? (
+                <Table
+                    rowKey="_id"
+                    columns={runColumns}
+                    dataSource={runs}
+                    loading={loading}
+                    pagination={runs.length > 10 ? { pageSize: 10 } : false}
+                    size="small"
+                    rowSelection={{
+                        selectedRowKeys: selectedRunIds,
+                        onChange: (keys) => setSelectedRunIds(keys.slice(-2)),
+                        hideSelectAll: true
+                    }}
+                />
+            ) : (
+                <Empty description={scenarioId
+                    ? 'No runs recorded yet. Record a run to keep a snapshot of the current inputs and results.'
+                    : 'Save the scenario to record runs'} />
+            )}
+
+            {diff && (
+                <Space direction="vertical" style={{ width: '100%', marginTop: 16 }}>
+                    <Space wrap>
+                        <Text strong>{diff.base.name} → {diff.compare.name}</Text>
+                        <Tag color={diff.seedChanged ? 'orange' : 'default'}>{diff.seedChanged ? 'Seed changed' : 'Same seed'}</Tag>
+                        <Tag color={diff.engineVersionChanged ? 'orange' : 'default'}>
+                            {diff.engineVersionChanged ? 'Engine version changed' : 'Same engine version'}
+                        </Tag>
+                        <Tag>{diff.inputs.total} settings changed</Tag>
+                    </Space>
+                    <Table columns={valueColumns('Metric')} dataSource={metricRows} pagination={false} size="small" />
+                    {distributionRows.length > 0 && (
+                        <Table columns={valueColumns('Input distribution (mean over years)')} dataSource={distributionRows} pagination={false} size="small" />
+                    )}
+                    {diff.inputs.truncated && (
+                        <Alert type="info" showIcon message={`Showing the first ${diff.inputs.changes.length} of ${diff.inputs.total} changed settings`} />
+                    )}
+                    {diff.inputs.changes.length > 0 && (
+                        <Table
+                            rowKey="path"
+                            columns={settingColumns}
+                            dataSource={diff.inputs.changes}
+                            pagination={diff.inputs.changes.length > 20 ? { pageSize: 20 } : false}
+                            size="small"
+                        />
+                    )}
+                </Space>
+            )}
+
+            <Modal
+                title={<Space><HistoryOutlined />Record Simulation Run</Space>}
+                open={recordOpen}
+                onCancel={() => setRecordOpen(false)}
+                onOk={handleRecord}
+                okText="Record"
+                confirmLoading={recording}
+            >
+                {hasUnsavedChanges && (
+                    <Alert type="warning" showIcon style={{ marginBottom: 16 }} message="The scenario has unsaved changes; it will be saved before the run is recorded." />
+                )}
+                <Form form={form} layout="vertical">
+                    <Form.Item
+                        name="name"
+                        label="Run Name"
+                        rules={[{ required: true, message: 'Please enter a run name' }]}
+                    >
+                        <Input placeholder="e.g., IC memo" maxLength={100} />
+                    </Form.Item>
+                    <Form.Item name="description" label="Description">
+                        <Input.TextArea rows={3} placeholder="What this run was used for..." maxLength={1000} />
+                    </Form.Item>
+                </Form>
+            </Modal>
+        </Card>
+    );
+};
+
+export default RunHistoryCard;
@@ -0,0 +1,89 @@
+// frontend/src/components/cards/configs/CashflowTableConfig.js - Cash waterfall table for CashflowTableCard
+
+import { calculateLockUpProbability } from '../../../utils/cube/sources/transformers/waterfall';
+
+// Cube sources read by the waterfall table
+export const WATERFALL_SOURCE_IDS = ['cfads', 'seniorDebtService', 'reserveTopUps', 'lockUpDSCR', 'trappedCash', 'cashSweep', 'distributions'];
+
+/**
+ * Waterfall lines in payment order; sign is how the line enters distributions
+ */
+const WATERFALL_LINES = [
+    { key: 'cfads', label: 'CFADS (revenue less opex)', sign: 1 },
+    { key: 'seniorDebtService', label: 'Senior debt service', sign: -1 },
+    { key: 'reserveTopUps', label: 'Reserve top-ups', sign: -1 },
+    { key: 'cashAvailable', label: 'Cash after reserves', subtotal: true },
+    { key: 'lockUpDSCR', label: 'Lock-up test (historic DSCR)', format: 'ratio' },
+    { key: 'trapped', label: 'Cash trapped (-) / released (+)', sign: 1 },
+    { key: 'cashSweep', label: 'Cash sweep', sign: -1 },
+    { key: 'distributions', label: 'Distributions', subtotal: true },
+    { key: 'trappedCash', label: 'Lock-up account balance', memo: true }
+];
+
+/**
+ * Year-by-year waterfall of one percentile as table rows (one row per waterfall line, one column per year)
+ * @param {Object} sources - getData({ sourceIds: WATERFALL_SOURCE_IDS, percentile }) result
+ * @param {number} projectLife - Project life in years
+ * @param {Object} lockUp - financing.waterfall.lockUp settings
+ * @returns {Object} { rows, years, lockedYears }
+ */
+export const prepareWaterfallTable = (sources, projectLife, lockUp = {}) => {
+    const years = Array.from({ length: projectLife }, (_, index) => index + 1);
+    const byYear = (sourceId) => new Map((sources[sourceId]?.data || []).map(({ year, value }) => [year, value]));
+    const lines = Object.fromEntries(WATERFALL_SOURCE_IDS.map(sourceId => [sourceId, byYear(sourceId)]));
+
+    const values = {
+        ...lines,
+        cashAvailable: new Map(years.map(year => [year,
+            (lines.cfads.get(year) || 0) - (lines.seniorDebtService.get(year) || 0) - (lines.reserveTopUps.get(year) || 0)])),
+        trapped: new Map(years.map(year => [year,
+            (lines.trappedCash.get(year - 1) || 0) - (lines.trappedCash.get(year) || 0)]))
+    };
+
+    // The final year releases the lock-up account whatever the test says
+    const lockedYears = lockUp.enabled
+        ? years.filter(year => year < projectLife && lines.lockUpDSCR.has(year) && lines.lockUpDSCR.get(year) < lockUp.ratio)
+        : [];
+
+    // Payments out of the waterfall are shown negative so each subtotal is the sum of the lines above it
+    const rows = WATERFALL_LINES.map(line => ({
+        ...line,
+        ...Object.fromEntries(years.map(year => {
+            const value = values[line.key].get(year);
+            return [`Y${year}`, value === undefined ? null : value * (line.sign ?? 1)];
+        }))
+    }));
+
+    return { rows, years, lockedYears };
+};
+
+/**
+ * Probability of distribution lock-up in each year from the historic DSCR of every percentile
+ * @param {Object} lockUpDSCR - getData({ sourceId: 'lockUpDSCR' }) result keyed by percentile
+ * @param {number} projectLife - Project life in years
+ * @param {number} ratio - Lock-up ratio
+ * @returns {Object} Year-keyed { probability, bound } (null in years without a lock-up test)
+ */
+export const prepareLockUpProbabilities = (lockUpDSCR, projectLife, ratio) => {
+    const probabilities = {};
+    for (let year = 1; year <= projectLife; year++) {
+        const values = Object.entries(lockUpDSCR || {})
+            .map(([percentile, { data }]) => ({ percentile: Number(percentile), value: data.find(point => point.year === year)?.value }))
+            .filter(({ value }) => value !== undefined);
+        probabilities[year] = year < projectLife ? calculateLockUpProbability(values, ratio) : null;
+    }
+    return probabilities;
+};
+
+/**
+ * Format a lock-up probability, showing bounds outside the simulated percentiles
+ * @param {Object|null} result - calculateLockUpProbability result
+ * @returns {string} e.g. '35%', '<10%', '>90%'
+ */
+export const formatLockUpProbability = (result) => {
+    if (!result) return '-';
+    const percent = `${Math.round(result.probability * 100)}%`;
+    if (result.bound === 'atMost') return `<${percent}`;
+    if (result.bound === 'atLeast') return `>${percent}`;
+    return percent;
+};
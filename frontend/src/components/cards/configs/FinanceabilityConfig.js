@@ -2,6 +2,7 @@
 
 import { addCovenantAnnotations } from '../../../utils/charts/annotations';
 import { getFinancialColorScheme, getSemanticColor } from '../../../utils/charts/colors';
+import { DEBT_SIZING_CONSTRAINTS } from '../../../utils/cube/metrics/transformers/financial';
 
 /**
  * Row configuration for FinanceabilityCard metrics table
@@ -30,6 +31,24 @@ export const createFinanceabilityRowConfig = (localCurrency = 'USD') => ({
                 icon: 'DollarOutlined'
             }
         },
+        {
+            metricId: 'afterTaxProjectIRR',
+            label: 'After-Tax Project IRR (%)',
+            tooltip: {
+                title: 'After-Tax Project IRR',
+                content: 'Project IRR after corporate tax paid (depreciation, interest deductibility and loss carry-forward). Calculated from cube afterTaxProjectIRR metric.',
+                icon: 'DollarOutlined'
+            }
+        },
+        {
+            metricId: 'afterTaxEquityIRR',
+            label: 'After-Tax Equity IRR (%)',
+            tooltip: {
+                title: 'After-Tax Equity IRR',
+                content: 'Equity IRR after debt service and corporate tax paid. Calculated from cube afterTaxEquityIRR metric.',
+                icon: 'DollarOutlined'
+            }
+        },
         {
             metricId: 'projectNPV',
             label: `NPV (${localCurrency}M)`,
@@ -45,6 +64,19 @@ export const createFinanceabilityRowConfig = (localCurrency = 'USD') => ({
                 return `$${millions.toFixed(1)}M`;
             }
         },
+        {
+            metricId: 'debtCapacity',
+            label: `Debt Capacity (${localCurrency}M)`,
+            tooltip: {
+                title: 'Debt Capacity',
+                content: 'Maximum debt meeting the gearing limit, minimum DSCR and minimum LLCR with the covers tested at each percentile. From cube debtCapacity metric.',
+                icon: 'SafetyOutlined'
+            },
+            formatter: (value) => {
+                if (!value && value !== 0) return '-';
+                return `$${(value / 1000000).toFixed(1)}M`;
+            }
+        },
         {
             metricId: 'dscrMetrics', // FIXED: Use correct metric ID
             label: 'Min DSCR',
@@ -310,6 +342,54 @@ export const calculateCovenantAnalysis = (financingData, availablePercentiles, c
     return analysis;
 };
 
+/**
+ * Debt sizing summary of the sizing percentile: the debt each constraint allows and the one that binds
+ * @param {Array} metricsData - Cube metricsData
+ * @param {Object} financing - settings.modules.financing
+ * @param {number} percentile - Percentile the covers are tested at
+ * @param {number} projectLife - Project life in years
+ * @returns {Object|null} { capacity, gearing, currentDebt, binding, rows } or null without a debtCapacity result
+ */
+export const prepareDebtSizingSummary = (metricsData, financing, percentile, projectLife) => {
+    // getMetric leaves out the stats, so the percentile result is read from metricsData
+    const debtCapacity = metricsData?.find(metric => metric.id === 'debtCapacity')?.percentileMetrics
+        .find(result => result.percentile.value === percentile);
+    if (!debtCapacity?.stats) return null;
+
+    const { stats, value } = debtCapacity;
+    const maxTenor = financing.maxTenor || financing.loanDuration || 15;
+    const maturityYear = financing.amortizationType === 'bullet'
+        ? financing.loanDuration || 15
+        : (financing.gracePeriod || 1) + (financing.loanDuration || 15);
+    const limits = {
+        gearing: { label: 'Max gearing', limit: `${financing.debtFinancingRatio}% of CAPEX`, current: null },
+        dscr: { label: 'Min DSCR', limit: `${Number(financing.minimumDSCR).toFixed(2)}x at P${percentile}`, current: `${stats.minDSCR.toFixed(2)}x` },
+        llcr: { label: 'Min LLCR', limit: `${Number(financing.minimumLLCR ?? 1.4).toFixed(2)}x at P${percentile}`, current: `${stats.minLLCR.toFixed(2)}x` },
+        tenor: { label: 'Max tenor', limit: `${maxTenor} years of P${percentile} CFADS`, current: `Matures year ${Math.min(maturityYear, projectLife)}` }
+    };
+
+    // Ties go to the first constraint in reporting order
+    const binding = DEBT_SIZING_CONSTRAINTS.reduce((lowest, key) =>
+        (stats[`${key}Debt`] < stats[`${lowest}Debt`] ? key : lowest), DEBT_SIZING_CONSTRAINTS[0]);
+
+    const rows = DEBT_SIZING_CONSTRAINTS.map(key => ({
+        key,
+        constraint: limits[key].label,
+        limit: limits[key].limit,
+        current: limits[key].current,
+        debt: stats[`${key}Debt`] ?? null,
+        binding: key === binding
+    }));
+
+    return {
+        capacity: value,
+        gearing: stats.gearing,
+        currentDebt: stats.currentDebt,
+        binding,
+        rows
+    };
+};
+
 /**
  * Get bankability risk level assessment
  * @param {Object} metrics - Financial metrics for assessment
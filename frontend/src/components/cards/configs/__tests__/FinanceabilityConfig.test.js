@@ -0,0 +1,30 @@
+// frontend/src/components/cards/configs/__tests__/FinanceabilityConfig.test.js
+import { prepareDebtSizingSummary } from '../FinanceabilityConfig';
+import { DEBT_SIZING_CONSTRAINTS } from '../../../../utils/cube/metrics/transformers/financial';
+import { runScenarioCube, metricOf } from '../../../../utils/cube/__fixtures__/cubeScenario';
+
+describe('prepareDebtSizingSummary', () => {
+    const run = runScenarioCube();
+    const { financing } = run.scenarioData.settings.modules;
+    const projectLife = run.scenarioData.settings.general.projectLife;
+
+    it('summarises the debtCapacity metric of the cube at the sizing percentile', () => {
+        const summary = prepareDebtSizingSummary(run.metricsData, financing, 90, projectLife);
+        const { value, stats } = metricOf(run, 'debtCapacity', 90);
+
+        expect(summary).toMatchObject({ capacity: value, gearing: stats.gearing, currentDebt: stats.currentDebt });
+        expect(summary.rows.map(row => row.key)).toEqual(DEBT_SIZING_CONSTRAINTS);
+        summary.rows.forEach(row => expect(row.debt).toBe(stats[`${row.key}Debt`]));
+
+        // The binding constraint allows the least debt
+        const binding = summary.rows.filter(row => row.binding);
+        expect(binding).toHaveLength(1);
+        expect(binding[0].key).toBe(summary.binding);
+        expect(binding[0].debt).toBe(Math.min(...summary.rows.map(row => row.debt)));
+    });
+
+    it('is empty without a debtCapacity result at the percentile', () => {
+        expect(prepareDebtSizingSummary(run.metricsData, financing, 42, projectLife)).toBeNull();
+        expect(prepareDebtSizingSummary(undefined, financing, 90, projectLife)).toBeNull();
+    });
+});
@@ -19,4 +19,5 @@ export {
 // Re-export everything for convenience
 export * from './FinanceabilityConfig';
 export * from './CashflowTimelineConfig';
+export * from './CashflowTableConfig';
 export * from './xDriverExplorerConfig';
\ No newline at end of file
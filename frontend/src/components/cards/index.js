@@ -3,4 +3,8 @@ export { default as ContractScopeCard } from './ContractScopeCard';
 export { default as ContractEditorCard } from './ContractEditorCard';
 export { default as CapexDrawdownCard } from './CapexDrawdownCard';
 export { default as FinanceabilityCard } from './FinanceabilityCard';
-export { default as DriverExplorerCard } from './DriverExplorerCard';
\ No newline at end of file
+export { default as JointSimulationCard } from './JointSimulationCard';
+export { default as RunHistoryCard } from './RunHistoryCard';
+export { default as DriverExplorerCard } from './DriverExplorerCard';
+export { default as FailureEventSimulationCard } from './FailureEventSimulationCard';
+export { default as MaintenanceStrategyCard } from './MaintenanceStrategyCard';export { default as CashflowTableCard } from './CashflowTableCard';
@@ -0,0 +1,73 @@
+// src/components/charts/ConvergenceChart.jsx
+
+import React, { useMemo } from 'react';
+import { Empty, Space, Tag, Typography } from 'antd';
+import Plot from 'react-plotly.js';
+import { prepareConvergenceChartData } from '../../utils/chartUtils';
+
+const { Text } = Typography;
+
+const PLOTLY_CONFIG = { responsive: true, displayModeBar: false };
+
+// Component for rendering the convergence trace of a simulation
+/**
+ * Renders running percentile estimates against iteration count, with the relative change
+ * between batches on a secondary axis (and the auto-stop tolerance when it was used).
+ * @param {Object} props - Component props
+ * @param {Object} props.simulationInfo - SimulationInfoSchema object with convergence
+ * @param {number} props.primaryPercentile - Primary percentile value (e.g., 50)
+ * @param {string} props.color - Chart color
+ * @param {number|null} props.precision - Decimal precision (null for Plotly default)
+ * @param {number} props.height - Chart height
+ * @param {boolean} [props.decimalStorage=false] - Whether data is stored as decimals but should display as percentages
+ * @returns {JSX.Element} Convergence chart
+ */
+const ConvergenceChart = React.memo(({
+    simulationInfo,
+    primaryPercentile,
+    color,
+    precision,
+    height,
+    decimalStorage = false
+}) => {
+    const convergence = simulationInfo?.convergence;
+    const hasTrace = convergence?.trace?.some(series => series.data.length > 0);
+
+    const chartData = useMemo(() => {
+        if (!hasTrace) return { data: [], layout: {} };
+        return prepareConvergenceChartData(convergence, primaryPercentile, color, precision, decimalStorage);
+    }, [hasTrace, convergence, primaryPercentile, color, precision, decimalStorage]);
+
+    const layout = useMemo(() => ({ ...chartData.layout, height }), [chartData.layout, height]);
+
+    if (!hasTrace) {
+        return <Empty description="No convergence trace available" style={{ padding: '40px 0' }} />;
+    }
+
+    const { autoStop } = convergence;
+
+    return (
+        <>
+            <Space size={4} wrap>
+                <Text type="secondary" style={{ fontSize: '12px' }}>
+                    {simulationInfo.iterations?.toLocaleString()} iterations in {convergence.batches} batches
+                </Text>
+                {autoStop && (
+                    <Tag color={autoStop.converged ? 'green' : 'orange'}>
+                        {autoStop.converged
+                            ? `Stable within ${autoStop.tolerance}%`
+                            : `Not stable within ${autoStop.tolerance}% at ${autoStop.maxIterations.toLocaleString()} iterations`}
+                    </Tag>
+                )}
+            </Space>
+            <Plot
+                data={chartData.data}
+                layout={layout}
+                config={PLOTLY_CONFIG}
+                style={{ width: '100%' }}
+            />
+        </>
+    );
+});
+
+export default ConvergenceChart;
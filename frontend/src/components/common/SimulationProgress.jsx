@@ -0,0 +1,57 @@
+// frontend/src/components/common/SimulationProgress.jsx
+import React, { useState } from 'react';
+import { Card, Progress, Button, Row, Col, Typography } from 'antd';
+import { StopOutlined } from '@ant-design/icons';
+
+const { Text } = Typography;
+
+/**
+ * Progress of a running simulation job with a cancel button
+ * @param {Object} props
+ * @param {Object} props.progress - SimulationJobProgressSchema ({ percent, distributions })
+ * @param {Function} props.onCancel - Called when the user cancels the simulation
+ */
+const SimulationProgress = ({ progress, onCancel }) => {
+    const [cancelling, setCancelling] = useState(false);
+
+    if (!progress) return null;
+
+    const handleCancel = async () => {
+        setCancelling(true);
+        try {
+            await onCancel();
+        } finally {
+            setCancelling(false);
+        }
+    };
+
+    return (
+        <Card
+            size="small"
+            title="Simulation progress"
+            style={{ marginTop: 16 }}
+            extra={onCancel && (
+                <Button size="small" danger icon={<StopOutlined />} onClick={handleCancel} loading={cancelling}>
+                    Cancel
+                </Button>
+            )}
+        >
+            <Progress percent={Math.floor(progress.percent)} status="active" />
+            <Row gutter={[16, 4]} style={{ marginTop: 8 }}>
+                {progress.distributions.map(entry => (
+                    <Col span={8} key={entry.id}>
+                        <Text type="secondary" style={{ fontSize: 12 }}>{entry.key || entry.id}</Text>
+                        <Progress
+                            size="small"
+                            percent={entry.total > 0 ? Math.floor((entry.completed / entry.total) * 100) : 0}
+                            status={entry.failed ? 'exception' : undefined}
+                            format={() => (entry.cached ? 'cached' : `${entry.completed}/${entry.total}`)}
+                        />
+                    </Col>
+                ))}
+            </Row>
+        </Card>
+    );
+};
+
+export default SimulationProgress;
@@ -142,7 +142,7 @@ const DistributionFieldV3 = ({
     return await updateByPath(path, value);
   }, [formMode, updateValueOverride, updateByPath]);
 
-  const currentType = (getValue(typePath, 'fixed')).toLowerCase();
+  const currentType = getValue(typePath, 'fixed');
   const parameters = getValue(parametersPath, {});
   const timeSeriesMode = getValue(timeSeriesModePath, false);
 
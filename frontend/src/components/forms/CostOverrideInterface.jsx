@@ -16,6 +16,7 @@ import {
 import { useScenario } from 'contexts/ScenarioContext';
 import { getMarketFactorColorScheme } from 'utils/charts/colors';
 import { ResponsiveFieldRow } from 'components/contextFields';
+import { CRANE_LOGISTICS_DEFAULTS } from 'schemas/yup/repairPackage';
 
 const { Text } = Typography;
 const { Option } = Select;
@@ -60,7 +61,8 @@ const CRANE_TYPES = [
     { value: 'mobile', label: 'Mobile Crane' },
     { value: 'crawler', label: 'Crawler Crane (Heavy lift)' },
     { value: 'tower', label: 'Tower Crane (Blade work)' },
-    { value: 'special', label: 'Special Equipment' }
+    { value: 'special', label: 'Special Equipment' },
+    { value: 'jackUp', label: 'Jack-Up Vessel (Offshore)' }
 ];
 
 /**
@@ -254,6 +256,39 @@ const CostOverrideInterface = ({ componentId, showTotalRow = true }) => {
                                     />
                                 </div>
                             </ResponsiveFieldRow>
+
+                            {CRANE_LOGISTICS_DEFAULTS[repairPackageSnapshot.crane?.type] && (
+                                <ResponsiveFieldRow layout="twoColumn" style={{ marginTop: 16 }}>
+                                    <div>
+                                        <Text type="secondary" style={{ fontSize: 11, marginBottom: 4, display: 'block' }}>
+                                            Mobilization Lead Time (days)
+                                        </Text>
+                                        <InputNumber
+                                            style={{ width: '100%' }}
+                                            min={0}
+                                            max={365}
+                                            step={1}
+                                            value={repairPackageSnapshot.crane?.mobilizationDays ?? null}
+                                            onChange={(value) => handleCraneChange('mobilizationDays', value)}
+                                            placeholder={`${CRANE_LOGISTICS_DEFAULTS[repairPackageSnapshot.crane.type].mobilizationDays} (default)`}
+                                        />
+                                    </div>
+
+                                    <div>
+                                        <Text type="secondary" style={{ fontSize: 11, marginBottom: 4, display: 'block' }}>
+                                            Maximum Wind Speed (m/s)
+                                        </Text>
+                                        <InputNumber
+                                            style={{ width: '100%' }}
+                                            min={1}
+                                            step={0.5}
+                                            value={repairPackageSnapshot.crane?.maxWindSpeed ?? null}
+                                            onChange={(value) => handleCraneChange('maxWindSpeed', value)}
+                                            placeholder={`${CRANE_LOGISTICS_DEFAULTS[repairPackageSnapshot.crane.type].maxWindSpeed} (default)`}
+                                        />
+                                    </div>
+                                </ResponsiveFieldRow>
+                            )}
                         </div>
                     ) : (
                         // Standard cost section
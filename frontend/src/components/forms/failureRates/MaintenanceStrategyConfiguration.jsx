@@ -0,0 +1,102 @@
+// frontend/src/components/forms/failureRates/MaintenanceStrategyConfiguration.jsx
+import React from 'react';
+import { Radio, Space, Typography } from 'antd';
+import { ToolOutlined } from '@ant-design/icons';
+import { useScenario } from 'contexts/ScenarioContext';
+import {
+    FormRow,
+    FormCol,
+    NumberField,
+    PercentageField,
+    CurrencyField
+} from 'components/contextFields';
+import { MaintenanceStrategySchema } from 'schemas/yup/componentFailureRates';
+
+const { Text } = Typography;
+
+const STRATEGY_OPTIONS = [
+    { value: 'runToFailure', label: 'Run to Failure' },
+    { value: 'ageBased', label: 'Age-Based Replacement' },
+    { value: 'conditionBased', label: 'Condition Monitoring' }
+];
+
+/**
+ * Maintenance strategy of one failure rate component
+ * Components saved before strategies existed get the schema defaults when a strategy is first chosen
+ */
+const MaintenanceStrategyConfiguration = ({ componentId }) => {
+    const { getValueByPath, updateByPath } = useScenario();
+    const basePath = ['settings', 'project', 'equipment', 'failureRates', 'components', componentId, 'maintenanceStrategy'];
+    const strategy = getValueByPath(basePath, null);
+    const type = strategy?.type || 'runToFailure';
+
+    const handleTypeChange = (event) => {
+        updateByPath(basePath, { ...MaintenanceStrategySchema.getDefault(), ...(strategy || {}), type: event.target.value });
+    };
+
+    return (
+        <div style={{ backgroundColor: 'white', padding: '16px', borderRadius: '6px', border: '1px solid #d9d9d9', marginBottom: 16 }}>
+            <Space wrap style={{ marginBottom: type === 'runToFailure' ? 0 : 16 }}>
+                <ToolOutlined style={{ color: '#1890ff' }} />
+                <Text strong>Maintenance Strategy</Text>
+                <Radio.Group value={type} onChange={handleTypeChange} optionType="button" size="small" options={STRATEGY_OPTIONS} />
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                    Compare strategies by NPV on the Cashflow page
+                </Text>
+            </Space>
+
+            {type === 'ageBased' && (
+                <FormRow>
+                    <FormCol span={8}>
+                        <NumberField
+                            path={[...basePath, 'ageBased', 'replacementAge']}
+                            label="Replace Every"
+                            tooltip="Every unit is replaced at this age, restarting its wear-out curve (no replacement in the final project year)"
+                            min={1}
+                            precision={0}
+                            addonAfter="years"
+                        />
+                    </FormCol>
+                    <FormCol span={8}>
+                        <PercentageField
+                            path={[...basePath, 'ageBased', 'plannedCostFactor']}
+                            label="Planned Replacement Cost"
+                            tooltip="Cost of a planned replacement as a share of an unplanned failure's cost"
+                            decimalStorage
+                        />
+                    </FormCol>
+                </FormRow>
+            )}
+
+            {type === 'conditionBased' && (
+                <FormRow>
+                    <FormCol span={8}>
+                        <PercentageField
+                            path={[...basePath, 'conditionBased', 'detectionProbability']}
+                            label="Detection Probability"
+                            tooltip="Share of failures detected early enough to be repaired as planned work"
+                            decimalStorage
+                        />
+                    </FormCol>
+                    <FormCol span={8}>
+                        <PercentageField
+                            path={[...basePath, 'conditionBased', 'plannedCostFactor']}
+                            label="Planned Repair Cost"
+                            tooltip="Cost of a planned repair of a detected fault as a share of an unplanned failure's cost"
+                            decimalStorage
+                        />
+                    </FormCol>
+                    <FormCol span={8}>
+                        <CurrencyField
+                            path={[...basePath, 'conditionBased', 'monitoringCostPerUnit']}
+                            label="Monitoring Cost per Unit"
+                            tooltip="Annual condition monitoring (CMS) cost per installed unit"
+                        />
+                    </FormCol>
+                </FormRow>
+            )}
+        </div>
+    );
+};
+
+export default MaintenanceStrategyConfiguration;
@@ -0,0 +1,161 @@
+// frontend/src/components/forms/failureRates/RepairLogisticsConfiguration.jsx
+import React from 'react';
+import { Card, Switch, Space, Typography, Table, Tag } from 'antd';
+import { CloudOutlined } from '@ant-design/icons';
+import { useScenario } from 'contexts/ScenarioContext';
+import {
+    FormRow,
+    FormCol,
+    NumberField,
+    PercentageField,
+    SelectField,
+    SwitchField
+} from 'components/contextFields';
+import { RepairLogisticsSchema } from 'schemas/yup/repairPackage';
+
+const { Text } = Typography;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const MONTH_OPTIONS = MONTHS.map((label, index) => ({ value: index + 1, label }));
+
+const CRANE_LABELS = {
+    mobile: 'Mobile crane',
+    crawler: 'Crawler crane',
+    tower: 'Tower crane',
+    special: 'Special equipment',
+    jackUp: 'Jack-up vessel'
+};
+
+/**
+ * Crane and vessel logistics of major repairs in the failure-event simulation, with the monthly workability and
+ * mobilisations of the last run
+ * Scenarios saved before repair logistics existed get the schema defaults when logistics are first enabled
+ */
+const RepairLogisticsConfiguration = () => {
+    const { getValueByPath, updateByPath } = useScenario();
+    const basePath = ['settings', 'project', 'equipment', 'failureRates', 'logistics'];
+    const logistics = getValueByPath(basePath, null);
+    const enabled = logistics?.enabled === true;
+    const lastRun = getValueByPath(['simulation', 'inputSim', 'failureEvents', 'simulationInfo', 'logistics'], null);
+
+    const handleToggle = (checked) => {
+        updateByPath(basePath, { ...RepairLogisticsSchema.getDefault(), ...(logistics || {}), enabled: checked });
+    };
+
+    const workability = Object.entries(lastRun?.weather?.workability || {}).map(([type, months]) => ({
+        key: type,
+        crane: CRANE_LABELS[type] || type,
+        mobilizations: lastRun.meanMobilizations?.[type] ?? null,
+        ...months.reduce((row, value, month) => ({ ...row, [month]: value }), {})
+    }));
+
+    const workabilityColumns = [
+        { title: 'Crane', dataIndex: 'crane', key: 'crane', fixed: 'left' },
+        ...MONTHS.map((label, month) => ({
+            title: label,
+            dataIndex: month,
+            key: label,
+            align: 'right',
+            render: (value) => `${Math.round(value * 100)}%`
+        })),
+        {
+            title: 'Mobilisations (mean)',
+            dataIndex: 'mobilizations',
+            key: 'mobilizations',
+            align: 'right',
+            render: (value) => (value === null ? '-' : value.toFixed(1))
+        }
+    ];
+
+    return (
+        <Card
+            title={
+                <Space>
+                    <CloudOutlined style={{ color: '#1890ff' }} />
+                    <span>Repair Logistics</span>
+                </Space>
+            }
+            style={{ marginBottom: 24 }}
+            extra={<Switch checked={enabled} onChange={handleToggle} checkedChildren="Enabled" unCheckedChildren="Disabled" />}
+        >
+            <Text type="secondary" style={{ display: 'block', marginBottom: enabled ? 16 : 0 }}>
+                Repairs needing a crane or jack-up vessel wait for its mobilisation lead time and for workable weather in
+                the failure-event simulation. Lead times and wind limits come from each repair package's crane (crane
+                type defaults when left blank).
+            </Text>
+
+            {enabled && (
+                <>
+                    <FormRow>
+                        <FormCol span={6}>
+                            <SwitchField
+                                path={[...basePath, 'weather', 'enabled']}
+                                label="Weather Windows"
+                                tooltip="Lifts only happen on days with wind below the crane's limit, drawn from the site wind speeds"
+                            />
+                        </FormCol>
+                        <FormCol span={6}>
+                            <PercentageField
+                                path={[...basePath, 'weather', 'seasonalAmplitude']}
+                                label="Seasonal Swing"
+                                tooltip="How far the monthly mean wind speed swings above and below the site mean over the year"
+                                decimalStorage
+                                max={90}
+                                disabled={logistics?.weather?.enabled === false}
+                            />
+                        </FormCol>
+                        <FormCol span={6}>
+                            <SelectField
+                                path={[...basePath, 'weather', 'windiestMonth']}
+                                label="Windiest Month"
+                                tooltip="Calendar month of the highest mean wind speed"
+                                options={MONTH_OPTIONS}
+                                disabled={logistics?.weather?.enabled === false}
+                            />
+                        </FormCol>
+                    </FormRow>
+                    <FormRow>
+                        <FormCol span={6}>
+                            <SwitchField
+                                path={[...basePath, 'batching', 'enabled']}
+                                label="Batch Repairs"
+                                tooltip="A mobilised crane also serves other repairs of its type that fail before it leaves site, saving their mobilisation"
+                            />
+                        </FormCol>
+                        <FormCol span={6}>
+                            <NumberField
+                                path={[...basePath, 'batching', 'holdDays']}
+                                label="Hold on Site"
+                                tooltip="Days a crane stays on site after its last repair waiting for further failures"
+                                min={0}
+                                max={365}
+                                addonAfter="days"
+                                disabled={logistics?.batching?.enabled === false}
+                            />
+                        </FormCol>
+                    </FormRow>
+
+                    {lastRun?.weather && (
+                        <Space direction="vertical" style={{ width: '100%' }}>
+                            <Space wrap>
+                                <Text strong>Workable days by month (last run)</Text>
+                                <Tag>Site mean {lastRun.weather.meanWindSpeed.toFixed(1)} m/s</Tag>
+                                <Tag>Weibull k {lastRun.weather.shape.toFixed(2)}</Tag>
+                            </Space>
+                            <Table
+                                columns={workabilityColumns}
+                                dataSource={workability}
+                                pagination={false}
+                                size="small"
+                                scroll={{ x: true }}
+                            />
+                        </Space>
+                    )}
+                </>
+            )}
+        </Card>
+    );
+};
+
+export default RepairLogisticsConfiguration;
@@ -0,0 +1,146 @@
+// frontend/src/components/forms/failureRates/SerialDefectConfiguration.jsx
+import React from 'react';
+import { Switch, Space, Typography } from 'antd';
+import { WarningOutlined } from '@ant-design/icons';
+import { useScenario } from 'contexts/ScenarioContext';
+import {
+    FormRow,
+    FormCol,
+    NumberField,
+    PercentageField,
+    CurrencyField,
+    SwitchField
+} from 'components/contextFields';
+import { SerialDefectSchema } from 'schemas/yup/componentFailureRates';
+
+const { Text } = Typography;
+
+/**
+ * Serial defect (fleet-wide campaign) risk of one failure rate component
+ * Components saved before serial defects existed get the schema defaults when the risk is first enabled
+ */
+const SerialDefectConfiguration = ({ componentId }) => {
+    const { getValueByPath, updateByPath } = useScenario();
+    const basePath = ['settings', 'project', 'equipment', 'failureRates', 'components', componentId, 'serialDefect'];
+    const serialDefect = getValueByPath(basePath, null);
+    const enabled = serialDefect?.enabled === true;
+
+    const handleToggle = (checked) => {
+        updateByPath(basePath, { ...SerialDefectSchema.getDefault(), ...(serialDefect || {}), enabled: checked });
+    };
+
+    return (
+        <div style={{ backgroundColor: 'white', padding: '16px', borderRadius: '6px', border: '1px solid #d9d9d9', marginBottom: 16 }}>
+            <Space style={{ marginBottom: enabled ? 16 : 0 }}>
+                <Switch size="small" checked={enabled} onChange={handleToggle} />
+                <WarningOutlined style={{ color: '#fa8c16' }} />
+                <Text strong>Serial Defect Risk</Text>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                    Fleet-wide design or manufacturing defect requiring a retrofit campaign
+                </Text>
+            </Space>
+
+            {enabled && (
+                <>
+                    <FormRow>
+                        <FormCol span={8}>
+                            <PercentageField
+                                path={[...basePath, 'probability']}
+                                label="Probability of Occurrence"
+                                tooltip="Chance the defect surfaces at all over the project life"
+                                decimalStorage
+                                step={1}
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <NumberField
+                                path={[...basePath, 'onsetStartYear']}
+                                label="Onset From Year"
+                                tooltip="Earliest project year the defect can surface"
+                                min={1}
+                                precision={0}
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <NumberField
+                                path={[...basePath, 'onsetEndYear']}
+                                label="Onset To Year"
+                                tooltip="Latest project year the defect can surface (onset is equally likely in any year of the window)"
+                                min={1}
+                                precision={0}
+                            />
+                        </FormCol>
+                    </FormRow>
+                    <FormRow>
+                        <FormCol span={8}>
+                            <PercentageField
+                                path={[...basePath, 'fleetFraction']}
+                                label="Fleet Affected"
+                                tooltip="Share of the installed units needing the campaign fix"
+                                decimalStorage
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <CurrencyField
+                                path={[...basePath, 'campaignCostPerUnit']}
+                                label="Campaign Cost per Unit"
+                                tooltip="Cost of fixing one affected unit (parts, labour, crane)"
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <NumberField
+                                path={[...basePath, 'campaignDurationYears']}
+                                label="Campaign Duration"
+                                tooltip="Time to work through all affected units after the defect surfaces"
+                                min={0}
+                                step={0.5}
+                                addonAfter="years"
+                            />
+                        </FormCol>
+                    </FormRow>
+                    <FormRow>
+                        <FormCol span={8}>
+                            <NumberField
+                                path={[...basePath, 'downtimeDaysPerUnit']}
+                                label="Downtime per Unit"
+                                tooltip="Turbine outage while one unit is fixed"
+                                min={0}
+                                addonAfter="days"
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <SwitchField
+                                path={[...basePath, 'warranty', 'enabled']}
+                                label="OEM Warranty Coverage"
+                                tooltip="The OEM pays part of campaigns for defects surfacing within the warranty period"
+                            />
+                        </FormCol>
+                        {serialDefect?.warranty?.enabled && (
+                            <>
+                                <FormCol span={4}>
+                                    <PercentageField
+                                        path={[...basePath, 'warranty', 'coverage']}
+                                        label="Coverage"
+                                        tooltip="Share of the campaign cost paid by the OEM"
+                                        decimalStorage
+                                    />
+                                </FormCol>
+                                <FormCol span={4}>
+                                    <NumberField
+                                        path={[...basePath, 'warranty', 'endYear']}
+                                        label="Until Year"
+                                        tooltip="Defects surfacing up to this project year are covered"
+                                        min={0}
+                                        precision={0}
+                                    />
+                                </FormCol>
+                            </>
+                        )}
+                    </FormRow>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SerialDefectConfiguration;
@@ -0,0 +1,178 @@
+// frontend/src/components/forms/failureRates/SparesConfiguration.jsx
+import React, { useMemo } from 'react';
+import { Switch, Space, Typography, Alert, Button } from 'antd';
+import { InboxOutlined, CheckOutlined } from '@ant-design/icons';
+import { useScenario } from 'contexts/ScenarioContext';
+import {
+    FormRow,
+    FormCol,
+    NumberField,
+    PercentageField,
+    CurrencyField,
+    SelectField
+} from 'components/contextFields';
+import { SparesSchema } from 'schemas/yup/componentFailureRates';
+import { recommendSpares } from 'utils/sparesUtils';
+
+const { Text } = Typography;
+
+const REORDER_POLICY_OPTIONS = [
+    { value: 'oneForOne', label: 'One-for-One' },
+    { value: 'reorderPoint', label: 'Reorder Point' }
+];
+
+/**
+ * Spare parts inventory of one failure rate component, with the stock level recommended for its service level
+ * Components saved before spares existed get the schema defaults when the inventory is first enabled
+ */
+const SparesConfiguration = ({ componentId }) => {
+    const { getValueByPath, updateByPath } = useScenario();
+    const componentPath = ['settings', 'project', 'equipment', 'failureRates', 'components', componentId];
+    const basePath = [...componentPath, 'spares'];
+    const component = getValueByPath(componentPath, null);
+    const spares = component?.spares;
+    const enabled = spares?.enabled === true;
+    const percentile = getValueByPath(['settings', 'simulation', 'primaryPercentile'], 50);
+
+    const recommendation = useMemo(() => {
+        if (!enabled) return null;
+        return recommendSpares({ ...component, spares: { ...SparesSchema.getDefault(), ...spares } }, {
+            projectLife: getValueByPath(['settings', 'general', 'projectLife'], 20),
+            numWTGs: getValueByPath(['settings', 'project', 'windFarm', 'numWTGs'], 1),
+            wtgPlatformType: getValueByPath(['settings', 'project', 'windFarm', 'wtgPlatformType'], 'geared'),
+            failureRateResults: getValueByPath(['simulation', 'inputSim', 'failureRates'], null),
+            stressFactors: getValueByPath(['settings', 'project', 'environment', 'stressFactors'], null)
+        }, percentile);
+    }, [enabled, component, spares, percentile, getValueByPath]);
+
+    const handleToggle = (checked) => {
+        updateByPath(basePath, { ...SparesSchema.getDefault(), ...(spares || {}), enabled: checked });
+    };
+
+    const handleUseRecommendation = () => {
+        updateByPath({
+            [[...basePath, 'stockLevel'].join('.')]: recommendation.stockLevel,
+            [[...basePath, 'reorderPoint'].join('.')]: recommendation.reorderPoint
+        });
+    };
+
+    const isRecommended = recommendation && spares.stockLevel === recommendation.stockLevel
+        && (spares.reorderPolicy !== 'reorderPoint' || spares.reorderPoint === recommendation.reorderPoint);
+
+    return (
+        <div style={{ backgroundColor: 'white', padding: '16px', borderRadius: '6px', border: '1px solid #d9d9d9', marginBottom: 16 }}>
+            <Space style={{ marginBottom: enabled ? 16 : 0 }}>
+                <Switch size="small" checked={enabled} onChange={handleToggle} />
+                <InboxOutlined style={{ color: '#722ed1' }} />
+                <Text strong>Spare Parts Inventory</Text>
+                <Text type="secondary" style={{ fontSize: 12 }}>
+                    Failures without a spare on hand wait for a delivery in the failure-event simulation
+                </Text>
+            </Space>
+
+            {enabled && (
+                <>
+                    <FormRow>
+                        <FormCol span={8}>
+                            <NumberField
+                                path={[...basePath, 'stockLevel']}
+                                label="Stock Level"
+                                tooltip="Spares held at COD and the target stock of the one-for-one policy"
+                                min={0}
+                                precision={0}
+                                addonAfter="units"
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <NumberField
+                                path={[...basePath, 'leadTimeDays']}
+                                label="Procurement Lead Time"
+                                tooltip="Time from placing an order to the spare arriving on site"
+                                min={0}
+                                addonAfter="days"
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <SelectField
+                                path={[...basePath, 'reorderPolicy']}
+                                label="Reorder Policy"
+                                tooltip="One-for-one orders a replacement for every spare used; reorder point orders a batch when stock on hand plus on order falls to the reorder point"
+                                options={REORDER_POLICY_OPTIONS}
+                            />
+                        </FormCol>
+                    </FormRow>
+                    <FormRow>
+                        <FormCol span={8}>
+                            <CurrencyField
+                                path={[...basePath, 'unitCost']}
+                                label="Spare Unit Cost"
+                                tooltip="Purchase price of one spare (the initial stock is bought at COD)"
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <PercentageField
+                                path={[...basePath, 'holdingCostRate']}
+                                label="Annual Holding Cost"
+                                tooltip="Storage, insurance and capital cost per year as a share of the unit cost of each spare on hand"
+                                decimalStorage
+                            />
+                        </FormCol>
+                        <FormCol span={8}>
+                            <PercentageField
+                                path={[...basePath, 'serviceLevel']}
+                                label="Target Service Level"
+                                tooltip="Share of failures that should find a spare on hand, used for the recommended stock level"
+                                decimalStorage
+                            />
+                        </FormCol>
+                    </FormRow>
+                    {spares.reorderPolicy === 'reorderPoint' && (
+                        <FormRow>
+                            <FormCol span={8}>
+                                <NumberField
+                                    path={[...basePath, 'reorderPoint']}
+                                    label="Reorder Point"
+                                    tooltip="An order is placed when stock on hand plus on order falls to this level"
+                                    min={0}
+                                    precision={0}
+                                    addonAfter="units"
+                                />
+                            </FormCol>
+                            <FormCol span={8}>
+                                <NumberField
+                                    path={[...basePath, 'orderQuantity']}
+                                    label="Order Quantity"
+                                    tooltip="Spares per order"
+                                    min={1}
+                                    precision={0}
+                                    addonAfter="units"
+                                />
+                            </FormCol>
+                        </FormRow>
+                    )}
+
+                    {recommendation && (
+                        <Alert
+                            type={isRecommended ? 'success' : 'info'}
+                            showIcon
+                            message={`Recommended stock: ${recommendation.stockLevel} units${spares.reorderPolicy === 'reorderPoint' ? `, reorder point ${recommendation.reorderPoint}` : ''}`}
+                            description={[
+                                `Peak demand ${recommendation.annualDemand.toFixed(2)} failures/year (P${percentile})`,
+                                `${(recommendation.fillRate * 100).toFixed(1)}% of failures served from stock`,
+                                `${recommendation.expectedStockouts.toFixed(2)} stock-outs/year`,
+                                recommendation.annualHoldingCost > 0 && `holding cost ${Math.round(recommendation.annualHoldingCost).toLocaleString()}/year`
+                            ].filter(Boolean).join(' · ')}
+                            action={!isRecommended && (
+                                <Button size="small" icon={<CheckOutlined />} onClick={handleUseRecommendation}>
+                                    Use
+                                </Button>
+                            )}
+                        />
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SparesConfiguration;
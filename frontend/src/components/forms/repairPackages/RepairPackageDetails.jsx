@@ -66,11 +66,14 @@ const RepairPackageDetails = ({ record }) => {
                   crane.type === 'mobile' ? 'blue' :
                   crane.type === 'crawler' ? 'red' :
                   crane.type === 'tower' ? 'purple' :
-                  crane.type === 'special' ? 'orange' : 'default'
+                  crane.type === 'special' ? 'orange' :
+                  crane.type === 'jackUp' ? 'cyan' : 'default'
                 }>
                   {crane.type?.charAt(0).toUpperCase() + crane.type?.slice(1)}
                 </Tag>
                 {crane.minimumDays > 0 && <span> (min {crane.minimumDays} days)</span>}
+                {crane.mobilizationDays != null && <span> · mobilises in {crane.mobilizationDays} days</span>}
+                {crane.maxWindSpeed != null && <span> · max {crane.maxWindSpeed} m/s</span>}
               </div>
             )}
 
@@ -18,6 +18,7 @@ import {
 
 // Import color scheme helper for consistent styling
 import { getMarketFactorColorScheme } from 'utils/charts/colors';
+import { CRANE_LOGISTICS_DEFAULTS } from 'schemas/yup/repairPackage';
 
 const { Option } = Select;
 const { TextArea } = Input;
@@ -37,7 +38,8 @@ const CRANE_TYPES = [
   { value: 'mobile', label: 'Mobile Crane' },
   { value: 'crawler', label: 'Crawler Crane (Heavy lift)' },
   { value: 'tower', label: 'Tower Crane (Blade work)' },
-  { value: 'special', label: 'Special Equipment' }
+  { value: 'special', label: 'Special Equipment' },
+  { value: 'jackUp', label: 'Jack-Up Vessel (Offshore)' }
 ];
 
 
@@ -390,6 +392,40 @@ const RepairPackageForm = ({ form, initialValues = {} }) => {
                       />
                     </Form.Item>
                   </ResponsiveFieldRow>
+
+                  {CRANE_LOGISTICS_DEFAULTS[craneValues.type] && (
+                    <ResponsiveFieldRow layout="twoColumn">
+                      <Form.Item
+                        name={['crane', 'mobilizationDays']}
+                        label="Mobilization Lead Time (days)"
+                        tooltip="Days from a failure to the crane or vessel arriving on site when repair logistics are modelled (blank uses the crane type default)"
+                        rules={[
+                          { type: 'number', min: 0, max: 365, message: 'Days must be between 0 and 365' }
+                        ]}
+                      >
+                        <InputNumber
+                          style={{ width: '100%' }}
+                          min={0}
+                          max={365}
+                          step={1}
+                          placeholder={`${CRANE_LOGISTICS_DEFAULTS[craneValues.type].mobilizationDays} (default)`}
+                        />
+                      </Form.Item>
+
+                      <Form.Item
+                        name={['crane', 'maxWindSpeed']}
+                        label="Maximum Wind Speed (m/s)"
+                        tooltip="Lifts wait for days with wind below this limit when repair logistics model the weather (blank uses the crane type default)"
+                      >
+                        <InputNumber
+                          style={{ width: '100%' }}
+                          min={1}
+                          step={0.5}
+                          placeholder={`${CRANE_LOGISTICS_DEFAULTS[craneValues.type].maxWindSpeed} (default)`}
+                        />
+                      </Form.Item>
+                    </ResponsiveFieldRow>
+                  )}
                 </div>
               ),
               style: { borderLeft: `4px solid ${getMarketFactorColorScheme('crane')}` }
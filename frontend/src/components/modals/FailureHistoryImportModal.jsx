@@ -0,0 +1,340 @@
+// src/components/modals/FailureHistoryImportModal.jsx - Calibrate failure rate components from a CMMS / work-order export
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal, Steps, Upload, Select, Table, Button, Space, Typography, Alert, Radio, Switch, DatePicker, Tag, message } from 'antd';
+import { InboxOutlined, FileSearchOutlined } from '@ant-design/icons';
+import { useScenario } from 'contexts/ScenarioContext';
+import { generateFailureModels } from 'api/scenarios';
+import { formatNumber } from 'utils/formatUtils';
+import {
+    FAILURE_HISTORY_FIELDS,
+    parseFailureHistoryFile,
+    guessColumnMapping,
+    getDistinctValues,
+    matchComponentId,
+    buildFailureRecords,
+    aggregateFailureHistory,
+    calibrateDistribution
+} from 'utils/failureHistoryUtils';
+
+const { Text } = Typography;
+
+const COMPONENTS_PATH = ['settings', 'project', 'equipment', 'failureRates', 'components'];
+
+const formatOptional = (value, decimals, suffix = '') => (value === null || value === undefined ? '-' : `${formatNumber(value, decimals)}${suffix}`);
+
+/**
+ * Import a fleet failure history and calibrate the failure rate components from it
+ * Files are parsed in the browser; only the aggregated yearly failure rates are sent to the fit endpoint.
+ */
+const FailureHistoryImportModal = ({ open, onClose }) => {
+    const { scenarioData, getValueByPath, updateByPath, hasUnsavedChanges, updateScenario } = useScenario();
+    const [step, setStep] = useState(0);
+    const [file, setFile] = useState(null); // { name, headers, rows }
+    const [mapping, setMapping] = useState({});
+    const [componentMap, setComponentMap] = useState({});
+    const [dayFirst, setDayFirst] = useState(true);
+    const [endDate, setEndDate] = useState(null);
+    const [fitMethod, setFitMethod] = useState('mle');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [parsing, setParsing] = useState(false);
+    const [applying, setApplying] = useState(false);
+
+    const components = getValueByPath(COMPONENTS_PATH, {});
+    const numWTGs = getValueByPath(['settings', 'project', 'windFarm', 'numWTGs'], 0);
+    const wtgPlatformType = getValueByPath(['settings', 'project', 'windFarm', 'wtgPlatformType'], 'geared');
+    const codDate = getValueByPath(['settings', 'project', 'windFarm', 'codDate'], null);
+    const projectLife = getValueByPath(['settings', 'general', 'projectLife'], 20);
+    const scenarioId = scenarioData?._id;
+
+    // Start over whenever the modal is reopened
+    useEffect(() => {
+        if (open) {
+            setStep(0);
+            setFile(null);
+            setMapping({});
+            setComponentMap({});
+            setEndDate(null);
+        }
+    }, [open]);
+
+    const componentValues = useMemo(() => (
+        file && mapping.component !== null && mapping.component !== undefined ? getDistinctValues(file.rows, mapping.component) : []
+    ), [file, mapping.component]);
+
+    // Suggest the matching component for each export value when the component column changes
+    useEffect(() => {
+        const componentList = Object.values(components);
+        setComponentMap(componentValues.reduce((result, { value }) => ({ ...result, [value]: matchComponentId(value, componentList) }), {}));
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [componentValues]);
+
+    const { records, errors, ignored } = useMemo(() => (
+        file ? buildFailureRecords(file.rows, mapping, componentMap, { dayFirst }) : { records: [], errors: [], ignored: 0 }
+    ), [file, mapping, componentMap, dayFirst]);
+
+    const { summaries, warnings } = useMemo(() => aggregateFailureHistory(records, {
+        components,
+        numWTGs,
+        wtgPlatformType,
+        codDate,
+        endDate: endDate ? endDate.toDate() : null
+    }), [records, components, numWTGs, wtgPlatformType, codDate, endDate]);
+
+    useEffect(() => {
+        setSelectedIds(summaries.filter(summary => summary.units > 0).map(summary => summary.componentId));
+    }, [summaries]);
+
+    const missingFields = FAILURE_HISTORY_FIELDS.filter(field => field.required && (mapping[field.key] === null || mapping[field.key] === undefined));
+
+    const handleFile = async (selected) => {
+        setParsing(true);
+        try {
+            const { headers, rows } = await parseFailureHistoryFile(selected);
+            setFile({ name: selected.name, headers, rows });
+            setMapping(guessColumnMapping(headers));
+            setStep(1);
+        } catch (error) {
+            message.error(`Could not read ${selected.name}: ${error.message}`);
+        } finally {
+            setParsing(false);
+        }
+        return false; // Parsed locally, never uploaded
+    };
+
+    // Weibull fit of the selected components; the endpoint stores the models on the saved scenario
+    const fitSelected = async (selected) => {
+        if (hasUnsavedChanges && !(await updateScenario())) {
+            return null;
+        }
+        const response = await generateFailureModels(scenarioId, {
+            method: fitMethod,
+            historicalData: selected.map(summary => ({ component: summary.componentName, historicalData: summary.historicalData }))
+        });
+        if (!response?.success) {
+            message.error('Failed to fit failure models: ' + (response?.error || 'Unknown error'));
+            return null;
+        }
+        return response.data.models;
+    };
+
+    const handleApply = async () => {
+        const selected = summaries.filter(summary => selectedIds.includes(summary.componentId));
+        setApplying(true);
+        try {
+            const updates = {};
+            let models = null;
+            if (fitMethod !== 'none') {
+                models = await fitSelected(selected);
+                if (!models) return;
+                updates['settings.modules.cost.failureModels'] = models;
+            }
+
+            const unfitted = [];
+            selected.forEach(summary => {
+                const model = models?.find(entry => entry.majorComponent?.name?.toLowerCase() === summary.componentName.toLowerCase());
+                const fit = model?.fit && summary.failures > 0
+                    ? { method: model.fit.diagnostics.method, beta: model.fit.parameters.beta, eta: model.fit.parameters.eta }
+                    : null;
+                if (models && !fit) unfitted.push(summary.componentName);
+
+                const { componentId, componentName, historicalData, ...history } = summary;
+                const failureHistory = { ...history, source: file.name, importedAt: new Date(), fit };
+                const basePath = [...COMPONENTS_PATH, componentId].join('.');
+                updates[`${basePath}.distribution`] = calibrateDistribution(components[componentId].distribution, failureHistory, projectLife);
+                updates[`${basePath}.failureHistory`] = failureHistory;
+                updates[`${basePath}.enabled`] = true;
+            });
+
+            const result = await updateByPath(updates);
+            if (!result?.isValid) {
+                message.error('Failed to apply failure history: ' + (result?.error || 'Unknown error'));
+                return;
+            }
+            if (unfitted.length > 0) {
+                message.warning(`No Weibull fit for ${unfitted.join(', ')}; the observed rate was applied`);
+            }
+            message.success(`Calibrated ${selected.length} component${selected.length === 1 ? '' : 's'} from ${file.name}`);
+            onClose();
+        } finally {
+            setApplying(false);
+        }
+    };
+
+    const mappingColumns = [
+        { title: 'Field', dataIndex: 'label', key: 'label', render: (label, field) => <Text>{label}{field.required && <Text type="danger"> *</Text>}</Text> },
+        {
+            title: 'Column',
+            key: 'column',
+            render: (_, field) => (
+                <Select
+                    value={mapping[field.key]}
+                    onChange={(value) => setMapping({ ...mapping, [field.key]: value })}
+                    placeholder="(not in file)"
+                    options={[
+                        { value: null, label: '(not in file)' },
+                        ...(file?.headers || []).map((header, index) => ({ value: index, label: header || `Column ${index + 1}` }))
+                    ]}
+                    style={{ width: 240 }}
+                />
+            )
+        },
+        { title: 'First Value', key: 'sample', render: (_, field) => <Text type="secondary">{mapping[field.key] !== null && mapping[field.key] !== undefined ? String(file?.rows[0]?.[mapping[field.key]] ?? '') : '-'}</Text> }
+    ];
+
+    const componentColumns = [
+        { title: 'Value in File', dataIndex: 'value', key: 'value' },
+        { title: 'Records', dataIndex: 'count', key: 'count', align: 'right' },
+        {
+            title: 'Component',
+            key: 'component',
+            render: (_, { value }) => (
+                <Select
+                    value={componentMap[value] ?? null}
+                    onChange={(componentId) => setComponentMap({ ...componentMap, [value]: componentId })}
+                    options={[
+                        { value: null, label: '(ignore)' },
+                        ...Object.values(components).map(component => ({ value: component.id, label: component.name }))
+                    ]}
+                    style={{ width: 200 }}
+                />
+            )
+        }
+    ];
+
+    const summaryColumns = [
+        { title: 'Component', dataIndex: 'componentName', key: 'componentName' },
+        { title: 'Units', dataIndex: 'units', key: 'units', align: 'right' },
+        { title: 'Failures', dataIndex: 'failures', key: 'failures', align: 'right' },
+        { title: 'Annual Rate', dataIndex: 'annualRate', key: 'annualRate', align: 'right', render: (value) => formatOptional(value * 100, 2, '%') },
+        {
+            title: 'Current Rate',
+            key: 'current',
+            align: 'right',
+            render: (_, { componentId }) => {
+                const parameters = components[componentId]?.distribution?.parameters || {};
+                const rate = parameters.value ?? parameters.mean ?? parameters.lambda;
+                return <Text type="secondary">{formatOptional(rate === undefined ? null : rate * 100, 2, '%')}</Text>;
+            }
+        },
+        { title: 'Mean Repair', dataIndex: 'meanRepairDays', key: 'meanRepairDays', align: 'right', render: (value) => formatOptional(value, 1, ' d') },
+        { title: 'P90 Repair', dataIndex: 'p90RepairDays', key: 'p90RepairDays', align: 'right', render: (value) => formatOptional(value, 1, ' d') },
+        { title: 'Mean Cost', dataIndex: 'meanCostPerEvent', key: 'meanCostPerEvent', align: 'right', render: (value) => formatOptional(value, 0) }
+    ];
+
+    const footer = [
+        <Button key="cancel" onClick={onClose}>Cancel</Button>,
+        step > 0 && <Button key="back" onClick={() => setStep(step - 1)}>Back</Button>,
+        step === 1 && (
+            <Button key="next" type="primary" disabled={missingFields.length > 0 || records.length === 0} onClick={() => setStep(2)}>
+                Review
+            </Button>
+        ),
+        step === 2 && (
+            <Button
+                key="apply"
+                type="primary"
+                loading={applying}
+                disabled={selectedIds.length === 0 || (fitMethod !== 'none' && !scenarioId)}
+                onClick={handleApply}
+            >
+                {fitMethod === 'none' ? 'Apply' : 'Fit & Apply'}
+            </Button>
+        )
+    ].filter(Boolean);
+
+    return (
+        <Modal
+            title={<Space><FileSearchOutlined />Import Failure History</Space>}
+            open={open}
+            onCancel={onClose}
+            width={960}
+            footer={footer}
+            destroyOnClose
+        >
+            <Steps
+                current={step}
+                size="small"
+                style={{ marginBottom: 24 }}
+                items={[{ title: 'Upload' }, { title: 'Map Columns' }, { title: 'Review & Apply' }]}
+            />
+
+            {step === 0 && (
+                <Upload.Dragger accept=".csv,.tsv,.txt,.xlsx" showUploadList={false} beforeUpload={handleFile} disabled={parsing}>
+                    <p className="ant-upload-drag-icon"><InboxOutlined /></p>
+                    <p className="ant-upload-text">Click or drag a work-order export here</p>
+                    <p className="ant-upload-hint">
+                        CSV or Excel (.xlsx) with one failure per row: turbine ID, component, failure date and optionally repair date and cost.
+                        The file is read in the browser and not uploaded.
+                    </p>
+                </Upload.Dragger>
+            )}
+
+            {step === 1 && file && (
+                <Space direction="vertical" style={{ width: '100%' }} size="middle">
+                    <Text type="secondary">{file.name}: {file.rows.length} rows</Text>
+                    <Table dataSource={FAILURE_HISTORY_FIELDS} columns={mappingColumns} rowKey="key" pagination={false} size="small" />
+                    <Space>
+                        <Switch size="small" checked={dayFirst} onChange={setDayFirst} />
+                        <Text>Day before month in text dates (31/12/2024)</Text>
+                    </Space>
+                    {missingFields.length > 0 && (
+                        <Alert type="warning" showIcon message={`Map the required columns: ${missingFields.map(field => field.label).join(', ')}`} />
+                    )}
+                    {componentValues.length > 0 && (
+                        <Table dataSource={componentValues} columns={componentColumns} rowKey="value" pagination={{ pageSize: 8, hideOnSinglePage: true }} size="small" />
+                    )}
+                </Space>
+            )}
+
+            {step === 2 && (
+                <Space direction="vertical" style={{ width: '100%' }} size="middle">
+                    <Space wrap>
+                        <Tag color="blue">{records.length} failures</Tag>
+                        {ignored > 0 && <Tag>{ignored} rows ignored</Tag>}
+                        {errors.length > 0 && <Tag color="orange">{errors.length} issues</Tag>}
+                        <Text type="secondary">
+                            Observed {formatOptional(summaries[0]?.observationYears, 1)} years from {codDate ? 'COD' : 'the first failure'} until
+                        </Text>
+                        <DatePicker value={endDate} onChange={setEndDate} placeholder="last record" size="small" />
+                    </Space>
+                    {warnings.map(warning => <Alert key={warning} type="warning" showIcon message={warning} />)}
+                    {errors.length > 0 && (
+                        <Table
+                            dataSource={errors}
+                            columns={[{ title: 'Row', dataIndex: 'row', key: 'row', width: 80 }, { title: 'Issue', dataIndex: 'message', key: 'message' }]}
+                            rowKey={(error) => `${error.row}-${error.message}`}
+                            pagination={{ pageSize: 5, hideOnSinglePage: true }}
+                            size="small"
+                        />
+                    )}
+                    <Table
+                        dataSource={summaries}
+                        columns={summaryColumns}
+                        rowKey="componentId"
+                        pagination={false}
+                        size="small"
+                        rowSelection={{ selectedRowKeys: selectedIds, onChange: setSelectedIds }}
+                    />
+                    <Space>
+                        <Text>Weibull fit:</Text>
+                        <Radio.Group value={fitMethod} onChange={(e) => setFitMethod(e.target.value)} optionType="button" size="small">
+                            <Radio.Button value="none">None</Radio.Button>
+                            <Radio.Button value="mle">Maximum Likelihood</Radio.Button>
+                            <Radio.Button value="bayesian">Bayesian Update</Radio.Button>
+                        </Radio.Group>
+                    </Space>
+                    {fitMethod !== 'none' && !scenarioId && (
+                        <Alert type="info" showIcon message="Save the scenario to fit Weibull models, or apply the observed rates without a fit" />
+                    )}
+                    <Text type="secondary" style={{ fontSize: 12 }}>
+                        Selected components get the observed (or fitted lifetime-average) annual rate as their failure rate distribution,
+                        the fitted shape for Weibull distributions, and the import summary. Repair durations and costs are shown for
+                        comparison with the repair packages.
+                    </Text>
+                </Space>
+            )}
+        </Modal>
+    );
+};
+
+export default FailureHistoryImportModal;
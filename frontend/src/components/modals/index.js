@@ -1,4 +1,5 @@
 // src/components/modals/index.js
 export { default as ConfirmationModal } from './ConfirmationModal';
 export { default as LoadScenarioModal } from './LoadScenarioModal';
-export { default as SaveScenarioModal } from './SaveScenarioModal';
\ No newline at end of file
+export { default as SaveScenarioModal } from './SaveScenarioModal';
+export { default as FailureHistoryImportModal } from './FailureHistoryImportModal';
@@ -4,6 +4,7 @@ import { message } from 'antd';
 import { useScenario } from './ScenarioContext';
 import { computeSourceData } from '../utils/cube/sources/processor';
 import { CASHFLOW_SOURCE_REGISTRY } from '../utils/cube/sources/registry';
+import { querySourceData } from '../utils/cube/sources/query';
 import { computeMetricsData } from '../utils/cube/metrics/processor';
 import { METRICS_REGISTRY } from '../utils/cube/metrics/registry';
 import { computeSensitivityMatrices } from 'utils/cube/sensitivity/processor';
@@ -13,6 +14,7 @@ import {
     isConstructionSourcesComplete
 } from '../utils/dependencies/checkFunctions';
 import { generateConstructionCostSources } from '../utils/drawdownUtils';
+import { createPercentileInfo } from '../utils/cube/runner';
 import { get, set } from 'lodash';
 
 const CubeContext = createContext();
@@ -147,23 +149,6 @@ export const CubeProvider = ({ children }) => {
     }, [refreshRequested, scenarioData, getValueByPath]); // ✅ FIXED: No dependencies - same as CashflowContext
 
 
-    const initializeCustomPercentiles = useCallback((existingCustom = {}, primaryPercentile = 50) => {
-        // Get sources with percentiles from registry (always scan registry)
-        const registrySources = CASHFLOW_SOURCE_REGISTRY.sources
-            .filter(source => source.hasPercentiles === true)
-            .map(source => source.id);
-
-        const customPercentiles = {};
-
-        // For each registry source with percentiles
-        registrySources.forEach(sourceId => {
-            // Use existing value if available, otherwise use primary percentile
-            customPercentiles[sourceId] = existingCustom[sourceId] || primaryPercentile;
-        });
-
-        return customPercentiles;
-    }, []);
-
     const initializePercentileInfo = useCallback(async (force = false) => {
         console.log('🔄 CubeContext: Stage 1 - Initializing percentile info...');
 
@@ -175,24 +160,7 @@ export const CubeProvider = ({ children }) => {
         }
 
         if (!existingPercentileData) {
-            // Get available percentiles from scenario settings
-            const availableFromSettings = getValueByPath(['settings', 'simulation', 'percentiles'])
-            const available = availableFromSettings.map(p => p.value) || [10, 25, 50, 75, 90];
-            const sortedAvailable = available.sort((a, b) => a - b);
-
-            // Use center item from available array
-            const centerIndex = Math.floor((sortedAvailable.length - 1) / 2);
-            const defaultPercentile = sortedAvailable[centerIndex];
-
-            const initializedCustom = initializeCustomPercentiles({}, defaultPercentile);
-
-            const newPercentileData = {
-                selected: defaultPercentile,
-                available: sortedAvailable,
-                primary: defaultPercentile,
-                custom: initializedCustom,
-                strategy: 'unified'
-            };
+            const newPercentileData = createPercentileInfo(getValueByPath, CASHFLOW_SOURCE_REGISTRY);
 
             // Save to ScenarioContext
             await updateByPath(['simulation', 'inputSim', 'cashflow', 'percentileData'], newPercentileData);
@@ -203,7 +171,7 @@ export const CubeProvider = ({ children }) => {
         }
 
         return existingPercentileData;
-    }, [getValueByPath, updateByPath, scenarioData?.settings?.simulation?.percentiles]);
+    }, [getValueByPath, updateByPath]);
 
     /**
      * ✅ FIXED: MINIMAL dependencies - only control flow
@@ -334,155 +302,11 @@ export const CubeProvider = ({ children }) => {
     }, [refreshCubeData]);
 
     /**
-     * Get filtered cube data with flexible filtering options
-     * @param {Object} filters - Filter parameters
-     * @param {number} [filters.percentile] - Filter by percentile value
-     * @param {string} [filters.sourceId] - Filter by source ID
-     * @param {Object} [filters.metadata] - Filter by metadata fields (exact matches)
+     * Get filtered cube data (see querySourceData in utils/cube/sources/query)
+     * @param {Object} filters - { percentile, sourceId, sourceIds, metadata }
      * @returns {Object} CubeSourceDataResponseSchema - Filtered data with dynamic keys
-     * @throws {Error} If neither sourceId nor percentile is provided
-     * ✅ Valid calls
-     * const energyData = getData({ sourceId: 'energyRevenue' });
-     * const medianData = getData({ percentile: 50 });
-     * const specificData = getData({ sourceId: 'energyRevenue', percentile: 50 });
-     * const costSources = getData({ percentile: 50, metadata: { cashflowGroup: 'cost' } });
-     * // ❌ Invalid calls - will throw error
-     * const invalidData = getData({}); // Error: requires either sourceId or percentile
-     * const invalidData2 = getData({ metadata: { category: 'energy' } }); // Error: requires either sourceId or percentile 
-    */
-    const getData = useCallback((filters = {}) => {
-        const { percentile, sourceId, sourceIds, metadata: metadataFilters } = filters;
-
-        // Validate required parameters - now includes sourceIds
-        if (!sourceId && !sourceIds && percentile === undefined) {
-            throw new Error('getData requires either sourceId, sourceIds, or percentile parameter');
-        }
-
-        if (!sourceData || !Array.isArray(sourceData)) {
-            return {};
-        }
-
-        // Optimized filtering - apply most selective filters first
-        let filteredSources = sourceData;
-
-        // Apply sourceId filter first (most selective) - single source
-        if (sourceId) {
-            filteredSources = filteredSources.filter(source => source.id === sourceId);
-            // Early return if no source found
-            if (filteredSources.length === 0) return {};
-        }
-        // ✅ NEW: Apply sourceIds filter (multiple sources with OR logic)
-        else if (sourceIds && Array.isArray(sourceIds)) {
-            filteredSources = filteredSources.filter(source => sourceIds.includes(source.id));
-            // Early return if no sources found
-            if (filteredSources.length === 0) return {};
-        }
-
-        // Apply metadata filters second (moderately selective)
-        if (metadataFilters && typeof metadataFilters === 'object') {
-            const filterEntries = Object.entries(metadataFilters);
-            if (filterEntries.length > 0) {
-                filteredSources = filteredSources.filter(source => {
-                    return filterEntries.every(([key, value]) =>
-                        source.metadata[key] === value
-                    );
-                });
-                // Early return if no sources match metadata filters
-                if (filteredSources.length === 0) return {};
-            }
-        }
-
-        const result = {};
-
-        // Mode 1: Only sourceId set (group by percentile)
-        if (sourceId && percentile === undefined) {
-            const source = filteredSources[0]; // Already filtered to single source
-
-            // Group by percentile for efficiency
-            const percentileGroups = new Map();
-            source.percentileSource.forEach(simResult => {
-                const percentileKey = simResult.percentile.value;
-                if (!percentileGroups.has(percentileKey)) {
-                    percentileGroups.set(percentileKey, []);
-                }
-                // Extract data from simResult.data array
-                simResult.data.forEach(dataPoint => {
-                    percentileGroups.get(percentileKey).push({
-                        year: dataPoint.year,
-                        value: dataPoint.value
-                    });
-                });
-            });
-
-            // Build result with percentile keys
-            percentileGroups.forEach((dataPoints, percentileKey) => {
-                result[percentileKey] = {
-                    data: dataPoints,
-                    metadata: source.metadata
-                };
-            });
-        }
-        // ✅ NEW: Mode 1b: Only sourceIds set (group by percentile, multiple sources)
-        else if (sourceIds && Array.isArray(sourceIds) && percentile === undefined) {
-            // For each source, group by percentile
-            filteredSources.forEach(source => {
-                const percentileGroups = new Map();
-                source.percentileSource.forEach(simResult => {
-                    const percentileKey = simResult.percentile.value;
-                    if (!percentileGroups.has(percentileKey)) {
-                        percentileGroups.set(percentileKey, []);
-                    }
-                    // Extract data from simResult.data array
-                    simResult.data.forEach(dataPoint => {
-                        percentileGroups.get(percentileKey).push({
-                            year: dataPoint.year,
-                            value: dataPoint.value
-                        });
-                    });
-                });
-
-                // Build result with percentile keys for this source
-                percentileGroups.forEach((dataPoints, percentileKey) => {
-                    if (!result[percentileKey]) {
-                        result[percentileKey] = {
-                            data: [],
-                            metadata: { sources: [] }
-                        };
-                    }
-                    result[percentileKey].data.push(...dataPoints);
-                    result[percentileKey].metadata.sources.push(source.metadata);
-                });
-            });
-        }
-        // Mode 2 & 3: Percentile set (group by sourceId)
-        else if (percentile !== undefined) {
-            filteredSources.forEach(source => {
-                // Pre-filter to specific percentile for efficiency
-                const dataPoints = [];
-                source.percentileSource.forEach(simResult => {
-                    if (simResult.percentile.value === percentile) {
-                        // Extract data from simResult.data array
-                        simResult.data.forEach(dataPoint => {
-                            dataPoints.push({
-                                year: dataPoint.year,
-                                value: dataPoint.value
-                            });
-                        });
-                    }
-                });
-
-                // Only add to result if we found data for this percentile
-                if (dataPoints.length > 0) {
-                    result[source.id] = {
-                        data: dataPoints,
-                        metadata: source.metadata
-                    };
-                }
-            });
-        }
-
-        return result;
-    }, [sourceData]);
+     */
+    const getData = useCallback((filters = {}) => querySourceData(sourceData, filters), [sourceData]);
 
 
     // In CubeContext.jsx - Add this function
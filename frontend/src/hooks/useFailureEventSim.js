@@ -0,0 +1,78 @@
+// src/hooks/useFailureEventSim.js
+import { useCallback, useState } from 'react';
+import { message } from 'antd';
+import { useScenario } from '../contexts/ScenarioContext';
+import { simulateFailureEvents } from '../api/simulation';
+
+/**
+ * Hook for running the discrete failure-event simulation and storing its results in simulation.inputSim.failureEvents
+ * @returns {Object} Failure-event simulation functions and state
+ */
+const useFailureEventSim = () => {
+    const { updateByPath, scenarioData } = useScenario();
+    const [loading, setLoading] = useState(false);
+
+    /**
+     * Simulate failures, downtime and repair costs per turbine and component
+     * @returns {Promise<boolean>} Success status
+     */
+    const runFailureEventSimulation = useCallback(async () => {
+        if (!scenarioData) return false;
+
+        try {
+            setLoading(true);
+
+            const params = {
+                settings: scenarioData.settings,
+                simulationSettings: {
+                    iterations: scenarioData.settings.simulation.iterations || 10000,
+                    seed: scenarioData.settings.simulation.seed || 42,
+                    years: scenarioData.settings.general.projectLife || 20,
+                    percentiles: scenarioData.settings.simulation.percentiles || [],
+                    randomGenerator: scenarioData.settings.simulation.randomGenerator || 'seedrandom',
+                    samplingMethod: scenarioData.settings.simulation.samplingMethod || 'random'
+                },
+                // Site wind speeds for the repair weather windows
+                windData: scenarioData.simulation?.inputSim?.distributionAnalysis?.windVariability?.results || null
+            };
+
+            const response = await simulateFailureEvents(params);
+
+            if (!response || !response.success) {
+                message.error('Failure event simulation failed: ' + (response?.error || 'Unknown error'));
+                return false;
+            }
+
+            const { simulationInfo, errors } = response.data;
+            const result = await updateByPath(['simulation', 'inputSim', 'failureEvents'], {
+                ...response.data,
+                simulationInfo: { ...simulationInfo, runAt: new Date() }
+            });
+
+            if (!result.isValid) {
+                message.error('Failed to store failure event simulation: ' + (result.error || 'Unknown error'));
+                return false;
+            }
+
+            if (errors && errors.length > 0) {
+                message.warning(errors.join('; '));
+            } else {
+                message.success(`Failure event simulation completed (${simulationInfo.iterations} iterations)`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error running failure event simulation:', error);
+            message.error('Failure event simulation failed: ' + error.message);
+            return false;
+        } finally {
+            setLoading(false);
+        }
+    }, [scenarioData, updateByPath]);
+
+    return {
+        loading,
+        runFailureEventSimulation
+    };
+};
+
+export default useFailureEventSim;
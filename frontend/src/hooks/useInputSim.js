@@ -1,8 +1,14 @@
 // src/hooks/useInputSim.js - Updated for new schema structure
-import { useCallback, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useScenario } from '../contexts/ScenarioContext';
 import { message } from 'antd';
-import { simulateDistributions, fitDistribution } from '../api/simulation';
+import {
+    submitSimulationJob,
+    followSimulationJob,
+    cancelSimulationJob,
+    getSimulationJobResult,
+    fitDistribution
+} from '../api/simulation';
 import { DistributionUtils } from '../utils/distributions';
 
 /**
@@ -13,6 +19,11 @@ const useInputSim = () => {
     const { updateByPath, scenarioData, getValueByPath } = useScenario();
     const [loading, setLoading] = useState(false);
     const [fittingDistribution, setFittingDistribution] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const activeJob = useRef(null);
+
+    // Stop following a running job when the page unmounts; the job itself keeps running
+    useEffect(() => () => activeJob.current?.close(), []);
 
     /**
      * Collect all distributions from hardcoded sources, market factors, and failure rates
@@ -91,14 +102,39 @@ const useInputSim = () => {
                     iterations: scenarioData.settings.simulation.iterations || 10000,
                     seed: scenarioData.settings.simulation.seed || 42,
                     years: scenarioData.settings.general.projectLife || 20,
-                    percentiles: scenarioData.settings.simulation.percentiles || []
+                    percentiles: scenarioData.settings.simulation.percentiles || [],
+                    randomGenerator: scenarioData.settings.simulation.randomGenerator || 'seedrandom',
+                    samplingMethod: scenarioData.settings.simulation.samplingMethod || 'random',
+                    autoStop: scenarioData.settings.simulation.autoStop || null,
+                    correlation: scenarioData.settings.simulation.correlation || null
                 }
             };
 
 
-            // Call simulation API
-            const response = await simulateDistributions(params);
+            // Queue the simulation and follow its progress
+            const submitted = await submitSimulationJob(params);
+            if (!submitted || !submitted.success) {
+                message.error('Failed to update distributions: ' + (submitted?.error || 'Unknown error'));
+                return false;
+            }
+
+            const jobId = submitted.data.id;
+            setProgress(submitted.data.progress);
+            const follower = followSimulationJob(jobId, job => setProgress(job.progress));
+            activeJob.current = { id: jobId, close: follower.close };
+
+            const job = await follower.done;
+            if (!job) return false; // Stopped following (unmounted)
+            if (job.status === 'cancelled') {
+                message.info('Simulation cancelled');
+                return false;
+            }
+            if (job.status === 'failed') {
+                message.error('Failed to update distributions: ' + (job.error || 'Unknown error'));
+                return false;
+            }
 
+            const response = await getSimulationJobResult(jobId);
 
             if (response && response.success) {
                 // Get all simulation results
@@ -203,10 +239,27 @@ const useInputSim = () => {
             message.error('An error occurred while updating distributions');
             return false;
         } finally {
+            activeJob.current = null;
+            setProgress(null);
             setLoading(false);
         }
     }, [scenarioData, updateByPath, collectAllDistributions]);
 
+    /**
+     * Cancel the running distribution simulation
+     * @returns {Promise<boolean>} Whether cancellation was requested
+     */
+    const cancelSimulation = useCallback(async () => {
+        if (!activeJob.current) return false;
+
+        const response = await cancelSimulationJob(activeJob.current.id);
+        if (!response || !response.success) {
+            message.error('Failed to cancel simulation: ' + (response?.error || 'Unknown error'));
+            return false;
+        }
+        return true;
+    }, []);
+
     /**
      * Fit distribution to time series data
      * @param {Object} distribution Distribution object
@@ -261,8 +314,10 @@ const useInputSim = () => {
 
     return {
         updateDistributions,
+        cancelSimulation,
         fitDistributionToData,
         loading,
+        progress,
         fittingDistribution
     };
 };
@@ -0,0 +1,84 @@
+// src/hooks/useOutputSim.js
+import { useCallback, useState } from 'react';
+import { message } from 'antd';
+import { useScenario } from '../contexts/ScenarioContext';
+import { simulateCashflow } from '../api/simulation';
+
+/**
+ * Hook for running the joint cashflow simulation and storing its results in simulation.outputSim
+ * @returns {Object} Output simulation functions and state
+ */
+const useOutputSim = () => {
+    const { updateByPath, scenarioData } = useScenario();
+    const [loading, setLoading] = useState(false);
+
+    /**
+     * Run the joint Monte Carlo simulation of the project cashflow
+     * @returns {Promise<boolean>} Success status
+     */
+    const runCashflowSimulation = useCallback(async () => {
+        if (!scenarioData) return false;
+
+        try {
+            setLoading(true);
+
+            const params = {
+                settings: scenarioData.settings,
+                simulationSettings: {
+                    iterations: scenarioData.settings.simulation.iterations || 10000,
+                    seed: scenarioData.settings.simulation.seed || 42,
+                    years: scenarioData.settings.general.projectLife || 20,
+                    percentiles: scenarioData.settings.simulation.percentiles || [],
+                    randomGenerator: scenarioData.settings.simulation.randomGenerator || 'seedrandom',
+                    samplingMethod: scenarioData.settings.simulation.samplingMethod || 'random',
+                    autoStop: scenarioData.settings.simulation.autoStop || null,
+                    correlation: scenarioData.settings.simulation.correlation || null
+                }
+            };
+
+            const response = await simulateCashflow(params);
+
+            if (!response || !response.success) {
+                message.error('Cashflow simulation failed: ' + (response?.error || 'Unknown error'));
+                return false;
+            }
+
+            const { metrics, sources, simulationInfo, errors } = response.data;
+
+            const result = await updateByPath({
+                'simulation.outputSim.IRR': metrics.IRR,
+                'simulation.outputSim.equityIRR': metrics.equityIRR,
+                'simulation.outputSim.NPV': metrics.NPV,
+                'simulation.outputSim.paybackPeriod': metrics.paybackPeriod,
+                'simulation.outputSim.minDSCR': metrics.minDSCR,
+                'simulation.outputSim.sources': sources,
+                'simulation.outputSim.simulationInfo': { ...simulationInfo, runAt: new Date() }
+            });
+
+            if (!result.isValid) {
+                message.error('Failed to store cashflow simulation: ' + (result.error || 'Unknown error'));
+                return false;
+            }
+
+            if (errors && errors.length > 0) {
+                message.warning(errors.join('; '));
+            } else {
+                message.success(`Cashflow simulation completed (${simulationInfo.iterations} iterations)`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error running cashflow simulation:', error);
+            message.error('Cashflow simulation failed: ' + error.message);
+            return false;
+        } finally {
+            setLoading(false);
+        }
+    }, [scenarioData, updateByPath]);
+
+    return {
+        loading,
+        runCashflowSimulation
+    };
+};
+
+export default useOutputSim;
@@ -13,6 +13,10 @@ import PercentileSelector from '../../components/forms/selectors/PercentileSelec
 // Import card components
 import CashflowTimelineCard from '../../components/cards/CashflowTimelineCard';
 import FinanceabilityCard from '../../components/cards/FinanceabilityCard';
+import CashflowTableCard from '../../components/cards/CashflowTableCard';
+import JointSimulationCard from '../../components/cards/JointSimulationCard';
+import RunHistoryCard from '../../components/cards/RunHistoryCard';
+import MaintenanceStrategyCard from '../../components/cards/MaintenanceStrategyCard';
 const { Title, Paragraph, Text } = Typography;
 
 // Simplified card registry
@@ -37,6 +41,46 @@ export const CASHFLOW_CARD_REGISTRY = {
         category: 'Investment',
         description: 'Bankability metrics, DSCR analysis, and covenant compliance assessment'
     },
+    cashflowTable: {
+        component: CashflowTableCard,
+        enabled: true,
+        gridProps: { span: 24 },
+        order: 3,
+        type: 'detail',
+        name: 'Cash Waterfall',
+        category: 'Investment',
+        description: 'Year-by-year cash waterfall with distribution lock-up, cash sweep and probability of lock-up'
+    },
+    jointSimulation: {
+        component: JointSimulationCard,
+        enabled: true,
+        gridProps: { span: 24 },
+        order: 4,
+        type: 'summary',
+        name: 'Joint Monte Carlo',
+        category: 'Investment',
+        description: 'True P-values for IRR, NPV and minimum DSCR from iteration-level simulation of the full cashflow'
+    },
+    maintenanceStrategies: {
+        component: MaintenanceStrategyCard,
+        enabled: true,
+        gridProps: { span: 24 },
+        order: 5,
+        type: 'summary',
+        name: 'Maintenance Strategies',
+        category: 'Operations',
+        description: 'Run-to-failure, age-based replacement and condition monitoring compared by NPV per component'
+    },
+    runHistory: {
+        component: RunHistoryCard,
+        enabled: true,
+        gridProps: { span: 24 },
+        order: 6,
+        type: 'summary',
+        name: 'Run History',
+        category: 'Investment',
+        description: 'Named, immutable snapshots of inputs and results, compared run against run'
+    },
     // driverExplorer: {
     //     component: DriverExplorerCard,
     //     enabled: true,
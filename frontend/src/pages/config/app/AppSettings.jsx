@@ -1,9 +1,10 @@
 // frontend/src/pages/config/app/AppSettings.jsx
-import React, { useState } from 'react';
-import { Typography, Alert, Button } from 'antd';
+import React, { useState, useMemo } from 'react';
+import { Typography, Alert, Button, Table } from 'antd';
 import { useScenario } from 'contexts/ScenarioContext';
 import EditableTable from 'components/tables/EditableTable';
-import { createTextColumn, createPercentileColumn } from 'components/tables/columns';
+import { createTextColumn, createPercentileColumn, createNumberColumn } from 'components/tables/columns';
+import { buildCorrelationMatrix, isPositiveSemiDefinite } from 'schemas/yup/correlation';
 
 // Import enhanced context field components with layouts
 import {
@@ -13,7 +14,11 @@ import {
   NumberField,
   TextField,
   PercentileField,
-  PrimaryPercentileSelectField
+  PercentageField,
+  PrimaryPercentileSelectField,
+  SelectField,
+  SwitchField,
+  RadioGroupField
 } from 'components/contextFields';
 
 const { Title } = Typography;
@@ -52,14 +57,60 @@ const percentileFormFields = [
   />
 ];
 
+// Simulated inputs that can be correlated (market factors are appended from the scenario)
+const CORRELATION_VARIABLES = [
+  { value: 'energyProduction', label: 'Energy Production' },
+  { value: 'electricityPrice', label: 'Electricity Price' },
+  { value: 'escalationRate', label: 'Escalation Rate' },
+  { value: 'downtimePerEvent', label: 'Downtime per Event' },
+  { value: 'windVariability', label: 'Wind Variability' }
+];
+
+const randomGeneratorOptions = [
+  { value: 'seedrandom', label: 'ARC4 (seedrandom)' },
+  { value: 'xoshiro128', label: 'xoshiro128**' },
+  { value: 'pcg32', label: 'PCG32' }
+];
+
+const samplingMethodOptions = [
+  { value: 'random', label: 'Random (plain Monte Carlo)' },
+  { value: 'latinHypercube', label: 'Latin Hypercube' },
+  { value: 'sobol', label: 'Sobol (quasi-random)' },
+  { value: 'antithetic', label: 'Antithetic Variates' }
+];
+
+const correlationMethodOptions = [
+  { value: 'imanConover', label: 'Rank Correlation (Iman-Conover)' },
+  { value: 'gaussianCopula', label: 'Gaussian Copula' }
+];
+
 const SimulationSettings = () => {
   // Define base path for simulation settings
   const basePath = ['settings', 'simulation'];
 
   // Get scenario data
-  const { scenarioData } = useScenario();
+  const { scenarioData, getValueByPath } = useScenario();
   const [isModified, setIsModified] = useState(false);
 
+  const marketFactors = getValueByPath(['settings', 'project', 'economics', 'marketFactors', 'factors'], {});
+  const correlationPairs = getValueByPath([...basePath, 'correlation', 'pairs'], []);
+  const autoStopEnabled = getValueByPath([...basePath, 'autoStop', 'enabled'], false);
+
+  const variableOptions = useMemo(() => [
+    ...CORRELATION_VARIABLES,
+    ...Object.values(marketFactors || {})
+      .filter(factor => factor && typeof factor === 'object' && factor.id)
+      .map(factor => ({ value: factor.id, label: factor.name || factor.id }))
+  ], [marketFactors]);
+
+  const getVariableLabel = (value) => variableOptions.find(option => option.value === value)?.label || value;
+
+  // Full matrix implied by the pairs, with its positive semi-definite status
+  const correlationPreview = useMemo(() => {
+    const { variables, matrix } = buildCorrelationMatrix(correlationPairs || []);
+    return { variables, matrix, isValid: isPositiveSemiDefinite(matrix) };
+  }, [correlationPairs]);
+
   // Check if we have an active scenario
   if (!scenarioData) {
     return (
@@ -115,6 +166,139 @@ const SimulationSettings = () => {
             tooltip="Using the same seed ensures reproducible results"
           />
         </ResponsiveFieldRow>
+        <ResponsiveFieldRow layout="twoColumn">
+          <SelectField
+            path={[...basePath, 'randomGenerator']}
+            label="Random Number Generator"
+            options={randomGeneratorOptions}
+            tooltip="Pseudo-random generator used by every simulation worker. Results are reproducible for a given seed and generator."
+          />
+          <SelectField
+            path={[...basePath, 'samplingMethod']}
+            label="Sampling Method"
+            options={samplingMethodOptions}
+            tooltip="Variance reduction applied to every distribution. Latin Hypercube and Sobol spread draws evenly so percentiles stabilise with fewer iterations; standard errors are reported with the results."
+          />
+        </ResponsiveFieldRow>
+        <ResponsiveFieldRow layout="threeColumn">
+          <SwitchField
+            path={[...basePath, 'autoStop', 'enabled']}
+            label="Run Until Percentiles Stabilise"
+            tooltip="After the configured iterations, keep adding batches of 2,000 until no percentile moves more than the tolerance between batches"
+          />
+          <PercentageField
+            path={[...basePath, 'autoStop', 'tolerance']}
+            label="Stability Tolerance"
+            min={0.01}
+            max={10}
+            step={0.1}
+            disabled={!autoStopEnabled}
+            tooltip="Largest change of any tracked percentile between consecutive batches, relative to the largest percentile value"
+          />
+          <NumberField
+            path={[...basePath, 'autoStop', 'maxIterations']}
+            label="Maximum Iterations"
+            min={100}
+            max={500000}
+            step={10000}
+            disabled={!autoStopEnabled}
+            tooltip="Upper limit on iterations when running until stable"
+          />
+        </ResponsiveFieldRow>
+      </FormSection>
+
+      <FormSection title="Correlation Between Inputs" style={{ marginBottom: 24 }}>
+        <p>Correlate simulated inputs so they move together across iterations (e.g. electricity price and escalation). Marginal distributions are unchanged; only how draws are paired changes.</p>
+
+        <ResponsiveFieldRow layout="twoColumn">
+          <SwitchField
+            path={[...basePath, 'correlation', 'enabled']}
+            label="Apply Correlation"
+            tooltip="When disabled, all inputs are sampled independently"
+          />
+          <RadioGroupField
+            path={[...basePath, 'correlation', 'method']}
+            label="Method"
+            options={correlationMethodOptions}
+            optionType="button"
+            tooltip="Rank correlation preserves each sampled distribution exactly; the Gaussian copula pairs draws through correlated normal variates"
+          />
+        </ResponsiveFieldRow>
+
+        <FieldGroup direction="vertical" size="middle">
+          <EditableTable
+            columns={[
+              createTextColumn('variableA', 'Variable A', { render: getVariableLabel }),
+              createTextColumn('variableB', 'Variable B', { render: getVariableLabel }),
+              createNumberColumn('coefficient', 'Rank Correlation', { precision: 2 })
+            ]}
+            path={[...basePath, 'correlation', 'pairs']}
+            formFields={[
+              <SelectField
+                key="variableA"
+                path={['variableA']}
+                label="Variable A"
+                options={variableOptions}
+                required
+              />,
+              <SelectField
+                key="variableB"
+                path={['variableB']}
+                label="Variable B"
+                options={variableOptions}
+                required
+              />,
+              <NumberField
+                key="coefficient"
+                path={['coefficient']}
+                label="Rank Correlation"
+                min={-1}
+                max={1}
+                step={0.05}
+                precision={2}
+                tooltip="Spearman rank correlation between -1 and 1"
+                required
+              />
+            ]}
+            itemName="Correlation"
+            formLayout="vertical"
+            formCompact={false}
+            formResponsive={true}
+          />
+
+          {correlationPreview.variables.length > 0 && (
+            <>
+              <Alert
+                message={correlationPreview.isValid
+                  ? 'Correlation matrix is positive semi-definite'
+                  : 'Correlation matrix is not positive semi-definite'}
+                description={correlationPreview.isValid
+                  ? undefined
+                  : 'The coefficients are mutually inconsistent (e.g. A and B both strongly correlated with C but negatively with each other). Adjust them before running a simulation.'}
+                type={correlationPreview.isValid ? 'success' : 'error'}
+                showIcon
+              />
+              <Table
+                size="small"
+                pagination={false}
+                rowKey="variable"
+                columns={[
+                  { title: '', dataIndex: 'variable', key: 'variable', render: getVariableLabel },
+                  ...correlationPreview.variables.map((variable, j) => ({
+                    title: getVariableLabel(variable),
+                    key: variable,
+                    align: 'right',
+                    render: (_, row) => row.values[j].toFixed(2)
+                  }))
+                ]}
+                dataSource={correlationPreview.variables.map((variable, i) => ({
+                  variable,
+                  values: correlationPreview.matrix[i]
+                }))}
+              />
+            </>
+          )}
+        </FieldGroup>
       </FormSection>
 
       <FormSection title="Percentiles for Visualization" style={{ marginBottom: 24 }}>
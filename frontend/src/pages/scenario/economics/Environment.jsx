@@ -1,17 +1,179 @@
 // frontend/src/pages/scenario/economics/Environment.jsx
-import React from 'react';
-import { Typography, Alert } from 'antd';
+import React, { useState } from 'react';
+import { Typography, Alert, Button, Table, Space, message } from 'antd';
+import { CalculatorOutlined } from '@ant-design/icons';
+import { isEqual } from 'lodash';
 import { useScenario } from 'contexts/ScenarioContext';
 import { DistributionFieldV3 } from 'components/distributionFields';
+import { calculateStressFactors } from 'api/physics';
+import { IEC_CLASSES, SALINITY_LEVELS } from 'schemas/yup/stressFactors';
 
 // Import context field components
 import {
     FormSection,
     FormRow,
-    FormCol
+    FormCol,
+    NumberField,
+    PercentageField,
+    SelectField
 } from 'components/contextFields';
 
-const { Title } = Typography;
+const { Title, Text } = Typography;
+
+const SITE_CONDITIONS_PATH = ['settings', 'project', 'environment', 'siteConditions'];
+const STRESS_FACTORS_PATH = ['settings', 'project', 'environment', 'stressFactors'];
+
+const formatFactor = (value) => (value != null ? `×${value.toFixed(2)}` : '-');
+
+const stressFactorColumns = [
+    { title: 'Component', dataIndex: 'name', key: 'name', render: (name, record) => name || record.id },
+    { title: 'Turbulence', dataIndex: ['contributions', 'turbulence'], key: 'turbulence', render: formatFactor },
+    { title: 'Thermal', dataIndex: ['contributions', 'thermal'], key: 'thermal', render: formatFactor },
+    { title: 'Corrosion', dataIndex: ['contributions', 'corrosion'], key: 'corrosion', render: formatFactor },
+    { title: 'Wind Shear', dataIndex: ['contributions', 'windShear'], key: 'windShear', render: formatFactor },
+    { title: 'Failure Rate Factor', dataIndex: 'factor', key: 'factor', render: (value) => <Text strong>{formatFactor(value)}</Text> }
+];
+
+/**
+ * Site conditions and the per-component failure rate acceleration factors calculated from them
+ */
+const SiteConditionsSection = () => {
+    const { getValueByPath, updateByPath } = useScenario();
+    const [calculating, setCalculating] = useState(false);
+
+    const siteConditions = getValueByPath(SITE_CONDITIONS_PATH, {});
+    const stressFactors = getValueByPath(STRESS_FACTORS_PATH, null);
+    const failureComponents = getValueByPath(['settings', 'project', 'equipment', 'failureRates', 'components'], {});
+
+    const isStale = stressFactors && !isEqual(
+        JSON.parse(JSON.stringify(stressFactors.siteConditions || {})),
+        JSON.parse(JSON.stringify(siteConditions || {}))
+    );
+
+    const handleCalculate = async () => {
+        setCalculating(true);
+        try {
+            const components = Object.values(failureComponents || {}).map(({ id, name, category }) => ({ id, name, category }));
+            const response = await calculateStressFactors({ siteConditions, components });
+            if (response.success && response.data) {
+                await updateByPath(STRESS_FACTORS_PATH, response.data);
+                message.success('Stress factors updated');
+            } else {
+                message.error(response.error || 'Failed to calculate stress factors');
+            }
+        } catch (error) {
+            console.error('Error calculating stress factors:', error);
+            message.error('Failed to calculate stress factors');
+        } finally {
+            setCalculating(false);
+        }
+    };
+
+    return (
+        <FormSection title="Site Conditions" style={{ marginBottom: 24 }}>
+            <p>Site conditions compared against the turbine's IEC design conditions. The resulting factors scale each component's failure rate in the cashflow.</p>
+            <FormRow>
+                <FormCol>
+                    <SelectField
+                        path={[...SITE_CONDITIONS_PATH, 'iecClass']}
+                        label="IEC Class"
+                        tooltip="IEC 61400-1 turbine class the site is compared against (S requires site-specific design references)"
+                        options={IEC_CLASSES.map(value => ({ value, label: value }))}
+                    />
+                </FormCol>
+                {siteConditions?.iecClass === 'S' && (
+                    <FormCol>
+                        <PercentageField
+                            path={[...SITE_CONDITIONS_PATH, 'designReferences', 'turbulenceIntensity']}
+                            label="Design Turbulence Intensity"
+                            tooltip="Site-specific design turbulence intensity of the class S turbine"
+                            step={0.5}
+                            decimalStorage={true}
+                        />
+                    </FormCol>
+                )}
+                <FormCol>
+                    <PercentageField
+                        path={[...SITE_CONDITIONS_PATH, 'turbulenceIntensity']}
+                        label="Turbulence Intensity"
+                        tooltip="Representative turbulence intensity at 15 m/s"
+                        step={0.5}
+                        decimalStorage={true}
+                    />
+                </FormCol>
+                <FormCol>
+                    <NumberField
+                        path={[...SITE_CONDITIONS_PATH, 'windShearExponent']}
+                        label="Wind Shear Exponent"
+                        tooltip="Power law exponent of the vertical wind profile"
+                        min={0}
+                        max={1}
+                        step={0.01}
+                    />
+                </FormCol>
+            </FormRow>
+            <FormRow>
+                <FormCol>
+                    <NumberField
+                        path={[...SITE_CONDITIONS_PATH, 'temperatureRange']}
+                        label="Temperature Range"
+                        tooltip="Annual minimum to maximum temperature range"
+                        min={0}
+                        addonAfter="°C"
+                    />
+                </FormCol>
+                <FormCol>
+                    <NumberField
+                        path={[...SITE_CONDITIONS_PATH, 'meanTemperature']}
+                        label="Mean Temperature"
+                        tooltip="Annual mean ambient temperature"
+                        min={-50}
+                        max={60}
+                        addonAfter="°C"
+                    />
+                </FormCol>
+                <FormCol>
+                    <PercentageField
+                        path={[...SITE_CONDITIONS_PATH, 'relativeHumidity']}
+                        label="Relative Humidity"
+                        tooltip="Annual mean relative humidity"
+                        decimalStorage={true}
+                    />
+                </FormCol>
+                <FormCol>
+                    <SelectField
+                        path={[...SITE_CONDITIONS_PATH, 'salinityLevel']}
+                        label="Salinity"
+                        tooltip="Atmospheric salinity driving corrosion (ISO 9223)"
+                        options={SALINITY_LEVELS.map(value => ({ value, label: value.charAt(0).toUpperCase() + value.slice(1) }))}
+                    />
+                </FormCol>
+            </FormRow>
+
+            <Space direction="vertical" style={{ width: '100%' }}>
+                <Button type="primary" icon={<CalculatorOutlined />} loading={calculating} onClick={handleCalculate}>
+                    Calculate Stress Factors
+                </Button>
+                {isStale && (
+                    <Alert
+                        type="warning"
+                        showIcon
+                        message="Site conditions changed since the stress factors were calculated. Recalculate to update the failure rates."
+                    />
+                )}
+                {stressFactors?.components?.length > 0 && (
+                    <Table
+                        size="small"
+                        rowKey="id"
+                        pagination={false}
+                        columns={stressFactorColumns}
+                        dataSource={stressFactors.components}
+                    />
+                )}
+            </Space>
+        </FormSection>
+    );
+};
 
 const Environment = () => {
     // Get scenario data directly from context
@@ -81,6 +243,8 @@ const Environment = () => {
                     </FormCol>
                 </FormRow>
             </FormSection>
+
+            <SiteConditionsSection />
         </div>
     );
 };
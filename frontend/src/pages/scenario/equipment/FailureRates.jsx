@@ -21,7 +21,8 @@ import {
     PlusOutlined,
     SettingOutlined,
     LockOutlined,
-    InfoCircleOutlined
+    InfoCircleOutlined,
+    ImportOutlined
 } from '@ant-design/icons';
 
 import { useScenario } from 'contexts/ScenarioContext';
@@ -32,7 +33,12 @@ import { getMarketFactorColorScheme, getComponentCategoryColorScheme } from 'uti
 import { distributionTypes } from '../../../utils/distributions';
 import RepairPackageSelector from 'components/selectors/RepairPackageSelector';
 import CostOverrideInterface from 'components/forms/CostOverrideInterface';
+import SerialDefectConfiguration from 'components/forms/failureRates/SerialDefectConfiguration';
+import MaintenanceStrategyConfiguration from 'components/forms/failureRates/MaintenanceStrategyConfiguration';
+import SparesConfiguration from 'components/forms/failureRates/SparesConfiguration';
+import RepairLogisticsConfiguration from 'components/forms/failureRates/RepairLogisticsConfiguration';
 import { ContextField } from 'components/contextFields';
+import { FailureHistoryImportModal } from 'components/modals';
 
 const { Title, Text } = Typography;
 
@@ -55,6 +61,7 @@ const FailureRateDetail = ({ record }) => {
                             options={[
                                 { value: 'fixed', label: 'Fixed Rate - Constant value (no uncertainty)' },
                                 { value: 'weibull', label: 'Weibull - Aging/wear-out patterns (recommended for mechanical)' },
+                                { value: 'threePhaseWeibull', label: 'Three-Phase Weibull - Bathtub curve (infant mortality, useful life, wear-out)' },
                                 { value: 'exponential', label: 'Exponential - Constant hazard rate (memoryless failures)' },
                                 { value: 'lognormal', label: 'Log-normal - Multiplicative effects and right skew' },
                                 { value: 'normal', label: 'Normal - Symmetric uncertainty around mean' },
@@ -65,6 +72,27 @@ const FailureRateDetail = ({ record }) => {
                             tooltip="Annual probability as percentage (e.g., 2.5% means 2.5% chance per component per year)"
                         />
                     </div>
+
+                    {record.failureHistory && (
+                        <Alert
+                            type="success"
+                            showIcon
+                            style={{ marginBottom: 16 }}
+                            message={`Calibrated from ${record.failureHistory.source || 'imported history'}`}
+                            description={[
+                                `${record.failureHistory.failures} failures over ${record.failureHistory.observationYears.toFixed(1)} years of ${record.failureHistory.units} units`,
+                                `${(record.failureHistory.annualRate * 100).toFixed(2)}% observed annual rate`,
+                                record.failureHistory.fit && `Weibull ${record.failureHistory.fit.method} fit β ${record.failureHistory.fit.beta.toFixed(2)}, η ${record.failureHistory.fit.eta.toFixed(1)} years`,
+                                typeof record.failureHistory.meanRepairDays === 'number' && `mean repair ${record.failureHistory.meanRepairDays.toFixed(1)} days`
+                            ].filter(Boolean).join(' · ')}
+                        />
+                    )}
+
+                    <MaintenanceStrategyConfiguration componentId={record.id} />
+
+                    <SerialDefectConfiguration componentId={record.id} />
+
+                    <SparesConfiguration componentId={record.id} />
                     
                     {/* Parameter Scaling Notice */}
                     <div style={{ 
@@ -111,6 +139,7 @@ const getCategoryColor = (category) => getComponentCategoryColorScheme(category)
 const FailureRates = () => {
     const { scenarioData, getValueByPath, updateByPath } = useScenario();
     const [isModalOpen, setIsModalOpen] = useState(false);
+    const [isImportOpen, setIsImportOpen] = useState(false);
     const [editingKey, setEditingKey] = useState(null);
     const [loading, setLoading] = useState(false);
     const [form] = Form.useForm();
@@ -745,14 +774,22 @@ const FailureRates = () => {
                     <Text>
                         Configure failure rates for major turbine components. Expand rows to configure statistical distributions.
                     </Text>
-                    <Button
-                        type="primary"
-                        icon={<PlusOutlined />}
-                        onClick={() => handleOpenModal()}
-                        loading={loading}
-                    >
-                        Add Component
-                    </Button>
+                    <Space>
+                        <Button
+                            icon={<ImportOutlined />}
+                            onClick={() => setIsImportOpen(true)}
+                        >
+                            Import Failure History
+                        </Button>
+                        <Button
+                            type="primary"
+                            icon={<PlusOutlined />}
+                            onClick={() => handleOpenModal()}
+                            loading={loading}
+                        >
+                            Add Component
+                        </Button>
+                    </Space>
                 </div>
 
                 <Table
@@ -783,9 +820,14 @@ const FailureRates = () => {
                 />
             </Card>
 
+            {/* Crane and vessel logistics of repairs */}
+            <RepairLogisticsConfiguration />
+
             {/* Summary Card */}
             <FailureRateSummaryCard />
 
+            <FailureHistoryImportModal open={isImportOpen} onClose={() => setIsImportOpen(false)} />
+
             {/* Component Configuration Modal */}
             <Modal
                 title={`${editingKey !== null ? 'Edit' : 'Create'} Component`}
@@ -1,8 +1,9 @@
 // frontend/src/pages/scenario/financing/Financing.jsx
 import React from 'react';
-import { Typography, Alert, Tabs, Statistic, Row, Col, Card } from 'antd';
-import { BankOutlined, LineChartOutlined, CalculatorOutlined, InfoCircleOutlined } from '@ant-design/icons';
+import { Typography, Alert, Tabs, Statistic, Row, Col, Card, Switch } from 'antd';
+import { BankOutlined, LineChartOutlined, CalculatorOutlined, InfoCircleOutlined, AuditOutlined, ApartmentOutlined } from '@ant-design/icons';
 import { useScenario } from 'contexts/ScenarioContext';
+import { TaxSchema, MACRS_TABLES } from 'schemas/yup/tax';
 
 // Import context field components
 import {
@@ -10,6 +11,7 @@ import {
   NumberField,
   SelectField,
   PercentageField,
+  CurrencyField,
   ResponsiveFieldRow,
   CompactFieldGroup,
   SwitchField
@@ -22,7 +24,7 @@ const FinancingModule = () => {
   const basePath = ['settings', 'modules', 'financing'];
 
   // Get scenario data and context functions
-  const { scenarioData, getValueByPath } = useScenario();
+  const { scenarioData, getValueByPath, updateByPath } = useScenario();
 
   // Helper function to check if we have valid scenario
   const hasValidScenario = () => scenarioData && scenarioData.settings?.modules?.financing;
@@ -31,6 +33,28 @@ const FinancingModule = () => {
   const wacc = getValueByPath(['settings', 'metrics', 'wacc'], 0);
   const debtToEquityRatio = getValueByPath(['settings', 'metrics', 'debtToEquityRatio'], 0);
 
+  // Sculpted debt and the debt sizing covers use one of the simulated percentiles
+  const amortizationType = getValueByPath([...basePath, 'amortizationType'], 'amortizing');
+  const percentileOptions = getValueByPath(['settings', 'simulation', 'percentiles'], [])
+    .map(({ value }) => value)
+    .sort((a, b) => a - b)
+    .map(value => ({ value, label: `P${value}` }));
+
+  // Scenarios saved before the tax model existed get the schema defaults when tax is first enabled
+  const taxPath = [...basePath, 'tax'];
+  const tax = getValueByPath(taxPath, null);
+  const taxEnabled = tax?.enabled === true;
+  const depreciationMethod = tax?.depreciation?.method || 'straightLine';
+
+  const handleTaxToggle = (checked) => {
+    updateByPath(taxPath, { ...TaxSchema.getDefault(), ...(tax || {}), enabled: checked });
+  };
+
+  // Distributions are paid through the cash waterfall of the operating years
+  const waterfallPath = [...basePath, 'waterfall'];
+  const lockUpEnabled = getValueByPath([...waterfallPath, 'lockUp', 'enabled'], false);
+  const sweepEnabled = getValueByPath([...waterfallPath, 'sweep', 'enabled'], false);
+
   if (!hasValidScenario()) {
     return (
       <div>
@@ -156,9 +180,18 @@ const FinancingModule = () => {
                 tooltip="How the debt principal is repaid over the loan term"
                 options={[
                   { value: 'amortizing', label: 'Amortizing (Equal annual payments)' },
-                  { value: 'bullet', label: 'Bullet (Principal at maturity)' }
+                  { value: 'bullet', label: 'Bullet (Principal at maturity)' },
+                  { value: 'sculpted', label: 'Sculpted (Debt service = CFADS / Minimum DSCR)' }
                 ]}
               />
+              {amortizationType === 'sculpted' && (
+                <SelectField
+                  path={[...basePath, 'sculptingPercentile']}
+                  label="Sculpting Percentile"
+                  tooltip="CFADS percentile that sizes the debt and shapes its repayments at the Minimum DSCR. Debt is capped by the Debt Financing Ratio."
+                  options={percentileOptions}
+                />
+              )}
             </CompactFieldGroup>
           </FormSection>
 
@@ -228,6 +261,33 @@ const FinancingModule = () => {
                 addonAfter="years"
               />
             </ResponsiveFieldRow>
+            <ResponsiveFieldRow layout="twoColumn">
+              <NumberField
+                path={[...basePath, 'minimumLLCR']}
+                label="Minimum LLCR"
+                tooltip="Minimum Loan Life Coverage Ratio required by lenders, used with the Minimum DSCR, Debt Financing Ratio and Loan Duration to size the debt"
+                min={1}
+                step={0.05}
+                precision={2}
+              />
+              <SelectField
+                path={[...basePath, 'sizingPercentile']}
+                label="Debt Sizing Percentile"
+                tooltip="CFADS percentile at which the minimum DSCR and LLCR are tested when sizing the debt (e.g. P90 one-year)"
+                options={percentileOptions}
+              />
+            </ResponsiveFieldRow>
+            <ResponsiveFieldRow layout="twoColumn">
+              <NumberField
+                path={[...basePath, 'maxTenor']}
+                label="Maximum Tenor"
+                tooltip="Longest repayment period lenders accept. Debt is sized to what the sizing percentile's CFADS repays within it at the Minimum DSCR. Leave empty to use the Loan Duration."
+                min={1}
+                max={30}
+                step={1}
+                addonAfter="years"
+              />
+            </ResponsiveFieldRow>
           </FormSection>
 
           {/* Info Box */}
@@ -253,6 +313,249 @@ const FinancingModule = () => {
         </>
       )
     },
+    {
+      key: "tax",
+      label: (
+        <span>
+          <AuditOutlined /> Corporate Tax
+        </span>
+      ),
+      children: (
+        <>
+          <FormSection
+            title="Corporate Tax"
+            style={{ marginBottom: 24 }}
+            extra={<Switch checked={taxEnabled} onChange={handleTaxToggle} checkedChildren="Enabled" unCheckedChildren="Disabled" />}
+          >
+            <Paragraph type="secondary" style={{ fontSize: '13px' }}>
+              Taxable income is EBITDA less tax depreciation of the construction CAPEX and deductible operational
+              interest, after loss carry-forward. Tax paid at the effective corporate tax rate (Financing Structure tab)
+              gives the after-tax project and equity cashflows and IRRs.
+            </Paragraph>
+          </FormSection>
+
+          {taxEnabled && (
+            <>
+              <FormSection title="Depreciation" style={{ marginBottom: 24 }}>
+                <ResponsiveFieldRow layout="twoColumn">
+                  <SelectField
+                    path={[...taxPath, 'depreciation', 'method']}
+                    label="Depreciation Method"
+                    tooltip="How the depreciable basis is deducted over the tax life"
+                    options={[
+                      { value: 'straightLine', label: 'Straight-Line' },
+                      { value: 'decliningBalance', label: 'Declining Balance' },
+                      { value: 'macrs', label: 'MACRS Table (half-year convention)' },
+                      { value: 'custom', label: 'Custom Schedule' }
+                    ]}
+                  />
+                  <PercentageField
+                    path={[...taxPath, 'depreciation', 'depreciableShare']}
+                    label="Depreciable Share of CAPEX"
+                    tooltip="Share of construction CAPEX (plus capitalized IDC) that can be depreciated; land and reserves are typically excluded"
+                    min={0}
+                    max={100}
+                  />
+                </ResponsiveFieldRow>
+
+                {(depreciationMethod === 'straightLine' || depreciationMethod === 'decliningBalance') && (
+                  <ResponsiveFieldRow layout="twoColumn">
+                    <NumberField
+                      path={[...taxPath, 'depreciation', 'years']}
+                      label="Tax Life"
+                      tooltip="Years over which the basis is depreciated; basis left at the end of the project is written off in its final year"
+                      min={1}
+                      max={50}
+                      step={1}
+                      precision={0}
+                      addonAfter="years"
+                    />
+                    {depreciationMethod === 'decliningBalance' && (
+                      <NumberField
+                        path={[...taxPath, 'depreciation', 'decliningRate']}
+                        label="Declining Balance Rate"
+                        tooltip="Multiple of the straight-line rate applied to the remaining basis (200% = double declining balance)"
+                        min={100}
+                        max={300}
+                        step={25}
+                        precision={0}
+                        addonAfter="%"
+                      />
+                    )}
+                  </ResponsiveFieldRow>
+                )}
+                {depreciationMethod === 'decliningBalance' && (
+                  <SwitchField
+                    path={[...taxPath, 'depreciation', 'switchToStraightLine']}
+                    label="Switch to Straight-Line"
+                    tooltip="Deduct straight-line over the remaining tax life once that exceeds the declining balance deduction"
+                  />
+                )}
+                {depreciationMethod === 'macrs' && (
+                  <SelectField
+                    path={[...taxPath, 'depreciation', 'macrsClass']}
+                    label="MACRS Recovery Class"
+                    tooltip="Recovery period of the MACRS table; wind generation equipment is 5-year property"
+                    options={Object.keys(MACRS_TABLES).map(years => ({ value: Number(years), label: `${years}-year property` }))}
+                  />
+                )}
+                {depreciationMethod === 'custom' && (
+                  <SelectField
+                    path={[...taxPath, 'depreciation', 'customSchedule']}
+                    label="Depreciation Schedule (% of basis by year)"
+                    tooltip="Share of the basis deducted in each tax year, starting at COD; any remainder is written off in the final project year"
+                    mode="tags"
+                    placeholder="e.g. 20, 32, 19.2"
+                    transform={(values) => (values || []).map(Number).filter(value => Number.isFinite(value) && value >= 0)}
+                  />
+                )}
+              </FormSection>
+
+              <FormSection title="Deductions & Losses" style={{ marginBottom: 24 }}>
+                <ResponsiveFieldRow layout="twoColumn">
+                  <SwitchField
+                    path={[...taxPath, 'interestDeductibility', 'limited']}
+                    label="Limit Interest Deductibility"
+                    tooltip="Cap deductible interest at a share of EBITDA (e.g. earnings stripping rules)"
+                  />
+                  <PercentageField
+                    path={[...taxPath, 'interestDeductibility', 'ebitdaShare']}
+                    label="Interest Cap (% of EBITDA)"
+                    tooltip="Maximum deductible interest each year as a share of EBITDA"
+                    min={0}
+                    max={100}
+                    disabled={!tax?.interestDeductibility?.limited}
+                  />
+                </ResponsiveFieldRow>
+                <SwitchField
+                  path={[...taxPath, 'interestDeductibility', 'carryForward']}
+                  label="Carry Forward Disallowed Interest"
+                  tooltip="Interest above the cap is deducted in later years with headroom under the cap"
+                  disabled={!tax?.interestDeductibility?.limited}
+                />
+                <ResponsiveFieldRow layout="twoColumn">
+                  <SwitchField
+                    path={[...taxPath, 'lossCarryForward', 'enabled']}
+                    label="Loss Carry-Forward"
+                    tooltip="Tax losses offset taxable income of later years, oldest first"
+                  />
+                  <NumberField
+                    path={[...taxPath, 'lossCarryForward', 'years']}
+                    label="Carry-Forward Period"
+                    tooltip="Years a loss can be used before it expires (blank = unlimited)"
+                    min={1}
+                    step={1}
+                    precision={0}
+                    addonAfter="years"
+                    placeholder="Unlimited"
+                    disabled={tax?.lossCarryForward?.enabled === false}
+                  />
+                </ResponsiveFieldRow>
+                <ResponsiveFieldRow layout="twoColumn">
+                  <PercentageField
+                    path={[...taxPath, 'lossCarryForward', 'offsetLimit']}
+                    label="Loss Offset Limit"
+                    tooltip="Share of each year's taxable income that carried-forward losses may offset"
+                    min={0}
+                    max={100}
+                    disabled={tax?.lossCarryForward?.enabled === false}
+                  />
+                  <SelectField
+                    path={[...taxPath, 'paymentLag']}
+                    label="Tax Payment Timing"
+                    tooltip="When the tax of a year is paid; tax falling after the final project year is paid in that year"
+                    options={[
+                      { value: 0, label: 'Same year' },
+                      { value: 1, label: 'Following year' },
+                      { value: 2, label: 'Two years later' }
+                    ]}
+                  />
+                </ResponsiveFieldRow>
+              </FormSection>
+            </>
+          )}
+        </>
+      )
+    },
+    {
+      key: "waterfall",
+      label: (
+        <span>
+          <ApartmentOutlined /> Cash Waterfall
+        </span>
+      ),
+      children: (
+        <>
+          <FormSection title="Cash Waterfall" style={{ marginBottom: 24 }}>
+            <Paragraph type="secondary" style={{ fontSize: '13px' }}>
+              CFADS pays senior debt service first, then reserve top-ups. The cash left is distributed to equity unless
+              the lock-up test traps it, and part of the cash above the sweep threshold prepays the senior debt.
+            </Paragraph>
+          </FormSection>
+
+          <FormSection title="Distribution Lock-Up" style={{ marginBottom: 24 }}>
+            <ResponsiveFieldRow layout="twoColumn">
+              <SwitchField
+                path={[...waterfallPath, 'lockUp', 'enabled']}
+                label="Enable Distribution Lock-Up"
+                tooltip="Trap distributions while the historic DSCR is below the lock-up ratio; trapped cash is released once the test passes"
+              />
+            </ResponsiveFieldRow>
+            <ResponsiveFieldRow layout="twoColumn">
+              <NumberField
+                path={[...waterfallPath, 'lockUp', 'ratio']}
+                label="Lock-Up Ratio"
+                tooltip="Historic DSCR below which distributions are blocked"
+                min={1}
+                step={0.05}
+                precision={2}
+                addonAfter="x"
+                disabled={!lockUpEnabled}
+              />
+              <NumberField
+                path={[...waterfallPath, 'lockUp', 'lookbackYears']}
+                label="Historic DSCR Lookback"
+                tooltip="Years of CFADS and debt service in the historic DSCR"
+                min={1}
+                max={5}
+                step={1}
+                precision={0}
+                addonAfter="years"
+                disabled={!lockUpEnabled}
+              />
+            </ResponsiveFieldRow>
+          </FormSection>
+
+          <FormSection title="Cash Sweep" style={{ marginBottom: 24 }}>
+            <ResponsiveFieldRow layout="twoColumn">
+              <SwitchField
+                path={[...waterfallPath, 'sweep', 'enabled']}
+                label="Enable Cash Sweep"
+                tooltip="Prepay senior debt from distributable cash; later instalments shrink pro rata, and DSCR, LLCR and ICR follow the lower debt"
+              />
+            </ResponsiveFieldRow>
+            <ResponsiveFieldRow layout="twoColumn">
+              <CurrencyField
+                path={[...waterfallPath, 'sweep', 'threshold']}
+                label="Sweep Threshold"
+                tooltip="Distributable cash per year kept from the sweep"
+                min={0}
+                step={100000}
+                disabled={!sweepEnabled}
+              />
+              <PercentageField
+                path={[...waterfallPath, 'sweep', 'share']}
+                label="Sweep Share"
+                tooltip="Share of the distributable cash above the threshold swept to prepay debt"
+                min={0}
+                max={100}
+                disabled={!sweepEnabled}
+              />
+            </ResponsiveFieldRow>
+          </FormSection>
+        </>
+      )
+    },
     {
       key: "returns",
       label: (
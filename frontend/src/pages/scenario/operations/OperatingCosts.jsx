@@ -16,8 +16,6 @@ import {
     CurrencyField,
     PercentageField,
     FormSection,
-    FormRow,
-    FormCol,
     EditableTable
 } from 'components/contextFields';
 
@@ -155,28 +153,10 @@ const OperatingCosts = () => {
             children: (
                 <>
                     <FormSection title="Failure Events" style={{ marginBottom: 24 }}>
-                        <FormRow>
-                            <FormCol>
-                                <PercentageField
-                                    path={[...basePath, 'failureEventProbability']}
-                                    label="Failure Event Probability"
-                                    tooltip="Annual probability of a failure event occurring"
-                                    min={0}
-                                    max={100}
-                                    step={0.1}
-                                />
-                            </FormCol>
-                            <FormCol>
-                                <CurrencyField
-                                    path={[...basePath, 'failureEventCost']}
-                                    label="Average Failure Event Cost"
-                                    tooltip="Average cost per failure event"
-                                    min={0}
-                                    step={10000}
-                                    currencyOverride={currency}
-                                />
-                            </FormCol>
-                        </FormRow>
+                        <p>
+                            Component failures are simulated per turbine from the failure rates and repair packages configured
+                            under Equipment &gt; Failure Rates (see Simulations &gt; Failure Rates for failures, downtime and cost distributions).
+                        </p>
                     </FormSection>
 
                     <FormSection title="Major Repair Events" style={{ marginBottom: 24 }}>
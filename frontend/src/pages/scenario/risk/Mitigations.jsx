@@ -13,6 +13,7 @@ import {
   CurrencyField,
   SwitchField,
   PercentageField,
+  SelectField,
   FormDivider
 } from 'components/contextFields';
 
@@ -29,6 +30,11 @@ const RiskModule = () => {
   // Get insurance enabled state for conditional rendering
   const insuranceEnabled = getValueByPath([...basePath, 'insuranceEnabled'], false);
 
+  // Reserve account settings for conditional rendering
+  const reserveAccountsPath = [...basePath, 'reserveAccounts'];
+  const dsraEnabled = getValueByPath([...reserveAccountsPath, 'dsra', 'enabled'], false);
+  const mraEnabled = getValueByPath([...reserveAccountsPath, 'mra', 'enabled'], false);
+
   // Helper function to check if we have valid scenario
   const hasValidScenario = () => scenarioData && scenarioData.settings?.modules?.risk;
 
@@ -48,7 +54,7 @@ const RiskModule = () => {
   return (
     <div>
       <Title level={2}>Risk Mitigation</Title>
-      <p>Configure risk mitigation strategies including insurance and reserve funds.</p>
+      <p>Configure risk mitigation strategies including insurance, reserve funds and reserve accounts.</p>
 
       <Tabs defaultActiveKey="insurance" type="card">
         <TabPane
@@ -175,6 +181,110 @@ const RiskModule = () => {
               </FormCol>
             </FormRow>
           </FormSection>
+
+          <FormSection title="Debt Service Reserve Account (DSRA)" style={{ marginBottom: 24 }}>
+            <FormRow>
+              <FormCol>
+                <SwitchField
+                  path={[...reserveAccountsPath, 'dsra', 'enabled']}
+                  label="Enable DSRA"
+                  tooltip="Hold a reserve of forward debt service until the loan is repaid. Years whose CFADS falls short of debt service draw on it, which counts towards DSCR. Deposits and releases flow to equity distributions."
+                />
+              </FormCol>
+            </FormRow>
+
+            {dsraEnabled && (
+              <>
+                <FormRow>
+                  <FormCol>
+                    <NumberField
+                      path={[...reserveAccountsPath, 'dsra', 'months']}
+                      label="Reserve Size (months)"
+                      tooltip="Months of the next debt service payment held in the reserve"
+                      min={0}
+                      max={24}
+                      step={1}
+                      addonAfter="months"
+                    />
+                  </FormCol>
+                  <FormCol>
+                    <SelectField
+                      path={[...reserveAccountsPath, 'dsra', 'funding']}
+                      label="Initial Funding"
+                      tooltip="Fill the reserve at COD with the initial investment, or build it from cash left after debt service"
+                      options={[
+                        { value: 'cod', label: 'At COD (initial investment)' },
+                        { value: 'cashflow', label: 'From cashflow after debt service' }
+                      ]}
+                    />
+                  </FormCol>
+                </FormRow>
+
+                <FormRow>
+                  <FormCol>
+                    <PercentageField
+                      path={[...reserveAccountsPath, 'dsra', 'interestRate']}
+                      label="Interest Rate (%)"
+                      tooltip="Interest earned on the reserve balance"
+                      min={0}
+                      max={20}
+                      step={0.25}
+                      precision={2}
+                    />
+                  </FormCol>
+                </FormRow>
+              </>
+            )}
+          </FormSection>
+
+          <FormSection title="Maintenance Reserve Account (MRA)" style={{ marginBottom: 24 }}>
+            <FormRow>
+              <FormCol>
+                <SwitchField
+                  path={[...reserveAccountsPath, 'mra', 'enabled']}
+                  label="Enable MRA"
+                  tooltip="Accrue major repair and component replacement costs ahead of time and draw them when they happen. MRA flows are part of CFADS and DSCR."
+                />
+              </FormCol>
+            </FormRow>
+
+            {mraEnabled && (
+              <FormRow>
+                <FormCol>
+                  <NumberField
+                    path={[...reserveAccountsPath, 'mra', 'accrualYears']}
+                    label="Accrual Period (years)"
+                    tooltip="Years before each replacement over which its cost is deposited"
+                    min={1}
+                    max={10}
+                    step={1}
+                    addonAfter="years"
+                  />
+                </FormCol>
+                <FormCol>
+                  <PercentageField
+                    path={[...reserveAccountsPath, 'mra', 'coverage']}
+                    label="Coverage (%)"
+                    tooltip="Share of each replacement cost reserved in advance"
+                    min={0}
+                    max={100}
+                    step={5}
+                  />
+                </FormCol>
+                <FormCol>
+                  <PercentageField
+                    path={[...reserveAccountsPath, 'mra', 'interestRate']}
+                    label="Interest Rate (%)"
+                    tooltip="Interest earned on the reserve balance"
+                    min={0}
+                    max={20}
+                    step={0.25}
+                    precision={2}
+                  />
+                </FormCol>
+              </FormRow>
+            )}
+          </FormSection>
         </TabPane>
 
         <TabPane
@@ -9,7 +9,8 @@ import {
 } from '@ant-design/icons';
 import { useScenario } from '../../contexts/ScenarioContext';
 import useInputSim from '../../hooks/useInputSim';
-import { DistributionCard } from '../../components/cards';
+import SimulationProgress from '../../components/common/SimulationProgress';
+import { DistributionCard, FailureEventSimulationCard } from '../../components/cards';
 import { getComponentCategoryColorScheme } from '../../utils/charts/colors';
 
 const { Title, Paragraph } = Typography;
@@ -26,7 +27,7 @@ const FAILURE_RATE_ICON = <WarningOutlined />;
  */
 const FailureRatesSimulation = () => {
     const { getValueByPath, scenarioData } = useScenario();
-    const { updateDistributions, loading } = useInputSim();
+    const { updateDistributions, cancelSimulation, loading, progress } = useInputSim();
 
     // Get failure rates configuration
     const failureRatesConfig = getValueByPath(['settings', 'project', 'equipment', 'failureRates'], {});
@@ -204,6 +205,14 @@ const FailureRatesSimulation = () => {
                 </Col>
             </Row>
 
+            <Row gutter={[16, 16]} style={{ marginTop: '16px' }}>
+                <Col span={24}>
+                    <FailureEventSimulationCard />
+                </Col>
+            </Row>
+
+            {loading && <SimulationProgress progress={progress} onCancel={cancelSimulation} />}
+
             {/* Component Failure Rate Distribution Charts */}
             <Spin spinning={loading} tip="Updating component failure rate distributions...">
                 <Row gutter={[16, 16]} style={{ marginTop: '16px' }}>
@@ -16,6 +16,7 @@ import {
 } from '@ant-design/icons';
 import { useScenario } from '../../contexts/ScenarioContext';
 import useInputSim from '../../hooks/useInputSim';
+import SimulationProgress from '../../components/common/SimulationProgress';
 import { DistributionCard } from '../../components/cards';
 import { getMarketFactorColorScheme } from '../../utils/charts/colors';
 
@@ -43,7 +44,7 @@ const MARKET_FACTOR_ICONS = {
  */
 const MarketFactorsSimulation = () => {
     const { getValueByPath, scenarioData } = useScenario();
-    const { updateDistributions, loading } = useInputSim();
+    const { updateDistributions, cancelSimulation, loading, progress } = useInputSim();
 
     // Get market factors from dynamic object structure
     const marketFactorsObject = getValueByPath(['settings', 'project', 'economics', 'marketFactors', 'factors'], {});
@@ -178,6 +179,8 @@ const MarketFactorsSimulation = () => {
                 </Col>
             </Row>
 
+            {loading && <SimulationProgress progress={progress} onCancel={cancelSimulation} />}
+
             {/* Market Factors Distribution Charts */}
             <Spin spinning={loading} tip="Updating market factor distributions...">
                 <Row gutter={[16, 16]} style={{ marginTop: '16px' }}>
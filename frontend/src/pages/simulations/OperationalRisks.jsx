@@ -11,6 +11,7 @@ import {
 } from '@ant-design/icons';
 import { useScenario } from '../../contexts/ScenarioContext';
 import useInputSim from '../../hooks/useInputSim';
+import SimulationProgress from '../../components/common/SimulationProgress';
 import { DistributionCard } from '../../components/cards';
 import { getDistributionColorScheme } from '../../utils/charts/colors';
 
@@ -43,7 +44,7 @@ const operationalRisksFields = [
  */
 const OperationalRisks = () => {
     const { getValueByPath, scenarioData } = useScenario();
-    const { updateDistributions, loading } = useInputSim();
+    const { updateDistributions, cancelSimulation, loading, progress } = useInputSim();
 
     // Fetch data from context
     const distributionAnalysis = getValueByPath(['simulation', 'inputSim', 'distributionAnalysis'], {});
@@ -133,6 +134,8 @@ const OperationalRisks = () => {
                 </Col>
             </Row>
 
+            {loading && <SimulationProgress progress={progress} onCancel={cancelSimulation} />}
+
             {/* Operational Risks Distribution Charts */}
             <Spin spinning={loading} tip="Updating operational risk distributions...">
                 <Row gutter={[16, 16]} style={{ marginTop: '16px' }}>
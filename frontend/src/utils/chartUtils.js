@@ -305,6 +305,73 @@ export function prepareStatisticsBoxPlotData(statistics, color, precision, units
     return { data, layout, config: { responsive: true } };
 }
 
+/**
+ * Prepares chart data for a convergence trace.
+ * @param {Object} convergence - ConvergenceSchema object (trace, relativeChange, autoStop)
+ * @param {number} primaryPercentile - Primary percentile value
+ * @param {string} color - Chart color
+ * @param {number|null} precision - Decimal precision (null for default)
+ * @param {boolean} [decimalStorage=false] - Whether data is stored as decimals but should display as percentages
+ * @returns {Object} Plotly chart data and layout
+ */
+export function prepareConvergenceChartData(convergence, primaryPercentile, color, precision, decimalStorage = false) {
+    if (!convergence?.trace?.length) return { data: [], layout: {}, config: {} };
+
+    const valueFormat = precision !== null && Number.isInteger(precision) && precision >= 0 ? `,.${precision}f` : ',.4~g';
+
+    // Running estimate of each percentile (averaged over project years)
+    const data = convergence.trace.map(({ percentile, data: points }) => {
+        const isPrimary = percentile.value === primaryPercentile;
+        return {
+            x: points.map(point => point.iterations),
+            y: points.map(point => decimalStorage ? point.value * 100 : point.value),
+            type: 'scatter',
+            mode: isPrimary ? 'lines+markers' : 'lines',
+            name: `P${percentile.value}`,
+            line: { color, width: isPrimary ? 2 : 1, dash: isPrimary ? 'solid' : 'dot' },
+            marker: { size: 5, color },
+            hovertemplate: `P${percentile.value} after %{x:,d} iterations: %{y:${valueFormat}}${decimalStorage ? '%' : ''}<extra></extra>`
+        };
+    });
+
+    // Relative change between batches, in percent, on the secondary axis
+    const changes = convergence.relativeChange || [];
+    if (changes.length > 0) {
+        data.push({
+            x: changes.map(point => point.iterations),
+            y: changes.map(point => point.value * 100),
+            type: 'bar',
+            name: 'Change',
+            yaxis: 'y2',
+            marker: { color: '#bfbfbf' },
+            opacity: 0.5,
+            hovertemplate: 'Largest change at %{x:,d}: %{y:.2f}%<extra></extra>'
+        });
+    }
+
+    const shapes = convergence.autoStop ? [{
+        type: 'line',
+        xref: 'paper',
+        x0: 0,
+        x1: 1,
+        yref: 'y2',
+        y0: convergence.autoStop.tolerance,
+        y1: convergence.autoStop.tolerance,
+        line: { color: '#fa8c16', width: 1, dash: 'dash' }
+    }] : [];
+
+    const layout = {
+        xaxis: { title: 'Iterations', tickformat: ',d' },
+        yaxis: { title: 'Average over years', tickformat: valueFormat },
+        yaxis2: { title: 'Change (%)', overlaying: 'y', side: 'right', rangemode: 'tozero', showgrid: false },
+        shapes,
+        showlegend: false,
+        margin: { t: 20, b: 40, l: 50, r: 50 }
+    };
+
+    return { data, layout, config: { responsive: true } };
+}
+
 /**
  * Generates metadata for a distribution based on DistributionTypeSchema.
  * @param {Object} distribution - DistributionTypeSchema object
@@ -0,0 +1,102 @@
+// frontend/src/utils/cube/__fixtures__/cubeScenario.js - Shared scenario fixture for the cube transformer tests
+import { cloneDeep } from 'lodash';
+import { ScenarioSchema } from 'schemas/yup/scenario';
+import { runCube } from '../runner';
+
+// Standard normal quantiles of the default simulation percentiles
+const NORMAL_QUANTILES = { 10: -1.2816, 25: -0.6745, 50: 0, 75: 0.6745, 90: 1.2816 };
+
+/**
+ * Value at a percentile of a distribution whose percentiles are descending (higher percentiles are lower values)
+ * @param {number} percentile - Percentile value
+ * @returns {number} Standard normal quantile of the conservative side
+ */
+const descendingQuantile = (percentile) => -NORMAL_QUANTILES[percentile];
+
+/**
+ * Input simulation results in place of the Monte Carlo engine: energy ±10% (1σ), a 4% drifting price with 2%
+ * volatility and a fixed 2% escalation, at every percentile of the scenario
+ * @param {Object} settings - Scenario settings (SettingsSchema)
+ * @returns {Object} simulation.inputSim.distributionAnalysis
+ */
+const buildDistributionAnalysis = (settings) => {
+    const years = Array.from({ length: settings.general.projectLife }, (_, index) => index + 1);
+    const resultsOf = (key, valueAt) => ({
+        distribution: { key },
+        results: settings.simulation.percentiles.map(({ value: percentile }) => ({
+            name: `${key}_P${percentile}`,
+            percentile: { value: percentile },
+            data: years.map(year => ({ year, value: valueAt(year, descendingQuantile(percentile)) }))
+        }))
+    });
+
+    return {
+        energyProduction: resultsOf('energyProduction', (year, z) => 100000 * (1 + 0.1 * z)),
+        electricityPrice: resultsOf('electricityPrice', (year, z) => 50 * Math.pow(1.04, year - 1) * Math.exp(0.02 * z * Math.sqrt(year))),
+        escalationRate: resultsOf('escalationRate', () => 2)
+    };
+};
+
+/**
+ * Default scenario with synthetic input simulation results
+ * @param {Function} [configure] - Receives the settings to change before the results are built
+ * @returns {Object} ScenarioSchema object ready for runCube
+ */
+export const buildScenario = (configure = () => { }) => {
+    const scenario = cloneDeep(ScenarioSchema.default());
+    scenario.name = 'Cube test';
+    scenario.settings.modules.cost.escalationRate = {
+        key: 'escalationRate', type: 'fixed', timeSeriesMode: false, parameters: { value: 2 }
+    };
+    configure(scenario.settings);
+    scenario.simulation = { inputSim: { distributionAnalysis: buildDistributionAnalysis(scenario.settings) } };
+    return scenario;
+};
+
+/**
+ * Run the cube sources and metrics on a scenario with console output off
+ * @param {Object|Function} scenarioOrConfigure - Scenario from buildScenario, or a configure function for it
+ * @returns {Object} runCube result
+ */
+export const runScenarioCube = (scenarioOrConfigure) => {
+    const scenario = typeof scenarioOrConfigure === 'function' || !scenarioOrConfigure
+        ? buildScenario(scenarioOrConfigure)
+        : scenarioOrConfigure;
+
+    const { log, warn } = console;
+    console.log = console.warn = () => { };
+    try {
+        return runCube(scenario);
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+};
+
+/**
+ * Data of a cube source at a percentile
+ * @param {Object} run - runCube result
+ * @param {string} id - Source id
+ * @param {number} [percentile=50] - Percentile value
+ * @returns {Array<Object>} DataPointSchema array, empty when the source was not produced
+ */
+export const seriesOf = (run, id, percentile = 50) => run.sourceData.find(source => source.id === id)?.percentileSource
+    .find(result => result.percentile.value === percentile)?.data || [];
+
+/**
+ * Result of a cube metric at a percentile
+ * @param {Object} run - runCube result
+ * @param {string} id - Metric id
+ * @param {number} [percentile=50] - Percentile value
+ * @returns {Object} { percentile, value, stats }
+ */
+export const metricOf = (run, id, percentile = 50) => run.metricsData.find(metric => metric.id === id).percentileMetrics
+    .find(result => result.percentile.value === percentile);
+
+/**
+ * Values of a source by year
+ * @param {Array<Object>} data - DataPointSchema array
+ * @returns {Map<number, number>} year → value
+ */
+export const byYear = (data) => new Map(data.map(point => [point.year, point.value]));
+
+export const sum = (values) => values.reduce((total, value) => total + (value?.value ?? value), 0);
@@ -4,7 +4,10 @@ import {
     calculateNPVEnergy,
     calculateProjectIRR,
     calculateEquityIRR,
+    calculateAfterTaxProjectIRR,
+    calculateAfterTaxEquityIRR,
     calculatePaybackPeriod,
+    calculateDebtCapacity,
     extractPercentileMetric
 } from './transformers';
 
@@ -88,9 +91,9 @@ export const METRICS_REGISTRY = {
                 { id: 'dscr', type: 'source' }
             ],
             aggregations: [
-                { sourceId: 'dscr', operation: 'min', outputKey: 'min', isDefault: true, filter: (year, value, refs) => year > 0 && year <= refs.financing.loanDuration },
-                { sourceId: 'dscr', operation: 'max', outputKey: 'max', isDefault: false, filter: (year, value, refs) => year > 0 && year <= refs.financing.loanDuration },
-                { sourceId: 'dscr', operation: 'mean', outputKey: 'avg', isDefault: false, filter: (year, value, refs) => year > 0 && year <= refs.financing.loanDuration }
+                { sourceId: 'dscr', operation: 'min', outputKey: 'min', isDefault: true, filter: (year, value, refs) => year > 0 && year <= refs.financing.gracePeriod + refs.financing.loanDuration },
+                { sourceId: 'dscr', operation: 'max', outputKey: 'max', isDefault: false, filter: (year, value, refs) => year > 0 && year <= refs.financing.gracePeriod + refs.financing.loanDuration },
+                { sourceId: 'dscr', operation: 'mean', outputKey: 'avg', isDefault: false, filter: (year, value, refs) => year > 0 && year <= refs.financing.gracePeriod + refs.financing.loanDuration }
             ],
             transformer: null, // Use aggregations only
             operations: [],
@@ -119,6 +122,34 @@ export const METRICS_REGISTRY = {
             }
         },
 
+        // Debt sizing: maximum debt under the gearing, DSCR, LLCR and tenor limits
+        {
+            id: 'debtCapacity',
+            priority: 210,
+            dependencies: [
+                { id: 'capexDrawdown', type: 'source' },
+                { id: 'debtDrawdown', type: 'source' },
+                { id: 'dscr', type: 'source' },
+                { id: 'llcr', type: 'source' },
+                { id: 'cfads', type: 'source' },
+                { id: 'financing', type: 'reference' }
+            ],
+            aggregations: [],
+            transformer: calculateDebtCapacity,
+            operations: [],
+            metadata: {
+                name: 'Debt Capacity',
+                type: 'direct',
+                visualGroup: 'risk',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'construction',
+                description: 'Maximum debt satisfying the gearing limit, minimum DSCR, minimum LLCR and maximum tenor',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            },
+            sensitivity: { enabled: false }
+        },
+
         // Payback Period using cumulative cashflow + operations
         {
             id: 'paybackPeriod',
@@ -260,6 +291,56 @@ export const METRICS_REGISTRY = {
                 }
             }
         },
+        {
+            id: 'afterTaxProjectIRR',
+            priority: 112,
+            dependencies: [
+                { id: 'afterTaxProjectCashflow', type: 'source' }
+            ],
+            aggregations: [],
+            transformer: calculateAfterTaxProjectIRR,
+            operations: [],
+            metadata: {
+                name: 'After-Tax Project IRR',
+                type: 'direct',
+                visualGroup: 'profitability',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Internal rate of return for project cash flows after corporate tax',
+                formatter: (value) => `${value.toFixed(2)}%`
+            },
+            thresholds: [
+                { when: 'above', priority: 5, styleRule: (value, limits) => value > limits.financing.projectIRRTarget ? { color: '#52c41a' } : null },
+                { when: 'below', priority: 6, styleRule: (value, limits) => value < limits.financing.projectIRRTarget ? { color: '#ff4d4f', fontWeight: 600 } : null }
+            ],
+            sensitivity: { enabled: false }
+        },
+        {
+            id: 'afterTaxEquityIRR',
+            priority: 114,
+            dependencies: [
+                { id: 'afterTaxEquityCashflow', type: 'source' }
+            ],
+            aggregations: [],
+            transformer: calculateAfterTaxEquityIRR,
+            operations: [],
+            metadata: {
+                name: 'After-Tax Equity IRR',
+                type: 'direct',
+                visualGroup: 'profitability',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Internal rate of return for equity investors after corporate tax',
+                formatter: (value) => `${value.toFixed(2)}%`
+            },
+            thresholds: [
+                { when: 'above', priority: 5, styleRule: (value, limits) => value > limits.financing.equityIRRTarget ? { color: '#52c41a' } : null },
+                { when: 'below', priority: 6, styleRule: (value, limits) => value < limits.financing.equityIRRTarget ? { color: '#ff4d4f', fontWeight: 600 } : null }
+            ],
+            sensitivity: { enabled: false }
+        },
         {
             id: 'projectNPV',
             priority: 120,
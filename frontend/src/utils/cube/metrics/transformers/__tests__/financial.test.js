@@ -0,0 +1,108 @@
+// frontend/src/utils/cube/metrics/transformers/__tests__/financial.test.js
+import { calculateDebtCapacity, DEBT_SIZING_CONSTRAINTS } from '../financial';
+import { runScenarioCube, seriesOf, metricOf } from '../../../__fixtures__/cubeScenario';
+
+const FINANCING = { debtFinancingRatio: 70, minimumDSCR: 1.25, minimumLLCR: 1.4, gracePeriod: 1, loanDuration: 15, costOfOperationalDebt: 10 };
+
+// P50 sources of a 1000 CAPEX project drawing 500 of debt with CFADS of 100 over 10 years
+const sizeDebt = (financing, { minDSCR = 2, minLLCR = 2.8 } = {}) => {
+    const series = (values) => ({ 50: { data: values.map(([year, value]) => ({ year, value })) } });
+    const { log } = console;
+    console.log = () => { };
+    try {
+        const [result] = calculateDebtCapacity({
+            sources: {
+                capexDrawdown: series([[-1, 400], [0, 600]]),
+                debtDrawdown: series([[-1, 200], [0, 300]]),
+                dscr: series([[2, minDSCR + 1], [3, minDSCR]]),
+                llcr: series([[2, minLLCR]]),
+                cfads: series(Array.from({ length: 10 }, (_, index) => [index + 1, 100]))
+            },
+            metrics: {},
+            references: { financing: { ...FINANCING, ...financing } }
+        }, { availablePercentiles: [50], addAuditEntry: () => { } });
+        return result;
+    } finally {
+        console.log = log;
+    }
+};
+
+const repaidWithin = (years) => Array.from({ length: years }, (_, index) => 100 / 1.25 / Math.pow(1.1, index + 1))
+    .reduce((total, value) => total + value, 0);
+
+describe('calculateDebtCapacity', () => {
+    it('scales the drawn debt by each cover over its target', () => {
+        const { value, stats } = sizeDebt({});
+
+        expect(stats.gearingDebt).toBe(700);
+        expect(stats.dscrDebt).toBeCloseTo(500 * 2 / 1.25, 9);
+        expect(stats.llcrDebt).toBeCloseTo(500 * 2.8 / 1.4, 9);
+        // Years 2-10 of CFADS fall within the 15-year loan duration
+        expect(stats.tenorDebt).toBeCloseTo(repaidWithin(9), 9);
+        expect(value).toBe(Math.min(...DEBT_SIZING_CONSTRAINTS.map(key => stats[`${key}Debt`])));
+        expect(stats.gearing).toBeCloseTo(value / 10, 9);
+    });
+
+    it('limits the debt to what CFADS within the maximum tenor repays at the minimum DSCR', () => {
+        const { value, stats } = sizeDebt({ maxTenor: 3 }, { minDSCR: 3, minLLCR: 4 });
+
+        expect(stats.tenorDebt).toBeCloseTo(repaidWithin(3), 9);
+        expect(value).toBe(stats.tenorDebt);
+    });
+});
+
+describe('debt sizing in the cube', () => {
+    const financing = { minimumDSCR: 1.3, minimumLLCR: 1.4, debtFinancingRatio: 70 };
+    const financed = (overrides) => runScenarioCube(settings => Object.assign(settings.modules.financing, financing, overrides));
+    const run = financed({});
+
+    it('sizes the debt to the binding constraint', () => {
+        const { value, stats } = metricOf(run, 'debtCapacity', 90);
+
+        expect(value).toBe(Math.min(stats.gearingDebt, stats.dscrDebt, stats.llcrDebt, stats.tenorDebt));
+        expect(value).toBeLessThan(stats.gearingDebt); // P90 covers hold the debt below 70% gearing
+        // Lower percentiles have more CFADS and support at least as much debt
+        expect(metricOf(run, 'debtCapacity', 50).value).toBeGreaterThanOrEqual(value);
+    });
+
+    it('lands the binding cover on its target when re-run at the sized gearing', () => {
+        const { stats } = metricOf(run, 'debtCapacity', 90);
+        const sized = financed({ debtFinancingRatio: stats.gearing });
+        const minDSCR = Math.min(...seriesOf(sized, 'dscr', 90).map(point => point.value));
+        const minLLCR = Math.min(...seriesOf(sized, 'llcr', 90).map(point => point.value));
+
+        const binding = stats.dscrDebt <= stats.llcrDebt ? minDSCR / financing.minimumDSCR : minLLCR / financing.minimumLLCR;
+        expect(binding).toBeCloseTo(1, 6);
+        expect(minDSCR).toBeGreaterThanOrEqual(financing.minimumDSCR - 1e-6);
+        expect(minLLCR).toBeGreaterThanOrEqual(financing.minimumLLCR - 1e-6);
+    });
+
+    it('sizes on the after-tax CFADS that sculpting services', () => {
+        const taxed = (overrides) => runScenarioCube(settings => {
+            Object.assign(settings.modules.financing, financing, { effectiveTaxRate: 30 }, overrides);
+            settings.modules.financing.tax.enabled = true;
+        });
+        const { stats } = metricOf(taxed({}), 'debtCapacity', 90);
+        const untaxed = metricOf(run, 'debtCapacity', 90).stats;
+        // Depreciation shields the early years, where the minimum DSCR falls; the later years' tax lowers the rest
+        expect(stats.dscrDebt).toBeLessThanOrEqual(untaxed.dscrDebt);
+        expect(stats.llcrDebt).toBeLessThan(untaxed.llcrDebt);
+        expect(stats.tenorDebt).toBeLessThan(untaxed.tenorDebt);
+
+        // With the DSCR binding, sculpted debt sits on every limit that CFADS sets
+        const sculpted = taxed({ amortizationType: 'sculpted', minimumDSCR: 1.5, sculptingPercentile: 90 });
+        const sized = metricOf(sculpted, 'debtCapacity', 90).stats;
+        const drawn = sized.currentDebt;
+        const idc = seriesOf(sculpted, 'interestDuringConstruction', 90).reduce((total, { value }) => total + value, 0);
+        expect(sized.minDSCR).toBeCloseTo(1.5, 6);
+        expect(sized.dscrDebt).toBeCloseTo(drawn, 2);
+        expect(sized.tenorDebt).toBeCloseTo(drawn + idc, 2);
+    });
+
+    it('binds on the tenor when lenders accept only a short repayment period', () => {
+        const { value, stats } = metricOf(financed({ maxTenor: 5 }), 'debtCapacity', 90);
+
+        expect(stats.tenorDebt).toBeLessThan(Math.min(stats.dscrDebt, stats.llcrDebt));
+        expect(value).toBe(stats.tenorDebt);
+    });
+});
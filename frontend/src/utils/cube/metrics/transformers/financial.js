@@ -116,6 +116,24 @@ export const calculateEquityIRR = (dependencies, context) => {
     return results;
 };
 
+/**
+ * Calculate after-tax Project IRR from the after-tax project cashflow source
+ * @param {Object} dependencies - Resolved dependencies
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of CubeMetricResultSchema objects
+ */
+export const calculateAfterTaxProjectIRR = (dependencies, context) =>
+    calculateProjectIRR({ ...dependencies, sources: { projectCashflow: dependencies.sources.afterTaxProjectCashflow } }, context);
+
+/**
+ * Calculate after-tax Equity IRR from the after-tax equity cashflow source
+ * @param {Object} dependencies - Resolved dependencies
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of CubeMetricResultSchema objects
+ */
+export const calculateAfterTaxEquityIRR = (dependencies, context) =>
+    calculateEquityIRR({ ...dependencies, sources: { equityCashflow: dependencies.sources.afterTaxEquityCashflow } }, context);
+
 // Add to utils/cube/metrics/transformers/financial.js
 
 /**
@@ -203,6 +221,73 @@ export const calculatePaybackPeriod = (dependencies, context) => {
     return results;
 };
 
+// Debt sizing constraints in the order their debt limits are reported in metric stats
+export const DEBT_SIZING_CONSTRAINTS = ['gearing', 'dscr', 'llcr', 'tenor'];
+
+/**
+ * Calculate the maximum debt satisfying the gearing limit, the minimum DSCR and LLCR and the maximum tenor with the
+ * covers tested at each percentile. Debt service scales with the debt drawn for a given repayment profile, so each
+ * cover allows the drawn debt scaled by its minimum cover over the target. The tenor allows the debt that CFADS
+ * within maxTenor repays at the minimum DSCR (debt service discounted at the operational debt rate). CFADS and the
+ * covers are after tax, the cash sculpting sizes debt service on.
+ * @param {Object} dependencies - Resolved dependencies { sources: {}, metrics: {}, references: {} }
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of CubeMetricResultSchema objects, stats holding the debt each constraint allows
+ *   ({constraint}Debt), currentDebt, minDSCR, minLLCR and the sized gearing (%)
+ */
+export const calculateDebtCapacity = (dependencies, context) => {
+    const { availablePercentiles, addAuditEntry } = context;
+    const { financing } = dependencies.references;
+    const sum = (data = []) => data.reduce((total, { value }) => total + value, 0);
+    const minimum = (data = []) => (data.length > 0 ? Math.min(...data.map(({ value }) => value)) : null);
+
+    const minimumDSCR = financing.minimumDSCR || 1.3;
+    const maxTenor = financing.maxTenor || financing.loanDuration || 15;
+    const paymentStartYear = 1 + (financing.gracePeriod || 1);
+    const operationalRate = (financing.costOfOperationalDebt || 5) / 100;
+
+    const results = availablePercentiles.map(percentile => {
+        const capex = sum(dependencies.sources.capexDrawdown[percentile]?.data);
+        const currentDebt = sum(dependencies.sources.debtDrawdown[percentile]?.data);
+        const minDSCR = minimum(dependencies.sources.dscr[percentile]?.data);
+        const minLLCR = minimum(dependencies.sources.llcr[percentile]?.data);
+        const cfads = dependencies.sources.cfads[percentile]?.data || [];
+
+        // Without drawn debt there is no debt service to scale, so only the gearing and tenor limits apply
+        const gearingDebt = capex * (financing.debtFinancingRatio || 70) / 100;
+        const dscrDebt = currentDebt > 0 && minDSCR !== null ? currentDebt * minDSCR / minimumDSCR : gearingDebt;
+        const llcrDebt = currentDebt > 0 && minLLCR !== null ? currentDebt * minLLCR / (financing.minimumLLCR || 1.4) : gearingDebt;
+        const tenorDebt = cfads.length === 0 ? gearingDebt : cfads
+            .filter(({ year }) => year >= paymentStartYear && year < paymentStartYear + maxTenor)
+            .reduce((total, { year, value }) =>
+                total + Math.max(0, value) / minimumDSCR / Math.pow(1 + operationalRate, year - paymentStartYear + 1), 0);
+        const debtCapacity = Math.max(0, Math.min(gearingDebt, dscrDebt, llcrDebt, tenorDebt));
+
+        return {
+            percentile: { value: percentile },
+            value: debtCapacity,
+            stats: {
+                gearingDebt,
+                dscrDebt,
+                llcrDebt,
+                tenorDebt,
+                currentDebt,
+                minDSCR: minDSCR ?? 0,
+                minLLCR: minLLCR ?? 0,
+                gearing: capex > 0 ? debtCapacity / capex * 100 : 0
+            }
+        };
+    });
+
+    addAuditEntry('debt_capacity_calculated',
+        `sized debt to the gearing, DSCR (${minimumDSCR}x), LLCR (${financing.minimumLLCR || 1.4}x) and ${maxTenor}-year tenor limits for ${results.length} percentiles`,
+        ['capexDrawdown', 'debtDrawdown', 'dscr', 'llcr', 'cfads', 'financing']);
+
+    console.log(`💰 calculateDebtCapacity: Processed ${results.length} percentiles`);
+
+    return results;
+};
+
 /**
  * Calculate Levelized Cost of Energy (LCOE)
  * @param {Object} dependencies - Resolved dependencies
@@ -11,8 +11,8 @@ export const calculateMinDSCR = (dependencies, context) => {
     const { availablePercentiles, aggregationResults, addAuditEntry } = context;
 
     // For each percentile:
-    // 1. Extract net cashflow and debt service data for the percentile
-    // 2. Calculate DSCR for each operational year (net cashflow / debt service)
+    // 1. Extract CFADS and debt service data for the percentile
+    // 2. Calculate DSCR for each operational year (CFADS / debt service)
     // 3. Find minimum DSCR across all years
     // 4. Use aggregationResults stats (minCashflow, maxDebtService) for additional context
     // 5. Add audit entry with dependencies
@@ -29,7 +29,7 @@ export const calculateAvgDSCR = (dependencies, context) => {
     const { availablePercentiles, addAuditEntry } = context;
 
     // For each percentile:
-    // 1. Extract net cashflow and debt service data
+    // 1. Extract CFADS and debt service data
     // 2. Calculate DSCR for each operational year
     // 3. Calculate average DSCR (exclude construction years)
     // 4. Add audit entry
@@ -46,10 +46,10 @@ export const calculateMinLLCR = (dependencies, context) => {
     const { availablePercentiles, allReferences, addAuditEntry } = context;
 
     // For each percentile:
-    // 1. Extract net cashflow and debt service data
+    // 1. Extract CFADS and operational principal data
     // 2. Get discount rate from allReferences.financing.costOfOperationalDebt
-    // 3. For each year, calculate LLCR = NPV of remaining cashflows / Outstanding debt
-    // 4. Outstanding debt = sum of remaining debt service payments
+    // 3. For each year, calculate LLCR = NPV of CFADS to loan maturity / Outstanding debt
+    // 4. Outstanding debt = sum of remaining principal repayments
     // 5. Find minimum LLCR across project life
     // 6. Add audit entry
     // Return buildMetricResults(minLlcrValue, availablePercentiles)
@@ -65,9 +65,9 @@ export const calculateMinICR = (dependencies, context) => {
     const { availablePercentiles, addAuditEntry } = context;
 
     // For each percentile:
-    // 1. Extract net cashflow data (EBITDA proxy)
+    // 1. Extract CFADS data (EBITDA proxy)
     // 2. Extract operational interest payments
-    // 3. Calculate ICR for each year = net cashflow / interest payment
+    // 3. Calculate ICR for each year = CFADS / interest payment
     // 4. Find minimum ICR across operational years
     // 5. Add audit entry
     // Return buildMetricResults(minIcrValue, availablePercentiles)
@@ -0,0 +1,105 @@
+// frontend/src/utils/cube/runner.js
+import { get, set, cloneDeep } from 'lodash';
+import { computeSourceData } from './sources/processor';
+import { querySourceData } from './sources/query';
+import { CASHFLOW_SOURCE_REGISTRY } from './sources/registry';
+import { computeMetricsData } from './metrics/processor';
+import { METRICS_REGISTRY } from './metrics/registry';
+import { isDistributionsComplete, isConstructionSourcesComplete } from '../dependencies/checkFunctions';
+import { generateConstructionCostSources } from '../drawdownUtils';
+
+const DEFAULT_PERCENTILES = [10, 25, 50, 75, 90];
+
+/**
+ * Create a getValueByPath function over plain scenario data (same contract as ScenarioContext)
+ * Lets the cube processors run outside React, e.g. from the headless scenario CLI
+ * @param {Object} scenarioData - ScenarioSchema object
+ * @returns {Function} (path: string|string[], defaultValue = null) => any
+ */
+export const createValueGetter = (scenarioData) => (path, defaultValue = null) => get(scenarioData, path, defaultValue);
+
+/**
+ * Custom percentile per registry source with percentiles, keeping existing selections
+ * @param {Object} sourceRegistry - CubeSourceRegistrySchema with references and sources
+ * @param {Object} existingCustom - Existing { sourceId: percentile } selections
+ * @param {number} primaryPercentile - Percentile used for sources without a selection
+ * @returns {Object} { sourceId: percentile }
+ */
+const initializeCustomPercentiles = (sourceRegistry, existingCustom = {}, primaryPercentile = 50) => {
+    const customPercentiles = {};
+
+    sourceRegistry.sources
+        .filter(source => source.hasPercentiles === true)
+        .forEach(source => {
+            customPercentiles[source.id] = existingCustom[source.id] || primaryPercentile;
+        });
+
+    return customPercentiles;
+};
+
+/**
+ * Default percentileData for a scenario: all simulated percentiles, centred on the middle one
+ * @param {Function} getValueByPath - Function to get values from scenario
+ * @param {Object} sourceRegistry - CubeSourceRegistrySchema with references and sources
+ * @returns {Object} percentileData { selected, available, primary, custom, strategy }
+ */
+export const createPercentileInfo = (getValueByPath, sourceRegistry = CASHFLOW_SOURCE_REGISTRY) => {
+    const availableFromSettings = (getValueByPath(['settings', 'simulation', 'percentiles']) || []).map(p => p.value);
+    const available = (availableFromSettings.length > 0 ? availableFromSettings : DEFAULT_PERCENTILES)
+        .sort((a, b) => a - b);
+
+    // Use center item from available array
+    const defaultPercentile = available[Math.floor((available.length - 1) / 2)];
+
+    return {
+        selected: defaultPercentile,
+        available,
+        primary: defaultPercentile,
+        custom: initializeCustomPercentiles(sourceRegistry, {}, defaultPercentile),
+        strategy: 'unified'
+    };
+};
+
+/**
+ * Run the cube stages (dependencies, sources, metrics) on plain scenario data
+ * Mirrors CubeContext's refresh without React state; the input scenario is not modified
+ * @param {Object} scenarioData - ScenarioSchema object with input simulation results
+ * @param {Object} [options]
+ * @param {Object} [options.sourceRegistry] - Source registry (defaults to CASHFLOW_SOURCE_REGISTRY)
+ * @param {Object} [options.metricsRegistry] - Metrics registry (defaults to METRICS_REGISTRY)
+ * @param {Object} [options.percentileInfo] - percentileData to use instead of the scenario's own
+ * @returns {Object} { scenarioData, percentileInfo, sourceData, metricsData }
+ * @throws {Error} If the required input distributions have not been simulated
+ */
+export const runCube = (scenarioData, {
+    sourceRegistry = CASHFLOW_SOURCE_REGISTRY,
+    metricsRegistry = METRICS_REGISTRY,
+    percentileInfo = null
+} = {}) => {
+    const scenario = cloneDeep(scenarioData);
+    const getValueByPath = createValueGetter(scenario);
+
+    const effectivePercentileInfo = percentileInfo
+        || getValueByPath(['simulation', 'inputSim', 'cashflow', 'percentileData'])
+        || createPercentileInfo(getValueByPath, sourceRegistry);
+    set(scenario, ['simulation', 'inputSim', 'cashflow', 'percentileData'], effectivePercentileInfo);
+
+    if (!isDistributionsComplete(getValueByPath)) {
+        throw new Error('Distributions not complete - missing required distribution data');
+    }
+
+    if (!isConstructionSourcesComplete(getValueByPath)) {
+        set(scenario, ['settings', 'modules', 'cost', 'constructionPhase', 'costSources'],
+            generateConstructionCostSources(scenario, getValueByPath));
+    }
+
+    const sourceData = computeSourceData(sourceRegistry, effectivePercentileInfo, getValueByPath);
+    const metricsData = computeMetricsData(
+        metricsRegistry,
+        effectivePercentileInfo,
+        getValueByPath,
+        (filters) => querySourceData(sourceData, filters)
+    );
+
+    return { scenarioData: scenario, percentileInfo: effectivePercentileInfo, sourceData, metricsData };
+};
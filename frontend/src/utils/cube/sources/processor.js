@@ -2,7 +2,6 @@
 import { CubeSourceDataSchema } from 'schemas/yup/cube';
 import { SimResultsSchema, DataPointSchema, SimulationInfoSchema } from 'schemas/yup/distribution';
 import { createAuditTrail } from '../audit';
-import { use } from 'react';
 
 const Yup = require('yup');
 
@@ -1 +1,153 @@
-//implement get functions to retrieve data from cashflowData
\ No newline at end of file
+// frontend/src/utils/cube/sources/query.js
+
+/**
+ * Get filtered cube source data with flexible filtering options
+ * @param {Array} sourceData - Array of CubeSourceDataSchema objects from computeSourceData
+ * @param {Object} filters - Filter parameters
+ * @param {number} [filters.percentile] - Filter by percentile value
+ * @param {string} [filters.sourceId] - Filter by source ID
+ * @param {Object} [filters.metadata] - Filter by metadata fields (exact matches)
+ * @returns {Object} CubeSourceDataResponseSchema - Filtered data with dynamic keys
+ * @throws {Error} If neither sourceId nor percentile is provided
+ * ✅ Valid calls
+ * const energyData = querySourceData(sourceData, { sourceId: 'energyRevenue' });
+ * const medianData = querySourceData(sourceData, { percentile: 50 });
+ * const specificData = querySourceData(sourceData, { sourceId: 'energyRevenue', percentile: 50 });
+ * const costSources = querySourceData(sourceData, { percentile: 50, metadata: { cashflowGroup: 'cost' } });
+ * // ❌ Invalid calls - will throw error
+ * const invalidData = querySourceData(sourceData, {}); // Error: requires either sourceId or percentile
+ * const invalidData2 = querySourceData(sourceData, { metadata: { category: 'energy' } }); // Error: requires either sourceId or percentile 
+ */
+export const querySourceData = (sourceData, filters = {}) => {
+    const { percentile, sourceId, sourceIds, metadata: metadataFilters } = filters;
+
+    // Validate required parameters - now includes sourceIds
+    if (!sourceId && !sourceIds && percentile === undefined) {
+        throw new Error('getData requires either sourceId, sourceIds, or percentile parameter');
+    }
+
+    if (!sourceData || !Array.isArray(sourceData)) {
+        return {};
+    }
+
+    // Optimized filtering - apply most selective filters first
+    let filteredSources = sourceData;
+
+    // Apply sourceId filter first (most selective) - single source
+    if (sourceId) {
+        filteredSources = filteredSources.filter(source => source.id === sourceId);
+        // Early return if no source found
+        if (filteredSources.length === 0) return {};
+    }
+    // ✅ NEW: Apply sourceIds filter (multiple sources with OR logic)
+    else if (sourceIds && Array.isArray(sourceIds)) {
+        filteredSources = filteredSources.filter(source => sourceIds.includes(source.id));
+        // Early return if no sources found
+        if (filteredSources.length === 0) return {};
+    }
+
+    // Apply metadata filters second (moderately selective)
+    if (metadataFilters && typeof metadataFilters === 'object') {
+        const filterEntries = Object.entries(metadataFilters);
+        if (filterEntries.length > 0) {
+            filteredSources = filteredSources.filter(source => {
+                return filterEntries.every(([key, value]) =>
+                    source.metadata[key] === value
+                );
+            });
+            // Early return if no sources match metadata filters
+            if (filteredSources.length === 0) return {};
+        }
+    }
+
+    const result = {};
+
+    // Mode 1: Only sourceId set (group by percentile)
+    if (sourceId && percentile === undefined) {
+        const source = filteredSources[0]; // Already filtered to single source
+
+        // Group by percentile for efficiency
+        const percentileGroups = new Map();
+        source.percentileSource.forEach(simResult => {
+            const percentileKey = simResult.percentile.value;
+            if (!percentileGroups.has(percentileKey)) {
+                percentileGroups.set(percentileKey, []);
+            }
+            // Extract data from simResult.data array
+            simResult.data.forEach(dataPoint => {
+                percentileGroups.get(percentileKey).push({
+                    year: dataPoint.year,
+                    value: dataPoint.value
+                });
+            });
+        });
+
+        // Build result with percentile keys
+        percentileGroups.forEach((dataPoints, percentileKey) => {
+            result[percentileKey] = {
+                data: dataPoints,
+                metadata: source.metadata
+            };
+        });
+    }
+    // ✅ NEW: Mode 1b: Only sourceIds set (group by percentile, multiple sources)
+    else if (sourceIds && Array.isArray(sourceIds) && percentile === undefined) {
+        // For each source, group by percentile
+        filteredSources.forEach(source => {
+            const percentileGroups = new Map();
+            source.percentileSource.forEach(simResult => {
+                const percentileKey = simResult.percentile.value;
+                if (!percentileGroups.has(percentileKey)) {
+                    percentileGroups.set(percentileKey, []);
+                }
+                // Extract data from simResult.data array
+                simResult.data.forEach(dataPoint => {
+                    percentileGroups.get(percentileKey).push({
+                        year: dataPoint.year,
+                        value: dataPoint.value
+                    });
+                });
+            });
+
+            // Build result with percentile keys for this source
+            percentileGroups.forEach((dataPoints, percentileKey) => {
+                if (!result[percentileKey]) {
+                    result[percentileKey] = {
+                        data: [],
+                        metadata: { sources: [] }
+                    };
+                }
+                result[percentileKey].data.push(...dataPoints);
+                result[percentileKey].metadata.sources.push(source.metadata);
+            });
+        });
+    }
+    // Mode 2 & 3: Percentile set (group by sourceId)
+    else if (percentile !== undefined) {
+        filteredSources.forEach(source => {
+            // Pre-filter to specific percentile for efficiency
+            const dataPoints = [];
+            source.percentileSource.forEach(simResult => {
+                if (simResult.percentile.value === percentile) {
+                    // Extract data from simResult.data array
+                    simResult.data.forEach(dataPoint => {
+                        dataPoints.push({
+                            year: dataPoint.year,
+                            value: dataPoint.value
+                        });
+                    });
+                }
+            });
+
+            // Only add to result if we found data for this percentile
+            if (dataPoints.length > 0) {
+                result[source.id] = {
+                    data: dataPoints,
+                    metadata: source.metadata
+                };
+            }
+        });
+    }
+
+    return result;
+};
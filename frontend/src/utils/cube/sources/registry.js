@@ -12,6 +12,7 @@ import {
     operationalInterest,
     operationalPrincipal,
     debtService,
+    cfads,
     contractFees,
     majorRepairs,
     reserveFunds,
@@ -24,6 +25,26 @@ import {
     lepAepImpactTransformer,
     componentFailureRatesTransformer,
     componentReplacementCostsTransformer,
+    serialDefectCostsTransformer,
+    failureDowntimeLossTransformer,
+    sparesInventoryCostsTransformer,
+    taxableIncome,
+    taxPaid,
+    afterTaxProjectCashflow,
+    afterTaxEquityCashflow,
+    mraFunding,
+    mraRelease,
+    mraInterest,
+    dsraFunding,
+    dsraRelease,
+    dsraInterest,
+    dsraDraw,
+    seniorDebtService,
+    reserveTopUps,
+    lockUpDSCR,
+    trappedCash,
+    cashSweep,
+    distributions,
 } from './transformers';
 
 export const CASHFLOW_SOURCE_REGISTRY = {
@@ -175,11 +196,12 @@ export const CASHFLOW_SOURCE_REGISTRY = {
         },
         {
             id: 'debtDrawdown',
-            priority: 99,
+            priority: 210, // After the operating sources, so sculpted debt can be sized from CFADS
             path: ['settings', 'modules', 'cost', 'constructionPhase', 'costSources'],
             hasPercentiles: false,
             references: [
-                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+                { id: 'financing', path: ['settings', 'modules', 'financing'] },
+                { id: 'projectLife', path: ['settings', 'general', 'projectLife'] }
             ],
             transformer: debtDrawdown,
             multipliers: [],
@@ -408,12 +430,36 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
             }
         },
+        {
+            id: 'cfads',
+            priority: 840,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'projectLife', path: ['settings', 'general', 'projectLife'] }
+            ],
+            transformer: cfads,
+            multipliers: [],
+            metadata: {
+                name: 'CFADS',
+                type: 'virtual',
+                visualGroup: 'financing',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Cash flow available for debt service (operating revenue - operating costs - tax paid + DSRA draws)',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
         {
             id: 'debtService',
             priority: 850,
             path: null,
             hasPercentiles: false,
-            references: [],
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
             transformer: debtService,
             multipliers: [],
             metadata: {
@@ -423,7 +469,7 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'outflow',
                 accountingClass: 'liability',
                 projectPhase: 'operations',
-                description: 'Annual debt service payments (principal + interest)',
+                description: 'Annual debt service payments (principal + interest, after cash sweep prepayments)',
                 customPercentile: 50,
                 formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
             }
@@ -467,7 +513,7 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'none',
                 accountingClass: 'none',
                 projectPhase: 'operations',
-                description: 'Equity cashflow series for Equity IRR calculation (equity investment + net cashflow - debt service)',
+                description: 'Pre-tax equity cashflow series for Equity IRR calculation (equity investment of CAPEX + IDC - debt, + waterfall distributions + tax paid)',
                 customPercentile: 50,
                 formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
             }
@@ -509,7 +555,7 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'none',
                 accountingClass: 'none',
                 projectPhase: 'operations',
-                description: 'Annual debt service coverage ratios',
+                description: 'Annual debt service coverage ratios (CFADS / Debt service)',
                 customPercentile: 50,
                 formatter: (value) => `${value.toFixed(2)}x`
             }
@@ -555,7 +601,7 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'none',
                 accountingClass: 'none',
                 projectPhase: 'operations',
-                description: 'Loan Life Coverage Ratio by year (NPV remaining cashflows / Outstanding debt)',
+                description: 'Loan Life Coverage Ratio by year (NPV of CFADS to maturity / Outstanding debt)',
                 customPercentile: 50,
                 formatter: (value) => `${value.toFixed(2)}x`
             }
@@ -577,11 +623,104 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'none',
                 accountingClass: 'none',
                 projectPhase: 'operations',
-                description: 'Interest Coverage Ratio by year (EBITDA / Interest payments)',
+                description: 'Interest Coverage Ratio by year (CFADS / Interest payments)',
                 customPercentile: 50,
                 formatter: (value) => `${value.toFixed(2)}x`
             }
         },
+
+        // TAX - Virtual sources right after the debt schedule (financing.tax): tax is paid ahead of debt service, so the
+        // DSRA, CFADS and waterfall sources after it work on after-tax cash
+        {
+            id: 'taxableIncome',
+            priority: 245,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] },
+                { id: 'projectLife', path: ['settings', 'general', 'projectLife'] }
+            ],
+            transformer: taxableIncome,
+            multipliers: [],
+            metadata: {
+                name: 'Taxable Income',
+                type: 'virtual',
+                visualGroup: 'tax',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Taxable income after depreciation, deductible interest and loss carry-forward (negative in loss years)',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'taxPaid',
+            priority: 246,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] },
+                { id: 'projectLife', path: ['settings', 'general', 'projectLife'] }
+            ],
+            transformer: taxPaid,
+            multipliers: [],
+            metadata: {
+                name: 'Tax Paid',
+                type: 'virtual',
+                visualGroup: 'tax',
+                cashflowType: 'outflow',
+                accountingClass: 'tax',
+                projectPhase: 'operations',
+                description: 'Corporate tax paid on taxable income at the effective tax rate, after the payment lag',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'afterTaxProjectCashflow',
+            priority: 910,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: afterTaxProjectCashflow,
+            multipliers: [],
+            metadata: {
+                name: 'After-Tax Project Cashflow',
+                type: 'virtual',
+                visualGroup: 'profitability',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Project cashflow after tax paid for the after-tax Project IRR',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'afterTaxEquityCashflow',
+            priority: 910,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: afterTaxEquityCashflow,
+            multipliers: [],
+            metadata: {
+                name: 'After-Tax Equity Cashflow',
+                type: 'virtual',
+                visualGroup: 'profitability',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Equity cashflow for the after-tax Equity IRR (equity investment + waterfall distributions, which are after tax)',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
         {
             id: 'lepAepImpact',
             priority: 98,
@@ -612,7 +751,13 @@ export const CASHFLOW_SOURCE_REGISTRY = {
             priority: 200,
             path: ['settings', 'project', 'equipment', 'failureRates', 'components'],
             hasPercentiles: false,
-            references: [],
+            references: [
+                { id: 'failureRatesEnabled', path: ['settings', 'project', 'equipment', 'failureRates', 'enabled'] },
+                { id: 'failureRateResults', path: ['simulation', 'inputSim', 'failureRates'] },
+                { id: 'wtgPlatformType', path: ['settings', 'project', 'windFarm', 'wtgPlatformType'] },
+                { id: 'stressFactors', path: ['settings', 'project', 'environment', 'stressFactors'] },
+                { id: 'failureEvents', path: ['simulation', 'inputSim', 'failureEvents'] }
+            ],
             transformer: componentFailureRatesTransformer,
             multipliers: [
                 { id: 'escalationRate', operation: 'compoundPercent', baseYear: 1 }
@@ -624,7 +769,7 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'outflow',
                 accountingClass: 'opex',
                 projectPhase: 'operations',
-                description: 'Annual costs from component failures based on failure rates and replacement costs',
+                description: 'Annual costs from component failures: the failure-event simulation\'s repair costs when it has run, else the expected costs of each component\'s hazard curve',
                 formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
             }
         },
@@ -633,7 +778,12 @@ export const CASHFLOW_SOURCE_REGISTRY = {
             priority: 201,
             path: ['settings', 'project', 'equipment', 'failureRates', 'components'],
             hasPercentiles: false,
-            references: [],
+            references: [
+                { id: 'failureRatesEnabled', path: ['settings', 'project', 'equipment', 'failureRates', 'enabled'] },
+                { id: 'failureRateResults', path: ['simulation', 'inputSim', 'failureRates'] },
+                { id: 'wtgPlatformType', path: ['settings', 'project', 'windFarm', 'wtgPlatformType'] },
+                { id: 'stressFactors', path: ['settings', 'project', 'environment', 'stressFactors'] }
+            ],
             transformer: componentReplacementCostsTransformer,
             multipliers: [
                 { id: 'escalationRate', operation: 'compoundPercent', baseYear: 1 }
@@ -645,7 +795,76 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 cashflowType: 'outflow',
                 accountingClass: 'opex',
                 projectPhase: 'operations',
-                description: 'Annual replacement costs for major wind turbine components',
+                description: 'Annual material cost of expected major component replacements',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'serialDefectCosts',
+            priority: 202,
+            path: ['settings', 'project', 'equipment', 'failureRates', 'components'],
+            hasPercentiles: false,
+            references: [
+                { id: 'failureRatesEnabled', path: ['settings', 'project', 'equipment', 'failureRates', 'enabled'] },
+                { id: 'failureEvents', path: ['simulation', 'inputSim', 'failureEvents'] },
+                { id: 'wtgPlatformType', path: ['settings', 'project', 'windFarm', 'wtgPlatformType'] }
+            ],
+            transformer: serialDefectCostsTransformer,
+            multipliers: [
+                { id: 'escalationRate', operation: 'compoundPercent', baseYear: 1 }
+            ],
+            metadata: {
+                name: 'Serial Defect Campaigns',
+                type: 'indirect',
+                visualGroup: 'component_failures',
+                cashflowType: 'outflow',
+                accountingClass: 'opex',
+                projectPhase: 'operations',
+                description: 'Owner\'s cost of fleet-wide serial defect campaigns, net of OEM warranty coverage',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'failureDowntimeLoss',
+            priority: 203,
+            path: ['simulation', 'inputSim', 'failureEvents'],
+            hasPercentiles: false,
+            references: [
+                { id: 'failureRatesEnabled', path: ['settings', 'project', 'equipment', 'failureRates', 'enabled'] }
+            ],
+            transformer: failureDowntimeLossTransformer,
+            multipliers: [],
+            metadata: {
+                name: 'Failure Downtime Loss',
+                type: 'indirect',
+                visualGroup: 'component_failures',
+                cashflowType: 'outflow',
+                accountingClass: 'opex',
+                projectPhase: 'operations',
+                description: 'Energy revenue lost while turbines are down for failure repairs, including waits for spares',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'sparesInventoryCosts',
+            priority: 204,
+            path: ['simulation', 'inputSim', 'failureEvents'],
+            hasPercentiles: false,
+            references: [
+                { id: 'failureRatesEnabled', path: ['settings', 'project', 'equipment', 'failureRates', 'enabled'] }
+            ],
+            transformer: sparesInventoryCostsTransformer,
+            multipliers: [
+                { id: 'escalationRate', operation: 'compoundPercent', baseYear: 1 }
+            ],
+            metadata: {
+                name: 'Spare Parts Inventory',
+                type: 'indirect',
+                visualGroup: 'component_failures',
+                cashflowType: 'outflow',
+                accountingClass: 'opex',
+                projectPhase: 'operations',
+                description: 'Initial purchase and holding cost of spare parts stock',
                 formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
             }
         },
@@ -669,5 +888,288 @@ export const CASHFLOW_SOURCE_REGISTRY = {
                 formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
             }
         },
+
+        // RESERVE ACCOUNTS (modules.risk.reserveAccounts) - the MRA is indirect so it is part of CFADS before debt
+        // sizing; the DSRA follows the debt service it reserves
+        {
+            id: 'mraFunding',
+            priority: 205,
+            path: ['settings', 'modules', 'risk', 'reserveAccounts', 'mra'],
+            hasPercentiles: false,
+            references: [],
+            transformer: mraFunding,
+            multipliers: [],
+            metadata: {
+                name: 'MRA Funding',
+                type: 'indirect',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'outflow',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Maintenance reserve deposits accrued ahead of major component replacements',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'mraRelease',
+            priority: 206,
+            path: ['settings', 'modules', 'risk', 'reserveAccounts', 'mra'],
+            hasPercentiles: false,
+            references: [],
+            transformer: mraRelease,
+            multipliers: [],
+            metadata: {
+                name: 'MRA Release',
+                type: 'indirect',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'inflow',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Maintenance reserve draws paying for major component replacements',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'mraInterest',
+            priority: 207,
+            path: ['settings', 'modules', 'risk', 'reserveAccounts', 'mra'],
+            hasPercentiles: false,
+            references: [],
+            transformer: mraInterest,
+            multipliers: [],
+            metadata: {
+                name: 'MRA Interest',
+                type: 'indirect',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'inflow',
+                accountingClass: 'revenue',
+                projectPhase: 'operations',
+                description: 'Interest income on the maintenance reserve balance',
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'dsraFunding',
+            priority: 250,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'reserveAccounts', path: ['settings', 'modules', 'risk', 'reserveAccounts'] }
+            ],
+            transformer: dsraFunding,
+            multipliers: [],
+            metadata: {
+                name: 'DSRA Funding',
+                type: 'virtual',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'outflow',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Debt service reserve fill (at COD or from cash) and top-ups',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'dsraRelease',
+            priority: 251,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'reserveAccounts', path: ['settings', 'modules', 'risk', 'reserveAccounts'] }
+            ],
+            transformer: dsraRelease,
+            multipliers: [],
+            metadata: {
+                name: 'DSRA Release',
+                type: 'virtual',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'inflow',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Debt service reserve released as forward debt service falls',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'dsraInterest',
+            priority: 252,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'reserveAccounts', path: ['settings', 'modules', 'risk', 'reserveAccounts'] }
+            ],
+            transformer: dsraInterest,
+            multipliers: [],
+            metadata: {
+                name: 'DSRA Interest',
+                type: 'virtual',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'inflow',
+                accountingClass: 'revenue',
+                projectPhase: 'operations',
+                description: 'Interest income on the debt service reserve balance',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'dsraDraw',
+            priority: 253,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'reserveAccounts', path: ['settings', 'modules', 'risk', 'reserveAccounts'] }
+            ],
+            transformer: dsraDraw,
+            multipliers: [],
+            metadata: {
+                name: 'DSRA Draw',
+                type: 'virtual',
+                visualGroup: 'reserve_accounts',
+                cashflowType: 'inflow',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Debt service reserve drawn to cover debt service that CFADS falls short of (part of CFADS)',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+
+        // CASH WATERFALL (financing.waterfall) - after the debt and reserve sources; cashflowType none as these
+        // re-split cash the totals already count
+        {
+            id: 'seniorDebtService',
+            priority: 880,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: seniorDebtService,
+            multipliers: [],
+            metadata: {
+                name: 'Senior Debt Service',
+                type: 'virtual',
+                visualGroup: 'waterfall',
+                cashflowType: 'none',
+                accountingClass: 'liability',
+                projectPhase: 'operations',
+                description: 'Senior debt service paid by the waterfall, after cash sweep prepayments',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'reserveTopUps',
+            priority: 881,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: reserveTopUps,
+            multipliers: [],
+            metadata: {
+                name: 'Reserve Top-ups',
+                type: 'virtual',
+                visualGroup: 'waterfall',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Reserve deposits less releases paid after senior debt service',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'lockUpDSCR',
+            priority: 882,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: lockUpDSCR,
+            multipliers: [],
+            metadata: {
+                name: 'Lock-up DSCR',
+                type: 'virtual',
+                visualGroup: 'waterfall',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Historic DSCR tested against the distribution lock-up ratio',
+                customPercentile: 50,
+                formatter: (value) => `${value.toFixed(2)}x`
+            }
+        },
+        {
+            id: 'trappedCash',
+            priority: 883,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: trappedCash,
+            multipliers: [],
+            metadata: {
+                name: 'Trapped Cash',
+                type: 'virtual',
+                visualGroup: 'waterfall',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Cash held in the lock-up account at year end',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'cashSweep',
+            priority: 884,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: cashSweep,
+            multipliers: [],
+            metadata: {
+                name: 'Cash Sweep',
+                type: 'virtual',
+                visualGroup: 'waterfall',
+                cashflowType: 'none',
+                accountingClass: 'liability',
+                projectPhase: 'operations',
+                description: 'Senior debt prepaid from distributable cash above the sweep threshold',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
+        {
+            id: 'distributions',
+            priority: 885,
+            path: null,
+            hasPercentiles: false,
+            references: [
+                { id: 'financing', path: ['settings', 'modules', 'financing'] }
+            ],
+            transformer: distributions,
+            multipliers: [],
+            metadata: {
+                name: 'Equity Distributions',
+                type: 'virtual',
+                visualGroup: 'waterfall',
+                cashflowType: 'none',
+                accountingClass: 'none',
+                projectPhase: 'operations',
+                description: 'Cash distributed to equity at the bottom of the waterfall',
+                customPercentile: 50,
+                formatter: (value) => `$${(value / 1000000).toFixed(1)}M`
+            }
+        },
     ]
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+// frontend/src/utils/cube/sources/transformers/__tests__/equipment.test.js
+import {
+    getLifetimeHazard,
+    calculateHazardProfile,
+    calculateComponentQuantity,
+    calculateMaintenanceProfile,
+    componentFailureRatesTransformer
+} from '../equipment';
+import { runScenarioCube, seriesOf, sum } from '../../../__fixtures__/cubeScenario';
+
+const WEAR_OUT = { beta: 3, eta: 20 };
+
+const GEARBOX = {
+    id: 'gearboxes', name: 'Gearbox', enabled: true, quantityConfig: { mode: 'perTurbine', value: 1 },
+    distribution: { type: 'exponential', parameters: { lambda: 0.02 } },
+    repairConfig: { repairPackageSnapshot: { baseDurationDays: 0, costs: { material: { perEventEUR: 100000 } } } }
+};
+
+const transform = (component, references = {}, percentiles = [50]) => {
+    const { log } = console;
+    console.log = () => { };
+    try {
+        return componentFailureRatesTransformer({ [component.id]: component }, {
+            percentileInfo: { available: percentiles },
+            customPercentile: null,
+            addAuditEntry: () => { },
+            allReferences: { projectLife: 10, numWTGs: 10, ...references }
+        });
+    } finally {
+        console.log = log;
+    }
+};
+
+describe('lifetime hazard', () => {
+    it('comes from the fitted β/η, not the failure rate distribution', () => {
+        expect(getLifetimeHazard({ distribution: { type: 'weibull', parameters: { shape: 2.2, scale: 0.02 } } })).toBeNull();
+        expect(getLifetimeHazard({ ...GEARBOX, failureHistory: { fit: { method: 'mle', ...WEAR_OUT } } })).toEqual(WEAR_OUT);
+        // The three-phase rate curve already carries the age profile
+        expect(getLifetimeHazard({ distribution: { type: 'threePhaseWeibull' }, failureHistory: { fit: WEAR_OUT } })).toBeNull();
+    });
+
+    it('gives the yearly increments of the cumulative hazard', () => {
+        const wearOut = calculateHazardProfile(WEAR_OUT, 20);
+        expect(sum(wearOut)).toBeCloseTo(1, 12); // (20 / 20)^3
+        expect(wearOut[19]).toBeGreaterThan(2 * wearOut[9]);
+
+        calculateHazardProfile({ beta: 1, eta: 50 }, 5).forEach(failures => expect(failures).toBeCloseTo(0.02, 12));
+
+        const infant = calculateHazardProfile({ beta: 0.6, eta: 40 }, 20);
+        expect(infant[0]).toBeGreaterThan(infant[19]);
+    });
+});
+
+it('component quantities follow quantityConfig', () => {
+    expect(calculateComponentQuantity({ id: 'blades', quantityConfig: { mode: 'perBlade', value: 1 } }, 10)).toBe(30);
+    expect(calculateComponentQuantity({ id: 'converters', quantityConfig: { mode: 'fixed', value: 4 } }, 10)).toBe(4);
+    expect(calculateComponentQuantity({ id: 'gearboxes', quantityConfig: { mode: 'perTurbine', value: 1 } }, 10, 'directDrive')).toBe(0);
+});
+
+it('maintenance strategies change expected failures and costs', () => {
+    const unitFailures = calculateHazardProfile(WEAR_OUT, 20);
+    const inputs = { unitFailures, quantity: 10, costPerFailure: 1000 };
+    const total = (profile, key) => profile.reduce((result, point) => result + point[key], 0);
+
+    const runToFailure = calculateMaintenanceProfile(null, inputs);
+    expect(total(runToFailure, 'failures')).toBeCloseTo(10, 9);
+    expect(total(runToFailure, 'value')).toBeCloseTo(total(runToFailure, 'failures') * 1000, 6);
+
+    // Renewal at age 8 restarts the wear-out curve: years 9-16 repeat years 1-8, replacements at years 8 and 16
+    const ageBased = calculateMaintenanceProfile({ type: 'ageBased', ageBased: { replacementAge: 8, plannedCostFactor: 0.5 } }, inputs);
+    expect(ageBased[8].failures).toBe(runToFailure[0].failures);
+    expect(ageBased.filter(point => point.plannedReplacements > 0).map(point => point.year)).toEqual([8, 16]);
+    expect(total(ageBased, 'failures')).toBeLessThan(total(runToFailure, 'failures') / 3);
+    expect(ageBased[7].value).toBeCloseTo((ageBased[7].failures + 10 * 0.5) * 1000, 6);
+
+    const conditionBased = { type: 'conditionBased', conditionBased: { detectionProbability: 0.6, plannedCostFactor: 0.25, monitoringCostPerUnit: 50 } };
+    const monitored = calculateMaintenanceProfile(conditionBased, inputs);
+    const year = runToFailure[10];
+    expect(monitored[10].plannedRepairs).toBeCloseTo(0.6 * year.failures, 12);
+    expect(monitored[10].value).toBeCloseTo(year.value * (0.4 + 0.6 * 0.25) + 10 * 50, 6);
+
+    const materialOnly = calculateMaintenanceProfile(conditionBased, { ...inputs, includeMonitoring: false });
+    expect(materialOnly[10].value).toBeCloseTo(year.value * (0.4 + 0.6 * 0.25), 6);
+});
+
+describe('componentFailureRatesTransformer', () => {
+    it('keeps the annual rate flat without a lifetime hazard', () => {
+        const [result] = transform(GEARBOX);
+        expect(result.metadata.lifetimeHazard).toBeNull();
+        result.data.forEach(point => expect(point.value).toBeCloseTo(10 * 0.02 * 100000, 6));
+    });
+
+    it('follows the fitted hazard, scaled by the percentile rate against the mean rate', () => {
+        const component = { ...GEARBOX, failureHistory: { fit: { method: 'mle', ...WEAR_OUT } } };
+        const failureRateResults = {
+            gearboxes: {
+                results: [50, 90].map(percentile => ({
+                    percentile: { value: percentile },
+                    data: Array.from({ length: 10 }, (_, index) => ({ year: index + 1, value: percentile === 90 ? 0.04 : 0.02 }))
+                }))
+            }
+        };
+        const [median, p90] = transform(component, { failureRateResults }, [50, 90]);
+        const hazard = calculateHazardProfile(WEAR_OUT, 10);
+
+        expect(median.metadata.lifetimeHazard).toEqual(WEAR_OUT);
+        median.data.forEach(({ value }, index) => expect(value).toBeCloseTo(10 * hazard[index] * 100000, 6));
+        p90.data.forEach(({ value }, index) => expect(value).toBeCloseTo(2 * median.data[index].value, 6));
+    });
+
+    it('scales expected failures by the environmental stress factor', () => {
+        const stressFactors = { components: [{ id: 'gearboxes', factor: 1.95 }] };
+        const [baseline] = transform(GEARBOX);
+        const [turbulent] = transform(GEARBOX, { stressFactors });
+
+        expect(baseline.metadata.environmentalFactor).toBe(1);
+        expect(turbulent.metadata.environmentalFactor).toBe(1.95);
+        expect(turbulent.metadata.totalCost).toBeCloseTo(baseline.metadata.totalCost * 1.95, 6);
+    });
+
+    it('takes run-to-failure costs from the failure-event simulation when it has run', () => {
+        const annual = (values) => [{ percentile: { value: 50 }, data: values.map((value, index) => ({ year: index + 1, value })) }];
+        const failureEvents = {
+            components: {
+                gearboxes: {
+                    cost: { annual: annual([0, 300000, 0, 900000, 0, 0, 0, 0, 0, 0]) },
+                    failures: { annual: annual([0, 1, 0, 2, 0, 0, 0, 0, 0, 0]) }
+                }
+            }
+        };
+
+        const [simulated] = transform(GEARBOX, { failureEvents });
+        expect(simulated.metadata.fromSimulation).toBe(true);
+        expect(simulated.data.map(point => point.value)).toEqual([0, 300000, 0, 900000, 0, 0, 0, 0, 0, 0]);
+        expect(simulated.metadata.expectedFailures).toBe(3);
+
+        // The simulation does not model planned maintenance, so other strategies keep their expected costs
+        const ageBased = { ...GEARBOX, maintenanceStrategy: { type: 'ageBased', ageBased: { replacementAge: 5, plannedCostFactor: 0.5 } } };
+        const [expected] = transform(ageBased, { failureEvents });
+        expect(expected.metadata.fromSimulation).toBe(false);
+        expect(expected.data[1].value).toBeCloseTo(10 * 0.02 * 100000, 6);
+    });
+
+    it('reaches the cube as wear-out costs rising over the project life', () => {
+        const run = runScenarioCube(settings => {
+            const failureRates = settings.project.equipment.failureRates;
+            failureRates.enabled = true;
+            Object.assign(failureRates.components.gearboxes, {
+                enabled: true,
+                failureHistory: { fit: { method: 'mle', ...WEAR_OUT } },
+                repairConfig: {
+                    repairPackageSnapshot: {
+                        baseDurationDays: 5,
+                        costs: { material: { perEventEUR: 400000, perDayEUR: 0 }, crane: { perEventEUR: 100000, perDayEUR: 10000 } }
+                    }
+                }
+            });
+        });
+
+        const median = run.sourceData.find(source => source.id === 'componentFailureRates').percentileSource
+            .find(result => result.percentile.value === 50);
+        expect(median.metadata.quantity).toBe(20);
+        expect(median.metadata.costPerFailure).toBe(550000);
+
+        const costs = seriesOf(run, 'componentFailureRates');
+        expect(sum(costs.slice(10))).toBeGreaterThan(2 * sum(costs.slice(0, 10)));
+        // Each unit fails (20 / η)^β = once over the life at the configured mean rate
+        expect(median.metadata.totalCost).toBeCloseTo(20 * 550000, 0);
+    });
+});
@@ -0,0 +1,170 @@
+// frontend/src/utils/cube/sources/transformers/__tests__/financing.test.js
+import { calculateCfads, calculateSculptedDebtService, calculateSculptedRepayments } from '../financing';
+import { calculateTaxSchedule } from '../tax';
+import { TaxSchema } from 'schemas/yup/tax';
+import { runScenarioCube, seriesOf, byYear, sum } from '../../../__fixtures__/cubeScenario';
+
+const PROJECT_LIFE = 6;
+
+// Operating source of the P50 only, years 1..PROJECT_LIFE
+const operatingSource = (id, cashflowType, values) => ({
+    id,
+    metadata: { type: 'indirect', cashflowType, accountingClass: cashflowType === 'inflow' ? 'revenue' : 'opex', visualGroup: 'operations' },
+    percentileSource: [{ percentile: { value: 50 }, data: values.map((value, index) => ({ year: index + 1, value })) }]
+});
+
+// CFADS of 80 except year 4, where a repair takes it to -50
+const PROCESSED = [
+    operatingSource('energyRevenue', 'inflow', [100, 100, 100, 100, 100, 100]),
+    operatingSource('majorRepairs', 'outflow', [20, 20, 20, 150, 20, 20])
+];
+const FINANCING = { minimumDSCR: 2, costOfOperationalDebt: 10, gracePeriod: 1, loanDuration: 15, sculptingPercentile: 50 };
+
+const discounted = (debtService, rate) => debtService.reduce((total, { year, value }) => total + value / Math.pow(1 + rate, year - 1), 0);
+
+describe('calculateSculptedDebtService', () => {
+    it('sets debt service to CFADS / minimumDSCR and clamps negative CFADS years to zero', () => {
+        const { percentile, debtService, debtCapacity } = calculateSculptedDebtService(PROCESSED, FINANCING, PROJECT_LIFE, [10, 50, 90]);
+
+        expect(percentile).toBe(50);
+        expect(debtService).toEqual([
+            { year: 2, value: 40 }, { year: 3, value: 40 }, { year: 4, value: 0 }, { year: 5, value: 40 }, { year: 6, value: 40 }
+        ]);
+        expect(debtCapacity).toBeCloseTo(discounted(debtService, 0.1), 9);
+    });
+
+    it('sculpts on CFADS after the tax of the debt it sizes', () => {
+        const financing = { ...FINANCING, effectiveTaxRate: 25, tax: { enabled: true } };
+        const { debtService, debtCapacity, taxPaid } = calculateSculptedDebtService(PROCESSED, financing, PROJECT_LIFE, [50]);
+        const cfads = calculateCfads(PROCESSED, 50, PROJECT_LIFE);
+
+        debtService.forEach(({ year, value }) => expect(value).toBeCloseTo(Math.max(0, cfads[year - 1] - taxPaid[year - 1]) / 2, 9));
+        expect(debtCapacity).toBeLessThan(calculateSculptedDebtService(PROCESSED, FINANCING, PROJECT_LIFE, [50]).debtCapacity);
+
+        // The tax is the tax of that debt's interest
+        const interest = new Array(PROJECT_LIFE).fill(0);
+        calculateSculptedRepayments(debtService, debtCapacity, 0.1).forEach(row => { interest[row.year - 1] = row.interest; });
+        const depreciation = new Array(PROJECT_LIFE).fill(0);
+        const expected = calculateTaxSchedule({ ebitda: cfads, interest, depreciation }, TaxSchema.cast({ enabled: true }), 0.25);
+        expected.forEach((row, index) => expect(taxPaid[index]).toBeCloseTo(row.taxPaid, 6));
+    });
+});
+
+it('sculpted repayments never go negative and retire the debt at maturity', () => {
+    const debtService = [{ year: 2, value: 40 }, { year: 3, value: 0 }, { year: 4, value: 40 }, { year: 5, value: 40 }];
+    const rows = calculateSculptedRepayments(debtService, 100, 0.1);
+
+    // Year 3 cannot cover its interest, so nothing is repaid rather than the balance growing
+    [30, 0, 33, 37].forEach((principal, index) => expect(rows[index].principal).toBeCloseTo(principal, 9));
+    [10, 7, 7, 3.7].forEach((interest, index) => expect(rows[index].interest).toBeCloseTo(interest, 9));
+    expect(sum(rows.map(row => row.principal))).toBeCloseTo(100, 9);
+});
+
+describe('sculpted financing in the cube', () => {
+    const financed = (financing) => runScenarioCube(settings => Object.assign(settings.modules.financing, financing));
+    const total = (run, id) => sum(seriesOf(run, id));
+    const geared = financed({ amortizationType: 'amortizing' });
+
+    it('follows CFADS at the target DSCR and sizes the debt below the gearing limit', () => {
+        const run = financed({ amortizationType: 'sculpted', minimumDSCR: 3 });
+
+        // A 3.0x DSCR supports less than the 70% gearing limit, so the drawdown and IDC shrink with it
+        const drawn = total(run, 'debtDrawdown');
+        const idc = total(run, 'interestDuringConstruction');
+        expect(drawn).toBeGreaterThan(0);
+        expect(drawn).toBeLessThan(total(geared, 'debtDrawdown'));
+        expect(idc).toBeLessThan(total(geared, 'interestDuringConstruction'));
+
+        const cfads = calculateCfads(run.sourceData, 50, run.scenarioData.settings.general.projectLife);
+        const debtService = seriesOf(run, 'debtService');
+        expect(debtService.length).toBeGreaterThan(0);
+        debtService.forEach(({ year, value }) => expect(value).toBeCloseTo(Math.max(0, cfads[year - 1]) / 3, 4));
+
+        // The sculpted repayments retire the drawn debt and capitalized IDC
+        expect(total(run, 'operationalPrincipal')).toBeCloseTo(drawn + idc, 4);
+    });
+
+    it('keeps the gearing limit and a constant cover when CFADS supports more', () => {
+        const run = financed({ amortizationType: 'sculpted', minimumDSCR: 1 });
+        expect(total(run, 'debtDrawdown')).toBeCloseTo(total(geared, 'debtDrawdown'), 4);
+
+        const cfads = calculateCfads(run.sourceData, 50, run.scenarioData.settings.general.projectLife);
+        const covers = seriesOf(run, 'debtService').filter(({ value }) => value > 0).map(({ year, value }) => cfads[year - 1] / value);
+        expect(covers.length).toBeGreaterThan(0);
+        covers.forEach(cover => {
+            expect(cover).toBeGreaterThanOrEqual(1 - 1e-9);
+            expect(cover).toBeCloseTo(covers[0], 9);
+        });
+    });
+
+    it('reports a DSCR on the sculpting target in every repayment year when tax is modelled', () => {
+        const run = runScenarioCube(settings => {
+            // Above the 1.36x cover the 70% gearing limit leaves after 30% tax, so the DSCR sizes the debt
+            Object.assign(settings.modules.financing, { amortizationType: 'sculpted', minimumDSCR: 1.5 });
+            settings.modules.financing.tax.enabled = true;
+            settings.modules.financing.effectiveTaxRate = 30;
+        });
+        const projectLife = run.scenarioData.settings.general.projectLife;
+
+        // CFADS is after tax, the same cash the sculpting sized on
+        const taxPaid = byYear(seriesOf(run, 'taxPaid'));
+        const preTax = calculateCfads(run.sourceData, 50, projectLife, { afterTax: false });
+        expect(sum(seriesOf(run, 'taxPaid'))).toBeGreaterThan(0);
+        seriesOf(run, 'cfads').forEach(({ year, value }) => expect(value).toBeCloseTo(preTax[year - 1] - taxPaid.get(year), 6));
+
+        const repaymentYears = seriesOf(run, 'debtService').filter(({ value }) => value > 0).map(({ year }) => year);
+        const dscr = byYear(seriesOf(run, 'dscr'));
+        expect(repaymentYears.length).toBeGreaterThan(0);
+        repaymentYears.forEach(year => expect(dscr.get(year)).toBeCloseTo(1.5, 6));
+    });
+
+    it('funds CAPEX and IDC from debt and equity', () => {
+        [geared, financed({ amortizationType: 'sculpted', minimumDSCR: 3 })].forEach(run => {
+            const equity = -seriesOf(run, 'equityCashflow').find(point => point.year === 0).value;
+            const debt = total(run, 'debtDrawdown') + total(run, 'interestDuringConstruction');
+            const uses = total(run, 'totalCapex') + total(run, 'interestDuringConstruction');
+            const codReserves = -seriesOf(run, 'projectCashflow').find(point => point.year === 0).value - total(run, 'totalCapex');
+
+            expect(equity - codReserves + debt).toBeCloseTo(uses, 4);
+        });
+    });
+});
+
+describe('coverage ratios', () => {
+    const run = runScenarioCube();
+    const cfads = byYear(seriesOf(run, 'cfads'));
+
+    it('measure CFADS, not the net cashflow left after debt service', () => {
+        const debtService = byYear(seriesOf(run, 'debtService'));
+        const interest = byYear(seriesOf(run, 'operationalInterest'));
+        const netCashflow = byYear(seriesOf(run, 'netCashflow'));
+
+        const dscr = seriesOf(run, 'dscr');
+        expect(dscr.length).toBeGreaterThan(0);
+        dscr.forEach(({ year, value }) => {
+            expect(value).toBeCloseTo(cfads.get(year) / debtService.get(year), 9);
+            expect(value).toBeGreaterThan(netCashflow.get(year) / debtService.get(year));
+        });
+
+        const icr = seriesOf(run, 'icr');
+        expect(icr.length).toBeGreaterThan(0);
+        icr.forEach(({ year, value }) => expect(value).toBeCloseTo(cfads.get(year) / interest.get(year), 9));
+    });
+
+    it('discount CFADS to maturity over the principal outstanding for the LLCR', () => {
+        const principal = seriesOf(run, 'operationalPrincipal');
+        const maturity = Math.max(...principal.map(point => point.year));
+        const rate = run.scenarioData.settings.modules.financing.costOfOperationalDebt / 100;
+
+        const llcr = seriesOf(run, 'llcr');
+        expect(llcr.length).toBeGreaterThan(0);
+        llcr.forEach(({ year, value }) => {
+            const outstanding = sum(principal.filter(point => point.year >= year));
+            let npv = 0;
+            for (let cashflowYear = year; cashflowYear <= maturity; cashflowYear++) {
+                npv += cfads.get(cashflowYear) / Math.pow(1 + rate, cashflowYear - year + 1);
+            }
+            expect(value).toBeCloseTo(npv / outstanding, 9);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+// frontend/src/utils/cube/sources/transformers/__tests__/reserves.test.js
+import { ReserveAccountsSchema } from 'schemas/yup/reserveAccounts';
+import { calculateMraSchedule, calculateDsraSchedule } from '../reserves';
+import { runScenarioCube, seriesOf, byYear, sum } from '../../../__fixtures__/cubeScenario';
+
+const runReserves = (reserveAccounts, majorRepairEvents = [{ year: 10, cost: 3000000 }]) => runScenarioCube(settings => {
+    settings.modules.cost.majorRepairEvents = majorRepairEvents;
+    settings.modules.risk.reserveAccounts = ReserveAccountsSchema.cast(reserveAccounts);
+});
+
+it('MRA accrues ahead of replacements and pays interest on its balance', () => {
+    const mra = { accrualYears: 3, coverage: 100, interestRate: 10 };
+    const rows = calculateMraSchedule([50, 0, 0, 300, 0], mra);
+
+    // The year-1 replacement has no earlier years to accrue over
+    expect(rows.map(row => row.funding)).toEqual([100, 100, 100, 0, 0]);
+    expect(rows.map(row => row.release)).toEqual([0, 0, 0, 300, 0]);
+    expect(rows.map(row => Math.round(row.interest * 100) / 100)).toEqual([0, 10, 20, 30, 0]);
+    expect(rows[4].balance).toBe(0);
+
+    const halfCovered = calculateMraSchedule([0, 0, 0, 300, 0], { ...mra, coverage: 50 });
+    expect(sum(halfCovered.map(row => row.funding))).toBe(150);
+});
+
+describe('calculateDsraSchedule', () => {
+    const dsra = { months: 6, interestRate: 0 };
+
+    it('holds months of the next payment and is released with the final repayment', () => {
+        const inputs = { debtService: [0, 120, 120, 60, 0], cfads: [50, 150, 130, 100, 0] };
+
+        // Filled at COD against the first payment after the grace year
+        const cod = calculateDsraSchedule(inputs, { ...dsra, funding: 'cod' });
+        expect(cod.map(row => row.target)).toEqual([60, 60, 60, 30, 0, 0]);
+        expect(cod.map(row => row.funding)).toEqual([60, 0, 0, 0, 0, 0]);
+        expect(cod.map(row => row.release)).toEqual([0, 0, 0, 30, 30, 0]);
+
+        // Built from cash after debt service, as far as that cash goes
+        const cash = calculateDsraSchedule(inputs, { ...dsra, funding: 'cashflow' });
+        expect(cash.map(row => row.funding)).toEqual([0, 50, 10, 0, 0, 0]);
+        expect(cash.map(row => row.release)).toEqual([0, 0, 0, 30, 30, 0]);
+        expect(cash.every(row => row.draw === 0)).toBe(true);
+    });
+
+    it('draws the debt service CFADS falls short of and refills from later cash', () => {
+        const inputs = { debtService: [0, 100, 100, 100, 100, 0], cfads: [0, 150, 40, 150, 150, 0] };
+        const rows = calculateDsraSchedule(inputs, { ...dsra, months: 12, funding: 'cod' });
+
+        expect(rows.map(row => row.draw)).toEqual([0, 0, 0, 60, 0, 0, 0]);
+        expect(rows.map(row => row.funding)).toEqual([100, 0, 0, 0, 50, 0, 0]);
+        expect(rows.map(row => row.release)).toEqual([0, 0, 0, 0, 0, 90, 0]);
+        expect(rows.map(row => row.balance)).toEqual([100, 100, 100, 40, 90, 0, 0]);
+
+        // A shortfall larger than the balance empties the reserve
+        const deep = calculateDsraSchedule({ ...inputs, cfads: [0, 150, -50, 150, 150, 0] }, { ...dsra, months: 12, funding: 'cod' });
+        expect(deep[3].draw).toBe(100);
+        expect(deep[3].balance).toBe(0);
+    });
+});
+
+describe('reserve accounts in the cube', () => {
+    const base = runReserves({});
+    const run = runReserves({ dsra: { enabled: true }, mra: { enabled: true } });
+
+    it('moves CFADS with the MRA flows', () => {
+        const mraFunding = byYear(seriesOf(run, 'mraFunding'));
+        const mraRelease = byYear(seriesOf(run, 'mraRelease'));
+        const mraInterest = byYear(seriesOf(run, 'mraInterest'));
+        expect([7, 8, 9].every(year => mraFunding.get(year) > 0)).toBe(true);
+        expect(sum([...mraFunding.values()])).toBeCloseTo(mraRelease.get(10), 2);
+
+        // The MRA smooths replacements inside CFADS, so DSCR reflects it
+        const cfads = byYear(seriesOf(run, 'cfads'));
+        seriesOf(base, 'cfads').forEach(({ year, value }) =>
+            expect(cfads.get(year)).toBeCloseTo(value - mraFunding.get(year) + mraRelease.get(year) + mraInterest.get(year), 2));
+    });
+
+    it('funds the DSRA with the equity at COD and releases it by loan maturity', () => {
+        const dsraFunding = seriesOf(run, 'dsraFunding');
+        const codFunding = dsraFunding.find(point => point.year === 0).value;
+        expect(codFunding).toBeGreaterThan(0);
+        expect(sum(dsraFunding)).toBeCloseTo(sum(seriesOf(run, 'dsraRelease')) + sum(seriesOf(run, 'dsraDraw')), 2);
+        expect(sum(seriesOf(run, 'dsraInterest'))).toBeGreaterThan(0);
+
+        const equityAtCod = (data) => data.find(point => point.year === 0).value;
+        expect(equityAtCod(seriesOf(run, 'equityCashflow'))).toBeCloseTo(equityAtCod(seriesOf(base, 'equityCashflow')) - codFunding, 2);
+    });
+
+    it('covers a low CFADS year from the DSRA', () => {
+        const unreserved = runReserves({}, []);
+        const repairYear = 10;
+        const debtService = byYear(seriesOf(unreserved, 'debtService')).get(repairYear);
+        // A repair that leaves CFADS short of debt service by less than the 6 months the DSRA holds
+        const cost = byYear(seriesOf(unreserved, 'cfads')).get(repairYear) - 0.75 * debtService;
+        const [without, withDsra] = [{}, { dsra: { enabled: true } }]
+            .map(reserveAccounts => runReserves(reserveAccounts, [{ year: repairYear, cost }]));
+
+        expect(byYear(seriesOf(without, 'dscr')).get(repairYear)).toBeLessThan(1);
+
+        const draw = byYear(seriesOf(withDsra, 'dsraDraw')).get(repairYear);
+        const cfadsWithout = byYear(seriesOf(without, 'cfads')).get(repairYear);
+        expect(draw).toBeCloseTo(byYear(seriesOf(withDsra, 'debtService')).get(repairYear) - cfadsWithout, 2);
+        expect(byYear(seriesOf(withDsra, 'cfads')).get(repairYear)).toBeCloseTo(cfadsWithout + draw, 2);
+        expect(byYear(seriesOf(withDsra, 'dscr')).get(repairYear)).toBeCloseTo(1, 9);
+
+        // The reserve is refilled from the cash of the following year
+        expect(byYear(seriesOf(withDsra, 'dsraFunding')).get(repairYear + 1)).toBeGreaterThan(0);
+    });
+});
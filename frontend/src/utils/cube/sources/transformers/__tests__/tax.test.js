@@ -0,0 +1,62 @@
+// frontend/src/utils/cube/sources/transformers/__tests__/tax.test.js
+import { TaxSchema } from 'schemas/yup/tax';
+import { calculateDepreciationSchedule, calculateTaxSchedule } from '../tax';
+import { runScenarioCube, seriesOf, metricOf, byYear, sum } from '../../../__fixtures__/cubeScenario';
+
+const taxWith = (overrides) => TaxSchema.cast({ ...overrides, enabled: true });
+
+it('depreciation schedules recover the basis', () => {
+    const straightLine = calculateDepreciationSchedule(1000, taxWith({ depreciation: { years: 10 } }).depreciation, 20);
+    expect(straightLine.slice(0, 10)).toEqual(new Array(10).fill(100));
+    expect(straightLine[10]).toBe(0);
+
+    // Double declining balance switches to straight-line once that deducts more
+    const declining = calculateDepreciationSchedule(1000, taxWith({ depreciation: { method: 'decliningBalance', years: 5 } }).depreciation, 20);
+    expect(declining.slice(0, 5).map(value => Math.round(value * 100) / 100)).toEqual([400, 240, 144, 108, 108]);
+
+    const macrs = calculateDepreciationSchedule(1000, taxWith({ depreciation: { method: 'macrs', macrsClass: 5 } }).depreciation, 20);
+    expect(macrs.slice(0, 6).map(value => Math.round(value * 100) / 100)).toEqual([200, 320, 192, 115.2, 115.2, 57.6]);
+
+    // Basis not yet depreciated at the end of the project is written off in the final year
+    const truncated = calculateDepreciationSchedule(1000, taxWith({ depreciation: { years: 25 } }).depreciation, 20);
+    expect(sum(truncated)).toBeCloseTo(1000, 9);
+    expect(truncated[19]).toBeCloseTo(40 * 6, 9);
+});
+
+it('losses carry forward and interest deductions are capped', () => {
+    const inputs = { ebitda: [100, 100, 100, 100], interest: [0, 0, 0, 0], depreciation: [300, 0, 0, 0] };
+
+    const unlimited = calculateTaxSchedule(inputs, taxWith({}), 0.25);
+    expect(unlimited.map(row => row.taxableIncome)).toEqual([-200, 0, 0, 100]);
+    expect(unlimited.map(row => row.taxPaid)).toEqual([0, 0, 0, 25]);
+
+    // Losses may only offset half of each year's income and expire after two years
+    const restricted = calculateTaxSchedule(inputs, taxWith({ lossCarryForward: { years: 2, offsetLimit: 50 } }), 0.25);
+    expect(restricted.map(row => row.lossUsed)).toEqual([0, 50, 50, 0]);
+    expect(restricted.map(row => row.taxableIncome)).toEqual([-200, 50, 50, 100]);
+
+    // Interest above 30% of EBITDA is deferred, and tax is paid the following year (the last year's in the final year)
+    const capped = calculateTaxSchedule({ ...inputs, interest: [0, 50, 0, 0], depreciation: [0, 0, 0, 0] },
+        taxWith({ interestDeductibility: { limited: true }, paymentLag: 1 }), 0.25);
+    expect(capped.map(row => row.interestDeducted)).toEqual([0, 30, 20, 0]);
+    expect(capped.map(row => row.taxDue)).toEqual([25, 17.5, 20, 25]);
+    expect(capped.map(row => row.taxPaid)).toEqual([0, 25, 17.5, 45]);
+});
+
+it('tax paid lowers the after-tax project and equity returns', () => {
+    const run = runScenarioCube(settings => {
+        settings.modules.financing.tax.enabled = true;
+    });
+
+    const taxPaid = seriesOf(run, 'taxPaid');
+    expect(sum(taxPaid)).toBeGreaterThan(0);
+    taxPaid.forEach(point => expect(point.value).toBeGreaterThanOrEqual(0));
+
+    const taxByYear = byYear(taxPaid);
+    const projectCashflow = seriesOf(run, 'projectCashflow');
+    seriesOf(run, 'afterTaxProjectCashflow').forEach((point, index) =>
+        expect(point.value).toBeCloseTo(projectCashflow[index].value - (taxByYear.get(point.year) || 0), 6));
+
+    expect(metricOf(run, 'afterTaxProjectIRR').value).toBeLessThan(metricOf(run, 'projectIRR').value);
+    expect(metricOf(run, 'afterTaxEquityIRR').value).toBeLessThan(metricOf(run, 'equityIRR').value);
+});
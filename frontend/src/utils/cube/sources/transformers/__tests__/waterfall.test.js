@@ -0,0 +1,134 @@
+// frontend/src/utils/cube/sources/transformers/__tests__/waterfall.test.js
+import { CashWaterfallSchema } from 'schemas/yup/waterfall';
+import { calculateWaterfall, calculateLockUpProbability } from '../waterfall';
+import { runScenarioCube, seriesOf, byYear, sum } from '../../../__fixtures__/cubeScenario';
+
+const runWaterfall = (waterfall) => runScenarioCube(settings => {
+    settings.modules.financing.waterfall = CashWaterfallSchema.cast(waterfall);
+});
+
+describe('calculateWaterfall', () => {
+    it('traps cash while the historic DSCR is low and releases it when the test passes', () => {
+        const inputs = { operatingCashflow: [100, 90, 150, 200], principal: [50, 50, 50, 50], interest: [10, 10, 10, 10], reserveTopUps: [0, 0, 0, 0] };
+        const rows = calculateWaterfall(inputs, CashWaterfallSchema.cast({ lockUp: { enabled: true, ratio: 1.6 } }));
+
+        expect(rows.map(row => row.lockedUp)).toEqual([false, true, false, false]);
+        expect(rows.map(row => row.trappedCash)).toEqual([0, 30, 0, 0]);
+        expect(rows.map(row => row.distributions)).toEqual([40, 0, 120, 140]);
+
+        // A two-year lookback averages the cover: (100 + 90) / 120 still passes
+        const smoothed = calculateWaterfall(inputs, CashWaterfallSchema.cast({ lockUp: { enabled: true, ratio: 1.55, lookbackYears: 2 } }));
+        expect(smoothed.every(row => !row.lockedUp)).toBe(true);
+    });
+
+    it('prepays debt with the cash sweep and scales the remaining instalments', () => {
+        const rows = calculateWaterfall(
+            { operatingCashflow: [250, 250], principal: [100, 100], interest: [20, 10], reserveTopUps: [10, 0] },
+            CashWaterfallSchema.cast({ sweep: { enabled: true, threshold: 20, share: 50 } })
+        );
+
+        // Year 1: 250 - 120 debt service - 10 reserves = 120, half of the 100 above the threshold is swept
+        expect(rows[0]).toMatchObject({ cashSweep: 50, distributions: 70, debtOutstanding: 50 });
+
+        // Year 2 instalments are half of schedule and retire the debt
+        expect(rows[1]).toMatchObject({ principal: 50, interest: 5, cashSweep: 0, debtOutstanding: 0, distributions: 195 });
+    });
+
+    it('pays tax ahead of senior debt service, so the covers, lock-up and sweep work on after-tax cash', () => {
+        const inputs = { operatingCashflow: [100, 130, 150], taxPaid: [0, 40, 30], principal: [50, 50, 0], interest: [10, 10, 0], reserveTopUps: [0, 0, 0] };
+        const rows = calculateWaterfall(inputs, CashWaterfallSchema.cast({ lockUp: { enabled: true, ratio: 1.6 } }));
+
+        // Year 2 passes the test before tax (130 / 60) but not after it (90 / 60), and traps the cash left after tax
+        expect(rows.map(row => row.cfads)).toEqual([100, 90, 120]);
+        expect(rows.map(row => row.lockedUp)).toEqual([false, true, false]);
+        expect(rows.map(row => row.trappedCash)).toEqual([0, 30, 0]);
+        expect(rows.map(row => row.distributions)).toEqual([40, 0, 150]);
+
+        // Half of the 20 left after tax and debt service is swept, not half of the 40 left before tax
+        const swept = calculateWaterfall(
+            { operatingCashflow: [100, 100], taxPaid: [20, 0], principal: [50, 50], interest: [10, 5], reserveTopUps: [0, 0] },
+            CashWaterfallSchema.cast({ sweep: { enabled: true, threshold: 0, share: 50 } })
+        );
+        expect(swept[0]).toMatchObject({ cfads: 80, cashSweep: 10, distributions: 10, debtOutstanding: 40 });
+    });
+});
+
+it('lock-up probability interpolates between percentiles and bounds outside them', () => {
+    const values = [{ percentile: 10, value: 2 }, { percentile: 50, value: 1.5 }, { percentile: 90, value: 1 }];
+    expect(calculateLockUpProbability(values, 1.25).probability).toBeCloseTo(0.3, 12);
+    expect(calculateLockUpProbability(values, 0.9)).toEqual({ probability: 0.1, bound: 'atMost' });
+    expect(calculateLockUpProbability(values, 2.5)).toEqual({ probability: 0.9, bound: 'atLeast' });
+    expect(calculateLockUpProbability([], 1.2)).toBeNull();
+});
+
+describe('cash waterfall in the cube', () => {
+    const base = runWaterfall({});
+    const run = runWaterfall({ lockUp: { enabled: true, ratio: 1.5 }, sweep: { enabled: true, share: 50 } });
+
+    it('pays equity from the waterfall distributions', () => {
+        // Without lock-up or sweep equity receives the net cashflow once, debt service included
+        const netCashflow = byYear(seriesOf(base, 'netCashflow', 90));
+        seriesOf(base, 'equityCashflow', 90).filter(point => point.year > 0).forEach(({ year, value }) =>
+            expect(value).toBeCloseTo(netCashflow.get(year), 4));
+
+        const distributions = byYear(seriesOf(run, 'distributions', 90));
+        seriesOf(run, 'equityCashflow', 90).filter(point => point.year > 0).forEach(({ year, value }) =>
+            expect(value).toBe(distributions.get(year)));
+
+        // Locked years distribute nothing, and every trapped dollar is paid out by the end
+        const lockUp = seriesOf(run, 'lockUpDSCR', 90);
+        const projectLife = run.scenarioData.settings.general.projectLife;
+        expect(lockUp.some(point => point.value < 1.5)).toBe(true);
+        lockUp.filter(point => point.value < 1.5 && point.year < projectLife).forEach(({ year }) =>
+            expect(distributions.get(year)).toBeLessThanOrEqual(0));
+        expect(seriesOf(run, 'trappedCash', 90).at(-1).value).toBe(0);
+    });
+
+    it('pays tax ahead of debt service, so equity bears it once and locked-up years pay equity nothing', () => {
+        const taxed = runScenarioCube(settings => {
+            settings.modules.financing.waterfall = CashWaterfallSchema.cast({ lockUp: { enabled: true, ratio: 1.5 } });
+            settings.modules.financing.tax.enabled = true;
+        });
+        const taxPaid = byYear(seriesOf(taxed, 'taxPaid', 90));
+        const distributions = byYear(seriesOf(taxed, 'distributions', 90));
+        expect(sum([...taxPaid.values()])).toBeGreaterThan(0);
+
+        // The after-tax equity cashflow is the distributions, the pre-tax one adds the tax back
+        const operating = (id) => seriesOf(taxed, id, 90).filter(point => point.year > 0);
+        operating('afterTaxEquityCashflow').forEach(({ year, value }) => expect(value).toBe(distributions.get(year)));
+        operating('equityCashflow').forEach(({ year, value }) =>
+            expect(value).toBeCloseTo(distributions.get(year) + (taxPaid.get(year) || 0), 6));
+
+        // Tax is paid from the cash before the lock-up traps it, not by equity out of a locked-up year
+        const projectLife = taxed.scenarioData.settings.general.projectLife;
+        const lockedTaxYears = seriesOf(taxed, 'lockUpDSCR', 90)
+            .filter(point => point.value < 1.5 && point.year < projectLife && taxPaid.get(point.year) > 0);
+        expect(lockedTaxYears.length).toBeGreaterThan(0);
+        lockedTaxYears.forEach(({ year }) => expect(distributions.get(year)).toBe(0));
+    });
+
+    it('carries the sweep prepayments into the debt service and coverage ratios', () => {
+        const swept = runWaterfall({ sweep: { enabled: true, share: 50 } });
+        const firstSweep = seriesOf(swept, 'cashSweep').find(point => point.value > 0).year;
+
+        // Debt service is what the waterfall pays, less than scheduled from the year after the first sweep
+        const seniorDebtService = byYear(seriesOf(swept, 'seniorDebtService'));
+        const debtService = seriesOf(swept, 'debtService');
+        const scheduled = byYear(seriesOf(base, 'debtService'));
+        debtService.forEach(({ year, value }) => expect(value).toBeCloseTo(seniorDebtService.get(year), 9));
+        expect(sum(debtService)).toBeLessThan(sum(seriesOf(base, 'debtService')));
+        debtService.filter(({ year }) => year > firstSweep && scheduled.get(year) > 0)
+            .forEach(({ year, value }) => expect(value).toBeLessThan(scheduled.get(year)));
+
+        // DSCR follows the lower debt service, ICR the lower interest and LLCR the lower balance
+        const cfads = byYear(seriesOf(swept, 'cfads'));
+        const debtServiceByYear = byYear(debtService);
+        seriesOf(swept, 'dscr').forEach(({ year, value }) => expect(value).toBeCloseTo(cfads.get(year) / debtServiceByYear.get(year), 9));
+        ['dscr', 'icr', 'llcr'].forEach(id => {
+            const unswept = byYear(seriesOf(base, id));
+            const after = seriesOf(swept, id).filter(({ year }) => year > firstSweep);
+            expect(after.length).toBeGreaterThan(0);
+            after.forEach(({ year, value }) => expect(value).toBeGreaterThan(unswept.get(year)));
+        });
+    });
+});
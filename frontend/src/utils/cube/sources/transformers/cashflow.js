@@ -1,5 +1,19 @@
 import { filterCubeSourceData, aggregateCubeSourceData, adjustSourceDataValues, extractPercentileData } from './common.js';
 
+/**
+ * DSRA deposits made at or before COD of one percentile, funded with the initial investment
+ * @param {Array} processedData - Cube sources processed so far
+ * @param {number} percentile - Percentile to extract
+ * @returns {number} Reserve funded at COD
+ */
+const codReserveFunding = (processedData, percentile) => {
+    const dsraFunding = filterCubeSourceData(processedData, { sourceId: 'dsraFunding' })[0];
+    if (!dsraFunding) return 0;
+    return extractPercentileData(dsraFunding.percentileSource, percentile)
+        .filter(dataPoint => dataPoint.year <= 0)
+        .reduce((sum, dataPoint) => sum + dataPoint.value, 0);
+};
+
 /**
  * Calculate net cashflow by subtracting total costs from total revenue
  * @param {null} sourceData - Not used for virtual sources
@@ -148,8 +162,8 @@ export const projectCashflow = (sourceData, context) => {
 
         // Build project cashflow array
         const projectCashflowData = [
-            // Initial investment (negative CAPEX at year 0)
-            { year: 0, value: -totalCapexAmount },
+            // Initial investment (negative CAPEX and reserves funded at COD at year 0)
+            { year: 0, value: -(totalCapexAmount + codReserveFunding(processedData, percentile)) },
             // Net cashflows for operational years (filter to positive years only)
             ...netCashflowData.filter(dataPoint => dataPoint.year > 0)
         ];
@@ -175,85 +189,82 @@ export const projectCashflow = (sourceData, context) => {
 };
 
 /**
- * Calculate equity cashflow for Equity IRR calculation (equity investment + net cashflow - debt service)
- * @param {null} sourceData - Not used for virtual sources
+ * Equity investment + waterfall distributions. Equity funds the uses the debt does not: CAPEX + IDC - sized debt
+ * (drawdown + capitalized IDC). The waterfall pays tax ahead of debt service, so the distributions are after tax
+ * @param {string} name - Name of the series
  * @param {Object} context - Transformer context
- * @returns {Array} Array of SimResultsSchema objects for equity cashflow
+ * @param {Object} options - { addBackTaxPaid: add the tax the waterfall paid back for the pre-tax series }
+ * @returns {Array} Array of SimResultsSchema objects
  */
-export const equityCashflow = (sourceData, context) => {
-    const { addAuditEntry, percentileInfo, customPercentile, processedData, allReferences } = context;
+const buildEquityCashflow = (name, context, { addBackTaxPaid }) => {
+    const { addAuditEntry, percentileInfo, processedData, allReferences } = context;
     const availablePercentiles = percentileInfo.available;
 
     // Get financing parameters
     const financing = allReferences.financing;
     if (!financing) {
-        console.warn('⚠️ equityCashflow: No financing data available in references');
+        console.warn(`⚠️ ${name}: No financing data available in references`);
         return [];
     }
 
-    const debtRatio = (financing.debtFinancingRatio || 70) / 100;
-    const equityRatio = 1 - debtRatio;
-
     // Get required sources
-    const netCashflowSources = filterCubeSourceData(processedData, { sourceId: 'netCashflow' });
-    const debtServiceSources = filterCubeSourceData(processedData, { sourceId: 'debtService' });
+    const distributionsSources = filterCubeSourceData(processedData, { sourceId: 'distributions' });
     const totalCapexSources = filterCubeSourceData(processedData, { sourceId: 'totalCapex' });
+    const debtDrawdownSources = filterCubeSourceData(processedData, { sourceId: 'debtDrawdown' });
+    const idcSources = filterCubeSourceData(processedData, { sourceId: 'interestDuringConstruction' });
+    const taxPaidSources = addBackTaxPaid ? filterCubeSourceData(processedData, { sourceId: 'taxPaid' }) : [];
 
-    if (netCashflowSources.length === 0 || debtServiceSources.length === 0 || totalCapexSources.length === 0) {
-        console.warn(`⚠️ Missing sources for equityCashflow: netCashflow(${netCashflowSources.length}), debtService(${debtServiceSources.length}), totalCapex(${totalCapexSources.length})`);
+    if (distributionsSources.length === 0 || totalCapexSources.length === 0) {
+        console.warn(`⚠️ Missing sources for ${name}: distributions(${distributionsSources.length}), totalCapex(${totalCapexSources.length})`);
         return [];
     }
 
-    console.log(`📊 Calculating equityCashflow: -equity(${equityRatio * 100}% of CAPEX) + (netCashflow - debtService)`);
+    const formula = `-(CAPEX + IDC - debtDrawdown - capitalized IDC) + distributions${addBackTaxPaid ? ' + taxPaid' : ''}`;
+    console.log(`📊 Calculating ${name}: ${formula}`);
 
     // Track dependencies for audit trail
-    const dependencies = ['netCashflow', 'debtService', 'totalCapex', 'financing'];
+    const dependencies = ['distributions', 'totalCapex', 'debtDrawdown', 'interestDuringConstruction', 'financing',
+        ...(addBackTaxPaid ? ['taxPaid'] : [])];
     addAuditEntry(
-        'apply_equity_cashflow_calculation',
-        `building equity cashflow: -equity(${equityRatio * 100}% of CAPEX) + (netCashflow - debtService)`,
+        `apply_${name.toLowerCase()}_calculation`,
+        `building ${name}: ${formula}`,
         dependencies
     );
 
-    const netCashflow = netCashflowSources[0];
-    const debtService = debtServiceSources[0];
+    const distributions = distributionsSources[0];
     const totalCapex = totalCapexSources[0];
 
     // Process each percentile separately
     const result = [];
 
-    // Get all effective percentiles
-    // const effectivePercentiles = customPercentile !== null && customPercentile !== undefined
-    //     ? [...availablePercentiles, 0]
-    //     : availablePercentiles;
-
     availablePercentiles.forEach(percentile => {
         // Extract data for this percentile
-        const netCashflowData = extractPercentileData(netCashflow.percentileSource, percentile);
-        const debtServiceData = extractPercentileData(debtService.percentileSource, percentile);
+        const distributionsData = extractPercentileData(distributions.percentileSource, percentile);
         const totalCapexData = extractPercentileData(totalCapex.percentileSource, percentile);
 
-        if (netCashflowData.length === 0 || totalCapexData.length === 0) {
+        if (distributionsData.length === 0 || totalCapexData.length === 0) {
             return; // Skip if no data
         }
 
-        // Calculate equity investment
+        // Calculate equity investment: sources (debt + equity) = uses (CAPEX + IDC). IDC is only modelled when it is
+        // capitalized into the loan; sculpted debt can be below the gearing limit, and equity makes up the difference
+        const sumOf = (sources) => (sources.length > 0 ? extractPercentileData(sources[0].percentileSource, percentile) : [])
+            .reduce((sum, dataPoint) => sum + dataPoint.value, 0);
         const totalCapexAmount = totalCapexData.reduce((sum, dataPoint) => sum + dataPoint.value, 0);
-        const equityInvestment = totalCapexAmount * equityRatio;
-
-        // Create debt service lookup map for efficiency
-        const debtServiceMap = new Map(debtServiceData.map(d => [d.year, d.value]));
+        const totalIDC = sumOf(idcSources);
+        const sizedDebt = sumOf(debtDrawdownSources) + totalIDC;
+        const equityInvestment = totalCapexAmount + totalIDC - sizedDebt;
+        const taxPaidData = taxPaidSources.length > 0 ? extractPercentileData(taxPaidSources[0].percentileSource, percentile) : [];
+        const taxPaidMap = new Map(taxPaidData.map(d => [d.year, d.value]));
 
         // Build equity cashflow array
         const equityCashflowData = [
-            // Initial equity investment (negative at year 0)
-            { year: 0, value: -equityInvestment },
-            // Equity cashflows = net cashflow - debt service for operational years
-            ...netCashflowData
+            // Initial equity investment, which also funds reserves filled at COD (negative at year 0)
+            { year: 0, value: -(equityInvestment + codReserveFunding(processedData, percentile)) },
+            // Equity cashflows = distributions after tax, debt service, reserves, lock-up and cash sweep (+ tax paid before tax)
+            ...distributionsData
                 .filter(dataPoint => dataPoint.year > 0)
-                .map(cf => ({
-                    year: cf.year,
-                    value: cf.value - (debtServiceMap.get(cf.year) || 0)
-                }))
+                .map(dataPoint => ({ year: dataPoint.year, value: dataPoint.value + (taxPaidMap.get(dataPoint.year) || 0) }))
         ];
 
         // Sort by year to ensure proper order
@@ -261,7 +272,7 @@ export const equityCashflow = (sourceData, context) => {
 
         // Create SimResultsSchema for this percentile
         result.push({
-            name: 'equityCashflow',
+            name,
             data: equityCashflowData,
             percentile: { value: percentile }
         });
@@ -271,7 +282,81 @@ export const equityCashflow = (sourceData, context) => {
         sum + Math.abs(simResult.data.find(d => d.year === 0)?.value || 0), 0
     ) / result.length;
 
-    console.log(`💰 equityCashflow: ${result.length} percentiles, $${avgEquityInvestment.toLocaleString()} avg equity investment (${equityRatio * 100}% ratio)`);
+    console.log(`💰 ${name}: ${result.length} percentiles, $${avgEquityInvestment.toLocaleString()} avg equity investment`);
+
+    return result;
+};
+
+/**
+ * Calculate equity cashflow for Equity IRR calculation, before tax: the after-tax equity cashflow + tax paid
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects for equity cashflow
+ */
+export const equityCashflow = (sourceData, context) =>
+    buildEquityCashflow('equityCashflow', context, { addBackTaxPaid: true });
+
+/**
+ * Deduct tax paid from a pre-tax cashflow series by year (unchanged when tax is not modelled)
+ * @param {string} cashflowSourceId - Pre-tax cashflow source ID
+ * @param {string} name - Name of the after-tax series
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+const deductTaxPaid = (cashflowSourceId, name, context) => {
+    const { addAuditEntry, percentileInfo, processedData } = context;
+
+    const cashflowSources = filterCubeSourceData(processedData, { sourceId: cashflowSourceId });
+    const taxPaidSources = filterCubeSourceData(processedData, { sourceId: 'taxPaid' });
+
+    if (cashflowSources.length === 0) {
+        console.warn(`⚠️ Missing source for ${name}: ${cashflowSourceId}(${cashflowSources.length})`);
+        return [];
+    }
+
+    addAuditEntry(
+        `apply_${name.toLowerCase()}_calculation`,
+        `building ${name}: ${cashflowSourceId} - taxPaid`,
+        [cashflowSourceId, 'taxPaid']
+    );
+
+    const result = [];
+    percentileInfo.available.forEach(percentile => {
+        const cashflowData = extractPercentileData(cashflowSources[0].percentileSource, percentile);
+        const taxPaidData = taxPaidSources.length > 0 ? extractPercentileData(taxPaidSources[0].percentileSource, percentile) : [];
+        const taxPaidMap = new Map(taxPaidData.map(d => [d.year, d.value]));
+
+        if (cashflowData.length === 0) {
+            return; // Skip if no data
+        }
+
+        result.push({
+            name,
+            data: cashflowData.map(({ year, value }) => ({ year, value: value - (taxPaidMap.get(year) || 0) })),
+            percentile: { value: percentile }
+        });
+    });
+
+    console.log(`💰 ${name}: ${result.length} percentiles after tax`);
 
     return result;
-};
\ No newline at end of file
+};
+
+/**
+ * Calculate after-tax project cashflow for the after-tax Project IRR (project cashflow - tax paid)
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const afterTaxProjectCashflow = (sourceData, context) =>
+    deductTaxPaid('projectCashflow', 'afterTaxProjectCashflow', context);
+
+/**
+ * Calculate after-tax equity cashflow for the after-tax Equity IRR: what equity receives from the waterfall, which
+ * has already paid the tax
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const afterTaxEquityCashflow = (sourceData, context) =>
+    buildEquityCashflow('afterTaxEquityCashflow', context, { addBackTaxPaid: false });
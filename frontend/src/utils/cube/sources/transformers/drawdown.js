@@ -1,4 +1,5 @@
 import { filterCubeSourceData, aggregateCubeSourceData, normalizeIntoSimResults } from './common.js';
+import { calculateSculptedDebtService } from './financing.js';
 
 /**
  * Transform construction schedule to CAPEX drawdown schedule
@@ -39,12 +40,14 @@ export const capexDrawdown = (sourceData, context) => {
 
 /**
  * Transform construction schedule to debt drawdown schedule
+ * Sculpted debt is the smaller of the gearing limit and what the sizing percentile's after-tax CFADS supports at the target
+ * DSCR, with capitalized IDC counted against that capacity
  * @param {Array} sourceData - Construction cost sources array
  * @param {Object} context - Transformer context
  * @returns {Array} Array of SimResultsSchema objects for debt drawdown
  */
 export const debtDrawdown = (sourceData, context) => {
-    const { addAuditEntry, percentileInfo, customPercentile, allReferences } = context;
+    const { addAuditEntry, percentileInfo, customPercentile, allReferences, processedData } = context;
 
     // Get financing data from references
     const financing = allReferences.financing;
@@ -82,13 +85,37 @@ export const debtDrawdown = (sourceData, context) => {
     });
 
     // Convert to DataPointSchema array
-    const debtDrawdownData = Array.from(debtDrawdownByYear.entries())
+    let debtDrawdownData = Array.from(debtDrawdownByYear.entries())
         .map(([year, amount]) => ({
             year: parseInt(year),
             value: amount
         }))
         .sort((a, b) => a.year - b.year);
 
+    if (financing.amortizationType === 'sculpted' && totalDebtDrawn > 0) {
+        // IDC accrues on the cumulative drawn balance, so it scales with the drawdown
+        const constructionDebtRate = (financing.costOfConstructionDebt || financing.costOfDebt || 5) / 100;
+        let cumulativeDebt = 0;
+        const idc = financing.idcCapitalization === false ? 0 : debtDrawdownData.reduce((sum, { value }) => {
+            cumulativeDebt += value;
+            return sum + cumulativeDebt * constructionDebtRate;
+        }, 0);
+
+        const { percentile, debtCapacity } = calculateSculptedDebtService(
+            processedData, financing, allReferences.projectLife || 20, percentileInfo.available,
+            { maxDebt: totalDebtDrawn + idc, idcShare: idc / (totalDebtDrawn + idc) });
+
+        const sizingFactor = Math.min(1, debtCapacity / (totalDebtDrawn + idc));
+        debtDrawdownData = debtDrawdownData.map(({ year, value }) => ({ year, value: value * sizingFactor }));
+        totalDebtDrawn *= sizingFactor;
+
+        addAuditEntry(
+            'apply_debt_sculpting',
+            `sizing debt to P${percentile} after-tax CFADS / ${financing.minimumDSCR || 1.3} DSCR: ${(sizingFactor * 100).toFixed(1)}% of the gearing limit`,
+            ['financing', 'projectLife']
+        );
+    }
+
     console.log(`💰 debtDrawdown: ${debtDrawdownByYear.size} years, $${totalDebtDrawn.toLocaleString()} (${debtFinancingRatio * 100}% debt ratio)`);
 
     // Transform to SimResultsSchema array using helper
@@ -1,227 +1,643 @@
 // frontend/src/utils/cube/sources/transformers/equipment.js
 import { extractPercentileData, filterCubeSourceData } from './common.js';
 import { generateLEPTimeSeries } from '../../../lepSimUtils.js';
+import { ThreePhaseWeibull } from '../../../distributions/threePhaseWeibull';
+
+const DAYS_PER_YEAR = 365;
 
 /**
- * Component Failure Rates Transformer - Generate annual failure costs for enabled components
- * Transforms component failure rate configuration into time-series cost data
- * 
- * @param {Array} sourceData - Array of component failure rate configurations
+ * Installed quantity of a component from its quantityConfig (same rules as ComponentFailureRateSchema.quantity)
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {number} numWTGs - Number of turbines
+ * @param {string} wtgPlatformType - 'geared' or 'directDrive'
+ * @returns {number} Number of installed units
+ */
+export const calculateComponentQuantity = (component, numWTGs, wtgPlatformType = 'geared') => {
+    const { mode = 'perTurbine', value = 1 } = component?.quantityConfig || {};
+
+    switch (mode) {
+        case 'fixed':
+            return value;
+        case 'perBlade':
+            return numWTGs * 3 * value; // 3 blades per turbine
+        case 'perTurbine':
+        default:
+            if (component?.id === 'gearboxes' && wtgPlatformType !== 'geared') return 0;
+            return numWTGs * value;
+    }
+};
+
+/**
+ * Lifetime Weibull hazard of a component: the shape β and characteristic life η (years) fitted to its imported
+ * failure history. The failure rate distribution describes the uncertain annual rate, so its own Weibull shape is
+ * not a lifetime parameter; the three-phase Weibull carries its age profile in the rate curve instead.
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @returns {Object|null} { beta, eta } or null when failures do not depend on unit age
+ */
+export const getLifetimeHazard = (component) => {
+    if (component?.distribution?.type === 'threePhaseWeibull') return null;
+    const { beta, eta } = component?.failureHistory?.fit || {};
+    return beta > 0 && eta > 0 ? { beta, eta } : null;
+};
+
+/**
+ * Expected failures of one unit in each year of age under a lifetime Weibull hazard h(t) = (β/η)(t/η)^(β-1):
+ * the increment of the cumulative hazard (t/η)^β over the year. β < 1 front-loads failures (infant mortality),
+ * 1 is flat (random), > 1 back-loads them (wear-out).
+ * @param {Object} hazard - { beta, eta } from getLifetimeHazard
+ * @param {number} projectLife - Operating years
+ * @returns {Array<number>} Expected failures for ages 1..projectLife
+ */
+export const calculateHazardProfile = ({ beta, eta }, projectLife) => Array.from({ length: projectLife }, (_, index) =>
+    Math.pow((index + 1) / eta, beta) - Math.pow(index / eta, beta));
+
+/**
+ * Mean annual failure rate configured on a failure rate distribution
+ * @param {Object} distribution - Failure rate DistributionTypeSchema
+ * @returns {number} Failures per unit-year
+ */
+const getMeanRate = (distribution) => distribution?.parameters?.lambda || distribution?.parameters?.value || 0;
+
+/**
+ * Annual failure rate of one unit by year for a percentile: the simulated failure rate results when available,
+ * otherwise the configured rate (the expected curve for three-phase Weibull, else the mean rate)
+ * @param {Object} component - ComponentFailureRateSchema object (or legacy { failureRate })
+ * @param {Object} failureRateResults - simulation.inputSim.failureRates keyed by component id
+ * @param {number} percentile - Percentile value
+ * @param {number} projectLife - Operating years
+ * @returns {Array<number>} Rate for years 1..projectLife
+ */
+const getAnnualRates = (component, failureRateResults, percentile, projectLife) => {
+    const simulated = extractPercentileData(failureRateResults?.[component.id]?.results, percentile);
+    const distribution = component.distribution || component.failureRate;
+    const parameters = distribution?.parameters || {};
+    const meanRate = getMeanRate(distribution);
+
+    // The three-phase Weibull already varies by age; without simulation results use its expected curve
+    const configured = distribution?.type === 'threePhaseWeibull'
+        ? ThreePhaseWeibull.calculateAnnualProbabilities(parameters, projectLife).map(point => point.value)
+        : [];
+
+    const byYear = new Map(simulated.map(point => [point.year, point.value]));
+    return Array.from({ length: projectLife }, (_, index) => byYear.get(index + 1) ?? configured[index] ?? meanRate);
+};
+
+/**
+ * Cost of one failure event from the component's repair package snapshot (per-event costs plus per-day costs over
+ * the package duration), falling back to the legacy per-component cost fields
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @returns {Object|null} { total, replacement } or null when no costs are configured
+ */
+const getFailureEventCosts = (component) => {
+    const repairPackage = component.repairConfig?.repairPackageSnapshot;
+    if (repairPackage?.costs) {
+        const days = repairPackage.baseDurationDays || 0;
+        const categoryCost = (category) => (category?.perEventEUR || 0) + (category?.perDayEUR || 0) * days;
+        return {
+            total: Object.values(repairPackage.costs).reduce((sum, category) => sum + categoryCost(category), 0),
+            replacement: categoryCost(repairPackage.costs.material)
+        };
+    }
+
+    const costs = component.costs;
+    if (!costs) return null;
+
+    const value = (key) => costs[key]?.parameters?.value || 0;
+    const repairDays = value('repairDurationDays');
+    return {
+        total: value('componentReplacement') + value('craneMobilization') + value('craneDailyRate') * repairDays +
+            value('specialistLabor') + value('downtimeRevenuePerDay') * repairDays,
+        replacement: value('componentReplacement')
+    };
+};
+
+/**
+ * Environmental acceleration factor of a component from the site's stress factor result (1 when not calculated)
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object|null} stressFactors - StressFactorsResultSchema object from settings.project.environment
+ * @returns {number} Failure rate multiplier
+ */
+const getEnvironmentalFactor = (component, stressFactors) => {
+    const match = stressFactors?.components?.find(entry => entry.id === component.id);
+    return Number.isFinite(match?.factor) ? match.factor : 1;
+};
+
+/**
+ * Expected failures of one unit by year of age under run-to-failure, times the environmental factor.
+ * With a lifetime hazard the fitted curve gives the failures and the percentile's annual rate scales it relative to
+ * the configured mean rate; otherwise failures follow the annual rate (constant hazard or three-phase curve).
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object} allReferences - Transformer references (failureRateResults, stressFactors)
+ * @param {number} percentile - Percentile value
+ * @param {number} projectLife - Operating years
+ * @returns {Array<number>} Expected failures for ages 1..projectLife
+ */
+const getUnitFailures = (component, allReferences, percentile, projectLife) => {
+    const environmentalFactor = getEnvironmentalFactor(component, allReferences.stressFactors);
+    const rates = getAnnualRates(component, allReferences.failureRateResults, percentile, projectLife);
+    const hazard = getLifetimeHazard(component);
+    if (!hazard) {
+        return rates.map(rate => rate * environmentalFactor);
+    }
+
+    const hazardProfile = calculateHazardProfile(hazard, projectLife);
+    const meanRate = getMeanRate(component.distribution || component.failureRate);
+    return rates.map((rate, index) => hazardProfile[index] * (meanRate > 0 ? rate / meanRate : 1) * environmentalFactor);
+};
+
+/**
+ * Expected events and cost by year of a component under a maintenance strategy
+ * - runToFailure: every failure is an unplanned event at the full failure cost
+ * - ageBased: every unit is replaced each replacementAge years (not in the final year), restarting its hazard curve;
+ *   replacements cost plannedCostFactor of the failure cost
+ * - conditionBased: detectionProbability of the failures become planned repairs at plannedCostFactor of the failure
+ *   cost, plus the annual monitoring cost per unit when includeMonitoring is set
+ * @param {Object|null} strategy - MaintenanceStrategySchema object (run-to-failure when missing)
+ * @param {Object} inputs - { unitFailures (by age), quantity, costPerFailure, includeMonitoring }
+ * @returns {Array<Object>} { year, failures, plannedRepairs, plannedReplacements, value } for years 1..projectLife
+ */
+export const calculateMaintenanceProfile = (strategy, { unitFailures, quantity, costPerFailure, includeMonitoring = true }) => {
+    const projectLife = unitFailures.length;
+    const type = strategy?.type || 'runToFailure';
+
+    return unitFailures.map((_, index) => {
+        const year = index + 1;
+
+        if (type === 'ageBased') {
+            const { replacementAge = projectLife, plannedCostFactor = 1 } = strategy.ageBased || {};
+            const age = replacementAge > 0 ? index % replacementAge : index;
+            const failures = quantity * unitFailures[age];
+            const plannedReplacements = replacementAge > 0 && year % replacementAge === 0 && year < projectLife ? quantity : 0;
+            return {
+                year,
+                failures,
+                plannedRepairs: 0,
+                plannedReplacements,
+                value: (failures + plannedReplacements * plannedCostFactor) * costPerFailure
+            };
+        }
+
+        const failures = quantity * unitFailures[index];
+
+        if (type === 'conditionBased') {
+            const { detectionProbability = 0, plannedCostFactor = 1, monitoringCostPerUnit = 0 } = strategy.conditionBased || {};
+            const plannedRepairs = failures * detectionProbability;
+            return {
+                year,
+                failures,
+                plannedRepairs,
+                plannedReplacements: 0,
+                value: (failures - plannedRepairs + plannedRepairs * plannedCostFactor) * costPerFailure +
+                    (includeMonitoring ? quantity * monitoringCostPerUnit : 0)
+            };
+        }
+
+        return { year, failures, plannedRepairs: 0, plannedReplacements: 0, value: failures * costPerFailure };
+    });
+};
+
+/**
+ * Expected fleet failures of a component by year at a percentile, run to failure like the failure-event simulation
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object} allReferences - Transformer references (projectLife, numWTGs, wtgPlatformType, failureRateResults, stressFactors)
+ * @param {number} percentile - Percentile value
+ * @returns {Array<number>} Expected failures for years 1..projectLife
+ */
+export const calculateComponentFailureDemand = (component, allReferences, percentile) => {
+    const quantity = calculateComponentQuantity(component, allReferences.numWTGs || 1, allReferences.wtgPlatformType);
+    return getUnitFailures(component, allReferences, percentile, allReferences.projectLife || 20)
+        .map(failures => quantity * failures);
+};
+
+/**
+ * Expected maintenance cost profile of a component at a percentile (before escalation)
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object} allReferences - Transformer references (projectLife, numWTGs, wtgPlatformType, failureRateResults, stressFactors)
+ * @param {Object} options - { percentile, costKey: 'total' | 'replacement', strategy (defaults to the component's) }
+ * @returns {Array<Object>|null} calculateMaintenanceProfile result, null when the component has no such cost
+ */
+export const calculateComponentMaintenanceCosts = (component, allReferences, { percentile, costKey = 'total', strategy = component.maintenanceStrategy }) => {
+    const eventCosts = getFailureEventCosts(component);
+    if (!eventCosts || !(eventCosts[costKey] > 0)) return null;
+
+    const projectLife = allReferences.projectLife || 20;
+    return calculateMaintenanceProfile(strategy, {
+        unitFailures: getUnitFailures(component, allReferences, percentile, projectLife),
+        quantity: calculateComponentQuantity(component, allReferences.numWTGs || 1, allReferences.wtgPlatformType),
+        costPerFailure: eventCosts[costKey],
+        includeMonitoring: costKey === 'total'
+    });
+};
+
+/**
+ * Simulated repair costs and failures of a run-to-failure component at a percentile, from the failure-event simulation
+ * (which models run-to-failure only, and prices whole repair events rather than their material share)
+ * @param {Object} component - ComponentFailureRateSchema object
+ * @param {Object|null} failureEvents - FailureEventSimResultsSchema from the failure-event simulation
+ * @param {number} percentile - Percentile value
+ * @param {number} projectLife - Operating years
+ * @returns {Object|null} { costs, failures } for years 1..projectLife, null without simulated events
+ */
+const getSimulatedEventCosts = (component, failureEvents, percentile, projectLife) => {
+    const simulated = failureEvents?.components?.[component.id];
+    const costs = new Map(extractPercentileData(simulated?.cost?.annual, percentile).map(point => [point.year, point.value]));
+    if (costs.size === 0) return null;
+
+    const failures = new Map(extractPercentileData(simulated.failures?.annual, percentile).map(point => [point.year, point.value]));
+    return {
+        costs: Array.from({ length: projectLife }, (_, index) => costs.get(index + 1) ?? 0),
+        failures: Array.from({ length: projectLife }, (_, index) => failures.get(index + 1) ?? 0)
+    };
+};
+
+/**
+ * Expected failure costs by year and percentile for the enabled components
+ * Expected failures in year t = quantity × unit failures(t) (annual rate, or the fitted lifetime hazard scaled by the
+ * percentile's rate) × environmental factor, changed by the component's maintenance strategy (see calculateMaintenanceProfile)
+ * Failure costs of run-to-failure components come from the failure-event simulation when it has run, so the
+ * simulated crane waits and batching reach the cashflow
+ * @param {Object|Array} sourceData - failureRates.components (object keyed by id, or legacy array)
  * @param {Object} context - Transformer context
- * @returns {Array} Array of SimResultsSchema objects with component failure costs
+ * @param {Object} options - { name, costKey: 'total' | 'replacement', sourceName, operation, complexity }
+ * @returns {Array} Array of SimResultsSchema objects, one per component and percentile
  */
-export const componentFailureRatesTransformer = (sourceData, context) => {
-    const {
-        processedData,
-        percentileInfo,
-        customPercentile,
-        addAuditEntry,
-        allReferences
-    } = context;
+const buildComponentFailureCosts = (sourceData, context, { name, costKey, sourceName, operation, complexity }) => {
+    const { percentileInfo, customPercentile, addAuditEntry, allReferences } = context;
 
-    // Validate source data - should be components array
-    if (!Array.isArray(sourceData)) {
-        console.warn('⚠️ componentFailureRatesTransformer: sourceData is not an array');
+    if (!sourceData || typeof sourceData !== 'object') {
+        console.warn(`⚠️ ${sourceName}: no component failure rate configuration`);
         return [];
     }
 
-    // Filter to enabled components only
-    const enabledComponents = sourceData.filter(component => 
-        component?.enabled === true && 
-        component?.failureRate && 
-        component?.costs
-    );
+    if (allReferences.failureRatesEnabled === false) {
+        console.log(`📋 ${sourceName}: Component failure modeling is disabled`);
+        return [];
+    }
+
+    const components = (Array.isArray(sourceData) ? sourceData : Object.values(sourceData))
+        .filter(component => component?.enabled === true && (component.distribution || component.failureRate))
+        .map(component => ({ component, eventCosts: getFailureEventCosts(component) }))
+        .filter(({ eventCosts }) => eventCosts && eventCosts[costKey] > 0);
 
-    if (enabledComponents.length === 0) {
-        console.log('📋 componentFailureRatesTransformer: No enabled components found');
+    if (components.length === 0) {
+        console.log(`📋 ${sourceName}: No enabled components with costs found`);
         return [];
     }
 
-    // Get global references
     const projectLife = allReferences.projectLife || 20;
     const numWTGs = allReferences.numWTGs || 1;
 
-    console.log(`🔧 componentFailureRatesTransformer: Processing ${enabledComponents.length} enabled components for ${projectLife} years`);
+    console.log(`🔧 ${sourceName}: Processing ${components.length} enabled components for ${projectLife} years`);
 
     const results = [];
-    let totalAnnualCost = 0;
 
-    // Process each enabled component
-    enabledComponents.forEach(component => {
+    components.forEach(({ component, eventCosts }) => {
         try {
-            // Extract failure rate and cost parameters
-            const failureRate = component.failureRate?.parameters?.lambda || 
-                               component.failureRate?.parameters?.value || 0;
-
-            // Extract cost components with safe defaults
-            const costs = component.costs || {};
-            const componentCost = costs.componentReplacement?.parameters?.value || 0;
-            const craneCost = costs.craneMobilization?.parameters?.value || 0;
-            const craneDailyRate = costs.craneDailyRate?.parameters?.value || 0;
-            const repairDays = costs.repairDurationDays?.parameters?.value || 0;
-            const laborCost = costs.specialistLabor?.parameters?.value || 0;
-            const downtimePerDay = costs.downtimeRevenuePerDay?.parameters?.value || 0;
-
-            // Calculate total cost per failure event
-            const totalCraneTime = craneCost + (craneDailyRate * repairDays);
-            const totalDowntimeCost = downtimePerDay * repairDays;
-            const totalCostPerFailure = componentCost + totalCraneTime + laborCost + totalDowntimeCost;
-
-            // Calculate annual failure cost: failureRate * totalCostPerFailure * numWTGs
-            const annualFailureCost = failureRate * totalCostPerFailure * numWTGs;
-            totalAnnualCost += annualFailureCost;
-
-            // Generate time series data for project life
-            const timeSeriesData = [];
-            for (let year = 1; year <= projectLife; year++) {
-                timeSeriesData.push({
-                    year,
-                    value: annualFailureCost
-                });
-            }
-
-            console.log(`  ⚙️ ${component.name}: ${(failureRate * 100).toFixed(2)}% annual rate, $${totalCostPerFailure.toLocaleString()} per failure, $${annualFailureCost.toLocaleString()} annual cost`);
+            const quantity = calculateComponentQuantity(component, numWTGs, allReferences.wtgPlatformType);
+            const hazard = getLifetimeHazard(component);
+            const environmentalFactor = getEnvironmentalFactor(component, allReferences.stressFactors);
+            const costPerFailure = eventCosts[costKey];
+            const strategy = component.maintenanceStrategy?.type || 'runToFailure';
+            const resultName = `${name}_${component.id}`;
 
-            // Add component-specific results for each percentile
             percentileInfo.available.forEach(percentile => {
+                const simulated = costKey === 'total' && strategy === 'runToFailure'
+                    ? getSimulatedEventCosts(component, allReferences.failureEvents, percentile, projectLife)
+                    : null;
+                const profile = simulated
+                    ? simulated.costs.map((value, index) => ({
+                        year: index + 1, failures: simulated.failures[index], plannedRepairs: 0, plannedReplacements: 0, value
+                    }))
+                    : calculateMaintenanceProfile(component.maintenanceStrategy, {
+                        unitFailures: getUnitFailures(component, allReferences, percentile, projectLife),
+                        quantity,
+                        costPerFailure,
+                        includeMonitoring: costKey === 'total'
+                    });
+                const data = profile.map(({ year, value }) => ({ year, value }));
+                const sumOf = (key) => profile.reduce((sum, point) => sum + point[key], 0);
+
                 results.push({
-                    name: `componentFailure_${component.id}`,
-                    data: [...timeSeriesData],
+                    name: resultName,
+                    data,
                     percentile: { value: percentile },
                     metadata: {
                         componentId: component.id,
                         componentName: component.name,
-                        failureRate: failureRate,
-                        costPerFailure: totalCostPerFailure,
-                        annualCost: annualFailureCost,
-                        customPercentile: customPercentile && customPercentile[`componentFailure_${component.id}`] ? {
-                            [`componentFailure_${component.id}`]: customPercentile[`componentFailure_${component.id}`]
+                        quantity,
+                        lifetimeHazard: hazard,
+                        environmentalFactor,
+                        costPerFailure,
+                        maintenanceStrategy: strategy,
+                        fromSimulation: Boolean(simulated),
+                        expectedFailures: sumOf('failures'),
+                        plannedRepairs: sumOf('plannedRepairs'),
+                        plannedReplacements: sumOf('plannedReplacements'),
+                        totalCost: data.reduce((sum, point) => sum + point.value, 0),
+                        customPercentile: customPercentile && customPercentile[resultName] ? {
+                            [resultName]: customPercentile[resultName]
                         } : null
                     }
                 });
             });
 
+            console.log(`  ⚙️ ${component.name}: ${quantity} units, ${hazard ? `lifetime Weibull β ${hazard.beta} η ${hazard.eta}` : 'annual rate hazard'}, environment ×${environmentalFactor.toFixed(2)}, $${costPerFailure.toLocaleString()} per failure, ${strategy}`);
         } catch (error) {
-            console.error(`❌ componentFailureRatesTransformer failed for component ${component.id}:`, error);
+            console.error(`❌ ${sourceName} failed for component ${component.id}:`, error);
         }
     });
 
     if (results.length === 0) {
-        console.warn('⚠️ componentFailureRatesTransformer: No valid component failure results generated');
+        console.warn(`⚠️ ${sourceName}: No valid component failure results generated`);
         return [];
     }
 
-    console.log(`✅ componentFailureRatesTransformer: ${enabledComponents.length} components processed, $${totalAnnualCost.toLocaleString()} total annual cost`);
+    console.log(`✅ ${sourceName}: ${components.length} components processed`);
 
-    // Add audit entry
     addAuditEntry(
-        'apply_component_failure_rates_transformation',
-        `calculating failure costs for ${enabledComponents.length} enabled components`,
-        ['projectLife', 'numWTGs'],
+        operation,
+        `calculating age-dependent ${costKey === 'total' ? 'failure' : 'replacement'} costs for ${components.length} enabled components`,
+        ['projectLife', 'numWTGs', 'failureRateResults', 'stressFactors', 'failureEvents'],
         results,
         'transform',
-        'complex'
+        complexity
     );
 
     return results;
 };
 
+/**
+ * Component Failure Rates Transformer - Generate annual failure costs for enabled components
+ * Yearly expected failures follow each component's annual rate or fitted lifetime hazard, scaled by its quantityConfig and changed by its
+ * maintenance strategy (planned replacements, condition-monitored repairs and monitoring costs). Run-to-failure
+ * components take the failure-event simulation's repair costs instead when it has run.
+ * 
+ * @param {Object|Array} sourceData - Component failure rate configurations keyed by component id
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects with component failure costs
+ */
+export const componentFailureRatesTransformer = (sourceData, context) => buildComponentFailureCosts(sourceData, context, {
+    name: 'componentFailure',
+    costKey: 'total',
+    sourceName: 'componentFailureRatesTransformer',
+    operation: 'apply_component_failure_rates_transformation',
+    complexity: 'complex'
+});
+
 /**
  * Component Replacement Costs Transformer - Generate replacement cost time series
- * Transforms component cost configurations into time-series data
+ * Material cost of the expected replacements, on the same age-dependent failure curve and maintenance strategy as
+ * componentFailureRatesTransformer
  * 
- * @param {Array} sourceData - Array of component failure rate configurations  
+ * @param {Object|Array} sourceData - Component failure rate configurations keyed by component id
  * @param {Object} context - Transformer context
  * @returns {Array} Array of SimResultsSchema objects with replacement costs
  */
-export const componentReplacementCostsTransformer = (sourceData, context) => {
+export const componentReplacementCostsTransformer = (sourceData, context) => buildComponentFailureCosts(sourceData, context, {
+    name: 'componentReplacement',
+    costKey: 'replacement',
+    sourceName: 'componentReplacementCostsTransformer',
+    operation: 'apply_component_replacement_costs_transformation',
+    complexity: 'simple'
+});
+
+// Onset points integrated per year of the onset window for the expected campaign profile
+const ONSET_STEPS_PER_YEAR = 50;
+
+/**
+ * Expected owner's serial defect campaign cost by year (what the failure-event simulation averages to)
+ * Onset is uniform over the onset window and each affected unit is fixed at a uniform time over the campaign
+ * duration; defects surfacing within the warranty period are net of the OEM's coverage share
+ * @param {Object} serialDefect - SerialDefectSchema object
+ * @param {number} quantity - Installed units of the component
+ * @param {number} projectLife - Operating years
+ * @returns {Array<number>} Expected cost for years 1..projectLife
+ */
+export const calculateSerialDefectProfile = (serialDefect, quantity, projectLife) => {
+    const profile = new Array(projectLife).fill(0);
     const {
-        processedData,
-        percentileInfo,
-        customPercentile,
-        addAuditEntry,
-        allReferences
-    } = context;
+        probability = 0, onsetStartYear = 1, onsetEndYear = onsetStartYear, fleetFraction = 0,
+        campaignCostPerUnit = 0, campaignDurationYears = 0, warranty
+    } = serialDefect || {};
+
+    const windowStart = onsetStartYear - 1;
+    const windowYears = Math.max(onsetEndYear - onsetStartYear + 1, 0);
+    const steps = Math.max(1, windowYears * ONSET_STEPS_PER_YEAR);
+    const unitCost = probability * Math.round(fleetFraction * quantity) * campaignCostPerUnit / steps;
+    if (unitCost === 0) return profile;
+
+    for (let step = 0; step < steps; step++) {
+        const onset = windowStart + (step + 0.5) * windowYears / steps;
+        const covered = warranty?.enabled && Math.floor(onset) + 1 <= warranty.endYear;
+        const cost = unitCost * (covered ? 1 - warranty.coverage : 1);
+
+        if (campaignDurationYears <= 0) {
+            if (onset < projectLife) profile[Math.floor(onset)] += cost;
+            continue;
+        }
+
+        // Share of the campaign's fixes falling in each year (fixes after the project end are dropped)
+        const end = onset + campaignDurationYears;
+        for (let year = Math.floor(onset); year < Math.min(Math.ceil(end), projectLife); year++) {
+            const overlap = Math.min(end, year + 1) - Math.max(onset, year);
+            profile[year] += cost * overlap / campaignDurationYears;
+        }
+    }
+
+    return profile;
+};
 
-    // Validate source data
-    if (!Array.isArray(sourceData)) {
-        console.warn('⚠️ componentReplacementCostsTransformer: sourceData is not an array');
+/**
+ * Serial Defect Costs Transformer - Owner's cost of fleet-wide serial defect campaigns
+ * Uses the failure-event simulation's campaign cost percentiles when available, otherwise the expected profile
+ *
+ * @param {Object|Array} sourceData - Component failure rate configurations keyed by component id
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects, one per component at risk and percentile
+ */
+export const serialDefectCostsTransformer = (sourceData, context) => {
+    const { percentileInfo, customPercentile, addAuditEntry, allReferences } = context;
+
+    if (!sourceData || typeof sourceData !== 'object' || allReferences.failureRatesEnabled === false) {
         return [];
     }
 
-    // Filter to enabled components only
-    const enabledComponents = sourceData.filter(component => 
-        component?.enabled === true && component?.costs?.componentReplacement
-    );
+    const components = (Array.isArray(sourceData) ? sourceData : Object.values(sourceData))
+        .filter(component => component?.enabled === true && component.serialDefect?.enabled === true);
 
-    if (enabledComponents.length === 0) {
-        console.log('📋 componentReplacementCostsTransformer: No enabled components with replacement costs found');
+    if (components.length === 0) {
+        console.log('📋 serialDefectCostsTransformer: No components with serial defect risk');
         return [];
     }
 
-    // Get global references
     const projectLife = allReferences.projectLife || 20;
     const numWTGs = allReferences.numWTGs || 1;
+    const results = [];
+
+    components.forEach(component => {
+        const quantity = calculateComponentQuantity(component, numWTGs, allReferences.wtgPlatformType);
+        const expected = calculateSerialDefectProfile(component.serialDefect, quantity, projectLife);
+        const simulated = allReferences.failureEvents?.components?.[component.id]?.campaignCost?.annual;
+        const resultName = `serialDefect_${component.id}`;
+
+        percentileInfo.available.forEach(percentile => {
+            const byYear = new Map(extractPercentileData(simulated, percentile).map(point => [point.year, point.value]));
+            const fromSimulation = byYear.size > 0;
+            const data = expected.map((value, index) => ({
+                year: index + 1,
+                value: fromSimulation ? byYear.get(index + 1) ?? 0 : value
+            }));
+
+            results.push({
+                name: resultName,
+                data,
+                percentile: { value: percentile },
+                metadata: {
+                    componentId: component.id,
+                    componentName: component.name,
+                    quantity,
+                    fromSimulation,
+                    totalCost: data.reduce((sum, point) => sum + point.value, 0),
+                    customPercentile: customPercentile && customPercentile[resultName] ? {
+                        [resultName]: customPercentile[resultName]
+                    } : null
+                }
+            });
+        });
+    });
+
+    console.log(`✅ serialDefectCostsTransformer: ${components.length} components with serial defect risk`);
 
-    console.log(`💰 componentReplacementCostsTransformer: Processing replacement costs for ${enabledComponents.length} components`);
+    addAuditEntry(
+        'apply_serial_defect_costs_transformation',
+        `calculating serial defect campaign costs for ${components.length} components`,
+        ['projectLife', 'numWTGs', 'failureEvents'],
+        results,
+        'transform',
+        'complex'
+    );
 
+    return results;
+};
+
+/**
+ * Failure Downtime Loss Transformer - Revenue lost while turbines are down for failure repairs
+ * Prices the fleet downtime of the failure-event simulation (including waits for spares out of stock) at the energy
+ * revenue of the same year and percentile: revenue × downtime days / (turbines × 365)
+ *
+ * @param {Object} sourceData - FailureEventSimResultsSchema from the failure-event simulation
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects, one per percentile
+ */
+export const failureDowntimeLossTransformer = (sourceData, context) => {
+    const { processedData, percentileInfo, customPercentile, addAuditEntry, allReferences } = context;
+
+    const downtime = sourceData?.total?.downtimeDays?.annual;
+    if (allReferences.failureRatesEnabled === false || !Array.isArray(downtime) || downtime.length === 0) {
+        return [];
+    }
+
+    const revenueSources = filterCubeSourceData(processedData, { sourceId: 'energyRevenue' });
+    if (revenueSources.length === 0) {
+        console.warn('⚠️ failureDowntimeLossTransformer: No energy revenue source found in processed data');
+        return [];
+    }
+
+    const turbineDays = (allReferences.numWTGs || 1) * DAYS_PER_YEAR;
     const results = [];
 
-    // Process each enabled component's replacement cost
-    enabledComponents.forEach(component => {
-        try {
-            const replacementCost = component.costs.componentReplacement?.parameters?.value || 0;
-            const failureRate = component.failureRate?.parameters?.lambda || 
-                               component.failureRate?.parameters?.value || 0;
-
-            // Calculate annual replacement cost: failureRate * replacementCost * numWTGs
-            const annualReplacementCost = failureRate * replacementCost * numWTGs;
-
-            // Generate time series data
-            const timeSeriesData = [];
-            for (let year = 1; year <= projectLife; year++) {
-                timeSeriesData.push({
-                    year,
-                    value: annualReplacementCost
-                });
+    percentileInfo.available.forEach(percentile => {
+        const downtimeByYear = new Map(extractPercentileData(downtime, percentile).map(point => [point.year, point.value]));
+        const revenueData = extractPercentileData(revenueSources[0].percentileSource, percentile);
+        if (downtimeByYear.size === 0 || revenueData.length === 0) return;
+
+        const data = revenueData.map(({ year, value }) => ({
+            year,
+            value: value * (downtimeByYear.get(year) ?? 0) / turbineDays
+        }));
+
+        results.push({
+            name: 'failureDowntimeLoss',
+            data,
+            percentile: { value: percentile },
+            metadata: {
+                downtimeDays: [...downtimeByYear.values()].reduce((sum, value) => sum + value, 0),
+                totalLoss: data.reduce((sum, point) => sum + point.value, 0),
+                customPercentile: customPercentile && customPercentile['failureDowntimeLoss'] ? {
+                    failureDowntimeLoss: customPercentile['failureDowntimeLoss']
+                } : null
             }
+        });
+    });
 
-            console.log(`  🔧 ${component.name}: $${replacementCost.toLocaleString()} replacement cost, $${annualReplacementCost.toLocaleString()} annual`);
+    addAuditEntry(
+        'apply_failure_downtime_loss_transformation',
+        'pricing simulated fleet failure downtime at energy revenue',
+        ['energyRevenue', 'failureEvents', 'numWTGs'],
+        results,
+        'transform',
+        'complex'
+    );
 
-            // Add component-specific results for each percentile
-            percentileInfo.available.forEach(percentile => {
-                results.push({
-                    name: `componentReplacement_${component.id}`,
-                    data: [...timeSeriesData],
-                    percentile: { value: percentile },
-                    metadata: {
-                        componentId: component.id,
-                        componentName: component.name,
-                        replacementCost: replacementCost,
-                        failureRate: failureRate,
-                        annualCost: annualReplacementCost,
-                        customPercentile: customPercentile && customPercentile[`componentReplacement_${component.id}`] ? {
-                            [`componentReplacement_${component.id}`]: customPercentile[`componentReplacement_${component.id}`]
-                        } : null
-                    }
-                });
-            });
+    return results;
+};
 
-        } catch (error) {
-            console.error(`❌ componentReplacementCostsTransformer failed for component ${component.id}:`, error);
-        }
-    });
+/**
+ * Spares Inventory Costs Transformer - Purchase and holding costs of spare parts stock
+ * Reads the simulated spares cost (initial stock bought at COD plus holding cost of the stock on hand) of each
+ * component with a spares inventory
+ *
+ * @param {Object} sourceData - FailureEventSimResultsSchema from the failure-event simulation
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects, one per component with spares and percentile
+ */
+export const sparesInventoryCostsTransformer = (sourceData, context) => {
+    const { percentileInfo, customPercentile, addAuditEntry, allReferences } = context;
+
+    const componentIds = Object.keys(sourceData?.simulationInfo?.spares || {});
+    if (allReferences.failureRatesEnabled === false || componentIds.length === 0) {
+        return [];
+    }
+
+    const projectLife = allReferences.projectLife || 20;
+    const results = [];
 
-    console.log(`✅ componentReplacementCostsTransformer: ${enabledComponents.length} components processed`);
+    componentIds.forEach(componentId => {
+        const simulated = sourceData.components?.[componentId]?.sparesCost?.annual;
+        const resultName = `spares_${componentId}`;
+
+        percentileInfo.available.forEach(percentile => {
+            const byYear = new Map(extractPercentileData(simulated, percentile).map(point => [point.year, point.value]));
+            if (byYear.size === 0) return;
+
+            const data = Array.from({ length: projectLife }, (_, index) => ({
+                year: index + 1,
+                value: byYear.get(index + 1) ?? 0
+            }));
+
+            results.push({
+                name: resultName,
+                data,
+                percentile: { value: percentile },
+                metadata: {
+                    componentId,
+                    stockLevel: sourceData.simulationInfo.spares[componentId].stockLevel,
+                    totalCost: data.reduce((sum, point) => sum + point.value, 0),
+                    customPercentile: customPercentile && customPercentile[resultName] ? {
+                        [resultName]: customPercentile[resultName]
+                    } : null
+                }
+            });
+        });
+    });
 
-    // Add audit entry
     addAuditEntry(
-        'apply_component_replacement_costs_transformation',
-        `calculating replacement costs for ${enabledComponents.length} enabled components`,
-        ['projectLife', 'numWTGs'],
+        'apply_spares_inventory_costs_transformation',
+        `reading simulated spares costs for ${componentIds.length} components`,
+        ['projectLife', 'failureEvents'],
         results,
         'transform',
-        'simple'
+        'complex'
     );
 
     return results;
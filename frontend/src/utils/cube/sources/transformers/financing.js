@@ -1,6 +1,141 @@
 
-import { filterCubeSourceData, aggregateCubeSourceData, normalizeIntoSimResults, extractPercentileData, trimSourceDataValues } from './common.js';
+import { filterCubeSourceData, aggregateCubeSourceData, normalizeIntoSimResults, extractPercentileData, trimSourceDataValues, adjustSourceDataValues } from './common.js';
+import { calculatePercentileTax } from './tax.js';
+import { getSweptDebtSchedules } from './waterfall.js';
+
+// Outflows outside CFADS: debt flows and reserve deposits
+const NON_OPERATING_CLASSES = ['liability', 'financing_cost'];
+const NON_OPERATING_GROUPS = ['reserves'];
+// Reserve account sources; their deposits and draws move cash without earning or spending it
+const RESERVE_ACCOUNTS_GROUP = 'reserve_accounts';
+// DSRA draws follow the debt service, so they are virtual, but they are cash available to pay it
+const DSRA_DRAW_SOURCE = 'dsraDraw';
+// Tax is paid ahead of debt service; the tax sources are processed right after the debt schedule
+const TAX_PAID_SOURCE = 'taxPaid';
 
+/**
+ * Cash flow available for debt service of one percentile: revenue less operating costs and tax paid (virtual
+ * aggregates, debt flows and reserve deposits excluded). MRA deposits and draws and DSRA shortfall draws are included,
+ * as lenders test cover after them
+ * @param {Array} processedData - Cube sources processed so far
+ * @param {number} percentile - Percentile to extract
+ * @param {number} projectLife - Project life in years
+ * @param {Object} [options] - { reserveMovements: false leaves out reserve account deposits and draws (interest stays),
+ *   afterTax: false leaves out tax paid (the EBITDA of the tax computation, and sculpting, which iterates its own tax) }
+ * @returns {Array<number>} CFADS of years 1..projectLife
+ */
+export const calculateCfads = (processedData, percentile, projectLife, { reserveMovements = true, afterTax = true } = {}) => {
+    const cfads = new Array(projectLife).fill(0);
+    const addYears = (source, sign) => {
+        extractPercentileData(source.percentileSource, percentile).forEach(({ year, value }) => {
+            if (year >= 1 && year <= projectLife) cfads[year - 1] += sign * value;
+        });
+    };
+    const included = (source) => source.metadata.type !== 'virtual'
+        && (reserveMovements || source.metadata.visualGroup !== RESERVE_ACCOUNTS_GROUP
+            || source.metadata.accountingClass === 'revenue');
+
+    filterCubeSourceData(processedData, { cashflowType: 'inflow' })
+        .filter(included)
+        .forEach(source => addYears(source, 1));
+    filterCubeSourceData(processedData, { cashflowType: 'outflow' })
+        .filter(source => included(source)
+            && !NON_OPERATING_CLASSES.includes(source.metadata.accountingClass)
+            && !NON_OPERATING_GROUPS.includes(source.metadata.visualGroup))
+        .forEach(source => addYears(source, -1));
+    if (reserveMovements) {
+        filterCubeSourceData(processedData, { sourceId: DSRA_DRAW_SOURCE }).forEach(source => addYears(source, 1));
+    }
+    if (afterTax) {
+        filterCubeSourceData(processedData, { sourceId: TAX_PAID_SOURCE }).forEach(source => addYears(source, -1));
+    }
+
+    return cfads;
+};
+
+// Tax depends on the interest of the debt sculpted from after-tax CFADS; the two are iterated to a fixed point
+const MAX_TAX_ITERATIONS = 50;
+const TAX_TOLERANCE = 1e-9;
+
+/**
+ * Repayments of a sculpted loan: debt service less interest on the opening balance, never negative nor more than the
+ * balance, with anything left repaid at maturity
+ * @param {Array<Object>} debtService - DataPointSchema array of the repayment years
+ * @param {number} principal - Debt to repay
+ * @param {number} operationalRate - Operational debt rate as a decimal
+ * @returns {Array<Object>} { year, principal, interest } of the repayment years
+ */
+export const calculateSculptedRepayments = (debtService, principal, operationalRate) => {
+    let remainingPrincipal = principal;
+
+    return debtService.map(({ year, value }, index) => {
+        const interest = remainingPrincipal * operationalRate;
+        const repayment = index === debtService.length - 1
+            ? remainingPrincipal
+            : Math.min(remainingPrincipal, Math.max(0, value - interest));
+
+        remainingPrincipal -= repayment;
+        return { year, principal: repayment, interest };
+    });
+};
+
+/**
+ * Sculpted debt service: each repayment year's debt service is the sizing percentile's after-tax CFADS / minimumDSCR,
+ * and the debt it supports is that debt service discounted at the operational debt rate. Tax is computed on the
+ * interest of the debt actually drawn (the capacity, or maxDebt when gearing binds)
+ * @param {Array} processedData - Cube sources processed so far (operating revenue and costs)
+ * @param {Object} financing - Financing settings
+ * @param {number} projectLife - Project life in years
+ * @param {Array<number>} availablePercentiles - Percentiles of the cube
+ * @param {Object} [debt] - { maxDebt: gearing limit of the principal, idcShare: capitalized IDC share of the principal }
+ * @returns {Object} { percentile, debtService: DataPoint[] of the repayment years, debtCapacity, taxPaid }
+ */
+export const calculateSculptedDebtService = (processedData, financing, projectLife, availablePercentiles, { maxDebt = Infinity, idcShare = 0 } = {}) => {
+    // The sizing percentile falls back to the closest percentile the cube carries
+    const requested = financing.sculptingPercentile || 50;
+    const percentile = availablePercentiles.reduce((closest, value) =>
+        (Math.abs(value - requested) < Math.abs(closest - requested) ? value : closest), availablePercentiles[0]);
+
+    // Sized ahead of the tax sources, so tax is iterated here and deducted below
+    const cfads = calculateCfads(processedData, percentile, projectLife, { afterTax: false });
+    const operationalRate = (financing.costOfOperationalDebt || 5) / 100;
+    const targetDSCR = financing.minimumDSCR || 1.3;
+    const paymentStartYear = 1 + (financing.gracePeriod || 1);
+    const maturityYear = Math.min(projectLife, paymentStartYear + (financing.loanDuration || 15) - 1);
+
+    const sculpt = (taxPaid) => {
+        const debtService = [];
+        let debtCapacity = 0;
+        for (let year = paymentStartYear; year <= maturityYear; year++) {
+            const value = Math.max(0, cfads[year - 1] - taxPaid[year - 1]) / targetDSCR;
+            debtService.push({ year, value });
+            debtCapacity += value / Math.pow(1 + operationalRate, year - paymentStartYear + 1);
+        }
+        return { debtService, debtCapacity, taxPaid };
+    };
+
+    let sculpted = sculpt(new Array(projectLife).fill(0));
+    for (let iteration = 0; iteration < MAX_TAX_ITERATIONS; iteration++) {
+        const principal = Math.min(sculpted.debtCapacity, maxDebt);
+        const scale = sculpted.debtCapacity > 0 ? principal / sculpted.debtCapacity : 0;
+        const interest = new Array(projectLife).fill(0);
+        calculateSculptedRepayments(sculpted.debtService.map(({ year, value }) => ({ year, value: value * scale })),
+            principal, operationalRate).forEach(({ year, interest: value }) => {
+            interest[year - 1] = value;
+        });
+
+        const rows = calculatePercentileTax(processedData, percentile, financing, projectLife,
+            { interest, constructionInterest: principal * idcShare });
+        if (!rows) break;
+
+        const next = sculpt(rows.map(row => row.taxPaid));
+        const converged = Math.abs(next.debtCapacity - sculpted.debtCapacity) <= TAX_TOLERANCE * Math.max(1, sculpted.debtCapacity);
+        sculpted = next;
+        if (converged) break;
+    }
+
+    return { percentile, ...sculpted };
+};
 
 /**
  * Calculate Interest During Construction (IDC)
@@ -152,16 +287,16 @@ export const operationalInterest = (sourceData, context) => {
 
         // Calculate interest payments by working backwards from principal schedule
         const interestPayments = [];
-        let remainingPrincipal = totalDebtPrincipal;
+        let remainingPrincipal = 0;
 
         // Sort principal payments by year (reverse to work backwards)
         const sortedPrincipalData = [...principalData].sort((a, b) => b.year - a.year);
 
-        // Work backwards to calculate remaining principal for each year
+        // Work backwards: the balance outstanding at the start of a year is that year's and all later repayments
         sortedPrincipalData.forEach(({ year, value: principalPayment }) => {
+            remainingPrincipal += principalPayment;
             const interestPayment = remainingPrincipal * operationalRate;
             interestPayments.push({ year, value: interestPayment });
-            remainingPrincipal += principalPayment; // Add back since we're going backwards
         });
 
         // Sort interest payments by year (forward)
@@ -273,6 +408,18 @@ export const operationalPrincipal = (sourceData, context) => {
                 year: Math.min(loanDuration, projectLife),
                 value: totalDebtPrincipal
             });
+        } else if (amortizationType === 'sculpted') {
+            // Sculpted loan: debt service tracks after-tax CFADS / target DSCR, scaled down when gearing rather than
+            // CFADS limited the debt drawn. Sized on one percentile's CFADS, so every percentile shares the profile
+            const sculpted = calculateSculptedDebtService(processedData, financing, projectLife, availablePercentiles,
+                { maxDebt: totalDebtPrincipal, idcShare: totalIDC / totalDebtPrincipal });
+            const debtServiceScale = sculpted.debtCapacity > 0 ? totalDebtPrincipal / sculpted.debtCapacity : 0;
+
+            calculateSculptedRepayments(
+                sculpted.debtService.map(({ year, value }) => ({ year, value: value * debtServiceScale })),
+                totalDebtPrincipal,
+                operationalRate
+            ).forEach(({ year, principal }) => principalPayments.push({ year, value: principal }));
         } else {
             // Amortizing loan: calculate principal portion
             let remainingPrincipal = totalDebtPrincipal;
@@ -318,7 +465,35 @@ export const operationalPrincipal = (sourceData, context) => {
 };
 
 /**
- * Calculate total debt service (interest + principal payments)
+ * Cash flow available for debt service by year (operating revenue less operating costs and tax paid, plus DSRA draws);
+ * the one CFADS that sculpting sizes on and every cover ratio divides
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects for CFADS
+ */
+export const cfads = (sourceData, context) => {
+    const { addAuditEntry, percentileInfo, processedData, allReferences } = context;
+    const projectLife = allReferences.projectLife || 20;
+
+    addAuditEntry(
+        'apply_cfads_calculation',
+        'calculating CFADS: operating revenue - operating costs - tax paid + DSRA draws (excluding debt flows and reserve deposits)',
+        ['taxPaid', 'dsraDraw', 'projectLife']
+    );
+
+    const result = percentileInfo.available.map(percentile => ({
+        name: 'cfads',
+        data: calculateCfads(processedData, percentile, projectLife).map((value, index) => ({ year: index + 1, value })),
+        percentile: { value: percentile }
+    }));
+
+    console.log(`💰 cfads: ${result.length} percentiles over ${projectLife} years`);
+
+    return result;
+};
+
+/**
+ * Calculate total debt service (interest + principal payments), lowered by any cash sweep prepayments
  * @param {null} sourceData - Not used for virtual sources
  * @param {Object} context - Transformer context
  * @returns {Array} Array of SimResultsSchema objects for debt service
@@ -340,11 +515,18 @@ export const debtService = (sourceData, context) => {
     const combinedSources = [interestSources[0], principalSources[0]];
 
     // Aggregate with sum operation (interest + principal = total debt service)
-    const result = aggregateCubeSourceData(combinedSources, availablePercentiles, {
+    let result = aggregateCubeSourceData(combinedSources, availablePercentiles, {
         operation: 'sum',
         customPercentile
     }, addAuditEntry);
 
+    // Cash sweep prepayments scale down every instalment after them
+    const sweptSchedules = getSweptDebtSchedules(context);
+    if (sweptSchedules) {
+        result = adjustSourceDataValues(result, (percentile, year, value) =>
+            sweptSchedules.get(percentile)?.[year - 1]?.debtService ?? value);
+    }
+
     const totalDebtService = result.reduce((sum, simResult) =>
         sum + simResult.data.reduce((dataSum, dataPoint) => dataSum + dataPoint.value, 0), 0
     );
@@ -352,8 +534,8 @@ export const debtService = (sourceData, context) => {
 
     addAuditEntry(
         'apply_debt_service_transformation',
-        'calculating debt service: operationalInterest + operationalPrincipal',
-        ['operationalInterest', 'operationalPrincipal'],
+        'calculating debt service: operationalInterest + operationalPrincipal, after cash sweep prepayments',
+        ['operationalInterest', 'operationalPrincipal', 'cashSweep', 'financing'],
         result,
         'transform',
         'complex'
@@ -363,7 +545,7 @@ export const debtService = (sourceData, context) => {
 };
 
 /**
- * Calculate DSCR time series from net cashflow and debt service
+ * Calculate DSCR time series from CFADS and debt service
  * @param {null} sourceData - Not used for virtual sources
  * @param {Object} context - Transformer context
  * @returns {Array} Array of SimResultsSchema objects for DSCR by year
@@ -372,8 +554,8 @@ export const dscr = (sourceData, context) => {
     const { addAuditEntry, percentileInfo, customPercentile, processedData, allReferences } = context;
     const availablePercentiles = percentileInfo.available;
 
-    // Get net cashflow and debt service sources
-    const netCashflowSources = filterCubeSourceData(processedData, { sourceId: 'netCashflow' });
+    // Get CFADS and debt service sources
+    const cfadsSources = filterCubeSourceData(processedData, { sourceId: 'cfads' });
     const debtServiceSources = filterCubeSourceData(processedData, { sourceId: 'debtService' });
 
     // Get financing data from references
@@ -383,58 +565,57 @@ export const dscr = (sourceData, context) => {
         return [];
     }
 
-    if (netCashflowSources.length === 0 || debtServiceSources.length === 0) {
-        console.warn(`⚠️ Missing sources for DSCR: netCashflow(${netCashflowSources.length}), debtService(${debtServiceSources.length})`);
+    if (cfadsSources.length === 0 || debtServiceSources.length === 0) {
+        console.warn(`⚠️ Missing sources for DSCR: cfads(${cfadsSources.length}), debtService(${debtServiceSources.length})`);
         return [];
     }
 
-    console.log('📊 Calculating DSCR: netCashflow / debtService');
+    console.log('📊 Calculating DSCR: cfads / debtService');
 
     // Track dependencies for audit trail
-    const dependencies = ['netCashflow', 'debtService'];
+    const dependencies = ['cfads', 'debtService'];
 
     if (addAuditEntry) {
         addAuditEntry(
             'apply_dscr_calculation',
-            'calculating DSCR: netCashflow / debtService',
+            'calculating DSCR: cfads / debtService',
             dependencies
         );
     }
 
     // Get single sources (since sourceId filtering returns max 1 item)
-    const netCashflow = netCashflowSources[0];
+    const cfadsSource = cfadsSources[0];
     const debtService = debtServiceSources[0];
 
-    // Combine revenue (positive) and cost (negative) sources
-    const combinedSources = [netCashflow, debtService];
+    // Divide CFADS by debt service year by year
+    const combinedSources = [cfadsSource, debtService];
 
-    // Aggregate with sum operation (revenue + (-cost) = revenue - cost)
     let result = aggregateCubeSourceData(combinedSources, availablePercentiles, {
         operation: 'divide',
         customPercentile
     }, addAuditEntry);
 
-    result = trimSourceDataValues(result, (year, value, options) => year < options.loanStart || year > options.loanEnd, { loanStart: (1 + financing.gracePeriod), loanEnd: financing.loanDuration || 10 }, addAuditEntry);
+    result = trimSourceDataValues(result, (year, value, options) => year < options.loanStart || year > options.loanEnd, { loanStart: (1 + financing.gracePeriod), loanEnd: financing.gracePeriod + (financing.loanDuration || 10) }, addAuditEntry);
 
-    console.log(`✅ netCashflow calculated for ${result.length} data points`);
+    console.log(`✅ DSCR calculated for ${result.length} percentiles`);
 
     return result;
 };
 
 /**
  * Calculate Loan Life Coverage Ratio time series
- * LLCR = NPV of remaining cash flows / Outstanding debt at each year
+ * LLCR = NPV of CFADS to loan maturity / Outstanding debt at each year (after cash sweep prepayments)
  * @param {null} sourceData - Not used for virtual sources
  * @param {Object} context - Transformer context
  * @returns {Array} Array of SimResultsSchema objects for LLCR by year
  */
 export const llcr = (sourceData, context) => {
-    const { addAuditEntry, percentileInfo, customPercentile, processedData, allReferences } = context;
+    const { addAuditEntry, percentileInfo, processedData, allReferences } = context;
     const availablePercentiles = percentileInfo.available;
 
     // Get required source data
-    const netCashflowSources = filterCubeSourceData(processedData, { sourceId: 'netCashflow' });
-    const debtServiceSources = filterCubeSourceData(processedData, { sourceId: 'debtService' });
+    const cfadsSources = filterCubeSourceData(processedData, { sourceId: 'cfads' });
+    const principalSources = filterCubeSourceData(processedData, { sourceId: 'operationalPrincipal' });
 
     // Get financing data from references
     const financing = allReferences.financing;
@@ -443,78 +624,71 @@ export const llcr = (sourceData, context) => {
         return [];
     }
 
-    if (netCashflowSources.length === 0 || debtServiceSources.length === 0) {
-        console.warn(`⚠️ Missing sources for LLCR: netCashflow(${netCashflowSources.length}), debtService(${debtServiceSources.length})`);
+    if (cfadsSources.length === 0 || principalSources.length === 0) {
+        console.warn(`⚠️ Missing sources for LLCR: cfads(${cfadsSources.length}), operationalPrincipal(${principalSources.length})`);
         return [];
     }
 
-    console.log('📊 Calculating LLCR: NPV remaining cashflows / Outstanding debt');
+    console.log('📊 Calculating LLCR: NPV of CFADS to maturity / Outstanding debt');
 
     // Track dependencies for audit trail
-    const dependencies = ['netCashflow', 'debtService'];
+    const dependencies = ['cfads', 'operationalPrincipal', 'cashSweep'];
 
     if (addAuditEntry) {
         addAuditEntry(
             'apply_llcr_calculation',
-            'calculating LLCR: NPV of remaining cashflows / outstanding debt by year',
+            'calculating LLCR: NPV of CFADS to loan maturity / outstanding debt by year',
             dependencies
         );
     }
 
     // Get sources
-    const netCashflow = netCashflowSources[0];
-    const debtService = debtServiceSources[0];
+    const cfadsSource = cfadsSources[0];
+    const principalSource = principalSources[0];
 
     // Get discount rate from financing parameters
     const discountRate = (financing.costOfOperationalDebt || 5) / 100;
     const loanStart = 1 + (financing.gracePeriod || 1);
-    const loanEnd = financing.loanDuration || 15;
+    const sweptSchedules = getSweptDebtSchedules(context);
 
     // Process each percentile separately
     const result = [];
 
     availablePercentiles.forEach(percentile => {
         // Extract data for this percentile
-        const netCashflowData = extractPercentileData(netCashflow.percentileSource, percentile);
-        const debtServiceData = extractPercentileData(debtService.percentileSource, percentile);
+        const cfadsData = extractPercentileData(cfadsSource.percentileSource, percentile);
+        const principalData = extractPercentileData(principalSource.percentileSource, percentile);
+        const sweptRows = sweptSchedules?.get(percentile);
 
-        if (netCashflowData.length === 0 || debtServiceData.length === 0) {
+        if (cfadsData.length === 0 || principalData.length === 0) {
             return; // Skip if no data
         }
 
-        // Create debt service lookup map
-        const debtServiceMap = new Map(debtServiceData.map(d => [d.year, d.value]));
+        // The loan matures with its last principal repayment
+        const loanEnd = Math.max(...principalData.map(({ year }) => year));
+        const sortedCfads = [...cfadsData].sort((a, b) => a.year - b.year);
 
-        // Calculate LLCR for each operational year
+        // Calculate LLCR for each year of the loan
         const llcrData = [];
 
-        // Sort cashflow data by year
-        const sortedCashflows = [...netCashflowData].sort((a, b) => a.year - b.year);
-
-        sortedCashflows.forEach(({ year }) => {
-            if (year < loanStart || year > loanEnd) return; // Skip non-loan years
+        for (let year = loanStart; year <= loanEnd; year++) {
+            // Outstanding debt at the start of the year is the principal still to be repaid, less earlier sweeps
+            const outstandingDebt = sweptRows?.[year - 2]?.debtOutstanding ?? principalData
+                .filter(payment => payment.year >= year)
+                .reduce((sum, payment) => sum + payment.value, 0);
 
-            // Calculate NPV of remaining cashflows from this year forward
-            const remainingCashflows = sortedCashflows.filter(cf => cf.year >= year);
-            const npvRemaining = remainingCashflows.reduce((npv, cf) => {
-                const yearsFromCurrent = cf.year - year;
-                const presentValue = cf.value / Math.pow(1 + discountRate, yearsFromCurrent);
-                return npv + presentValue;
-            }, 0);
+            if (outstandingDebt <= 0) continue;
 
-            // Calculate outstanding debt (sum of remaining debt service payments)
-            const remainingDebtService = debtServiceData
-                .filter(ds => ds.year >= year)
-                .reduce((sum, ds) => sum + ds.value, 0);
-
-            // Calculate LLCR
-            const llcrValue = remainingDebtService > 0 ? npvRemaining / remainingDebtService : 0;
+            // NPV of CFADS from this year to maturity, discounted to the start of the year
+            const npvCfads = sortedCfads
+                .filter(cf => cf.year >= year && cf.year <= loanEnd)
+                .reduce((npv, cf) => npv + cf.value / Math.pow(1 + discountRate, cf.year - year + 1), 0);
 
             llcrData.push({
                 year,
-                value: Math.max(0, llcrValue) // Ensure non-negative
+                value: Math.max(0, npvCfads / outstandingDebt) // Ensure non-negative
             });
-        });
+        }
 
         // Create SimResultsSchema for this percentile
         if (llcrData.length > 0) {
@@ -533,7 +707,7 @@ export const llcr = (sourceData, context) => {
 
 /**
  * Calculate Interest Coverage Ratio time series
- * ICR = EBITDA (net cashflow proxy) / Interest payments
+ * ICR = CFADS (EBITDA proxy) / Interest payments (after cash sweep prepayments)
  * @param {null} sourceData - Not used for virtual sources
  * @param {Object} context - Transformer context
  * @returns {Array} Array of SimResultsSchema objects for ICR by year
@@ -543,7 +717,7 @@ export const icr = (sourceData, context) => {
     const availablePercentiles = percentileInfo.available;
 
     // Get required source data
-    const netCashflowSources = filterCubeSourceData(processedData, { sourceId: 'netCashflow' });
+    const cfadsSources = filterCubeSourceData(processedData, { sourceId: 'cfads' });
     const operationalInterestSources = filterCubeSourceData(processedData, { sourceId: 'operationalInterest' });
 
     // Get financing data from references
@@ -553,50 +727,54 @@ export const icr = (sourceData, context) => {
         return [];
     }
 
-    if (netCashflowSources.length === 0 || operationalInterestSources.length === 0) {
-        console.warn(`⚠️ Missing sources for ICR: netCashflow(${netCashflowSources.length}), operationalInterest(${operationalInterestSources.length})`);
+    if (cfadsSources.length === 0 || operationalInterestSources.length === 0) {
+        console.warn(`⚠️ Missing sources for ICR: cfads(${cfadsSources.length}), operationalInterest(${operationalInterestSources.length})`);
         return [];
     }
 
-    console.log('📊 Calculating ICR: netCashflow / operationalInterest');
+    console.log('📊 Calculating ICR: cfads / operationalInterest');
 
     // Track dependencies for audit trail
-    const dependencies = ['netCashflow', 'operationalInterest'];
+    const dependencies = ['cfads', 'operationalInterest', 'cashSweep'];
 
     if (addAuditEntry) {
         addAuditEntry(
             'apply_icr_calculation',
-            'calculating ICR: net cashflow / interest payments by year',
+            'calculating ICR: CFADS / interest payments by year',
             dependencies
         );
     }
 
     // Get sources
-    const netCashflow = netCashflowSources[0];
+    const cfadsSource = cfadsSources[0];
     const operationalInterest = operationalInterestSources[0];
 
     const loanStart = 1 + (financing.gracePeriod || 1);
-    const loanEnd = financing.loanDuration || 15;
+    const loanEnd = (financing.gracePeriod || 1) + (financing.loanDuration || 15); // Repayments follow the grace period
+    const sweptSchedules = getSweptDebtSchedules(context);
 
     // Process each percentile separately
     const result = [];
 
     availablePercentiles.forEach(percentile => {
         // Extract data for this percentile
-        const netCashflowData = extractPercentileData(netCashflow.percentileSource, percentile);
+        const cfadsData = extractPercentileData(cfadsSource.percentileSource, percentile);
         const interestData = extractPercentileData(operationalInterest.percentileSource, percentile);
 
-        if (netCashflowData.length === 0 || interestData.length === 0) {
+        if (cfadsData.length === 0 || interestData.length === 0) {
             return; // Skip if no data
         }
 
-        // Create interest payment lookup map
-        const interestMap = new Map(interestData.map(d => [d.year, d.value]));
+        // Create interest payment lookup map, on the balance left after any cash sweep
+        const sweptRows = sweptSchedules?.get(percentile);
+        const interestMap = new Map(sweptRows
+            ? sweptRows.map(row => [row.year, row.interest])
+            : interestData.map(d => [d.year, d.value]));
 
         // Calculate ICR for each year with both cashflow and interest data
         const icrData = [];
 
-        netCashflowData.forEach(({ year, value: cashflow }) => {
+        cfadsData.forEach(({ year, value: cashflow }) => {
             if (year < loanStart || year > loanEnd) return; // Skip non-operational years
 
             const interestPayment = interestMap.get(year);
@@ -8,6 +8,9 @@ import * as cashflow from './cashflow.js';
 import * as cost from './cost.js';
 import * as drawdown from './drawdown.js';
 import * as equipment from './equipment.js';
+import * as tax from './tax.js';
+import * as reserves from './reserves.js';
+import * as waterfall from './waterfall.js';
 
 /**
  * Registry of all available transformer functions
@@ -20,7 +23,10 @@ export const TRANSFORMER_REGISTRY = {
     ...cashflow,
     ...cost,
     ...drawdown,
-    ...equipment
+    ...equipment,
+    ...tax,
+    ...reserves,
+    ...waterfall
 };
 
 /**
@@ -57,4 +63,7 @@ export * from './totals.js';
 export * from './cashflow.js';
 export * from './cost.js';
 export * from './drawdown.js';
-export * from './equipment.js';
\ No newline at end of file
+export * from './equipment.js';
+export * from './tax.js';
+export * from './reserves.js';
+export * from './waterfall.js';
\ No newline at end of file
@@ -0,0 +1,298 @@
+// frontend/src/utils/cube/sources/transformers/reserves.js
+import { extractPercentileData, filterCubeSourceData } from './common.js';
+import { calculateCfads } from './financing.js';
+const { ReserveAccountsSchema } = require('schemas/yup/reserveAccounts');
+
+// Replacement costs the maintenance reserve is accrued for
+const MRA_COST_SOURCES = ['majorRepairs', 'componentReplacementCosts'];
+
+/**
+ * Maintenance reserve account by project year: each replacement's covered cost is deposited evenly over the
+ * accrualYears before it and drawn in its year (replacements in year 1 have no operating years to accrue over)
+ * @param {Array<number>} replacementCosts - Replacement costs of years 1..projectLife
+ * @param {Object} mra - ReserveAccountsSchema mra object
+ * @returns {Array<Object>} { year, funding, release, interest, balance } of years 1..projectLife
+ */
+export const calculateMraSchedule = (replacementCosts, mra) => {
+    const funding = new Array(replacementCosts.length).fill(0);
+    const release = new Array(replacementCosts.length).fill(0);
+
+    replacementCosts.forEach((cost, index) => {
+        const reserved = Math.max(0, cost) * mra.coverage / 100;
+        const firstIndex = Math.max(0, index - mra.accrualYears);
+        if (!(reserved > 0) || firstIndex === index) return;
+        for (let accrual = firstIndex; accrual < index; accrual++) {
+            funding[accrual] += reserved / (index - firstIndex);
+        }
+        release[index] += reserved;
+    });
+
+    // Interest is earned on the opening balance and paid out
+    let balance = 0;
+    return replacementCosts.map((_, index) => {
+        const interest = balance * mra.interestRate / 100;
+        balance += funding[index] - release[index];
+        return { year: index + 1, funding: funding[index], release: release[index], interest, balance };
+    });
+};
+
+/**
+ * Debt service reserve account by project year: the target is months/12 of the next debt service payment still to
+ * come, filled at COD or from cash after debt service, topped up from that cash and released as the target falls
+ * (in full with the final repayment). Years whose CFADS falls short of debt service draw the shortfall, as far as the
+ * balance goes, and the reserve is refilled from later cash like any other top-up
+ * @param {Object} inputs - { debtService, cfads } arrays of years 1..projectLife, cfads before DSRA draws
+ * @param {Object} dsra - ReserveAccountsSchema dsra object
+ * @returns {Array<Object>} { year, target, funding, draw, release, interest, balance } of years 0..projectLife
+ */
+export const calculateDsraSchedule = ({ debtService, cfads }, dsra) => {
+    const projectLife = debtService.length;
+    const targets = new Array(projectLife + 1).fill(0);
+    let nextPayment = 0;
+    for (let year = projectLife; year >= 0; year--) {
+        targets[year] = nextPayment * dsra.months / 12;
+        if (year >= 1 && debtService[year - 1] > 0) nextPayment = debtService[year - 1];
+    }
+
+    let balance = 0;
+    return targets.map((target, year) => {
+        const interest = balance * dsra.interestRate / 100;
+        let funding = 0;
+        let draw = 0;
+        let release = 0;
+        if (year === 0) {
+            funding = dsra.funding === 'cod' ? target : 0;
+        } else {
+            const cashAfterDebtService = (cfads[year - 1] || 0) - debtService[year - 1];
+            draw = Math.min(balance, Math.max(0, -cashAfterDebtService));
+            if (target >= balance - draw) {
+                funding = Math.min(target - balance + draw, Math.max(0, cashAfterDebtService));
+            } else {
+                release = balance - draw - target;
+            }
+        }
+        balance += funding - draw - release;
+        return { year, target, funding, draw, release, interest, balance };
+    });
+};
+
+/**
+ * Values of years 1..projectLife of one percentile summed over sources
+ * @param {Array} sources - Cube sources
+ * @param {number} percentile - Percentile to extract
+ * @param {number} projectLife - Project life in years
+ * @returns {Array<number>} Values of years 1..projectLife
+ */
+const sumByYear = (sources, percentile, projectLife) => {
+    const values = new Array(projectLife).fill(0);
+    sources.forEach(source => {
+        extractPercentileData(source.percentileSource, percentile).forEach(({ year, value }) => {
+            if (year >= 1 && year <= projectLife) values[year - 1] += value;
+        });
+    });
+    return values;
+};
+
+/**
+ * MRA schedule of every percentile from the cube's replacement costs
+ * @param {Object} sourceData - ReserveAccountsSchema mra object
+ * @param {Object} context - Transformer context
+ * @returns {Map<number, Array<Object>>|null} calculateMraSchedule rows by percentile, null when the MRA is off
+ */
+const buildMraSchedules = (sourceData, context) => {
+    const { percentileInfo, processedData, allReferences } = context;
+    const mra = ReserveAccountsSchema.fields.mra.cast(sourceData || {});
+    if (!mra.enabled) {
+        return null;
+    }
+
+    const projectLife = allReferences.projectLife || 20;
+    const costSources = processedData.filter(source => MRA_COST_SOURCES.includes(source.id));
+
+    const schedules = new Map();
+    percentileInfo.available.forEach(percentile => {
+        schedules.set(percentile, calculateMraSchedule(sumByYear(costSources, percentile, projectLife), mra));
+    });
+    return schedules;
+};
+
+/**
+ * DSRA schedule of every percentile from the cube's debt service and CFADS
+ * @param {Object} context - Transformer context
+ * @returns {Map<number, Array<Object>>|null} calculateDsraSchedule rows by percentile, null when the DSRA is off
+ */
+const buildDsraSchedules = (context) => {
+    const { percentileInfo, processedData, allReferences } = context;
+    const dsra = ReserveAccountsSchema.fields.dsra.cast(allReferences.reserveAccounts?.dsra || {});
+    if (!dsra.enabled) {
+        return null;
+    }
+
+    const projectLife = allReferences.projectLife || 20;
+    const debtSources = [
+        ...filterCubeSourceData(processedData, { sourceId: 'operationalPrincipal' }),
+        ...filterCubeSourceData(processedData, { sourceId: 'operationalInterest' })
+    ];
+
+    const schedules = new Map();
+    percentileInfo.available.forEach(percentile => {
+        schedules.set(percentile, calculateDsraSchedule({
+            debtService: sumByYear(debtSources, percentile, projectLife),
+            cfads: calculateCfads(processedData, percentile, projectLife)
+        }, dsra));
+    });
+    return schedules;
+};
+
+/**
+ * One field of the reserve schedules as SimResultsSchema objects
+ * @param {string} name - Source name
+ * @param {Map<number, Array<Object>>} schedules - Schedule rows by percentile
+ * @param {string} field - Row field to extract
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+const scheduleResults = (name, schedules, field) => Array.from(schedules.entries()).map(([percentile, rows]) => ({
+    name,
+    data: rows.map(row => ({ year: row.year, value: row[field] })),
+    percentile: { value: percentile }
+}));
+
+/**
+ * MRA deposits accrued ahead of major component replacements
+ * @param {Object} sourceData - ReserveAccountsSchema mra object
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const mraFunding = (sourceData, context) => {
+    const schedules = buildMraSchedules(sourceData, context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_mra_funding_calculation',
+        'calculating MRA deposits: covered replacement cost spread over the accrual years before it',
+        MRA_COST_SOURCES
+    );
+    return scheduleResults('mraFunding', schedules, 'funding');
+};
+
+/**
+ * MRA draws paying for major component replacements in the years they happen
+ * @param {Object} sourceData - ReserveAccountsSchema mra object
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const mraRelease = (sourceData, context) => {
+    const schedules = buildMraSchedules(sourceData, context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_mra_release_calculation',
+        'calculating MRA draws: accrued reserve released in the replacement year',
+        MRA_COST_SOURCES
+    );
+    return scheduleResults('mraRelease', schedules, 'release');
+};
+
+/**
+ * Interest earned on the MRA opening balance
+ * @param {Object} sourceData - ReserveAccountsSchema mra object
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const mraInterest = (sourceData, context) => {
+    const schedules = buildMraSchedules(sourceData, context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_mra_interest_calculation',
+        'calculating MRA interest income: opening balance × interest rate',
+        MRA_COST_SOURCES
+    );
+    return scheduleResults('mraInterest', schedules, 'interest');
+};
+
+/**
+ * DSRA deposits: the initial fill (at COD or from cash) and top-ups when forward debt service rises
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const dsraFunding = (sourceData, context) => {
+    const schedules = buildDsraSchedules(context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_dsra_funding_calculation',
+        'calculating DSRA deposits: shortfall against months of forward debt service, limited to cash after debt service',
+        ['operationalPrincipal', 'operationalInterest', 'reserveAccounts', 'projectLife']
+    );
+    return scheduleResults('dsraFunding', schedules, 'funding');
+};
+
+/**
+ * DSRA draws covering the debt service that CFADS falls short of; they count towards CFADS
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const dsraDraw = (sourceData, context) => {
+    const schedules = buildDsraSchedules(context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_dsra_draw_calculation',
+        'calculating DSRA draws: debt service - CFADS, limited to the reserve balance',
+        ['operationalPrincipal', 'operationalInterest', 'reserveAccounts', 'projectLife']
+    );
+    return scheduleResults('dsraDraw', schedules, 'draw');
+};
+
+/**
+ * DSRA releases as forward debt service falls, ending with the final repayment
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const dsraRelease = (sourceData, context) => {
+    const schedules = buildDsraSchedules(context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_dsra_release_calculation',
+        'calculating DSRA releases: balance above months of forward debt service',
+        ['operationalPrincipal', 'operationalInterest', 'reserveAccounts', 'projectLife']
+    );
+    return scheduleResults('dsraRelease', schedules, 'release');
+};
+
+/**
+ * Interest earned on the DSRA opening balance
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const dsraInterest = (sourceData, context) => {
+    const schedules = buildDsraSchedules(context);
+    if (!schedules) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_dsra_interest_calculation',
+        'calculating DSRA interest income: opening balance × interest rate',
+        ['operationalPrincipal', 'operationalInterest', 'reserveAccounts', 'projectLife']
+    );
+    return scheduleResults('dsraInterest', schedules, 'interest');
+};
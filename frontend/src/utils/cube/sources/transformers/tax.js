@@ -0,0 +1,242 @@
+// frontend/src/utils/cube/sources/transformers/tax.js
+import { filterCubeSourceData, extractPercentileData } from './common.js';
+import { calculateCfads } from './financing.js';
+const { TaxSchema, MACRS_TABLES } = require('schemas/yup/tax');
+
+/**
+ * Tax depreciation of the capitalized basis by project year; basis left at the end of the project is written off
+ * in the final year
+ * @param {number} basis - Depreciable basis
+ * @param {Object} depreciation - TaxSchema depreciation object
+ * @param {number} projectLife - Project life in years
+ * @returns {Array<number>} Depreciation of years 1..projectLife
+ */
+export const calculateDepreciationSchedule = (basis, depreciation, projectLife) => {
+    const { method, years, decliningRate, switchToStraightLine, macrsClass, customSchedule } = depreciation;
+    const schedule = new Array(projectLife).fill(0);
+    if (!(basis > 0) || projectLife < 1) return schedule;
+
+    if (method === 'macrs' || method === 'custom') {
+        const table = method === 'macrs' ? MACRS_TABLES[macrsClass] || [] : customSchedule || [];
+        table.slice(0, projectLife).forEach((percent, index) => {
+            schedule[index] = basis * percent / 100;
+        });
+    } else if (method === 'decliningBalance') {
+        const rate = decliningRate / 100 / years;
+        let remaining = basis;
+        for (let index = 0; index < Math.min(years, projectLife); index++) {
+            const yearsLeft = years - index;
+            const declining = remaining * rate;
+            const straightLine = remaining / yearsLeft;
+            // The final year of the tax life takes whatever basis is left
+            const amount = yearsLeft === 1 ? remaining : (switchToStraightLine ? Math.max(declining, straightLine) : declining);
+            schedule[index] = Math.min(amount, remaining);
+            remaining -= schedule[index];
+        }
+    } else {
+        for (let index = 0; index < Math.min(years, projectLife); index++) {
+            schedule[index] = basis / years;
+        }
+    }
+
+    const depreciated = schedule.reduce((sum, amount) => sum + amount, 0);
+    schedule[projectLife - 1] += Math.max(0, basis - depreciated);
+    return schedule;
+};
+
+/**
+ * Corporate tax by project year: depreciation and (capped) interest are deducted from EBITDA, losses are carried
+ * forward oldest first and tax is paid paymentLag years after the year it arises (tax falling after the project's
+ * final year is paid in that year)
+ * @param {Object} inputs - { ebitda, interest, depreciation } arrays of years 1..projectLife and openingLoss
+ *   (pre-COD losses such as expensed construction interest)
+ * @param {Object} tax - TaxSchema object
+ * @param {number} taxRate - Tax rate as a decimal
+ * @returns {Array<Object>} { year, ebitda, depreciation, interestDeducted, lossUsed, taxableIncome, taxDue, taxPaid }
+ */
+export const calculateTaxSchedule = ({ ebitda, interest, depreciation, openingLoss = 0 }, tax, taxRate) => {
+    const { interestDeductibility, lossCarryForward, paymentLag } = tax;
+    const projectLife = ebitda.length;
+    const losses = lossCarryForward.enabled && openingLoss > 0 ? [{ year: 0, amount: openingLoss }] : [];
+    let disallowedInterest = 0;
+
+    const rows = ebitda.map((yearEbitda, index) => {
+        const year = index + 1;
+
+        const deductibleInterest = (interest[index] || 0) + disallowedInterest;
+        const interestCap = interestDeductibility.limited
+            ? Math.max(0, yearEbitda) * interestDeductibility.ebitdaShare / 100
+            : Infinity;
+        const interestDeducted = Math.min(deductibleInterest, interestCap);
+        disallowedInterest = interestDeductibility.carryForward ? deductibleInterest - interestDeducted : 0;
+
+        const income = yearEbitda - (depreciation[index] || 0) - interestDeducted;
+
+        // Losses older than the carry-forward period expire
+        if (lossCarryForward.years) {
+            while (losses.length > 0 && year - losses[0].year > lossCarryForward.years) losses.shift();
+        }
+
+        let lossUsed = 0;
+        if (income < 0 && lossCarryForward.enabled) {
+            losses.push({ year, amount: -income });
+        } else if (income > 0) {
+            let offsettable = income * lossCarryForward.offsetLimit / 100;
+            while (offsettable > 0 && losses.length > 0) {
+                const used = Math.min(offsettable, losses[0].amount);
+                losses[0].amount -= used;
+                offsettable -= used;
+                lossUsed += used;
+                if (losses[0].amount <= 0) losses.shift();
+            }
+        }
+
+        const taxableIncome = income - lossUsed;
+        return {
+            year,
+            ebitda: yearEbitda,
+            depreciation: depreciation[index] || 0,
+            interestDeducted,
+            lossUsed,
+            taxableIncome,
+            taxDue: Math.max(0, taxableIncome) * taxRate,
+            taxPaid: 0
+        };
+    });
+
+    rows.forEach(row => {
+        rows[Math.min(row.year + paymentLag, projectLife) - 1].taxPaid += row.taxDue;
+    });
+
+    return rows;
+};
+
+/**
+ * Tax schedule of one percentile from the cube's operating and CAPEX sources and a given debt
+ * @param {Array} processedData - Cube sources processed so far
+ * @param {number} percentile - Percentile to extract
+ * @param {Object} financing - Financing settings
+ * @param {number} projectLife - Project life in years
+ * @param {Object} debt - { interest: operational interest of years 1..projectLife, constructionInterest: total IDC }
+ * @returns {Array<Object>|null} calculateTaxSchedule rows, null when tax is not modelled
+ */
+export const calculatePercentileTax = (processedData, percentile, financing, projectLife, { interest, constructionInterest }) => {
+    const tax = TaxSchema.cast(financing?.tax || {});
+    if (!financing || !tax.enabled) {
+        return null;
+    }
+
+    // Pre-tax CFADS is the EBITDA of the tax computation (interest is deducted separately); reserve deposits
+    // are not deductible, the replacements they pay for are
+    const ebitda = calculateCfads(processedData, percentile, projectLife, { reserveMovements: false, afterTax: false });
+
+    // Construction spend (COD and before) is the depreciable basis; IDC is capitalized or a pre-COD loss
+    const constructionCapex = filterCubeSourceData(processedData, { accountingClass: 'capex' })
+        .filter(source => source.metadata.type !== 'virtual')
+        .flatMap(source => extractPercentileData(source.percentileSource, percentile))
+        .filter(({ year }) => year <= 0)
+        .reduce((sum, { value }) => sum + value, 0);
+    const basis = (constructionCapex + (financing.idcCapitalization ? constructionInterest : 0)) * tax.depreciation.depreciableShare / 100;
+
+    return calculateTaxSchedule({
+        ebitda,
+        interest,
+        depreciation: calculateDepreciationSchedule(basis, tax.depreciation, projectLife),
+        openingLoss: financing.idcCapitalization ? 0 : constructionInterest
+    }, tax, (financing.effectiveTaxRate || 0) / 100);
+};
+
+/**
+ * Tax schedule of every percentile from the cube's operating, CAPEX and interest sources
+ * @param {Object} context - Transformer context
+ * @returns {Map<number, Array<Object>>|null} calculateTaxSchedule rows by percentile, null when tax is not modelled
+ */
+const buildTaxSchedules = (context) => {
+    const { percentileInfo, processedData, allReferences } = context;
+    const financing = allReferences.financing;
+    const projectLife = allReferences.projectLife || 20;
+    const interest = filterCubeSourceData(processedData, { sourceId: 'operationalInterest' })[0];
+    const idc = filterCubeSourceData(processedData, { sourceId: 'interestDuringConstruction' })[0];
+
+    const byYear = (data) => {
+        const values = new Array(projectLife).fill(0);
+        data.forEach(({ year, value }) => {
+            if (year >= 1 && year <= projectLife) values[year - 1] += value;
+        });
+        return values;
+    };
+
+    const schedules = new Map();
+    for (const percentile of percentileInfo.available) {
+        const rows = calculatePercentileTax(processedData, percentile, financing, projectLife, {
+            interest: interest ? byYear(extractPercentileData(interest.percentileSource, percentile)) : [],
+            constructionInterest: idc ? extractPercentileData(idc.percentileSource, percentile)
+                .filter(({ year }) => year <= 0)
+                .reduce((sum, { value }) => sum + value, 0) : 0
+        });
+        if (!rows) {
+            return null;
+        }
+        schedules.set(percentile, rows);
+    }
+
+    return schedules;
+};
+
+/**
+ * Taxable income by year after depreciation, deductible interest and loss carry-forward (negative in loss years)
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const taxableIncome = (sourceData, context) => {
+    const { addAuditEntry } = context;
+    const schedules = buildTaxSchedules(context);
+    if (!schedules) {
+        return [];
+    }
+
+    addAuditEntry(
+        'apply_taxable_income_calculation',
+        'calculating taxable income: EBITDA - depreciation - deductible interest - loss carry-forward used',
+        ['capexDrawdown', 'contractFees', 'reserveFunds', 'operationalInterest', 'interestDuringConstruction', 'financing', 'projectLife']
+    );
+
+    return Array.from(schedules.entries()).map(([percentile, rows]) => ({
+        name: 'taxableIncome',
+        data: rows.map(({ year, taxableIncome: value }) => ({ year, value })),
+        percentile: { value: percentile }
+    }));
+};
+
+/**
+ * Corporate tax paid by year (taxable income × effective tax rate, paid paymentLag years later)
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const taxPaid = (sourceData, context) => {
+    const { addAuditEntry } = context;
+    const schedules = buildTaxSchedules(context);
+    if (!schedules) {
+        return [];
+    }
+
+    addAuditEntry(
+        'apply_tax_paid_calculation',
+        'calculating tax paid: positive taxable income × effective tax rate, shifted by the payment lag',
+        ['capexDrawdown', 'contractFees', 'reserveFunds', 'operationalInterest', 'interestDuringConstruction', 'financing', 'projectLife']
+    );
+
+    const result = Array.from(schedules.entries()).map(([percentile, rows]) => ({
+        name: 'taxPaid',
+        data: rows.map(({ year, taxPaid: value }) => ({ year, value })),
+        percentile: { value: percentile }
+    }));
+
+    const totalTax = result.reduce((sum, simResult) =>
+        sum + simResult.data.reduce((dataSum, dataPoint) => dataSum + dataPoint.value, 0), 0);
+    console.log(`💰 taxPaid: ${result.length} percentiles, $${(totalTax / Math.max(result.length, 1)).toLocaleString()} avg lifetime tax`);
+
+    return result;
+};
@@ -9,10 +9,10 @@ import { filterCubeSourceData, aggregateCubeSourceData, normalizeIntoSimResults
 export const totalCost = (sourceData, context) => {
     const { processedData, percentileInfo, customPercentile, addAuditEntry } = context;
 
-    // Filter to cost sources only
+    // Filter to cost sources only; tax is deducted in the after-tax cashflows, not counted as a cost
     const costSources = filterCubeSourceData(processedData, {
         cashflowType: 'outflow',
-    });
+    }).filter(source => source.metadata.accountingClass !== 'tax');
 
 
     if (costSources.length === 0) {
@@ -0,0 +1,336 @@
+// frontend/src/utils/cube/sources/transformers/waterfall.js
+import { extractPercentileData, filterCubeSourceData } from './common.js';
+import { calculateCfads } from './financing.js';
+const { CashWaterfallSchema } = require('schemas/yup/waterfall');
+
+// Reserve deposits (+) and withdrawals (-) paid from the waterfall after debt service
+const RESERVE_TOP_UP_SOURCES = { reserveFunds: 1, dsraFunding: 1, dsraRelease: -1, dsraInterest: -1 };
+
+/**
+ * Cash waterfall by project year: the operating cashflow pays tax, the CFADS left pays senior debt service and
+ * reserve top-ups, the lock-up test traps the cash left while the historic DSCR is below the lock-up ratio (trapped
+ * cash covers shortfalls and is released once the test passes or in the final year), and the sweep prepays senior
+ * debt pro rata to its remaining instalments
+ * @param {Object} inputs - { operatingCashflow, taxPaid, principal, interest, reserveTopUps } arrays of years
+ *   1..projectLife, operatingCashflow before tax, principal and interest as scheduled before any prepayment
+ * @param {Object} waterfall - CashWaterfallSchema object
+ * @returns {Array<Object>} { year, operatingCashflow, taxPaid, cfads, interest, principal, debtService, reserveTopUps,
+ *   cashAvailable, historicDSCR, lockedUp, trappedCash, cashSweep, distributions, debtOutstanding } of years
+ *   1..projectLife
+ */
+export const calculateWaterfall = ({ operatingCashflow, taxPaid = [], principal, interest, reserveTopUps }, waterfall) => {
+    const { lockUp, sweep } = waterfall;
+    const projectLife = operatingCashflow.length;
+
+    // Scheduled opening balance of each year; prepayments scale every later instalment by the same ratio
+    const scheduledOutstanding = new Array(projectLife).fill(0);
+    for (let index = projectLife - 1, remaining = 0; index >= 0; index--) {
+        remaining += principal[index] || 0;
+        scheduledOutstanding[index] = remaining;
+    }
+
+    let outstanding = scheduledOutstanding[0] || 0;
+    let trappedCash = 0;
+    const tested = [];
+
+    return operatingCashflow.map((yearOperatingCashflow, index) => {
+        const year = index + 1;
+        const yearTaxPaid = taxPaid[index] || 0;
+        const yearCfads = yearOperatingCashflow - yearTaxPaid;
+        const ratio = scheduledOutstanding[index] > 0 ? outstanding / scheduledOutstanding[index] : 0;
+        const yearInterest = (interest[index] || 0) * (scheduledOutstanding[index] > 0 ? ratio : 1);
+        const yearPrincipal = (principal[index] || 0) * ratio;
+        const debtService = yearInterest + yearPrincipal;
+        const yearReserveTopUps = reserveTopUps[index] || 0;
+        const cashAvailable = yearCfads - debtService - yearReserveTopUps;
+        outstanding = Math.max(0, outstanding - yearPrincipal);
+
+        // Historic DSCR over the last lookbackYears years with debt service
+        let historicDSCR = null;
+        if (debtService > 0) {
+            tested.push({ cfads: yearCfads, debtService });
+            const window = tested.slice(-lockUp.lookbackYears);
+            historicDSCR = window.reduce((sum, entry) => sum + entry.cfads, 0) /
+                window.reduce((sum, entry) => sum + entry.debtService, 0);
+        }
+        const lockedUp = lockUp.enabled && historicDSCR !== null && historicDSCR < lockUp.ratio && year < projectLife;
+
+        let distributable;
+        if (lockedUp) {
+            trappedCash += cashAvailable;
+            distributable = Math.min(0, trappedCash);
+            trappedCash = Math.max(0, trappedCash);
+        } else {
+            distributable = cashAvailable + trappedCash;
+            trappedCash = 0;
+        }
+
+        const cashSweep = !lockedUp && sweep.enabled && outstanding > 0
+            ? Math.min(outstanding, Math.max(0, distributable - sweep.threshold) * sweep.share / 100)
+            : 0;
+        outstanding -= cashSweep;
+
+        return {
+            year,
+            operatingCashflow: yearOperatingCashflow,
+            taxPaid: yearTaxPaid,
+            cfads: yearCfads,
+            interest: yearInterest,
+            principal: yearPrincipal,
+            debtService,
+            reserveTopUps: yearReserveTopUps,
+            cashAvailable,
+            historicDSCR,
+            lockedUp,
+            trappedCash,
+            cashSweep,
+            distributions: distributable - cashSweep,
+            debtOutstanding: outstanding
+        };
+    });
+};
+
+/**
+ * Probability that a year's historic DSCR falls below the lock-up ratio, interpolated between the percentiles of
+ * the cube (a DSCR at P90 is exceeded 90% of the time). Outside the simulated percentiles only a bound is known
+ * @param {Array<Object>} values - { percentile, value } historic DSCR of the year at each percentile
+ * @param {number} ratio - Lock-up ratio
+ * @returns {Object|null} { probability (0-1), bound: 'atMost'|'atLeast'|null }, null when the year is not tested
+ */
+export const calculateLockUpProbability = (values, ratio) => {
+    const points = values
+        .filter(({ value }) => Number.isFinite(value))
+        .sort((a, b) => a.value - b.value);
+    if (points.length === 0) {
+        return null;
+    }
+
+    const lowest = points[0];
+    const highest = points[points.length - 1];
+    if (ratio <= lowest.value) {
+        return { probability: (100 - lowest.percentile) / 100, bound: 'atMost' };
+    }
+    if (ratio > highest.value) {
+        return { probability: (100 - highest.percentile) / 100, bound: 'atLeast' };
+    }
+
+    const upper = points.findIndex(({ value }) => value >= ratio);
+    const below = points[upper - 1];
+    const above = points[upper];
+    const exceedance = below.percentile + (above.percentile - below.percentile) *
+        (ratio - below.value) / (above.value - below.value);
+    return { probability: (100 - exceedance) / 100, bound: null };
+};
+
+/**
+ * Waterfall of every percentile from the cube's operating cashflow, tax, debt and reserve sources
+ * @param {Object} context - Transformer context
+ * @returns {Map<number, Array<Object>>|null} calculateWaterfall rows by percentile, null without financing
+ */
+const buildWaterfalls = (context) => {
+    const { percentileInfo, processedData, allReferences } = context;
+    const financing = allReferences.financing;
+    if (!financing) {
+        return null;
+    }
+
+    const waterfall = CashWaterfallSchema.cast(financing.waterfall || {});
+    const projectLife = allReferences.projectLife || 20;
+    const sourceOf = (sourceId) => filterCubeSourceData(processedData, { sourceId })[0];
+    const byYear = (sources, percentile) => {
+        const values = new Array(projectLife).fill(0);
+        sources.forEach(({ source, sign }) => {
+            extractPercentileData(source.percentileSource, percentile).forEach(({ year, value }) => {
+                if (year >= 1 && year <= projectLife) values[year - 1] += sign * value;
+            });
+        });
+        return values;
+    };
+
+    const principal = [sourceOf('operationalPrincipal')].filter(Boolean).map(source => ({ source, sign: 1 }));
+    const interest = [sourceOf('operationalInterest')].filter(Boolean).map(source => ({ source, sign: 1 }));
+    const tax = [sourceOf('taxPaid')].filter(Boolean).map(source => ({ source, sign: 1 }));
+    const reserves = Object.entries(RESERVE_TOP_UP_SOURCES)
+        .map(([sourceId, sign]) => ({ source: sourceOf(sourceId), sign }))
+        .filter(({ source }) => source);
+
+    const waterfalls = new Map();
+    percentileInfo.available.forEach(percentile => {
+        waterfalls.set(percentile, calculateWaterfall({
+            // Tax is paid in the waterfall, ahead of senior debt service
+            operatingCashflow: calculateCfads(processedData, percentile, projectLife, { afterTax: false }),
+            taxPaid: byYear(tax, percentile),
+            principal: byYear(principal, percentile),
+            interest: byYear(interest, percentile),
+            reserveTopUps: byYear(reserves, percentile)
+        }, waterfall));
+    });
+    return waterfalls;
+};
+
+// Waterfalls of each cube run, keyed by its processedData: one array per run that later sources only append to, and
+// every waterfall input is processed before debtService (the first source to read the waterfall)
+const waterfallCache = new WeakMap();
+
+/**
+ * Waterfall of every percentile, built once per cube run and shared by the waterfall and debt sources
+ * @param {Object} context - Transformer context
+ * @returns {Map<number, Array<Object>>|null} calculateWaterfall rows by percentile, null without financing
+ */
+const getWaterfalls = (context) => {
+    if (!waterfallCache.has(context.processedData)) {
+        waterfallCache.set(context.processedData, buildWaterfalls(context));
+    }
+    return waterfallCache.get(context.processedData);
+};
+
+/**
+ * Debt schedule after the cash sweep's prepayments, for the debt service and coverage ratios
+ * @param {Object} context - Transformer context
+ * @returns {Map<number, Array<Object>>|null} calculateWaterfall rows by percentile, null when the sweep is off
+ */
+export const getSweptDebtSchedules = (context) => {
+    const financing = context.allReferences.financing;
+    if (!financing || !CashWaterfallSchema.cast(financing.waterfall || {}).sweep.enabled) {
+        return null;
+    }
+    return getWaterfalls(context);
+};
+
+/**
+ * One field of the waterfall rows as SimResultsSchema objects
+ * @param {string} name - Source name
+ * @param {Map<number, Array<Object>>} waterfalls - Waterfall rows by percentile
+ * @param {string} field - Row field to extract
+ * @param {Function} [include] - Row filter
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+const waterfallResults = (name, waterfalls, field, include = () => true) =>
+    Array.from(waterfalls.entries()).map(([percentile, rows]) => ({
+        name,
+        data: rows.filter(include).map(row => ({ year: row.year, value: row[field] })),
+        percentile: { value: percentile }
+    }));
+
+const WATERFALL_DEPENDENCIES = ['cfads', 'taxPaid', 'operationalPrincipal', 'operationalInterest', 'reserveFunds', 'dsraFunding',
+    'dsraRelease', 'dsraInterest', 'financing', 'projectLife'];
+
+/**
+ * Senior debt service paid by the waterfall, lower than scheduled once the sweep has prepaid debt
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const seniorDebtService = (sourceData, context) => {
+    const waterfalls = getWaterfalls(context);
+    if (!waterfalls) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_senior_debt_service_calculation',
+        'calculating senior debt service: scheduled principal and interest scaled by the balance left after prepayments',
+        WATERFALL_DEPENDENCIES
+    );
+    return waterfallResults('seniorDebtService', waterfalls, 'debtService');
+};
+
+/**
+ * Reserve top-ups paid after debt service: reserve fund provisions and DSRA deposits less DSRA releases and interest
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const reserveTopUps = (sourceData, context) => {
+    const waterfalls = getWaterfalls(context);
+    if (!waterfalls) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_reserve_top_ups_calculation',
+        'calculating reserve top-ups: reserveFunds + dsraFunding - dsraRelease - dsraInterest',
+        WATERFALL_DEPENDENCIES
+    );
+    return waterfallResults('reserveTopUps', waterfalls, 'reserveTopUps');
+};
+
+/**
+ * Historic DSCR of the lock-up test, in the years with senior debt service
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const lockUpDSCR = (sourceData, context) => {
+    const waterfalls = getWaterfalls(context);
+    if (!waterfalls) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_lock_up_dscr_calculation',
+        'calculating historic DSCR: CFADS / senior debt service over the lock-up lookback years',
+        WATERFALL_DEPENDENCIES
+    );
+    return waterfallResults('lockUpDSCR', waterfalls, 'historicDSCR', row => row.historicDSCR !== null);
+};
+
+/**
+ * Cash held in the lock-up account at the end of each year
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const trappedCash = (sourceData, context) => {
+    const waterfalls = getWaterfalls(context);
+    if (!waterfalls) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_trapped_cash_calculation',
+        'calculating trapped cash: cash after reserves held while the historic DSCR is below the lock-up ratio',
+        WATERFALL_DEPENDENCIES
+    );
+    return waterfallResults('trappedCash', waterfalls, 'trappedCash');
+};
+
+/**
+ * Senior debt prepaid from distributable cash above the sweep threshold
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const cashSweep = (sourceData, context) => {
+    const waterfalls = getWaterfalls(context);
+    if (!waterfalls) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_cash_sweep_calculation',
+        'calculating cash sweep: sweep share × (distributable cash - threshold), up to the outstanding debt',
+        WATERFALL_DEPENDENCIES
+    );
+    return waterfallResults('cashSweep', waterfalls, 'cashSweep');
+};
+
+/**
+ * Equity distributions at the bottom of the waterfall (negative when equity covers a shortfall)
+ * @param {null} sourceData - Not used for virtual sources
+ * @param {Object} context - Transformer context
+ * @returns {Array} Array of SimResultsSchema objects
+ */
+export const distributions = (sourceData, context) => {
+    const waterfalls = getWaterfalls(context);
+    if (!waterfalls) {
+        return [];
+    }
+
+    context.addAuditEntry(
+        'apply_distributions_calculation',
+        'calculating distributions: operating cashflow - tax paid - senior debt service - reserve top-ups - trapped cash - cash sweep',
+        WATERFALL_DEPENDENCIES
+    );
+    return waterfallResults('distributions', waterfalls, 'distributions');
+};
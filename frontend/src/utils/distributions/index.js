@@ -10,6 +10,7 @@ import { Poisson } from './poisson';
 import { Kaimal } from './kaimal';
 import { GBM } from './gbm';
 import { Gamma } from './gamma';
+import { ThreePhaseWeibull } from './threePhaseWeibull';
 import { DistributionBase } from './distributionBase';
 import {
     hexToRgb,
@@ -30,7 +31,8 @@ const DISTRIBUTIONS = {
     poisson: Poisson,
     kaimal: Kaimal,
     gbm: GBM,
-    gamma: Gamma
+    gamma: Gamma,
+    threePhaseWeibull: ThreePhaseWeibull
 };
 
 // Available distribution types for UI selection
@@ -46,6 +48,7 @@ export const distributionTypes = [
     { value: 'kaimal', label: 'Kaimal Distribution' },
     { value: 'gbm', label: 'Geometric Brownian Motion' },
     { value: 'gamma', label: 'Gamma Distribution' },
+    { value: 'threePhaseWeibull', label: 'Three-Phase Weibull (Bathtub)' },
 ];
 
 /**
@@ -59,7 +62,8 @@ export const DistributionUtils = {
      */
     getDistribution(type) {
         if (!type) return null;
-        return DISTRIBUTIONS[type.toLowerCase()] || null;
+        const key = Object.keys(DISTRIBUTIONS).find(name => name.toLowerCase() === type.toLowerCase());
+        return key ? DISTRIBUTIONS[key] : null;
     },
 
     /**
@@ -303,5 +307,6 @@ export {
     Kaimal,
     GBM,
     Gamma,
+    ThreePhaseWeibull,
     DistributionBase
 };
\ No newline at end of file
@@ -0,0 +1,403 @@
+// src/utils/distributions/threePhaseWeibull.js
+import * as jStat from 'jstat';
+import { DistributionBase } from './distributionBase';
+import { roundTo } from 'utils/formatUtils';
+
+// Phase defaults, kept in line with backend/services/monte-carlo-v2/distributions/threePhaseWeibull.js
+const DEFAULTS = {
+    value: 0.02,
+    infantShape: 0.6,
+    infantDuration: 2,
+    wearOutStart: 20,
+    wearOutShape: 3,
+    wearOutScale: 12,
+    uncertainty: 0.2
+};
+
+/**
+ * Three-Phase Weibull Distribution
+ * Bathtub failure curve: infant mortality (decreasing Weibull hazard), useful life (constant rate `value`)
+ * and wear-out (increasing Weibull hazard added from `wearOutStart`). The simulation samples the annual
+ * failure probability by component age; the PDF/CDF shown here are those of the useful-life rate, which
+ * carries the lognormal `uncertainty` (coefficient of variation) applied to the whole curve.
+ */
+export const ThreePhaseWeibull = {
+    // Extend the base distribution template
+    ...DistributionBase.template,
+
+    /**
+     * Resolve parameters with phase defaults
+     * @param {Object} parameters - Distribution parameters
+     * @returns {Object} Parameter values
+     */
+    resolveParameters(parameters) {
+        return Object.keys(DEFAULTS).reduce((resolved, name) => {
+            resolved[name] = DistributionBase.helpers.getParam(parameters, name, DEFAULTS[name]);
+            return resolved;
+        }, {});
+    },
+
+    /**
+     * Lognormal mu and sigma of the useful-life rate
+     * @param {Object} parameters - Distribution parameters
+     * @returns {Object} { mu, sigma }
+     */
+    getLogParameters(parameters) {
+        const { value, uncertainty } = this.resolveParameters(parameters);
+        const sigma = Math.sqrt(Math.log(1 + uncertainty * uncertainty));
+        return { mu: Math.log(value) - sigma * sigma / 2, sigma };
+    },
+
+    /**
+     * Infant mortality scale solved so the infant hazard meets the useful-life rate at the end of phase 1
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} Infant mortality scale in years
+     */
+    calculateInfantScale(parameters) {
+        const { value, infantShape, infantDuration } = this.resolveParameters(parameters);
+        return Math.pow(infantShape * Math.pow(infantDuration, infantShape - 1) / value, 1 / infantShape);
+    },
+
+    /**
+     * Cumulative hazard H(t) at a component age
+     * @param {number} age - Component age in years
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} Cumulative hazard
+     */
+    calculateCumulativeHazard(age, parameters) {
+        if (age <= 0) return 0;
+
+        const { value, infantShape, infantDuration, wearOutStart, wearOutShape, wearOutScale } = this.resolveParameters(parameters);
+        const infant = Math.pow(Math.min(age, infantDuration) / this.calculateInfantScale(parameters), infantShape);
+        const usefulLife = value * Math.max(0, age - infantDuration);
+        const wearOut = Math.pow(Math.max(0, age - wearOutStart) / wearOutScale, wearOutShape);
+
+        return infant + usefulLife + wearOut;
+    },
+
+    /**
+     * Expected annual failure probability by component age (no rate uncertainty)
+     * @param {Object} parameters - Distribution parameters
+     * @param {number} years - Number of years
+     * @returns {Array} DataPointSchema objects
+     */
+    calculateAnnualProbabilities(parameters, years = 30) {
+        return Array.from({ length: years }, (_, i) => ({
+            year: i + 1,
+            value: 1 - Math.exp(-(this.calculateCumulativeHazard(i + 1, parameters) - this.calculateCumulativeHazard(i, parameters)))
+        }));
+    },
+
+    /**
+     * Validate parameters for three-phase Weibull distribution
+     * @param {Object} parameters - Distribution parameters
+     * @returns {Object} Validation result
+     */
+    validate(parameters) {
+        const issues = [];
+        const checks = [
+            ['infantShape', 'Infant mortality shape', v => v > 0 && v <= 1, 'must be between 0 (exclusive) and 1'],
+            ['infantDuration', 'Infant mortality duration', v => v > 0, 'must be positive'],
+            ['wearOutStart', 'Wear-out start', v => v >= 0, 'must be zero or positive'],
+            ['wearOutShape', 'Wear-out shape', v => v > 1, 'must be greater than 1'],
+            ['wearOutScale', 'Wear-out scale', v => v > 0, 'must be positive'],
+            ['uncertainty', 'Uncertainty', v => v > 0, 'must be positive']
+        ];
+
+        if (parameters.value === undefined || parameters.value === null) {
+            issues.push("Useful-life failure rate is required");
+        } else if (parameters.value <= 0) {
+            issues.push("Useful-life failure rate must be positive");
+        }
+
+        checks.forEach(([name, label, isValid, constraint]) => {
+            if (parameters[name] !== undefined && parameters[name] !== null && !isValid(parameters[name])) {
+                issues.push(`${label} ${constraint}`);
+            }
+        });
+
+        const { infantDuration, wearOutStart } = this.resolveParameters(parameters);
+        if (wearOutStart < infantDuration) {
+            issues.push("Wear-out start must not be before the end of the infant mortality phase");
+        }
+
+        if (issues.length > 0) {
+            return {
+                isValid: false,
+                message: issues,
+                details: "The three-phase Weibull distribution requires a positive useful-life rate, an infant mortality shape up to 1, a wear-out shape above 1 and wear-out starting after infant mortality."
+            };
+        }
+
+        return { isValid: true };
+    },
+
+    /**
+     * Calculate mean value (useful-life rate)
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} Mean value
+     */
+    calculateMean(parameters) {
+        return this.resolveParameters(parameters).value;
+    },
+
+    /**
+     * Calculate standard deviation of the useful-life rate
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} Standard deviation
+     */
+    calculateStdDev(parameters) {
+        const { value, uncertainty } = this.resolveParameters(parameters);
+        return value * uncertainty;
+    },
+
+    /**
+     * Calculate PDF at a specific point
+     * @param {number} x - Point to evaluate
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} PDF value
+     */
+    calculatePDF(x, parameters) {
+        if (x <= 0) return 0;
+
+        const { mu, sigma } = this.getLogParameters(parameters);
+        const pdf = jStat.lognormal.pdf(x, mu, sigma);
+        return isFinite(pdf) ? pdf : 0;
+    },
+
+    /**
+     * Calculate CDF at a specific point
+     * @param {number} x - Point to evaluate
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} CDF value
+     */
+    calculateCDF(x, parameters) {
+        if (x <= 0) return 0;
+
+        const { mu, sigma } = this.getLogParameters(parameters);
+        const cdf = jStat.lognormal.cdf(x, mu, sigma);
+        return isFinite(cdf) ? cdf : 1;
+    },
+
+    /**
+     * Calculate quantile (inverse CDF) for probability p
+     * @param {number} p - Probability (0-1)
+     * @param {Object} parameters - Distribution parameters
+     * @returns {number} Quantile value
+     */
+    calculateQuantile(p, parameters) {
+        const { mu, sigma } = this.getLogParameters(parameters);
+        return jStat.lognormal.inv(p, mu, sigma);
+    },
+
+    /**
+     * Key statistics shared by the PDF and CDF plots
+     * @param {Object} parameters - Distribution parameters
+     * @returns {Object} Statistics
+     */
+    calculateStats(parameters) {
+        const { mu, sigma } = this.getLogParameters(parameters);
+        const { wearOutStart } = this.resolveParameters(parameters);
+        const mean = this.calculateMean(parameters);
+        const stdDev = this.calculateStdDev(parameters);
+        const annual = this.calculateAnnualProbabilities(parameters, Math.ceil(wearOutStart) + 10);
+
+        return {
+            mean,
+            median: Math.exp(mu),
+            mode: Math.exp(mu - sigma * sigma),
+            stdDev,
+            variance: stdDev * stdDev,
+            infantScale: this.calculateInfantScale(parameters),
+            firstYearRate: annual[0].value,
+            wearOutRate: annual[annual.length - 1].value // 10 years into wear-out
+        };
+    },
+
+    /**
+     * Generate PDF curve and key statistics for plotting
+     * @param {Object} parameters - Distribution parameters
+     * @param {Array} xValues - X values to calculate for
+     * @param {Array} percentiles - Array of percentile objects (optional)
+     * @returns {Object} PDF curve data and statistics
+     */
+    generatePDF(parameters, xValues, percentiles = []) {
+        const filteredXValues = xValues.filter(x => x > 0);
+        const pdfValues = filteredXValues.map(x => this.calculatePDF(x, parameters));
+        const stats = this.calculateStats(parameters);
+
+        const percentilePoints = (percentiles || []).map(percentile => {
+            const x = this.calculateQuantile(percentile.value / 100, parameters);
+            return { percentile, x, y: this.calculatePDF(x, parameters) };
+        });
+
+        const stdDevMinus = Math.max(0.0001, stats.mean - stats.stdDev);
+        const keyPoints = [
+            { x: stats.mean, y: this.calculatePDF(stats.mean, parameters), label: 'Value' },
+            { x: stats.median, y: this.calculatePDF(stats.median, parameters), label: 'Median' },
+            { x: stats.mean + stats.stdDev, y: this.calculatePDF(stats.mean + stats.stdDev, parameters), label: '+1σ' },
+            { x: stdDevMinus, y: this.calculatePDF(stdDevMinus, parameters), label: '-1σ' }
+        ];
+
+        return {
+            xValues: filteredXValues,
+            pdfValues,
+            percentilePoints,
+            keyPoints,
+            stats
+        };
+    },
+
+    /**
+     * Generate CDF curve and key statistics for plotting
+     * @param {Object} parameters - Distribution parameters
+     * @param {Array} xValues - X values to calculate for
+     * @param {Array} percentiles - Array of percentile objects (optional)
+     * @returns {Object} CDF curve data and statistics
+     */
+    generateCDF(parameters, xValues, percentiles = []) {
+        const filteredXValues = xValues.filter(x => x > 0);
+        const cdfValues = filteredXValues.map(x => this.calculateCDF(x, parameters));
+        const stats = this.calculateStats(parameters);
+
+        const percentilePoints = (percentiles || []).map(percentile => {
+            const p = percentile.value / 100;
+            return { percentile, x: this.calculateQuantile(p, parameters), y: p };
+        });
+
+        const stdDevMinus = Math.max(0.0001, stats.mean - stats.stdDev);
+        const keyPoints = [
+            { x: stats.mean, y: this.calculateCDF(stats.mean, parameters), label: 'Value' },
+            { x: stats.median, y: 0.5, label: 'Median' },
+            { x: stats.mean + stats.stdDev, y: this.calculateCDF(stats.mean + stats.stdDev, parameters), label: '+1σ' },
+            { x: stdDevMinus, y: this.calculateCDF(stdDevMinus, parameters), label: '-1σ' }
+        ];
+
+        return {
+            xValues: filteredXValues,
+            cdfValues,
+            percentilePoints,
+            keyPoints,
+            stats
+        };
+    },
+
+    /**
+     * Get metadata for three-phase Weibull distribution
+     * @param {Object|number|null} currentValue - Optional current value to influence defaults
+     * @returns {Object} Metadata
+     */
+    getMetadata(currentValue = null) {
+        let value = null;
+        if (currentValue !== null) {
+            value = typeof currentValue === 'object'
+                ? DistributionBase.helpers.getParam(currentValue, 'value', 0)
+                : currentValue;
+            value = roundTo(value, 4);
+        }
+
+        return {
+            name: "Three-Phase Weibull Distribution",
+            description: "Bathtub failure curve with infant mortality, useful life and wear-out phases joined with a continuous hazard.",
+            applications: "Component failure rates that change with age: early defects after commissioning, a stable useful life and rising wear-out failures late in life.",
+            examples: "Gearbox and main bearing wear-out, generator and converter infant mortality, blade fatigue in the back half of project life.",
+            defaultCurve: "pdf",
+            nonNegativeSupport: true,
+            minPointsRequired: 6,
+            parameters: [
+                {
+                    name: "value",
+                    description: "Useful-life annual failure rate",
+                    required: true,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Useful-Life Rate",
+                        tooltip: "Constant annual failure rate between infant mortality and wear-out",
+                        defaultValue: value !== null && value > 0 ? value : DEFAULTS.value,
+                        min: 0,
+                        step: 0.001
+                    }
+                },
+                {
+                    name: "infantShape",
+                    description: "Infant mortality shape (β₁)",
+                    required: false,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Infant Shape (β₁)",
+                        tooltip: "Weibull shape of the early-failure phase (below 1 = decreasing hazard). The scale is solved so the hazard meets the useful-life rate.",
+                        min: 0.1,
+                        max: 1,
+                        step: 0.05,
+                        defaultValue: DEFAULTS.infantShape
+                    }
+                },
+                {
+                    name: "infantDuration",
+                    description: "Infant mortality duration (years)",
+                    required: false,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Infant Phase (years)",
+                        tooltip: "Length of the infant mortality phase after commissioning",
+                        min: 0.5,
+                        step: 0.5,
+                        defaultValue: DEFAULTS.infantDuration
+                    }
+                },
+                {
+                    name: "wearOutStart",
+                    description: "Wear-out start (component age in years)",
+                    required: false,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Wear-Out Start (year)",
+                        tooltip: "Component age at which wear-out failures start adding to the useful-life rate",
+                        min: 0,
+                        step: 1,
+                        defaultValue: DEFAULTS.wearOutStart
+                    }
+                },
+                {
+                    name: "wearOutShape",
+                    description: "Wear-out shape (β₃)",
+                    required: false,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Wear-Out Shape (β₃)",
+                        tooltip: "Weibull shape of the wear-out hazard (above 1 = increasing hazard)",
+                        min: 1.1,
+                        step: 0.1,
+                        defaultValue: DEFAULTS.wearOutShape
+                    }
+                },
+                {
+                    name: "wearOutScale",
+                    description: "Wear-out scale (η₃, years)",
+                    required: false,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Wear-Out Scale (η₃)",
+                        tooltip: "Weibull scale of the wear-out hazard in years after wear-out starts (lower = faster wear-out)",
+                        min: 0.1,
+                        step: 0.5,
+                        defaultValue: DEFAULTS.wearOutScale
+                    }
+                },
+                {
+                    name: "uncertainty",
+                    description: "Rate uncertainty (coefficient of variation)",
+                    required: false,
+                    fieldType: "number",
+                    fieldProps: {
+                        label: "Uncertainty (CV)",
+                        tooltip: "Coefficient of variation of the failure rate, applied to the whole curve in each iteration",
+                        min: 0.01,
+                        step: 0.05,
+                        defaultValue: DEFAULTS.uncertainty
+                    }
+                }
+            ]
+        };
+    }
+};
@@ -124,6 +124,7 @@ export const getMinRequiredPoints = (type) => {
             return 5;
         case 'weibull':
         case 'gamma':
+        case 'threePhaseWeibull':
             return 6;
         case 'triangular':
             return 3;
@@ -151,7 +152,7 @@ export const checkDataCompatibility = (type, data) => {
     }
 
     // Check for non-positive values in distributions that require positive values
-    if (['lognormal', 'exponential', 'weibull', 'gamma'].includes(type)) {
+    if (['lognormal', 'exponential', 'weibull', 'gamma', 'threePhaseWeibull'].includes(type)) {
         const hasNonPositive = data.some(point =>
             point && typeof point === 'object' &&
             point.value !== undefined &&
@@ -0,0 +1,495 @@
+// src/utils/failureHistoryUtils.js - Fleet failure history import (CMMS / work-order exports)
+import * as jStat from 'jstat';
+import { calculateComponentQuantity } from './cube/sources/transformers/equipment';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Excel serial day 0 (1899-12-30, accounting for the 1900 leap-year bug) and the largest valid serial (9999-12-31)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const EXCEL_MAX_SERIAL = 2958465;
+
+/**
+ * Columns of a work-order export; aliases are matched against normalised header names
+ */
+export const FAILURE_HISTORY_FIELDS = [
+    { key: 'turbineId', label: 'Turbine ID', required: true, aliases: ['turbine id', 'turbine', 'wtg', 'wtg id', 'asset id', 'asset', 'functional location', 'location'] },
+    { key: 'component', label: 'Component', required: true, aliases: ['component', 'system', 'subsystem', 'equipment', 'part', 'failure component'] },
+    { key: 'failureDate', label: 'Failure Date', required: true, aliases: ['failure date', 'fault date', 'breakdown date', 'date of failure', 'reported date', 'created', 'start date', 'date'] },
+    { key: 'repairDate', label: 'Repair Date', required: false, aliases: ['repair date', 'return to service', 'completion date', 'completed', 'closed date', 'finish date', 'end date'] },
+    { key: 'cost', label: 'Cost', required: false, aliases: ['cost', 'total cost', 'actual cost', 'repair cost', 'amount'] }
+];
+
+const normalise = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Parse delimited text (RFC 4180 quoting); the delimiter is detected from the first line (comma, semicolon or tab)
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>} Rows of cells, empty rows removed
+ */
+export const parseDelimitedText = (text) => {
+    const source = String(text).replace(/^﻿/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0] || '';
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(value => value.trim()))
+        .filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Entries of a zip archive, inflated with the browser's DecompressionStream
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path
+ */
+const readZipEntries = async (buffer) => {
+    const view = new DataView(buffer);
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) {
+        throw new Error('Not a valid .xlsx file');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            entries.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+};
+
+/**
+ * Zero-based column index of a cell reference (e.g. 'AB12' → 27)
+ * @param {string} reference - Cell reference
+ * @returns {number} Column index
+ */
+const columnIndex = (reference) => {
+    const letters = (reference.match(/^[A-Z]+/) || ['A'])[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Rows of the first worksheet of an .xlsx workbook; numbers stay numbers (dates are Excel serials)
+ * @param {ArrayBuffer} buffer - Workbook contents
+ * @returns {Promise<Array<Array<string|number>>>} Rows of cells, empty rows removed
+ */
+export const readXlsxRows = async (buffer) => {
+    const entries = await readZipEntries(buffer);
+    const decoder = new TextDecoder();
+    const parseXml = (path) => entries.has(path)
+        ? new DOMParser().parseFromString(decoder.decode(entries.get(path)), 'application/xml')
+        : null;
+    const text = (element) => [...element.getElementsByTagName('t')].map(node => node.textContent).join('');
+
+    // First sheet of the workbook through its relationship, else the conventional path
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = parseXml('xl/workbook.xml');
+    const relationships = parseXml('xl/_rels/workbook.xml.rels');
+    const firstSheet = workbook?.getElementsByTagName('sheet')[0];
+    if (firstSheet && relationships) {
+        const id = firstSheet.getAttribute('r:id');
+        const target = [...relationships.getElementsByTagName('Relationship')]
+            .find(relationship => relationship.getAttribute('Id') === id)?.getAttribute('Target');
+        if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    const sheet = parseXml(sheetPath);
+    if (!sheet) {
+        throw new Error('The workbook has no worksheet');
+    }
+
+    const sharedStrings = [...(parseXml('xl/sharedStrings.xml')?.getElementsByTagName('si') || [])].map(text);
+
+    return [...sheet.getElementsByTagName('row')]
+        .map(row => {
+            const cells = [];
+            [...row.getElementsByTagName('c')].forEach(cell => {
+                const type = cell.getAttribute('t');
+                const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+                let content;
+                if (type === 's') content = sharedStrings[Number(value)] ?? '';
+                else if (type === 'inlineStr') content = text(cell);
+                else if (type === 'str' || type === 'b' || type === 'e') content = value;
+                else content = value === '' ? '' : Number(value);
+                cells[columnIndex(cell.getAttribute('r') || '')] = content;
+            });
+            return Array.from(cells, value => (typeof value === 'string' ? value.trim() : value ?? ''));
+        })
+        .filter(cells => cells.some(value => value !== ''));
+};
+
+/**
+ * Read a work-order export in the browser (.csv, .tsv, .txt or .xlsx)
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} { headers, rows } with the first row as headers
+ */
+export const parseFailureHistoryFile = async (file) => {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    let rows;
+
+    if (extension === 'xlsx') {
+        rows = await readXlsxRows(await file.arrayBuffer());
+    } else if (extension === 'xls') {
+        throw new Error('Legacy .xls workbooks are not supported; save the export as .xlsx or CSV');
+    } else {
+        rows = parseDelimitedText(await file.text());
+    }
+
+    if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one record');
+    }
+
+    const [headers, ...records] = rows;
+    return { headers: headers.map(header => String(header ?? '')), rows: records };
+};
+
+/**
+ * Best-guess column for each field from the header names (exact alias matches first, then partial matches)
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column index (or null) keyed by field key
+ */
+export const guessColumnMapping = (headers) => {
+    const normalised = headers.map(normalise);
+    const mapping = {};
+    const used = new Set();
+
+    const assign = (matches) => FAILURE_HISTORY_FIELDS.forEach(({ key, aliases }) => {
+        if (mapping[key] !== undefined) return;
+        const index = normalised.findIndex((header, i) => !used.has(i) && aliases.some(alias => matches(header, alias)));
+        if (index >= 0) {
+            mapping[key] = index;
+            used.add(index);
+        }
+    });
+
+    assign((header, alias) => header === alias);
+    assign((header, alias) => header.includes(alias));
+
+    return FAILURE_HISTORY_FIELDS.reduce((result, { key }) => ({ ...result, [key]: mapping[key] ?? null }), {});
+};
+
+/**
+ * Failure rate component a free-text component name refers to (by id or name, ignoring case, spacing and plurals)
+ * @param {string} value - Component value of the export
+ * @param {Array<Object>} components - ComponentFailureRateSchema objects
+ * @returns {string|null} Component id
+ */
+export const matchComponentId = (value, components) => {
+    const singular = (name) => normalise(name).replace(/s\b/g, '').replace(/ /g, '');
+    const target = singular(value);
+    if (!target) return null;
+
+    const exact = components.find(component => singular(component.id) === target || singular(component.name) === target);
+    if (exact) return exact.id;
+
+    const partial = components.find(component => {
+        const name = singular(component.name);
+        return name && (target.includes(name) || name.includes(target));
+    });
+    return partial ? partial.id : null;
+};
+
+/**
+ * Date from an export cell: Excel serial, ISO date or d/m/y (dayFirst) / m/d/y
+ * @param {string|number} value - Cell value
+ * @param {boolean} [dayFirst=true] - Read ambiguous a/b/yyyy dates as day/month
+ * @returns {Date|null} Date (UTC), null when unreadable
+ */
+export const parseExportDate = (value, dayFirst = true) => {
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+        const serial = Number(value);
+        return serial >= 1 && serial <= EXCEL_MAX_SERIAL ? new Date(EXCEL_EPOCH_MS + Math.round(serial * DAY_MS)) : null;
+    }
+
+    const text = String(value ?? '').trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) {
+        return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+    }
+
+    const parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (parts) {
+        const [a, b] = [Number(parts[1]), Number(parts[2])];
+        const year = parts[3].length === 2 ? 2000 + Number(parts[3]) : Number(parts[3]);
+        const [day, month] = a > 12 || (dayFirst && b <= 12) ? [a, b] : [b, a];
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    return null;
+};
+
+/**
+ * Number from an export cell, accepting currency symbols and either decimal separator
+ * @param {string|number} value - Cell value
+ * @returns {number|null} Number, null when empty or unreadable
+ */
+export const parseExportNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+    if (!text) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot && (lastDot >= 0 || text.length - lastComma - 1 !== 3)) {
+        // Decimal comma ("1.234,56" or "12,5")
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Distinct values of a column with their row counts, most frequent first
+ * @param {Array<Array>} rows - Export rows
+ * @param {number} index - Column index
+ * @returns {Array<Object>} { value, count }
+ */
+export const getDistinctValues = (rows, index) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        const value = String(row[index] ?? '').trim();
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Validated failure records from the mapped columns
+ * @param {Array<Array>} rows - Export rows (without the header)
+ * @param {Object} mapping - Column index by field key (guessColumnMapping shape)
+ * @param {Object} componentMap - Component id (null = ignore) by export component value
+ * @param {Object} [options] - { dayFirst }
+ * @returns {Object} { records: [{ row, turbineId, componentId, failureDate, repairDate, repairDays, cost }], errors: [{ row, message }], ignored }
+ */
+export const buildFailureRecords = (rows, mapping, componentMap, { dayFirst = true } = {}) => {
+    const records = [];
+    const errors = [];
+    let ignored = 0;
+    const cell = (row, key) => (mapping[key] === null || mapping[key] === undefined ? '' : row[mapping[key]] ?? '');
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2; // Spreadsheet row, after the header
+        const turbineId = String(cell(row, 'turbineId')).trim();
+        const componentValue = String(cell(row, 'component')).trim();
+        const componentId = componentMap[componentValue];
+
+        if (!componentValue || componentId === null || componentId === undefined) {
+            ignored++;
+            return;
+        }
+        if (!turbineId) {
+            errors.push({ row: rowNumber, message: 'Missing turbine ID' });
+            return;
+        }
+
+        const failureDate = parseExportDate(cell(row, 'failureDate'), dayFirst);
+        if (!failureDate) {
+            errors.push({ row: rowNumber, message: `Unreadable failure date "${cell(row, 'failureDate')}"` });
+            return;
+        }
+
+        let repairDate = null;
+        const repairValue = cell(row, 'repairDate');
+        if (repairValue !== '') {
+            repairDate = parseExportDate(repairValue, dayFirst);
+            if (!repairDate) {
+                errors.push({ row: rowNumber, message: `Unreadable repair date "${repairValue}"; repair duration skipped` });
+            } else if (repairDate < failureDate) {
+                errors.push({ row: rowNumber, message: 'Repair date before failure date; repair duration skipped' });
+                repairDate = null;
+            }
+        }
+
+        const costValue = cell(row, 'cost');
+        const cost = costValue === '' ? null : parseExportNumber(costValue);
+        if (costValue !== '' && cost === null) {
+            errors.push({ row: rowNumber, message: `Unreadable cost "${costValue}"; cost skipped` });
+        }
+
+        records.push({
+            row: rowNumber,
+            turbineId,
+            componentId,
+            failureDate,
+            repairDate,
+            repairDays: repairDate ? (repairDate - failureDate) / DAY_MS : null,
+            cost
+        });
+    });
+
+    return { records, errors, ignored };
+};
+
+/**
+ * Linear-interpolated percentile of unsorted values
+ * @param {Array<number>} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile, null without values
+ */
+const percentileOf = (values, p) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    return sorted[lower] + (index - lower) * ((sorted[Math.ceil(index)] ?? sorted[lower]) - sorted[lower]);
+};
+
+/**
+ * Failure rates, repair durations and costs per component from validated records
+ * Years of age count from COD (or the first failure when COD is later); only complete years go into the
+ * historical data for the Weibull fit, while the annual rate uses the exact exposure.
+ * @param {Array<Object>} records - Records from buildFailureRecords
+ * @param {Object} options - { components (keyed by id), numWTGs, wtgPlatformType, codDate, endDate }
+ * @returns {Object} { summaries: FailureHistorySummary-like objects with componentId and historicalData, warnings }
+ */
+export const aggregateFailureHistory = (records, { components, numWTGs, wtgPlatformType, codDate, endDate }) => {
+    const warnings = [];
+    if (records.length === 0) {
+        return { summaries: [], warnings };
+    }
+
+    const firstFailure = Math.min(...records.map(record => record.failureDate.getTime()));
+    let start = codDate ? new Date(codDate).getTime() : NaN;
+    if (!Number.isFinite(start) || start > firstFailure) {
+        warnings.push('COD is missing or after the first failure; ages count from the first failure instead');
+        start = firstFailure;
+    }
+    const end = endDate
+        ? new Date(endDate).getTime()
+        : Math.max(...records.map(record => (record.repairDate || record.failureDate).getTime()));
+    const observationYears = Math.max((end - start) / YEAR_MS, 1 / 365.25);
+    const completeYears = Math.max(1, Math.floor(observationYears));
+
+    const byComponent = records.reduce((groups, record) => {
+        (groups[record.componentId] = groups[record.componentId] || []).push(record);
+        return groups;
+    }, {});
+
+    const summaries = Object.entries(byComponent).map(([componentId, componentRecords]) => {
+        const component = components[componentId] || { id: componentId };
+        const units = calculateComponentQuantity(component, numWTGs, wtgPlatformType);
+        const turbines = new Set(componentRecords.map(record => record.turbineId));
+        if (turbines.size > numWTGs) {
+            warnings.push(`${component.name || componentId}: ${turbines.size} turbine IDs but the wind farm has ${numWTGs} turbines`);
+        }
+
+        const failuresByYear = new Array(completeYears).fill(0);
+        componentRecords.forEach(record => {
+            const year = Math.floor((record.failureDate.getTime() - start) / YEAR_MS);
+            if (year < completeYears) failuresByYear[year] += 1;
+        });
+
+        const repairDays = componentRecords.map(record => record.repairDays).filter(days => days !== null);
+        const costs = componentRecords.map(record => record.cost).filter(cost => cost !== null);
+
+        return {
+            componentId,
+            componentName: component.name || componentId,
+            observationYears,
+            units,
+            failures: componentRecords.length,
+            annualRate: units > 0 ? componentRecords.length / (units * observationYears) : 0,
+            meanRepairDays: repairDays.length > 0 ? repairDays.reduce((sum, days) => sum + days, 0) / repairDays.length : null,
+            p90RepairDays: percentileOf(repairDays, 90),
+            meanCostPerEvent: costs.length > 0 ? costs.reduce((sum, cost) => sum + cost, 0) / costs.length : null,
+            historicalData: {
+                type: 'analysis',
+                fleetSize: units,
+                data: failuresByYear.map((failures, index) => ({ year: index + 1, failureRate: units > 0 ? failures / units : 0 }))
+            }
+        };
+    });
+
+    return { summaries, warnings };
+};
+
+/**
+ * Mean annual failure probability of a unit over the project life under a Weibull life distribution
+ * @param {number} beta - Shape
+ * @param {number} eta - Scale (years)
+ * @param {number} years - Project life
+ * @returns {number} Expected failures per unit-year
+ */
+export const weibullMeanAnnualRate = (beta, eta, years) => Math.pow(years / eta, beta) / years;
+
+/**
+ * Failure rate distribution calibrated to an imported history: the rate parameters take the observed (or fitted)
+ * mean annual rate, and a Weibull distribution takes the fitted shape
+ * @param {Object} distribution - Current DistributionTypeSchema of the component
+ * @param {Object} summary - Summary from aggregateFailureHistory, optionally with fit { beta, eta }
+ * @param {number} projectLife - Project life for the fitted rate
+ * @returns {Object} Updated DistributionTypeSchema
+ */
+export const calibrateDistribution = (distribution, summary, projectLife) => {
+    const rate = summary.fit ? weibullMeanAnnualRate(summary.fit.beta, summary.fit.eta, projectLife) : summary.annualRate;
+    const parameters = { ...(distribution?.parameters || {}), value: rate, lambda: rate, mean: rate };
+
+    if (distribution?.type === 'weibull' && summary.fit) {
+        parameters.shape = summary.fit.beta;
+        parameters.scale = rate / jStat.gammafn(1 + 1 / summary.fit.beta);
+    }
+
+    return { ...distribution, parameters };
+};
@@ -0,0 +1,73 @@
+// src/utils/sparesUtils.js - Spare parts stock recommendations
+import { calculateComponentFailureDemand } from './cube/sources/transformers/equipment';
+
+const DAYS_PER_YEAR = 365;
+
+// Stock levels searched before giving up (a service level this far out is not a spares problem)
+const MAX_STOCK_LEVEL = 500;
+
+/**
+ * Probability that a Poisson variable with the given mean is at most k
+ * @param {number} k - Count
+ * @param {number} mean - Poisson mean
+ * @returns {number} P(X <= k)
+ */
+const poissonCdf = (k, mean) => {
+    if (k < 0) return 0;
+    let term = Math.exp(-mean);
+    let cdf = term;
+    for (let i = 1; i <= k; i++) {
+        term *= mean / i;
+        cdf += term;
+    }
+    return Math.min(cdf, 1);
+};
+
+/**
+ * Share of failures finding a spare on hand under a one-for-one (base stock) policy
+ * With Poisson failures and a constant lead time, a failure finds a spare when fewer than stockLevel replacements are
+ * on order: P(lead-time demand <= stockLevel - 1)
+ * @param {Object} inputs - { annualDemand, leadTimeDays, stockLevel }
+ * @returns {number} Fill rate between 0 and 1
+ */
+export const calculateFillRate = ({ annualDemand, leadTimeDays, stockLevel }) => {
+    if (!(annualDemand > 0)) return 1;
+    return poissonCdf(stockLevel - 1, annualDemand * leadTimeDays / DAYS_PER_YEAR);
+};
+
+/**
+ * Smallest one-for-one stock level whose fill rate reaches the service level
+ * @param {Object} inputs - { annualDemand, leadTimeDays, serviceLevel }
+ * @returns {number} Recommended stock level
+ */
+export const recommendStockLevel = ({ annualDemand, leadTimeDays, serviceLevel }) => {
+    let stockLevel = 0;
+    while (stockLevel < MAX_STOCK_LEVEL && calculateFillRate({ annualDemand, leadTimeDays, stockLevel }) < serviceLevel) {
+        stockLevel += 1;
+    }
+    return stockLevel;
+};
+
+/**
+ * Recommended spares of a component, sized for its peak year of expected failures so wear-out late in life is covered
+ * @param {Object} component - ComponentFailureRateSchema object with spares (SparesSchema)
+ * @param {Object} references - { projectLife, numWTGs, wtgPlatformType, failureRateResults, stressFactors }
+ * @param {number} percentile - Percentile of the failure rates
+ * @returns {Object} { annualDemand, stockLevel, reorderPoint, fillRate, expectedStockouts, annualHoldingCost }
+ */
+export const recommendSpares = (component, references, percentile) => {
+    const { leadTimeDays, serviceLevel, unitCost, holdingCostRate } = component.spares;
+    const annualDemand = Math.max(0, ...calculateComponentFailureDemand(component, references, percentile));
+    const stockLevel = recommendStockLevel({ annualDemand, leadTimeDays, serviceLevel });
+    const fillRate = calculateFillRate({ annualDemand, leadTimeDays, stockLevel });
+
+    return {
+        annualDemand,
+        stockLevel,
+        // Ordering at a position of stockLevel - 1 keeps the same stock on hand as one-for-one
+        reorderPoint: Math.max(0, stockLevel - 1),
+        fillRate,
+        expectedStockouts: annualDemand * (1 - fillRate),
+        annualHoldingCost: stockLevel * (unitCost || 0) * (holdingCostRate || 0)
+    };
+};
@@ -40,8 +40,8 @@ const yupToMongoose = (yupSchema, overrides = {}) => {
                         field.type = [Number];
                     } else if (descriptor.innerType.type === 'string') {
                         field.type = [String];
-                    } else if (descriptor.innerType.type === 'mixed') {
-                        field.type = [mongoose.Schema.Types.Mixed];
+                    } else if (descriptor.innerType.type === 'mixed' || descriptor.innerType.type === 'array') {
+                        field.type = [mongoose.Schema.Types.Mixed]; // Nested arrays (e.g. matrices) are stored as-is
                     } else {
                         field.type = [innerSchema]; // Fallback for unhandled inner types
                     }
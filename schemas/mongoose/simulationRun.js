@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const yupToMongoose = require('./generator');
+const { SimulationRunSchema } = require('../yup/simulationRun');
+
+// Generate Mongoose schema from Yup schema
+const SimulationRunMongooseSchema = yupToMongoose(SimulationRunSchema);
+
+// Runs are listed per scenario, newest first; names identify a run within its scenario
+SimulationRunMongooseSchema.index({ scenarioId: 1, createdAt: -1 });
+SimulationRunMongooseSchema.index({ scenarioId: 1, name: 1 }, { unique: true });
+
+// Runs are immutable: only inserts are allowed
+SimulationRunMongooseSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Simulation runs are immutable'));
+    }
+    next();
+});
+
+SimulationRunMongooseSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+    next(new Error('Simulation runs are immutable'));
+});
+
+// Create and export Mongoose model
+const SimulationRun = mongoose.model('SimulationRun', SimulationRunMongooseSchema);
+module.exports = SimulationRun;
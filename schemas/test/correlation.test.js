@@ -0,0 +1,112 @@
+/**
+ * Correlation Schema Tests
+ * Tests for correlation matrix helpers and settings validation
+ */
+
+const {
+    CorrelationSettingsSchema,
+    buildCorrelationMatrix,
+    choleskyDecomposition,
+    isPositiveSemiDefinite
+} = require('../yup/correlation');
+
+describe('buildCorrelationMatrix', () => {
+    test('should build a symmetric matrix with unit diagonal', () => {
+        const { variables, matrix } = buildCorrelationMatrix([
+            { variableA: 'electricityPrice', variableB: 'escalationRate', coefficient: 0.6 },
+            { variableA: 'escalationRate', variableB: 'craneRate', coefficient: 0.3 }
+        ]);
+
+        expect(variables).toEqual(['electricityPrice', 'escalationRate', 'craneRate']);
+        expect(matrix).toEqual([
+            [1, 0.6, 0],
+            [0.6, 1, 0.3],
+            [0, 0.3, 1]
+        ]);
+    });
+
+    test('should return an empty matrix without pairs', () => {
+        expect(buildCorrelationMatrix([])).toEqual({ variables: [], matrix: [] });
+    });
+});
+
+describe('isPositiveSemiDefinite', () => {
+    test('should accept perfectly correlated (singular) matrices', () => {
+        expect(isPositiveSemiDefinite([[1, 1], [1, 1]])).toBe(true);
+        expect(isPositiveSemiDefinite([[1, -1], [-1, 1]])).toBe(true);
+    });
+
+    test('should reject inconsistent coefficients', () => {
+        expect(isPositiveSemiDefinite([
+            [1, 0.9, 0.9],
+            [0.9, 1, -0.9],
+            [0.9, -0.9, 1]
+        ])).toBe(false);
+    });
+
+    test('should reproduce the matrix from its Cholesky factor', () => {
+        const matrix = [[1, 0.5, 0.2], [0.5, 1, 0.3], [0.2, 0.3, 1]];
+        const lower = choleskyDecomposition(matrix);
+
+        matrix.forEach((row, i) => {
+            row.forEach((value, j) => {
+                const product = lower[i].reduce((sum, _, k) => sum + lower[i][k] * lower[j][k], 0);
+                expect(product).toBeCloseTo(value, 10);
+            });
+        });
+    });
+});
+
+describe('CorrelationSettingsSchema', () => {
+    test('should default to disabled rank correlation', () => {
+        const defaults = CorrelationSettingsSchema.getDefault();
+
+        expect(defaults.enabled).toBe(false);
+        expect(defaults.method).toBe('imanConover');
+        expect(defaults.pairs).toEqual([]);
+    });
+
+    test('should validate consistent pairs', async () => {
+        const settings = {
+            enabled: true,
+            method: 'gaussianCopula',
+            pairs: [{ variableA: 'electricityPrice', variableB: 'escalationRate', coefficient: 0.6 }]
+        };
+
+        await expect(CorrelationSettingsSchema.validate(settings)).resolves.toBeTruthy();
+    });
+
+    test('should reject coefficients outside [-1, 1]', async () => {
+        const settings = {
+            pairs: [{ variableA: 'electricityPrice', variableB: 'escalationRate', coefficient: 1.2 }]
+        };
+
+        await expect(CorrelationSettingsSchema.validate(settings)).rejects.toThrow();
+    });
+
+    test('should reject self-correlation and duplicate pairs', async () => {
+        await expect(CorrelationSettingsSchema.validate({
+            pairs: [{ variableA: 'electricityPrice', variableB: 'electricityPrice', coefficient: 0.5 }]
+        })).rejects.toThrow('A variable cannot be correlated with itself');
+
+        await expect(CorrelationSettingsSchema.validate({
+            pairs: [
+                { variableA: 'electricityPrice', variableB: 'escalationRate', coefficient: 0.5 },
+                { variableA: 'escalationRate', variableB: 'electricityPrice', coefficient: 0.4 }
+            ]
+        })).rejects.toThrow('Each pair of variables can only be correlated once');
+    });
+
+    test('should reject matrices that are not positive semi-definite', async () => {
+        const settings = {
+            enabled: true,
+            pairs: [
+                { variableA: 'a', variableB: 'b', coefficient: 0.9 },
+                { variableA: 'a', variableB: 'c', coefficient: 0.9 },
+                { variableA: 'b', variableB: 'c', coefficient: -0.9 }
+            ]
+        };
+
+        await expect(CorrelationSettingsSchema.validate(settings)).rejects.toThrow('Correlation matrix must be positive semi-definite');
+    });
+});
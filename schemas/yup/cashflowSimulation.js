@@ -0,0 +1,59 @@
+// schemas/yup/cashflowSimulation.js
+const Yup = require('yup');
+const { SimSettingsSchema, SimResultsSchema } = require('./distribution');
+const { SettingsSchema } = require('./scenario');
+const { CorrelationReportSchema } = require('./correlation');
+
+/**
+ * Joint cashflow simulation request
+ * Used by: POST /api/simulation/cashflow
+ * Contains: Scenario settings (drivers, costs, financing) and the Monte Carlo settings to run them with
+ */
+const CashflowSimRequestSchema = Yup.object().shape({
+    settings: SettingsSchema.required('Scenario settings are required'),
+    simulationSettings: SimSettingsSchema.required('Simulation settings are required').default(() => ({})),
+});
+
+/**
+ * Percentile results of the project-level metrics
+ * Each metric is a SimResultsSchema array with a single data point at year 0
+ */
+const CashflowSimMetricsSchema = Yup.object().shape({
+    IRR: Yup.array().of(SimResultsSchema).default([]),
+    equityIRR: Yup.array().of(SimResultsSchema).default([]),
+    NPV: Yup.array().of(SimResultsSchema).default([]),
+    paybackPeriod: Yup.array().of(SimResultsSchema).default([]),
+    minDSCR: Yup.array().of(SimResultsSchema).default([]),
+});
+
+/**
+ * Run information stored alongside joint cashflow results
+ */
+const CashflowSimInfoSchema = Yup.object().shape({
+    iterations: Yup.number().required('Iterations are required'),
+    seed: Yup.number().required('Seed is required'),
+    years: Yup.number().required('Years are required'),
+    timeElapsed: Yup.number().required('Time elapsed is required'),
+    drivers: Yup.array().of(Yup.string()).default([]),
+    correlation: CorrelationReportSchema.nullable().default(null),
+});
+
+/**
+ * Joint cashflow simulation results
+ * sources: time-series percentiles keyed by cube source id (energyRevenue, totalCost, debtService, dscr, ...)
+ * metrics: percentiles of IRR/NPV/min DSCR taken across iterations, not recomputed from percentile inputs
+ */
+const CashflowSimResultsSchema = Yup.object().shape({
+    success: Yup.boolean().required('Success flag is required'),
+    simulationInfo: CashflowSimInfoSchema.required('Simulation info is required'),
+    sources: Yup.mixed().default(() => ({})),
+    metrics: CashflowSimMetricsSchema.required('Metrics are required'),
+    errors: Yup.array().of(Yup.string()).default([]),
+});
+
+module.exports = {
+    CashflowSimRequestSchema,
+    CashflowSimMetricsSchema,
+    CashflowSimInfoSchema,
+    CashflowSimResultsSchema,
+};
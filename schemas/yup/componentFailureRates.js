@@ -6,6 +6,88 @@
 
 const Yup = require('yup');
 const { DistributionTypeSchema } = require('./distribution');
+const { RepairLogisticsSchema } = require('./repairPackage');
+
+// Serial defect (fleet-wide campaign) risk of a component, simulated alongside its random failures
+const SerialDefectSchema = Yup.object().shape({
+    enabled: Yup.boolean().default(false),
+    probability: Yup.number().min(0).max(1).default(0.05), // Chance the defect appears over the project life, decimal
+    onsetStartYear: Yup.number().integer().min(1).default(3), // Earliest project year the defect can surface
+    onsetEndYear: Yup.number().integer().min(1).default(10) // Latest project year the defect can surface
+        .test('after-start', 'Onset window must end after it starts', function (value) {
+            return value === undefined || value >= this.parent.onsetStartYear;
+        }),
+    fleetFraction: Yup.number().min(0).max(1).default(0.5), // Share of installed units needing the campaign fix, decimal
+    campaignCostPerUnit: Yup.number().min(0).default(0), // Cost of fixing one affected unit
+    campaignDurationYears: Yup.number().min(0).default(2), // Time to work through the affected units
+    downtimeDaysPerUnit: Yup.number().min(0).default(0), // Turbine outage per fixed unit
+    warranty: Yup.object().shape({
+        enabled: Yup.boolean().default(false),
+        coverage: Yup.number().min(0).max(1).default(1), // Share of the campaign cost paid by the OEM, decimal
+        endYear: Yup.number().integer().min(0).default(5) // Defects surfacing up to this project year are covered
+    }).default(() => ({ enabled: false, coverage: 1, endYear: 5 }))
+});
+
+// Spare replenishment: one-for-one reorders a spare per use (base stock = stockLevel); reorderPoint orders
+// orderQuantity whenever spares on hand plus on order fall to reorderPoint
+const SPARES_REORDER_POLICIES = ['oneForOne', 'reorderPoint'];
+
+/**
+ * Spare parts kept for a component, simulated against its failure events
+ * A failure without a spare on hand waits for the next delivery; the wait overlaps the crane lead time
+ */
+const SparesSchema = Yup.object().shape({
+    enabled: Yup.boolean().default(false),
+    stockLevel: Yup.number().integer().min(0).default(1), // Spares on hand at COD
+    leadTimeDays: Yup.number().min(0).default(180), // Procurement lead time of a spare
+    unitCost: Yup.number().min(0).default(0), // Purchase cost of one spare (initial stock; replenishment replaces material already in the repair cost)
+    holdingCostRate: Yup.number().min(0).default(0.1), // Annual holding cost as a share of the value on hand (storage, insurance, capital), decimal
+    reorderPolicy: Yup.string().oneOf(SPARES_REORDER_POLICIES).default('oneForOne'),
+    reorderPoint: Yup.number().integer().min(0).default(0),
+    orderQuantity: Yup.number().integer().min(1).default(1),
+    serviceLevel: Yup.number().min(0).max(0.999).default(0.95) // Target share of failures served from stock, for the recommended stock level
+});
+
+// Maintenance strategies of a component: run-to-failure, age-based (preventive) replacement, condition-based monitoring
+const MAINTENANCE_STRATEGIES = ['runToFailure', 'ageBased', 'conditionBased'];
+
+/**
+ * Maintenance strategy of a component; both strategy configurations are kept so strategies can be compared
+ * Planned work costs plannedCostFactor of the component's failure event cost (no emergency crane, secondary damage or
+ * unplanned downtime)
+ */
+const MaintenanceStrategySchema = Yup.object().shape({
+    type: Yup.string().oneOf(MAINTENANCE_STRATEGIES).default('runToFailure'),
+    ageBased: Yup.object().shape({
+        replacementAge: Yup.number().integer().min(1).default(12), // Years between planned replacements of a unit
+        plannedCostFactor: Yup.number().min(0).default(0.7) // Planned replacement cost as a share of the failure event cost
+    }).default(() => ({ replacementAge: 12, plannedCostFactor: 0.7 })),
+    conditionBased: Yup.object().shape({
+        detectionProbability: Yup.number().min(0).max(1).default(0.6), // Share of failures detected early enough to plan, decimal
+        plannedCostFactor: Yup.number().min(0).default(0.4), // Planned repair cost as a share of the failure event cost
+        monitoringCostPerUnit: Yup.number().min(0).default(0) // Annual monitoring (CMS) cost per installed unit
+    }).default(() => ({ detectionProbability: 0.6, plannedCostFactor: 0.4, monitoringCostPerUnit: 0 }))
+});
+
+// Summary of an imported fleet failure history (work-order export) the component was calibrated from
+const FailureHistorySummarySchema = Yup.object().shape({
+    source: Yup.string().nullable().default(null), // File name
+    importedAt: Yup.date().default(() => new Date()),
+    observationYears: Yup.number().min(0).default(0), // Years of operation covered
+    units: Yup.number().min(0).default(0), // Installed units observed
+    failures: Yup.number().min(0).default(0),
+    annualRate: Yup.number().min(0).default(0), // Failures per unit-year
+    meanRepairDays: Yup.number().min(0).nullable().default(null),
+    p90RepairDays: Yup.number().min(0).nullable().default(null),
+    meanCostPerEvent: Yup.number().min(0).nullable().default(null),
+    // Lifetime Weibull fit from POST /api/scenarios/:scenarioId/failure-models/generate, hazard h(t) = (β/η)(t/η)^(β-1)
+    // by unit age; it shapes expected failures and the failure-event simulation by age
+    fit: Yup.object().shape({
+        method: Yup.string(),
+        beta: Yup.number(), // Shape: < 1 infant mortality, 1 random, > 1 wear-out
+        eta: Yup.number() // Characteristic life in years (63.2% of units failed)
+    }).nullable().default(null)
+});
 
 // Individual component failure rate schema with object-based structure
 const ComponentFailureRateSchema = Yup.object().shape({
@@ -15,6 +97,9 @@ const ComponentFailureRateSchema = Yup.object().shape({
     enabled: Yup.boolean().default(false),
     
     // Renamed failureRate → distribution for MarketFactors alignment
+    // Annual failure rate per unit (failures per unit-year) and its uncertainty across percentiles. Parameters such
+    // as the Weibull shape/scale describe the spread of that rate, not unit life; age dependence comes from a
+    // threePhaseWeibull rate curve or from the lifetime β/η in failureHistory.fit
     distribution: DistributionTypeSchema.default(() => ({
         type: 'weibull',
         parameters: { shape: 2.0, scale: 50, value: 2.5 },
@@ -60,7 +145,18 @@ const ComponentFailureRateSchema = Yup.object().shape({
     // Optional component-specific overrides
     componentCostOverride: DistributionTypeSchema.nullable().default(null),
     escalationOverride: Yup.number().nullable().default(null),
-    
+
+    // Fleet-wide serial defect campaign risk
+    serialDefect: SerialDefectSchema.default(() => SerialDefectSchema.getDefault()),
+
+    // Maintenance strategy applied to the expected failure and replacement costs
+    maintenanceStrategy: MaintenanceStrategySchema.default(() => MaintenanceStrategySchema.getDefault()),
+
+    // Spare parts inventory
+    spares: SparesSchema.default(() => SparesSchema.getDefault()),
+
+    // Imported failure history the distribution was calibrated from
+    failureHistory: FailureHistorySummarySchema.nullable().default(null),
     
     // UI management fields
     isDefault: Yup.boolean().default(false),
@@ -363,6 +459,8 @@ const ComponentFailureModelingSchema = Yup.object().shape({
     enabled: Yup.boolean().default(false),
     // Object-based components storage following MarketFactors pattern
     components: Yup.mixed().default(() => DEFAULT_COMPONENTS_OBJECT),
+    // Crane and vessel logistics of the failure-event simulation
+    logistics: RepairLogisticsSchema.default(() => RepairLogisticsSchema.getDefault()),
     // Backward compatibility transform for array-to-object migration
     __migrationTransform: Yup.mixed().transform((value, originalValue) => {
         // Handle legacy array format by converting to object
@@ -380,10 +478,17 @@ const ComponentFailureModelingSchema = Yup.object().shape({
     })
 }).default(() => ({ 
     enabled: false, 
-    components: DEFAULT_COMPONENTS_OBJECT
+    components: DEFAULT_COMPONENTS_OBJECT,
+    logistics: RepairLogisticsSchema.getDefault()
 }));
 
 module.exports = {
+    SerialDefectSchema,
+    SPARES_REORDER_POLICIES,
+    SparesSchema,
+    MAINTENANCE_STRATEGIES,
+    MaintenanceStrategySchema,
+    FailureHistorySummarySchema,
     ComponentFailureRateSchema,
     ComponentFailureModelingSchema,
     DEFAULT_COMPONENTS,
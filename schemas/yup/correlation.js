@@ -0,0 +1,137 @@
+// schemas/yup/correlation.js
+const Yup = require('yup');
+
+/**
+ * Build a full correlation matrix from pairwise coefficients.
+ * Variables appear in first-mention order; unspecified pairs are uncorrelated.
+ * @param {Array<Object>} pairs - Array of { variableA, variableB, coefficient }
+ * @returns {Object} { variables: Array<string>, matrix: Array<Array<number>> }
+ */
+const buildCorrelationMatrix = (pairs = []) => {
+    const variables = [];
+    pairs.forEach(({ variableA, variableB }) => {
+        [variableA, variableB].forEach(variable => {
+            if (variable && !variables.includes(variable)) {
+                variables.push(variable);
+            }
+        });
+    });
+
+    const matrix = variables.map((_, i) => variables.map((__, j) => (i === j ? 1 : 0)));
+    pairs.forEach(({ variableA, variableB, coefficient }) => {
+        const i = variables.indexOf(variableA);
+        const j = variables.indexOf(variableB);
+        if (i < 0 || j < 0 || i === j) return;
+        matrix[i][j] = coefficient;
+        matrix[j][i] = coefficient;
+    });
+
+    return { variables, matrix };
+};
+
+/**
+ * Cholesky decomposition that tolerates positive semi-definite matrices (zero pivots).
+ * Shared by schema validation and the Monte Carlo engine.
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @param {number} [tolerance=1e-10] - Numerical tolerance for zero/negative pivots
+ * @returns {Array<Array<number>>|null} Lower triangular factor, or null if the matrix is not PSD
+ */
+const choleskyDecomposition = (matrix, tolerance = 1e-10) => {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+        let pivot = matrix[j][j];
+        for (let k = 0; k < j; k++) {
+            pivot -= lower[j][k] * lower[j][k];
+        }
+
+        if (pivot < -tolerance) {
+            return null;
+        }
+
+        const diagonal = pivot > tolerance ? Math.sqrt(pivot) : 0;
+        lower[j][j] = diagonal;
+
+        for (let i = j + 1; i < n; i++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+
+            if (diagonal === 0) {
+                // A zero pivot is only consistent with PSD when the rest of the column vanishes
+                if (Math.abs(sum) > Math.sqrt(tolerance)) {
+                    return null;
+                }
+                lower[i][j] = 0;
+            } else {
+                lower[i][j] = sum / diagonal;
+            }
+        }
+    }
+
+    return lower;
+};
+
+/**
+ * Check whether a symmetric matrix is positive semi-definite
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {boolean} True if the matrix is PSD
+ */
+const isPositiveSemiDefinite = (matrix) => choleskyDecomposition(matrix) !== null;
+
+/**
+ * Pairwise correlation between two simulated variables (distribution keys)
+ */
+const CorrelationPairSchema = Yup.object().shape({
+    id: Yup.string(),
+    variableA: Yup.string().required('First variable is required'),
+    variableB: Yup.string().required('Second variable is required')
+        .test('distinct-variables', 'A variable cannot be correlated with itself', function (value) {
+            return value !== this.parent.variableA;
+        }),
+    coefficient: Yup.number().min(-1).max(1).required('Correlation coefficient is required'),
+});
+
+/**
+ * Correlation settings honored by the Monte Carlo engines
+ * method: 'imanConover' (rank correlation) or 'gaussianCopula'
+ * pairs: upper triangle of the correlation matrix; must form a positive semi-definite matrix
+ */
+const CorrelationSettingsSchema = Yup.object().shape({
+    enabled: Yup.boolean().default(false),
+    method: Yup.string().oneOf(['imanConover', 'gaussianCopula']).default('imanConover'),
+    pairs: Yup.array().of(CorrelationPairSchema).default([])
+        .test('unique-pairs', 'Each pair of variables can only be correlated once', (pairs) => {
+            if (!pairs) return true;
+            const keys = pairs.map(({ variableA, variableB }) => [variableA, variableB].sort().join('|'));
+            return new Set(keys).size === keys.length;
+        })
+        .test('positive-semi-definite', 'Correlation matrix must be positive semi-definite', (pairs) => {
+            if (!pairs || pairs.length === 0) return true;
+            return isPositiveSemiDefinite(buildCorrelationMatrix(pairs).matrix);
+        }),
+});
+
+/**
+ * Correlation actually applied by a simulation run
+ * target: requested matrix for the variables present in the run
+ * achieved: Spearman rank correlation of the sampled iterations after reordering, averaged over years (target is a rank correlation too)
+ */
+const CorrelationReportSchema = Yup.object().shape({
+    method: Yup.string().oneOf(['imanConover', 'gaussianCopula']).required('Method is required'),
+    variables: Yup.array().of(Yup.string()).default([]),
+    target: Yup.array().of(Yup.array().of(Yup.number())).default([]),
+    achieved: Yup.array().of(Yup.array().of(Yup.number())).default([]),
+    ignored: Yup.array().of(Yup.string()).default([]),
+});
+
+module.exports = {
+    CorrelationPairSchema,
+    CorrelationSettingsSchema,
+    CorrelationReportSchema,
+    buildCorrelationMatrix,
+    choleskyDecomposition,
+    isPositiveSemiDefinite
+};
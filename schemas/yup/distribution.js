@@ -1,6 +1,7 @@
 // schemas/yup/distribution.js
 //const { metadata } = require('utils/cashflow/metrics/foundational/debtService');
 const Yup = require('yup');
+const { CorrelationSettingsSchema, CorrelationReportSchema } = require('./correlation');
 
 // Schema for a data point with year and value
 const DataPointSchema = Yup.object().shape({
@@ -44,7 +45,14 @@ const DistributionParametersSchema = Yup.object().shape({
     hubHeight: Yup.number(),
     drift: Yup.number(),
     volatility: Yup.number(),
-    timeStep: Yup.number()
+    timeStep: Yup.number(),
+    // Three-phase Weibull (value = useful-life annual failure rate)
+    infantShape: Yup.number(),
+    infantDuration: Yup.number(),
+    wearOutStart: Yup.number(),
+    wearOutShape: Yup.number(),
+    wearOutScale: Yup.number(),
+    uncertainty: Yup.number()
 });
 
 // Schema for distribution parameters with DataPointSchema types
@@ -58,7 +66,7 @@ const DistributionTypeSchema = Yup.object().shape({
     type: Yup.string()
         .oneOf([
             'normal', 'lognormal', 'triangular', 'uniform', 'weibull',
-            'exponential', 'poisson', 'fixed', 'kaimal', 'gbm', 'gamma'
+            'exponential', 'poisson', 'fixed', 'kaimal', 'gbm', 'gamma', 'threePhaseWeibull'
         ]),
     timeSeriesMode: Yup.boolean().default(false),
     parameters: DistributionParametersSchema.required('Parameters are required').default({}),
@@ -83,6 +91,13 @@ const FitDistributionSchema = Yup.object().shape({
         .required('Data points are required'),
 });
 
+// Schema for auto-stopping: keep adding iterations until percentiles move less than tolerance (%) per batch
+const AutoStopSettingsSchema = Yup.object().shape({
+    enabled: Yup.boolean().default(false),
+    tolerance: Yup.number().moreThan(0, 'Tolerance must be positive').default(1),
+    maxIterations: Yup.number().min(100).default(50000),
+});
+
 // Schema for simulation settings
 const SimSettingsSchema = Yup.object().shape({
     iterations: Yup.number().min(100).default(10000).required('Iterations are required'),
@@ -98,6 +113,10 @@ const SimSettingsSchema = Yup.object().shape({
             { value: 90, description: 'extreme_upper' },
         ]),
     fitToData: Yup.array().of(DataPointSchema),
+    randomGenerator: Yup.string().oneOf(['seedrandom', 'xoshiro128', 'pcg32']).default('seedrandom'),
+    samplingMethod: Yup.string().oneOf(['random', 'latinHypercube', 'sobol', 'antithetic']).default('random'),
+    autoStop: AutoStopSettingsSchema.nullable().default(null),
+    correlation: CorrelationSettingsSchema.nullable().default(null),
 });
 
 // Schema for SimRequest
@@ -109,6 +128,35 @@ const SimRequestSchema = Yup.object().shape({
     simulationSettings: SimSettingsSchema.required('Simulation settings are required').default(() => ({})),
 });
 
+// Schema for a value at a given iteration count
+const ConvergencePointSchema = Yup.object().shape({
+    iterations: Yup.number().required('Iterations are required'),
+    value: Yup.number().required('Value is required'),
+});
+
+// Schema for percentile convergence (standard error of each tracked percentile by year)
+const ConvergenceSchema = Yup.object().shape({
+    samplingMethod: Yup.string().oneOf(['random', 'latinHypercube', 'sobol', 'antithetic']).required(),
+    method: Yup.string().oneOf(['batch', 'asymptotic']).required(), // batch = spread across independent chunks
+    batches: Yup.number().min(1).required(),
+    percentiles: Yup.array().of(Yup.object().shape({
+        percentile: PercentileSchema.required(),
+        standardError: Yup.array().of(DataPointSchema).required(),
+    })).default([]),
+    // Running estimate of each percentile (averaged over years) after every batch
+    trace: Yup.array().of(Yup.object().shape({
+        percentile: PercentileSchema.required(),
+        data: Yup.array().of(ConvergencePointSchema).required(),
+    })).default([]),
+    // Largest relative move of any percentile/year estimate per batch (fraction)
+    relativeChange: Yup.array().of(ConvergencePointSchema).default([]),
+    autoStop: Yup.object().shape({
+        tolerance: Yup.number().required(),
+        maxIterations: Yup.number().required(),
+        converged: Yup.boolean().required(),
+    }).nullable().default(null),
+});
+
 // Schema for individual simulation info
 const SimulationInfoSchema = Yup.object().shape({
     distribution: DistributionTypeSchema.required('Distribution is required'),
@@ -126,12 +174,16 @@ const SimulationInfoSchema = Yup.object().shape({
         skewness: Yup.array().of(DataPointSchema),
         kurtosis: Yup.array().of(DataPointSchema),
     }).required('Statistics are required').default({}),
+    convergence: ConvergenceSchema.nullable().default(null),
+    cached: Yup.boolean().default(false), // Served from the results cache instead of sampled
+    cacheKey: Yup.string().nullable().default(null), // Hash of distribution, settings and code version; null when not cacheable
 });
 
 // Schema for SimResponse
 const SimResponseSchema = Yup.object().shape({
     success: Yup.boolean().required('Success is required'),
     simulationInfo: Yup.array().of(SimulationInfoSchema).required('Simulation info is required').default([]),
+    correlation: CorrelationReportSchema.nullable().default(null),
 });
 
 module.exports = {
@@ -139,7 +191,9 @@ module.exports = {
     PercentileSchema,
     DistributionParametersSchema,
     DistributionTypeSchema,
+    AutoStopSettingsSchema,
     SimSettingsSchema,
+    ConvergenceSchema,
     SimulationInfoSchema,
     SimRequestSchema,
     SimResponseSchema,
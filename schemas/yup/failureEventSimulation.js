@@ -0,0 +1,99 @@
+// schemas/yup/failureEventSimulation.js
+const Yup = require('yup');
+const { SimSettingsSchema, SimResultsSchema, DataPointSchema } = require('./distribution');
+const { SettingsSchema } = require('./scenario');
+
+// Quantities tracked per component and for the fleet (campaignCost = owner's share of serial defect campaigns,
+// stockouts = failures that waited for a spare, sparesCost = initial spares stock and holding cost,
+// waitingDays = days failed turbines waited for a crane, weather or spares before the repair work)
+const FAILURE_EVENT_METRICS = ['failures', 'downtimeDays', 'cost', 'campaignCost', 'stockouts', 'sparesCost', 'waitingDays'];
+
+/**
+ * Discrete failure-event simulation request
+ * Used by: POST /api/simulation/failure-events
+ * Contains: Scenario settings (failure rate components with repair packages, wind farm), the Monte Carlo settings and
+ * optionally the simulated site wind speeds (distributionAnalysis.windVariability results) for the repair weather windows
+ */
+const FailureEventSimRequestSchema = Yup.object().shape({
+    settings: SettingsSchema.required('Scenario settings are required'),
+    simulationSettings: SimSettingsSchema.required('Simulation settings are required').default(() => ({})),
+    windData: Yup.array().of(SimResultsSchema).nullable().default(null),
+});
+
+/**
+ * Distribution of one quantity across iterations
+ * annual: SimResultsSchema per percentile by project year
+ * lifetime: SimResultsSchema per percentile of the project-life total (single data point at year 0)
+ * mean: Expected value by project year
+ */
+const FailureEventMetricSchema = Yup.object().shape({
+    annual: Yup.array().of(SimResultsSchema).default([]),
+    lifetime: Yup.array().of(SimResultsSchema).default([]),
+    mean: Yup.array().of(DataPointSchema).default([]),
+});
+
+const FailureEventSeriesSchema = Yup.object().shape(
+    FAILURE_EVENT_METRICS.reduce((shape, metric) => ({ ...shape, [metric]: FailureEventMetricSchema.required() }), {})
+);
+
+/**
+ * Repair assumptions applied to a component's events
+ */
+const FailureEventRepairSchema = Yup.object().shape({
+    repairPackageName: Yup.string().nullable().default(null),
+    repairDays: Yup.number().min(0).required(),
+    craneLeadTimeDays: Yup.number().min(0).required(),
+    costPerEvent: Yup.number().min(0).required(),
+    // Crane of the repair package with its logistics (null when no crane is needed)
+    crane: Yup.object().shape({
+        type: Yup.string().required(),
+        mobilizationDays: Yup.number().min(0).required(),
+        maxWindSpeed: Yup.number().positive().required(),
+        mobilizationCost: Yup.number().min(0).required(), // Crane per-event cost, once per mobilisation
+        dayRate: Yup.number().min(0).required() // Crane per-day cost while on the repair, weather standby included
+    }).nullable().default(null),
+});
+
+/**
+ * Run information stored alongside failure-event results
+ */
+const FailureEventSimInfoSchema = Yup.object().shape({
+    iterations: Yup.number().required('Iterations are required'),
+    seed: Yup.number().required('Seed is required'),
+    years: Yup.number().required('Years are required'),
+    numWTGs: Yup.number().required('Number of turbines is required'),
+    timeElapsed: Yup.number().required('Time elapsed is required'),
+    components: Yup.array().of(Yup.string()).default([]),
+    repairs: Yup.mixed().default(() => ({})), // FailureEventRepairSchema keyed by component id
+    serialDefects: Yup.mixed().default(() => ({})), // SerialDefectSchema keyed by component id (components at risk only)
+    defectOccurrence: Yup.mixed().default(() => ({})), // Share of iterations in which each component's defect surfaced
+    spares: Yup.mixed().default(() => ({})), // SparesSchema keyed by component id (components with spares only)
+    // RepairLogisticsSchema with the site weather (meanWindSpeed, shape, workability by crane type and calendar month)
+    // and the mean mobilisations per iteration by crane type, null when logistics are not modelled
+    logistics: Yup.mixed().nullable().default(null),
+    runAt: Yup.date(),
+});
+
+/**
+ * Discrete failure-event simulation results
+ * components: FailureEventSeriesSchema keyed by component id (downtime is turbine-days caused by the component,
+ *   including serial defect campaign outages)
+ * total: Fleet FailureEventSeriesSchema (overlapping outages of one turbine count once)
+ */
+const FailureEventSimResultsSchema = Yup.object().shape({
+    success: Yup.boolean().required('Success flag is required'),
+    simulationInfo: FailureEventSimInfoSchema.required('Simulation info is required'),
+    components: Yup.mixed().default(() => ({})),
+    total: FailureEventSeriesSchema.required('Fleet totals are required'),
+    errors: Yup.array().of(Yup.string()).default([]),
+});
+
+module.exports = {
+    FAILURE_EVENT_METRICS,
+    FailureEventSimRequestSchema,
+    FailureEventMetricSchema,
+    FailureEventSeriesSchema,
+    FailureEventRepairSchema,
+    FailureEventSimInfoSchema,
+    FailureEventSimResultsSchema,
+};
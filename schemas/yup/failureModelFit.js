@@ -0,0 +1,100 @@
+// schemas/yup/failureModelFit.js
+const Yup = require('yup');
+
+// Weibull parameter estimation methods: maximum likelihood, or a Bayesian update of the prior with the fleet data
+const FIT_METHODS = ['mle', 'bayesian'];
+
+/**
+ * Fleet failure history of one component
+ * analysis: this fleet's own record; separate: a comparable fleet of fleetSize units
+ * failureRate is the share of the fleet's units failing in that year of age (years without a row had none)
+ */
+const HistoricalFailureDataSchema = Yup.object().shape({
+    type: Yup.string().oneOf(['separate', 'analysis', 'none']).default('none'),
+    fleetSize: Yup.number().moreThan(0).nullable().default(null), // Defaults to componentCount
+    data: Yup.array().of(Yup.object().shape({
+        year: Yup.number().required('Year is required'),
+        failureRate: Yup.number().required('Failure rate is required'),
+    })).default([]),
+});
+
+/**
+ * Prior Weibull parameters (lognormal, sd on the natural scale)
+ * Null fields default to shape 2, a scale giving assumedFailureRate by designLife, and 10-20% uncertainty
+ */
+const WeibullPriorSchema = Yup.object().shape({
+    beta: Yup.number().moreThan(0).nullable().default(null),
+    eta: Yup.number().moreThan(0).nullable().default(null), // Years
+    betaSd: Yup.number().moreThan(0).nullable().default(null),
+    etaSd: Yup.number().moreThan(0).nullable().default(null),
+});
+
+// Estimated Weibull parameters with their uncertainty (posterior moments for 'bayesian')
+const WeibullEstimateSchema = Yup.object().shape({
+    beta: Yup.number().required(),
+    eta: Yup.number().required(),
+    betaSd: Yup.number().min(0).required(),
+    etaSd: Yup.number().min(0).required(),
+    correlation: Yup.number().min(-1).max(1).default(0), // Between beta and eta
+});
+
+// Observed against fitted failures in one year of the historical data
+const FitYearSchema = Yup.object().shape({
+    year: Yup.number().required(),
+    atRisk: Yup.number().required(),
+    observed: Yup.number().required(),
+    expected: Yup.number().required(),
+});
+
+/**
+ * Fit diagnostics
+ * method: 'prior' when there is no historical data to fit
+ * aic: MLE only
+ */
+const FitDiagnosticsSchema = Yup.object().shape({
+    method: Yup.string().oneOf([...FIT_METHODS, 'prior']).required(),
+    converged: Yup.boolean().required(),
+    iterations: Yup.number().default(0),
+    logLikelihood: Yup.number().nullable().default(null),
+    aic: Yup.number().nullable().default(null),
+    observedFailures: Yup.number().default(0),
+    expectedFailures: Yup.number().default(0),
+    unitsObserved: Yup.number().default(0),
+    byYear: Yup.array().of(FitYearSchema).default([]),
+    warnings: Yup.array().of(Yup.string()).default([]),
+});
+
+const FailureModelFitSchema = Yup.object().shape({
+    parameters: WeibullEstimateSchema.required(),
+    prior: WeibullPriorSchema.nullable().default(null), // Resolved prior used ('bayesian' and 'prior')
+    diagnostics: FitDiagnosticsSchema.required(),
+    fittedAt: Yup.date().default(() => new Date()),
+});
+
+/**
+ * Options of POST /api/scenarios/:scenarioId/failure-models/generate
+ * method: Overrides each model's fitMethod when set
+ */
+const GenerateFailureModelsRequestSchema = Yup.object().shape({
+    method: Yup.string().oneOf(FIT_METHODS).nullable().default(null),
+    percentiles: Yup.array().of(Yup.number().min(1).max(99)).default(() => [90, 75, 50]),
+    samples: Yup.number().integer().min(100).max(100000).default(10000),
+    seed: Yup.number().integer().default(1),
+    preserveHistoricalData: Yup.boolean().default(true), // Keep data, method and prior of existing models with the same component
+    // Imported histories replacing a model's data, matched to majorComponent.name ignoring case
+    historicalData: Yup.array().of(Yup.object().shape({
+        component: Yup.string().required('Component name is required'),
+        historicalData: HistoricalFailureDataSchema.required('Historical data is required'),
+    })).default([]),
+});
+
+module.exports = {
+    FIT_METHODS,
+    HistoricalFailureDataSchema,
+    WeibullPriorSchema,
+    WeibullEstimateSchema,
+    FitYearSchema,
+    FitDiagnosticsSchema,
+    FailureModelFitSchema,
+    GenerateFailureModelsRequestSchema,
+};
@@ -16,9 +16,19 @@ const CRANE_TYPES = [
     'mobile',       // Mobile crane
     'crawler',      // Crawler crane (heavy lift)
     'tower',        // Tower crane (blade work)
-    'special'       // Special equipment (custom/unusual)
+    'special',      // Special equipment (custom/unusual)
+    'jackUp'        // Jack-up vessel (offshore heavy lift)
 ];
 
+// Mobilisation lead time and operating wind limit by crane type, used when a package does not set its own
+const CRANE_LOGISTICS_DEFAULTS = {
+    mobile: { mobilizationDays: 7, maxWindSpeed: 12 },
+    crawler: { mobilizationDays: 30, maxWindSpeed: 10 },
+    tower: { mobilizationDays: 14, maxWindSpeed: 12 },
+    special: { mobilizationDays: 30, maxWindSpeed: 10 },
+    jackUp: { mobilizationDays: 60, maxWindSpeed: 12 }
+};
+
 const RepairPackageSchema = Yup.object().shape({
     name: Yup.string()
         .required('Name is required')
@@ -87,7 +97,19 @@ const RepairPackageSchema = Yup.object().shape({
         minimumDays: Yup.number()
             .min(0, 'Minimum crane days must be at least 0')
             .max(365, 'Minimum crane days must not exceed 365')
-            .default(0)
+            .default(0),
+
+        // Repair logistics (null uses CRANE_LOGISTICS_DEFAULTS of the crane type)
+        mobilizationDays: Yup.number()
+            .min(0, 'Mobilization days must be at least 0')
+            .max(365, 'Mobilization days must not exceed 365')
+            .nullable()
+            .default(null),
+
+        maxWindSpeed: Yup.number()
+            .positive('Maximum wind speed must be positive')
+            .nullable()
+            .default(null) // m/s, lifts wait for weather below this limit
     }).required('Crane configuration is required').default(() => ({})),
     
     // Component applicability (which components can use this package)
@@ -112,9 +134,29 @@ const RepairPackageSchema = Yup.object().shape({
         .default(true)
 });
 
+/**
+ * Crane and vessel logistics of major repairs in the failure-event simulation
+ * Repairs needing a crane wait for its mobilisation and for weather below the crane's wind limit; with batching a
+ * mobilised crane serves every repair failing before it leaves site (holdDays after its last repair)
+ */
+const RepairLogisticsSchema = Yup.object().shape({
+    enabled: Yup.boolean().default(false),
+    weather: Yup.object().shape({
+        enabled: Yup.boolean().default(true),
+        seasonalAmplitude: Yup.number().min(0).max(0.9).default(0.2), // Relative swing of the monthly mean wind speed
+        windiestMonth: Yup.number().integer().min(1).max(12).default(1) // Calendar month of the highest mean wind speed
+    }).default(() => ({})),
+    batching: Yup.object().shape({
+        enabled: Yup.boolean().default(true),
+        holdDays: Yup.number().min(0).max(365).default(14)
+    }).default(() => ({}))
+});
+
 // Export schema and constants for reuse
 module.exports = {
     RepairPackageSchema,
+    RepairLogisticsSchema,
     REPAIR_PACKAGE_CATEGORIES,
-    CRANE_TYPES
+    CRANE_TYPES,
+    CRANE_LOGISTICS_DEFAULTS
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+// schemas/yup/reserveAccounts.js
+const Yup = require('yup');
+
+// When the debt service reserve account is first filled
+const DSRA_FUNDING_METHODS = [
+    'cod',      // Funded in full at COD alongside the construction budget
+    'cashflow'  // Built up from cash left after debt service
+];
+
+/**
+ * Reserve accounts of the project financing. Balances earn interest that is paid out each year.
+ * Percent fields follow the financing module (2 = 2%)
+ */
+const ReserveAccountsSchema = Yup.object().shape({
+    // Debt service reserve account, held at N months of the next debt service payment until the loan is repaid
+    dsra: Yup.object().shape({
+        enabled: Yup.boolean().default(false),
+        months: Yup.number().min(0).max(24).default(6),
+        funding: Yup.string().oneOf(DSRA_FUNDING_METHODS).default('cod'),
+        interestRate: Yup.number().min(0).max(20).default(2)
+    }).default(() => ({})),
+    // Maintenance reserve account, accrued ahead of major component replacements and drawn when they happen
+    mra: Yup.object().shape({
+        enabled: Yup.boolean().default(false),
+        accrualYears: Yup.number().integer().min(1).max(10).default(3), // Years before a replacement over which it is accrued
+        coverage: Yup.number().min(0).max(100).default(100), // % of the replacement cost reserved
+        interestRate: Yup.number().min(0).max(20).default(2)
+    }).default(() => ({}))
+});
+
+module.exports = {
+    ReserveAccountsSchema,
+    DSRA_FUNDING_METHODS
+};
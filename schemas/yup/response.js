@@ -1,6 +1,7 @@
 // schemas/yup/response.js
 const Yup = require('yup');
 const { SimulationInfoSchema, } = require('./distribution');
+const { CorrelationReportSchema } = require('./correlation');
 
 /**
  * Base API Response Schema
@@ -109,6 +110,7 @@ const SimulationResponseSchema = SuccessResponseSchema.concat(
             success: Yup.boolean().required(),
             simulationInfo: SimulationInfoSchema.required(),
             timeElapsed: Yup.number(),
+            correlation: CorrelationReportSchema.nullable(),
         }),
     })
 );
@@ -6,11 +6,18 @@ const {
     PercentileSchema,
     DistributionParametersSchema,
     DistributionTypeSchema,
+    AutoStopSettingsSchema,
     SimSettingsSchema,
     SimulationInfoSchema,
 } = require('./distribution');
 
 const { ComponentFailureModelingSchema } = require('./componentFailureRates');
+const { CorrelationSettingsSchema } = require('./correlation');
+const { SiteConditionsSchema, StressFactorsResultSchema } = require('./stressFactors');
+const { FIT_METHODS, HistoricalFailureDataSchema, WeibullPriorSchema, FailureModelFitSchema } = require('./failureModelFit');
+const { TaxSchema } = require('./tax');
+const { ReserveAccountsSchema } = require('./reserveAccounts');
+const { CashWaterfallSchema } = require('./waterfall');
 
 // Market Factor Schema
 const MarketFactorSchema = Yup.object().shape({
@@ -127,13 +134,10 @@ const FailureModelSchema = Yup.object().shape({
     componentCount: Yup.number().default(100),
     assumedFailureRate: Yup.number().default(0.01),
     majorComponent: MajorComponentSchema.required('Major component is required'),
-    historicalData: Yup.object().shape({
-        type: Yup.string().oneOf(['separate', 'analysis', 'none']).default('none'),
-        data: Yup.array().of(Yup.object().shape({
-            year: Yup.number().required('Year is required'),
-            failureRate: Yup.number().required('Failure rate is required'),
-        })).default([]),
-    }),
+    historicalData: HistoricalFailureDataSchema,
+    fitMethod: Yup.string().oneOf(FIT_METHODS).default('mle'),
+    prior: WeibullPriorSchema.nullable().default(null),
+    fit: FailureModelFitSchema.nullable().default(null), // Latest fit from POST .../failure-models/generate
 });
 const CostSourcesSchema = Yup.object().shape({
     id: Yup.string().required('ID is required'),
@@ -257,6 +261,9 @@ const SettingsSchema = Yup.object().shape({
                     percentileDirection: 'descending' // Higher percentiles = lower wind speeds = more conservative
                 }
             })),
+            // Site conditions for the physics-based stress factors, and the last factors calculated from them
+            siteConditions: SiteConditionsSchema.default(() => SiteConditionsSchema.default()),
+            stressFactors: StressFactorsResultSchema.nullable().default(null),
         }),
     }),
     modules: Yup.object().shape({
@@ -264,6 +271,9 @@ const SettingsSchema = Yup.object().shape({
             model: Yup.string().oneOf(['Balance-Sheet', 'Project-Finance']).default('Project-Finance'),
             loanDuration: Yup.number().default(15),
             minimumDSCR: Yup.number().default(1.3),
+            minimumLLCR: Yup.number().default(1.4),
+            maxTenor: Yup.number().min(1).nullable().default(null), // Longest repayment period lenders accept (years), null = loanDuration
+            sizingPercentile: Yup.number().min(1).max(99).default(90), // CFADS percentile of the debt sizing covers
             costOfConstructionDebt: Yup.number().default(4),
             costOfOperationalDebt: Yup.number().default(5),
             debtFinancingRatio: Yup.number().min(0).max(100).default(70),
@@ -273,16 +283,18 @@ const SettingsSchema = Yup.object().shape({
 
             idcCapitalization: Yup.boolean().default(true),
             equityTiming: Yup.string().oneOf(['upfront', 'progressive', 'atCOD']).default('progressive'),
-            amortizationType: Yup.string().oneOf(['bullet', 'amortizing']).default('amortizing'),
+            amortizationType: Yup.string().oneOf(['bullet', 'amortizing', 'sculpted']).default('amortizing'),
+            sculptingPercentile: Yup.number().min(1).max(99).default(50), // CFADS percentile that sizes sculpted debt
 
             equityIRRTarget: Yup.number().default(12),
             projectIRRTarget: Yup.number().default(10),
             targetPaybackPeriod: Yup.number().default(8),
+
+            tax: TaxSchema.default(() => TaxSchema.getDefault()),
+            waterfall: CashWaterfallSchema.default(() => CashWaterfallSchema.getDefault()),
         }),
         cost: Yup.object().shape({
             //annualBaseOM: Yup.number().default(5000000),
-            failureEventProbability: Yup.number().default(5),
-            failureEventCost: Yup.number().default(200000),
             majorRepairEvents: Yup.array().of(Yup.object().shape({
                 year: Yup.number(),
                 cost: Yup.number(),
@@ -346,6 +358,7 @@ const SettingsSchema = Yup.object().shape({
             insurancePremium: Yup.number().default(50000),
             insuranceDeductible: Yup.number().default(10000),
             reserveFunds: Yup.number().default(0),
+            reserveAccounts: ReserveAccountsSchema.default(() => ReserveAccountsSchema.getDefault()),
         }),
         contracts: Yup.object().shape({
             oemContracts: Yup.array().of(Yup.object().shape({
@@ -376,7 +389,19 @@ const SettingsSchema = Yup.object().shape({
             { value: 10, description: 'extreme_lower' },
             { value: 90, description: 'extreme_upper' },
         ]),
-        primaryPercentile: Yup.number().min(1).max(99).default(50) // Matches getDefaultSettings
+        primaryPercentile: Yup.number().min(1).max(99).default(50), // Matches getDefaultSettings
+        randomGenerator: Yup.string().oneOf(['seedrandom', 'xoshiro128', 'pcg32']).default('seedrandom'),
+        samplingMethod: Yup.string().oneOf(['random', 'latinHypercube', 'sobol', 'antithetic']).default('random'),
+        autoStop: AutoStopSettingsSchema.default(() => ({
+            enabled: false,
+            tolerance: 1,
+            maxIterations: 50000
+        })),
+        correlation: CorrelationSettingsSchema.default(() => ({
+            enabled: false,
+            method: 'imanConover',
+            pairs: []
+        }))
     }),
     metrics: Yup.object().shape({
         totalMW: Yup.number().default(70), // Matches getDefaultSettings
@@ -455,6 +480,8 @@ const InputSimSchema = Yup.object().shape({
     marketFactors: Yup.mixed().default({}),
     // Dynamic keys for failure rate component IDs - following marketFactors pattern
     failureRates: Yup.mixed().default({}),
+    // FailureEventSimResultsSchema of the discrete failure-event simulation; mixed because components are keyed by id
+    failureEvents: Yup.mixed().nullable().default(null),
 });
 
 // OutputSim Schema
@@ -463,6 +490,17 @@ const OutputSimSchema = Yup.object().shape({
     NPV: Yup.array().of(SimResultsSchema).default([]),
     paybackPeriod: Yup.array().of(SimResultsSchema).default([]),
     minDSCR: Yup.array().of(SimResultsSchema).default([]),
+    equityIRR: Yup.array().of(SimResultsSchema).default([]),
+    sources: Yup.mixed().nullable().default(null), // Joint cashflow percentiles keyed by cube source id
+    simulationInfo: Yup.object().shape({
+        iterations: Yup.number(),
+        seed: Yup.number(),
+        years: Yup.number(),
+        timeElapsed: Yup.number(),
+        drivers: Yup.array().of(Yup.string()),
+        correlation: Yup.mixed().nullable().default(null), // CorrelationReportSchema; mixed because matrices are nested arrays
+        runAt: Yup.date(),
+    }).nullable().default(null),
 });
 
 // Main Scenario Schema
@@ -0,0 +1,40 @@
+// schemas/yup/simulationJob.js
+const Yup = require('yup');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Progress of one distribution, counted in sampled chunks
+const DistributionProgressSchema = Yup.object().shape({
+    id: Yup.string().required(),
+    key: Yup.string().nullable().default(null),
+    completed: Yup.number().min(0).default(0),
+    total: Yup.number().min(0).default(0), // Grows when autoStop adds chunks
+    failed: Yup.boolean().default(false),
+    cached: Yup.boolean().default(false), // Results came from the cache without sampling
+});
+
+const SimulationJobProgressSchema = Yup.object().shape({
+    percent: Yup.number().min(0).max(100).default(0),
+    distributions: Yup.array().of(DistributionProgressSchema).default([]),
+});
+
+// Public view of an asynchronous simulation job; the result is fetched separately
+const SimulationJobSchema = Yup.object().shape({
+    id: Yup.string().required('Job ID is required'),
+    type: Yup.string().oneOf(['distributions']).default('distributions'),
+    status: Yup.string().oneOf(JOB_STATUSES).required(),
+    progress: SimulationJobProgressSchema.default(() => ({ percent: 0, distributions: [] })),
+    error: Yup.string().nullable().default(null),
+    createdAt: Yup.date().required(),
+    startedAt: Yup.date().nullable().default(null),
+    finishedAt: Yup.date().nullable().default(null),
+});
+
+module.exports = {
+    JOB_STATUSES,
+    TERMINAL_JOB_STATUSES,
+    DistributionProgressSchema,
+    SimulationJobProgressSchema,
+    SimulationJobSchema,
+};
@@ -0,0 +1,75 @@
+// schemas/yup/simulationRun.js
+const Yup = require('yup');
+
+// Project metrics summarized for run listings and compared between runs (simulation.outputSim keys)
+const RUN_METRICS = ['IRR', 'equityIRR', 'NPV', 'minDSCR', 'paybackPeriod'];
+
+// Value of one output metric at one percentile
+const RunMetricValueSchema = Yup.object().shape({
+    metric: Yup.string().oneOf(RUN_METRICS).required(),
+    percentile: Yup.number().required(),
+    value: Yup.number().nullable().default(null),
+});
+
+// Named, immutable snapshot of a scenario's inputs and simulation results
+const SimulationRunSchema = Yup.object().shape({
+    scenarioId: Yup.string().required('Scenario ID is required'),
+    name: Yup.string().required('Run name is required'),
+    description: Yup.string().default(''),
+    seed: Yup.number().nullable().default(null),
+    engineVersion: Yup.string().required('Engine version is required'), // Monte Carlo code version that produced the results
+    scenarioUpdatedAt: Yup.date().nullable().default(null), // Last save of the scenario when the run was taken
+    primaryPercentile: Yup.number().default(50),
+    summary: Yup.array().of(RunMetricValueSchema).default([]), // Metrics at the primary percentile
+    inputs: Yup.mixed().required('Inputs are required'), // SettingsSchema snapshot; mixed so old runs outlive schema changes
+    results: Yup.mixed().required('Results are required'), // { inputSim, outputSim } snapshot
+    createdAt: Yup.date().default(() => new Date()),
+});
+
+// Request body to record a run of the saved scenario
+const CreateSimulationRunSchema = Yup.object().shape({
+    name: Yup.string().trim().max(100, 'Run name is too long').required('Run name is required'),
+    description: Yup.string().trim().max(1000, 'Description is too long').default(''),
+});
+
+// Change between two runs; base/compare are null where a value only exists in one run
+const RunChangeSchema = Yup.object().shape({
+    path: Yup.string().required(),
+    base: Yup.mixed().nullable().default(null),
+    compare: Yup.mixed().nullable().default(null),
+});
+
+const RunValueDeltaSchema = Yup.object().shape({
+    base: Yup.number().nullable().default(null),
+    compare: Yup.number().nullable().default(null),
+    delta: Yup.number().nullable().default(null), // compare - base
+});
+
+const SimulationRunDiffSchema = Yup.object().shape({
+    base: Yup.object().shape({ _id: Yup.string(), name: Yup.string(), createdAt: Yup.date() }),
+    compare: Yup.object().shape({ _id: Yup.string(), name: Yup.string(), createdAt: Yup.date() }),
+    seedChanged: Yup.boolean().default(false),
+    engineVersionChanged: Yup.boolean().default(false),
+    inputs: Yup.object().shape({
+        changes: Yup.array().of(RunChangeSchema).default([]),
+        total: Yup.number().default(0), // All changed settings, including those beyond the returned limit
+        truncated: Yup.boolean().default(false),
+    }),
+    metrics: Yup.array().of(RunValueDeltaSchema.shape({
+        metric: Yup.string().oneOf(RUN_METRICS).required(),
+        percentile: Yup.number().required(),
+    })).default([]),
+    distributions: Yup.array().of(RunValueDeltaSchema.shape({
+        group: Yup.string().oneOf(['distributionAnalysis', 'marketFactors', 'failureRates']).required(),
+        key: Yup.string().required(),
+        percentile: Yup.number().required(), // Values are averaged over project years
+    })).default([]),
+});
+
+module.exports = {
+    RUN_METRICS,
+    RunMetricValueSchema,
+    SimulationRunSchema,
+    CreateSimulationRunSchema,
+    SimulationRunDiffSchema,
+};
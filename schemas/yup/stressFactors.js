@@ -0,0 +1,83 @@
+// schemas/yup/stressFactors.js
+const Yup = require('yup');
+
+// IEC 61400-1 turbine classes (reference wind speed I-III, turbulence category A-C, S = site-specific)
+const IEC_CLASSES = ['IA', 'IB', 'IC', 'IIA', 'IIB', 'IIC', 'IIIA', 'IIIB', 'IIIC', 'S'];
+
+// ISO 9223-style atmospheric corrosivity of the site
+const SALINITY_LEVELS = ['low', 'moderate', 'high', 'marine'];
+
+const STRESS_TYPES = ['turbulence', 'thermal', 'corrosion', 'windShear'];
+
+// Design reference values the site is compared against (required for class S, optional overrides otherwise)
+const DesignReferencesSchema = Yup.object().shape({
+    turbulenceIntensity: Yup.number().moreThan(0).nullable().default(null), // Decimal, e.g. 0.16
+    windShearExponent: Yup.number().min(0).nullable().default(null),
+    temperatureRange: Yup.number().moreThan(0).nullable().default(null), // °C
+    meanTemperature: Yup.number().nullable().default(null), // °C
+    relativeHumidity: Yup.number().moreThan(0).max(1).nullable().default(null),
+});
+
+// Site conditions driving the environmental load factors (defaults describe a benign IIA onshore site)
+const SiteConditionsSchema = Yup.object().shape({
+    iecClass: Yup.string().oneOf(IEC_CLASSES).default('IIA'),
+    turbulenceIntensity: Yup.number().moreThan(0, 'Turbulence intensity must be positive').max(1).default(0.16), // Decimal at 15 m/s
+    windShearExponent: Yup.number().min(0).max(1).default(0.14),
+    temperatureRange: Yup.number().min(0).default(60), // Annual min-max range, °C
+    meanTemperature: Yup.number().min(-50).max(60).default(15), // °C
+    relativeHumidity: Yup.number().moreThan(0).max(1).default(0.65), // Decimal
+    salinityLevel: Yup.string().oneOf(SALINITY_LEVELS).default('low'),
+    designReferences: DesignReferencesSchema.nullable().default(null),
+}).test(
+    'class-s-references',
+    'IEC class S requires a design turbulence intensity',
+    (conditions) => !conditions || conditions.iecClass !== 'S' || !!conditions.designReferences?.turbulenceIntensity
+);
+
+// Component to calculate a factor for; sensitivities default by component id, then by category
+const StressFactorComponentSchema = Yup.object().shape({
+    id: Yup.string().required('Component ID is required'),
+    name: Yup.string(),
+    category: Yup.string().oneOf(['drivetrain', 'electrical', 'rotor', 'mechanical', 'control']),
+    sensitivities: Yup.object().shape(
+        STRESS_TYPES.reduce((shape, type) => ({ ...shape, [type]: Yup.number().min(0) }), {})
+    ).nullable().default(null),
+});
+
+const StressFactorsRequestSchema = Yup.object().shape({
+    siteConditions: SiteConditionsSchema.required('Site conditions are required'),
+    components: Yup.array().of(StressFactorComponentSchema).default([]), // Empty = default failure rate components
+});
+
+const LoadFactorsSchema = Yup.object().shape(
+    STRESS_TYPES.reduce((shape, type) => ({ ...shape, [type]: Yup.number().required() }), {})
+);
+
+// Acceleration factor of one component: failure rates are multiplied by factor
+const ComponentStressFactorSchema = Yup.object().shape({
+    id: Yup.string().required(),
+    name: Yup.string().nullable().default(null),
+    factor: Yup.number().min(0).required(),
+    contributions: LoadFactorsSchema.required(), // loadFactor ^ sensitivity per stress type
+});
+
+const StressFactorsResultSchema = Yup.object().shape({
+    siteConditions: SiteConditionsSchema.required(),
+    designReferences: DesignReferencesSchema.required(), // Resolved references used
+    loadFactors: LoadFactorsSchema.required(),
+    components: Yup.array().of(ComponentStressFactorSchema).default([]),
+    calculatedAt: Yup.date().default(() => new Date()),
+});
+
+module.exports = {
+    IEC_CLASSES,
+    SALINITY_LEVELS,
+    STRESS_TYPES,
+    DesignReferencesSchema,
+    SiteConditionsSchema,
+    StressFactorComponentSchema,
+    StressFactorsRequestSchema,
+    LoadFactorsSchema,
+    ComponentStressFactorSchema,
+    StressFactorsResultSchema,
+};
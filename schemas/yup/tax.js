@@ -0,0 +1,53 @@
+// schemas/yup/tax.js
+const Yup = require('yup');
+
+// Depreciation methods of the tax model
+const DEPRECIATION_METHODS = [
+    'straightLine',     // Equal deductions over the tax life
+    'decliningBalance', // Fixed share of the remaining basis, optionally switching to straight-line
+    'macrs',            // MACRS half-year convention table of the recovery class
+    'custom'            // User table of the basis deducted each year
+];
+
+// MACRS general depreciation system, half-year convention (% of basis by tax year, IRS Publication 946 Table A-1)
+const MACRS_TABLES = {
+    5: [20.00, 32.00, 19.20, 11.52, 11.52, 5.76],
+    7: [14.29, 24.49, 17.49, 12.49, 8.93, 8.92, 8.93, 4.46],
+    15: [5.00, 9.50, 8.55, 7.70, 6.93, 6.23, 5.90, 5.90, 5.91, 5.90, 5.91, 5.90, 5.91, 5.90, 5.91, 2.95],
+    20: [3.750, 7.219, 6.677, 6.177, 5.713, 5.285, 4.888, 4.522, 4.462, 4.461,
+        4.462, 4.461, 4.462, 4.461, 4.462, 4.461, 4.462, 4.461, 4.462, 4.461, 2.231]
+};
+
+/**
+ * Corporate tax of the project cashflow (rate from financing.effectiveTaxRate)
+ * Percent fields follow the financing module (25 = 25%)
+ */
+const TaxSchema = Yup.object().shape({
+    enabled: Yup.boolean().default(false),
+    depreciation: Yup.object().shape({
+        method: Yup.string().oneOf(DEPRECIATION_METHODS).default('straightLine'),
+        depreciableShare: Yup.number().min(0).max(100).default(100), // % of CAPEX (plus capitalized IDC) depreciated
+        years: Yup.number().integer().min(1).max(50).default(20), // Tax life of straight-line and declining balance
+        decliningRate: Yup.number().min(100).max(300).default(200), // 200 = double declining balance
+        switchToStraightLine: Yup.boolean().default(true),
+        macrsClass: Yup.number().oneOf([5, 7, 15, 20]).default(5),
+        customSchedule: Yup.array().of(Yup.number().min(0).max(100)).default([]) // % of basis by tax year
+    }).default(() => ({})),
+    interestDeductibility: Yup.object().shape({
+        limited: Yup.boolean().default(false),
+        ebitdaShare: Yup.number().min(0).max(100).default(30), // Deductible interest cap as % of EBITDA
+        carryForward: Yup.boolean().default(true) // Disallowed interest deducted in later years within the cap
+    }).default(() => ({})),
+    lossCarryForward: Yup.object().shape({
+        enabled: Yup.boolean().default(true),
+        years: Yup.number().integer().min(1).nullable().default(null), // Years a loss can be used, null = unlimited
+        offsetLimit: Yup.number().min(0).max(100).default(100) // % of taxable income that losses may offset
+    }).default(() => ({})),
+    paymentLag: Yup.number().integer().min(0).max(2).default(0) // Years between the tax year and payment
+});
+
+module.exports = {
+    TaxSchema,
+    DEPRECIATION_METHODS,
+    MACRS_TABLES
+};
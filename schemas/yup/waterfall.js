@@ -0,0 +1,25 @@
+// schemas/yup/waterfall.js
+const Yup = require('yup');
+
+/**
+ * Cash waterfall of the operating years: CFADS pays senior debt service, then reserve top-ups; what is left is
+ * distributed unless the lock-up test traps it, and part of the cash above the sweep threshold prepays the debt
+ */
+const CashWaterfallSchema = Yup.object().shape({
+    // Distributions are trapped while the historic DSCR is below the lock-up ratio and released once it recovers
+    lockUp: Yup.object().shape({
+        enabled: Yup.boolean().default(false),
+        ratio: Yup.number().min(1).default(1.1),
+        lookbackYears: Yup.number().integer().min(1).max(5).default(1) // Years of CFADS and debt service in the historic DSCR
+    }).default(() => ({})),
+    // Share of the distributable cash above the threshold that prepays senior debt
+    sweep: Yup.object().shape({
+        enabled: Yup.boolean().default(false),
+        threshold: Yup.number().min(0).default(0), // Distributable cash per year kept from the sweep
+        share: Yup.number().min(0).max(100).default(50) // % of the cash above the threshold swept
+    }).default(() => ({}))
+});
+
+module.exports = {
+    CashWaterfallSchema
+};